@@ -0,0 +1,231 @@
+// backfill.js
+// Historical sync: fetch block ranges in parallel and bulk-insert them in
+// batches, checkpointing each batch so an interrupted run resumes where it stopped
+
+import config from "./config.js";
+import { computeFee, isShielded, classifyTx, inputAddress, extractPoolFlows, POOL_FLOW_COLUMNS } from "./parser/txParser.js";
+import { outputRow } from "./saveOutputs.js";
+import { applyBlocks } from "./balances.js";
+import { refreshPoolDaysForHeights } from "./poolFlows.js";
+
+// Postgres allows 65535 bind parameters per statement
+const MAX_PARAMS = 60000;
+
+/**
+ * Backfill a height range
+ * @param {Pool} pool - Indexer database
+ * @param {Function} rpc - rpc(method, params) helper
+ * @param {Object} options - { start, end, concurrency, batchSize }
+ * @returns {Promise<Object>} { start, end, blocks, transactions, resumed_from }
+ */
+export async function runBackfill(pool, rpc, options = {}) {
+  const concurrency = options.concurrency || config.indexer.backfill.concurrency;
+  const batchSize = options.batchSize || config.indexer.backfill.batch_size;
+  const start = options.start ?? 0;
+  const end = options.end ?? await getSafeHeight(rpc);
+
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0) {
+    throw new Error(`Invalid backfill range ${start}-${end}`);
+  }
+
+  const name = `backfill:${start}-${end}`;
+  const checkpoint = await loadCheckpoint(pool, name, start, end);
+  if (checkpoint.completed_at) {
+    console.log(`✔ ${name} already completed`);
+    return { start, end, blocks: 0, transactions: 0, resumed_from: null };
+  }
+
+  let from = checkpoint.next_height;
+  if (from > start) {
+    console.log(`↻ Resuming ${name} at block ${from}`);
+  }
+  console.log(`🚚 Backfilling ${from}-${end} (${concurrency} parallel, ${batchSize} blocks per batch)`);
+
+  const startedAt = Date.now();
+  let blocks = 0;
+  let transactions = 0;
+  let previousHash = await getStoredHash(pool, from - 1);
+
+  // Fetch the next batch while the current one is written
+  let pending = from <= end ? fetchBatch(rpc, from, Math.min(from + batchSize - 1, end), concurrency) : null;
+
+  while (pending) {
+    const batch = await pending;
+    const batchEnd = from + batch.length - 1;
+
+    pending = null;
+    if (batchEnd < end) {
+      pending = fetchBatch(rpc, batchEnd + 1, Math.min(batchEnd + batchSize, end), concurrency);
+      pending.catch(() => {}); // surfaced when awaited
+    }
+
+    previousHash = verifyLinks(batch, previousHash);
+    transactions += await writeBatch(pool, name, batch, batchEnd >= end);
+    blocks += batch.length;
+    from = batchEnd + 1;
+
+    const rate = blocks / Math.max((Date.now() - startedAt) / 1000, 1);
+    const eta = Math.round((end - batchEnd) / rate);
+    console.log(`✔ Backfilled to ${batchEnd}/${end} (${rate.toFixed(1)} blocks/s, ~${eta}s left)`);
+  }
+
+  console.log(`🎉 ${name} done: ${blocks} block(s), ${transactions} transaction(s)`);
+  return { start, end, blocks, transactions, resumed_from: checkpoint.next_height > start ? checkpoint.next_height : null };
+}
+
+// Highest block deep enough that a reorg is not expected to reach it
+async function getSafeHeight(rpc) {
+  const chainHeight = await rpc("getblockcount");
+  return Math.max(chainHeight - config.indexer.reorg_safety, 0);
+}
+
+// ------------------- Checkpoints -------------------
+async function loadCheckpoint(pool, name, start, end) {
+  const res = await pool.query(
+    `INSERT INTO sync_checkpoints (name, start_height, end_height, next_height)
+     VALUES ($1, $2, $3, $2)
+     ON CONFLICT (name) DO UPDATE SET name = EXCLUDED.name
+     RETURNING next_height, completed_at`,
+    [name, start, end]
+  );
+  return res.rows[0];
+}
+
+async function getStoredHash(pool, height) {
+  if (height < 0) return null;
+  const res = await pool.query("SELECT hash FROM blocks WHERE height = $1", [height]);
+  return res.rows[0]?.hash || null;
+}
+
+// ------------------- Fetching -------------------
+async function fetchBatch(rpc, from, to, concurrency) {
+  const heights = [];
+  for (let height = from; height <= to; height++) heights.push(height);
+
+  const blocks = new Array(heights.length);
+  let cursor = 0;
+
+  // Each worker takes the next unfetched height until none are left
+  const worker = async () => {
+    while (cursor < heights.length) {
+      const i = cursor++;
+      const hash = await rpc("getblockhash", [heights[i]]);
+      const block = await rpc("getblock", [hash, 2]);
+      block.height = heights[i];
+      block.hash = hash;
+      blocks[i] = block;
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, heights.length) }, worker));
+  return blocks;
+}
+
+// Every block must build on the one before it; returns the last hash in the batch
+function verifyLinks(batch, previousHash) {
+  let expected = previousHash;
+  for (const block of batch) {
+    if (expected && block.previousblockhash !== expected) {
+      throw new Error(`Chain changed during backfill at block ${block.height}, rerun to resume`);
+    }
+    expected = block.hash;
+  }
+  return expected;
+}
+
+// ------------------- Writing -------------------
+async function writeBatch(pool, name, batch, last) {
+  const rows = { blocks: [], transactions: [], inputs: [], outputs: [], addresses: new Set() };
+
+  for (const block of batch) {
+    const timestamp = new Date(block.time * 1000);
+    rows.blocks.push([block.height, block.hash, timestamp]);
+
+    for (const tx of block.tx) {
+      const flows = extractPoolFlows(tx);
+      rows.transactions.push([
+        tx.txid, block.height, timestamp, tx.version, tx.locktime,
+        computeFee(tx), classifyTx(tx), !!isShielded(tx), tx,
+        ...POOL_FLOW_COLUMNS.map(column => flows[column]),
+      ]);
+
+      for (const [vinIndex, vin] of (tx.vin || []).entries()) {
+        const address = inputAddress(vin);
+        rows.inputs.push([tx.txid, vinIndex, vin.txid || null, vin.vout ?? null, address, vin.value || 0]);
+        if (address) rows.addresses.add(address);
+      }
+
+      for (const [voutIndex, vout] of (tx.vout || []).entries()) {
+        const output = outputRow(tx, vout, voutIndex);
+        rows.outputs.push([
+          output.txid, output.vout_index, output.address, output.value,
+          output.script_pub_key, output.scriptpubkey,
+        ]);
+        if (output.address) rows.addresses.add(output.address);
+      }
+    }
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    await insertRows(client, "blocks", ["height", "hash", "timestamp"], rows.blocks, "(height)");
+    await insertRows(
+      client, "transactions",
+      ["txid", "block_height", "timestamp", "version", "locktime", "fee", "tx_type", "is_shielded", "raw", ...POOL_FLOW_COLUMNS],
+      rows.transactions, "(txid)"
+    );
+    await insertRows(
+      client, "inputs", ["txid", "vin_index", "prev_txid", "prev_vout", "address", "value"],
+      rows.inputs, "(txid, prev_txid, prev_vout)"
+    );
+    await insertRows(
+      client, "outputs", ["txid", "vout_index", "address", "value", "script_pub_key", "scriptpubkey"],
+      rows.outputs, "(txid, vout_index)"
+    );
+    await insertRows(client, "addresses", ["address"], [...rows.addresses].map(a => [a]), "(address)");
+    await applyBlocks(client, batch[0].height, batch[batch.length - 1].height);
+    await refreshPoolDaysForHeights(client, batch[0].height, batch[batch.length - 1].height);
+
+    // Same transaction as the rows, so the checkpoint never runs ahead of the data
+    await client.query(
+      `UPDATE sync_checkpoints
+       SET next_height = $2, completed_at = CASE WHEN $3 THEN NOW() ELSE NULL END, updated_at = NOW()
+       WHERE name = $1`,
+      [name, batch[batch.length - 1].height + 1, last]
+    );
+
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  return rows.transactions.length;
+}
+
+// Multi-row INSERT, split so no statement exceeds the parameter limit
+async function insertRows(client, table, columns, rows, conflict) {
+  const perStatement = Math.floor(MAX_PARAMS / columns.length);
+
+  for (let i = 0; i < rows.length; i += perStatement) {
+    const chunk = rows.slice(i, i + perStatement);
+    const params = [];
+    const tuples = chunk.map(row => {
+      const placeholders = row.map(value => {
+        params.push(value);
+        return `$${params.length}`;
+      });
+      return `(${placeholders.join(",")})`;
+    });
+
+    await client.query(
+      `INSERT INTO ${table} (${columns.join(", ")}) VALUES ${tuples.join(",")}
+       ON CONFLICT ${conflict} DO NOTHING`,
+      params
+    );
+  }
+}
@@ -0,0 +1,224 @@
+// balances.js
+// Spent tracking and per-address totals: links inputs to the outputs they
+// spend and keeps addresses.received/sent/balance/tx_count/first and last seen
+// up to date block by block, and takes them back out when a reorg rolls back
+
+/**
+ * Apply the not yet applied blocks in a height range
+ * Runs inside the caller's transaction; each block is applied once
+ * (blocks.balances_applied), so retries and overlapping ranges are safe
+ * @param {Object} client - Database client inside a transaction
+ * @param {number} from - First height
+ * @param {number} to - Last height
+ * @returns {Promise<Object>} { blocks, spent }
+ */
+export async function applyBlocks(client, from, to) {
+  const applied = await client.query(
+    `UPDATE blocks SET balances_applied = true
+     WHERE height BETWEEN $1 AND $2 AND NOT balances_applied
+     RETURNING height`,
+    [from, to]
+  );
+  const heights = applied.rows.map(row => row.height);
+  if (heights.length === 0) {
+    return { blocks: 0, spent: 0 };
+  }
+
+  // Outputs spent by inputs in these blocks
+  const spentHere = await client.query(
+    `UPDATE outputs o
+     SET spent_by_txid = i.txid, spent_by_vin = i.vin_index, spent_height = t.block_height
+     FROM inputs i
+     JOIN transactions t ON t.txid = i.txid
+     WHERE t.block_height = ANY($1)
+       AND o.txid = i.prev_txid AND o.vout_index = i.prev_vout
+       AND o.spent_by_txid IS NULL
+     RETURNING o.txid, o.vout_index, o.address, o.value, o.spent_by_txid, o.spent_height`,
+    [heights]
+  );
+
+  // Outputs in these blocks already spent by inputs indexed earlier (ranges backfilled out of order)
+  const spentLater = await client.query(
+    `UPDATE outputs o
+     SET spent_by_txid = i.txid, spent_by_vin = i.vin_index, spent_height = t.block_height
+     FROM transactions ot, inputs i
+     JOIN transactions t ON t.txid = i.txid
+     WHERE ot.txid = o.txid AND ot.block_height = ANY($1)
+       AND o.txid = i.prev_txid AND o.vout_index = i.prev_vout
+       AND o.spent_by_txid IS NULL
+     RETURNING o.txid, o.vout_index, o.address, o.value, o.spent_by_txid, o.spent_height`,
+    [heights]
+  );
+  const spent = [...spentHere.rows, ...spentLater.rows];
+
+  // The spent output is the authority on the input's address and value
+  if (spent.length > 0) {
+    await client.query(
+      `UPDATE inputs i SET address = s.address, value = s.value
+       FROM unnest($1::text[], $2::text[], $3::int[], $4::text[], $5::numeric[])
+         AS s(txid, prev_txid, prev_vout, address, value)
+       WHERE i.txid = s.txid AND i.prev_txid = s.prev_txid AND i.prev_vout = s.prev_vout`,
+      [
+        spent.map(row => row.spent_by_txid),
+        spent.map(row => row.txid),
+        spent.map(row => row.vout_index),
+        spent.map(row => row.address),
+        spent.map(row => row.value),
+      ]
+    );
+  }
+
+  // Transactions newly seen per address, receiving in these blocks or spending
+  const touched = await client.query(
+    `INSERT INTO address_transactions (address, txid, height)
+     SELECT DISTINCT address, txid, height FROM (
+       SELECT o.address, o.txid, t.block_height AS height
+       FROM outputs o JOIN transactions t ON t.txid = o.txid
+       WHERE t.block_height = ANY($1) AND o.address IS NOT NULL
+       UNION ALL
+       SELECT * FROM unnest($2::text[], $3::text[], $4::int[])
+     ) AS seen(address, txid, height)
+     WHERE address IS NOT NULL
+     ON CONFLICT (address, txid) DO NOTHING
+     RETURNING address, height`,
+    [
+      heights,
+      spent.map(row => row.address),
+      spent.map(row => row.spent_by_txid),
+      spent.map(row => row.spent_height),
+    ]
+  );
+
+  await client.query(
+    `INSERT INTO addresses (address, received, sent, balance, tx_count, first_seen_height, last_seen_height)
+     SELECT address, SUM(received), SUM(sent), SUM(received) - SUM(sent), SUM(txs), MIN(height), MAX(height)
+     FROM (
+       SELECT o.address, o.value::numeric AS received, 0::numeric AS sent, 0 AS txs, NULL::int AS height
+       FROM outputs o JOIN transactions t ON t.txid = o.txid
+       WHERE t.block_height = ANY($1) AND o.address IS NOT NULL
+       UNION ALL
+       SELECT address, 0, value, 0, NULL FROM unnest($2::text[], $3::numeric[]) AS s(address, value)
+       WHERE address IS NOT NULL
+       UNION ALL
+       SELECT address, 0, 0, 1, height FROM unnest($4::text[], $5::int[]) AS n(address, height)
+     ) AS delta
+     GROUP BY address
+     ORDER BY address
+     ON CONFLICT (address) DO UPDATE SET
+       received = addresses.received + EXCLUDED.received,
+       sent = addresses.sent + EXCLUDED.sent,
+       balance = addresses.balance + EXCLUDED.balance,
+       tx_count = addresses.tx_count + EXCLUDED.tx_count,
+       first_seen_height = LEAST(addresses.first_seen_height, EXCLUDED.first_seen_height),
+       last_seen_height = GREATEST(addresses.last_seen_height, EXCLUDED.last_seen_height)`,
+    [
+      heights,
+      spent.map(row => row.address),
+      spent.map(row => row.value),
+      touched.rows.map(row => row.address),
+      touched.rows.map(row => row.height),
+    ]
+  );
+
+  return { blocks: heights.length, spent: spent.length };
+}
+
+/**
+ * Apply every stored block not applied yet, a chunk per transaction
+ * Picks up blocks from the tip loop, interrupted runs and a fresh upgrade
+ * @param {Pool} pool - Indexer database
+ * @param {number} chunkSize - Blocks per transaction
+ * @returns {Promise<number>} Blocks applied
+ */
+export async function applyPendingBlocks(pool, chunkSize = 1000) {
+  let total = 0;
+
+  while (true) {
+    const pending = await pool.query(
+      "SELECT MIN(height) AS height FROM blocks WHERE NOT balances_applied"
+    );
+    const from = pending.rows[0].height;
+    if (from === null) return total;
+
+    const client = await pool.connect();
+    try {
+      await client.query("BEGIN");
+      const { blocks } = await applyBlocks(client, from, from + chunkSize - 1);
+      await client.query("COMMIT");
+      total += blocks;
+    } catch (err) {
+      await client.query("ROLLBACK");
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+/**
+ * Take everything above the fork point back out of the address totals and
+ * unspend its spends; call before the rows are deleted
+ * @param {Object} client - Database client inside the rollback transaction
+ * @param {number} forkHeight - Last block both chains share
+ * @returns {Promise<Array<string>>} Addresses whose totals changed
+ */
+export async function revertAbove(client, forkHeight) {
+  const unspent = await client.query(
+    `UPDATE outputs SET spent_by_txid = NULL, spent_by_vin = NULL, spent_height = NULL
+     WHERE spent_height > $1
+     RETURNING address, value`,
+    [forkHeight]
+  );
+  const forgotten = await client.query(
+    `DELETE FROM address_transactions WHERE height > $1 RETURNING address`,
+    [forkHeight]
+  );
+
+  const changed = await client.query(
+    `UPDATE addresses a SET
+       received = a.received - delta.received,
+       sent = a.sent - delta.sent,
+       balance = a.balance - delta.received + delta.sent,
+       tx_count = a.tx_count - delta.txs
+     FROM (
+       SELECT address, SUM(received) AS received, SUM(sent) AS sent, SUM(txs) AS txs
+       FROM (
+         SELECT o.address, o.value::numeric AS received, 0::numeric AS sent, 0 AS txs
+         FROM outputs o
+         JOIN transactions t ON t.txid = o.txid
+         JOIN blocks b ON b.height = t.block_height AND b.balances_applied
+         WHERE t.block_height > $1 AND o.address IS NOT NULL
+         UNION ALL
+         SELECT address, 0, value, 0 FROM unnest($2::text[], $3::numeric[]) AS s(address, value)
+         WHERE address IS NOT NULL
+         UNION ALL
+         SELECT address, 0, 0, 1 FROM unnest($4::text[]) AS n(address)
+       ) AS changes
+       GROUP BY address
+     ) AS delta
+     WHERE a.address = delta.address
+     RETURNING a.address`,
+    [
+      forkHeight,
+      unspent.rows.map(row => row.address),
+      unspent.rows.map(row => row.value),
+      forgotten.rows.map(row => row.address),
+    ]
+  );
+  const addresses = changed.rows.map(row => row.address);
+
+  // First/last seen may have been in the orphaned blocks
+  await client.query(
+    `UPDATE addresses a SET first_seen_height = seen.first_height, last_seen_height = seen.last_height
+     FROM (
+       SELECT changed.address, MIN(seen_tx.height) AS first_height, MAX(seen_tx.height) AS last_height
+       FROM unnest($1::text[]) AS changed(address)
+       LEFT JOIN address_transactions seen_tx ON seen_tx.address = changed.address
+       GROUP BY changed.address
+     ) AS seen
+     WHERE a.address = seen.address`,
+    [addresses]
+  );
+
+  return addresses;
+}
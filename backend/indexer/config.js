@@ -12,6 +12,11 @@ const config = {
   },
   indexer: {
     reorg_safety: 10,
+    backfill: {
+      concurrency: parseInt(process.env.BACKFILL_CONCURRENCY) || 8, // blocks fetched in parallel
+      batch_size: parseInt(process.env.BACKFILL_BATCH_SIZE) || 100, // blocks per DB transaction
+      threshold: parseInt(process.env.BACKFILL_THRESHOLD) || 1000, // lag that switches the tip loop to backfill
+    },
   },
 };
 export default config;
\ No newline at end of file
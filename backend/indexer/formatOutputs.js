@@ -13,17 +13,3 @@ export function formatOutput(vout) {
     vout: null
   };
 }
-export const addressStats = {};
-export function updateAddressStats(addressStats, address, height, timestamp) {
-  if (!addressStats[address]) {
-    addressStats[address] = {
-      first_seen: { height, timestamp },
-      last_seen: { height, timestamp },
-      txs: []
-    }
-  }
-
-  // Update last seen
-  addressStats[address].last_seen = { height, timestamp }
-}
-
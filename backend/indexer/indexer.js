@@ -2,19 +2,33 @@ import dotenv from "dotenv";
 import axios from "axios";
 import { Pool } from "pg";
 import https from "https";
-import {addressStats, updateAddressStats, formatOutput } from './formatOutputs.js'
+import { EventEmitter } from "events";
+import { fileURLToPath } from "url";
 import { saveOutputs } from "./saveOutputs.js";
+import { findForkPoint, rollbackTo } from "./reorg.js";
+import { runBackfill } from "./backfill.js";
+import { applyPendingBlocks } from "./balances.js";
+import { refreshPoolDaysForHeights } from "./poolFlows.js";
+import { computeFee, isShielded, classifyTx, inputAddress, extractPoolFlows, POOL_FLOW_COLUMNS } from "./parser/txParser.js";
+import config from "./config.js";
 
 
 
 dotenv.config();
 
 const rpcUrl = process.env.ZEC_RPC_URL;
-const pool = new Pool({ connectionString: process.env.DB_URL });
+export const pool = new Pool({ connectionString: process.env.DB_URL });
 const agent = new https.Agent({ family: 4 });
 
+// Deepest reorg rolled back automatically
+const MAX_REORG_DEPTH = parseInt(process.env.MAX_REORG_DEPTH) || 100;
+
+// In-process consumers subscribe here; other processes LISTEN on indexer_reorg
+//   "reorg" { id, fork_height, old_tip_height, old_tip_hash, orphaned_blocks, orphaned_txids, detected_at }
+export const indexerEvents = new EventEmitter();
+
 // ------------------- RPC helper with retries -------------------
-async function rpc(method, params = [], retries = 5) {
+export async function rpc(method, params = [], retries = 5) {
   try {
     const res = await axios.post(
       rpcUrl,
@@ -43,22 +57,9 @@ async function getLastIndexedHeight() {
   return res.rows.length ? res.rows[0].height : 0;
 }
 
-function computeFee(tx) {
-  const inSum = (tx.vin || []).reduce((sum, i) => sum + Number(i.value || 0), 0);
-  const outSum = (tx.vout || []).reduce((sum, o) => sum + Number(o.value || 0), 0);
-  return inSum - outSum;
-}
-
-function isShielded(tx) {
-  const joinsplit = Array.isArray(tx.vjoinsplit) && tx.vjoinsplit.length > 0;
-  const orchard = tx.orchard && Object.keys(tx.orchard).length > 0;
-  return joinsplit || orchard;
-}
-
-function classifyTx(tx) {
-  if (tx.coinbase) return "reward";
-  if (isShielded(tx)) return "shielded";
-  return "transfer";
+async function getStoredTip() {
+  const res = await pool.query("SELECT height, hash FROM blocks ORDER BY height DESC LIMIT 1");
+  return res.rows[0] || null;
 }
 
 // ------------------- Save block and transactions -------------------
@@ -75,6 +76,7 @@ async function saveBlock(block) {
 async function saveTx(tx, block) {
   const fee = computeFee(tx);
   const tx_type = classifyTx(tx);
+  const flows = extractPoolFlows(tx);
   const client = await pool.connect();
 
   try {
@@ -83,24 +85,24 @@ async function saveTx(tx, block) {
     // Save transaction
     await client.query(
       `INSERT INTO transactions
-      (txid, block_height, timestamp, version, locktime, fee, tx_type, is_shielded, raw)
-      VALUES ($1,$2,to_timestamp($3),$4,$5,$6,$7,$8,$9)
+      (txid, block_height, timestamp, version, locktime, fee, tx_type, is_shielded, raw, ${POOL_FLOW_COLUMNS.join(", ")})
+      VALUES ($1,$2,to_timestamp($3),$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19)
       ON CONFLICT (txid) DO NOTHING`,
-      [tx.txid, block.height, block.time, tx.version, tx.locktime, fee, tx_type, !!isShielded(tx), tx]
+      [
+        tx.txid, block.height, block.time, tx.version, tx.locktime, fee, tx_type, !!isShielded(tx), tx,
+        ...POOL_FLOW_COLUMNS.map(column => flows[column]),
+      ]
     );
 
     // Save inputs
-    for (const vin of tx.vin || []) {
-      let address = vin.address || null;
-      if (!address && vin.prevout?.scriptPubKey?.addresses?.length) {
-        address = vin.prevout.scriptPubKey.addresses[0];
-      }
+    for (const [vinIndex, vin] of (tx.vin || []).entries()) {
+      const address = inputAddress(vin);
 
       await client.query(
-        `INSERT INTO inputs (txid, prev_txid, prev_vout, address, value)
-         VALUES ($1,$2,$3,$4,$5)
+        `INSERT INTO inputs (txid, vin_index, prev_txid, prev_vout, address, value)
+         VALUES ($1,$2,$3,$4,$5,$6)
          ON CONFLICT (txid, prev_txid, prev_vout) DO NOTHING`,
-        [tx.txid, vin.txid || null, vin.vout || null, address, vin.value || 0]
+        [tx.txid, vinIndex, vin.txid || null, vin.vout ?? null, address, vin.value || 0]
       );
 
       if (address) {
@@ -125,13 +127,28 @@ async function saveTx(tx, block) {
   console.log(`   ↳ TX saved: ${tx.txid}`);
 }
 
+// ------------------- Reorg handling -------------------
+// Roll back to the last block shared with the node's chain; returns the new last height
+async function handleReorg(tip) {
+  console.warn(`⚠ Reorg detected: stored tip ${tip.height} (${tip.hash}) is no longer on the node's chain`);
+
+  const forkHeight = await findForkPoint(pool, rpc, tip, MAX_REORG_DEPTH);
+  const event = await rollbackTo(pool, forkHeight, tip);
+
+  console.warn(
+    `↩ Rolled back to block ${forkHeight}: ${event.orphaned_blocks.length} block(s), ` +
+    `${event.orphaned_txids.length} transaction(s) orphaned`
+  );
+  indexerEvents.emit("reorg", event);
+
+  return forkHeight;
+}
+
 // ------------------- Sync a single block -------------------
-async function syncBlock(height) {
+async function syncBlock(height, prefetched = null) {
   try {
-    const hash = await rpc("getblockhash", [height]);
-    const block = await rpc("getblock", [hash, 2]);
+    const block = prefetched || await rpc("getblock", [await rpc("getblockhash", [height]), 2]);
     block.height = height;
-    block.hash = hash;
 
     await saveBlock(block);
 
@@ -139,6 +156,10 @@ async function syncBlock(height) {
       await saveTx(tx, block);
     }
 
+    // Spends, address totals and the day's pool flows, once every transaction is in
+    await applyPendingBlocks(pool);
+    await refreshPoolDaysForHeights(pool, height, height);
+
     console.log(`✔ Finished block ${height}`);
   } catch (err) {
     console.error(`⚠ Failed to sync block ${height}:`, err.message);
@@ -149,18 +170,43 @@ async function syncBlock(height) {
 }
 
 // ------------------- Main loop -------------------
-async function main() {
+export async function startIndexer() {
   console.log("🚀 Starting Zcash indexer...");
   let last = await getLastIndexedHeight();
   console.log("Last indexed height:", last);
 
+  // Blocks stored before balances were tracked, or left over from a crash
+  const applied = await applyPendingBlocks(pool);
+  if (applied > 0) console.log(`✔ Address balances applied for ${applied} block(s)`);
+
+  // Far behind: catch up in bulk up to the reorg-safe height, then follow the tip
+  const safeHeight = await rpc("getblockcount") - config.indexer.reorg_safety;
+  if (safeHeight - last > config.indexer.backfill.threshold) {
+    await runBackfill(pool, rpc, { start: last + 1, end: safeHeight });
+    last = await getLastIndexedHeight();
+  }
+
   while (true) {
     try {
       const chainHeight = await rpc("getblockcount");
+      const tip = await getStoredTip();
+
       if (last < chainHeight) {
+        const hash = await rpc("getblockhash", [last + 1]);
+        const block = await rpc("getblock", [hash, 2]);
+
+        // The next block must build on the stored tip
+        if (tip && tip.height === last && block.previousblockhash !== tip.hash) {
+          last = await handleReorg(tip);
+          continue;
+        }
+
         last++;
-        await syncBlock(last);
+        await syncBlock(last, block);
         await new Promise(r => setTimeout(r, 1000));
+      } else if (tip && (tip.height > chainHeight || await rpc("getblockhash", [tip.height]) !== tip.hash)) {
+        // Replaced by a chain that is not longer (yet)
+        last = await handleReorg(tip);
       } else {
         console.log("⏸ No new blocks... sleeping 5s");
         await new Promise(r => setTimeout(r, 5000));
@@ -172,7 +218,10 @@ async function main() {
   }
 }
 
-main().catch(err => {
-  console.error("FATAL ERROR:", err);
-  process.exit(1);
-});
+// Run the sync loop when started directly (node indexer.js)
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  startIndexer().catch(err => {
+    console.error("FATAL ERROR:", err);
+    process.exit(1);
+  });
+}
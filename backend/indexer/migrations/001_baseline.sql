@@ -0,0 +1,51 @@
+-- Migration 001: Baseline
+-- The indexer's core tables. indexer/schema.sql creates them too, with the
+-- columns added since, and a database set up from it records this migration
+-- as applied. Later schema changes go in 002 onward and into schema.sql,
+-- written so it can still be rerun.
+
+-- Blocks, transactions and their transparent inputs and outputs (indexer.js, backfill.js)
+CREATE TABLE IF NOT EXISTS blocks (
+    height INTEGER PRIMARY KEY,
+    hash VARCHAR(64) NOT NULL UNIQUE,
+    timestamp TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS transactions (
+    txid VARCHAR(64) PRIMARY KEY,
+    block_height INTEGER NOT NULL,
+    timestamp TIMESTAMP WITH TIME ZONE,
+    version INTEGER,
+    locktime BIGINT,
+    fee NUMERIC(16,8) NOT NULL DEFAULT 0,
+    tx_type VARCHAR(20), -- reward, shielded, transfer
+    is_shielded BOOLEAN NOT NULL DEFAULT false,
+    raw JSONB -- the node's decoded transaction (getblock verbosity 2)
+);
+
+CREATE TABLE IF NOT EXISTS inputs (
+    id BIGSERIAL PRIMARY KEY,
+    txid VARCHAR(64) NOT NULL,
+    prev_txid VARCHAR(64), -- NULL for coinbase
+    prev_vout INTEGER,
+    address VARCHAR(128), -- from the spent output
+    value NUMERIC(16,8) NOT NULL DEFAULT 0,
+    UNIQUE (txid, prev_txid, prev_vout)
+);
+
+CREATE TABLE IF NOT EXISTS outputs (
+    txid VARCHAR(64) NOT NULL,
+    vout_index INTEGER NOT NULL,
+    address VARCHAR(128),
+    value NUMERIC(16,8) NOT NULL DEFAULT 0,
+    script_pub_key JSONB,
+    scriptpubkey TEXT,
+    PRIMARY KEY (txid, vout_index)
+);
+
+CREATE TABLE IF NOT EXISTS addresses (
+    address VARCHAR(128) PRIMARY KEY
+);
+
+CREATE INDEX IF NOT EXISTS idx_inputs_txid ON inputs(txid);
+CREATE INDEX IF NOT EXISTS idx_outputs_address ON outputs(address);
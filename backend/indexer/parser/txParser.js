@@ -29,3 +29,102 @@ export function parseTransaction(rawTx, block) {
 
     return { tx, inputs, outputs };
 }
+
+export function computeFee(tx) {
+  const inSum = (tx.vin || []).reduce((sum, i) => sum + Number(i.value || 0), 0);
+  const outSum = (tx.vout || []).reduce((sum, o) => sum + Number(o.value || 0), 0);
+  return inSum - outSum;
+}
+
+export function isShielded(tx) {
+  const flows = extractPoolFlows(tx);
+  return flows.joinsplit_count + flows.sapling_spend_count + flows.sapling_output_count + flows.orchard_action_count > 0;
+}
+
+// transactions columns filled from extractPoolFlows
+export const POOL_FLOW_COLUMNS = [
+  "flow_type",
+  "joinsplit_count",
+  "sapling_spend_count",
+  "sapling_output_count",
+  "orchard_action_count",
+  "sprout_value_balance",
+  "sapling_value_balance",
+  "orchard_value_balance",
+  "transparent_in",
+  "transparent_out",
+];
+
+// Amount in zatoshis, preferring the node's exact *Zat field
+function zat(obj, field) {
+  if (obj?.[`${field}Zat`] !== undefined) return Number(obj[`${field}Zat`]);
+  if (obj?.[field] !== undefined) return Math.round(Number(obj[field]) * 1e8);
+  return 0;
+}
+
+function zec(zatoshis) {
+  return (zatoshis / 1e8).toFixed(8);
+}
+
+/**
+ * Value moving between the transparent pool and the shielded pools
+ * Value balances follow the node's sign: positive leaves the pool, negative enters it
+ * @param {Object} tx - getblock verbosity 2 transaction
+ * @returns {Object} Counts, value balances and transparent totals (ZEC strings) plus flow_type
+ */
+export function extractPoolFlows(tx) {
+  const joinsplits = Array.isArray(tx.vjoinsplit) ? tx.vjoinsplit : [];
+  const saplingSpends = Array.isArray(tx.vShieldedSpend) ? tx.vShieldedSpend : [];
+  const saplingOutputs = Array.isArray(tx.vShieldedOutput) ? tx.vShieldedOutput : [];
+  const orchardActions = Array.isArray(tx.orchard?.actions) ? tx.orchard.actions : [];
+
+  const sprout = joinsplits.reduce((sum, js) => sum + zat(js, "vpub_new") - zat(js, "vpub_old"), 0);
+  const sapling = saplingSpends.length + saplingOutputs.length > 0 ? zat(tx, "valueBalance") : 0;
+  const orchard = orchardActions.length > 0 ? zat(tx.orchard, "valueBalance") : 0;
+
+  const vin = tx.vin || [];
+  const vout = tx.vout || [];
+  const transparentIn = vin.reduce((sum, input) => sum + zat(input, "value"), 0);
+  const transparentOut = vout.reduce((sum, output) => sum + zat(output, "value"), 0);
+
+  const shieldedParts = joinsplits.length + saplingSpends.length + saplingOutputs.length + orchardActions.length;
+
+  let flowType;
+  if (shieldedParts === 0) {
+    flowType = "transparent";
+  } else if (vin.length === 0 && vout.length === 0) {
+    flowType = "fully_shielded";
+  } else if (sprout + sapling + orchard < 0) {
+    flowType = "shielding";
+  } else {
+    flowType = "deshielding";
+  }
+
+  return {
+    flow_type: flowType,
+    joinsplit_count: joinsplits.length,
+    sapling_spend_count: saplingSpends.length,
+    sapling_output_count: saplingOutputs.length,
+    orchard_action_count: orchardActions.length,
+    sprout_value_balance: zec(sprout),
+    sapling_value_balance: zec(sapling),
+    orchard_value_balance: zec(orchard),
+    transparent_in: zec(transparentIn),
+    transparent_out: zec(transparentOut),
+  };
+}
+
+export function classifyTx(tx) {
+  if (tx.coinbase) return "reward";
+  if (isShielded(tx)) return "shielded";
+  return "transfer";
+}
+
+// Address spent by an input, from the input itself or its prevout
+export function inputAddress(vin) {
+  let address = vin.address || null;
+  if (!address && vin.prevout?.scriptPubKey?.addresses?.length) {
+    address = vin.prevout.scriptPubKey.addresses[0];
+  }
+  return address;
+}
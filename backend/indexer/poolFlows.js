@@ -0,0 +1,75 @@
+// poolFlows.js
+// Daily shielded pool totals: transaction counts by flow type and the value
+// entering and leaving each pool, recomputed for every day a block touches
+
+/**
+ * Days covered by a height range, as YYYY-MM-DD strings
+ * @param {Object} client - Database client or pool
+ * @param {number} from - First height
+ * @param {number} to - Last height
+ * @returns {Promise<Array<string>>} Days
+ */
+export async function poolDays(client, from, to) {
+  const res = await client.query(
+    `SELECT DISTINCT timestamp::date::text AS day FROM blocks WHERE height BETWEEN $1 AND $2`,
+    [from, to]
+  );
+  return res.rows.map(row => row.day);
+}
+
+/**
+ * Recompute the daily totals for the given days from the transactions table
+ * Days left without transactions (after a reorg) are kept with zero counts
+ * @param {Object} client - Database client or pool
+ * @param {Array<string>} days - YYYY-MM-DD
+ */
+export async function refreshPoolDays(client, days) {
+  if (days.length === 0) return;
+
+  await client.query(
+    `INSERT INTO shielded_pool_daily (
+       day, tx_count, transparent_count, shielding_count, deshielding_count, fully_shielded_count,
+       sprout_in, sprout_out, sapling_in, sapling_out, orchard_in, orchard_out, updated_at
+     )
+     SELECT d.day,
+            COUNT(t.txid),
+            COUNT(t.txid) FILTER (WHERE t.flow_type = 'transparent'),
+            COUNT(t.txid) FILTER (WHERE t.flow_type = 'shielding'),
+            COUNT(t.txid) FILTER (WHERE t.flow_type = 'deshielding'),
+            COUNT(t.txid) FILTER (WHERE t.flow_type = 'fully_shielded'),
+            COALESCE(SUM(GREATEST(-t.sprout_value_balance, 0)), 0),
+            COALESCE(SUM(GREATEST(t.sprout_value_balance, 0)), 0),
+            COALESCE(SUM(GREATEST(-t.sapling_value_balance, 0)), 0),
+            COALESCE(SUM(GREATEST(t.sapling_value_balance, 0)), 0),
+            COALESCE(SUM(GREATEST(-t.orchard_value_balance, 0)), 0),
+            COALESCE(SUM(GREATEST(t.orchard_value_balance, 0)), 0),
+            NOW()
+     FROM unnest($1::date[]) AS d(day)
+     LEFT JOIN transactions t ON t.timestamp >= d.day AND t.timestamp < d.day + 1
+     GROUP BY d.day
+     ON CONFLICT (day) DO UPDATE SET
+       tx_count = EXCLUDED.tx_count,
+       transparent_count = EXCLUDED.transparent_count,
+       shielding_count = EXCLUDED.shielding_count,
+       deshielding_count = EXCLUDED.deshielding_count,
+       fully_shielded_count = EXCLUDED.fully_shielded_count,
+       sprout_in = EXCLUDED.sprout_in,
+       sprout_out = EXCLUDED.sprout_out,
+       sapling_in = EXCLUDED.sapling_in,
+       sapling_out = EXCLUDED.sapling_out,
+       orchard_in = EXCLUDED.orchard_in,
+       orchard_out = EXCLUDED.orchard_out,
+       updated_at = NOW()`,
+    [days]
+  );
+}
+
+/**
+ * Recompute the days covered by a height range
+ * @param {Object} client - Database client or pool
+ * @param {number} from - First height
+ * @param {number} to - Last height
+ */
+export async function refreshPoolDaysForHeights(client, from, to) {
+  await refreshPoolDays(client, await poolDays(client, from, to));
+}
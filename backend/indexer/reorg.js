@@ -0,0 +1,109 @@
+// reorg.js
+// Chain reorganization handling: find where the stored chain forked from the
+// node's chain and remove everything indexed above that point
+
+import { revertAbove } from "./balances.js";
+import { poolDays, refreshPoolDays } from "./poolFlows.js";
+
+/**
+ * Walk back from the stored tip until a stored block hash matches the node
+ * @param {Pool} pool - Indexer database
+ * @param {Function} rpc - rpc(method, params) helper
+ * @param {Object} tip - Stored tip { height, hash }
+ * @param {number} maxDepth - Give up after this many blocks
+ * @returns {Promise<number>} Height of the last block both chains share
+ */
+export async function findForkPoint(pool, rpc, tip, maxDepth) {
+  const lowest = Math.max(tip.height - maxDepth, 0);
+
+  for (let height = tip.height; height >= lowest; height--) {
+    const stored = await pool.query("SELECT hash FROM blocks WHERE height = $1", [height]);
+    if (stored.rows.length === 0) continue; // gap in the index
+
+    const chainHash = await rpc("getblockhash", [height]);
+    if (stored.rows[0].hash === chainHash) {
+      return height;
+    }
+  }
+
+  throw new Error(`Reorg deeper than ${maxDepth} blocks below ${tip.height}, resync from an earlier height`);
+}
+
+/**
+ * Delete every block above the fork point with its transactions, inputs and
+ * outputs after taking them out of the address totals, log the reorg and notify listeners on the `indexer_reorg` channel
+ * @param {Pool} pool - Indexer database
+ * @param {number} forkHeight - Last block both chains share
+ * @param {Object} tip - Stored tip before the rollback { height, hash }
+ * @returns {Promise<Object>} Reorg event
+ */
+export async function rollbackTo(pool, forkHeight, tip) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const addresses = await revertAbove(client, forkHeight);
+    const days = await poolDays(client, forkHeight + 1, tip.height);
+
+    await client.query(
+      `DELETE FROM inputs WHERE txid IN (SELECT txid FROM transactions WHERE block_height > $1)`,
+      [forkHeight]
+    );
+    await client.query(
+      `DELETE FROM outputs WHERE txid IN (SELECT txid FROM transactions WHERE block_height > $1)`,
+      [forkHeight]
+    );
+    const txs = await client.query(
+      `DELETE FROM transactions WHERE block_height > $1 RETURNING txid`,
+      [forkHeight]
+    );
+    const blocks = await client.query(
+      `DELETE FROM blocks WHERE height > $1 RETURNING height, hash`,
+      [forkHeight]
+    );
+
+    await refreshPoolDays(client, days);
+
+    const event = {
+      fork_height: forkHeight,
+      old_tip_height: tip.height,
+      old_tip_hash: tip.hash,
+      orphaned_blocks: blocks.rows
+        .map(row => ({ height: row.height, hash: row.hash }))
+        .sort((a, b) => a.height - b.height),
+      orphaned_txids: txs.rows.map(row => row.txid),
+      affected_addresses: addresses,
+    };
+
+    const logged = await client.query(
+      `INSERT INTO reorgs (fork_height, old_tip_height, old_tip_hash, orphaned_blocks, orphaned_tx_count)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, detected_at`,
+      [forkHeight, tip.height, tip.hash, JSON.stringify(event.orphaned_blocks), event.orphaned_txids.length]
+    );
+    event.id = logged.rows[0].id;
+    event.detected_at = logged.rows[0].detected_at;
+
+    // Delivered on commit; only counts, the lists can exceed the 8000-byte payload limit
+    const notification = {
+      id: event.id,
+      fork_height: forkHeight,
+      old_tip_height: tip.height,
+      old_tip_hash: tip.hash,
+      orphaned_block_count: event.orphaned_blocks.length,
+      orphaned_tx_count: event.orphaned_txids.length,
+      affected_address_count: addresses.length,
+      detected_at: event.detected_at,
+    };
+    await client.query("SELECT pg_notify('indexer_reorg', $1)", [JSON.stringify(notification)]);
+
+    await client.query("COMMIT");
+    return event;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
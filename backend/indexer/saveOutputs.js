@@ -4,41 +4,55 @@ import axios from "axios";
 import { Pool } from "pg";
 import https from "https";
 
-export async function saveOutputs(tx) {
-  if (!tx.vout) return;
-
-  for (const [voutIndex, vout] of tx.vout.entries()) {
-    // Normalize scriptPubKey
-    let raw =
-      vout.scriptPubKey ??
-      vout.scriptpubkey ??
-      vout.script_pub_key ??
-      null;
+// Normalize one vout into an outputs row
+export function outputRow(tx, vout, voutIndex) {
+  // Normalize scriptPubKey
+  let raw =
+    vout.scriptPubKey ??
+    vout.scriptpubkey ??
+    vout.script_pub_key ??
+    null;
 
-    let spk = {};
+  let spk = {};
 
-    if (typeof raw === "string") {
-      try {
-        spk = JSON.parse(raw);
-      } catch {
-        spk = { raw };
-      }
-    } else if (raw && typeof raw === "object") {
-      spk = raw;
+  if (typeof raw === "string") {
+    try {
+      spk = JSON.parse(raw);
+    } catch {
+      spk = { raw };
     }
+  } else if (raw && typeof raw === "object") {
+    spk = raw;
+  }
+
+  const address =
+    (spk.addresses && spk.addresses[0]) ||
+    spk.address ||
+    null;
 
-    const address =
-      (spk.addresses && spk.addresses[0]) ||
-      spk.address ||
-      null;
+  const scriptPubKeyJson = Object.keys(spk).length ? spk : null;
+  const scriptPubKeyText =
+    typeof raw === "string"
+      ? raw
+      : scriptPubKeyJson
+      ? JSON.stringify(scriptPubKeyJson)
+      : null;
 
-    const scriptPubKeyJson = Object.keys(spk).length ? spk : null;
-    const scriptPubKeyText =
-      typeof raw === "string"
-        ? raw
-        : scriptPubKeyJson
-        ? JSON.stringify(scriptPubKeyJson)
-        : null;
+  return {
+    txid: tx.txid,
+    vout_index: voutIndex,
+    address,
+    value: vout.value || 0,
+    script_pub_key: scriptPubKeyJson,
+    scriptpubkey: scriptPubKeyText,
+  };
+}
+
+export async function saveOutputs(queryClient, tx) {
+  if (!tx.vout) return;
+
+  for (const [voutIndex, vout] of tx.vout.entries()) {
+    const output = outputRow(tx, vout, voutIndex);
 
     // Save output row
     await queryClient.query(
@@ -47,22 +61,22 @@ export async function saveOutputs(tx) {
       VALUES ($1,$2,$3,$4,$5,$6)
       ON CONFLICT (txid, vout_index) DO NOTHING`,
       [
-        tx.txid,
-        voutIndex,
-        address,
-        vout.value || 0,
-        scriptPubKeyJson,
-        scriptPubKeyText,
+        output.txid,
+        output.vout_index,
+        output.address,
+        output.value,
+        output.script_pub_key,
+        output.scriptpubkey,
       ]
     );
 
     // Save address if present
-    if (address) {
+    if (output.address) {
       await queryClient.query(
         `INSERT INTO addresses (address)
          VALUES ($1)
          ON CONFLICT (address) DO NOTHING`,
-        [address]
+        [output.address]
       );
     }
   }
@@ -1,6 +1,140 @@
+-- Blocks, transactions and their transparent inputs and outputs (indexer.js, backfill.js)
+CREATE TABLE IF NOT EXISTS blocks (
+    height INTEGER PRIMARY KEY,
+    hash VARCHAR(64) NOT NULL UNIQUE,
+    timestamp TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS transactions (
+    txid VARCHAR(64) PRIMARY KEY,
+    block_height INTEGER NOT NULL,
+    timestamp TIMESTAMP WITH TIME ZONE,
+    version INTEGER,
+    locktime BIGINT,
+    fee NUMERIC(16,8) NOT NULL DEFAULT 0,
+    tx_type VARCHAR(20), -- reward, shielded, transfer
+    is_shielded BOOLEAN NOT NULL DEFAULT false,
+    raw JSONB -- the node's decoded transaction (getblock verbosity 2)
+);
+
+CREATE TABLE IF NOT EXISTS inputs (
+    id BIGSERIAL PRIMARY KEY,
+    txid VARCHAR(64) NOT NULL,
+    prev_txid VARCHAR(64), -- NULL for coinbase
+    prev_vout INTEGER,
+    address VARCHAR(128), -- from the spent output
+    value NUMERIC(16,8) NOT NULL DEFAULT 0,
+    UNIQUE (txid, prev_txid, prev_vout)
+);
+
+CREATE TABLE IF NOT EXISTS outputs (
+    txid VARCHAR(64) NOT NULL,
+    vout_index INTEGER NOT NULL,
+    address VARCHAR(128),
+    value NUMERIC(16,8) NOT NULL DEFAULT 0,
+    script_pub_key JSONB,
+    scriptpubkey TEXT,
+    PRIMARY KEY (txid, vout_index)
+);
+
+CREATE TABLE IF NOT EXISTS addresses (
+    address VARCHAR(128) PRIMARY KEY
+);
+
+CREATE INDEX IF NOT EXISTS idx_inputs_txid ON inputs(txid);
+CREATE INDEX IF NOT EXISTS idx_outputs_address ON outputs(address);
+
 -- This table will store the block hashes fetched from the RPC endpoint.
 CREATE TABLE IF NOT EXISTS block_hashes (
     id SERIAL PRIMARY KEY,
     hash VARCHAR(64) NOT NULL UNIQUE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
-);
\ No newline at end of file
+);
+
+-- Chain reorganizations the indexer rolled back (also sent on the indexer_reorg channel)
+CREATE TABLE IF NOT EXISTS reorgs (
+    id SERIAL PRIMARY KEY,
+    fork_height INTEGER NOT NULL, -- last block shared by both chains
+    old_tip_height INTEGER NOT NULL,
+    old_tip_hash VARCHAR(64) NOT NULL,
+    orphaned_blocks JSONB NOT NULL DEFAULT '[]', -- [{ height, hash }] removed from blocks
+    orphaned_tx_count INTEGER NOT NULL DEFAULT 0,
+    detected_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Backfill progress, one row per requested range (scripts/sync.js <start> <end>)
+CREATE TABLE IF NOT EXISTS sync_checkpoints (
+    name VARCHAR(64) PRIMARY KEY, -- backfill:<start>-<end>
+    start_height INTEGER NOT NULL,
+    end_height INTEGER NOT NULL,
+    next_height INTEGER NOT NULL, -- first block not yet written
+    completed_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Spent tracking: each output records the input that spends it (balances.js)
+ALTER TABLE inputs ADD COLUMN IF NOT EXISTS vin_index INTEGER;
+ALTER TABLE outputs ADD COLUMN IF NOT EXISTS spent_by_txid VARCHAR(64);
+ALTER TABLE outputs ADD COLUMN IF NOT EXISTS spent_by_vin INTEGER;
+ALTER TABLE outputs ADD COLUMN IF NOT EXISTS spent_height INTEGER;
+
+-- Address totals, maintained block by block
+ALTER TABLE addresses ADD COLUMN IF NOT EXISTS received NUMERIC NOT NULL DEFAULT 0;
+ALTER TABLE addresses ADD COLUMN IF NOT EXISTS sent NUMERIC NOT NULL DEFAULT 0;
+ALTER TABLE addresses ADD COLUMN IF NOT EXISTS balance NUMERIC NOT NULL DEFAULT 0;
+ALTER TABLE addresses ADD COLUMN IF NOT EXISTS tx_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE addresses ADD COLUMN IF NOT EXISTS first_seen_height INTEGER;
+ALTER TABLE addresses ADD COLUMN IF NOT EXISTS last_seen_height INTEGER;
+
+-- Blocks whose spends and outputs are already counted in the address totals
+ALTER TABLE blocks ADD COLUMN IF NOT EXISTS balances_applied BOOLEAN NOT NULL DEFAULT false;
+
+-- Transactions that received to or spent from each address
+CREATE TABLE IF NOT EXISTS address_transactions (
+    address VARCHAR(128) NOT NULL,
+    txid VARCHAR(64) NOT NULL,
+    height INTEGER NOT NULL,
+    PRIMARY KEY (address, txid)
+);
+
+CREATE INDEX IF NOT EXISTS idx_inputs_prev_output ON inputs(prev_txid, prev_vout);
+CREATE INDEX IF NOT EXISTS idx_outputs_spent_height ON outputs(spent_height) WHERE spent_height IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_outputs_spent_by_txid ON outputs(spent_by_txid) WHERE spent_by_txid IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_transactions_block_height ON transactions(block_height);
+CREATE INDEX IF NOT EXISTS idx_blocks_balances_pending ON blocks(height) WHERE NOT balances_applied;
+CREATE INDEX IF NOT EXISTS idx_address_transactions_address_height ON address_transactions(address, height);
+CREATE INDEX IF NOT EXISTS idx_address_transactions_height ON address_transactions(height);
+
+-- Shielded pool flows per transaction (parser/txParser.js extractPoolFlows)
+-- Value balances are in ZEC with the node's sign: positive leaves the pool, negative enters it
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS flow_type VARCHAR(20); -- transparent, shielding, deshielding, fully_shielded
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS joinsplit_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS sapling_spend_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS sapling_output_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS orchard_action_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS sprout_value_balance NUMERIC(16,8) NOT NULL DEFAULT 0;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS sapling_value_balance NUMERIC(16,8) NOT NULL DEFAULT 0;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS orchard_value_balance NUMERIC(16,8) NOT NULL DEFAULT 0;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS transparent_in NUMERIC(16,8) NOT NULL DEFAULT 0;
+ALTER TABLE transactions ADD COLUMN IF NOT EXISTS transparent_out NUMERIC(16,8) NOT NULL DEFAULT 0;
+
+-- Daily totals by flow type and pool (poolFlows.js)
+CREATE TABLE IF NOT EXISTS shielded_pool_daily (
+    day DATE PRIMARY KEY,
+    tx_count INTEGER NOT NULL DEFAULT 0,
+    transparent_count INTEGER NOT NULL DEFAULT 0,
+    shielding_count INTEGER NOT NULL DEFAULT 0,
+    deshielding_count INTEGER NOT NULL DEFAULT 0,
+    fully_shielded_count INTEGER NOT NULL DEFAULT 0,
+    sprout_in NUMERIC(16,8) NOT NULL DEFAULT 0,
+    sprout_out NUMERIC(16,8) NOT NULL DEFAULT 0,
+    sapling_in NUMERIC(16,8) NOT NULL DEFAULT 0,
+    sapling_out NUMERIC(16,8) NOT NULL DEFAULT 0,
+    orchard_in NUMERIC(16,8) NOT NULL DEFAULT 0,
+    orchard_out NUMERIC(16,8) NOT NULL DEFAULT 0,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_transactions_timestamp ON transactions(timestamp);
+CREATE INDEX IF NOT EXISTS idx_transactions_flow_pending ON transactions(txid) WHERE flow_type IS NULL;
\ No newline at end of file
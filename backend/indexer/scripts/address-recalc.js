@@ -1,38 +1,47 @@
-import { connectDB, client } from '../db/db.js';
+import { pool } from '../indexer.js';
+import { applyPendingBlocks } from '../balances.js';
 
+// Rebuild spent tracking and address totals from scratch.
+// Normally they are kept up to date as blocks are indexed; run this after a
+// manual edit of the tables or to repair inputs indexed before vin_index existed.
 async function recalcBalances() {
-    await connectDB();
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
 
-    const addresses = await client.query('SELECT address FROM addresses');
-    for (const { address } of addresses.rows) {
-        const totalReceived = (await client.query(
-            'SELECT COALESCE(SUM(value),0) as total FROM outputs WHERE address=$1',
-            [address]
-        )).rows[0].total;
-
-        const totalSent = (await client.query(
-            'SELECT COALESCE(SUM(value),0) as total FROM inputs WHERE address=$1',
-            [address]
-        )).rows[0].total;
-
-        const txCount = (await client.query(
-            'SELECT COUNT(*) as count FROM transactions t JOIN outputs o ON o.txid=t.txid WHERE o.address=$1',
-            [address]
-        )).rows[0].count;
-
-        const balance = totalReceived - totalSent;
+        // Older rows stored output 0 as a NULL prev_vout and had no vin_index
+        await client.query(
+            `UPDATE inputs i
+             SET prev_vout = (v.vin->>'vout')::int, vin_index = v.ordinal - 1
+             FROM transactions t, jsonb_array_elements(t.raw::jsonb->'vin') WITH ORDINALITY AS v(vin, ordinal)
+             WHERE t.txid = i.txid AND i.vin_index IS NULL
+               AND v.vin->>'txid' = i.prev_txid
+               AND COALESCE(i.prev_vout, 0) = (v.vin->>'vout')::int`
+        );
 
+        await client.query('UPDATE outputs SET spent_by_txid = NULL, spent_by_vin = NULL, spent_height = NULL');
+        await client.query('TRUNCATE address_transactions');
         await client.query(
-            `INSERT INTO address_balances(address,balance,total_received,total_sent,tx_count)
-             VALUES($1,$2,$3,$4,$5)
-             ON CONFLICT(address) DO UPDATE 
-             SET balance=EXCLUDED.balance, total_received=EXCLUDED.total_received, total_sent=EXCLUDED.total_sent, tx_count=EXCLUDED.tx_count`,
-             [address, balance, totalReceived, totalSent, txCount]
+            `UPDATE addresses
+             SET received = 0, sent = 0, balance = 0, tx_count = 0, first_seen_height = NULL, last_seen_height = NULL`
         );
+        await client.query('UPDATE blocks SET balances_applied = false');
+
+        await client.query('COMMIT');
+    } catch (err) {
+        await client.query('ROLLBACK');
+        throw err;
+    } finally {
+        client.release();
     }
 
-    console.log('✅ Address balances recalculated');
+    const blocks = await applyPendingBlocks(pool);
+
+    console.log(`✅ Address balances recalculated from ${blocks} block(s)`);
     process.exit(0);
 }
 
-recalcBalances().catch(console.error);
+recalcBalances().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -1,10 +1,10 @@
-import fs from "fs";
-import { connectDB, client } from "../src/db/client.js";
+import { connectDB, client } from "../db/client.js";
+import { runMigrations } from "../../src/db/migrator.js";
 
+// Applies indexer/schema.sql and any migrations in indexer/migrations, recorded in schema_migrations
 (async () => {
   await connectDB();
-  const schema = fs.readFileSync("./schema.sql", "utf8");
-  await client.query(schema);
+  await runMigrations(client, { target: "indexer", log: console.log });
   console.log("🎉 Database initialized");
   process.exit(0);
 })();
@@ -0,0 +1,50 @@
+import { pool } from "../indexer.js";
+import { extractPoolFlows, isShielded, classifyTx, POOL_FLOW_COLUMNS } from "../parser/txParser.js";
+import { refreshPoolDays } from "../poolFlows.js";
+
+// Fill the pool flow columns of transactions indexed before they existed,
+// then rebuild shielded_pool_daily for every indexed day
+const CHUNK = 1000;
+
+async function recalcPoolFlows() {
+  let updated = 0;
+
+  while (true) {
+    const res = await pool.query(
+      `SELECT txid, raw FROM transactions WHERE flow_type IS NULL ORDER BY txid LIMIT $1`,
+      [CHUNK]
+    );
+    if (res.rows.length === 0) break;
+
+    const rows = res.rows.map(row => {
+      const tx = typeof row.raw === "string" ? JSON.parse(row.raw) : row.raw || {};
+      const flows = extractPoolFlows(tx);
+      return { txid: row.txid, tx_type: classifyTx(tx), is_shielded: !!isShielded(tx), ...flows };
+    });
+
+    const columns = ["tx_type", "is_shielded", ...POOL_FLOW_COLUMNS];
+    await pool.query(
+      `UPDATE transactions t SET ${columns.map(column => `${column} = f.${column}`).join(", ")}
+       FROM json_populate_recordset(NULL::transactions, $1::json) AS f
+       WHERE t.txid = f.txid`,
+      [JSON.stringify(rows)]
+    );
+
+    updated += rows.length;
+    console.log(`✔ Pool flows computed for ${updated} transaction(s)`);
+  }
+
+  const days = await pool.query(`SELECT DISTINCT timestamp::date::text AS day FROM blocks ORDER BY day`);
+  const allDays = days.rows.map(row => row.day);
+  for (let i = 0; i < allDays.length; i += 100) {
+    await refreshPoolDays(pool, allDays.slice(i, i + 100));
+  }
+
+  console.log(`🎉 ${updated} transaction(s) updated, ${allDays.length} day(s) of pool totals rebuilt`);
+  await pool.end();
+}
+
+recalcPoolFlows().catch(err => {
+  console.error("FATAL ERROR:", err);
+  process.exit(1);
+});
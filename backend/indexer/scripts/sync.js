@@ -1,9 +1,26 @@
 import "../config.js"; // To load dotenv
-import { connectDB } from "../db/client.js";
-import { startIndexer } from "../indexer.js";
+import { pool, rpc, startIndexer } from "../indexer.js";
+import { runBackfill } from "../backfill.js";
+
+// node scripts/sync.js                 follow the chain tip
+// node scripts/sync.js <start> [end]   backfill a range (end defaults to the reorg-safe height) and exit
+const [start, end] = process.argv.slice(2).map(arg => parseInt(arg));
 
 (async () => {
-  await connectDB();
-  await startIndexer();
+  if (start === undefined) {
+    await startIndexer();
+    return;
+  }
+
+  if (Number.isNaN(start) || Number.isNaN(end)) {
+    console.error("Usage: node scripts/sync.js [start] [end]");
+    process.exit(1);
+  }
+
+  await runBackfill(pool, rpc, { start, end });
+  await pool.end();
 
-})();
+})().catch(err => {
+  console.error("FATAL ERROR:", err);
+  process.exit(1);
+});
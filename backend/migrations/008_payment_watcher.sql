@@ -0,0 +1,20 @@
+-- Migration 008: Background payment watcher
+-- WebZjs and zcash-devtool invoices get an optional receiving address so the
+-- watcher can settle them, plus indexes for the pending-invoice scans
+
+-- Receiving address generated by the merchant's browser/CLI wallet
+ALTER TABLE webzjs_invoices ADD COLUMN IF NOT EXISTS payment_address TEXT;
+ALTER TABLE devtool_invoices ADD COLUMN IF NOT EXISTS payment_address TEXT;
+
+-- Indexes for pending scans (watcher orders by creation time)
+CREATE INDEX IF NOT EXISTS idx_webzjs_invoices_payment_address ON webzjs_invoices(payment_address);
+CREATE INDEX IF NOT EXISTS idx_devtool_invoices_payment_address ON devtool_invoices(payment_address);
+CREATE INDEX IF NOT EXISTS idx_invoices_pending_created_at ON invoices(created_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_shielded_invoices_pending_created_at ON shielded_invoices(created_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webzjs_invoices_pending_created_at ON webzjs_invoices(created_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_devtool_invoices_pending_created_at ON devtool_invoices(created_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_unified_invoices_pending_created_at ON unified_invoices(created_at) WHERE status = 'pending';
+
+-- Comments for documentation
+COMMENT ON COLUMN webzjs_invoices.payment_address IS 'Receiving address from the WebZjs wallet - watched for incoming payments';
+COMMENT ON COLUMN devtool_invoices.payment_address IS 'Receiving address from the zcash-devtool wallet - watched for incoming payments';
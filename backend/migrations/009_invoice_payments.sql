@@ -0,0 +1,29 @@
+-- Migration 009: Invoice payments
+-- Every on-chain output attributed to an invoice, so payments carry real
+-- txids/amounts and one output can never settle two invoices
+
+CREATE TABLE IF NOT EXISTS invoice_payments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    invoice_table VARCHAR(40) NOT NULL
+        CHECK (invoice_table IN ('invoices', 'shielded_invoices', 'webzjs_invoices', 'devtool_invoices', 'unified_invoices')),
+    invoice_id TEXT NOT NULL, -- UUID or SERIAL depending on invoice_table
+    address TEXT NOT NULL,
+    txid VARCHAR(64) NOT NULL,
+    output_index INTEGER NOT NULL, -- vout for transparent, output index for shielded notes
+    amount_zec DECIMAL(16, 8) NOT NULL CHECK (amount_zec >= 0),
+    block_height INTEGER, -- NULL while unmined
+    matched_by VARCHAR(20) NOT NULL CHECK (matched_by IN ('address', 'memo', 'amount')),
+    source VARCHAR(20) NOT NULL CHECK (source IN ('indexer', 'node', 'wallet')),
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    UNIQUE (txid, output_index, address)
+);
+
+-- Indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_invoice_payments_invoice ON invoice_payments(invoice_table, invoice_id);
+CREATE INDEX IF NOT EXISTS idx_invoice_payments_address ON invoice_payments(address);
+CREATE INDEX IF NOT EXISTS idx_invoice_payments_txid ON invoice_payments(txid);
+
+-- Comments for documentation
+COMMENT ON TABLE invoice_payments IS 'On-chain outputs attributed to invoices (each output pays at most one invoice)';
+COMMENT ON COLUMN invoice_payments.matched_by IS 'address = only pending invoice on the address, memo = memo reference, amount = exact amount on a shared address';
+COMMENT ON COLUMN invoice_payments.source IS 'indexer = backend/indexer outputs table, node = address index RPC, wallet = z_listreceivedbyaddress';
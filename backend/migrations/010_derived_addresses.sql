@@ -0,0 +1,45 @@
+-- Migration 010: Per-invoice derived addresses
+-- Fresh transparent address per invoice from a BIP44 account xpub
+-- (m/44'/133'/account'/0/index); only public keys are stored
+
+-- Next unused index per account key
+CREATE TABLE IF NOT EXISTS address_derivation_state (
+    xpub_fingerprint VARCHAR(8) PRIMARY KEY,
+    next_index INTEGER NOT NULL DEFAULT 0 CHECK (next_index >= 0),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Every address handed out, with what the gap-limit scanner found on it
+CREATE TABLE IF NOT EXISTS derived_addresses (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    xpub_fingerprint VARCHAR(8) NOT NULL,
+    derivation_index INTEGER NOT NULL CHECK (derivation_index >= 0),
+    derivation_path VARCHAR(64) NOT NULL,
+    address VARCHAR(120) NOT NULL UNIQUE,
+    invoice_table VARCHAR(40), -- NULL until linked to an invoice
+    invoice_id TEXT,
+    received_zec DECIMAL(16, 8) NOT NULL DEFAULT 0 CHECK (received_zec >= 0),
+    tx_count INTEGER NOT NULL DEFAULT 0,
+    last_scanned_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    UNIQUE (xpub_fingerprint, derivation_index)
+);
+
+-- Derived invoice addresses are unique again (treasury fallback rows stay non-unique)
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS address_index INTEGER;
+ALTER TABLE unified_invoices ADD COLUMN IF NOT EXISTS address_index INTEGER;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_derived_z_address
+    ON invoices(z_address) WHERE address_index IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unified_invoices_derived_payment_address
+    ON unified_invoices(payment_address) WHERE address_index IS NOT NULL;
+
+-- Indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_derived_addresses_invoice ON derived_addresses(invoice_table, invoice_id);
+
+-- Comments for documentation
+COMMENT ON TABLE address_derivation_state IS 'Next BIP44 address index per configured account xpub';
+COMMENT ON TABLE derived_addresses IS 'Transparent addresses derived from the account xpub, one per invoice';
+COMMENT ON COLUMN derived_addresses.xpub_fingerprint IS 'HASH160 fingerprint of the account public key';
+COMMENT ON COLUMN invoices.address_index IS 'Derivation index of z_address, NULL for the treasury address';
+COMMENT ON COLUMN unified_invoices.address_index IS 'Derivation index of payment_address, NULL when not derived';
@@ -0,0 +1,39 @@
+-- Migration 011: Unified viewing keys
+-- Merchants register a UFVK/UIVK and every unified address is derived from it
+-- at a fresh diversifier index, so funds land in the merchant's own wallet
+
+CREATE TABLE IF NOT EXISTS unified_viewing_keys (
+    id SERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255),
+    network VARCHAR(20) NOT NULL CHECK (network IN ('mainnet', 'testnet')),
+    key_type VARCHAR(10) NOT NULL CHECK (key_type IN ('ufvk', 'uivk')),
+    viewing_key TEXT NOT NULL, -- uview1.../uivk1... as registered (never a spending key)
+    key_fingerprint VARCHAR(32) NOT NULL,
+    has_transparent BOOLEAN NOT NULL DEFAULT FALSE,
+    has_sapling BOOLEAN NOT NULL DEFAULT FALSE,
+    has_orchard BOOLEAN NOT NULL DEFAULT FALSE,
+    next_diversifier_index NUMERIC(27, 0) NOT NULL DEFAULT 0 CHECK (next_diversifier_index >= 0), -- 88-bit index
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, key_fingerprint)
+);
+
+-- Addresses derived from a viewing key store the diversifier index in `diversifier`
+ALTER TABLE unified_addresses ADD COLUMN IF NOT EXISTS viewing_key_id INTEGER REFERENCES unified_viewing_keys(id) ON DELETE SET NULL;
+
+-- Indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_unified_viewing_keys_user_id ON unified_viewing_keys(user_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unified_addresses_viewing_key_diversifier
+    ON unified_addresses(viewing_key_id, diversifier) WHERE viewing_key_id IS NOT NULL;
+
+-- Update trigger for updated_at timestamps
+CREATE TRIGGER update_unified_viewing_keys_updated_at
+    BEFORE UPDATE ON unified_viewing_keys
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Comments for documentation
+COMMENT ON TABLE unified_viewing_keys IS 'Merchant unified full/incoming viewing keys used to derive diversified unified addresses';
+COMMENT ON COLUMN unified_viewing_keys.next_diversifier_index IS 'Next diversifier index to try (indexes without a valid Sapling diversifier are skipped)';
+COMMENT ON COLUMN unified_addresses.diversifier IS 'Diversifier index (decimal) when derived from a viewing key, legacy rows hold a random hex value';
@@ -0,0 +1,38 @@
+-- Migration 012: Shielded notes
+-- Notes found by trial-decrypting indexed blocks with merchant viewing keys,
+-- so shielded and unified invoices settle without a wallet RPC
+
+CREATE TABLE IF NOT EXISTS shielded_notes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    viewing_key_id INTEGER NOT NULL REFERENCES unified_viewing_keys(id) ON DELETE CASCADE,
+    pool VARCHAR(10) NOT NULL CHECK (pool IN ('sapling', 'orchard')),
+    txid VARCHAR(64) NOT NULL,
+    output_index INTEGER NOT NULL, -- index in vShieldedOutput (or orchard actions)
+    block_height INTEGER NOT NULL,
+    block_time TIMESTAMP WITH TIME ZONE,
+    receiver TEXT NOT NULL, -- zs1... address the note was sent to
+    diversifier VARCHAR(22) NOT NULL, -- 11-byte diversifier (hex)
+    value_zat BIGINT NOT NULL CHECK (value_zat >= 0),
+    memo TEXT, -- hex without zero padding, NULL when scanned from compact blocks
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    UNIQUE (viewing_key_id, txid, pool, output_index)
+);
+
+-- Scan progress per key
+ALTER TABLE unified_viewing_keys ADD COLUMN IF NOT EXISTS birthday_height INTEGER;
+ALTER TABLE unified_viewing_keys ADD COLUMN IF NOT EXISTS scanned_height INTEGER;
+
+-- Payments found by the scanner are recorded with source = 'scanner'
+ALTER TABLE invoice_payments DROP CONSTRAINT IF EXISTS invoice_payments_source_check;
+ALTER TABLE invoice_payments ADD CONSTRAINT invoice_payments_source_check
+    CHECK (source IN ('indexer', 'node', 'wallet', 'scanner'));
+
+-- Indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_shielded_notes_receiver ON shielded_notes(receiver);
+CREATE INDEX IF NOT EXISTS idx_shielded_notes_block_height ON shielded_notes(block_height);
+
+-- Comments for documentation
+COMMENT ON TABLE shielded_notes IS 'Shielded notes decrypted with registered viewing keys (value checked against the note commitment)';
+COMMENT ON COLUMN unified_viewing_keys.birthday_height IS 'First block that can hold notes for this key (scan start)';
+COMMENT ON COLUMN unified_viewing_keys.scanned_height IS 'Last block trial-decrypted with this key';
+COMMENT ON COLUMN invoice_payments.source IS 'indexer = backend/indexer outputs table, node = address index RPC, wallet = z_listreceivedbyaddress, scanner = trial decryption';
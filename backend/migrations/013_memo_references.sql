@@ -0,0 +1,51 @@
+-- Migration 013: Memo reference codes
+-- Shielded and unified invoices carry a checksummed reference (ZB-XXXXXXXX-CC)
+-- that payers send in the memo, so many invoices can share one address
+
+ALTER TABLE shielded_invoices ADD COLUMN IF NOT EXISTS payment_reference VARCHAR(16);
+ALTER TABLE unified_invoices ADD COLUMN IF NOT EXISTS payment_reference VARCHAR(16);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shielded_invoices_payment_reference
+    ON shielded_invoices(payment_reference) WHERE payment_reference IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_unified_invoices_payment_reference
+    ON unified_invoices(payment_reference) WHERE payment_reference IS NOT NULL;
+
+-- Payments matched by reference code, or assigned by hand from the review queue
+ALTER TABLE invoice_payments DROP CONSTRAINT IF EXISTS invoice_payments_matched_by_check;
+ALTER TABLE invoice_payments ADD CONSTRAINT invoice_payments_matched_by_check
+    CHECK (matched_by IN ('address', 'memo', 'amount', 'reference', 'manual'));
+
+-- Memo payments that matched no invoice, waiting for a person to assign or dismiss them
+CREATE TABLE IF NOT EXISTS memo_review_queue (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    address TEXT NOT NULL,
+    txid VARCHAR(64) NOT NULL,
+    output_index INTEGER NOT NULL,
+    amount_zec DECIMAL(16, 8) NOT NULL CHECK (amount_zec >= 0),
+    block_height INTEGER,
+    memo TEXT NOT NULL,
+    reference VARCHAR(16), -- first valid reference code in the memo, if any
+    source VARCHAR(20) NOT NULL CHECK (source IN ('indexer', 'node', 'wallet', 'scanner')),
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'assigned', 'dismissed')),
+    invoice_table VARCHAR(40), -- set when assigned
+    invoice_id TEXT,
+    resolution_note TEXT,
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    UNIQUE (txid, output_index, address)
+);
+
+-- Indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_memo_review_queue_open ON memo_review_queue(created_at) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_memo_review_queue_reference ON memo_review_queue(reference);
+
+-- Update trigger for updated_at timestamps
+CREATE TRIGGER update_memo_review_queue_updated_at
+    BEFORE UPDATE ON memo_review_queue
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Comments for documentation
+COMMENT ON COLUMN shielded_invoices.payment_reference IS 'Checksummed code the payer puts in the memo (ZIP-321 memo parameter)';
+COMMENT ON COLUMN unified_invoices.payment_reference IS 'Checksummed code the payer puts in the memo, NULL for transparent-only addresses';
+COMMENT ON TABLE memo_review_queue IS 'Payments with a memo that matched no pending invoice';
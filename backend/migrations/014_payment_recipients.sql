@@ -0,0 +1,8 @@
+-- Migration 014: Split payment recipients
+-- Unified invoices can ask the payer to pay extra recipients (platform fee,
+-- partners) in the same ZIP-321 payment request
+
+ALTER TABLE unified_invoices ADD COLUMN IF NOT EXISTS payment_recipients JSONB NOT NULL DEFAULT '[]';
+
+-- Comments for documentation
+COMMENT ON COLUMN unified_invoices.payment_recipients IS 'Extra ZIP-321 recipients [{address, amount_zec, label, memo}] paid on top of amount_zec';
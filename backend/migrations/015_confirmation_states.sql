@@ -0,0 +1,32 @@
+-- Migration 015: Confirmation states and reorg-safe settlement
+-- Invoices pass through detected (unmined) and confirming (mined, not deep
+-- enough) before paid; payments keep their block hash so a reorg can be
+-- detected against the indexer's blocks table
+
+ALTER TABLE invoices DROP CONSTRAINT IF EXISTS invoices_status_check;
+ALTER TABLE invoices ADD CONSTRAINT invoices_status_check
+    CHECK (status IN ('pending', 'detected', 'confirming', 'paid', 'expired', 'cancelled'));
+
+ALTER TABLE shielded_invoices DROP CONSTRAINT IF EXISTS shielded_invoices_status_check;
+ALTER TABLE shielded_invoices ADD CONSTRAINT shielded_invoices_status_check
+    CHECK (status IN ('pending', 'detected', 'confirming', 'paid', 'expired', 'cancelled'));
+
+ALTER TABLE webzjs_invoices DROP CONSTRAINT IF EXISTS webzjs_invoices_status_check;
+ALTER TABLE webzjs_invoices ADD CONSTRAINT webzjs_invoices_status_check
+    CHECK (status IN ('pending', 'detected', 'confirming', 'paid', 'expired', 'cancelled'));
+
+ALTER TABLE devtool_invoices DROP CONSTRAINT IF EXISTS devtool_invoices_status_check;
+ALTER TABLE devtool_invoices ADD CONSTRAINT devtool_invoices_status_check
+    CHECK (status IN ('pending', 'detected', 'confirming', 'paid', 'expired', 'cancelled'));
+
+ALTER TABLE unified_invoices DROP CONSTRAINT IF EXISTS unified_invoices_status_check;
+ALTER TABLE unified_invoices ADD CONSTRAINT unified_invoices_status_check
+    CHECK (status IN ('pending', 'detected', 'confirming', 'paid', 'expired', 'cancelled'));
+
+ALTER TABLE invoice_payments ADD COLUMN IF NOT EXISTS block_hash VARCHAR(64);
+
+-- Indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_invoice_payments_block_height ON invoice_payments(block_height);
+
+-- Comments for documentation
+COMMENT ON COLUMN invoice_payments.block_hash IS 'Hash of the block at block_height when recorded, compared with the indexer to detect reorgs';
@@ -0,0 +1,137 @@
+-- Migration 016: Double-entry ledger
+-- Invoice payments, reorg reversals, withdrawals, fees and manual adjustments
+-- post balanced journal entries in the same transaction as the money movement.
+-- Merchant balances are read from merchant_balances; user_balances stays for
+-- the reconciliation report
+
+CREATE TABLE IF NOT EXISTS ledger_accounts (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(100) UNIQUE NOT NULL, -- platform:wallet, platform:fee_revenue, merchant:<user id>, ...
+    account_type VARCHAR(20) NOT NULL
+        CHECK (account_type IN ('asset', 'liability', 'revenue', 'expense', 'equity')),
+    user_id UUID REFERENCES users(id), -- set for merchant accounts
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS ledger_entries (
+    id BIGSERIAL PRIMARY KEY,
+    entry_type VARCHAR(30) NOT NULL
+        CHECK (entry_type IN ('opening_balance', 'invoice_payment', 'payment_reversal', 'withdrawal', 'withdrawal_fee', 'network_fee', 'adjustment')),
+    reference_table VARCHAR(40), -- invoices, unified_invoices, withdrawals, users
+    reference_id TEXT,
+    description TEXT,
+    created_by TEXT, -- API key that posted a manual adjustment
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS ledger_postings (
+    id BIGSERIAL PRIMARY KEY,
+    entry_id BIGINT NOT NULL REFERENCES ledger_entries(id),
+    account_id INTEGER NOT NULL REFERENCES ledger_accounts(id),
+    amount_zec DECIMAL(16, 8) NOT NULL CHECK (amount_zec <> 0) -- debit positive, credit negative
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ledger_accounts_user_id ON ledger_accounts(user_id) WHERE user_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_reference ON ledger_entries(reference_table, reference_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_type ON ledger_entries(entry_type);
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_entry_id ON ledger_postings(entry_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_postings_account_id ON ledger_postings(account_id);
+
+-- Entries and postings are never changed; mistakes are corrected by posting more
+CREATE OR REPLACE FUNCTION ledger_reject_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'The ledger is append-only (% on %)', TG_OP, TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS ledger_entries_append_only ON ledger_entries;
+CREATE TRIGGER ledger_entries_append_only
+    BEFORE UPDATE OR DELETE ON ledger_entries
+    FOR EACH ROW EXECUTE FUNCTION ledger_reject_change();
+
+DROP TRIGGER IF EXISTS ledger_postings_append_only ON ledger_postings;
+CREATE TRIGGER ledger_postings_append_only
+    BEFORE UPDATE OR DELETE ON ledger_postings
+    FOR EACH ROW EXECUTE FUNCTION ledger_reject_change();
+
+-- Every entry sums to zero, checked at commit once all its postings are in
+CREATE OR REPLACE FUNCTION ledger_check_balanced()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF (SELECT SUM(amount_zec) FROM ledger_postings WHERE entry_id = NEW.entry_id) <> 0 THEN
+        RAISE EXCEPTION 'Ledger entry % does not balance', NEW.entry_id;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS ledger_postings_balanced ON ledger_postings;
+CREATE CONSTRAINT TRIGGER ledger_postings_balanced
+    AFTER INSERT ON ledger_postings
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW EXECUTE FUNCTION ledger_check_balanced();
+
+-- Merchant balances derived from the ledger (credits to a merchant account are
+-- what the platform owes them)
+CREATE OR REPLACE VIEW merchant_balances AS
+SELECT
+    u.id,
+    u.email,
+    u.name,
+    -COALESCE(SUM(CASE WHEN e.entry_type IN ('opening_balance', 'invoice_payment', 'payment_reversal') THEN p.amount_zec END), 0) AS total_received_zec,
+    COALESCE(SUM(CASE WHEN e.entry_type IN ('withdrawal', 'withdrawal_fee') THEN p.amount_zec END), 0) AS total_withdrawn_zec,
+    -COALESCE(SUM(CASE WHEN e.entry_type = 'adjustment' THEN p.amount_zec END), 0) AS total_adjustments_zec,
+    -COALESCE(SUM(p.amount_zec), 0) AS available_balance_zec,
+    COUNT(DISTINCT e.id) FILTER (WHERE e.entry_type = 'invoice_payment')
+        - COUNT(DISTINCT e.id) FILTER (WHERE e.entry_type = 'payment_reversal') AS total_invoices,
+    COUNT(DISTINCT e.id) FILTER (WHERE e.entry_type = 'withdrawal') AS total_withdrawals
+FROM users u
+LEFT JOIN ledger_accounts a ON a.user_id = u.id
+LEFT JOIN ledger_postings p ON p.account_id = a.id
+LEFT JOIN ledger_entries e ON e.id = p.entry_id
+GROUP BY u.id, u.email, u.name;
+
+COMMENT ON TABLE ledger_accounts IS 'Ledger accounts: platform accounts and one liability account per merchant';
+COMMENT ON TABLE ledger_entries IS 'Append-only journal entries, one per money movement';
+COMMENT ON TABLE ledger_postings IS 'Signed postings (debit positive, credit negative); each entry sums to zero';
+
+-- Opening balances for merchants with history from before the ledger: paid
+-- invoices (paid unified invoices are mirrored there) minus sent withdrawals
+DO $$
+DECLARE
+    merchant RECORD;
+    wallet_account INTEGER;
+    merchant_account INTEGER;
+    opening_entry BIGINT;
+BEGIN
+    IF EXISTS (SELECT 1 FROM ledger_entries) THEN
+        RETURN;
+    END IF;
+
+    INSERT INTO ledger_accounts (code, account_type) VALUES ('platform:wallet', 'asset')
+    ON CONFLICT (code) DO NOTHING;
+    SELECT id INTO wallet_account FROM ledger_accounts WHERE code = 'platform:wallet';
+
+    FOR merchant IN
+        SELECT u.id,
+            COALESCE((SELECT SUM(paid_amount_zec) FROM invoices WHERE user_id = u.id AND status = 'paid'), 0)
+            - COALESCE((SELECT SUM(amount_zec) FROM withdrawals WHERE user_id = u.id AND status = 'sent'), 0) AS balance
+        FROM users u
+    LOOP
+        CONTINUE WHEN merchant.balance = 0;
+
+        INSERT INTO ledger_accounts (code, account_type, user_id)
+        VALUES ('merchant:' || merchant.id, 'liability', merchant.id)
+        ON CONFLICT (code) DO NOTHING;
+        SELECT id INTO merchant_account FROM ledger_accounts WHERE code = 'merchant:' || merchant.id;
+
+        INSERT INTO ledger_entries (entry_type, reference_table, reference_id, description)
+        VALUES ('opening_balance', 'users', merchant.id::text, 'Balance before the ledger')
+        RETURNING id INTO opening_entry;
+
+        INSERT INTO ledger_postings (entry_id, account_id, amount_zec) VALUES
+            (opening_entry, wallet_account, merchant.balance),
+            (opening_entry, merchant_account, -merchant.balance);
+    END LOOP;
+END $$;
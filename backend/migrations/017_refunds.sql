@@ -0,0 +1,74 @@
+-- Migration 017: Refunds
+-- Paid invoices can be refunded in full or in part from the node wallet. Each
+-- refund debits the merchant's ledger balance; an invoice becomes refunded
+-- once its refunds cover the paid amount.
+
+ALTER TABLE invoices DROP CONSTRAINT IF EXISTS invoices_status_check;
+ALTER TABLE invoices ADD CONSTRAINT invoices_status_check
+    CHECK (status IN ('pending', 'detected', 'confirming', 'paid', 'expired', 'cancelled', 'refunded'));
+
+ALTER TABLE shielded_invoices DROP CONSTRAINT IF EXISTS shielded_invoices_status_check;
+ALTER TABLE shielded_invoices ADD CONSTRAINT shielded_invoices_status_check
+    CHECK (status IN ('pending', 'detected', 'confirming', 'paid', 'expired', 'cancelled', 'refunded'));
+
+ALTER TABLE unified_invoices DROP CONSTRAINT IF EXISTS unified_invoices_status_check;
+ALTER TABLE unified_invoices ADD CONSTRAINT unified_invoices_status_check
+    CHECK (status IN ('pending', 'detected', 'confirming', 'paid', 'expired', 'cancelled', 'refunded'));
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS refunded_amount_zec DECIMAL(16, 8) NOT NULL DEFAULT 0;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE shielded_invoices ADD COLUMN IF NOT EXISTS refunded_amount_zec DECIMAL(16, 8) NOT NULL DEFAULT 0;
+ALTER TABLE shielded_invoices ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE unified_invoices ADD COLUMN IF NOT EXISTS refunded_amount_zec DECIMAL(16, 8) NOT NULL DEFAULT 0;
+ALTER TABLE unified_invoices ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS refunds (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    invoice_table VARCHAR(40) NOT NULL
+        CHECK (invoice_table IN ('invoices', 'shielded_invoices', 'unified_invoices')),
+    invoice_id TEXT NOT NULL,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    amount_zec DECIMAL(16, 8) NOT NULL CHECK (amount_zec > 0),
+    to_address VARCHAR(120) NOT NULL,
+    reason TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'processing'
+        CHECK (status IN ('processing', 'sent', 'failed')),
+    txid VARCHAR(64),
+    error TEXT,
+    requested_by TEXT, -- api_key:<id>
+    requested_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    processed_at TIMESTAMP WITH TIME ZONE
+);
+
+ALTER TABLE ledger_entries DROP CONSTRAINT IF EXISTS ledger_entries_entry_type_check;
+ALTER TABLE ledger_entries ADD CONSTRAINT ledger_entries_entry_type_check
+    CHECK (entry_type IN ('opening_balance', 'invoice_payment', 'payment_reversal', 'withdrawal', 'withdrawal_fee', 'network_fee', 'refund', 'adjustment'));
+
+-- Merchant balances derived from the ledger (credits to a merchant account are
+-- what the platform owes them)
+CREATE OR REPLACE VIEW merchant_balances AS
+SELECT
+    u.id,
+    u.email,
+    u.name,
+    -COALESCE(SUM(CASE WHEN e.entry_type IN ('opening_balance', 'invoice_payment', 'payment_reversal') THEN p.amount_zec END), 0) AS total_received_zec,
+    COALESCE(SUM(CASE WHEN e.entry_type IN ('withdrawal', 'withdrawal_fee') THEN p.amount_zec END), 0) AS total_withdrawn_zec,
+    -COALESCE(SUM(CASE WHEN e.entry_type = 'adjustment' THEN p.amount_zec END), 0) AS total_adjustments_zec,
+    -COALESCE(SUM(p.amount_zec), 0) AS available_balance_zec,
+    COUNT(DISTINCT e.id) FILTER (WHERE e.entry_type = 'invoice_payment')
+        - COUNT(DISTINCT e.id) FILTER (WHERE e.entry_type = 'payment_reversal') AS total_invoices,
+    COUNT(DISTINCT e.id) FILTER (WHERE e.entry_type = 'withdrawal') AS total_withdrawals,
+    COALESCE(SUM(CASE WHEN e.entry_type = 'refund' THEN p.amount_zec END), 0) AS total_refunded_zec
+FROM users u
+LEFT JOIN ledger_accounts a ON a.user_id = u.id
+LEFT JOIN ledger_postings p ON p.account_id = a.id
+LEFT JOIN ledger_entries e ON e.id = p.entry_id
+GROUP BY u.id, u.email, u.name;
+
+-- Indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_refunds_invoice ON refunds(invoice_table, invoice_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_user_status ON refunds(user_id, status);
+
+-- Comments for documentation
+COMMENT ON TABLE refunds IS 'Refunds of paid invoices sent from the node wallet; processing refunds hold their amount against the merchant balance';
+COMMENT ON COLUMN invoices.refunded_amount_zec IS 'Total of sent refunds; the invoice is refunded once it covers paid_amount_zec';
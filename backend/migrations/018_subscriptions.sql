@@ -0,0 +1,65 @@
+-- Migration 018: Subscription plans and renewals
+-- Plans define the price and billing interval of access to an item_id. The
+-- renewal scheduler issues an invoice before each period ends; paying it
+-- extends current_period_end. Unpaid subscriptions go past_due, keep access
+-- for the plan's grace period and then expire.
+
+CREATE TABLE IF NOT EXISTS subscription_plans (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    item_id VARCHAR(255) NOT NULL, -- content the plan grants access to
+    amount_zec DECIMAL(16, 8) NOT NULL CHECK (amount_zec > 0),
+    interval_unit VARCHAR(10) NOT NULL DEFAULT 'month'
+        CHECK (interval_unit IN ('day', 'week', 'month', 'year')),
+    interval_count INTEGER NOT NULL DEFAULT 1 CHECK (interval_count > 0),
+    trial_days INTEGER NOT NULL DEFAULT 0 CHECK (trial_days >= 0),
+    grace_days INTEGER NOT NULL DEFAULT 3 CHECK (grace_days >= 0),
+    active BOOLEAN NOT NULL DEFAULT true, -- inactive plans take no new subscribers
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS subscriptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    plan_id UUID NOT NULL REFERENCES subscription_plans(id),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'trialing', 'active', 'past_due', 'canceled', 'expired')),
+    current_period_start TIMESTAMP WITH TIME ZONE,
+    current_period_end TIMESTAMP WITH TIME ZONE, -- paid (or trial) access ends here, plus grace
+    trial_ends_at TIMESTAMP WITH TIME ZONE,
+    cancel_at_period_end BOOLEAN NOT NULL DEFAULT false,
+    canceled_at TIMESTAMP WITH TIME ZONE,
+    ended_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Renewal invoices are legacy invoices pointing at their subscription
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS subscription_id UUID REFERENCES subscriptions(id) ON DELETE SET NULL;
+
+-- Indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_subscription_plans_item_id ON subscription_plans(item_id);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_user_id ON subscriptions(user_id);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_status_period_end ON subscriptions(status, current_period_end);
+CREATE INDEX IF NOT EXISTS idx_invoices_subscription_id ON invoices(subscription_id);
+
+-- One live subscription per user and plan, one open invoice per subscription
+CREATE UNIQUE INDEX IF NOT EXISTS idx_subscriptions_live ON subscriptions(user_id, plan_id)
+    WHERE status IN ('pending', 'trialing', 'active', 'past_due');
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_open_subscription ON invoices(subscription_id)
+    WHERE subscription_id IS NOT NULL AND status IN ('pending', 'detected', 'confirming');
+
+-- Update triggers for updated_at timestamps
+CREATE TRIGGER update_subscription_plans_updated_at
+    BEFORE UPDATE ON subscription_plans
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_subscriptions_updated_at
+    BEFORE UPDATE ON subscriptions
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Comments for documentation
+COMMENT ON TABLE subscription_plans IS 'Recurring plans: price, billing interval, trial and grace period for an item_id';
+COMMENT ON TABLE subscriptions IS 'A user subscribed to a plan; renewed by paying the invoices the scheduler issues';
+COMMENT ON COLUMN invoices.subscription_id IS 'Subscription the invoice renews; paying it extends current_period_end';
@@ -0,0 +1,34 @@
+-- Migration 019: Fiat-priced invoices
+-- Invoices can be priced in USD or EUR. The ZEC amount is quoted from the
+-- configured exchange rate provider on creation and the rate is locked until
+-- quote_expires_at. A payment that only covers the invoice after that is
+-- re-quoted at the current rate or accepted and flagged late.
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS amount_fiat DECIMAL(18, 2);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS fiat_currency VARCHAR(3);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(20, 8);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS rate_source VARCHAR(40);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS quoted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS quote_expires_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS quote_status VARCHAR(20)
+    CHECK (quote_status IN ('locked', 'requoted', 'late'));
+
+ALTER TABLE unified_invoices ADD COLUMN IF NOT EXISTS amount_fiat DECIMAL(18, 2);
+ALTER TABLE unified_invoices ADD COLUMN IF NOT EXISTS fiat_currency VARCHAR(3);
+ALTER TABLE unified_invoices ADD COLUMN IF NOT EXISTS exchange_rate DECIMAL(20, 8);
+ALTER TABLE unified_invoices ADD COLUMN IF NOT EXISTS rate_source VARCHAR(40);
+ALTER TABLE unified_invoices ADD COLUMN IF NOT EXISTS quoted_at TIMESTAMP;
+ALTER TABLE unified_invoices ADD COLUMN IF NOT EXISTS quote_expires_at TIMESTAMP;
+ALTER TABLE unified_invoices ADD COLUMN IF NOT EXISTS quote_status VARCHAR(20)
+    CHECK (quote_status IN ('locked', 'requoted', 'late'));
+
+-- Indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_invoices_quote_status ON invoices(quote_status) WHERE quote_status IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_unified_invoices_quote_status ON unified_invoices(quote_status) WHERE quote_status IS NOT NULL;
+
+-- Comments for documentation
+COMMENT ON COLUMN invoices.amount_fiat IS 'Price in fiat_currency; amount_zec is quoted from it at exchange_rate';
+COMMENT ON COLUMN invoices.exchange_rate IS 'Fiat per ZEC the amount was quoted at';
+COMMENT ON COLUMN invoices.quote_expires_at IS 'Payments covering the invoice after this are re-quoted or flagged late';
+COMMENT ON COLUMN unified_invoices.amount_fiat IS 'Price in fiat_currency; amount_zec is quoted from it at exchange_rate';
+COMMENT ON COLUMN unified_invoices.quote_expires_at IS 'Payments covering the invoice after this are re-quoted or flagged late';
@@ -0,0 +1,72 @@
+-- Migration 020: Partial payments, overpayments and payment tolerance
+-- Invoices that received less than their amount are partially_paid and wait
+-- for the rest instead of expiring. Merchants can accept a small shortfall
+-- (a percentage or fixed tolerance) and choose whether the excess of an
+-- overpayment stays in their balance or is queued as a refund. Each payment
+-- records how much of it went to the invoice.
+
+ALTER TABLE invoices DROP CONSTRAINT IF EXISTS invoices_status_check;
+ALTER TABLE invoices ADD CONSTRAINT invoices_status_check
+    CHECK (status IN ('pending', 'partially_paid', 'detected', 'confirming', 'paid', 'expired', 'cancelled', 'refunded'));
+
+ALTER TABLE shielded_invoices DROP CONSTRAINT IF EXISTS shielded_invoices_status_check;
+ALTER TABLE shielded_invoices ADD CONSTRAINT shielded_invoices_status_check
+    CHECK (status IN ('pending', 'partially_paid', 'detected', 'confirming', 'paid', 'expired', 'cancelled', 'refunded'));
+
+ALTER TABLE webzjs_invoices DROP CONSTRAINT IF EXISTS webzjs_invoices_status_check;
+ALTER TABLE webzjs_invoices ADD CONSTRAINT webzjs_invoices_status_check
+    CHECK (status IN ('pending', 'partially_paid', 'detected', 'confirming', 'paid', 'expired', 'cancelled'));
+
+ALTER TABLE devtool_invoices DROP CONSTRAINT IF EXISTS devtool_invoices_status_check;
+ALTER TABLE devtool_invoices ADD CONSTRAINT devtool_invoices_status_check
+    CHECK (status IN ('pending', 'partially_paid', 'detected', 'confirming', 'paid', 'expired', 'cancelled'));
+
+ALTER TABLE unified_invoices DROP CONSTRAINT IF EXISTS unified_invoices_status_check;
+ALTER TABLE unified_invoices ADD CONSTRAINT unified_invoices_status_check
+    CHECK (status IN ('pending', 'partially_paid', 'detected', 'confirming', 'paid', 'expired', 'cancelled', 'refunded'));
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS overpaid_zec DECIMAL(16, 8) NOT NULL DEFAULT 0;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS underpaid_zec DECIMAL(16, 8) NOT NULL DEFAULT 0;
+ALTER TABLE shielded_invoices ADD COLUMN IF NOT EXISTS overpaid_zec DECIMAL(16, 8) NOT NULL DEFAULT 0;
+ALTER TABLE shielded_invoices ADD COLUMN IF NOT EXISTS underpaid_zec DECIMAL(16, 8) NOT NULL DEFAULT 0;
+ALTER TABLE webzjs_invoices ADD COLUMN IF NOT EXISTS overpaid_zec DECIMAL(16, 8) NOT NULL DEFAULT 0;
+ALTER TABLE webzjs_invoices ADD COLUMN IF NOT EXISTS underpaid_zec DECIMAL(16, 8) NOT NULL DEFAULT 0;
+ALTER TABLE devtool_invoices ADD COLUMN IF NOT EXISTS overpaid_zec DECIMAL(16, 8) NOT NULL DEFAULT 0;
+ALTER TABLE devtool_invoices ADD COLUMN IF NOT EXISTS underpaid_zec DECIMAL(16, 8) NOT NULL DEFAULT 0;
+ALTER TABLE unified_invoices ADD COLUMN IF NOT EXISTS overpaid_zec DECIMAL(16, 8) NOT NULL DEFAULT 0;
+ALTER TABLE unified_invoices ADD COLUMN IF NOT EXISTS underpaid_zec DECIMAL(16, 8) NOT NULL DEFAULT 0;
+
+-- Merchant payment settings, NULL uses the platform default
+ALTER TABLE users ADD COLUMN IF NOT EXISTS payment_tolerance_percent DECIMAL(5, 2)
+    CHECK (payment_tolerance_percent BETWEEN 0 AND 10);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS payment_tolerance_zec DECIMAL(16, 8)
+    CHECK (payment_tolerance_zec >= 0);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS overpayment_policy VARCHAR(10)
+    CHECK (overpayment_policy IN ('credit', 'refund'));
+
+-- Breakdown of each contributing payment
+ALTER TABLE invoice_payments ADD COLUMN IF NOT EXISTS applied_zec DECIMAL(16, 8);
+ALTER TABLE invoice_payments ADD COLUMN IF NOT EXISTS excess_zec DECIMAL(16, 8);
+
+-- Overpayment refunds wait in the queue until the merchant gives an address
+ALTER TABLE refunds ALTER COLUMN to_address DROP NOT NULL;
+ALTER TABLE refunds DROP CONSTRAINT IF EXISTS refunds_status_check;
+ALTER TABLE refunds ADD CONSTRAINT refunds_status_check
+    CHECK (status IN ('queued', 'processing', 'sent', 'failed', 'canceled'));
+ALTER TABLE refunds DROP CONSTRAINT IF EXISTS refunds_to_address_check;
+ALTER TABLE refunds ADD CONSTRAINT refunds_to_address_check
+    CHECK (status IN ('queued', 'canceled') OR to_address IS NOT NULL);
+
+-- Indexes for better performance
+-- Partially paid renewal invoices are still the subscription's open invoice
+DROP INDEX IF EXISTS idx_invoices_open_subscription;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_open_subscription ON invoices(subscription_id)
+    WHERE subscription_id IS NOT NULL AND status IN ('pending', 'partially_paid', 'detected', 'confirming');
+
+-- Comments for documentation
+COMMENT ON COLUMN invoices.overpaid_zec IS 'Received above amount_zec; credited to the merchant or queued as a refund';
+COMMENT ON COLUMN invoices.underpaid_zec IS 'Shortfall accepted within the merchant payment tolerance';
+COMMENT ON COLUMN users.payment_tolerance_percent IS 'Invoices settle when short by at most this percentage (or payment_tolerance_zec, whichever is larger)';
+COMMENT ON COLUMN users.overpayment_policy IS 'credit keeps the excess of an overpayment in the balance, refund queues it';
+COMMENT ON COLUMN invoice_payments.applied_zec IS 'Part of the payment counted towards the invoice amount, in arrival order';
+COMMENT ON TABLE refunds IS 'Refunds of paid invoices sent from the node wallet; queued and processing refunds hold their amount against the merchant balance';
@@ -0,0 +1,262 @@
+-- Migration 021: One invoices table
+-- Legacy, shielded, WebZjs, zcash-devtool and unified invoices all live in
+-- `invoices` now; `source` records which API created an invoice and
+-- `payment_method` how it is paid. Rows of the old tables are moved in (the
+-- SERIAL ones get a UUID and keep their old ID in legacy_id), every reference
+-- to them is remapped, and the old tables are kept as archived_* for
+-- inspection. The balance-tracking copies of paid unified invoices are
+-- dropped, the unified invoices themselves count towards the balance.
+
+BEGIN;
+
+-- Columns every payment method needs
+ALTER TABLE invoices RENAME COLUMN z_address TO payment_address;
+ALTER TABLE invoices ALTER COLUMN payment_address TYPE TEXT;
+ALTER TABLE invoices ALTER COLUMN payment_address DROP NOT NULL; -- wallet invoices may not have one yet
+ALTER TABLE invoices ALTER COLUMN paid_txid TYPE VARCHAR(255);
+ALTER TABLE invoices ALTER COLUMN item_id TYPE TEXT;
+
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS source VARCHAR(20) NOT NULL DEFAULT 'legacy'
+    CHECK (source IN ('legacy', 'shielded', 'webzjs', 'devtool', 'unified'));
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS payment_method VARCHAR(20) NOT NULL DEFAULT 'transparent'
+    CHECK (payment_method IN ('auto', 'transparent', 'shielded', 'unified', 'webzjs', 'devtool'));
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS network VARCHAR(10) CHECK (network IN ('mainnet', 'testnet'));
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS address_type VARCHAR(30);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS address_metadata JSONB NOT NULL DEFAULT '{}';
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS description TEXT;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS memo TEXT;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS payment_reference VARCHAR(16);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS payment_recipients JSONB NOT NULL DEFAULT '[]';
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS shielded_wallet_id UUID REFERENCES shielded_wallets(id) ON DELETE SET NULL;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS webzjs_wallet_id INTEGER REFERENCES webzjs_wallets(id) ON DELETE SET NULL;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS devtool_wallet_id INTEGER REFERENCES devtool_wallets(id) ON DELETE SET NULL;
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS legacy_table VARCHAR(40);
+ALTER TABLE invoices ADD COLUMN IF NOT EXISTS legacy_id TEXT;
+
+-- New invoices always say where they come from
+ALTER TABLE invoices ALTER COLUMN source DROP DEFAULT;
+ALTER TABLE invoices ALTER COLUMN payment_method DROP DEFAULT;
+
+UPDATE invoices SET address_type = CASE
+    WHEN payment_address ~ '^(u1|utest1)' THEN 'unified'
+    WHEN payment_address ~ '^(t|tex1|textest1)' THEN 'transparent'
+    ELSE 'shielded'
+END
+WHERE address_type IS NULL;
+
+-- Balance-tracking copies of paid unified invoices (never had payments of their own)
+DELETE FROM invoices i
+USING unified_invoices ui
+WHERE i.user_id = ui.user_id
+  AND i.payment_address = ui.payment_address
+  AND i.paid_txid = ui.paid_txid
+  AND i.status = 'paid'
+  AND i.address_index IS NULL
+  AND i.subscription_id IS NULL
+  AND NOT EXISTS (
+      SELECT 1 FROM invoice_payments p
+      WHERE p.invoice_table = 'invoices' AND p.invoice_id = i.id::text
+  )
+  AND NOT EXISTS (
+      SELECT 1 FROM refunds r
+      WHERE r.invoice_table = 'invoices' AND r.invoice_id = i.id::text
+  );
+
+-- Shielded invoices already have UUIDs and keep them
+INSERT INTO invoices (
+    id, source, user_id, type, amount_zec, payment_method, payment_address, address_type,
+    item_id, memo, payment_reference, shielded_wallet_id, status,
+    paid_amount_zec, paid_txid, paid_at, overpaid_zec, underpaid_zec, refunded_amount_zec, refunded_at,
+    expires_at, created_at, updated_at, legacy_table, legacy_id
+)
+SELECT
+    si.id, 'shielded', si.user_id, 'one_time', si.amount_zec, 'shielded', si.z_address,
+    CASE WHEN si.z_address ~ '^(u1|utest1)' THEN 'unified' ELSE 'shielded' END,
+    si.item_id, si.memo, si.payment_reference, si.wallet_id, si.status,
+    si.paid_amount_zec, si.paid_txid, si.paid_at, si.overpaid_zec, si.underpaid_zec,
+    si.refunded_amount_zec, si.refunded_at,
+    si.expires_at, si.created_at, si.updated_at, 'shielded_invoices', si.id::text
+FROM shielded_invoices si;
+
+INSERT INTO invoices (
+    source, user_id, type, amount_zec, payment_method, network, payment_address, address_type,
+    item_id, description, webzjs_wallet_id, status,
+    paid_amount_zec, paid_txid, paid_at, overpaid_zec, underpaid_zec,
+    created_at, updated_at, legacy_table, legacy_id
+)
+SELECT
+    'webzjs', wi.user_id, 'one_time', wi.amount_zec, 'webzjs', w.network, wi.payment_address,
+    CASE
+        WHEN wi.payment_address IS NULL THEN 'webzjs_placeholder'
+        WHEN wi.payment_address ~ '^(u1|utest1)' THEN 'unified'
+        WHEN wi.payment_address ~ '^(t|tex1|textest1)' THEN 'transparent'
+        ELSE 'shielded'
+    END,
+    wi.item_id, wi.description, wi.wallet_id, COALESCE(wi.status, 'pending'),
+    wi.paid_amount_zec, wi.paid_txid, wi.paid_at::timestamptz, wi.overpaid_zec, wi.underpaid_zec,
+    wi.created_at::timestamptz, wi.updated_at::timestamptz, 'webzjs_invoices', wi.id::text
+FROM webzjs_invoices wi
+LEFT JOIN webzjs_wallets w ON w.id = wi.wallet_id;
+
+INSERT INTO invoices (
+    source, user_id, type, amount_zec, payment_method, network, payment_address, address_type,
+    item_id, description, devtool_wallet_id, status,
+    paid_amount_zec, paid_txid, paid_at, overpaid_zec, underpaid_zec,
+    created_at, updated_at, legacy_table, legacy_id
+)
+SELECT
+    'devtool', di.user_id, 'one_time', di.amount_zec, 'devtool', w.network, di.payment_address,
+    CASE
+        WHEN di.payment_address IS NULL THEN 'devtool_placeholder'
+        WHEN di.payment_address ~ '^(u1|utest1)' THEN 'unified'
+        WHEN di.payment_address ~ '^(t|tex1|textest1)' THEN 'transparent'
+        ELSE 'shielded'
+    END,
+    di.item_id, di.description, di.wallet_id, COALESCE(di.status, 'pending'),
+    di.paid_amount_zec, di.paid_txid, di.paid_at::timestamptz, di.overpaid_zec, di.underpaid_zec,
+    di.created_at::timestamptz, di.updated_at::timestamptz, 'devtool_invoices', di.id::text
+FROM devtool_invoices di
+LEFT JOIN devtool_wallets w ON w.id = di.wallet_id;
+
+INSERT INTO invoices (
+    source, user_id, type, amount_zec, payment_method, network, payment_address, address_type,
+    address_metadata, address_index, item_id, description, payment_reference, payment_recipients,
+    shielded_wallet_id, webzjs_wallet_id, devtool_wallet_id, status,
+    paid_amount_zec, paid_txid, paid_at, overpaid_zec, underpaid_zec, refunded_amount_zec, refunded_at,
+    expires_at, amount_fiat, fiat_currency, exchange_rate, rate_source, quoted_at, quote_expires_at, quote_status,
+    created_at, updated_at, legacy_table, legacy_id
+)
+SELECT
+    'unified', ui.user_id, ui.type, ui.amount_zec, ui.payment_method, ui.network, ui.payment_address, ui.address_type,
+    COALESCE(ui.address_metadata, '{}'), ui.address_index, ui.item_id, ui.description, ui.payment_reference,
+    ui.payment_recipients, ui.shielded_wallet_id, ui.webzjs_wallet_id, ui.devtool_wallet_id, ui.status,
+    ui.paid_amount_zec, ui.paid_txid, ui.paid_at::timestamptz, ui.overpaid_zec, ui.underpaid_zec,
+    ui.refunded_amount_zec, ui.refunded_at::timestamptz,
+    ui.expires_at::timestamptz, ui.amount_fiat, ui.fiat_currency, ui.exchange_rate, ui.rate_source,
+    ui.quoted_at::timestamptz, ui.quote_expires_at::timestamptz, ui.quote_status,
+    ui.created_at::timestamptz, ui.updated_at::timestamptz, 'unified_invoices', ui.id::text
+FROM unified_invoices ui;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_legacy ON invoices(legacy_table, legacy_id)
+    WHERE legacy_table IS NOT NULL;
+
+-- Everything that pointed at an invoice table now points at invoices
+UPDATE invoice_payments p SET invoice_table = 'invoices', invoice_id = i.id::text
+FROM invoices i
+WHERE p.invoice_table <> 'invoices'
+  AND i.legacy_table = p.invoice_table AND i.legacy_id = p.invoice_id;
+
+UPDATE refunds r SET invoice_table = 'invoices', invoice_id = i.id::text
+FROM invoices i
+WHERE r.invoice_table <> 'invoices'
+  AND i.legacy_table = r.invoice_table AND i.legacy_id = r.invoice_id;
+
+UPDATE memo_review_queue q SET invoice_table = 'invoices', invoice_id = i.id::text
+FROM invoices i
+WHERE q.invoice_table <> 'invoices'
+  AND i.legacy_table = q.invoice_table AND i.legacy_id = q.invoice_id;
+
+UPDATE derived_addresses d SET invoice_table = 'invoices', invoice_id = i.id::text
+FROM invoices i
+WHERE d.invoice_table <> 'invoices'
+  AND i.legacy_table = d.invoice_table AND i.legacy_id = d.invoice_id;
+
+-- The ledger is append-only; this one-off remap of references is the exception
+ALTER TABLE ledger_entries DISABLE TRIGGER ledger_entries_append_only;
+
+UPDATE ledger_entries e SET reference_table = 'invoices', reference_id = i.id::text
+FROM invoices i
+WHERE e.reference_table IN ('shielded_invoices', 'webzjs_invoices', 'devtool_invoices', 'unified_invoices')
+  AND i.legacy_table = e.reference_table AND i.legacy_id = e.reference_id;
+
+ALTER TABLE ledger_entries ENABLE TRIGGER ledger_entries_append_only;
+
+ALTER TABLE invoice_payments DROP CONSTRAINT IF EXISTS invoice_payments_invoice_table_check;
+ALTER TABLE invoice_payments ADD CONSTRAINT invoice_payments_invoice_table_check
+    CHECK (invoice_table = 'invoices');
+ALTER TABLE refunds DROP CONSTRAINT IF EXISTS refunds_invoice_table_check;
+ALTER TABLE refunds ADD CONSTRAINT refunds_invoice_table_check
+    CHECK (invoice_table = 'invoices');
+
+-- Views over the old tables
+DROP VIEW IF EXISTS unified_invoice_details;
+DROP VIEW IF EXISTS unified_payment_summary;
+DROP VIEW IF EXISTS all_invoices;
+DROP VIEW IF EXISTS payment_method_stats;
+DROP VIEW IF EXISTS user_balances;
+
+-- Kept for ledger reconciliation; sums per table so rows no longer multiply
+CREATE VIEW user_balances AS
+SELECT
+    u.id,
+    u.email,
+    u.name,
+    COALESCE(i.received_zec, 0) as total_received_zec,
+    COALESCE(w.withdrawn_zec, 0) as total_withdrawn_zec,
+    COALESCE(i.received_zec, 0) - COALESCE(w.withdrawn_zec, 0) as available_balance_zec,
+    COALESCE(i.invoice_count, 0) as total_invoices,
+    COALESCE(w.withdrawal_count, 0) as total_withdrawals
+FROM users u
+LEFT JOIN (
+    SELECT user_id,
+        SUM(CASE WHEN status = 'paid' THEN paid_amount_zec ELSE 0 END) as received_zec,
+        COUNT(*) as invoice_count
+    FROM invoices
+    WHERE source IN ('legacy', 'unified')
+    GROUP BY user_id
+) i ON i.user_id = u.id
+LEFT JOIN (
+    SELECT user_id,
+        SUM(CASE WHEN status = 'sent' THEN amount_zec ELSE 0 END) as withdrawn_zec,
+        COUNT(*) as withdrawal_count
+    FROM withdrawals
+    GROUP BY user_id
+) w ON w.user_id = u.id;
+
+CREATE VIEW payment_method_stats AS
+SELECT
+    payment_method,
+    network,
+    COUNT(*) as total_invoices,
+    COUNT(CASE WHEN status = 'paid' THEN 1 END) as paid_invoices,
+    COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_invoices,
+    COALESCE(SUM(CASE WHEN status = 'paid' THEN paid_amount_zec END), 0) as total_revenue_zec,
+    COALESCE(AVG(CASE WHEN status = 'paid' THEN paid_amount_zec END), 0) as avg_payment_zec
+FROM invoices
+GROUP BY payment_method, network
+ORDER BY total_revenue_zec DESC;
+
+-- Old tables stay around, read-only by convention, until someone drops them
+ALTER TABLE shielded_invoices RENAME TO archived_shielded_invoices;
+ALTER TABLE webzjs_invoices RENAME TO archived_webzjs_invoices;
+ALTER TABLE devtool_invoices RENAME TO archived_devtool_invoices;
+ALTER TABLE unified_invoices RENAME TO archived_unified_invoices;
+
+DROP TRIGGER IF EXISTS update_shielded_invoices_updated_at ON archived_shielded_invoices;
+DROP TRIGGER IF EXISTS update_webzjs_invoices_updated_at ON archived_webzjs_invoices;
+DROP TRIGGER IF EXISTS update_devtool_invoices_updated_at ON archived_devtool_invoices;
+DROP TRIGGER IF EXISTS update_unified_invoices_updated_at ON archived_unified_invoices;
+
+-- Their unique indexes would clash with the names used below
+DROP INDEX IF EXISTS idx_shielded_invoices_payment_reference;
+DROP INDEX IF EXISTS idx_unified_invoices_payment_reference;
+DROP INDEX IF EXISTS idx_unified_invoices_derived_payment_address;
+
+-- Indexes for better performance
+ALTER INDEX IF EXISTS idx_invoices_z_address RENAME TO idx_invoices_payment_address;
+ALTER INDEX IF EXISTS idx_invoices_derived_z_address RENAME TO idx_invoices_derived_payment_address;
+CREATE INDEX IF NOT EXISTS idx_invoices_source ON invoices(source);
+CREATE INDEX IF NOT EXISTS idx_invoices_payment_method ON invoices(payment_method);
+CREATE INDEX IF NOT EXISTS idx_invoices_shielded_wallet_id ON invoices(shielded_wallet_id) WHERE shielded_wallet_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_invoices_webzjs_wallet_id ON invoices(webzjs_wallet_id) WHERE webzjs_wallet_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_invoices_devtool_wallet_id ON invoices(devtool_wallet_id) WHERE devtool_wallet_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_invoices_payment_reference ON invoices(payment_reference) WHERE payment_reference IS NOT NULL;
+
+-- Comments for documentation
+COMMENT ON TABLE invoices IS 'Every invoice, whichever API created it (source) and however it is paid (payment_method)';
+COMMENT ON COLUMN invoices.payment_address IS 'Address the invoice is paid to - unique when derived, NULL until a wallet invoice has one';
+COMMENT ON COLUMN invoices.source IS 'API that created the invoice: legacy, shielded, webzjs, devtool or unified';
+COMMENT ON COLUMN invoices.legacy_id IS 'ID in legacy_table for invoices moved in by migration 021; old integer IDs still resolve through it';
+COMMENT ON VIEW payment_method_stats IS 'Statistics on payment method usage and revenue';
+
+COMMIT;
@@ -0,0 +1,12 @@
+-- Migration 022 (down): Withdrawal batches
+-- Withdrawals keep their status and txid; batches still in flight should be
+-- resolved first.
+
+DROP INDEX IF EXISTS idx_withdrawals_pending_requested_at;
+DROP INDEX IF EXISTS idx_withdrawals_batch_id;
+
+ALTER TABLE withdrawals DROP COLUMN IF EXISTS error;
+ALTER TABLE withdrawals DROP COLUMN IF EXISTS attempts;
+ALTER TABLE withdrawals DROP COLUMN IF EXISTS batch_id;
+
+DROP TABLE IF EXISTS withdrawal_batches;
@@ -0,0 +1,36 @@
+-- Migration 022: Withdrawal batches
+-- Pending withdrawals are sent together in multi-recipient z_sendmany calls.
+-- Each batch records its recipients, ZIP-317 fee and operation ID so an
+-- interrupted run can be finished without sending twice. Withdrawals record
+-- their batch, how often they were tried and the last error.
+
+CREATE TABLE IF NOT EXISTS withdrawal_batches (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    status VARCHAR(20) NOT NULL DEFAULT 'sending'
+        CHECK (status IN ('sending', 'submitted', 'sent', 'failed', 'unknown')),
+    recipients JSONB NOT NULL, -- z_sendmany amounts: [{ address, amount, memo? }]
+    withdrawal_ids UUID[] NOT NULL CHECK (cardinality(withdrawal_ids) > 0), -- withdrawals paid out by it
+    total_zec DECIMAL(16, 8) NOT NULL, -- sum of the recipient amounts
+    fee_zec DECIMAL(16, 8) NOT NULL CHECK (fee_zec >= 0), -- ZIP-317 network fee
+    action_count INTEGER NOT NULL, -- estimated logical actions
+    treasury_address VARCHAR(120), -- where the platform fees went, NULL without a treasury
+    opid VARCHAR(100), -- z_sendmany operation ID
+    txid VARCHAR(64),
+    error TEXT,
+    created_by TEXT, -- api_key:<id>, or scheduler
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    submitted_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_withdrawal_batches_status ON withdrawal_batches(status);
+CREATE INDEX IF NOT EXISTS idx_withdrawal_batches_created_at ON withdrawal_batches(created_at);
+
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES withdrawal_batches(id) ON DELETE SET NULL;
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE withdrawals ADD COLUMN IF NOT EXISTS error TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_withdrawals_batch_id ON withdrawals(batch_id);
+CREATE INDEX IF NOT EXISTS idx_withdrawals_pending_requested_at ON withdrawals(requested_at) WHERE status = 'pending';
+
+COMMENT ON TABLE withdrawal_batches IS 'Multi-recipient z_sendmany calls paying out pending withdrawals; sending, submitted and unknown batches may have gone out and are never resent';
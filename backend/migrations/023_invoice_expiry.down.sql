@@ -0,0 +1,4 @@
+-- Migration 023 (down): Per-invoice expiry
+-- Stored expiries stay; only the column comment is reverted.
+
+COMMENT ON COLUMN invoices.expires_at IS NULL;
@@ -0,0 +1,8 @@
+-- Migration 023: Per-invoice expiry
+-- New invoices store when they expire unpaid in expires_at (the caller's
+-- expires_at, or INVOICE_TTL_MINUTES after creation), and fiat quotes never
+-- outlive it. Once a subscription invoice is paid the column holds the end of
+-- the paid period, as before. Open invoices created before this migration
+-- have no expires_at and keep expiring INVOICE_TTL_MINUTES after creation.
+
+COMMENT ON COLUMN invoices.expires_at IS 'While unpaid: when the invoice expires. Paid subscription invoices: end of the paid period';
@@ -0,0 +1,3 @@
+-- Migration 024 (down): When payments reached the chain
+
+ALTER TABLE invoice_payments DROP COLUMN seen_at;
@@ -0,0 +1,12 @@
+-- Migration 024: When payments reached the chain
+-- invoice_payments.seen_at is the block time of a mined payment, or when it
+-- was first seen unmined, and decides whether a fiat quote was paid in time.
+-- created_at only says when the watcher or a status check recorded it, which
+-- can be much later. Payments recorded before this migration keep created_at.
+
+ALTER TABLE invoice_payments ADD COLUMN seen_at TIMESTAMP WITH TIME ZONE;
+UPDATE invoice_payments SET seen_at = created_at;
+ALTER TABLE invoice_payments ALTER COLUMN seen_at SET NOT NULL;
+ALTER TABLE invoice_payments ALTER COLUMN seen_at SET DEFAULT NOW();
+
+COMMENT ON COLUMN invoice_payments.seen_at IS 'Block time, or when the payment was first seen unmined';
@@ -15,6 +15,12 @@ CREATE TABLE users (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     email VARCHAR(255) UNIQUE,
     name VARCHAR(255),
+    
+    -- Payment settings, NULL uses the platform default
+    payment_tolerance_percent DECIMAL(5,2) CHECK (payment_tolerance_percent BETWEEN 0 AND 10),
+    payment_tolerance_zec DECIMAL(16,8) CHECK (payment_tolerance_zec >= 0),
+    overpayment_policy VARCHAR(10) CHECK (overpayment_policy IN ('credit', 'refund')),
+    
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
@@ -23,44 +29,117 @@ CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_created_at ON users(created_at);
 
 -- =====================================================
--- 2. LEGACY INVOICES TABLE (Transparent payments)
+-- 2. INVOICES TABLE (Every API and payment method)
 -- =====================================================
 CREATE TABLE invoices (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    source VARCHAR(20) NOT NULL -- API that created the invoice
+        CHECK (source IN ('legacy', 'shielded', 'webzjs', 'devtool', 'unified')),
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     
     type VARCHAR(20) NOT NULL CHECK (type IN ('subscription', 'one_time')),
-    item_id VARCHAR(255), -- video ID, course ID, etc.
+    item_id TEXT, -- video ID, course ID, etc.
+    description TEXT,
+    memo TEXT,
     
     amount_zec DECIMAL(16,8) NOT NULL CHECK (amount_zec > 0),
-    z_address VARCHAR(120) NOT NULL, -- zcash address (non-unique for treasury)
+    
+    -- Payment address and metadata
+    payment_method VARCHAR(20) NOT NULL
+        CHECK (payment_method IN ('auto', 'transparent', 'shielded', 'unified', 'webzjs', 'devtool')),
+    network VARCHAR(10) CHECK (network IN ('mainnet', 'testnet')),
+    payment_address TEXT, -- non-unique for treasury, NULL until a wallet invoice has one
+    address_type VARCHAR(30),
+    address_metadata JSONB NOT NULL DEFAULT '{}',
+    address_index INTEGER, -- derivation index of payment_address, NULL unless derived from the xpub
+    payment_reference VARCHAR(16), -- checksummed memo code, NULL for transparent-only addresses
+    payment_recipients JSONB NOT NULL DEFAULT '[]', -- extra ZIP-321 recipients paid on top of amount_zec
     
     status VARCHAR(20) NOT NULL DEFAULT 'pending' 
-        CHECK (status IN ('pending', 'paid', 'expired', 'cancelled')),
+        CHECK (status IN ('pending', 'partially_paid', 'detected', 'confirming', 'paid', 'expired', 'cancelled', 'refunded')),
     
-    paid_txid VARCHAR(64), -- Zcash transaction ID
+    paid_txid VARCHAR(255), -- Zcash transaction ID
     paid_amount_zec DECIMAL(16,8) CHECK (paid_amount_zec >= 0),
     paid_at TIMESTAMP WITH TIME ZONE,
+    overpaid_zec DECIMAL(16,8) NOT NULL DEFAULT 0, -- received above amount_zec
+    underpaid_zec DECIMAL(16,8) NOT NULL DEFAULT 0, -- shortfall accepted within the merchant's tolerance
+    
+    refunded_amount_zec DECIMAL(16,8) NOT NULL DEFAULT 0, -- sent refunds
+    refunded_at TIMESTAMP WITH TIME ZONE,
+    
+    expires_at TIMESTAMP WITH TIME ZONE, -- unpaid: when it expires; paid subscription: end of the paid period
+    
+    subscription_id UUID, -- subscription the invoice renews (see section 15)
+    
+    -- Fiat pricing: amount_zec quoted from amount_fiat, locked until quote_expires_at
+    amount_fiat DECIMAL(18,2),
+    fiat_currency VARCHAR(3),
+    exchange_rate DECIMAL(20,8), -- fiat per ZEC
+    rate_source VARCHAR(40),
+    quoted_at TIMESTAMP WITH TIME ZONE,
+    quote_expires_at TIMESTAMP WITH TIME ZONE,
+    quote_status VARCHAR(20) CHECK (quote_status IN ('locked', 'requoted', 'late')),
+    
+    -- Wallet linking (see sections 5 and 6)
+    shielded_wallet_id UUID,
+    webzjs_wallet_id INTEGER,
+    devtool_wallet_id INTEGER,
     
-    expires_at TIMESTAMP WITH TIME ZONE, -- for subscriptions only
+    -- Invoices moved in from the per-method tables by migration 021
+    legacy_table VARCHAR(40),
+    legacy_id TEXT,
     
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
--- Indexes for performance (z_address non-unique for treasury reuse)
+-- Indexes for performance (payment_address non-unique for treasury reuse)
 CREATE INDEX idx_invoices_user_id ON invoices(user_id);
-CREATE INDEX idx_invoices_z_address ON invoices(z_address);
+CREATE INDEX idx_invoices_source ON invoices(source);
+CREATE INDEX idx_invoices_payment_method ON invoices(payment_method);
+CREATE INDEX idx_invoices_payment_address ON invoices(payment_address);
+CREATE UNIQUE INDEX idx_invoices_derived_payment_address ON invoices(payment_address) WHERE address_index IS NOT NULL;
+CREATE UNIQUE INDEX idx_invoices_payment_reference ON invoices(payment_reference) WHERE payment_reference IS NOT NULL;
+CREATE UNIQUE INDEX idx_invoices_legacy ON invoices(legacy_table, legacy_id) WHERE legacy_table IS NOT NULL;
 CREATE INDEX idx_invoices_status ON invoices(status);
 CREATE INDEX idx_invoices_expires_at ON invoices(expires_at);
 CREATE INDEX idx_invoices_paid_at ON invoices(paid_at);
+CREATE INDEX idx_invoices_pending_created_at ON invoices(created_at) WHERE status = 'pending';
 CREATE INDEX idx_invoices_created_at ON invoices(created_at);
+CREATE INDEX idx_invoices_quote_status ON invoices(quote_status) WHERE quote_status IS NOT NULL;
 
-COMMENT ON COLUMN invoices.z_address IS 'Zcash address for payment - can be treasury address (non-unique)';
+COMMENT ON TABLE invoices IS 'Every invoice, whichever API created it (source) and however it is paid (payment_method)';
+COMMENT ON COLUMN invoices.payment_address IS 'Address the invoice is paid to - unique when derived, NULL until a wallet invoice has one';
+COMMENT ON COLUMN invoices.expires_at IS 'While unpaid: when the invoice expires. Paid subscription invoices: end of the paid period';
+COMMENT ON COLUMN invoices.legacy_id IS 'ID in legacy_table for invoices moved in by migration 021; old integer IDs still resolve through it';
 
 -- =====================================================
 -- 3. WITHDRAWALS TABLE (User cashouts with fees)
 -- =====================================================
+CREATE TABLE withdrawal_batches (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    status VARCHAR(20) NOT NULL DEFAULT 'sending'
+        CHECK (status IN ('sending', 'submitted', 'sent', 'failed', 'unknown')),
+    recipients JSONB NOT NULL, -- z_sendmany amounts: [{ address, amount, memo? }]
+    withdrawal_ids UUID[] NOT NULL CHECK (cardinality(withdrawal_ids) > 0), -- withdrawals paid out by it
+    total_zec DECIMAL(16,8) NOT NULL, -- sum of the recipient amounts
+    fee_zec DECIMAL(16,8) NOT NULL CHECK (fee_zec >= 0), -- ZIP-317 network fee, estimated until the transaction is sent
+    action_count INTEGER NOT NULL, -- logical actions, estimated until the transaction is sent
+    treasury_address VARCHAR(120), -- where the platform fees went, NULL without a treasury
+    opid VARCHAR(100), -- z_sendmany operation ID
+    txid VARCHAR(64),
+    error TEXT,
+    created_by TEXT, -- api_key:<id>, or scheduler
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    submitted_at TIMESTAMP WITH TIME ZONE,
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_withdrawal_batches_status ON withdrawal_batches(status);
+CREATE INDEX idx_withdrawal_batches_created_at ON withdrawal_batches(created_at);
+
+COMMENT ON TABLE withdrawal_batches IS 'Multi-recipient z_sendmany calls paying out pending withdrawals; sending, submitted and unknown batches may have gone out and are never resent';
+
 CREATE TABLE withdrawals (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
@@ -75,6 +154,9 @@ CREATE TABLE withdrawals (
         CHECK (status IN ('pending', 'processing', 'sent', 'failed')),
     
     txid VARCHAR(64), -- Zcash transaction ID
+    batch_id UUID REFERENCES withdrawal_batches(id) ON DELETE SET NULL, -- last batch it was sent in
+    attempts INTEGER NOT NULL DEFAULT 0, -- batches it was sent in
+    error TEXT, -- why the last batch failed
     
     requested_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     processed_at TIMESTAMP WITH TIME ZONE
@@ -85,6 +167,8 @@ CREATE INDEX idx_withdrawals_user_id ON withdrawals(user_id);
 CREATE INDEX idx_withdrawals_status ON withdrawals(status);
 CREATE INDEX idx_withdrawals_to_address ON withdrawals(to_address);
 CREATE INDEX idx_withdrawals_processed_at ON withdrawals(processed_at);
+CREATE INDEX idx_withdrawals_batch_id ON withdrawals(batch_id);
+CREATE INDEX idx_withdrawals_pending_requested_at ON withdrawals(requested_at) WHERE status = 'pending';
 
 -- =====================================================
 -- 4. API KEYS TABLE (Authentication & Authorization)
@@ -110,7 +194,7 @@ CREATE INDEX idx_api_keys_active ON api_keys(is_active) WHERE is_active = true;
 CREATE INDEX idx_api_keys_expires_at ON api_keys(expires_at);
 
 -- =====================================================
--- 5. SHIELDED WALLETS & INVOICES (Zaino-based)
+-- 5. SHIELDED WALLETS (Zaino-based)
 -- =====================================================
 CREATE TABLE shielded_wallets (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
@@ -121,34 +205,15 @@ CREATE TABLE shielded_wallets (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
-CREATE TABLE shielded_invoices (
-    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
-    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    wallet_id UUID REFERENCES shielded_wallets(id) ON DELETE SET NULL,
-    amount_zec DECIMAL(16, 8) NOT NULL CHECK (amount_zec > 0),
-    z_address VARCHAR(255) NOT NULL,
-    item_id VARCHAR(255),
-    memo TEXT,
-    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'expired', 'cancelled')),
-    paid_amount_zec DECIMAL(16, 8),
-    paid_txid VARCHAR(255),
-    paid_at TIMESTAMP WITH TIME ZONE,
-    expires_at TIMESTAMP WITH TIME ZONE,
-    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-);
+ALTER TABLE invoices ADD CONSTRAINT invoices_shielded_wallet_id_fkey
+    FOREIGN KEY (shielded_wallet_id) REFERENCES shielded_wallets(id) ON DELETE SET NULL;
 
 -- Indexes for shielded tables
 CREATE INDEX idx_shielded_wallets_user_id ON shielded_wallets(user_id);
 CREATE INDEX idx_shielded_wallets_address ON shielded_wallets(address);
-CREATE INDEX idx_shielded_invoices_user_id ON shielded_invoices(user_id);
-CREATE INDEX idx_shielded_invoices_wallet_id ON shielded_invoices(wallet_id);
-CREATE INDEX idx_shielded_invoices_status ON shielded_invoices(status);
-CREATE INDEX idx_shielded_invoices_z_address ON shielded_invoices(z_address);
+CREATE INDEX idx_invoices_shielded_wallet_id ON invoices(shielded_wallet_id) WHERE shielded_wallet_id IS NOT NULL;
 
 COMMENT ON TABLE shielded_wallets IS 'Shielded wallets for users - requires Zaino indexer';
-COMMENT ON TABLE shielded_invoices IS 'Shielded invoices using z-addresses - requires Zaino indexer';
-COMMENT ON COLUMN shielded_invoices.memo IS 'Encrypted memo field for shielded transactions';
 
 -- =====================================================
 -- 6. ALTERNATIVE WALLET SYSTEMS (WebZjs & zcash-devtool)
@@ -165,21 +230,6 @@ CREATE TABLE webzjs_wallets (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
-CREATE TABLE webzjs_invoices (
-    id SERIAL PRIMARY KEY,
-    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    wallet_id INTEGER REFERENCES webzjs_wallets(id) ON DELETE SET NULL,
-    amount_zec DECIMAL(16, 8) NOT NULL,
-    item_id VARCHAR(255),
-    description TEXT,
-    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'expired', 'cancelled')),
-    paid_amount_zec DECIMAL(16, 8),
-    paid_txid VARCHAR(255),
-    paid_at TIMESTAMP,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
-
 -- zcash-devtool wallets (CLI-based)
 CREATE TABLE devtool_wallets (
     id SERIAL PRIMARY KEY,
@@ -191,56 +241,61 @@ CREATE TABLE devtool_wallets (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
-CREATE TABLE devtool_invoices (
-    id SERIAL PRIMARY KEY,
-    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
-    wallet_id INTEGER REFERENCES devtool_wallets(id) ON DELETE SET NULL,
-    amount_zec DECIMAL(16, 8) NOT NULL,
-    item_id VARCHAR(255),
-    description TEXT,
-    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'expired', 'cancelled')),
-    paid_amount_zec DECIMAL(16, 8),
-    paid_txid VARCHAR(255),
-    paid_at TIMESTAMP,
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-);
+ALTER TABLE invoices ADD CONSTRAINT invoices_webzjs_wallet_id_fkey
+    FOREIGN KEY (webzjs_wallet_id) REFERENCES webzjs_wallets(id) ON DELETE SET NULL;
+ALTER TABLE invoices ADD CONSTRAINT invoices_devtool_wallet_id_fkey
+    FOREIGN KEY (devtool_wallet_id) REFERENCES devtool_wallets(id) ON DELETE SET NULL;
 
 -- Indexes for alternative wallets
 CREATE INDEX idx_webzjs_wallets_user_id ON webzjs_wallets(user_id);
 CREATE INDEX idx_webzjs_wallets_network ON webzjs_wallets(network);
-CREATE INDEX idx_webzjs_invoices_user_id ON webzjs_invoices(user_id);
-CREATE INDEX idx_webzjs_invoices_status ON webzjs_invoices(status);
-CREATE INDEX idx_webzjs_invoices_wallet_id ON webzjs_invoices(wallet_id);
+CREATE INDEX idx_invoices_webzjs_wallet_id ON invoices(webzjs_wallet_id) WHERE webzjs_wallet_id IS NOT NULL;
 
 CREATE INDEX idx_devtool_wallets_user_id ON devtool_wallets(user_id);
 CREATE INDEX idx_devtool_wallets_network ON devtool_wallets(network);
-CREATE INDEX idx_devtool_invoices_user_id ON devtool_invoices(user_id);
-CREATE INDEX idx_devtool_invoices_status ON devtool_invoices(status);
-CREATE INDEX idx_devtool_invoices_wallet_id ON devtool_invoices(wallet_id);
+CREATE INDEX idx_invoices_devtool_wallet_id ON invoices(devtool_wallet_id) WHERE devtool_wallet_id IS NOT NULL;
 
 COMMENT ON TABLE webzjs_wallets IS 'WebZjs browser-based wallet configurations';
-COMMENT ON TABLE webzjs_invoices IS 'Invoices for WebZjs browser-based payments';
 COMMENT ON TABLE devtool_wallets IS 'zcash-devtool CLI wallet configurations';
-COMMENT ON TABLE devtool_invoices IS 'Invoices for zcash-devtool CLI-based payments';
 COMMENT ON COLUMN webzjs_wallets.mnemonic_encrypted IS 'Base64 encoded mnemonic - use proper encryption in production';
 COMMENT ON COLUMN devtool_wallets.wallet_path IS 'File system path to zcash-devtool wallet directory';
 
 -- =====================================================
 -- 7. UNIFIED ADDRESS SYSTEM (ZIP-316 compliant)
 -- =====================================================
+CREATE TABLE unified_viewing_keys (
+    id SERIAL PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255),
+    network VARCHAR(20) NOT NULL CHECK (network IN ('mainnet', 'testnet')),
+    key_type VARCHAR(10) NOT NULL CHECK (key_type IN ('ufvk', 'uivk')),
+    viewing_key TEXT NOT NULL, -- uview1.../uivk1... as registered (never a spending key)
+    key_fingerprint VARCHAR(32) NOT NULL,
+    has_transparent BOOLEAN NOT NULL DEFAULT FALSE,
+    has_sapling BOOLEAN NOT NULL DEFAULT FALSE,
+    has_orchard BOOLEAN NOT NULL DEFAULT FALSE,
+    next_diversifier_index NUMERIC(27, 0) NOT NULL DEFAULT 0 CHECK (next_diversifier_index >= 0), -- 88-bit index
+    birthday_height INTEGER, -- first block that can hold notes for this key
+    scanned_height INTEGER, -- last block trial-decrypted with this key
+    is_active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (user_id, key_fingerprint)
+);
+
 CREATE TABLE unified_addresses (
     id SERIAL PRIMARY KEY,
     user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     name VARCHAR(255),
     unified_address VARCHAR(500) NOT NULL, -- ZIP-316 unified address
     network VARCHAR(20) NOT NULL CHECK (network IN ('mainnet', 'testnet')),
-    diversifier VARCHAR(64), -- 32-byte F4JSh diversifier (hex)
+    diversifier VARCHAR(64), -- Diversifier index (decimal) when derived from a viewing key
     include_transparent BOOLEAN DEFAULT FALSE,
     include_sapling BOOLEAN DEFAULT TRUE,
     include_orchard BOOLEAN DEFAULT TRUE,
     webzjs_wallet_id INTEGER REFERENCES webzjs_wallets(id) ON DELETE SET NULL,
     devtool_wallet_id INTEGER REFERENCES devtool_wallets(id) ON DELETE SET NULL,
+    viewing_key_id INTEGER REFERENCES unified_viewing_keys(id) ON DELETE SET NULL,
     receivers_data JSONB, -- Store individual receiver data
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -251,44 +306,12 @@ CREATE INDEX idx_unified_addresses_user_id ON unified_addresses(user_id);
 CREATE INDEX idx_unified_addresses_unified_address ON unified_addresses(unified_address);
 CREATE INDEX idx_unified_addresses_network ON unified_addresses(network);
 CREATE INDEX idx_unified_addresses_diversifier ON unified_addresses(diversifier);
+CREATE UNIQUE INDEX idx_unified_addresses_viewing_key_diversifier ON unified_addresses(viewing_key_id, diversifier) WHERE viewing_key_id IS NOT NULL;
+CREATE INDEX idx_unified_viewing_keys_user_id ON unified_viewing_keys(user_id);
 
 -- =====================================================
--- 8. UNIFIED INVOICE SYSTEM (Centralized payment hub)
+-- 8. PAYMENT PREFERENCES (Default method and wallets per user)
 -- =====================================================
-CREATE TABLE unified_invoices (
-    id SERIAL PRIMARY KEY,
-    user_id UUID NOT NULL REFERENCES users(id),
-    type VARCHAR(20) NOT NULL CHECK (type IN ('subscription', 'one_time')),
-    amount_zec DECIMAL(16, 8) NOT NULL,
-    payment_method VARCHAR(20) NOT NULL CHECK (payment_method IN ('auto', 'transparent', 'shielded', 'unified', 'webzjs', 'devtool')),
-    network VARCHAR(10) NOT NULL DEFAULT 'testnet' CHECK (network IN ('mainnet', 'testnet')),
-    
-    -- Payment address and metadata
-    payment_address TEXT NOT NULL,
-    address_type VARCHAR(30) NOT NULL,
-    address_metadata JSONB DEFAULT '{}',
-    
-    -- Invoice details
-    item_id TEXT,
-    description TEXT,
-    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'expired', 'cancelled')),
-    
-    -- Payment tracking
-    paid_amount_zec DECIMAL(16, 8),
-    paid_txid TEXT,
-    paid_at TIMESTAMP,
-    expires_at TIMESTAMP,
-    
-    -- Wallet linking (optional)
-    webzjs_wallet_id INTEGER REFERENCES webzjs_wallets(id),
-    devtool_wallet_id INTEGER REFERENCES devtool_wallets(id),
-    shielded_wallet_id UUID REFERENCES shielded_wallets(id),
-    
-    -- Timestamps
-    created_at TIMESTAMP NOT NULL DEFAULT NOW(),
-    updated_at TIMESTAMP DEFAULT NOW()
-);
-
 -- User payment preferences
 CREATE TABLE user_payment_preferences (
     id SERIAL PRIMARY KEY,
@@ -309,15 +332,328 @@ CREATE TABLE user_payment_preferences (
     updated_at TIMESTAMP DEFAULT NOW()
 );
 
--- Indexes for unified invoice system
-CREATE INDEX idx_unified_invoices_user_id ON unified_invoices(user_id);
-CREATE INDEX idx_unified_invoices_status ON unified_invoices(status);
-CREATE INDEX idx_unified_invoices_payment_address ON unified_invoices(payment_address);
-CREATE INDEX idx_unified_invoices_payment_method ON unified_invoices(payment_method);
-CREATE INDEX idx_unified_invoices_created_at ON unified_invoices(created_at);
+-- =====================================================
+-- 9. WEBHOOKS (Signed lifecycle callbacks)
+-- =====================================================
+CREATE TABLE webhook_endpoints (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    api_key_id UUID NOT NULL REFERENCES api_keys(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    url TEXT NOT NULL,
+    secret VARCHAR(128) NOT NULL, -- HMAC-SHA256 signing secret
+    events JSONB NOT NULL DEFAULT '["*"]'::jsonb, -- subscribed event types, "*" = all
+    description TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    endpoint_id UUID NOT NULL REFERENCES webhook_endpoints(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'delivered', 'failed')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    last_response_status INTEGER,
+    last_error TEXT,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+-- Indexes for webhooks
+CREATE INDEX idx_webhook_endpoints_user_id ON webhook_endpoints(user_id);
+CREATE INDEX idx_webhook_endpoints_api_key_id ON webhook_endpoints(api_key_id);
+CREATE INDEX idx_webhook_deliveries_endpoint_id ON webhook_deliveries(endpoint_id);
+CREATE INDEX idx_webhook_deliveries_event_id ON webhook_deliveries(event_id);
+CREATE INDEX idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+
+COMMENT ON TABLE webhook_endpoints IS 'Merchant webhook endpoints registered per API key';
+COMMENT ON TABLE webhook_deliveries IS 'Signed webhook deliveries with retry state';
 
 -- =====================================================
--- 9. TRIGGERS (Auto-update timestamps)
+-- 10. INVOICE PAYMENTS (On-chain outputs attributed to invoices)
+-- =====================================================
+CREATE TABLE invoice_payments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    invoice_table VARCHAR(40) NOT NULL CHECK (invoice_table = 'invoices'),
+    invoice_id TEXT NOT NULL, -- invoices.id
+    address TEXT NOT NULL,
+    txid VARCHAR(64) NOT NULL,
+    output_index INTEGER NOT NULL, -- vout for transparent, output index for shielded notes
+    amount_zec DECIMAL(16, 8) NOT NULL CHECK (amount_zec >= 0),
+    block_height INTEGER, -- NULL while unmined
+    block_hash VARCHAR(64), -- checked against the indexer to detect reorgs
+    matched_by VARCHAR(20) NOT NULL CHECK (matched_by IN ('address', 'memo', 'amount', 'reference', 'manual')),
+    source VARCHAR(20) NOT NULL CHECK (source IN ('indexer', 'node', 'wallet', 'scanner')),
+    applied_zec DECIMAL(16, 8), -- part of amount_zec counted towards the invoice, set when it is paid
+    excess_zec DECIMAL(16, 8), -- part above the invoice amount
+    seen_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(), -- block time, or when first seen unmined
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    UNIQUE (txid, output_index, address)
+);
+
+CREATE INDEX idx_invoice_payments_invoice ON invoice_payments(invoice_table, invoice_id);
+CREATE INDEX idx_invoice_payments_address ON invoice_payments(address);
+CREATE INDEX idx_invoice_payments_txid ON invoice_payments(txid);
+CREATE INDEX idx_invoice_payments_block_height ON invoice_payments(block_height);
+
+COMMENT ON TABLE invoice_payments IS 'On-chain outputs attributed to invoices (each output pays at most one invoice)';
+
+-- Memo payments that matched no invoice, waiting for a person to assign or dismiss them
+CREATE TABLE memo_review_queue (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    address TEXT NOT NULL,
+    txid VARCHAR(64) NOT NULL,
+    output_index INTEGER NOT NULL,
+    amount_zec DECIMAL(16, 8) NOT NULL CHECK (amount_zec >= 0),
+    block_height INTEGER,
+    memo TEXT NOT NULL,
+    reference VARCHAR(16), -- first valid reference code in the memo, if any
+    source VARCHAR(20) NOT NULL CHECK (source IN ('indexer', 'node', 'wallet', 'scanner')),
+    status VARCHAR(20) NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'assigned', 'dismissed')),
+    invoice_table VARCHAR(40), -- set when assigned
+    invoice_id TEXT,
+    resolution_note TEXT,
+    resolved_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    UNIQUE (txid, output_index, address)
+);
+
+CREATE INDEX idx_memo_review_queue_open ON memo_review_queue(created_at) WHERE status = 'open';
+CREATE INDEX idx_memo_review_queue_reference ON memo_review_queue(reference);
+
+COMMENT ON TABLE memo_review_queue IS 'Payments with a memo that matched no pending invoice';
+
+-- =====================================================
+-- 11. DERIVED ADDRESSES (Per-invoice addresses from an account xpub)
+-- =====================================================
+CREATE TABLE address_derivation_state (
+    xpub_fingerprint VARCHAR(8) PRIMARY KEY,
+    next_index INTEGER NOT NULL DEFAULT 0 CHECK (next_index >= 0),
+    updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE derived_addresses (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    xpub_fingerprint VARCHAR(8) NOT NULL,
+    derivation_index INTEGER NOT NULL CHECK (derivation_index >= 0),
+    derivation_path VARCHAR(64) NOT NULL,
+    address VARCHAR(120) NOT NULL UNIQUE,
+    invoice_table VARCHAR(40), -- NULL until linked to an invoice
+    invoice_id TEXT,
+    received_zec DECIMAL(16, 8) NOT NULL DEFAULT 0 CHECK (received_zec >= 0),
+    tx_count INTEGER NOT NULL DEFAULT 0,
+    last_scanned_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    UNIQUE (xpub_fingerprint, derivation_index)
+);
+
+CREATE INDEX idx_derived_addresses_invoice ON derived_addresses(invoice_table, invoice_id);
+
+COMMENT ON TABLE derived_addresses IS 'Transparent addresses derived from the account xpub, one per invoice';
+
+-- =====================================================
+-- 12. SHIELDED NOTES (Trial-decrypted with merchant viewing keys)
+-- =====================================================
+CREATE TABLE shielded_notes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    viewing_key_id INTEGER NOT NULL REFERENCES unified_viewing_keys(id) ON DELETE CASCADE,
+    pool VARCHAR(10) NOT NULL CHECK (pool IN ('sapling', 'orchard')),
+    txid VARCHAR(64) NOT NULL,
+    output_index INTEGER NOT NULL, -- index in vShieldedOutput (or orchard actions)
+    block_height INTEGER NOT NULL,
+    block_time TIMESTAMP WITH TIME ZONE,
+    receiver TEXT NOT NULL, -- zs1... address the note was sent to (Orchard: unified address with only that receiver)
+    diversifier VARCHAR(22) NOT NULL, -- 11-byte diversifier (hex)
+    value_zat BIGINT NOT NULL CHECK (value_zat >= 0),
+    memo TEXT, -- hex without zero padding, NULL when scanned from compact blocks
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    UNIQUE (viewing_key_id, txid, pool, output_index)
+);
+
+CREATE INDEX idx_shielded_notes_receiver ON shielded_notes(receiver);
+CREATE INDEX idx_shielded_notes_block_height ON shielded_notes(block_height);
+
+COMMENT ON TABLE shielded_notes IS 'Shielded notes decrypted with registered viewing keys (value checked against the note commitment)';
+
+-- =====================================================
+-- 13. LEDGER (Double-entry journal of every money movement)
+-- =====================================================
+CREATE TABLE ledger_accounts (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(100) UNIQUE NOT NULL, -- platform:wallet, platform:fee_revenue, merchant:<user id>, ...
+    account_type VARCHAR(20) NOT NULL
+        CHECK (account_type IN ('asset', 'liability', 'revenue', 'expense', 'equity')),
+    user_id UUID REFERENCES users(id), -- set for merchant accounts
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE ledger_entries (
+    id BIGSERIAL PRIMARY KEY,
+    entry_type VARCHAR(30) NOT NULL
+        CHECK (entry_type IN ('opening_balance', 'invoice_payment', 'payment_reversal', 'withdrawal', 'withdrawal_fee', 'network_fee', 'refund', 'adjustment')),
+    reference_table VARCHAR(40), -- invoices, withdrawals, refunds, users
+    reference_id TEXT,
+    description TEXT,
+    created_by TEXT, -- API key that posted a manual adjustment
+    created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE ledger_postings (
+    id BIGSERIAL PRIMARY KEY,
+    entry_id BIGINT NOT NULL REFERENCES ledger_entries(id),
+    account_id INTEGER NOT NULL REFERENCES ledger_accounts(id),
+    amount_zec DECIMAL(16, 8) NOT NULL CHECK (amount_zec <> 0) -- debit positive, credit negative
+);
+
+CREATE UNIQUE INDEX idx_ledger_accounts_user_id ON ledger_accounts(user_id) WHERE user_id IS NOT NULL;
+CREATE INDEX idx_ledger_entries_reference ON ledger_entries(reference_table, reference_id);
+CREATE INDEX idx_ledger_entries_type ON ledger_entries(entry_type);
+CREATE INDEX idx_ledger_postings_entry_id ON ledger_postings(entry_id);
+CREATE INDEX idx_ledger_postings_account_id ON ledger_postings(account_id);
+
+-- Entries and postings are never changed; mistakes are corrected by posting more
+CREATE OR REPLACE FUNCTION ledger_reject_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'The ledger is append-only (% on %)', TG_OP, TG_TABLE_NAME;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER ledger_entries_append_only
+    BEFORE UPDATE OR DELETE ON ledger_entries
+    FOR EACH ROW EXECUTE FUNCTION ledger_reject_change();
+
+CREATE TRIGGER ledger_postings_append_only
+    BEFORE UPDATE OR DELETE ON ledger_postings
+    FOR EACH ROW EXECUTE FUNCTION ledger_reject_change();
+
+-- Every entry sums to zero, checked at commit once all its postings are in
+CREATE OR REPLACE FUNCTION ledger_check_balanced()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF (SELECT SUM(amount_zec) FROM ledger_postings WHERE entry_id = NEW.entry_id) <> 0 THEN
+        RAISE EXCEPTION 'Ledger entry % does not balance', NEW.entry_id;
+    END IF;
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE CONSTRAINT TRIGGER ledger_postings_balanced
+    AFTER INSERT ON ledger_postings
+    DEFERRABLE INITIALLY DEFERRED
+    FOR EACH ROW EXECUTE FUNCTION ledger_check_balanced();
+
+-- Merchant balances derived from the ledger (credits to a merchant account are
+-- what the platform owes them)
+CREATE OR REPLACE VIEW merchant_balances AS
+SELECT
+    u.id,
+    u.email,
+    u.name,
+    -COALESCE(SUM(CASE WHEN e.entry_type IN ('opening_balance', 'invoice_payment', 'payment_reversal') THEN p.amount_zec END), 0) AS total_received_zec,
+    COALESCE(SUM(CASE WHEN e.entry_type IN ('withdrawal', 'withdrawal_fee') THEN p.amount_zec END), 0) AS total_withdrawn_zec,
+    -COALESCE(SUM(CASE WHEN e.entry_type = 'adjustment' THEN p.amount_zec END), 0) AS total_adjustments_zec,
+    -COALESCE(SUM(p.amount_zec), 0) AS available_balance_zec,
+    COUNT(DISTINCT e.id) FILTER (WHERE e.entry_type = 'invoice_payment')
+        - COUNT(DISTINCT e.id) FILTER (WHERE e.entry_type = 'payment_reversal') AS total_invoices,
+    COUNT(DISTINCT e.id) FILTER (WHERE e.entry_type = 'withdrawal') AS total_withdrawals,
+    COALESCE(SUM(CASE WHEN e.entry_type = 'refund' THEN p.amount_zec END), 0) AS total_refunded_zec
+FROM users u
+LEFT JOIN ledger_accounts a ON a.user_id = u.id
+LEFT JOIN ledger_postings p ON p.account_id = a.id
+LEFT JOIN ledger_entries e ON e.id = p.entry_id
+GROUP BY u.id, u.email, u.name;
+
+COMMENT ON TABLE ledger_accounts IS 'Ledger accounts: platform accounts and one liability account per merchant';
+COMMENT ON TABLE ledger_entries IS 'Append-only journal entries, one per money movement';
+COMMENT ON TABLE ledger_postings IS 'Signed postings (debit positive, credit negative); each entry sums to zero';
+
+-- =====================================================
+-- 14. REFUNDS (Paid invoices sent back from the node wallet)
+-- =====================================================
+CREATE TABLE refunds (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    invoice_table VARCHAR(40) NOT NULL CHECK (invoice_table = 'invoices'),
+    invoice_id TEXT NOT NULL,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    amount_zec DECIMAL(16, 8) NOT NULL CHECK (amount_zec > 0),
+    to_address VARCHAR(120), -- NULL while queued
+    reason TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'processing'
+        CHECK (status IN ('queued', 'processing', 'sent', 'failed', 'canceled')),
+    txid VARCHAR(64),
+    error TEXT,
+    requested_by TEXT, -- api_key:<id>
+    requested_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    processed_at TIMESTAMP WITH TIME ZONE,
+    CONSTRAINT refunds_to_address_check CHECK (status IN ('queued', 'canceled') OR to_address IS NOT NULL)
+);
+
+CREATE INDEX idx_refunds_invoice ON refunds(invoice_table, invoice_id);
+CREATE INDEX idx_refunds_user_status ON refunds(user_id, status);
+
+COMMENT ON TABLE refunds IS 'Refunds of paid invoices sent from the node wallet; queued and processing refunds hold their amount against the merchant balance';
+
+-- =====================================================
+-- 15. SUBSCRIPTIONS (Plans, renewals and entitlements)
+-- =====================================================
+CREATE TABLE subscription_plans (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    name VARCHAR(255) NOT NULL,
+    item_id VARCHAR(255) NOT NULL, -- content the plan grants access to
+    amount_zec DECIMAL(16, 8) NOT NULL CHECK (amount_zec > 0),
+    interval_unit VARCHAR(10) NOT NULL DEFAULT 'month'
+        CHECK (interval_unit IN ('day', 'week', 'month', 'year')),
+    interval_count INTEGER NOT NULL DEFAULT 1 CHECK (interval_count > 0),
+    trial_days INTEGER NOT NULL DEFAULT 0 CHECK (trial_days >= 0),
+    grace_days INTEGER NOT NULL DEFAULT 3 CHECK (grace_days >= 0),
+    active BOOLEAN NOT NULL DEFAULT true, -- inactive plans take no new subscribers
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE subscriptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    plan_id UUID NOT NULL REFERENCES subscription_plans(id),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'trialing', 'active', 'past_due', 'canceled', 'expired')),
+    current_period_start TIMESTAMP WITH TIME ZONE,
+    current_period_end TIMESTAMP WITH TIME ZONE, -- paid (or trial) access ends here, plus grace
+    trial_ends_at TIMESTAMP WITH TIME ZONE,
+    cancel_at_period_end BOOLEAN NOT NULL DEFAULT false,
+    canceled_at TIMESTAMP WITH TIME ZONE,
+    ended_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE invoices ADD CONSTRAINT invoices_subscription_id_fkey
+    FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_subscription_plans_item_id ON subscription_plans(item_id);
+CREATE INDEX idx_subscriptions_user_id ON subscriptions(user_id);
+CREATE INDEX idx_subscriptions_status_period_end ON subscriptions(status, current_period_end);
+CREATE INDEX idx_invoices_subscription_id ON invoices(subscription_id);
+
+-- One live subscription per user and plan, one open invoice per subscription
+CREATE UNIQUE INDEX idx_subscriptions_live ON subscriptions(user_id, plan_id)
+    WHERE status IN ('pending', 'trialing', 'active', 'past_due');
+CREATE UNIQUE INDEX idx_invoices_open_subscription ON invoices(subscription_id)
+    WHERE subscription_id IS NOT NULL AND status IN ('pending', 'partially_paid', 'detected', 'confirming');
+
+COMMENT ON TABLE subscription_plans IS 'Recurring plans: price, billing interval, trial and grace period for an item_id';
+COMMENT ON TABLE subscriptions IS 'A user subscribed to a plan; renewed by paying the invoices the scheduler issues';
+
+-- =====================================================
+-- 16. TRIGGERS (Auto-update timestamps)
 -- =====================================================
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -341,34 +677,42 @@ CREATE TRIGGER update_shielded_wallets_updated_at
     BEFORE UPDATE ON shielded_wallets 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
-CREATE TRIGGER update_shielded_invoices_updated_at 
-    BEFORE UPDATE ON shielded_invoices 
-    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-
 CREATE TRIGGER update_webzjs_wallets_updated_at 
     BEFORE UPDATE ON webzjs_wallets 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
-CREATE TRIGGER update_webzjs_invoices_updated_at 
-    BEFORE UPDATE ON webzjs_invoices 
-    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-
 CREATE TRIGGER update_devtool_wallets_updated_at 
     BEFORE UPDATE ON devtool_wallets 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
-CREATE TRIGGER update_devtool_invoices_updated_at 
-    BEFORE UPDATE ON devtool_invoices 
-    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
-
 CREATE TRIGGER update_unified_addresses_updated_at 
     BEFORE UPDATE ON unified_addresses 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
-CREATE TRIGGER update_unified_invoices_updated_at 
-    BEFORE UPDATE ON unified_invoices 
+CREATE TRIGGER update_unified_viewing_keys_updated_at 
+    BEFORE UPDATE ON unified_viewing_keys 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
 CREATE TRIGGER update_user_payment_preferences_updated_at 
     BEFORE UPDATE ON user_payment_preferences 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_webhook_endpoints_updated_at 
+    BEFORE UPDATE ON webhook_endpoints 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_webhook_deliveries_updated_at 
+    BEFORE UPDATE ON webhook_deliveries 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_memo_review_queue_updated_at 
+    BEFORE UPDATE ON memo_review_queue 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_subscription_plans_updated_at 
+    BEFORE UPDATE ON subscription_plans 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_subscriptions_updated_at 
+    BEFORE UPDATE ON subscriptions 
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
@@ -0,0 +1,32 @@
+#!/bin/bash
+
+# Zcash Paywall SDK - Fetch Official Test Vectors
+# Downloads the zcash-test-vectors JSON files that tests/zcashTestVectors.test.js
+# checks ZIP-316 encoding and the Orchard key and note code against
+
+set -e  # Exit on any error
+
+REF="${ZCASH_TEST_VECTORS_REF:-master}"
+BASE_URL="https://raw.githubusercontent.com/zcash/zcash-test-vectors/$REF/test-vectors/json"
+DEST="tests/fixtures/zcash-test-vectors"
+FILES="f4jumble unified_address orchard_key_components orchard_note_encryption"
+
+echo "🚀 Zcash Paywall SDK - Fetch Test Vectors"
+echo "========================================="
+
+# Check if we're in the right directory
+if [ ! -f "package.json" ]; then
+    echo "❌ Error: package.json not found. Run this script from the backend directory."
+    exit 1
+fi
+
+mkdir -p "$DEST"
+
+for name in $FILES; do
+    echo "📋 Fetching $name.json ($REF)..."
+    curl -fsSL "$BASE_URL/$name.json" -o "$DEST/$name.json"
+    echo "✅ $DEST/$name.json"
+done
+
+echo ""
+echo "🎉 Test vectors saved. Run 'npm test' and commit $DEST."
@@ -54,10 +54,10 @@ else
     }
 fi
 
-# Run database schema
+# Run database migrations (schema.sql on a new database)
 echo "🗄️  Setting up database schema..."
-psql -d "$DB_NAME" -f schema.sql || {
-    echo "❌ Failed to setup database schema."
+DB_NAME="$DB_NAME" npm run migrate --silent || {
+    echo "❌ Failed to setup database schema. Check the DB_* settings in .env and run 'npm run migrate'."
     exit 1
 }
 
@@ -74,7 +74,7 @@ else
     }
     
     if [ $? -eq 0 ]; then
-        psql -d "$TEST_DB_NAME" -f schema.sql || {
+        DB_NAME="$TEST_DB_NAME" npm run migrate --silent || {
             echo "⚠️  Failed to setup test database schema."
         }
     fi
@@ -3,7 +3,7 @@
  * This is the main export for the NPM package
  */
 
-export { ZcashPaywall, retryWithBackoff } from './sdk/index.js';
+export { ZcashPaywall, retryWithBackoff, verifyWebhookSignature } from './sdk/index.js';
 export * from './sdk/testing/index.js';
 
 // Default export for CommonJS compatibility
@@ -1,8 +1,14 @@
 import { Pool } from 'pg';
 import dotenv from 'dotenv';
+import { parseThresholds } from '../utils/confirmationPolicy.js';
+import { MAX_BATCH_ACTIONS } from '../utils/withdrawalBatches.js';
 
 dotenv.config();
 
+function splitList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
 // Database configuration
 export const pool = new Pool({
   host: process.env.DB_HOST,
@@ -19,6 +25,17 @@ pool.on('error', (err) => {
   console.error('PostgreSQL pool error:', err);
 });
 
+// Optional read access to the chain indexer database (backend/indexer)
+export const indexerPool = process.env.INDEXER_DB_URL
+  ? new Pool({ connectionString: process.env.INDEXER_DB_URL, max: 5 })
+  : null;
+
+if (indexerPool) {
+  indexerPool.on('error', (err) => {
+    console.error('Indexer pool error:', err);
+  });
+}
+
 // App configuration
 export const config = {
   port: process.env.PORT || 3000,
@@ -48,19 +65,184 @@ export const config = {
   
   // Zcash configuration
   zcash: {
-    rpcUrl: process.env.ZCASH_RPC_URL,
+    // Chain backend driver (src/rpc): zcashd, zebra, zaino or lightwalletd
+    backend: process.env.CHAIN_BACKEND || 'zcashd',
+
+    // Endpoint pool, comma-separated; the first is the primary that wallet calls stick to
+    rpcUrls: splitList(process.env.ZCASH_RPC_URLS || process.env.ZCASH_RPC_URL),
     rpcUser: process.env.ZCASH_RPC_USER,
     rpcPass: process.env.ZCASH_RPC_PASS,
+
+    // RPC cookie file, used before user/pass when readable (zebra defaults to ~/.cache/zebra/.cookie)
+    rpcCookieFile: process.env.ZCASH_RPC_COOKIE_FILE,
+    rpcTimeout: parseInt(process.env.ZCASH_RPC_TIMEOUT) || 30000,
+    // Retries on the same endpoint; a pool fails over to the next endpoint instead
+    rpcRetries: parseInt(process.env.ZCASH_RPC_RETRIES ?? (process.env.ZCASH_RPC_URLS ? 0 : 2)),
+
+    // Health probes (latency and height) of every endpoint
+    probeInterval: parseInt(process.env.RPC_PROBE_INTERVAL) || 15000,
+
+    // Send a slow read to the next endpoint too after this many ms (0 disables hedging)
+    hedgeDelay: parseInt(process.env.RPC_HEDGE_DELAY ?? 750),
+
+    // Consecutive failed requests before an endpoint is marked down until its next probe
+    maxFailures: parseInt(process.env.RPC_MAX_FAILURES) || 2,
+
+    // zcashd started with -insightexplorer (getaddresstxids, getaddressbalance)
+    addressIndex: process.env.ZCASH_ADDRESS_INDEX === 'true',
+
+    // CompactTxStreamer gRPC endpoints (host:port, comma-separated) for lightwalletd, or Zaino's gRPC ports
+    lightwalletdUrls: splitList(process.env.LIGHTWALLETD_URL),
+    lightwalletdTls: process.env.LIGHTWALLETD_TLS === 'true',
   },
   
   // Platform treasury
   platformTreasuryAddress: process.env.PLATFORM_TREASURY_ADDRESS,
+
+  // Per-invoice transparent addresses (falls back to the treasury address when unset)
+  addressDerivation: {
+    // BIP44 account xpub (m/44'/133'/account') or tpub for testnet - never a private key
+    xpub: process.env.ZCASH_ACCOUNT_XPUB,
+
+    // Consecutive unused addresses before the scanner stops
+    gapLimit: parseInt(process.env.ADDRESS_GAP_LIMIT) || 20,
+  },
+
+  // Outbound webhooks
+  webhooks: {
+    // Timeout for a single delivery attempt
+    timeout: parseInt(process.env.WEBHOOK_TIMEOUT) || 10000,
+
+    // Attempts before a delivery is marked failed
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+
+    // How often the delivery worker looks for due retries
+    workerInterval: parseInt(process.env.WEBHOOK_WORKER_INTERVAL) || 15000,
+
+    // Allow localhost and private-network targets (local development only)
+    allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === 'true',
+
+    // Require https targets, always on in production
+    requireHttps: process.env.WEBHOOK_REQUIRE_HTTPS === 'true' || (process.env.NODE_ENV || 'development') === 'production',
+  },
+
+  // Background payment watcher
+  paymentWatcher: {
+    // Run the watcher inside the API process (or use `npm run watcher`)
+    enabled: process.env.PAYMENT_WATCHER_ENABLED === 'true',
+
+    // How often pending invoices are scanned
+    interval: parseInt(process.env.PAYMENT_WATCHER_INTERVAL) || 30000,
+
+    // Minutes an unpaid invoice stays pending before it expires
+    invoiceTtlMinutes: parseInt(process.env.INVOICE_TTL_MINUTES) || 1440,
+
+    // Minutes past expires_at a partially paid invoice waits for the rest before it expires
+    partialPaymentGraceMinutes: parseInt(process.env.PARTIAL_PAYMENT_GRACE_MINUTES) || 1440,
+
+    // Open invoices loaded per query; a scan pages through all of them
+    batchSize: parseInt(process.env.PAYMENT_WATCHER_BATCH_SIZE) || 200,
+  },
+
+  // Subscription renewal scheduler
+  subscriptions: {
+    // Run the scheduler inside the API process (the standalone watcher always runs it)
+    schedulerEnabled: process.env.SUBSCRIPTION_SCHEDULER_ENABLED === 'true',
+
+    // How often subscriptions are checked for renewals and status changes
+    interval: parseInt(process.env.SUBSCRIPTION_SCHEDULER_INTERVAL) || 300000,
+
+    // Hours before a period ends that its renewal invoice is issued
+    renewalLeadHours: parseInt(process.env.SUBSCRIPTION_RENEWAL_LEAD_HOURS) || 24,
+  },
+
+  // Pending withdrawals sent together in multi-recipient z_sendmany calls
+  withdrawalBatches: {
+    // Send pending withdrawals automatically (API process and `npm run watcher`)
+    schedulerEnabled: process.env.WITHDRAWAL_BATCH_SCHEDULER_ENABLED === 'true',
+
+    // How often pending withdrawals are batched and sent
+    interval: parseInt(process.env.WITHDRAWAL_BATCH_INTERVAL) || 600000,
+
+    // Most ZIP-317 logical actions per transaction, at most MAX_BATCH_ACTIONS (30) to stay under the 100 KB transaction size limit
+    maxActions: parseInt(process.env.WITHDRAWAL_BATCH_MAX_ACTIONS) || MAX_BATCH_ACTIONS,
+
+    // Notes the wallet is assumed to spend, counted in the action estimate
+    inputActions: parseInt(process.env.WITHDRAWAL_BATCH_INPUT_ACTIONS) || 2,
+
+    // Failed batches a withdrawal is retried in before it is marked failed
+    maxAttempts: parseInt(process.env.WITHDRAWAL_MAX_ATTEMPTS) || 3,
+  },
+
+  // Platform defaults for merchants without their own payment settings
+  paymentSettings: {
+    // An invoice settles when it is short by at most the larger of these
+    tolerancePercent: parseFloat(process.env.PAYMENT_TOLERANCE_PERCENT) || 0,
+    toleranceZec: parseFloat(process.env.PAYMENT_TOLERANCE_ZEC) || 0,
+
+    // Excess of an overpayment: credit (keep in the merchant balance) or refund (queue a refund)
+    overpaymentPolicy: process.env.OVERPAYMENT_POLICY === 'refund' ? 'refund' : 'credit',
+  },
+
+  // ZEC prices for invoices created with amount_fiat and currency
+  exchangeRates: {
+    // static, file or coingecko
+    provider: process.env.EXCHANGE_RATE_PROVIDER || 'static',
+
+    // Rates for the static provider, e.g. "USD:35.20,EUR:32.85" (fiat per ZEC)
+    staticRates: process.env.EXCHANGE_RATES_STATIC,
+
+    // JSON file for the file provider, e.g. { "USD": 35.2, "EUR": 32.85 }
+    file: process.env.EXCHANGE_RATES_FILE,
+
+    // Price API for the coingecko provider
+    url: process.env.EXCHANGE_RATE_URL || 'https://api.coingecko.com/api/v3/simple/price',
+
+    // How long a fetched rate is reused
+    cacheSeconds: parseInt(process.env.EXCHANGE_RATE_CACHE_SECONDS ?? 60),
+
+    // How long the quoted ZEC amount is honoured
+    quoteTtlMinutes: parseInt(process.env.QUOTE_TTL_MINUTES) || 15,
+
+    // Payment after the quote expired: requote (price at the current rate) or flag (accept, mark late)
+    latePayments: process.env.LATE_PAYMENT_POLICY === 'flag' ? 'flag' : 'requote',
+  },
+
+  // Confirmations before an invoice moves from confirming to paid
+  confirmations: {
+    // Default for every invoice (PAYMENT_WATCHER_MINCONF is the older name)
+    default: parseInt(process.env.CONFIRMATIONS_DEFAULT ?? process.env.PAYMENT_WATCHER_MINCONF ?? 1),
+
+    // Per invoice type, e.g. "shielded:2,unified:2" (legacy, shielded, webzjs, devtool, unified)
+    byType: Object.fromEntries(parseThresholds(process.env.CONFIRMATIONS_BY_TYPE)),
+
+    // Per amount band, e.g. "10:6,100:24" (invoices of 10 ZEC or more need 6, 100 ZEC or more 24)
+    amountBands: parseThresholds(process.env.CONFIRMATIONS_BY_AMOUNT)
+      .map(([minZec, confirmations]) => ({ min_zec: parseFloat(minZec), confirmations })),
+
+    // How far below the tip recorded payments are checked against the indexer for reorgs
+    reorgWindow: parseInt(process.env.REORG_CHECK_DEPTH) || 100,
+  },
+
+  // Trial decryption of indexed blocks with merchant viewing keys
+  shieldedScanner: {
+    // Settle shielded/unified invoices from decrypted notes (needs INDEXER_DB_URL)
+    enabled: process.env.SHIELDED_SCANNER_ENABLED === 'true',
+
+    // First block to scan for keys without a birthday height
+    startHeight: parseInt(process.env.SHIELDED_SCAN_START_HEIGHT) || null,
+
+    // Blocks loaded from the indexer per query
+    batchSize: parseInt(process.env.SHIELDED_SCAN_BATCH_SIZE) || 100,
+  },
 };
 
 // Validate required environment variables
 const requiredEnvVars = [
   'DB_HOST', 'DB_USER', 'DB_PASS', 'DB_NAME',
-  'ZCASH_RPC_URL'
+  config.zcash.backend === 'lightwalletd'
+    ? 'LIGHTWALLETD_URL'
+    : process.env.ZCASH_RPC_URLS ? 'ZCASH_RPC_URLS' : 'ZCASH_RPC_URL'
 ];
 
 for (const envVar of requiredEnvVars) {
@@ -69,7 +251,7 @@ for (const envVar of requiredEnvVars) {
   }
 }
 
-// Optional RPC auth (some nodes like Zebra don't require it)
-if (!process.env.ZCASH_RPC_USER || !process.env.ZCASH_RPC_PASS) {
-  console.log('⚠️ Warning: ZCASH_RPC_USER/PASS not set - using no authentication');
+// Optional RPC auth (Zebra uses its cookie file, lightwalletd has none)
+if (config.zcash.backend !== 'lightwalletd' && (!process.env.ZCASH_RPC_USER || !process.env.ZCASH_RPC_PASS)) {
+  console.log('⚠️ Warning: ZCASH_RPC_USER/PASS not set - using the RPC cookie file if any, otherwise no authentication');
 }
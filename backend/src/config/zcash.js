@@ -1,60 +1,87 @@
-import axios from 'axios';
-import fs from 'fs';
-import path from 'path';
-import os from 'os';
 import { config } from './appConfig.js';
+import { createChainBackend, ChainBackendPool, CAPABILITIES } from '../rpc/index.js';
 
-// Function to read Zebra cookie authentication
-function getZebraCookie() {
-  try {
-    const cookiePath = path.join(os.homedir(), '.cache', 'zebra', '.cookie');
-    const cookieContent = fs.readFileSync(cookiePath, 'utf8').trim();
-    const [username, password] = cookieContent.split(':');
-    return { username, password };
-  } catch (error) {
-    console.warn('Could not read Zebra cookie, falling back to config auth:', error.message);
-    return {
-      username: config.zcash.rpcUser || '',
-      password: config.zcash.rpcPass || '',
-    };
-  }
+export { CAPABILITIES, UnsupportedCapabilityError } from '../rpc/index.js';
+
+// Endpoint URLs without embedded credentials, for status output
+function endpointLabel(url) {
+  return url.replace(/\/\/[^@/]*@/, '//');
+}
+
+function createEndpoints() {
+  const { backend, rpcUrls, lightwalletdUrls } = config.zcash;
+  const urls = backend === 'lightwalletd' ? lightwalletdUrls : rpcUrls;
+
+  return urls.map((url, index) => ({
+    label: endpointLabel(url),
+    backend: createChainBackend(backend, {
+      url,
+      user: config.zcash.rpcUser,
+      pass: config.zcash.rpcPass,
+      cookieFile: config.zcash.rpcCookieFile,
+      addressIndex: config.zcash.addressIndex,
+      // Zaino endpoints pair with the gRPC port at the same position
+      grpcUrl: backend === 'lightwalletd' ? url : lightwalletdUrls[index] ?? lightwalletdUrls[0],
+      grpcTls: config.zcash.lightwalletdTls,
+      timeout: config.zcash.rpcTimeout,
+      retries: config.zcash.rpcRetries,
+    }),
+  }));
+}
+
+const chainBackend = new ChainBackendPool(createEndpoints(), {
+  hedgeDelay: config.zcash.hedgeDelay,
+  maxFailures: config.zcash.maxFailures,
+});
+
+/**
+ * The chain backend selected by CHAIN_BACKEND, over every configured endpoint
+ * Check `has(capability)` before using wallet, address index or block methods
+ * @returns {ChainBackend} Backend
+ */
+export function getChainBackend() {
+  return chainBackend;
+}
+
+/**
+ * Start probing every endpoint for latency and height (RPC_PROBE_INTERVAL)
+ */
+export function startNodeProbes() {
+  chainBackend.startProbes(config.zcash.probeInterval);
 }
 
-const rpcConfig = {
-  url: config.zcash.rpcUrl,
-  auth: getZebraCookie(),
-};
+export function stopNodeProbes() {
+  chainBackend.stopProbes();
+}
 
 /**
- * Execute Zcash RPC command
+ * Health and score of every RPC endpoint, primary first
+ * @returns {Array<Object>} Endpoint status
+ */
+export function getNodeEndpoints() {
+  return chainBackend.status();
+}
+
+/**
+ * First configured RPC and gRPC endpoints, without credentials
+ * @returns {Object} { rpc, grpc }, null when not configured
+ */
+export function getChainEndpoints() {
+  const { backend, rpcUrls, lightwalletdUrls } = config.zcash;
+  return {
+    rpc: backend !== 'lightwalletd' && rpcUrls[0] ? endpointLabel(rpcUrls[0]) : null,
+    grpc: lightwalletdUrls[0] || null,
+  };
+}
+
+/**
+ * Execute a raw RPC command on a JSON-RPC backend
  * @param {string} method - RPC method name
  * @param {Array} params - RPC parameters
  * @returns {Promise<any>} RPC result
  */
 export async function zcashRpc(method, params = []) {
-  try {
-    const response = await axios.post(rpcConfig.url, {
-      jsonrpc: '1.0',
-      id: Date.now(),
-      method,
-      params,
-    }, {
-      auth: rpcConfig.auth,
-      headers: { 'Content-Type': 'text/plain' },
-      timeout: 30000,
-    });
-
-    if (response.data.error) {
-      throw new Error(`Zcash RPC Error: ${response.data.error.message}`);
-    }
-
-    return response.data.result;
-  } catch (error) {
-    if (error.response) {
-      throw new Error(`Zcash RPC HTTP Error: ${error.response.status} - ${error.response.statusText}`);
-    }
-    throw new Error(`Zcash RPC Connection Error: ${error.message}`);
-  }
+  return await chainBackend.call(method, params);
 }
 
 /**
@@ -71,6 +98,7 @@ export function getTreasuryAddress() {
 
 /**
  * Get transparent address (uses treasury address since Zebra doesn't support wallet operations)
+ * Invoice routes prefer per-invoice addresses from services/addressDerivation.js
  * @returns {Promise<string>} Treasury t-address
  */
 export async function generateTAddress() {
@@ -95,7 +123,7 @@ export async function generateZAddress() {
  * @returns {Promise<Array>} Array of received transactions
  */
 export async function getReceivedByAddress(address, minconf = 0) {
-  return await zcashRpc('z_listreceivedbyaddress', [minconf, [address]]);
+  return await chainBackend.listReceivedByAddress(address, minconf);
 }
 
 /**
@@ -106,7 +134,7 @@ export async function getReceivedByAddress(address, minconf = 0) {
  * @returns {Promise<string>} Operation ID
  */
 export async function sendMany(recipients, minconf = 1, fee = 0.0001) {
-  return await zcashRpc('z_sendmany', ['', recipients, minconf, fee]);
+  return await chainBackend.sendMany('', recipients, minconf, fee);
 }
 
 /**
@@ -115,7 +143,7 @@ export async function sendMany(recipients, minconf = 1, fee = 0.0001) {
  * @returns {Promise<Object>} Operation status
  */
 export async function getOperationStatus(opid) {
-  const operations = await zcashRpc('z_getoperationstatus', [[opid]]);
+  const operations = await chainBackend.getOperationStatus([opid]);
   return operations[0];
 }
 
@@ -145,28 +173,54 @@ export async function waitForOperation(opid, maxAttempts = 50, interval = 2500)
  * @returns {Promise<Object>} Blockchain information
  */
 export async function getBlockchainInfo() {
-  return await zcashRpc('getblockchaininfo');
+  return await chainBackend.getBlockchainInfo();
+}
+
+/**
+ * Get current block height
+ * @returns {Promise<number>} Block count
+ */
+export async function getBlockCount() {
+  return await chainBackend.getBlockCount();
+}
+
+/**
+ * List transaction IDs touching a transparent address
+ * Requires the address_index capability (zcashd -insightexplorer, Zebra or Zaino)
+ * @param {string} address - Transparent address
+ * @returns {Promise<Array<string>>} Transaction IDs
+ */
+export async function getAddressTxids(address) {
+  return await chainBackend.getAddressTxids([address]);
+}
+
+/**
+ * Get balance and total received for transparent addresses
+ * Requires the address_index capability (zcashd -insightexplorer, Zebra or Zaino)
+ * @param {Array<string>} addresses - Transparent addresses
+ * @returns {Promise<Object>} { balance, received } in zatoshis
+ */
+export async function getAddressBalance(addresses) {
+  return await chainBackend.getAddressBalance(addresses);
+}
+
+/**
+ * Get decoded transaction
+ * @param {string} txid - Transaction ID
+ * @returns {Promise<Object>} Verbose transaction
+ */
+export async function getRawTransaction(txid) {
+  return await chainBackend.getRawTransaction(txid);
 }
 
 /**
  * Validate Zcash address
+ * JSON-RPC backends ask the node, lightwalletd checks the format only
  * @param {string} address - Address to validate
  * @returns {Promise<Object>} Validation result
  */
 export async function validateAddress(address) {
-  try {
-    return await zcashRpc('validateaddress', [address]);
-  } catch (error) {
-    // If RPC validation fails, do basic format validation
-    return {
-      isvalid: /^(t1|t3|zs1|zc)[a-zA-Z0-9]{30,}$/.test(address),
-      address: address,
-      scriptPubKey: '',
-      ismine: false,
-      iswatchonly: false,
-      isscript: false
-    };
-  }
+  return await chainBackend.validateAddress(address);
 }
 
 /**
@@ -217,14 +271,10 @@ export function isShieldedAddress(address) {
  */
 export async function checkTransparentPayment(address, expectedAmount, minconf = 1) {
   try {
-    // For mock addresses in testing, simulate payment check
-    if (address.startsWith('t1') && address.length < 40) {
-      // This is a mock address, simulate payment for testing
-      return Math.random() > 0.5; // 50% chance of "payment" for testing
+    if (!chainBackend.has(CAPABILITIES.WALLET)) {
+      return false;
     }
-    
-    // For real addresses, use RPC to check
-    const received = await zcashRpc('getreceivedbyaddress', [address, minconf]);
+    const received = await chainBackend.getReceivedByAddress(address, minconf);
     return received >= expectedAmount;
   } catch (error) {
     console.warn('Error checking transparent payment:', error.message);
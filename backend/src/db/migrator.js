@@ -0,0 +1,648 @@
+/**
+ * Migration runner
+ * Applies `migrations/NNN_name.sql` in order and records each one in
+ * schema_migrations with the checksum of the file that ran. `NNN_name.down.sql`
+ * undoes a migration. A database with no history starts from `schema.sql`,
+ * which already contains every migration in the directory.
+ *
+ * Runs under an advisory lock, so concurrent deploys apply each migration once
+ * and dry runs don't plan against a half-applied history.
+ * Takes the pg Pool or connected Client to migrate and reads no app config, so
+ * the indexer scripts and the SDK test helpers can use it too.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+const PACKAGE_NAME = 'zcash-paywall-sdk';
+
+/**
+ * Databases the runner knows how to migrate, paths relative to the backend directory
+ * - `schema`: full schema a database without history starts from
+ * - `schemaIdempotent`: the schema can be applied over existing tables
+ * - `probeTable`: a table that shows a database has the schema already
+ * - `lockKey`: advisory lock held while migrating
+ */
+export const MIGRATION_TARGETS = {
+  app: {
+    dir: 'migrations',
+    schema: 'schema.sql',
+    schemaIdempotent: false,
+    probeTable: 'users',
+    lockKey: 727001,
+  },
+  indexer: {
+    dir: path.join('indexer', 'migrations'),
+    schema: path.join('indexer', 'schema.sql'),
+    schemaIdempotent: true,
+    probeTable: null,
+    lockKey: 727002,
+  },
+};
+
+/**
+ * Find the backend directory: the first parent of `start` that is this package,
+ * or has it installed in node_modules
+ * @param {string} start - Directory to search from
+ * @returns {string} Absolute path
+ * @throws {MigrationError} When there is none
+ */
+export function findBackendDir(start = process.cwd()) {
+  let dir = path.resolve(start);
+  for (;;) {
+    for (const candidate of [dir, path.join(dir, 'node_modules', PACKAGE_NAME)]) {
+      try {
+        const pkg = JSON.parse(fs.readFileSync(path.join(candidate, 'package.json'), 'utf8'));
+        if (pkg.name === PACKAGE_NAME) {
+          return candidate;
+        }
+      } catch {
+        // not a package directory
+      }
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      throw new MigrationError(`Could not find ${PACKAGE_NAME} from ${start}, pass root`, 500);
+    }
+    dir = parent;
+  }
+}
+
+const MIGRATIONS_TABLE = `
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    target VARCHAR(20) NOT NULL,
+    name VARCHAR(255) NOT NULL, -- file name without .sql
+    checksum CHAR(64) NOT NULL, -- sha256 of the up script that ran
+    baseline BOOLEAN NOT NULL DEFAULT false, -- recorded without running (schema.sql or applied by hand)
+    execution_ms INTEGER,
+    applied_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    PRIMARY KEY (target, name)
+  )`;
+
+export class MigrationError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'MigrationError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Parse a migration file name
+ * @param {string} file - e.g. 021_canonical_invoices.sql or 021_canonical_invoices.down.sql
+ * @returns {Object|null} { name, number, down }, null for other files
+ */
+export function parseMigrationFile(file) {
+  const match = /^((\d+)_[a-z0-9_]+?)(\.down)?\.sql$/i.exec(file);
+  if (!match) {
+    return null;
+  }
+  return { name: match[1], number: parseInt(match[2], 10), down: Boolean(match[3]) };
+}
+
+/**
+ * Checksum of a migration script, the same for LF and CRLF checkouts
+ * @param {string} sql
+ * @returns {string} sha256 hex
+ */
+export function migrationChecksum(sql) {
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+// Top-level transaction statements; PL/pgSQL's BEGIN has no semicolon and its END; is left alone
+const TRANSACTION_START = /^[ \t]*(?:BEGIN|START[ \t]+TRANSACTION)(?:[ \t]+(?:WORK|TRANSACTION))?[ \t]*;[ \t]*(?=\r?$)/gim;
+const TRANSACTION_END = /^[ \t]*(?:COMMIT(?:[ \t]+(?:WORK|TRANSACTION))?|END[ \t]+(?:WORK|TRANSACTION))[ \t]*;[ \t]*(?=\r?$)/gim;
+const TRANSACTION_CONTROL = /^[ \t]*(?:ROLLBACK|ABORT|SAVEPOINT|RELEASE|PREPARE[ \t]+TRANSACTION)\b/im;
+
+/**
+ * The statements of a script without its own BEGIN/COMMIT
+ * The runner wraps every script in a transaction together with its
+ * schema_migrations row, so a script may only bracket itself in one
+ * BEGIN; ... COMMIT; pair, which is dropped
+ * @param {string} sql
+ * @returns {string} Script to run inside the runner's transaction
+ * @throws {MigrationError} When the script manages transactions any other way
+ */
+export function transactionBody(sql) {
+  const starts = sql.match(TRANSACTION_START) || [];
+  const ends = sql.match(TRANSACTION_END) || [];
+  if (starts.length > 1 || ends.length > 1 || starts.length !== ends.length || TRANSACTION_CONTROL.test(sql)) {
+    throw new MigrationError(
+      'Migration scripts run in the runner\'s transaction; remove their BEGIN/COMMIT/ROLLBACK statements',
+      400,
+      { begin: starts.length, commit: ends.length }
+    );
+  }
+  return sql.replace(TRANSACTION_START, '').replace(TRANSACTION_END, '');
+}
+
+/**
+ * Order migrations by number, then name
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+export function compareMigrations(a, b) {
+  return a.number - b.number || (a.name < b.name ? -1 : a.name > b.name ? 1 : 0);
+}
+
+/**
+ * Read a migrations directory
+ * @param {string} dir - Directory, missing means no migrations
+ * @returns {Array<Object>} [{ name, number, file, sql, checksum, downFile, downSql }] in order
+ */
+export function loadMigrations(dir) {
+  let files;
+  try {
+    files = fs.readdirSync(dir);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  const byName = new Map();
+  for (const file of files) {
+    const parsed = parseMigrationFile(file);
+    if (!parsed) {
+      continue;
+    }
+    const migration = byName.get(parsed.name) || { name: parsed.name, number: parsed.number };
+    const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+    try {
+      transactionBody(sql);
+    } catch (error) {
+      throw new MigrationError(`${file}: ${error.message}`, 400, error.details);
+    }
+    if (parsed.down) {
+      migration.downFile = file;
+      migration.downSql = sql;
+    } else {
+      migration.file = file;
+      migration.sql = sql;
+      migration.checksum = migrationChecksum(sql);
+    }
+    byName.set(parsed.name, migration);
+  }
+
+  const orphans = [...byName.values()].filter(migration => !migration.file);
+  if (orphans.length > 0) {
+    throw new MigrationError('Down scripts without a migration', 400, {
+      files: orphans.map(migration => migration.downFile),
+    });
+  }
+
+  const migrations = [...byName.values()].sort(compareMigrations);
+  const shared = migrations.filter((migration, i) => i > 0 && migration.number === migrations[i - 1].number);
+  if (shared.length > 0) {
+    throw new MigrationError('Migrations share a number; give each one the next free number', 400, {
+      files: migrations
+        .filter(migration => shared.some(other => other.number === migration.number))
+        .map(migration => migration.file),
+    });
+  }
+
+  return migrations;
+}
+
+/**
+ * Compare the migrations on disk with the ones a database has applied
+ * @param {Array<Object>} migrations - From loadMigrations
+ * @param {Array<Object>} applied - schema_migrations rows
+ * @returns {Object} { pending, changed, missing, outOfOrder }
+ *   - pending: not applied yet, in order
+ *   - changed: applied, but the file no longer matches the checksum
+ *   - missing: applied, but the file is gone
+ *   - outOfOrder: pending migrations that sort before the last applied one
+ */
+export function planMigrations(migrations, applied) {
+  const appliedByName = new Map(applied.map(row => [row.name, row]));
+  const known = new Set(migrations.map(migration => migration.name));
+
+  const pending = migrations.filter(migration => !appliedByName.has(migration.name));
+  const changed = migrations
+    .filter(migration => appliedByName.has(migration.name) &&
+      appliedByName.get(migration.name).checksum !== migration.checksum)
+    .map(migration => migration.name);
+  const missing = applied.filter(row => !known.has(row.name)).map(row => row.name);
+
+  const last = migrations.filter(migration => appliedByName.has(migration.name)).pop();
+  const outOfOrder = last
+    ? pending.filter(migration => compareMigrations(migration, last) < 0).map(migration => migration.name)
+    : [];
+
+  return { pending, changed, missing, outOfOrder };
+}
+
+/**
+ * Pick the migrations to roll back, newest first
+ * @param {Array<Object>} migrations - From loadMigrations
+ * @param {Array<Object>} applied - schema_migrations rows
+ * @param {Object} options - { steps: how many (default 1), to: roll back everything after this name }
+ * @returns {Array<Object>} Migrations to undo
+ * @throws {MigrationError} When a migration has no down script or `to` isn't applied
+ */
+export function planRollback(migrations, applied, { steps = 1, to = null } = {}) {
+  const appliedNames = new Set(applied.map(row => row.name));
+  const missing = applied.filter(row => !migrations.some(migration => migration.name === row.name));
+  if (missing.length > 0) {
+    throw new MigrationError('Applied migrations are missing from the directory', 400, {
+      missing: missing.map(row => row.name),
+    });
+  }
+
+  const newestFirst = migrations.filter(migration => appliedNames.has(migration.name)).reverse();
+
+  let selected;
+  if (to) {
+    const index = newestFirst.findIndex(migration => migration.name === to);
+    if (index === -1) {
+      throw new MigrationError(`Migration ${to} is not applied`);
+    }
+    selected = newestFirst.slice(0, index);
+  } else {
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new MigrationError('steps must be a positive integer');
+    }
+    selected = newestFirst.slice(0, steps);
+  }
+
+  // Checked before anything runs, so a rollback never stops halfway at an irreversible migration
+  const withoutDown = selected.filter(migration => !migration.downSql);
+  if (withoutDown.length > 0) {
+    throw new MigrationError(
+      `${withoutDown.map(migration => migration.name).join(', ')} ${withoutDown.length === 1 ? 'has' : 'have'} no down script and cannot be rolled back; nothing was rolled back. Restore a backup, or undo the change in a new migration`,
+      400,
+      { migrations: withoutDown.map(migration => migration.name) }
+    );
+  }
+  return selected;
+}
+
+/**
+ * A target with absolute paths; `dir` and `schema` options replace the target's own
+ */
+function getTarget(name, { root, dir, schema } = {}) {
+  const target = MIGRATION_TARGETS[name];
+  if (!target) {
+    throw new MigrationError(`Unknown migration target "${name}"`, 400, {
+      valid_targets: Object.keys(MIGRATION_TARGETS),
+    });
+  }
+  const base = dir && schema ? process.cwd() : root || findBackendDir();
+  return {
+    ...target,
+    dir: path.resolve(base, dir || target.dir),
+    schema: path.resolve(base, schema || target.schema),
+  };
+}
+
+/**
+ * A single session for the run: advisory locks belong to a connection
+ */
+async function acquire(db) {
+  // A Pool hands out a client to release; a Client is used as is
+  if ('totalCount' in db) {
+    const client = await db.connect();
+    return { client, release: () => client.release() };
+  }
+  return { client: db, release: () => {} };
+}
+
+async function withLock(client, target, { lockTimeoutMs, log }, fn) {
+  const deadline = Date.now() + lockTimeoutMs;
+  let waiting = false;
+  for (;;) {
+    const result = await client.query('SELECT pg_try_advisory_lock($1) AS locked', [target.lockKey]);
+    if (result.rows[0].locked) {
+      break;
+    }
+    if (Date.now() >= deadline) {
+      throw new MigrationError('Another migration run holds the lock', 409, { lock_key: target.lockKey });
+    }
+    if (!waiting) {
+      log('⏳ Waiting for another migration run to finish');
+      waiting = true;
+    }
+    await new Promise(resolve => setTimeout(resolve, 1000));
+  }
+
+  try {
+    return await fn();
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [target.lockKey]);
+  }
+}
+
+async function readApplied(client, targetName) {
+  const exists = await client.query(`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`);
+  if (!exists.rows[0].exists) {
+    return [];
+  }
+  const result = await client.query(
+    'SELECT name, checksum, baseline, applied_at FROM schema_migrations WHERE target = $1 ORDER BY applied_at, name',
+    [targetName]
+  );
+  return result.rows;
+}
+
+async function hasSchema(client, target) {
+  if (!target.probeTable) {
+    return false;
+  }
+  const result = await client.query('SELECT to_regclass($1) IS NOT NULL AS exists', [target.probeTable]);
+  return result.rows[0].exists;
+}
+
+async function recordMigrations(client, targetName, migrations, { baseline, executionMs = null }) {
+  for (const migration of migrations) {
+    await client.query(
+      `INSERT INTO schema_migrations (target, name, checksum, baseline, execution_ms)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (target, name) DO NOTHING`,
+      [targetName, migration.name, migration.checksum, baseline, executionMs]
+    );
+  }
+}
+
+/**
+ * Run a script and what records it in one transaction
+ */
+async function runScript(client, sql, after) {
+  try {
+    await client.query('BEGIN');
+    await client.query(transactionBody(sql));
+    await after();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  }
+}
+
+function assertUnchanged(plan) {
+  if (plan.changed.length > 0) {
+    throw new MigrationError(
+      'Applied migrations were edited; restore them and put the change in a new migration',
+      409,
+      { changed: plan.changed }
+    );
+  }
+}
+
+/**
+ * Apply pending migrations
+ * A database without history gets the target's schema.sql, and every migration
+ * on disk is recorded as its baseline. An app database that already has tables
+ * but no history has to be baselined first (see baselineMigrations).
+ * @param {Object} db - pg Pool or connected Client
+ * @param {Object} options - {
+ *   target: 'app' (default) or 'indexer', root: backend directory (see findBackendDir),
+ *   dir/schema: replace the target's paths,
+ *   to: stop after this migration, dryRun: only report the plan, outOfOrder: apply
+ *   migrations older than the last applied one, lockTimeoutMs, log }
+ * @returns {Promise<Object>} { target, baseline, applied: [names], pending: [names], dryRun }
+ * @throws {MigrationError} When the history doesn't match the directory
+ */
+export async function runMigrations(db, options = {}) {
+  const {
+    target: targetName = 'app',
+    to = null,
+    dryRun = false,
+    outOfOrder = false,
+    lockTimeoutMs = 60000,
+    log = () => {},
+  } = options;
+  const target = getTarget(targetName, options);
+  const migrations = loadMigrations(target.dir);
+
+  if (to && !migrations.some(migration => migration.name === to)) {
+    throw new MigrationError(`Unknown migration ${to}`);
+  }
+
+  const { client, release } = await acquire(db);
+  try {
+    const run = async () => {
+      // Created under the lock, a dry run leaves the database as it is
+      if (!dryRun) {
+        await client.query(MIGRATIONS_TABLE);
+      }
+      const applied = await readApplied(client, targetName);
+
+      // New database: start from the full schema
+      if (applied.length === 0) {
+        if (!target.schemaIdempotent && await hasSchema(client, target)) {
+          throw new MigrationError(
+            'The database has tables but no migration history; record the migrations it already has with `npm run migrate -- baseline <name>`',
+            409
+          );
+        }
+        const baseline = to
+          ? migrations.slice(0, migrations.findIndex(migration => migration.name === to) + 1)
+          : migrations;
+        if (dryRun) {
+          return { target: targetName, baseline: true, applied: [], pending: baseline.map(m => m.name), dryRun };
+        }
+
+        const schema = fs.readFileSync(target.schema, 'utf8');
+        await runScript(client, schema, () => recordMigrations(client, targetName, baseline, { baseline: true }));
+        log(`🗄️  Applied ${path.basename(target.schema)}, recorded ${baseline.length} migrations as its baseline`);
+        return { target: targetName, baseline: true, applied: baseline.map(m => m.name), pending: [], dryRun };
+      }
+
+      const plan = planMigrations(migrations, applied);
+      assertUnchanged(plan);
+      if (plan.missing.length > 0) {
+        log(`⚠️  Applied migrations missing from ${target.dir}: ${plan.missing.join(', ')}`);
+      }
+      if (plan.outOfOrder.length > 0 && !outOfOrder) {
+        throw new MigrationError(
+          'Pending migrations sort before the last applied one; check them and rerun with --out-of-order',
+          409,
+          { out_of_order: plan.outOfOrder }
+        );
+      }
+
+      let pending = plan.pending;
+      if (to) {
+        pending = pending.filter(migration => compareMigrations(migration, migrations.find(m => m.name === to)) <= 0);
+      }
+      if (dryRun) {
+        return { target: targetName, baseline: false, applied: [], pending: pending.map(m => m.name), dryRun };
+      }
+
+      const done = [];
+      for (const migration of pending) {
+        const started = Date.now();
+        log(`▶ ${migration.name}`);
+        try {
+          await runScript(client, migration.sql, () =>
+            recordMigrations(client, targetName, [migration], {
+              baseline: false,
+              executionMs: Date.now() - started,
+            })
+          );
+        } catch (error) {
+          throw new MigrationError(`Migration ${migration.name} failed: ${error.message}`, 500, {
+            migration: migration.name,
+            applied: done,
+          });
+        }
+        done.push(migration.name);
+        log(`✔ ${migration.name} (${Date.now() - started}ms)`);
+      }
+      return { target: targetName, baseline: false, applied: done, pending: [], dryRun };
+    };
+
+    // Dry runs wait for a run in progress too, so they plan against a settled history
+    return await withLock(client, target, { lockTimeoutMs, log }, run);
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Roll back applied migrations with their down scripts, newest first
+ * Only migrations shipped with a down script can be rolled back: for the app
+ * that is 022 onward, the indexer has none. planRollback refuses before
+ * running anything when the selection reaches an older one.
+ * @param {Object} db - pg Pool or connected Client
+ * @param {Object} options - { target, root, steps (default 1), to: keep this one and everything before it, dryRun, lockTimeoutMs, log }
+ * @returns {Promise<Object>} { target, rolledBack: [names], dryRun }
+ */
+export async function rollbackMigrations(db, options = {}) {
+  const {
+    target: targetName = 'app',
+    steps = 1,
+    to = null,
+    dryRun = false,
+    lockTimeoutMs = 60000,
+    log = () => {},
+  } = options;
+  const target = getTarget(targetName, options);
+  const migrations = loadMigrations(target.dir);
+
+  const { client, release } = await acquire(db);
+  try {
+    const run = async () => {
+      const applied = await readApplied(client, targetName);
+      assertUnchanged(planMigrations(migrations, applied));
+      const selected = planRollback(migrations, applied, { steps, to });
+
+      if (dryRun) {
+        return { target: targetName, rolledBack: selected.map(m => m.name), dryRun };
+      }
+
+      const done = [];
+      for (const migration of selected) {
+        log(`◀ ${migration.name}`);
+        try {
+          await runScript(client, migration.downSql, () =>
+            client.query('DELETE FROM schema_migrations WHERE target = $1 AND name = $2', [targetName, migration.name])
+          );
+        } catch (error) {
+          throw new MigrationError(`Rolling back ${migration.name} failed: ${error.message}`, 500, {
+            migration: migration.name,
+            rolled_back: done,
+          });
+        }
+        done.push(migration.name);
+      }
+      return { target: targetName, rolledBack: done, dryRun };
+    };
+
+    // Dry runs wait for a run in progress too, so they plan against a settled history
+    return await withLock(client, target, { lockTimeoutMs, log }, run);
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Record migrations as applied without running them, for databases migrated by hand
+ * @param {Object} db - pg Pool or connected Client
+ * @param {Object} options - { target, root, to: last migration the database has (required), dryRun, lockTimeoutMs, log }
+ * @returns {Promise<Object>} { target, recorded: [names], dryRun }
+ */
+export async function baselineMigrations(db, options = {}) {
+  const {
+    target: targetName = 'app',
+    to,
+    dryRun = false,
+    lockTimeoutMs = 60000,
+    log = () => {},
+  } = options;
+  const target = getTarget(targetName, options);
+  const migrations = loadMigrations(target.dir);
+
+  const index = migrations.findIndex(migration => migration.name === to);
+  if (index === -1) {
+    throw new MigrationError(`Unknown migration ${to}`, 400, {
+      migrations: migrations.map(migration => migration.name),
+    });
+  }
+
+  const { client, release } = await acquire(db);
+  try {
+    const run = async () => {
+      if (!dryRun) {
+        await client.query(MIGRATIONS_TABLE);
+      }
+      const applied = new Set((await readApplied(client, targetName)).map(row => row.name));
+      const recorded = migrations.slice(0, index + 1).filter(migration => !applied.has(migration.name));
+      if (!dryRun) {
+        await recordMigrations(client, targetName, recorded, { baseline: true });
+        log(`📌 Recorded ${recorded.length} migrations up to ${to} as applied`);
+      }
+      return { target: targetName, recorded: recorded.map(m => m.name), dryRun };
+    };
+
+    // Dry runs wait for a run in progress too, so they plan against a settled history
+    return await withLock(client, target, { lockTimeoutMs, log }, run);
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Applied and pending migrations of a database
+ * @param {Object} db - pg Pool or connected Client
+ * @param {Object} options - { target, root }
+ * @returns {Promise<Object>} { target, migrations: [{ name, status, applied_at, baseline, has_down }], changed, missing, outOfOrder }
+ *   status is applied, pending or changed
+ */
+export async function migrationStatus(db, options = {}) {
+  const { target: targetName = 'app' } = options;
+  const target = getTarget(targetName, options);
+  const migrations = loadMigrations(target.dir);
+
+  const { client, release } = await acquire(db);
+  try {
+    const applied = await readApplied(client, targetName);
+    const plan = planMigrations(migrations, applied);
+    const appliedByName = new Map(applied.map(row => [row.name, row]));
+
+    return {
+      target: targetName,
+      migrations: migrations.map(migration => {
+        const row = appliedByName.get(migration.name);
+        return {
+          name: migration.name,
+          status: !row ? 'pending' : plan.changed.includes(migration.name) ? 'changed' : 'applied',
+          applied_at: row?.applied_at || null,
+          baseline: row?.baseline || false,
+          has_down: Boolean(migration.downSql),
+        };
+      }),
+      changed: plan.changed,
+      missing: plan.missing,
+      outOfOrder: plan.outOfOrder,
+    };
+  } finally {
+    release();
+  }
+}
+
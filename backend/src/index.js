@@ -10,6 +10,13 @@ import routes from './routes/index.js';
 // Import config
 import { pool, config } from './config/appConfig.js';
 
+// Import background workers
+import { startWebhookWorker, stopWebhookWorker } from './services/webhooks.js';
+import { startPaymentWatcher, stopPaymentWatcher } from './services/paymentWatcher.js';
+import { startNodeProbes, stopNodeProbes } from './config/zcash.js';
+import { startSubscriptionScheduler, stopSubscriptionScheduler } from './services/subscriptions.js';
+import { startWithdrawalBatcher, stopWithdrawalBatcher } from './services/withdrawalBatches.js';
+
 // Export SDK for npm package usage
 export { ZcashPaywall } from './sdk/index.js';
 
@@ -61,12 +68,22 @@ app.use((error, req, res, next) => {
 // Graceful shutdown
 process.on('SIGTERM', async () => {
   console.log('SIGTERM received, shutting down gracefully');
+  stopWebhookWorker();
+  stopPaymentWatcher();
+  stopNodeProbes();
+  stopSubscriptionScheduler();
+  stopWithdrawalBatcher();
   await pool.end();
   process.exit(0);
 });
 
 process.on('SIGINT', async () => {
   console.log('SIGINT received, shutting down gracefully');
+  stopWebhookWorker();
+  stopPaymentWatcher();
+  stopNodeProbes();
+  stopSubscriptionScheduler();
+  stopWithdrawalBatcher();
   await pool.end();
   process.exit(0);
 });
@@ -79,4 +96,28 @@ app.listen(PORT, () => {
   console.log(`📖 API docs: http://localhost:${PORT}/api`);
   console.log(`🔧 Environment: ${config.nodeEnv}`);
   console.log(`💰 Treasury address: ${config.platformTreasuryAddress || 'Not configured'}`);
+
+  // Retry failed webhook deliveries in the background
+  startWebhookWorker();
+
+  // Score RPC endpoints for failover
+  startNodeProbes();
+
+  // Settle pending invoices in-process unless a standalone watcher is used
+  if (config.paymentWatcher.enabled) {
+    startPaymentWatcher();
+    console.log(`👀 Payment watcher: every ${config.paymentWatcher.interval}ms`);
+  }
+
+  // Issue subscription renewals in-process unless the standalone watcher does
+  if (config.subscriptions.schedulerEnabled) {
+    startSubscriptionScheduler();
+    console.log(`🔁 Subscription scheduler: every ${config.subscriptions.interval}ms`);
+  }
+
+  // Send pending withdrawals in batches
+  if (config.withdrawalBatches.schedulerEnabled) {
+    startWithdrawalBatcher();
+    console.log(`💸 Withdrawal batches: every ${config.withdrawalBatches.interval}ms`);
+  }
 });
@@ -0,0 +1,31 @@
+/**
+ * Invoices
+ * One `invoices` table and one service behind every invoice API (legacy,
+ * shielded, WebZjs, zcash-devtool and unified); payment methods plug in
+ * through the registry in methods.js
+ */
+
+export { PaymentMethod, InvoiceError } from './method.js';
+export { PAYMENT_METHODS, createPaymentMethod } from './methods.js';
+export {
+  INVOICE_TABLE,
+  INVOICE_SOURCES,
+  SOURCE_NAMES,
+  REFUNDABLE_SOURCES,
+  getInvoiceSource,
+  sourceForLegacyTable,
+  parseInvoiceId,
+} from './sources.js';
+export {
+  INVOICE_TYPES,
+  invoicePaymentUri,
+  invoiceMessage,
+} from './request.js';
+export {
+  resolveUserId,
+  createInvoice,
+  findInvoice,
+  listInvoices,
+  checkInvoice,
+  formatInvoice,
+} from './service.js';
@@ -0,0 +1,85 @@
+/**
+ * Payment method interface
+ * A payment method decides where an invoice is paid: it allocates the
+ * address, says whether a memo reference goes with it and what the payer is
+ * told. Everything after that (matching, settlement, refunds) is the same for
+ * every method.
+ */
+
+import { getWatchType } from '../services/paymentMatcher.js';
+import { generateReference } from '../utils/memoReference.js';
+
+/**
+ * Error with the HTTP status a route should answer with
+ */
+export class InvoiceError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'InvoiceError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Address type stored with an invoice
+ * @param {string|null} address
+ * @returns {string|null} 'transparent', 'shielded' or 'unified'
+ */
+export function addressType(address) {
+  if (/^(u1|utest1)/.test(address || '')) {
+    return 'unified';
+  }
+  return getWatchType(address);
+}
+
+export class PaymentMethod {
+  /**
+   * @param {string} name - payment_method value
+   * @param {Object} options - { splitPayments: whether extra ZIP-321 recipients can be added }
+   */
+  constructor(name, { splitPayments = true } = {}) {
+    this.name = name;
+    this.splitPayments = splitPayments;
+  }
+
+  /**
+   * Allocate the address a new invoice is paid to
+   * @param {Object} request - createInvoice request, with the resolved userId
+   * @returns {Promise<Object>} { address, type, address_index, metadata, network? }
+   */
+  async allocate(request) {
+    throw new Error(`Payment method ${this.name} does not allocate addresses`);
+  }
+
+  /**
+   * Memo reference code for an allocated address, only shielded receivers can carry a memo
+   * @param {string|null} address
+   * @returns {string|null}
+   */
+  reference(address) {
+    return getWatchType(address) === 'shielded' ? generateReference() : null;
+  }
+
+  /**
+   * Whether payments to the invoice can be matched on-chain
+   * @param {Object} invoice - Invoice row
+   * @returns {boolean}
+   */
+  watchable(invoice) {
+    return getWatchType(invoice.payment_address) !== null;
+  }
+
+  /**
+   * What the payer is told to do
+   * @param {Object} invoice - Invoice row
+   * @returns {Array<string>}
+   */
+  instructions(invoice) {
+    return [
+      'Send ZEC to the address above',
+      'Payment method was automatically selected',
+      'Payment will be detected automatically',
+    ];
+  }
+}
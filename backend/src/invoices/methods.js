@@ -0,0 +1,33 @@
+/**
+ * Payment method registry
+ * Maps payment_method values to their implementation, the same way
+ * src/rpc/index.js maps CHAIN_BACKEND to a driver
+ */
+
+import { TransparentMethod } from './transparent.js';
+import { ShieldedMethod } from './shielded.js';
+import { UnifiedMethod, AutoMethod } from './unified.js';
+import { createWebzjsMethod, createDevtoolMethod } from './wallet.js';
+
+const METHODS = {
+  auto: () => new AutoMethod(),
+  transparent: () => new TransparentMethod(),
+  shielded: () => new ShieldedMethod(),
+  unified: () => new UnifiedMethod(),
+  webzjs: createWebzjsMethod,
+  devtool: createDevtoolMethod,
+};
+
+export const PAYMENT_METHODS = Object.keys(METHODS);
+
+/**
+ * @param {string} name - payment_method value
+ * @returns {PaymentMethod}
+ */
+export function createPaymentMethod(name) {
+  const factory = METHODS[name];
+  if (!factory) {
+    throw new Error(`Unknown payment method "${name}" (expected one of: ${PAYMENT_METHODS.join(', ')})`);
+  }
+  return factory();
+}
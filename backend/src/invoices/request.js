@@ -0,0 +1,192 @@
+/**
+ * Invoice requests
+ * Checks what a caller asked for before anything is allocated, and builds
+ * the amounts and payment URI every invoice API returns
+ */
+
+import {
+  buildPaymentRequest,
+  classifyAddress,
+  parseAmount,
+  formatAmount,
+} from '../utils/zip321.js';
+import { generatePaymentUri } from '../utils/qrcode.js';
+import { validateFiatAmount } from '../utils/fiatQuote.js';
+
+export const INVOICE_TYPES = ['subscription', 'one_time'];
+
+/**
+ * Check the type, price and expiry of a new invoice
+ * @param {Object} request - { type, amountZec, amountFiat, currency, expiresAt }
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateInvoiceRequest({ type, amountZec, amountFiat, currency, expiresAt }) {
+  if (!INVOICE_TYPES.includes(type)) {
+    return 'Invalid type. Must be "subscription" or "one_time"';
+  }
+
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const expiry = parseExpiry(expiresAt);
+    if (!expiry || expiry.getTime() <= Date.now()) {
+      return 'expires_at must be a timestamp in the future';
+    }
+  }
+
+  if (amountFiat !== undefined && amountFiat !== null) {
+    if (amountZec !== undefined && amountZec !== null) {
+      return 'Provide either amount_zec or amount_fiat, not both';
+    }
+    return validateFiatAmount(amountFiat, currency);
+  }
+
+  if (typeof amountZec !== 'number' || !(amountZec > 0)) {
+    return 'amount_zec must be a positive number';
+  }
+  return null;
+}
+
+/**
+ * When an unpaid invoice expires
+ * @param {string|Date|null} expiresAt - Requested expiry
+ * @param {number} ttlMinutes - Default lifetime
+ * @param {Date} now
+ * @returns {Date}
+ */
+export function invoiceExpiry(expiresAt, ttlMinutes, now = new Date()) {
+  return parseExpiry(expiresAt) || new Date(now.getTime() + ttlMinutes * 60 * 1000);
+}
+
+function parseExpiry(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = value instanceof Date ? value : typeof value === 'string' ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+}
+
+/**
+ * Validate the extra recipients of a split payment
+ * The invoice amount stays with the invoice address; these are paid on top of it
+ * @param {Array<Object>} recipients - [{ address, amount_zec, label?, memo? }]
+ * @param {number} platformFeeZec - Optional fee, added as a treasury recipient
+ * @param {Object} options - { network: invoice network, checked when set; treasuryAddress }
+ * @returns {Array<Object>} Recipients as stored in payment_recipients
+ * @throws {Error} With a message for the caller when a recipient is invalid
+ */
+export function normalizeRecipients(recipients, platformFeeZec, { network = null, treasuryAddress = null } = {}) {
+  if (recipients !== undefined && recipients !== null && !Array.isArray(recipients)) {
+    throw new Error('recipients must be an array');
+  }
+
+  const all = [...(recipients || [])];
+  if (platformFeeZec !== undefined && platformFeeZec !== null) {
+    if (typeof platformFeeZec !== 'number' || platformFeeZec <= 0) {
+      throw new Error('platform_fee_zec must be a positive number');
+    }
+    if (!treasuryAddress) {
+      throw new Error('Platform fee requested but no treasury address is configured');
+    }
+    all.push({ address: treasuryAddress, amount_zec: platformFeeZec, label: 'Platform fee' });
+  }
+
+  return all.map((recipient, i) => {
+    const info = classifyAddress(recipient?.address);
+    if (!info) {
+      throw new Error(`Recipient ${i}: invalid Zcash address`);
+    }
+    if (network && info.network !== network) {
+      throw new Error(`Recipient ${i}: address is for ${info.network}, not ${network}`);
+    }
+    if (typeof recipient.amount_zec !== 'number' || recipient.amount_zec <= 0) {
+      throw new Error(`Recipient ${i}: amount_zec must be a positive number`);
+    }
+    try {
+      formatAmount(recipient.amount_zec);
+    } catch (error) {
+      throw new Error(`Recipient ${i}: ${error.message}`);
+    }
+    if (recipient.memo && ['transparent', 'tex'].includes(info.type)) {
+      throw new Error(`Recipient ${i}: transparent addresses cannot receive a memo`);
+    }
+    return {
+      address: recipient.address,
+      amount_zec: recipient.amount_zec,
+      label: recipient.label || null,
+      memo: recipient.memo || null,
+    };
+  });
+}
+
+/**
+ * @param {Array<Object>} recipients - payment_recipients column
+ * @returns {Array<Object>} Recipients with numeric amounts
+ */
+export function formatRecipients(recipients) {
+  return (recipients || []).map(recipient => ({
+    ...recipient,
+    amount_zec: parseFloat(recipient.amount_zec),
+  }));
+}
+
+/**
+ * Invoice amount plus every extra recipient, in ZEC
+ * @param {Object} invoice - Invoice row
+ * @returns {number}
+ */
+export function invoiceTotal(invoice) {
+  const total = (invoice.payment_recipients || []).reduce(
+    (sum, recipient) => sum + parseAmount(formatAmount(recipient.amount_zec)),
+    parseAmount(invoice.amount_zec)
+  );
+  return parseFloat(formatAmount(total));
+}
+
+/**
+ * Message shown in the payer's wallet
+ * @param {Object} invoice - Invoice row
+ * @returns {string}
+ */
+export function invoiceMessage(invoice) {
+  return invoice.description ||
+    `Payment for ${invoice.type}${invoice.item_id ? ` - ${invoice.item_id}` : ''}`;
+}
+
+/**
+ * Build the ZIP-321 payment URI for an invoice
+ * Payment 0 pays the invoice address (with the memo reference), the extra
+ * recipients follow as address.1, address.2, ...
+ * @param {Object} invoice - Invoice row
+ * @returns {string|null} zcash: URI, null while the invoice has no address
+ */
+export function invoicePaymentUri(invoice) {
+  if (!invoice.payment_address) {
+    return null;
+  }
+
+  const message = invoiceMessage(invoice);
+  const recipients = invoice.payment_recipients || [];
+
+  if (recipients.length === 0) {
+    return generatePaymentUri(
+      invoice.payment_address,
+      parseFloat(invoice.amount_zec),
+      message,
+      invoice.payment_reference
+    );
+  }
+
+  return buildPaymentRequest([
+    {
+      address: invoice.payment_address,
+      amount: invoice.amount_zec,
+      memo: invoice.payment_reference,
+      message,
+    },
+    ...recipients.map(recipient => ({
+      address: recipient.address,
+      amount: recipient.amount_zec,
+      memo: recipient.memo,
+      label: recipient.label,
+    })),
+  ]);
+}
@@ -0,0 +1,299 @@
+/**
+ * Invoice service
+ * Creates, finds, checks and formats invoices for every invoice API. Where an
+ * invoice is paid is up to its payment method (methods.js); matching,
+ * settlement, refunds and the ledger work the same for all of them.
+ */
+
+import { pool, config } from '../config/appConfig.js';
+import { quoteFiatAmount } from '../services/exchangeRates.js';
+import { linkDerivedAddress } from '../services/addressDerivation.js';
+import { settleInvoice, expireInvoice } from '../services/settlement.js';
+import { dispatchWebhookEvent } from '../services/webhooks.js';
+import { formatInvoiceEvent, formatPaymentProgress } from '../services/paymentWatcher.js';
+import { formatQuote } from '../utils/fiatQuote.js';
+import { UNPAID_STATUSES } from '../utils/confirmationPolicy.js';
+import { InvoiceError } from './method.js';
+import { PAYMENT_METHODS, createPaymentMethod } from './methods.js';
+import { SOURCE_NAMES, getInvoiceSource, parseInvoiceId } from './sources.js';
+import {
+  validateInvoiceRequest,
+  normalizeRecipients,
+  invoiceExpiry,
+  formatRecipients,
+  invoiceTotal,
+  invoicePaymentUri,
+} from './request.js';
+
+export { InvoiceError };
+
+/**
+ * Find a user by ID or email, registering one by email when needed
+ * @param {string} userId - User ID
+ * @param {string} email - Email for lookup or auto-registration
+ * @returns {Promise<string>} User ID
+ * @throws {InvoiceError} When neither is usable
+ */
+export async function resolveUserId(userId, email) {
+  if (userId) {
+    const userCheck = await pool.query('SELECT id FROM users WHERE id = $1', [userId]);
+    if (userCheck.rows.length > 0) {
+      return userId;
+    }
+    if (!email) {
+      throw new InvoiceError('User not found and no email provided for auto-registration');
+    }
+  } else if (!email) {
+    throw new InvoiceError('Must provide either user_id or email');
+  } else {
+    const userByEmail = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
+    if (userByEmail.rows.length > 0) {
+      return userByEmail.rows[0].id;
+    }
+  }
+
+  const newUserResult = await pool.query(
+    'INSERT INTO users (email) VALUES ($1) RETURNING id',
+    [email]
+  );
+  return newUserResult.rows[0].id;
+}
+
+/**
+ * Create an invoice
+ * @param {Object} request - {
+ *   source: API creating it (see sources.js), userId and/or email (registered when unknown), type, amountZec | amountFiat + currency,
+ *   paymentMethod, network, itemId, description, memo, recipients, platformFeeZec, subscriptionId,
+ *   expiresAt: when the unpaid invoice expires (default INVOICE_TTL_MINUTES from now),
+ *   method options: shieldedWalletId, webzjsWalletId, devtoolWalletId, viewingKeyId, unifiedAddressId, paymentAddress }
+ * @param {Object} options - { db: pool or client inside a transaction, used for the insert }
+ * @returns {Promise<Object>} { invoice: row, allocation: the payment method's address allocation }
+ * @throws {InvoiceError} For invalid requests, with the status to answer with
+ */
+export async function createInvoice(request, { db = pool } = {}) {
+  const { source = 'unified', paymentMethod = 'auto' } = request;
+
+  if (!getInvoiceSource(source)) {
+    throw new Error(`Unknown invoice source: ${source}`);
+  }
+
+  const validationError = validateInvoiceRequest(request);
+  if (validationError) {
+    throw new InvoiceError(validationError);
+  }
+
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    throw new InvoiceError('Invalid payment_method', 400, { valid_methods: PAYMENT_METHODS });
+  }
+  const method = createPaymentMethod(paymentMethod);
+
+  let recipients;
+  try {
+    recipients = normalizeRecipients(request.recipients, request.platformFeeZec, {
+      network: request.network,
+      treasuryAddress: config.platformTreasuryAddress,
+    });
+  } catch (error) {
+    throw new InvoiceError(error.message);
+  }
+  if (recipients.length > 0 && !method.splitPayments) {
+    throw new InvoiceError(`Split payments are not supported for ${paymentMethod} invoices`);
+  }
+
+  const expiresAt = invoiceExpiry(request.expiresAt, config.paymentWatcher.invoiceTtlMinutes);
+
+  // Fiat prices are converted at the current rate, locked for QUOTE_TTL_MINUTES or until the invoice expires
+  const fiatPriced = request.amountFiat !== undefined && request.amountFiat !== null;
+  const quote = fiatPriced ? await quoteFiatAmount(request.amountFiat, request.currency, { expiresAt }) : null;
+
+  const userId = await resolveUserId(request.userId, request.email);
+  const allocation = await method.allocate({ ...request, userId });
+
+  const result = await db.query(
+    `INSERT INTO invoices (
+      source, user_id, type, amount_zec, payment_method, network,
+      payment_address, address_type, address_metadata, address_index, payment_reference, payment_recipients,
+      item_id, description, memo, subscription_id,
+      shielded_wallet_id, webzjs_wallet_id, devtool_wallet_id,
+      amount_fiat, fiat_currency, exchange_rate, rate_source, quoted_at, quote_expires_at, quote_status,
+      expires_at, status
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19,
+      $20, $21, $22, $23, $24, $25, $26, $27, 'pending')
+    RETURNING *`,
+    [
+      source, userId, request.type, quote ? quote.amount_zec : request.amountZec, paymentMethod,
+      allocation.network ?? request.network ?? null,
+      allocation.address, allocation.type, JSON.stringify(allocation.metadata || {}),
+      allocation.address_index ?? null, method.reference(allocation.address), JSON.stringify(recipients),
+      request.itemId || null, request.description || null, request.memo || null, request.subscriptionId || null,
+      request.shieldedWalletId || null, request.webzjsWalletId || null, request.devtoolWalletId || null,
+      quote?.amount_fiat ?? null, quote?.fiat_currency ?? null, quote?.exchange_rate ?? null,
+      quote?.rate_source ?? null, quote?.quoted_at ?? null, quote?.quote_expires_at ?? null,
+      quote ? 'locked' : null, expiresAt,
+    ]
+  );
+  const invoice = result.rows[0];
+
+  if (invoice.address_index !== null) {
+    await linkDerivedAddress(invoice.payment_address, invoice.id, db);
+  }
+
+  return { invoice, allocation };
+}
+
+const DETAIL_COLUMNS = `
+  i.*, u.email, u.name,
+  sw.name AS shielded_wallet_name, ww.name AS webzjs_wallet_name, dw.name AS devtool_wallet_name`;
+
+const DETAIL_JOINS = `
+  JOIN users u ON u.id = i.user_id
+  LEFT JOIN shielded_wallets sw ON sw.id = i.shielded_wallet_id
+  LEFT JOIN webzjs_wallets ww ON ww.id = i.webzjs_wallet_id
+  LEFT JOIN devtool_wallets dw ON dw.id = i.devtool_wallet_id`;
+
+/**
+ * Find an invoice by ID
+ * Integer IDs from before migration 021 are looked up in the sources' legacy tables
+ * @param {string|number} id - Invoice UUID or legacy integer ID
+ * @param {Object} options - { sources: source names to search, details: join the user and wallet names }
+ * @returns {Promise<Object|null>} Invoice row, null when not found
+ * @throws {InvoiceError} 409 when a legacy ID matches invoices of several sources
+ */
+export async function findInvoice(id, { sources = SOURCE_NAMES, details = false } = {}) {
+  const parsed = parseInvoiceId(id);
+  if (!parsed) {
+    return null;
+  }
+
+  const columns = details ? DETAIL_COLUMNS : 'i.*';
+  const joins = details ? DETAIL_JOINS : '';
+
+  const result = parsed.id
+    ? await pool.query(
+      `SELECT ${columns} FROM invoices i ${joins} WHERE i.id = $1 AND i.source = ANY($2)`,
+      [parsed.id, sources]
+    )
+    : await pool.query(
+      `SELECT ${columns} FROM invoices i ${joins} WHERE i.legacy_id = $1 AND i.legacy_table = ANY($2)`,
+      [parsed.legacyId, sources.map(name => getInvoiceSource(name).legacyTable)]
+    );
+
+  // webzjs and devtool IDs overlapped, a bare integer needs the source to tell them apart
+  if (result.rows.length > 1) {
+    throw new InvoiceError(`Invoice ID ${id} matches more than one invoice; pass the invoice type`, 409, {
+      invoice_types: result.rows.map(row => row.source),
+    });
+  }
+  return result.rows[0] || null;
+}
+
+/**
+ * A user's invoices, newest first
+ * @param {string} userId - User ID
+ * @param {Object} filters - { sources, status, type, limit, offset }
+ * @returns {Promise<Array>} Invoice rows
+ */
+export async function listInvoices(userId, { sources = SOURCE_NAMES, status, type, limit = 50, offset = 0 } = {}) {
+  const params = [userId, sources];
+  let query = 'SELECT * FROM invoices WHERE user_id = $1 AND source = ANY($2)';
+
+  if (status) {
+    params.push(status);
+    query += ` AND status = $${params.length}`;
+  }
+  if (type) {
+    params.push(type);
+    query += ` AND type = $${params.length}`;
+  }
+
+  params.push(limit, offset);
+  query += ` ORDER BY created_at DESC LIMIT $${params.length - 1} OFFSET $${params.length}`;
+
+  const result = await pool.query(query, params);
+  return result.rows;
+}
+
+/**
+ * Match new payments for an open invoice, apply the resulting status and
+ * notify the merchant of the transition
+ * An invoice without an address to watch (a wallet invoice the merchant
+ * hasn't given an address yet) is returned unchanged with a note
+ * @param {Object} invoice - Invoice row
+ * @returns {Promise<Object>} { invoice, transition, payment }
+ */
+export async function checkInvoice(invoice) {
+  if (!createPaymentMethod(invoice.payment_method).watchable(invoice)) {
+    return {
+      invoice,
+      transition: null,
+      payment: {
+        paid: false,
+        received: 0,
+        payments: [],
+        note: 'Manual verification required, the invoice has no address to watch',
+      },
+    };
+  }
+
+  const result = await settleInvoice(invoice);
+  const { payment } = result;
+  let { invoice: current, transition } = result;
+
+  // Expire it here too, so invoice.expired is sent without the payment watcher running
+  if (!transition && UNPAID_STATUSES.includes(current.status)) {
+    const expired = await expireInvoice(current);
+    if (expired) {
+      current = expired;
+      transition = 'expired';
+    }
+  }
+
+  if (transition && transition !== 'pending') {
+    await dispatchWebhookEvent(
+      `invoice.${transition}`,
+      current.user_id,
+      formatInvoiceEvent(current.source, { ...current, ...formatPaymentProgress(transition, payment) })
+    );
+  }
+
+  return { invoice: current, transition, payment };
+}
+
+/**
+ * Public view of an invoice
+ * @param {Object} invoice - Invoice row
+ * @returns {Object} Invoice
+ */
+export function formatInvoice(invoice) {
+  return {
+    id: invoice.id,
+    source: invoice.source,
+    user_id: invoice.user_id,
+    type: invoice.type,
+    amount_zec: parseFloat(invoice.amount_zec),
+    payment_method: invoice.payment_method,
+    payment_address: invoice.payment_address,
+    address_type: invoice.address_type,
+    network: invoice.network,
+    item_id: invoice.item_id,
+    description: invoice.description,
+    memo: invoice.memo,
+    payment_reference: invoice.payment_reference,
+    payment_recipients: formatRecipients(invoice.payment_recipients),
+    total_amount_zec: invoiceTotal(invoice),
+    ...formatQuote(invoice),
+    status: invoice.status,
+    paid_amount_zec: invoice.paid_amount_zec ? parseFloat(invoice.paid_amount_zec) : null,
+    paid_txid: invoice.paid_txid,
+    paid_at: invoice.paid_at,
+    overpaid_zec: parseFloat(invoice.overpaid_zec || 0),
+    underpaid_zec: parseFloat(invoice.underpaid_zec || 0),
+    refunded_amount_zec: parseFloat(invoice.refunded_amount_zec || 0),
+    refunded_at: invoice.refunded_at,
+    ...(invoice.subscription_id && { subscription_id: invoice.subscription_id }),
+    ...(invoice.legacy_id && { legacy_id: invoice.legacy_id }),
+    expires_at: invoice.expires_at,
+    created_at: invoice.created_at,
+    payment_uri: invoicePaymentUri(invoice),
+  };
+}
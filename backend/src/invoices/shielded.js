@@ -0,0 +1,78 @@
+/**
+ * Shielded payment method
+ * The address of one of the merchant's shielded wallets, or a new one from
+ * the node wallet. Payments are told apart by the memo reference.
+ */
+
+import { pool } from '../config/appConfig.js';
+import { getChainBackend, CAPABILITIES } from '../config/zcash.js';
+import { PaymentMethod, InvoiceError } from './method.js';
+
+/**
+ * Generate new shielded address in the node wallet
+ * Callers check the wallet capability first
+ * @param {string} type - Address type ('sapling', 'unified', or 'auto')
+ * @returns {Promise<string>} New shielded address
+ */
+export async function generateShieldedAddress(type = 'auto') {
+  const backend = getChainBackend();
+  try {
+    if (type === 'sapling' || type === 'unified') {
+      return await backend.getNewAddress(type);
+    } else {
+      // Auto mode: try Sapling first, then unified
+      try {
+        return await backend.getNewAddress('sapling');
+      } catch (error) {
+        return await backend.getNewAddress('unified');
+      }
+    }
+  } catch (error) {
+    throw new Error(`Failed to generate ${type} shielded address: ${error.message}`);
+  }
+}
+
+export class ShieldedMethod extends PaymentMethod {
+  constructor() {
+    super('shielded');
+  }
+
+  async allocate({ userId, shieldedWalletId }) {
+    if (shieldedWalletId) {
+      const result = await pool.query(
+        'SELECT id, address FROM shielded_wallets WHERE id = $1 AND user_id = $2',
+        [shieldedWalletId, userId]
+      );
+      if (result.rows.length === 0) {
+        throw new InvoiceError('Shielded wallet not found', 404);
+      }
+      return {
+        address: result.rows[0].address,
+        type: 'shielded',
+        metadata: { wallet_id: result.rows[0].id },
+      };
+    }
+
+    const backend = getChainBackend();
+    if (!backend.has(CAPABILITIES.WALLET)) {
+      throw new InvoiceError(
+        `The ${backend.name} chain backend has no wallet to generate an address, pass wallet_id`,
+        501,
+        { capability: CAPABILITIES.WALLET }
+      );
+    }
+    return {
+      address: await generateShieldedAddress(),
+      type: 'shielded',
+      metadata: { method: 'rpc_generated' },
+    };
+  }
+
+  instructions() {
+    return [
+      'Send ZEC to the shielded address above',
+      'Payment will be detected automatically',
+      'Keep the payment reference in the memo (the payment URI fills it in)',
+    ];
+  }
+}
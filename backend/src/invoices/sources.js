@@ -0,0 +1,82 @@
+/**
+ * Invoice sources
+ * Every invoice lives in the `invoices` table; `source` records which API
+ * created it (and, for rows moved in by migration 021, which table it came
+ * from). Policies that used to differ per table are looked up by source.
+ */
+
+export const INVOICE_TABLE = 'invoices';
+
+/**
+ * Sources, reported as `invoice_type` in events and webhooks
+ * - `legacyTable`: table the source's invoices lived in before migration 021
+ * - `balance`: payments land in the platform wallet and count towards the merchant balance
+ * - `refundable`: paid invoices can be refunded from the node wallet
+ */
+export const INVOICE_SOURCES = [
+  { name: 'legacy', legacyTable: 'invoices', balance: true, refundable: true },
+  { name: 'shielded', legacyTable: 'shielded_invoices', balance: false, refundable: true },
+  { name: 'webzjs', legacyTable: 'webzjs_invoices', balance: false, refundable: false },
+  { name: 'devtool', legacyTable: 'devtool_invoices', balance: false, refundable: false },
+  { name: 'unified', legacyTable: 'unified_invoices', balance: true, refundable: true },
+];
+
+export const SOURCE_NAMES = INVOICE_SOURCES.map(source => source.name);
+
+export const REFUNDABLE_SOURCES = INVOICE_SOURCES
+  .filter(source => source.refundable)
+  .map(source => source.name);
+
+/**
+ * @param {string} name - Source name
+ * @returns {Object|null} Entry from INVOICE_SOURCES
+ */
+export function getInvoiceSource(name) {
+  return INVOICE_SOURCES.find(source => source.name === name) || null;
+}
+
+/**
+ * @param {string} table - Pre-021 invoice table
+ * @returns {Object|null} Entry from INVOICE_SOURCES
+ */
+export function sourceForLegacyTable(table) {
+  return INVOICE_SOURCES.find(source => source.legacyTable === table) || null;
+}
+
+/**
+ * Whether a paid invoice's payment is posted to the merchant's ledger balance
+ * @param {Object} invoice - Invoice row
+ * @returns {boolean}
+ */
+export function countsTowardsBalance(invoice) {
+  return Boolean(getInvoiceSource(invoice.source)?.balance);
+}
+
+/**
+ * Whether a paid invoice can be refunded
+ * @param {Object} invoice - Invoice row
+ * @returns {boolean}
+ */
+export function isRefundable(invoice) {
+  return Boolean(getInvoiceSource(invoice.source)?.refundable);
+}
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Classify an invoice ID from a request
+ * Invoices of the SERIAL tables (webzjs, devtool, unified) got a UUID when
+ * they moved; their old integer ID still finds them through legacy_id
+ * @param {string|number} id - Invoice ID
+ * @returns {Object|null} { id } for a UUID, { legacyId } for an old integer ID, null otherwise
+ */
+export function parseInvoiceId(id) {
+  const value = String(id ?? '').trim();
+  if (UUID_PATTERN.test(value)) {
+    return { id: value.toLowerCase() };
+  }
+  if (/^[1-9]\d{0,17}$/.test(value)) {
+    return { legacyId: value };
+  }
+  return null;
+}
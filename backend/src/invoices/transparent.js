@@ -0,0 +1,34 @@
+/**
+ * Transparent payment method
+ * A fresh t-address per invoice, derived from the configured xpub or
+ * generated by the node wallet
+ */
+
+import { PaymentMethod } from './method.js';
+import { getInvoiceAddress } from '../services/addressDerivation.js';
+
+export class TransparentMethod extends PaymentMethod {
+  constructor() {
+    super('transparent');
+  }
+
+  async allocate({ network }) {
+    const derived = await getInvoiceAddress('transparent', { network });
+    return {
+      address: derived.address,
+      type: 'transparent',
+      address_index: derived.address_index,
+      metadata: derived.address_index !== null
+        ? { method: 'xpub_derived', derivation_path: derived.derivation_path }
+        : { method: 'rpc_generated' },
+    };
+  }
+
+  instructions() {
+    return [
+      'Send ZEC to the transparent address above',
+      'Payment will be detected automatically',
+      'Confirmations required: 1',
+    ];
+  }
+}
@@ -0,0 +1,123 @@
+/**
+ * Unified payment methods
+ * `unified` pays to a ZIP-316 address derived for the invoice from the
+ * merchant's viewing key (or one of the merchant's stored unified addresses);
+ * `auto` does the same when a viewing key is registered and falls back to a
+ * transparent address otherwise
+ */
+
+import { pool } from '../config/appConfig.js';
+import { getInvoiceAddress } from '../services/addressDerivation.js';
+import { findViewingKey, deriveNextAddress } from '../services/viewingKeys.js';
+import { PaymentMethod, InvoiceError } from './method.js';
+
+const POOLS = ['orchard', 'sapling', 'transparent'];
+
+/**
+ * Derive a fresh unified address for one invoice from a viewing key
+ * @param {Object} viewingKey - unified_viewing_keys row
+ * @param {string} method - Metadata label
+ * @returns {Promise<Object>} Allocation
+ */
+async function deriveInvoiceAddress(viewingKey, method) {
+  const { address, derived } = await deriveNextAddress(viewingKey.id, {
+    name: 'Invoice address',
+    includeTransparent: false,
+  });
+  return {
+    address: address.unified_address,
+    type: 'unified',
+    metadata: {
+      method,
+      viewing_key_id: viewingKey.id,
+      unified_address_id: address.id,
+      diversifier_index: derived.diversifier_index,
+      receivers: derived.receivers,
+      pools: ['sapling'],
+    },
+  };
+}
+
+/**
+ * Active viewing key for the invoice's network
+ * @returns {Promise<Object|null>} unified_viewing_keys row
+ * @throws {InvoiceError} When the key is for another network
+ */
+async function invoiceViewingKey({ userId, viewingKeyId, network }) {
+  const viewingKey = await findViewingKey(userId, { viewingKeyId, network });
+  if (viewingKey && viewingKey.network !== network) {
+    throw new InvoiceError(`Viewing key is for ${viewingKey.network}, not ${network}`);
+  }
+  return viewingKey;
+}
+
+export class UnifiedMethod extends PaymentMethod {
+  constructor() {
+    super('unified');
+  }
+
+  async allocate(request) {
+    if (request.unifiedAddressId) {
+      const result = await pool.query(
+        'SELECT * FROM unified_addresses WHERE id = $1 AND user_id = $2',
+        [request.unifiedAddressId, request.userId]
+      );
+      const address = result.rows[0];
+      if (!address) {
+        throw new InvoiceError('Unified address not found', 404);
+      }
+      return {
+        address: address.unified_address,
+        type: 'unified',
+        network: address.network,
+        unifiedAddress: address,
+        metadata: {
+          method: 'unified_address',
+          unified_address_id: address.id,
+          pools: POOLS.filter(name => address[`include_${name}`]),
+        },
+      };
+    }
+
+    const viewingKey = await invoiceViewingKey(request);
+    if (!viewingKey) {
+      throw new InvoiceError(request.viewingKeyId
+        ? 'Viewing key not found or inactive'
+        : `No ${request.network} viewing key registered, import one via POST /api/unified/viewing-keys/import`);
+    }
+    return deriveInvoiceAddress(viewingKey, 'viewing_key_derived');
+  }
+
+  instructions() {
+    return [
+      'Send ZEC to the unified address above',
+      'Your wallet will automatically choose the best pool',
+      'Supports both Orchard and Sapling pools',
+    ];
+  }
+}
+
+export class AutoMethod extends PaymentMethod {
+  constructor() {
+    super('auto');
+  }
+
+  async allocate(request) {
+    const viewingKey = await invoiceViewingKey(request);
+    if (viewingKey) {
+      try {
+        return await deriveInvoiceAddress(viewingKey, 'auto_unified');
+      } catch (error) {
+        console.warn('Unified address derivation failed, using a transparent address:', error.message);
+      }
+    }
+
+    const derived = await getInvoiceAddress('transparent', { network: request.network });
+    return {
+      address: derived.address,
+      type: 'transparent',
+      address_index: derived.address_index,
+      metadata: { method: 'auto_fallback', derivation_path: derived.derivation_path },
+    };
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * Client wallet payment methods (webzjs, devtool)
+ * The merchant's own wallet, running in the browser or the zcash-devtool
+ * CLI, generates the receiving address. The invoice stores it when the
+ * merchant passes one; until then there is nothing to watch.
+ */
+
+import { pool } from '../config/appConfig.js';
+import { PaymentMethod, InvoiceError, addressType } from './method.js';
+
+export class WalletMethod extends PaymentMethod {
+  /**
+   * @param {string} name - payment_method value
+   * @param {Object} options - { walletTable, walletField: request field with the wallet ID, label, instructions }
+   */
+  constructor(name, { walletTable, walletField, label, instructions }) {
+    super(name, { splitPayments: false });
+    this.walletTable = walletTable;
+    this.walletField = walletField;
+    this.label = label;
+    this.steps = instructions;
+  }
+
+  async allocate(request) {
+    const walletId = request[this.walletField];
+    let wallet = null;
+
+    if (walletId) {
+      const result = await pool.query(
+        `SELECT * FROM ${this.walletTable} WHERE id = $1 AND user_id = $2`,
+        [walletId, request.userId]
+      );
+      if (result.rows.length === 0) {
+        throw new InvoiceError(`${this.label} wallet not found`, 404);
+      }
+      wallet = result.rows[0];
+    }
+
+    const address = request.paymentAddress || null;
+    return {
+      address,
+      type: address ? addressType(address) : `${this.name}_placeholder`,
+      network: wallet?.network,
+      wallet,
+      metadata: {
+        wallet_id: wallet?.id ?? null,
+        ...(!address && { note: `Address will be generated by ${this.label}` }),
+      },
+    };
+  }
+
+  // Payers are shown the wallet's own address, no memo reference
+  reference() {
+    return null;
+  }
+
+  instructions() {
+    return this.steps;
+  }
+}
+
+export function createWebzjsMethod() {
+  return new WalletMethod('webzjs', {
+    walletTable: 'webzjs_wallets',
+    walletField: 'webzjsWalletId',
+    label: 'WebZjs',
+    instructions: [
+      'Use WebZjs in your browser to generate receiving address',
+      'Initialize WebZjs wallet and sync with network',
+      'Generate address using wallet.getAddress()',
+      'Update invoice with actual address before payment',
+    ],
+  });
+}
+
+export function createDevtoolMethod() {
+  return new WalletMethod('devtool', {
+    walletTable: 'devtool_wallets',
+    walletField: 'devtoolWalletId',
+    label: 'zcash-devtool',
+    instructions: [
+      'Use zcash-devtool CLI to generate receiving address',
+      'Run: cargo run --release -- wallet -w <path> new-address',
+      'Update invoice with generated address',
+      'Sync wallet periodically to detect payment',
+    ],
+  });
+}
@@ -0,0 +1,23 @@
+/**
+ * Chain backend capability middleware
+ */
+
+import { getChainBackend } from '../config/zcash.js';
+
+/**
+ * Answer 501 when the configured chain backend lacks a capability
+ * @param {string} capability - CAPABILITIES value
+ */
+export function requireChainCapability(capability) {
+  return (req, res, next) => {
+    const backend = getChainBackend();
+    if (!backend.has(capability)) {
+      return res.status(501).json({
+        error: `Not supported by the configured chain backend (${backend.name})`,
+        capability,
+        backend: backend.name,
+      });
+    }
+    next();
+  };
+}
@@ -0,0 +1,160 @@
+/**
+ * Database migrations
+ * Run with `npm run migrate -- [up|down|status|baseline] [options]`, see docs/MIGRATIONS.md
+ *
+ *   up                 Apply pending migrations (default)
+ *   down               Roll back the last migration, or --steps N / --to <name>
+ *   status             List applied and pending migrations
+ *   baseline <name>    Record migrations up to <name> as applied without running them
+ *
+ *   --target app|indexer   Database to migrate (default app; indexer uses the indexer's DB_URL)
+ *   --dry-run              Print what would run and change nothing
+ *   --to <name>            Stop after (up) or roll back to (down) this migration
+ *   --steps <n>            Number of migrations to roll back
+ *   --out-of-order         Apply pending migrations older than the last applied one
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { Pool } from 'pg';
+import dotenv from 'dotenv';
+import {
+  findBackendDir,
+  runMigrations,
+  rollbackMigrations,
+  baselineMigrations,
+  migrationStatus,
+} from './db/migrator.js';
+
+// Only the database settings are read, so migrations run before the rest of the app is configured
+dotenv.config();
+
+const COMMANDS = ['up', 'down', 'status', 'baseline'];
+
+function parseArgs(argv) {
+  const options = { command: 'up', target: 'app', dryRun: false, outOfOrder: false };
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') {
+      options.dryRun = true;
+    } else if (arg === '--out-of-order') {
+      options.outOfOrder = true;
+    } else if (arg === '--target' || arg === '--to' || arg === '--steps') {
+      const value = argv[++i];
+      if (value === undefined) {
+        throw new Error(`${arg} needs a value`);
+      }
+      options[arg.slice(2)] = arg === '--steps' ? parseInt(value, 10) : value;
+    } else if (arg.startsWith('--')) {
+      throw new Error(`Unknown option ${arg}`);
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  if (positional.length > 0) {
+    options.command = positional.shift();
+  }
+  if (!COMMANDS.includes(options.command)) {
+    throw new Error(`Unknown command ${options.command}, expected one of ${COMMANDS.join(', ')}`);
+  }
+  if (options.command === 'baseline') {
+    options.to = positional.shift() || options.to;
+    if (!options.to) {
+      throw new Error('baseline needs the last migration the database already has');
+    }
+  }
+  return options;
+}
+
+function printStatus(status) {
+  for (const migration of status.migrations) {
+    const marks = [
+      migration.baseline && 'baseline',
+      migration.has_down && 'down',
+    ].filter(Boolean).join(', ');
+    console.log(`${migration.status.padEnd(8)} ${migration.name}${marks ? ` (${marks})` : ''}`);
+  }
+  for (const name of status.missing) {
+    console.log(`missing  ${name}`);
+  }
+  const pending = status.migrations.filter(migration => migration.status === 'pending').length;
+  console.log(`${status.migrations.length - pending} applied, ${pending} pending`);
+}
+
+/**
+ * Connect to the database a target lives in
+ * The app database is DATABASE_URL, or the server's DB_* settings. The
+ * indexer database is the indexer's own DB_URL (see indexer/config.js), from
+ * the environment or indexer/.env.
+ */
+function connect(target) {
+  if (target === 'indexer') {
+    const envFile = path.join(findBackendDir(), 'indexer', '.env');
+    const indexerEnv = fs.existsSync(envFile) ? dotenv.parse(fs.readFileSync(envFile)) : {};
+    const connectionString = process.env.DB_URL || indexerEnv.DB_URL;
+    if (!connectionString) {
+      throw new Error('The indexer DB_URL is not set (environment or indexer/.env)');
+    }
+    return new Pool({ connectionString, max: 1 });
+  }
+
+  if (process.env.DATABASE_URL) {
+    return new Pool({ connectionString: process.env.DATABASE_URL, max: 1 });
+  }
+  return new Pool({
+    host: process.env.DB_HOST,
+    port: process.env.DB_PORT,
+    user: process.env.DB_USER,
+    password: process.env.DB_PASS,
+    database: process.env.DB_NAME,
+    max: 1,
+  });
+}
+
+let db = null;
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  db = connect(options.target);
+  const prefix = options.dryRun ? '[dry run] ' : '';
+  const runOptions = { ...options, log: console.log };
+
+  if (options.command === 'status') {
+    printStatus(await migrationStatus(db, runOptions));
+  } else if (options.command === 'down') {
+    const result = await rollbackMigrations(db, runOptions);
+    const verb = options.dryRun ? 'Would roll back' : 'Rolled back';
+    console.log(`${prefix}${verb} ${result.rolledBack.length} migrations${result.rolledBack.length ? `: ${result.rolledBack.join(', ')}` : ''}`);
+  } else if (options.command === 'baseline') {
+    const result = await baselineMigrations(db, runOptions);
+    if (options.dryRun) {
+      console.log(`${prefix}Would record ${result.recorded.length} migrations: ${result.recorded.join(', ')}`);
+    }
+  } else {
+    const result = await runMigrations(db, runOptions);
+    if (options.dryRun) {
+      const how = result.baseline ? ' (schema.sql baseline)' : '';
+      console.log(`${prefix}Would apply ${result.pending.length} migrations${how}${result.pending.length ? `: ${result.pending.join(', ')}` : ''}`);
+    } else if (!result.baseline) {
+      console.log(result.applied.length ? `✅ Applied ${result.applied.length} migrations` : '✅ Database is up to date');
+    }
+  }
+}
+
+main()
+  .then(() => 0, (error) => {
+    console.error(`❌ ${error.message}`);
+    if (error.details && Object.keys(error.details).length > 0) {
+      console.error(JSON.stringify(error.details, null, 2));
+    }
+    return 1;
+  })
+  .then(async (code) => {
+    if (db) {
+      await db.end();
+    }
+    process.exit(code);
+  });
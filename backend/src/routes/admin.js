@@ -1,6 +1,40 @@
 import express from "express";
-import { pool } from "../config/appConfig.js";
-import { getBlockchainInfo } from "../config/zcash.js";
+import { pool, indexerPool } from "../config/appConfig.js";
+import { getBlockchainInfo, getNodeEndpoints } from "../config/zcash.js";
+import { formatDelivery, replayDelivery } from "../services/webhooks.js";
+import {
+  isAddressDerivationEnabled,
+  scanDerivedAddresses,
+} from "../services/addressDerivation.js";
+import { scanShieldedBlocks, getScanStatus } from "../services/shieldedScanner.js";
+import {
+  INVOICE_SOURCES,
+  SOURCE_NAMES,
+  getInvoiceSource,
+  sourceForLegacyTable,
+  findInvoice,
+  InvoiceError,
+} from "../invoices/index.js";
+import {
+  assignMemoReview,
+  dismissMemoReview,
+  formatMemoReview,
+} from "../services/memoReview.js";
+import {
+  listEntries,
+  formatEntry,
+  postAdjustment,
+  reconcileBalances,
+} from "../services/ledger.js";
+import { ENTRY_TYPES } from "../utils/ledgerEntries.js";
+import {
+  runSubscriptionCycle,
+  formatSubscription,
+} from "../services/subscriptions.js";
+import {
+  SUBSCRIPTION_STATUSES,
+  ENTITLED_STATUSES,
+} from "../utils/subscriptionPolicy.js";
 
 const router = express.Router();
 
@@ -27,7 +61,7 @@ router.get("/stats", async (req, res) => {
 
     // Get recent activity
     const recentInvoices = await pool.query(`
-      SELECT i.id, i.type, i.amount_zec, i.status, i.created_at, u.email
+      SELECT i.id, i.source, i.type, i.amount_zec, i.status, i.created_at, u.email
       FROM invoices i
       JOIN users u ON i.user_id = u.id
       ORDER BY i.created_at DESC
@@ -127,7 +161,7 @@ router.get("/withdrawals/pending", async (req, res) => {
 });
 
 /**
- * Get user balances
+ * Get user balances (from the ledger)
  * GET /api/admin/balances
  */
 router.get("/balances", async (req, res) => {
@@ -136,7 +170,7 @@ router.get("/balances", async (req, res) => {
   try {
     const result = await pool.query(
       `
-      SELECT * FROM user_balances 
+      SELECT * FROM merchant_balances 
       WHERE available_balance_zec >= $1
       ORDER BY available_balance_zec DESC
       LIMIT $2 OFFSET $3
@@ -152,6 +186,8 @@ router.get("/balances", async (req, res) => {
         name: balance.name,
         total_received_zec: parseFloat(balance.total_received_zec),
         total_withdrawn_zec: parseFloat(balance.total_withdrawn_zec),
+        total_adjustments_zec: parseFloat(balance.total_adjustments_zec),
+        total_refunded_zec: parseFloat(balance.total_refunded_zec),
         available_balance_zec: parseFloat(balance.available_balance_zec),
         total_invoices: parseInt(balance.total_invoices),
         total_withdrawals: parseInt(balance.total_withdrawals),
@@ -219,30 +255,40 @@ router.get("/revenue", async (req, res) => {
 });
 
 /**
- * Get active subscriptions
+ * Get live (trialing, active, past due) subscriptions, soonest to end first
  * GET /api/admin/subscriptions
  */
 router.get("/subscriptions", async (req, res) => {
-  const { limit = 50, offset = 0 } = req.query;
+  const { limit = 50, offset = 0, status } = req.query;
+
+  if (status && !SUBSCRIPTION_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: "Invalid status",
+      valid_statuses: SUBSCRIPTION_STATUSES,
+    });
+  }
 
   try {
     const result = await pool.query(
       `
-      SELECT * FROM active_subscriptions
-      ORDER BY expires_at ASC
+      SELECT s.*, u.email, p.name AS plan_name, p.item_id, p.amount_zec,
+             p.interval_unit, p.interval_count, p.grace_days
+      FROM subscriptions s
+      JOIN users u ON u.id = s.user_id
+      JOIN subscription_plans p ON p.id = s.plan_id
+      WHERE s.status = ANY($3)
+      ORDER BY s.current_period_end ASC NULLS LAST
       LIMIT $1 OFFSET $2
     `,
-      [parseInt(limit), parseInt(offset)]
+      [parseInt(limit), parseInt(offset), status ? [status] : ENTITLED_STATUSES]
     );
 
     res.json({
       success: true,
       active_subscriptions: result.rows.map((sub) => ({
-        user_id: sub.user_id,
+        ...formatSubscription(sub),
         email: sub.email,
-        expires_at: sub.expires_at,
-        paid_amount_zec: parseFloat(sub.paid_amount_zec),
-        created_at: sub.created_at,
+        expires_at: sub.current_period_end,
       })),
       pagination: {
         limit: parseInt(limit),
@@ -259,7 +305,28 @@ router.get("/subscriptions", async (req, res) => {
 });
 
 /**
- * Get Zcash node status
+ * Run the subscription scheduler once (renewal invoices and status changes)
+ * POST /api/admin/subscriptions/run
+ */
+router.post("/subscriptions/run", async (req, res) => {
+  try {
+    const stats = await runSubscriptionCycle();
+
+    res.json({
+      success: true,
+      stats,
+    });
+  } catch (error) {
+    console.error("Subscription cycle error:", error);
+    res.status(500).json({
+      error: "Failed to run subscription scheduler",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Get Zcash node status and the health score of every RPC endpoint
  * GET /api/admin/node-status
  */
 router.get("/node-status", async (req, res) => {
@@ -277,12 +344,481 @@ router.get("/node-status", async (req, res) => {
         pruned: blockchainInfo.pruned,
         difficulty: blockchainInfo.difficulty,
       },
+      endpoints: getNodeEndpoints(),
     });
   } catch (error) {
     console.error("Node status error:", error);
     res.status(500).json({
       error: "Failed to get node status",
       details: error.message,
+      endpoints: getNodeEndpoints(),
+    });
+  }
+});
+
+/**
+ * Get webhook deliveries across all endpoints
+ * GET /api/admin/webhooks/deliveries
+ */
+router.get("/webhooks/deliveries", async (req, res) => {
+  const { status, event_type, limit = 50, offset = 0 } = req.query;
+
+  try {
+    let query = `
+      SELECT d.*, e.url, e.user_id
+      FROM webhook_deliveries d
+      JOIN webhook_endpoints e ON d.endpoint_id = e.id
+      WHERE 1=1
+    `;
+    const params = [];
+    let paramCount = 0;
+
+    if (status) {
+      query += ` AND d.status = $${++paramCount}`;
+      params.push(status);
+    }
+
+    if (event_type) {
+      query += ` AND d.event_type = $${++paramCount}`;
+      params.push(event_type);
+    }
+
+    query += ` ORDER BY d.created_at DESC LIMIT $${++paramCount} OFFSET $${++paramCount}`;
+    params.push(parseInt(limit), parseInt(offset));
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      deliveries: result.rows.map((delivery) => ({
+        ...formatDelivery(delivery),
+        url: delivery.url,
+        user_id: delivery.user_id,
+      })),
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      },
+    });
+  } catch (error) {
+    console.error("Get webhook deliveries error:", error);
+    res.status(500).json({
+      error: "Failed to get webhook deliveries",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Replay a webhook delivery
+ * POST /api/admin/webhooks/deliveries/:id/replay
+ */
+router.post("/webhooks/deliveries/:id/replay", async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const delivery = await replayDelivery(id);
+
+    if (!delivery) {
+      return res.status(404).json({ error: "Webhook delivery not found" });
+    }
+
+    res.json({
+      success: true,
+      message: "Webhook delivery queued for replay",
+      delivery: formatDelivery(delivery),
+    });
+  } catch (error) {
+    console.error("Replay webhook delivery error:", error);
+    res.status(500).json({
+      error: "Failed to replay webhook delivery",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * List addresses derived from the account xpub
+ * GET /api/admin/addresses/derived
+ */
+router.get("/addresses/derived", async (req, res) => {
+  const { limit = 50, offset = 0 } = req.query;
+
+  try {
+    const result = await pool.query(
+      `SELECT * FROM derived_addresses
+       ORDER BY derivation_index DESC
+       LIMIT $1 OFFSET $2`,
+      [parseInt(limit), parseInt(offset)]
+    );
+
+    res.json({
+      success: true,
+      addresses: result.rows.map((row) => ({
+        index: row.derivation_index,
+        path: row.derivation_path,
+        address: row.address,
+        invoice_table: row.invoice_table,
+        invoice_id: row.invoice_id,
+        received_zec: parseFloat(row.received_zec),
+        tx_count: row.tx_count,
+        last_scanned_at: row.last_scanned_at,
+        created_at: row.created_at,
+      })),
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      },
+    });
+  } catch (error) {
+    console.error("Get derived addresses error:", error);
+    res.status(500).json({
+      error: "Failed to get derived addresses",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Scan derived addresses up to the gap limit
+ * POST /api/admin/addresses/scan
+ */
+router.post("/addresses/scan", async (req, res) => {
+  const { gap_limit } = req.body;
+
+  if (!isAddressDerivationEnabled()) {
+    return res.status(400).json({
+      error: "Address derivation is not configured (set ZCASH_ACCOUNT_XPUB)",
+    });
+  }
+
+  if (gap_limit !== undefined && (!Number.isInteger(gap_limit) || gap_limit < 1 || gap_limit > 1000)) {
+    return res.status(400).json({
+      error: "gap_limit must be an integer between 1 and 1000",
+    });
+  }
+
+  try {
+    const scan = await scanDerivedAddresses(gap_limit ? { gapLimit: gap_limit } : {});
+
+    res.json({
+      success: true,
+      scan,
+    });
+  } catch (error) {
+    console.error("Scan derived addresses error:", error);
+    res.status(500).json({
+      error: "Failed to scan derived addresses",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Shielded scanner progress per viewing key
+ * GET /api/admin/shielded/scan
+ */
+router.get("/shielded/scan", async (req, res) => {
+  try {
+    const status = await getScanStatus();
+
+    res.json({
+      success: true,
+      ...status,
+    });
+  } catch (error) {
+    console.error("Shielded scan status error:", error);
+    res.status(500).json({
+      error: "Failed to get shielded scan status",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Trial-decrypt newly indexed blocks with every viewing key
+ * POST /api/admin/shielded/scan
+ */
+router.post("/shielded/scan", async (req, res) => {
+  if (!indexerPool) {
+    return res.status(400).json({
+      error: "Shielded scanning needs the indexer database (set INDEXER_DB_URL)",
+    });
+  }
+
+  try {
+    const scan = await scanShieldedBlocks();
+
+    res.json({
+      success: true,
+      scan,
+    });
+  } catch (error) {
+    console.error("Shielded scan error:", error);
+    res.status(500).json({
+      error: "Failed to scan shielded blocks",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Payments whose memo matched no invoice
+ * GET /api/admin/memos/review
+ */
+router.get("/memos/review", async (req, res) => {
+  const { status = "open", reference, limit = 50, offset = 0 } = req.query;
+
+  try {
+    let query = "SELECT * FROM memo_review_queue WHERE 1=1";
+    const params = [];
+    let paramCount = 0;
+
+    if (status !== "all") {
+      query += ` AND status = $${++paramCount}`;
+      params.push(status);
+    }
+
+    if (reference) {
+      query += ` AND reference = $${++paramCount}`;
+      params.push(reference);
+    }
+
+    query += ` ORDER BY created_at ASC LIMIT $${++paramCount} OFFSET $${++paramCount}`;
+    params.push(parseInt(limit), parseInt(offset));
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      reviews: result.rows.map(formatMemoReview),
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      },
+    });
+  } catch (error) {
+    console.error("Get memo review queue error:", error);
+    res.status(500).json({
+      error: "Failed to get memo review queue",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Assign a queued payment to an invoice
+ * invoice_type (or the pre-021 invoice_table) is only needed for old integer IDs
+ * POST /api/admin/memos/review/:id/assign
+ */
+router.post("/memos/review/:id/assign", async (req, res) => {
+  const { id } = req.params;
+  const { invoice_type, invoice_table, invoice_id, note } = req.body;
+
+  if (invoice_id === undefined) {
+    return res.status(400).json({
+      error: "Missing required field: invoice_id",
+    });
+  }
+
+  let sources = SOURCE_NAMES;
+  if (invoice_type !== undefined) {
+    if (!getInvoiceSource(invoice_type)) {
+      return res.status(400).json({
+        error: "Invalid invoice_type",
+        valid_types: SOURCE_NAMES,
+      });
+    }
+    sources = [invoice_type];
+  } else if (invoice_table !== undefined) {
+    const source = sourceForLegacyTable(invoice_table);
+    if (!source) {
+      return res.status(400).json({
+        error: "Invalid invoice_table",
+        valid_tables: INVOICE_SOURCES.map((s) => s.legacyTable),
+      });
+    }
+    sources = [source.name];
+  }
+
+  try {
+    const invoice = await findInvoice(invoice_id, { sources });
+    if (!invoice) {
+      return res.status(404).json({ error: "Invoice not found" });
+    }
+
+    const assigned = await assignMemoReview(id, {
+      invoiceId: invoice.id,
+      note: note || null,
+    });
+
+    if (!assigned) {
+      return res.status(404).json({ error: "Open review entry not found" });
+    }
+    if (!assigned.payment) {
+      return res.status(409).json({
+        error: "This output is already attributed to an invoice",
+      });
+    }
+
+    res.json({
+      success: true,
+      review: formatMemoReview(assigned.review),
+      invoice_id: invoice.id,
+      invoice_status: invoice.status,
+    });
+  } catch (error) {
+    if (error instanceof InvoiceError) {
+      return res.status(error.status).json({
+        error: error.message,
+        ...error.details,
+      });
+    }
+    console.error("Assign memo review error:", error);
+    res.status(500).json({
+      error: "Failed to assign payment",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Dismiss a queued payment
+ * POST /api/admin/memos/review/:id/dismiss
+ */
+router.post("/memos/review/:id/dismiss", async (req, res) => {
+  const { id } = req.params;
+  const { note } = req.body;
+
+  try {
+    const review = await dismissMemoReview(id, note || null);
+
+    if (!review) {
+      return res.status(404).json({ error: "Open review entry not found" });
+    }
+
+    res.json({
+      success: true,
+      review: formatMemoReview(review),
+    });
+  } catch (error) {
+    console.error("Dismiss memo review error:", error);
+    res.status(500).json({
+      error: "Failed to dismiss payment",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Ledger entries, newest first
+ * GET /api/admin/ledger/entries
+ */
+router.get("/ledger/entries", async (req, res) => {
+  const { user_id, type, limit = 50, offset = 0 } = req.query;
+
+  if (type && !ENTRY_TYPES.includes(type)) {
+    return res.status(400).json({
+      error: "Invalid entry type",
+      valid_types: ENTRY_TYPES,
+    });
+  }
+
+  try {
+    const entries = await listEntries({
+      userId: user_id,
+      type,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+
+    res.json({
+      success: true,
+      entries: entries.map(formatEntry),
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+      },
+    });
+  } catch (error) {
+    console.error("Get ledger entries error:", error);
+    res.status(500).json({
+      error: "Failed to get ledger entries",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Credit or debit a merchant balance by hand
+ * POST /api/admin/ledger/adjustments
+ */
+router.post("/ledger/adjustments", async (req, res) => {
+  const { user_id, amount_zec, reason } = req.body;
+
+  if (!user_id || amount_zec === undefined || !reason) {
+    return res.status(400).json({
+      error: "Missing required fields: user_id, amount_zec, reason",
+    });
+  }
+
+  if (typeof amount_zec !== "number" || !Number.isFinite(amount_zec) || Math.round(amount_zec * 1e8) === 0) {
+    return res.status(400).json({
+      error: "amount_zec must be a non-zero number (negative to debit)",
+    });
+  }
+
+  try {
+    const userCheck = await pool.query("SELECT id FROM users WHERE id = $1", [user_id]);
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const entry = await postAdjustment({
+      userId: user_id,
+      amount: Number(amount_zec.toFixed(8)),
+      reason,
+      createdBy: req.apiKey ? `api_key:${req.apiKey.id}` : null,
+    });
+
+    const balance = await pool.query(
+      "SELECT available_balance_zec FROM merchant_balances WHERE id = $1",
+      [user_id]
+    );
+
+    res.status(201).json({
+      success: true,
+      entry: formatEntry(entry),
+      available_balance_zec: parseFloat(balance.rows[0].available_balance_zec),
+    });
+  } catch (error) {
+    console.error("Ledger adjustment error:", error);
+    res.status(500).json({
+      error: "Failed to post adjustment",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Compare ledger balances with the user_balances view
+ * GET /api/admin/ledger/reconciliation
+ */
+router.get("/ledger/reconciliation", async (req, res) => {
+  const { all } = req.query;
+
+  try {
+    const report = await reconcileBalances({ includeMatching: all === "true" });
+
+    res.json({
+      success: true,
+      reconciliation: report,
+    });
+  } catch (error) {
+    console.error("Ledger reconciliation error:", error);
+    res.status(500).json({
+      error: "Failed to reconcile ledger",
+      details: error.message,
     });
   }
 });
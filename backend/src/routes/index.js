@@ -17,6 +17,9 @@ import zcashDevtoolRouter from "./zcash-devtool.js";
 import alternativesRouter from "./alternatives.js";
 import unifiedRouter from "./unified.js";
 import unifiedInvoiceRouter from "./unified-invoice.js";
+import webhooksRouter from "./webhooks.js";
+import subscriptionsRouter from "./subscriptions.js";
+import indexerRouter from "./indexer.js";
 
 // Import authentication middleware
 import {
@@ -27,7 +30,7 @@ import {
 
 // Import config and utilities
 import { pool, config } from "../config/appConfig.js";
-import { getBlockchainInfo } from "../config/zcash.js";
+import { getBlockchainInfo, getNodeEndpoints } from "../config/zcash.js";
 
 const router = express.Router();
 
@@ -57,7 +60,7 @@ router.get("/health", async (req, res) => {
   }
 
   try {
-    // Test Zcash RPC connection
+    // Test Zcash RPC connection (any healthy endpoint answers)
     const blockchainInfo = await getBlockchainInfo();
     services.zcash_rpc = "connected";
     services.node_blocks = blockchainInfo.blocks;
@@ -72,6 +75,17 @@ router.get("/health", async (req, res) => {
     }
   }
 
+  // Endpoints marked down by probes or failed requests
+  const endpoints = getNodeEndpoints();
+  const healthyEndpoints = endpoints.filter((endpoint) => endpoint.healthy).length;
+  services.rpc_endpoints = `${healthyEndpoints}/${endpoints.length} healthy`;
+  if (healthyEndpoints < endpoints.length) {
+    errors.push(`Zcash RPC: ${endpoints.length - healthyEndpoints} endpoint(s) down`);
+    if (overallStatus === "OK") {
+      overallStatus = "DEGRADED";
+    }
+  }
+
   // Return appropriate status code
   const statusCode =
     overallStatus === "OK" ? 200 : overallStatus === "DEGRADED" ? 200 : 500;
@@ -133,6 +147,14 @@ router.get("/api", (req, res) => {
           description: "Get user by email",
         },
         "PUT /api/users/:id": { auth: "optional", description: "Update user" },
+        "GET /api/users/:id/payment-settings": {
+          auth: "optional",
+          description: "Get payment tolerance and overpayment policy",
+        },
+        "PUT /api/users/:id/payment-settings": {
+          auth: "required",
+          description: "Set payment tolerance (percent or ZEC) and overpayment policy (credit, refund)",
+        },
         "GET /api/users/:id/balance": {
           auth: "optional",
           description: "Get user balance",
@@ -172,7 +194,7 @@ router.get("/api", (req, res) => {
       invoices: {
         "POST /api/invoice/unified/create": {
           auth: "optional",
-          description: "Create unified payment invoice (supports all methods)",
+          description: "Create unified payment invoice (supports all methods), priced in ZEC or in USD/EUR with a locked rate",
         },
         "POST /api/invoice/unified/check": {
           auth: "optional",
@@ -182,9 +204,13 @@ router.get("/api", (req, res) => {
           auth: "optional",
           description: "Get unified invoice details",
         },
+        "POST /api/invoice/unified/payment-request/parse": {
+          auth: "optional",
+          description: "Validate and decode a ZIP-321 payment request URI",
+        },
         "POST /api/invoice/create": {
           auth: "optional",
-          description: "Create payment invoice (legacy transparent)",
+          description: "Create payment invoice (legacy transparent), priced in ZEC or in USD/EUR with a locked rate",
         },
         "POST /api/invoice/check": {
           auth: "optional",
@@ -206,6 +232,24 @@ router.get("/api", (req, res) => {
           auth: "optional",
           description: "List user invoices",
         },
+        "POST /api/invoice/:id/refund": {
+          auth: "required",
+          permissions: ["write"],
+          description: "Refund a paid invoice in full or in part (invoice_type: legacy, shielded, unified)",
+        },
+        "GET /api/invoice/:id/refunds": {
+          auth: "required",
+          description: "List refunds of an invoice",
+        },
+        "GET /api/invoice/refunds/queued": {
+          auth: "required",
+          description: "List overpayment refunds waiting for a refund address",
+        },
+        "POST /api/invoice/refunds/:refund_id/send": {
+          auth: "required",
+          permissions: ["write"],
+          description: "Send a queued refund to to_address",
+        },
       },
       withdrawals: {
         "POST /api/withdraw/create": {
@@ -244,7 +288,7 @@ router.get("/api", (req, res) => {
         "GET /api/admin/balances": {
           auth: "required",
           permissions: ["admin"],
-          description: "User balances",
+          description: "User balances (from the ledger)",
         },
         "GET /api/admin/revenue": {
           auth: "required",
@@ -254,12 +298,131 @@ router.get("/api", (req, res) => {
         "GET /api/admin/subscriptions": {
           auth: "required",
           permissions: ["admin"],
-          description: "Active subscriptions",
+          description: "Live subscriptions, soonest to end first (status filter)",
+        },
+        "POST /api/admin/subscriptions/run": {
+          auth: "required",
+          permissions: ["admin"],
+          description: "Run the subscription renewal scheduler once",
         },
         "GET /api/admin/node-status": {
           auth: "required",
           permissions: ["admin"],
-          description: "Zcash node status",
+          description: "Zcash node status and RPC endpoint health scores",
+        },
+        "GET /api/admin/webhooks/deliveries": {
+          auth: "required",
+          permissions: ["admin"],
+          description: "Webhook deliveries across all endpoints",
+        },
+        "POST /api/admin/webhooks/deliveries/:id/replay": {
+          auth: "required",
+          permissions: ["admin"],
+          description: "Replay webhook delivery",
+        },
+        "GET /api/admin/addresses/derived": {
+          auth: "required",
+          permissions: ["admin"],
+          description: "Addresses derived from the account xpub",
+        },
+        "POST /api/admin/addresses/scan": {
+          auth: "required",
+          permissions: ["admin"],
+          description: "Gap-limit scan of derived addresses",
+        },
+        "GET /api/admin/shielded/scan": {
+          auth: "required",
+          permissions: ["admin"],
+          description: "Shielded scanner progress per viewing key",
+        },
+        "POST /api/admin/shielded/scan": {
+          auth: "required",
+          permissions: ["admin"],
+          description: "Trial-decrypt newly indexed blocks with the viewing keys",
+        },
+        "GET /api/admin/memos/review": {
+          auth: "required",
+          permissions: ["admin"],
+          description: "Payments whose memo matched no invoice (status, reference filters)",
+        },
+        "POST /api/admin/memos/review/:id/assign": {
+          auth: "required",
+          permissions: ["admin"],
+          description: "Record a queued payment against an invoice",
+        },
+        "POST /api/admin/memos/review/:id/dismiss": {
+          auth: "required",
+          permissions: ["admin"],
+          description: "Dismiss a queued payment",
+        },
+        "GET /api/admin/ledger/entries": {
+          auth: "required",
+          permissions: ["admin"],
+          description: "Ledger journal entries (user_id, type filters)",
+        },
+        "POST /api/admin/ledger/adjustments": {
+          auth: "required",
+          permissions: ["admin"],
+          description: "Credit or debit a merchant balance",
+        },
+        "GET /api/admin/ledger/reconciliation": {
+          auth: "required",
+          permissions: ["admin"],
+          description: "Ledger balances compared with user_balances",
+        },
+      },
+      subscriptions: {
+        "GET /api/subscriptions/plans": {
+          auth: "optional",
+          description: "List subscription plans (item_id, include_inactive filters)",
+        },
+        "POST /api/subscriptions/plans": {
+          auth: "required",
+          permissions: ["admin"],
+          description: "Create plan (price, interval, trial and grace period for an item_id)",
+        },
+        "DELETE /api/subscriptions/plans/:id": {
+          auth: "required",
+          permissions: ["admin"],
+          description: "Stop a plan taking new subscribers",
+        },
+        "POST /api/subscriptions/create": {
+          auth: "optional",
+          description: "Subscribe a user to a plan (returns the first invoice unless the plan has a trial)",
+        },
+        "GET /api/subscriptions/entitlement": {
+          auth: "optional",
+          description: "Check whether user_id has access to item_id",
+        },
+        "GET /api/subscriptions/user/:user_id": {
+          auth: "optional",
+          description: "List user subscriptions",
+        },
+        "GET /api/subscriptions/:id": {
+          auth: "optional",
+          description: "Get subscription with its invoices",
+        },
+        "POST /api/subscriptions/:id/cancel": {
+          auth: "optional",
+          description: "Cancel at the end of the paid period (or now with at_period_end: false)",
+        },
+      },
+      webhooks: {
+        "POST /api/webhooks/create": {
+          auth: "required",
+          description: "Register webhook endpoint (returns signing secret once)",
+        },
+        "GET /api/webhooks": {
+          auth: "required",
+          description: "List webhook endpoints for the API key",
+        },
+        "GET /api/webhooks/:id/deliveries": {
+          auth: "required",
+          description: "List webhook deliveries",
+        },
+        "DELETE /api/webhooks/:id": {
+          auth: "required",
+          description: "Disable webhook endpoint",
         },
       },
       shielded: {
@@ -301,7 +464,7 @@ router.get("/api", (req, res) => {
         },
         "GET /api/shielded/status": {
           auth: "optional",
-          description: "Check Zaino service status",
+          description: "Chain backend status and capabilities",
         },
       },
       webzjs: {
@@ -377,7 +540,19 @@ router.get("/api", (req, res) => {
         },
         "POST /api/unified/address/create": {
           auth: "optional",
-          description: "Create ZIP-316 compliant unified address",
+          description: "Derive a unified address from the user's viewing key",
+        },
+        "POST /api/unified/viewing-keys/import": {
+          auth: "optional",
+          description: "Import a unified full or incoming viewing key",
+        },
+        "GET /api/unified/viewing-keys/user/:user_id": {
+          auth: "optional",
+          description: "Get user's viewing keys (masked)",
+        },
+        "POST /api/unified/viewing-keys/:id/address": {
+          auth: "optional",
+          description: "Derive the next diversified unified address from a viewing key",
         },
         "POST /api/unified/address/validate": {
           auth: "optional",
@@ -400,6 +575,32 @@ router.get("/api", (req, res) => {
           description: "Get ZIP-316 implementation guide",
         },
       },
+      indexer: {
+        "GET /api/indexer/status": {
+          auth: "optional",
+          description: "Indexed chain tip and sync lag behind the node",
+        },
+        "GET /api/indexer/blocks/:id": {
+          auth: "optional",
+          description: "Get block by height or hash with its transactions",
+        },
+        "GET /api/indexer/tx/:txid": {
+          auth: "optional",
+          description: "Get transaction with decoded inputs and outputs (raw=true adds the node's JSON)",
+        },
+        "GET /api/indexer/address/:address/balance": {
+          auth: "optional",
+          description: "Get address balance, totals and first/last seen heights",
+        },
+        "GET /api/indexer/address/:address/transactions": {
+          auth: "optional",
+          description: "Get address history, newest first (limit, cursor)",
+        },
+        "GET /api/indexer/shielded-pool/daily": {
+          auth: "optional",
+          description: "Daily shielded pool flows by type and pool (from, to)",
+        },
+      },
     },
     health_check: "GET /health",
   });
@@ -502,6 +703,12 @@ router.use("/api/invoice", invoiceRouter);
 // Withdrawal routes (mixed authentication requirements)
 router.use("/api/withdraw", withdrawRouter);
 
+// Webhook endpoint routes (require authentication)
+router.use("/api/webhooks", webhooksRouter);
+
+// Subscription plans, subscriptions and entitlements (mixed authentication requirements)
+router.use("/api/subscriptions", subscriptionsRouter);
+
 // Admin routes (require admin permission)
 router.use(
   "/api/admin",
@@ -521,6 +728,9 @@ router.use("/api/alternatives", alternativesRouter);
 // Unified address routes (ZIP-316 compliant)
 router.use("/api/unified", unifiedRouter);
 
+// Indexed chain data (public, requires INDEXER_DB_URL)
+router.use("/api/indexer", indexerRouter);
+
 /**
  * Error handling
  */
@@ -0,0 +1,208 @@
+/**
+ * Indexer read API
+ * Blocks, transactions and address history from the indexer database
+ * Requires INDEXER_DB_URL; every route answers 503 without it
+ */
+
+import express from "express";
+import {
+  isIndexerAvailable,
+  getSyncStatus,
+  getBlock,
+  getTransaction,
+  getAddressBalance,
+  getAddressTransactions,
+  getShieldedPoolDaily,
+} from "../services/indexerQueries.js";
+import { decodeCursor, parseLimit } from "../utils/pagination.js";
+
+const router = express.Router();
+
+const HASH_PATTERN = /^[0-9a-fA-F]{64}$/;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_POOL_DAYS = 366;
+
+router.use((req, res, next) => {
+  if (!isIndexerAvailable()) {
+    return res.status(503).json({
+      error: "Indexer database not configured (set INDEXER_DB_URL)",
+    });
+  }
+  next();
+});
+
+/**
+ * Indexed chain tip and sync lag behind the node
+ * GET /api/indexer/status
+ */
+router.get("/status", async (req, res) => {
+  try {
+    const status = await getSyncStatus();
+    res.json({ success: true, ...status });
+  } catch (error) {
+    console.error("Indexer status error:", error);
+    res.status(500).json({
+      error: "Failed to get indexer status",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Get block by height or hash
+ * GET /api/indexer/blocks/:id
+ */
+router.get("/blocks/:id", async (req, res) => {
+  const { id } = req.params;
+
+  let key;
+  if (/^\d+$/.test(id)) {
+    key = parseInt(id);
+  } else if (HASH_PATTERN.test(id)) {
+    key = id.toLowerCase();
+  } else {
+    return res.status(400).json({
+      error: "Block id must be a height or a 64-character hash",
+    });
+  }
+
+  try {
+    const block = await getBlock(key);
+    if (!block) {
+      return res.status(404).json({ error: "Block not found" });
+    }
+
+    res.json({ success: true, block });
+  } catch (error) {
+    console.error("Get block error:", error);
+    res.status(500).json({
+      error: "Failed to get block",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Get transaction with decoded inputs and outputs
+ * GET /api/indexer/tx/:txid
+ */
+router.get("/tx/:txid", async (req, res) => {
+  const { txid } = req.params;
+
+  if (!HASH_PATTERN.test(txid)) {
+    return res.status(400).json({ error: "Invalid txid" });
+  }
+
+  try {
+    const transaction = await getTransaction(txid.toLowerCase(), {
+      includeRaw: req.query.raw === "true",
+    });
+    if (!transaction) {
+      return res.status(404).json({ error: "Transaction not found" });
+    }
+
+    res.json({ success: true, transaction });
+  } catch (error) {
+    console.error("Get transaction error:", error);
+    res.status(500).json({
+      error: "Failed to get transaction",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Get address balance and activity totals
+ * GET /api/indexer/address/:address/balance
+ */
+router.get("/address/:address/balance", async (req, res) => {
+  try {
+    const balance = await getAddressBalance(req.params.address);
+    if (!balance) {
+      return res.status(404).json({ error: "Address not found" });
+    }
+
+    res.json({ success: true, ...balance });
+  } catch (error) {
+    console.error("Get address balance error:", error);
+    res.status(500).json({
+      error: "Failed to get address balance",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Get address transaction history, newest first
+ * GET /api/indexer/address/:address/transactions?limit=25&cursor=...
+ */
+router.get("/address/:address/transactions", async (req, res) => {
+  let limit;
+  let after;
+  try {
+    limit = parseLimit(req.query.limit);
+    after = decodeCursor(req.query.cursor, ["height", "txid"]);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const page = await getAddressTransactions(req.params.address, { limit, after });
+
+    res.json({
+      success: true,
+      address: req.params.address,
+      transactions: page.items,
+      pagination: {
+        limit,
+        next_cursor: page.next_cursor,
+      },
+    });
+  } catch (error) {
+    console.error("Get address transactions error:", error);
+    res.status(500).json({
+      error: "Failed to get address transactions",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Daily shielded pool flows (defaults to the last 30 days)
+ * GET /api/indexer/shielded-pool/daily?from=YYYY-MM-DD&to=YYYY-MM-DD
+ */
+router.get("/shielded-pool/daily", async (req, res) => {
+  const isDay = (value) => DAY_PATTERN.test(value) && !isNaN(Date.parse(value));
+
+  const to = req.query.to || new Date().toISOString().slice(0, 10);
+  if (!isDay(to)) {
+    return res.status(400).json({ error: "from and to must be dates (YYYY-MM-DD)" });
+  }
+  const from =
+    req.query.from ||
+    new Date(Date.parse(to) - 29 * 86400000).toISOString().slice(0, 10);
+  if (!isDay(from)) {
+    return res.status(400).json({ error: "from and to must be dates (YYYY-MM-DD)" });
+  }
+
+  const span = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+  if (span < 1 || span > MAX_POOL_DAYS) {
+    return res.status(400).json({
+      error: `from must not be after to, and the range is limited to ${MAX_POOL_DAYS} days`,
+    });
+  }
+
+  try {
+    const days = await getShieldedPoolDaily({ from, to });
+
+    res.json({ success: true, from, to, days });
+  } catch (error) {
+    console.error("Get shielded pool flows error:", error);
+    res.status(500).json({
+      error: "Failed to get shielded pool flows",
+      details: error.message,
+    });
+  }
+});
+
+export default router;
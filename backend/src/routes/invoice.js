@@ -1,118 +1,79 @@
 import express from "express";
-import { pool } from "../config/appConfig.js";
-import { 
-  generateAddress, 
-  getReceivedByAddress, 
-  checkTransparentPayment,
-  getAddressType,
-  isShieldedAddress 
-} from "../config/zcash.js";
-import { optionalApiKey } from "../middleware/auth.js";
+import { validateAddress, CAPABILITIES } from "../config/zcash.js";
+import {
+  optionalApiKey,
+  authenticateApiKey,
+  requirePermission,
+} from "../middleware/auth.js";
+import { requireChainCapability } from "../middleware/chain.js";
+import { dispatchWebhookEvent } from "../services/webhooks.js";
+import { formatInvoiceEvent } from "../services/paymentWatcher.js";
+import { ExchangeRateError } from "../services/exchangeRates.js";
+import {
+  RefundError,
+  refundInvoice,
+  listRefunds,
+  listQueuedRefunds,
+  sendQueuedRefund,
+  formatRefund,
+} from "../services/refunds.js";
+import {
+  InvoiceError,
+  REFUNDABLE_SOURCES,
+  createInvoice,
+  findInvoice,
+  listInvoices,
+  checkInvoice,
+  invoicePaymentUri,
+  invoiceMessage,
+} from "../invoices/index.js";
 import {
-  generatePaymentUri,
   generatePaymentQR,
-  generateQRBuffer,
-  generateQRSvg,
   validateQRSize,
   QR_PRESETS,
 } from "../utils/qrcode.js";
+import { formatQuote } from "../utils/fiatQuote.js";
 
 const router = express.Router();
 
+// Invoices created through this API; the others have their own routes
+const LEGACY = { sources: ["legacy"] };
+
 /**
  * Create new invoice
  * POST /api/invoice/create
  */
 router.post("/create", optionalApiKey, async (req, res) => {
-  let { user_id, type, amount_zec, item_id, email } = req.body;
+  const { user_id, type, amount_zec, amount_fiat, currency, item_id, email, expires_at } = req.body;
+  const fiatPriced = amount_fiat !== undefined && amount_fiat !== null;
 
   // Validation
-  if ((!user_id && !email) || !type || !amount_zec) {
+  if ((!user_id && !email) || !type || (!amount_zec && !fiatPriced)) {
     return res.status(400).json({
-      error: "Missing required fields: (user_id or email), type, amount_zec",
-    });
-  }
-
-  if (!["subscription", "one_time"].includes(type)) {
-    return res.status(400).json({
-      error: 'Invalid type. Must be "subscription" or "one_time"',
-    });
-  }
-
-  if (typeof amount_zec !== "number" || amount_zec <= 0) {
-    return res.status(400).json({
-      error: "amount_zec must be a positive number",
+      error: "Missing required fields: (user_id or email), type, amount_zec (or amount_fiat and currency)",
     });
   }
 
   try {
-    let finalUserId = user_id;
-
-    // Handle user identification and auto-registration
-    if (user_id) {
-      // Check if user exists by ID
-      const userCheck = await pool.query("SELECT id FROM users WHERE id = $1", [
-        user_id,
-      ]);
-
-      if (userCheck.rows.length === 0) {
-        // User ID doesn't exist, try to create if email provided
-        if (!email) {
-          return res.status(400).json({
-            error: "User not found and no email provided for auto-registration",
-          });
-        }
-
-        // Create new user with provided email
-        const newUserResult = await pool.query(
-          "INSERT INTO users (email) VALUES ($1) RETURNING *",
-          [email]
-        );
-        finalUserId = newUserResult.rows[0].id;
-      }
-    } else if (email) {
-      // Only email provided, find or create user by email
-      let userByEmail = await pool.query(
-        "SELECT id FROM users WHERE email = $1",
-        [email]
-      );
-
-      if (userByEmail.rows.length === 0) {
-        // Create new user
-        const newUserResult = await pool.query(
-          "INSERT INTO users (email) VALUES ($1) RETURNING *",
-          [email]
-        );
-        finalUserId = newUserResult.rows[0].id;
-      } else {
-        finalUserId = userByEmail.rows[0].id;
-      }
-    }
-
-    // Generate new address for this invoice (transparent as fallback)
-    const zAddress = await generateAddress('transparent');
-
-    // Create invoice
-    const result = await pool.query(
-      `INSERT INTO invoices (user_id, type, amount_zec, z_address, item_id, status)
-       VALUES ($1, $2, $3, $4, $5, 'pending') RETURNING *`,
-      [finalUserId, type, amount_zec, zAddress, item_id || null]
-    );
-
-    const invoice = result.rows[0];
+    // Fresh transparent address for this invoice (treasury address as fallback)
+    const { invoice } = await createInvoice({
+      source: "legacy",
+      paymentMethod: "transparent",
+      userId: user_id,
+      email,
+      type,
+      amountZec: amount_zec,
+      amountFiat: amount_fiat,
+      currency,
+      itemId: item_id,
+      expiresAt: expires_at,
+    });
 
-    // Generate payment URI and QR code
-    const paymentUri = generatePaymentUri(
-      invoice.z_address,
-      parseFloat(invoice.amount_zec),
-      `Payment for ${invoice.type}${
-        invoice.item_id ? ` - ${invoice.item_id}` : ""
-      }`
-    );
+    const paymentUri = invoicePaymentUri(invoice);
 
     // Generate QR code as data URL using web preset
     const qrCodeDataUrl = await generatePaymentQR(
-      invoice,
+      { ...invoice, payment_uri: paymentUri },
       "dataurl",
       QR_PRESETS.web
     );
@@ -124,15 +85,23 @@ router.post("/create", optionalApiKey, async (req, res) => {
         user_id: invoice.user_id,
         type: invoice.type,
         amount_zec: parseFloat(invoice.amount_zec),
-        z_address: invoice.z_address,
+        z_address: invoice.payment_address,
         item_id: invoice.item_id,
         status: invoice.status,
+        ...formatQuote(invoice),
         created_at: invoice.created_at,
         payment_uri: paymentUri,
         qr_code: qrCodeDataUrl,
       },
     });
   } catch (error) {
+    if (error instanceof InvoiceError || error instanceof ExchangeRateError) {
+      return res.status(error.status).json({
+        error: error.message,
+        ...error.details,
+      });
+    }
+
     console.error("Invoice creation error:", error);
     res.status(500).json({
       error: "Failed to create invoice",
@@ -153,11 +122,7 @@ router.post("/check", optionalApiKey, async (req, res) => {
   }
 
   try {
-    // Get invoice
-    const invResult = await pool.query("SELECT * FROM invoices WHERE id = $1", [
-      invoice_id,
-    ]);
-    const invoice = invResult.rows[0];
+    const invoice = await findInvoice(invoice_id, LEGACY);
 
     if (!invoice) {
       return res.status(404).json({ error: "Invoice not found" });
@@ -174,77 +139,67 @@ router.post("/check", optionalApiKey, async (req, res) => {
           paid_txid: invoice.paid_txid,
           paid_at: invoice.paid_at,
           expires_at: invoice.expires_at,
+          overpaid_zec: parseFloat(invoice.overpaid_zec),
+          underpaid_zec: parseFloat(invoice.underpaid_zec),
         },
       });
     }
 
-    // Check for payments based on address type
-    const addressType = getAddressType(invoice.z_address);
-    let paymentReceived = false;
-    let totalReceived = 0;
-    let receivedTxid = null;
-
-    if (addressType === 'transparent') {
-      // Check transparent address payment
-      paymentReceived = await checkTransparentPayment(
-        invoice.z_address, 
-        parseFloat(invoice.amount_zec), 
-        0
-      );
-      if (paymentReceived) {
-        totalReceived = parseFloat(invoice.amount_zec); // Assume exact amount for mock
-        receivedTxid = 'mock_txid_' + Date.now(); // Mock transaction ID
-      }
-    } else {
-      // Check shielded address payment (original method)
-      const received = await getReceivedByAddress(invoice.z_address, 0);
-      totalReceived = received.reduce((sum, tx) => sum + tx.amount, 0);
-      paymentReceived = totalReceived >= parseFloat(invoice.amount_zec);
-      receivedTxid = received[0]?.txid || null;
+    // Refunded invoices are not matched again
+    if (invoice.status === "refunded") {
+      return res.json({
+        paid: false,
+        refunded: true,
+        invoice: {
+          id: invoice.id,
+          status: invoice.status,
+          paid_amount_zec: parseFloat(invoice.paid_amount_zec),
+          paid_txid: invoice.paid_txid,
+          refunded_amount_zec: parseFloat(invoice.refunded_amount_zec),
+          refunded_at: invoice.refunded_at,
+        },
+      });
     }
 
-    if (paymentReceived) {
-      // Payment detected - update invoice
-      const updateResult = await pool.query(
-        `UPDATE invoices 
-         SET status='paid', 
-             paid_amount_zec=$1, 
-             paid_txid=$2, 
-             paid_at=NOW(),
-             expires_at = CASE 
-               WHEN type='subscription' THEN NOW() + INTERVAL '30 days' 
-               ELSE NULL 
-             END
-         WHERE id=$3 
-         RETURNING *`,
-        [totalReceived, receivedTxid, invoice_id]
-      );
-
-      const updatedInvoice = updateResult.rows[0];
+    // Match real outputs, apply the confirmation policy and notify the merchant
+    const { invoice: current, payment } = await checkInvoice(invoice);
 
+    if (current.status === "paid") {
       return res.json({
         paid: true,
         invoice: {
-          id: updatedInvoice.id,
-          status: updatedInvoice.status,
-          paid_amount_zec: parseFloat(updatedInvoice.paid_amount_zec),
-          paid_txid: updatedInvoice.paid_txid,
-          paid_at: updatedInvoice.paid_at,
-          expires_at: updatedInvoice.expires_at,
+          id: current.id,
+          status: current.status,
+          paid_amount_zec: parseFloat(current.paid_amount_zec),
+          paid_txid: current.paid_txid,
+          paid_at: current.paid_at,
+          expires_at: current.expires_at,
+          ...formatQuote(current),
+          overpaid_zec: payment.overpaid_zec,
+          underpaid_zec: payment.underpaid_zec,
+          confirmations: payment.confirmations,
         },
+        payments: payment.payments,
       });
     }
 
-    // Payment not yet received
+    // Payment not yet received, or not yet confirmed
     res.json({
       paid: false,
       invoice: {
-        id: invoice.id,
-        status: invoice.status,
-        amount_zec: parseFloat(invoice.amount_zec),
-        z_address: invoice.z_address,
-        received_amount: totalReceived,
+        id: current.id,
+        status: current.status,
+        amount_zec: parseFloat(current.amount_zec),
+        z_address: current.payment_address,
+        received_amount: payment.received,
+        underpaid_zec: payment.underpaid_zec,
+        remaining_zec: payment.remaining_zec,
+        tolerance_zec: payment.tolerance_zec,
+        confirmations: payment.confirmations,
+        required_confirmations: payment.required_confirmations,
+        ...formatQuote(current),
       },
+      payments: payment.payments,
     });
   } catch (error) {
     console.error("Payment check error:", error);
@@ -263,35 +218,21 @@ router.get("/:id", optionalApiKey, async (req, res) => {
   const { id } = req.params;
 
   try {
-    const result = await pool.query(
-      `SELECT i.*, u.email, u.name 
-       FROM invoices i 
-       JOIN users u ON i.user_id = u.id 
-       WHERE i.id = $1`,
-      [id]
-    );
+    const invoice = await findInvoice(id, { ...LEGACY, details: true });
 
-    if (result.rows.length === 0) {
+    if (!invoice) {
       return res.status(404).json({ error: "Invoice not found" });
     }
 
-    const invoice = result.rows[0];
-
     // Generate QR code for unpaid invoices
     let qrCodeDataUrl = null;
     let paymentUri = null;
 
     if (invoice.status === "pending") {
-      paymentUri = generatePaymentUri(
-        invoice.z_address,
-        parseFloat(invoice.amount_zec),
-        `Payment for ${invoice.type}${
-          invoice.item_id ? ` - ${invoice.item_id}` : ""
-        }`
-      );
+      paymentUri = invoicePaymentUri(invoice);
 
       qrCodeDataUrl = await generatePaymentQR(
-        invoice,
+        { ...invoice, payment_uri: paymentUri },
         "dataurl",
         QR_PRESETS.web
       );
@@ -306,7 +247,7 @@ router.get("/:id", optionalApiKey, async (req, res) => {
         user_name: invoice.name,
         type: invoice.type,
         amount_zec: parseFloat(invoice.amount_zec),
-        z_address: invoice.z_address,
+        z_address: invoice.payment_address,
         item_id: invoice.item_id,
         status: invoice.status,
         paid_amount_zec: invoice.paid_amount_zec
@@ -314,6 +255,11 @@ router.get("/:id", optionalApiKey, async (req, res) => {
           : null,
         paid_txid: invoice.paid_txid,
         paid_at: invoice.paid_at,
+        overpaid_zec: parseFloat(invoice.overpaid_zec || 0),
+        underpaid_zec: parseFloat(invoice.underpaid_zec || 0),
+        refunded_amount_zec: parseFloat(invoice.refunded_amount_zec || 0),
+        refunded_at: invoice.refunded_at,
+        ...formatQuote(invoice),
         expires_at: invoice.expires_at,
         created_at: invoice.created_at,
         payment_uri: paymentUri,
@@ -338,28 +284,17 @@ router.get("/user/:user_id", optionalApiKey, async (req, res) => {
   const { status, type, limit = 50, offset = 0 } = req.query;
 
   try {
-    let query = "SELECT * FROM invoices WHERE user_id = $1";
-    const params = [user_id];
-    let paramCount = 1;
-
-    if (status) {
-      query += ` AND status = $${++paramCount}`;
-      params.push(status);
-    }
-
-    if (type) {
-      query += ` AND type = $${++paramCount}`;
-      params.push(type);
-    }
-
-    query += ` ORDER BY created_at DESC LIMIT $${++paramCount} OFFSET $${++paramCount}`;
-    params.push(parseInt(limit), parseInt(offset));
-
-    const result = await pool.query(query, params);
+    const invoices = await listInvoices(user_id, {
+      ...LEGACY,
+      status,
+      type,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
 
     res.json({
       success: true,
-      invoices: result.rows.map((invoice) => ({
+      invoices: invoices.map((invoice) => ({
         id: invoice.id,
         type: invoice.type,
         amount_zec: parseFloat(invoice.amount_zec),
@@ -370,12 +305,13 @@ router.get("/user/:user_id", optionalApiKey, async (req, res) => {
           : null,
         paid_at: invoice.paid_at,
         expires_at: invoice.expires_at,
+        ...formatQuote(invoice),
         created_at: invoice.created_at,
       })),
       pagination: {
         limit: parseInt(limit),
         offset: parseInt(offset),
-        total: result.rows.length,
+        total: invoices.length,
       },
     });
   } catch (error) {
@@ -396,16 +332,12 @@ router.get("/:id/qr", optionalApiKey, async (req, res) => {
   const { format = "png", size, preset = "web" } = req.query;
 
   try {
-    const result = await pool.query("SELECT * FROM invoices WHERE id = $1", [
-      id,
-    ]);
+    const invoice = await findInvoice(id, LEGACY);
 
-    if (result.rows.length === 0) {
+    if (!invoice) {
       return res.status(404).json({ error: "Invoice not found" });
     }
 
-    const invoice = result.rows[0];
-
     if (invoice.status !== "pending") {
       return res.status(400).json({
         error: "QR code only available for pending invoices",
@@ -450,16 +382,12 @@ router.get("/:id/uri", optionalApiKey, async (req, res) => {
   const { id } = req.params;
 
   try {
-    const result = await pool.query("SELECT * FROM invoices WHERE id = $1", [
-      id,
-    ]);
+    const invoice = await findInvoice(id, LEGACY);
 
-    if (result.rows.length === 0) {
+    if (!invoice) {
       return res.status(404).json({ error: "Invoice not found" });
     }
 
-    const invoice = result.rows[0];
-
     if (invoice.status !== "pending") {
       return res.status(400).json({
         error: "Payment URI only available for pending invoices",
@@ -467,21 +395,12 @@ router.get("/:id/uri", optionalApiKey, async (req, res) => {
       });
     }
 
-    const message = `Payment for ${invoice.type}${
-      invoice.item_id ? ` - ${invoice.item_id}` : ""
-    }`;
-    const paymentUri = generatePaymentUri(
-      invoice.z_address,
-      parseFloat(invoice.amount_zec),
-      message
-    );
-
     res.json({
       success: true,
-      payment_uri: paymentUri,
-      z_address: invoice.z_address,
+      payment_uri: invoicePaymentUri(invoice),
+      z_address: invoice.payment_address,
       amount_zec: parseFloat(invoice.amount_zec),
-      message: message,
+      message: invoiceMessage(invoice),
       qr_endpoints: {
         png: `/api/invoice/${id}/qr?format=png`,
         svg: `/api/invoice/${id}/qr?format=svg`,
@@ -498,4 +417,261 @@ router.get("/:id/uri", optionalApiKey, async (req, res) => {
   }
 });
 
+/**
+ * Find the invoice a refund request is about
+ * invoice_type is only needed for old integer IDs of unified invoices
+ * @returns {Object} { invoice } or { status, error } with the response to send
+ */
+async function findRefundableInvoice(id, invoiceType) {
+  if (invoiceType !== undefined && !REFUNDABLE_SOURCES.includes(invoiceType)) {
+    return {
+      status: 400,
+      error: { error: "Invalid invoice_type", valid_types: REFUNDABLE_SOURCES },
+    };
+  }
+  try {
+    const invoice = await findInvoice(id, {
+      sources: invoiceType ? [invoiceType] : REFUNDABLE_SOURCES,
+    });
+    return { invoice };
+  } catch (error) {
+    if (error instanceof InvoiceError) {
+      return { status: error.status, error: { error: error.message, ...error.details } };
+    }
+    throw error;
+  }
+}
+
+/**
+ * List refunds queued by the overpayment policy, waiting for an address
+ * GET /api/invoice/refunds/queued
+ */
+router.get("/refunds/queued", authenticateApiKey, async (req, res) => {
+  try {
+    // Merchant keys only see their own queue
+    const isAdmin = (req.apiKey.permissions || []).includes("admin");
+    const refunds = await listQueuedRefunds({
+      userId: isAdmin ? null : req.apiKey.user_id,
+    });
+
+    res.json({
+      success: true,
+      refunds: refunds.map(formatRefund),
+    });
+  } catch (error) {
+    console.error("List queued refunds error:", error);
+    res.status(500).json({
+      error: "Failed to list queued refunds",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Send a queued refund to the buyer
+ * POST /api/invoice/refunds/:refund_id/send
+ */
+router.post(
+  "/refunds/:refund_id/send",
+  authenticateApiKey,
+  requirePermission("write"),
+  requireChainCapability(CAPABILITIES.WALLET),
+  async (req, res) => {
+    const { refund_id } = req.params;
+    const { to_address } = req.body;
+
+    if (!to_address) {
+      return res.status(400).json({ error: "Missing required field: to_address" });
+    }
+
+    try {
+      const addressValidation = await validateAddress(to_address);
+      if (!addressValidation.isvalid) {
+        return res.status(400).json({ error: "Invalid Zcash address" });
+      }
+
+      const isAdmin = (req.apiKey.permissions || []).includes("admin");
+      const result = await sendQueuedRefund(refund_id, {
+        toAddress: to_address,
+        userId: isAdmin ? null : req.apiKey.user_id,
+      });
+
+      if (result.error) {
+        return res.status(500).json({
+          error: "Refund failed",
+          details: result.error,
+          refund: formatRefund(result.refund),
+        });
+      }
+
+      const { refund, invoice } = result;
+
+      await dispatchWebhookEvent("invoice.refunded", invoice.user_id, {
+        ...formatInvoiceEvent(invoice.source, invoice),
+        refunded_amount_zec: parseFloat(invoice.refunded_amount_zec),
+        refund: formatRefund(refund),
+      });
+
+      res.json({
+        success: true,
+        refund: formatRefund(refund),
+        invoice: {
+          id: invoice.id,
+          status: invoice.status,
+          paid_amount_zec: parseFloat(invoice.paid_amount_zec),
+          overpaid_zec: parseFloat(invoice.overpaid_zec),
+          refunded_amount_zec: parseFloat(invoice.refunded_amount_zec),
+          refunded_at: invoice.refunded_at,
+        },
+      });
+    } catch (error) {
+      if (error instanceof RefundError) {
+        return res.status(error.status).json({
+          error: error.message,
+          ...error.details,
+        });
+      }
+
+      console.error("Queued refund error:", error);
+      res.status(500).json({
+        error: "Failed to send refund",
+        details: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Refund a paid invoice, in full or in part
+ * POST /api/invoice/:id/refund
+ */
+router.post(
+  "/:id/refund",
+  authenticateApiKey,
+  requirePermission("write"),
+  requireChainCapability(CAPABILITIES.WALLET),
+  async (req, res) => {
+    const { id } = req.params;
+    const { to_address, amount_zec, reason, invoice_type } = req.body;
+
+    if (!to_address) {
+      return res.status(400).json({ error: "Missing required field: to_address" });
+    }
+
+    if (
+      amount_zec !== undefined &&
+      (typeof amount_zec !== "number" || !(amount_zec > 0))
+    ) {
+      return res.status(400).json({
+        error: "amount_zec must be a positive number",
+      });
+    }
+
+    try {
+      const found = await findRefundableInvoice(id, invoice_type);
+      if (found.error) {
+        return res.status(found.status).json(found.error);
+      }
+      if (!found.invoice) {
+        return res.status(404).json({ error: "Invoice not found" });
+      }
+
+      const addressValidation = await validateAddress(to_address);
+      if (!addressValidation.isvalid) {
+        return res.status(400).json({ error: "Invalid Zcash address" });
+      }
+
+      // Merchant keys can only refund their own invoices
+      const isAdmin = (req.apiKey.permissions || []).includes("admin");
+
+      const result = await refundInvoice({
+        invoiceId: found.invoice.id,
+        amount: amount_zec,
+        toAddress: to_address,
+        reason,
+        userId: isAdmin ? null : req.apiKey.user_id,
+        requestedBy: `api_key:${req.apiKey.id}`,
+      });
+
+      if (result.error) {
+        return res.status(500).json({
+          error: "Refund failed",
+          details: result.error,
+          refund: formatRefund(result.refund),
+        });
+      }
+
+      const { refund, invoice } = result;
+
+      await dispatchWebhookEvent("invoice.refunded", invoice.user_id, {
+        ...formatInvoiceEvent(invoice.source, invoice),
+        refunded_amount_zec: parseFloat(invoice.refunded_amount_zec),
+        refund: formatRefund(refund),
+      });
+
+      console.log(
+        `Refund ${refund.id}: ${refund.amount_zec} ZEC for ${invoice.source} invoice ${invoice.id} sent to ${refund.to_address}`
+      );
+
+      res.json({
+        success: true,
+        refund: formatRefund(refund),
+        invoice: {
+          id: invoice.id,
+          status: invoice.status,
+          paid_amount_zec: parseFloat(invoice.paid_amount_zec),
+          refunded_amount_zec: parseFloat(invoice.refunded_amount_zec),
+          refunded_at: invoice.refunded_at,
+        },
+      });
+    } catch (error) {
+      if (error instanceof RefundError) {
+        return res.status(error.status).json({
+          error: error.message,
+          ...error.details,
+        });
+      }
+
+      console.error("Refund error:", error);
+      res.status(500).json({
+        error: "Failed to refund invoice",
+        details: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * List refunds of an invoice
+ * GET /api/invoice/:id/refunds
+ */
+router.get("/:id/refunds", authenticateApiKey, async (req, res) => {
+  const { id } = req.params;
+  const { invoice_type } = req.query;
+
+  try {
+    const found = await findRefundableInvoice(id, invoice_type);
+    if (found.error) {
+      return res.status(found.status).json(found.error);
+    }
+    const refunds = found.invoice ? await listRefunds(found.invoice.id) : [];
+
+    const isAdmin = (req.apiKey.permissions || []).includes("admin");
+    const visible = isAdmin
+      ? refunds
+      : refunds.filter((refund) => refund.user_id === req.apiKey.user_id);
+
+    res.json({
+      success: true,
+      refunds: visible.map(formatRefund),
+    });
+  } catch (error) {
+    console.error("List refunds error:", error);
+    res.status(500).json({
+      error: "Failed to list refunds",
+      details: error.message,
+    });
+  }
+});
+
 export default router;
@@ -1,82 +1,27 @@
 import express from "express";
-import axios from 'axios';
 import { pool } from "../config/appConfig.js";
 import { optionalApiKey } from "../middleware/auth.js";
+import { requireChainCapability } from "../middleware/chain.js";
+import { getChainBackend, getChainEndpoints, validateAddress, CAPABILITIES } from "../config/zcash.js";
 import { config } from "../config/appConfig.js";
+import {
+  InvoiceError,
+  createInvoice,
+  findInvoice,
+  checkInvoice,
+  invoicePaymentUri,
+} from "../invoices/index.js";
+import { generateShieldedAddress } from "../invoices/shielded.js";
 
 const router = express.Router();
 
-// Zaino configuration
-const ZAINO_RPC_URL = 'http://127.0.0.1:8234';
-
-/**
- * Execute Zaino RPC command for shielded operations
- * @param {string} method - RPC method name
- * @param {Array} params - RPC parameters
- * @returns {Promise<any>} RPC result
- */
-async function zainoRpc(method, params = []) {
-  try {
-    const response = await axios.post(ZAINO_RPC_URL, {
-      jsonrpc: '2.0',
-      id: Date.now(),
-      method,
-      params,
-    }, {
-      headers: { 'Content-Type': 'application/json' },
-      timeout: 30000,
-    });
-
-    if (response.data.error) {
-      throw new Error(`Zaino RPC Error: ${response.data.error.message}`);
-    }
-
-    return response.data.result;
-  } catch (error) {
-    if (error.response) {
-      throw new Error(`Zaino RPC HTTP Error: ${error.response.status} - ${error.response.statusText}`);
-    }
-    throw new Error(`Zaino RPC Connection Error: ${error.message}`);
-  }
-}
-
-/**
- * Generate new shielded address using Zaino
- * @param {string} type - Address type ('sapling', 'unified', or 'auto')
- * @returns {Promise<string>} New shielded address
- */
-async function generateShieldedAddress(type = 'auto') {
-  try {
-    if (type === 'sapling') {
-      return await zainoRpc('z_getnewaddress', ['sapling']);
-    } else if (type === 'unified') {
-      return await zainoRpc('z_getnewaddress', ['unified']);
-    } else {
-      // Auto mode: try Sapling first, then unified
-      try {
-        return await zainoRpc('z_getnewaddress', ['sapling']);
-      } catch (error) {
-        return await zainoRpc('z_getnewaddress', ['unified']);
-      }
-    }
-  } catch (error) {
-    throw new Error(`Failed to generate ${type} shielded address: ${error.message}`);
-  }
-}
-
 /**
  * Check shielded balance for address
  * @param {string} address - Shielded address
  * @returns {Promise<number>} Balance in ZEC
  */
 async function getShieldedBalance(address) {
-  try {
-    const balance = await zainoRpc('z_getbalance', [address]);
-    return balance;
-  } catch (error) {
-    console.warn('Failed to get shielded balance:', error.message);
-    return 0;
-  }
+  return await getChainBackend().getBalance(address);
 }
 
 /**
@@ -86,19 +31,14 @@ async function getShieldedBalance(address) {
  * @returns {Promise<Array>} Array of received transactions
  */
 async function getShieldedReceived(address, minconf = 1) {
-  try {
-    return await zainoRpc('z_listreceivedbyaddress', [address, minconf]);
-  } catch (error) {
-    console.warn('Failed to get shielded received:', error.message);
-    return [];
-  }
+  return await getChainBackend().listReceivedByAddress(address, minconf);
 }
 
 /**
  * Generate new shielded address
  * POST /api/shielded/address/generate
  */
-router.post("/address/generate", optionalApiKey, async (req, res) => {
+router.post("/address/generate", optionalApiKey, requireChainCapability(CAPABILITIES.WALLET), async (req, res) => {
   const { type = 'auto', save_to_wallet = false, user_id, wallet_name } = req.body;
 
   // Validate address type
@@ -157,7 +97,7 @@ router.post("/address/generate", optionalApiKey, async (req, res) => {
     if (error.message.includes('Connection Error') || error.message.includes('ECONNREFUSED')) {
       return res.status(503).json({
         error: "Shielded address service unavailable",
-        details: "Zaino indexer is not running. Shielded operations require Zaino to be active.",
+        details: "The chain backend is not reachable.",
         fallback: "Use transparent addresses via /api/invoice endpoints"
       });
     }
@@ -195,26 +135,26 @@ router.post("/address/validate", optionalApiKey, async (req, res) => {
       });
     }
 
-    // Try to validate with Zaino RPC
+    const type = address.startsWith('zs1') ? 'sapling' : 
+                 address.startsWith('u1') ? 'unified' : 
+                 address.startsWith('zc') ? 'sprout' : 'unknown';
+
+    // The node validates when the backend speaks JSON-RPC, lightwalletd checks the format
     try {
-      const validation = await zainoRpc('validateaddress', [address]);
-      
+      const validation = await validateAddress(address);
+
       res.json({
         valid: validation.isvalid || false,
         address: address,
-        type: address.startsWith('zs1') ? 'sapling' : 
-              address.startsWith('u1') ? 'unified' : 
-              address.startsWith('zc') ? 'sprout' : 'unknown',
+        type: type,
         details: validation
       });
     } catch (rpcError) {
-      // Fallback to basic validation if RPC fails
+      // Fallback to basic validation if the node can't be asked
       res.json({
         valid: isShielded,
         address: address,
-        type: address.startsWith('zs1') ? 'sapling' : 
-              address.startsWith('u1') ? 'unified' : 
-              address.startsWith('zc') ? 'sprout' : 'unknown',
+        type: type,
         warning: "RPC validation unavailable, using basic format validation"
       });
     }
@@ -232,7 +172,7 @@ router.post("/address/validate", optionalApiKey, async (req, res) => {
  * Get shielded address info (balance, transactions)
  * GET /api/shielded/address/:address/info
  */
-router.get("/address/:address/info", optionalApiKey, async (req, res) => {
+router.get("/address/:address/info", optionalApiKey, requireChainCapability(CAPABILITIES.WALLET), async (req, res) => {
   const { address } = req.params;
   const { include_transactions = true, min_confirmations = 1 } = req.query;
 
@@ -271,7 +211,7 @@ router.get("/address/:address/info", optionalApiKey, async (req, res) => {
     if (error.message.includes('Connection Error') || error.message.includes('ECONNREFUSED')) {
       return res.status(503).json({
         error: "Shielded address service unavailable",
-        details: "Zaino indexer is not running"
+        details: "The chain backend is not reachable"
       });
     }
 
@@ -286,7 +226,7 @@ router.get("/address/:address/info", optionalApiKey, async (req, res) => {
  * Batch generate multiple shielded addresses
  * POST /api/shielded/address/batch-generate
  */
-router.post("/address/batch-generate", optionalApiKey, async (req, res) => {
+router.post("/address/batch-generate", optionalApiKey, requireChainCapability(CAPABILITIES.WALLET), async (req, res) => {
   const { count = 1, type = 'auto', user_id, save_to_wallet = false } = req.body;
 
   // Validate count
@@ -309,7 +249,7 @@ router.post("/address/batch-generate", optionalApiKey, async (req, res) => {
     const addresses = [];
     const errors = [];
 
-    // Generate addresses sequentially to avoid overwhelming Zaino
+    // Generate addresses sequentially to avoid overwhelming the node
     for (let i = 0; i < count; i++) {
       try {
         const address = await generateShieldedAddress(type);
@@ -357,7 +297,7 @@ router.post("/address/batch-generate", optionalApiKey, async (req, res) => {
     if (error.message.includes('Connection Error') || error.message.includes('ECONNREFUSED')) {
       return res.status(503).json({
         error: "Shielded address service unavailable",
-        details: "Zaino indexer is not running"
+        details: "The chain backend is not reachable"
       });
     }
 
@@ -372,7 +312,7 @@ router.post("/address/batch-generate", optionalApiKey, async (req, res) => {
  * Create shielded wallet for user
  * POST /api/shielded/wallet/create
  */
-router.post("/wallet/create", optionalApiKey, async (req, res) => {
+router.post("/wallet/create", optionalApiKey, requireChainCapability(CAPABILITIES.WALLET), async (req, res) => {
   const { user_id, wallet_name } = req.body;
 
   if (!user_id) {
@@ -415,11 +355,11 @@ router.post("/wallet/create", optionalApiKey, async (req, res) => {
   } catch (error) {
     console.error("Shielded wallet creation error:", error);
     
-    // Check if Zaino is not available
+    // Node not reachable
     if (error.message.includes('Connection Error') || error.message.includes('ECONNREFUSED')) {
       return res.status(503).json({
         error: "Shielded wallet service unavailable",
-        details: "Zaino indexer is not running. Shielded operations require Zaino to be active.",
+        details: "The chain backend is not reachable.",
         fallback: "Use transparent addresses for now"
       });
     }
@@ -444,7 +384,21 @@ router.get("/wallet/user/:user_id", optionalApiKey, async (req, res) => {
       [user_id]
     );
 
+    // Balances come from the node wallet
+    const hasWallet = getChainBackend().has(CAPABILITIES.WALLET);
+
     const wallets = await Promise.all(result.rows.map(async (wallet) => {
+      if (!hasWallet) {
+        return {
+          id: wallet.id,
+          user_id: wallet.user_id,
+          address: wallet.address,
+          name: wallet.name,
+          balance: null,
+          created_at: wallet.created_at
+        };
+      }
+
       try {
         const balance = await getShieldedBalance(wallet.address);
         return {
@@ -486,7 +440,7 @@ router.get("/wallet/user/:user_id", optionalApiKey, async (req, res) => {
  * Get shielded wallet balance and transactions
  * GET /api/shielded/wallet/:wallet_id/details
  */
-router.get("/wallet/:wallet_id/details", optionalApiKey, async (req, res) => {
+router.get("/wallet/:wallet_id/details", optionalApiKey, requireChainCapability(CAPABILITIES.WALLET), async (req, res) => {
   const { wallet_id } = req.params;
 
   try {
@@ -526,7 +480,7 @@ router.get("/wallet/:wallet_id/details", optionalApiKey, async (req, res) => {
     if (error.message.includes('Connection Error') || error.message.includes('ECONNREFUSED')) {
       return res.status(503).json({
         error: "Shielded wallet service unavailable",
-        details: "Zaino indexer is not running"
+        details: "The chain backend is not reachable"
       });
     }
 
@@ -542,7 +496,7 @@ router.get("/wallet/:wallet_id/details", optionalApiKey, async (req, res) => {
  * POST /api/shielded/invoice/create
  */
 router.post("/invoice/create", optionalApiKey, async (req, res) => {
-  const { user_id, wallet_id, amount_zec, item_id, memo } = req.body;
+  const { user_id, wallet_id, amount_zec, item_id, memo, expires_at } = req.body;
 
   if (!user_id || !amount_zec) {
     return res.status(400).json({
@@ -551,56 +505,51 @@ router.post("/invoice/create", optionalApiKey, async (req, res) => {
   }
 
   try {
-    let shieldedAddress;
-
-    if (wallet_id) {
-      // Use existing wallet
-      const walletResult = await pool.query(
-        "SELECT address FROM shielded_wallets WHERE id = $1 AND user_id = $2",
-        [wallet_id, user_id]
-      );
-
-      if (walletResult.rows.length === 0) {
-        return res.status(404).json({ error: "Shielded wallet not found" });
-      }
-
-      shieldedAddress = walletResult.rows[0].address;
-    } else {
-      // Generate new shielded address
-      shieldedAddress = await generateShieldedAddress();
-    }
-
-    // Create shielded invoice
-    const result = await pool.query(
-      `INSERT INTO shielded_invoices (user_id, wallet_id, amount_zec, z_address, item_id, memo, status)
-       VALUES ($1, $2, $3, $4, $5, $6, 'pending') RETURNING *`,
-      [user_id, wallet_id || null, amount_zec, shieldedAddress, item_id || null, memo || null]
-    );
-
-    const invoice = result.rows[0];
+    // The wallet's address, or a new one from the node wallet, with the
+    // reference code payers put in the memo
+    const { invoice } = await createInvoice({
+      source: "shielded",
+      paymentMethod: "shielded",
+      userId: user_id,
+      type: "one_time",
+      amountZec: Number(amount_zec),
+      itemId: item_id,
+      memo,
+      shieldedWalletId: wallet_id,
+      expiresAt: expires_at,
+    });
 
     res.status(201).json({
       success: true,
       invoice: {
         id: invoice.id,
         user_id: invoice.user_id,
-        wallet_id: invoice.wallet_id,
+        wallet_id: invoice.shielded_wallet_id,
         amount_zec: parseFloat(invoice.amount_zec),
-        z_address: invoice.z_address,
+        z_address: invoice.payment_address,
         item_id: invoice.item_id,
         memo: invoice.memo,
+        payment_reference: invoice.payment_reference,
+        payment_uri: invoicePaymentUri(invoice),
         status: invoice.status,
         created_at: invoice.created_at
       }
     });
 
   } catch (error) {
+    if (error instanceof InvoiceError) {
+      return res.status(error.status).json({
+        error: error.message,
+        ...error.details
+      });
+    }
+
     console.error("Shielded invoice creation error:", error);
     
     if (error.message.includes('Connection Error') || error.message.includes('ECONNREFUSED')) {
       return res.status(503).json({
         error: "Shielded invoice service unavailable",
-        details: "Zaino indexer is not running. Use transparent invoices instead."
+        details: "The chain backend is not reachable. Use transparent invoices instead."
       });
     }
 
@@ -623,18 +572,12 @@ router.post("/invoice/check", optionalApiKey, async (req, res) => {
   }
 
   try {
-    // Get shielded invoice
-    const invResult = await pool.query(
-      "SELECT * FROM shielded_invoices WHERE id = $1",
-      [invoice_id]
-    );
+    const invoice = await findInvoice(invoice_id, { sources: ["shielded"] });
 
-    if (invResult.rows.length === 0) {
+    if (!invoice) {
       return res.status(404).json({ error: "Shielded invoice not found" });
     }
 
-    const invoice = invResult.rows[0];
-
     // If already paid, return status
     if (invoice.status === "paid") {
       return res.json({
@@ -649,47 +592,66 @@ router.post("/invoice/check", optionalApiKey, async (req, res) => {
       });
     }
 
-    // Check for shielded payments
-    const received = await getShieldedReceived(invoice.z_address, 0);
-    const totalReceived = received.reduce((sum, tx) => sum + tx.amount, 0);
-
-    if (totalReceived >= parseFloat(invoice.amount_zec)) {
-      // Payment detected - update invoice
-      const updateResult = await pool.query(
-        `UPDATE shielded_invoices 
-         SET status='paid', 
-             paid_amount_zec=$1, 
-             paid_txid=$2, 
-             paid_at=NOW()
-         WHERE id=$3 
-         RETURNING *`,
-        [totalReceived, received[0]?.txid || null, invoice_id]
-      );
-
-      const updatedInvoice = updateResult.rows[0];
+    // Refunded invoices are not matched again
+    if (invoice.status === "refunded") {
+      return res.json({
+        paid: false,
+        refunded: true,
+        invoice: {
+          id: invoice.id,
+          status: invoice.status,
+          paid_amount_zec: parseFloat(invoice.paid_amount_zec),
+          paid_txid: invoice.paid_txid,
+          refunded_amount_zec: parseFloat(invoice.refunded_amount_zec),
+          refunded_at: invoice.refunded_at
+        }
+      });
+    }
+
+    // Match notes paying this invoice (scanner notes or the node wallet)
+    if (!config.shieldedScanner.enabled && !getChainBackend().has(CAPABILITIES.WALLET)) {
+      return res.status(501).json({
+        error: `The ${getChainBackend().name} chain backend has no wallet and the shielded scanner is disabled`,
+        capability: CAPABILITIES.WALLET,
+      });
+    }
+
+    const { invoice: current, payment } = await checkInvoice(invoice);
 
+    if (current.status === "paid") {
       return res.json({
         paid: true,
         invoice: {
-          id: updatedInvoice.id,
-          status: updatedInvoice.status,
-          paid_amount_zec: parseFloat(updatedInvoice.paid_amount_zec),
-          paid_txid: updatedInvoice.paid_txid,
-          paid_at: updatedInvoice.paid_at
-        }
+          id: current.id,
+          status: current.status,
+          paid_amount_zec: parseFloat(current.paid_amount_zec),
+          paid_txid: current.paid_txid,
+          paid_at: current.paid_at,
+          overpaid_zec: payment.overpaid_zec,
+          underpaid_zec: payment.underpaid_zec,
+          confirmations: payment.confirmations,
+        },
+        payments: payment.payments,
       });
     }
 
-    // Payment not yet received
+    // Payment not yet received, or not yet confirmed
     res.json({
       paid: false,
       invoice: {
-        id: invoice.id,
-        status: invoice.status,
-        amount_zec: parseFloat(invoice.amount_zec),
-        z_address: invoice.z_address,
-        received_amount: totalReceived
-      }
+        id: current.id,
+        status: current.status,
+        amount_zec: parseFloat(current.amount_zec),
+        z_address: current.payment_address,
+        payment_reference: current.payment_reference,
+        received_amount: payment.received,
+        underpaid_zec: payment.underpaid_zec,
+        remaining_zec: payment.remaining_zec,
+        tolerance_zec: payment.tolerance_zec,
+        confirmations: payment.confirmations,
+        required_confirmations: payment.required_confirmations,
+      },
+      payments: payment.payments,
     });
 
   } catch (error) {
@@ -698,7 +660,7 @@ router.post("/invoice/check", optionalApiKey, async (req, res) => {
     if (error.message.includes('Connection Error') || error.message.includes('ECONNREFUSED')) {
       return res.status(503).json({
         error: "Shielded payment check unavailable",
-        details: "Zaino indexer is not running"
+        details: "The chain backend is not reachable"
       });
     }
 
@@ -710,33 +672,35 @@ router.post("/invoice/check", optionalApiKey, async (req, res) => {
 });
 
 /**
- * Test Zaino connection
+ * Chain backend status and the shielded operations it supports
  * GET /api/shielded/status
  */
 router.get("/status", optionalApiKey, async (req, res) => {
+  const backend = getChainBackend();
+
   try {
-    // Test Zaino connection
-    const info = await zainoRpc('getinfo');
-    
+    const info = await backend.getBlockchainInfo();
+
     res.json({
       success: true,
       zaino_available: true,
+      ...backend.describe(),
+      wallet_available: backend.has(CAPABILITIES.WALLET),
+      scanner_enabled: config.shieldedScanner.enabled,
       info: info,
-      endpoints: {
-        rpc: ZAINO_RPC_URL,
-        grpc: "127.0.0.1:9067"
-      }
+      endpoints: getChainEndpoints()
     });
 
   } catch (error) {
     res.status(503).json({
       success: false,
       zaino_available: false,
+      ...backend.describe(),
       error: error.message,
-      message: "Zaino indexer is not running. Shielded operations are unavailable.",
+      message: `The ${backend.name} chain backend is not reachable. Shielded operations are unavailable.`,
       fallback: "Use transparent addresses via /api/invoice endpoints"
     });
   }
 });
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,354 @@
+/**
+ * Subscription routes
+ * Plans, subscriptions and the entitlement check apps gate content with
+ */
+
+import express from "express";
+import { pool } from "../config/appConfig.js";
+import {
+  optionalApiKey,
+  authenticateApiKey,
+  requirePermission,
+} from "../middleware/auth.js";
+import { validateUUID } from "../middleware/validation.js";
+import { dispatchWebhookEvent } from "../services/webhooks.js";
+import {
+  SubscriptionError,
+  subscribe,
+  getSubscription,
+  listUserSubscriptions,
+  cancelSubscription,
+  checkEntitlement,
+  formatPlan,
+  formatSubscription,
+} from "../services/subscriptions.js";
+import {
+  SUBSCRIPTION_STATUSES,
+  validatePlan,
+} from "../utils/subscriptionPolicy.js";
+
+const router = express.Router();
+
+function sendSubscriptionError(res, error) {
+  return res.status(error.status).json({
+    error: error.message,
+    ...error.details,
+  });
+}
+
+/**
+ * List subscription plans
+ * GET /api/subscriptions/plans
+ */
+router.get("/plans", optionalApiKey, async (req, res) => {
+  const { item_id, include_inactive } = req.query;
+
+  try {
+    const conditions = [];
+    const params = [];
+
+    if (include_inactive !== "true") {
+      conditions.push("active = true");
+    }
+    if (item_id) {
+      params.push(item_id);
+      conditions.push(`item_id = $${params.length}`);
+    }
+
+    const result = await pool.query(
+      `SELECT * FROM subscription_plans
+       ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+       ORDER BY created_at DESC`,
+      params
+    );
+
+    res.json({
+      success: true,
+      plans: result.rows.map(formatPlan),
+    });
+  } catch (error) {
+    console.error("List plans error:", error);
+    res.status(500).json({
+      error: "Failed to list plans",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Create a subscription plan
+ * POST /api/subscriptions/plans
+ */
+router.post(
+  "/plans",
+  authenticateApiKey,
+  requirePermission("admin"),
+  async (req, res) => {
+    const {
+      name,
+      item_id,
+      amount_zec,
+      interval_unit = "month",
+      interval_count = 1,
+      trial_days = 0,
+      grace_days = 3,
+    } = req.body;
+
+    const validationError = validatePlan({
+      name,
+      item_id,
+      amount_zec,
+      interval_unit,
+      interval_count,
+      trial_days,
+      grace_days,
+    });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      const result = await pool.query(
+        `INSERT INTO subscription_plans
+           (name, item_id, amount_zec, interval_unit, interval_count, trial_days, grace_days)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [name, item_id, amount_zec, interval_unit, interval_count, trial_days, grace_days]
+      );
+
+      res.status(201).json({
+        success: true,
+        plan: formatPlan(result.rows[0]),
+      });
+    } catch (error) {
+      console.error("Plan creation error:", error);
+      res.status(500).json({
+        error: "Failed to create plan",
+        details: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Stop a plan taking new subscribers (existing subscriptions keep renewing)
+ * DELETE /api/subscriptions/plans/:id
+ */
+router.delete(
+  "/plans/:id",
+  authenticateApiKey,
+  requirePermission("admin"),
+  validateUUID,
+  async (req, res) => {
+    try {
+      const result = await pool.query(
+        "UPDATE subscription_plans SET active = false WHERE id = $1 RETURNING *",
+        [req.params.id]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).json({ error: "Plan not found" });
+      }
+
+      res.json({
+        success: true,
+        plan: formatPlan(result.rows[0]),
+      });
+    } catch (error) {
+      console.error("Plan deactivation error:", error);
+      res.status(500).json({
+        error: "Failed to deactivate plan",
+        details: error.message,
+      });
+    }
+  }
+);
+
+/**
+ * Check whether a user has access to an item
+ * GET /api/subscriptions/entitlement?user_id=&item_id=
+ */
+router.get("/entitlement", optionalApiKey, async (req, res) => {
+  const { user_id, item_id } = req.query;
+
+  if (!user_id || !item_id) {
+    return res.status(400).json({
+      error: "Missing required query parameters: user_id, item_id",
+    });
+  }
+
+  try {
+    const entitlement = await checkEntitlement(user_id, item_id);
+
+    res.json({
+      success: true,
+      user_id,
+      item_id,
+      ...entitlement,
+    });
+  } catch (error) {
+    console.error("Entitlement check error:", error);
+    res.status(500).json({
+      error: "Failed to check entitlement",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * List a user's subscriptions
+ * GET /api/subscriptions/user/:user_id
+ */
+router.get("/user/:user_id", optionalApiKey, validateUUID, async (req, res) => {
+  const { user_id } = req.params;
+  const { status } = req.query;
+
+  if (status && !SUBSCRIPTION_STATUSES.includes(status)) {
+    return res.status(400).json({
+      error: "Invalid status",
+      valid_statuses: SUBSCRIPTION_STATUSES,
+    });
+  }
+
+  try {
+    const subscriptions = await listUserSubscriptions(user_id, { status });
+
+    res.json({
+      success: true,
+      subscriptions: subscriptions.map(formatSubscription),
+    });
+  } catch (error) {
+    console.error("List subscriptions error:", error);
+    res.status(500).json({
+      error: "Failed to list subscriptions",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Subscribe a user to a plan
+ * POST /api/subscriptions/create
+ */
+router.post("/create", optionalApiKey, async (req, res) => {
+  const { user_id, plan_id } = req.body;
+
+  if (!user_id || !plan_id) {
+    return res.status(400).json({
+      error: "Missing required fields: user_id, plan_id",
+    });
+  }
+
+  try {
+    const userCheck = await pool.query("SELECT id FROM users WHERE id = $1", [
+      user_id,
+    ]);
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const { subscription, invoice } = await subscribe({
+      userId: user_id,
+      planId: plan_id,
+    });
+
+    res.status(201).json({
+      success: true,
+      subscription: formatSubscription(subscription),
+      invoice: invoice && {
+        id: invoice.id,
+        amount_zec: parseFloat(invoice.amount_zec),
+        z_address: invoice.payment_address,
+        status: invoice.status,
+        created_at: invoice.created_at,
+      },
+    });
+  } catch (error) {
+    if (error instanceof SubscriptionError) {
+      return sendSubscriptionError(res, error);
+    }
+
+    console.error("Subscription creation error:", error);
+    res.status(500).json({
+      error: "Failed to create subscription",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Get subscription details
+ * GET /api/subscriptions/:id
+ */
+router.get("/:id", optionalApiKey, validateUUID, async (req, res) => {
+  try {
+    const subscription = await getSubscription(req.params.id);
+
+    if (!subscription) {
+      return res.status(404).json({ error: "Subscription not found" });
+    }
+
+    const invoices = await pool.query(
+      `SELECT id, amount_zec, status, paid_txid, paid_at, expires_at, created_at
+       FROM invoices WHERE subscription_id = $1
+       ORDER BY created_at DESC`,
+      [subscription.id]
+    );
+
+    res.json({
+      success: true,
+      subscription: formatSubscription(subscription),
+      invoices: invoices.rows.map((invoice) => ({
+        id: invoice.id,
+        amount_zec: parseFloat(invoice.amount_zec),
+        status: invoice.status,
+        paid_txid: invoice.paid_txid,
+        paid_at: invoice.paid_at,
+        expires_at: invoice.expires_at,
+        created_at: invoice.created_at,
+      })),
+    });
+  } catch (error) {
+    console.error("Get subscription error:", error);
+    res.status(500).json({
+      error: "Failed to get subscription",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Cancel a subscription, at the end of the paid period unless at_period_end is false
+ * POST /api/subscriptions/:id/cancel
+ */
+router.post("/:id/cancel", optionalApiKey, validateUUID, async (req, res) => {
+  const { at_period_end = true } = req.body;
+
+  try {
+    const subscription = await cancelSubscription(req.params.id, {
+      atPeriodEnd: at_period_end !== false,
+    });
+
+    if (subscription.status === "canceled") {
+      await dispatchWebhookEvent("subscription.canceled", subscription.user_id, {
+        subscription: formatSubscription(subscription),
+      });
+    }
+
+    res.json({
+      success: true,
+      subscription: formatSubscription(subscription),
+    });
+  } catch (error) {
+    if (error instanceof SubscriptionError) {
+      return sendSubscriptionError(res, error);
+    }
+
+    console.error("Subscription cancel error:", error);
+    res.status(500).json({
+      error: "Failed to cancel subscription",
+      details: error.message,
+    });
+  }
+});
+
+export default router;
@@ -1,19 +1,18 @@
 import express from "express";
-import { pool } from "../config/appConfig.js";
 import { optionalApiKey } from "../middleware/auth.js";
-import { 
-  generateAddress, 
-  getReceivedByAddress, 
-  checkTransparentPayment,
-  getAddressType,
-  isShieldedAddress 
-} from "../config/zcash.js";
+import { ExchangeRateError } from "../services/exchangeRates.js";
 import {
-  generatePaymentUri,
-  generatePaymentQR,
-  QR_PRESETS,
-} from "../utils/qrcode.js";
-import { createUnifiedAddress, generateMockReceivers, create2025StandardUA } from "../utils/zip316.js";
+  InvoiceError,
+  createPaymentMethod,
+  createInvoice,
+  findInvoice,
+  checkInvoice,
+  formatInvoice,
+  parseInvoiceId,
+} from "../invoices/index.js";
+import { generatePaymentQR, QR_PRESETS } from "../utils/qrcode.js";
+import { parsePaymentRequest, formatAmount } from "../utils/zip321.js";
+import { formatQuote } from "../utils/fiatQuote.js";
 
 const router = express.Router();
 
@@ -22,16 +21,24 @@ const router = express.Router();
  * Single endpoint for all payment methods with centralized balance management
  */
 
+// Old integer IDs here are unified invoices; UUIDs find invoices of every API
+function lookupOptions(id, options = {}) {
+  return parseInvoiceId(id)?.legacyId ? { ...options, sources: ["unified"] } : options;
+}
+
 /**
  * Create unified invoice - supports all payment methods
  * POST /api/invoice/unified/create
  */
 router.post("/create", optionalApiKey, async (req, res) => {
-  let { 
-    user_id, 
+  const {
+    user_id,
     email,
-    type = "one_time", 
-    amount_zec, 
+    type = "one_time",
+    amount_zec,
+    // Or a fiat price, quoted in ZEC at the current rate
+    amount_fiat,
+    currency,
     item_id,
     payment_method = "auto", // auto, transparent, shielded, unified, webzjs, devtool
     network = "testnet",
@@ -39,108 +46,65 @@ router.post("/create", optionalApiKey, async (req, res) => {
     // Optional wallet linking
     webzjs_wallet_id,
     devtool_wallet_id,
-    shielded_wallet_id
+    shielded_wallet_id,
+    viewing_key_id,
+    // Optional split payment (ZIP-321 multi-recipient request)
+    recipients,
+    platform_fee_zec,
+    expires_at
   } = req.body;
 
-  // Validation
-  if ((!user_id && !email) || !amount_zec) {
-    return res.status(400).json({
-      error: "Missing required fields: (user_id or email), amount_zec",
-    });
-  }
-
-  if (!["subscription", "one_time"].includes(type)) {
-    return res.status(400).json({
-      error: 'Invalid type. Must be "subscription" or "one_time"',
-    });
-  }
-
-  if (typeof amount_zec !== "number" || amount_zec <= 0) {
-    return res.status(400).json({
-      error: "amount_zec must be a positive number",
-    });
-  }
+  const fiatPriced = amount_fiat !== undefined && amount_fiat !== null;
 
-  const validPaymentMethods = ["auto", "transparent", "shielded", "unified", "webzjs", "devtool"];
-  if (!validPaymentMethods.includes(payment_method)) {
+  // Validation
+  if ((!user_id && !email) || (!amount_zec && !fiatPriced)) {
     return res.status(400).json({
-      error: "Invalid payment_method",
-      valid_methods: validPaymentMethods
+      error: "Missing required fields: (user_id or email), amount_zec (or amount_fiat and currency)",
     });
   }
 
   try {
-    // Handle user identification and auto-registration
-    let finalUserId = await resolveUserId(user_id, email);
-
-    // Generate payment address based on method
-    const addressInfo = await generatePaymentAddress(payment_method, network, {
-      webzjs_wallet_id,
-      devtool_wallet_id, 
-      shielded_wallet_id,
-      user_id: finalUserId
+    const { invoice } = await createInvoice({
+      source: "unified",
+      paymentMethod: payment_method,
+      userId: user_id,
+      email,
+      type,
+      amountZec: amount_zec,
+      amountFiat: amount_fiat,
+      currency,
+      network,
+      itemId: item_id,
+      description,
+      recipients,
+      platformFeeZec: platform_fee_zec,
+      shieldedWalletId: shielded_wallet_id,
+      webzjsWalletId: webzjs_wallet_id,
+      devtoolWalletId: devtool_wallet_id,
+      viewingKeyId: viewing_key_id,
+      expiresAt: expires_at,
     });
 
-    // Create unified invoice record
-    const result = await pool.query(
-      `INSERT INTO unified_invoices (
-        user_id, type, amount_zec, payment_method, network,
-        payment_address, address_type, item_id, description, status,
-        webzjs_wallet_id, devtool_wallet_id, shielded_wallet_id,
-        address_metadata, created_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending', $10, $11, $12, $13, NOW()) 
-      RETURNING *`,
-      [
-        finalUserId, type, amount_zec, payment_method, network,
-        addressInfo.address, addressInfo.type, item_id || null, description || null,
-        webzjs_wallet_id || null, devtool_wallet_id || null, shielded_wallet_id || null,
-        JSON.stringify(addressInfo.metadata || {})
-      ]
-    );
-
-    const invoice = result.rows[0];
-
-    // Generate payment URI and QR code
-    const paymentUri = generatePaymentUri(
-      invoice.payment_address,
-      parseFloat(invoice.amount_zec),
-      description || `Payment for ${invoice.type}${invoice.item_id ? ` - ${invoice.item_id}` : ""}`
-    );
-
-    const qrCodeDataUrl = await generatePaymentQR(
-      { 
-        z_address: invoice.payment_address, 
-        amount_zec: invoice.amount_zec,
-        type: invoice.type,
-        item_id: invoice.item_id
-      },
-      "dataurl",
-      QR_PRESETS.web
-    );
+    const formatted = formatInvoice(invoice);
+    const qrCodeDataUrl = formatted.payment_uri
+      ? await generatePaymentQR(
+        { ...invoice, payment_uri: formatted.payment_uri },
+        "dataurl",
+        QR_PRESETS.web
+      )
+      : null;
 
     res.status(201).json({
       success: true,
       invoice: {
-        id: invoice.id,
-        user_id: invoice.user_id,
-        type: invoice.type,
-        amount_zec: parseFloat(invoice.amount_zec),
-        payment_method: invoice.payment_method,
-        payment_address: invoice.payment_address,
-        address_type: invoice.address_type,
-        network: invoice.network,
-        item_id: invoice.item_id,
-        description: invoice.description,
-        status: invoice.status,
-        created_at: invoice.created_at,
-        payment_uri: paymentUri,
+        ...formatted,
         qr_code: qrCodeDataUrl,
       },
       payment_info: {
         method: payment_method,
-        address_type: addressInfo.type,
-        network: network,
-        instructions: getPaymentInstructions(payment_method, addressInfo),
+        address_type: invoice.address_type,
+        network: invoice.network,
+        instructions: createPaymentMethod(payment_method).instructions(invoice),
         linked_wallets: {
           webzjs: webzjs_wallet_id,
           devtool: devtool_wallet_id,
@@ -150,6 +114,13 @@ router.post("/create", optionalApiKey, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof InvoiceError || error instanceof ExchangeRateError) {
+      return res.status(error.status).json({
+        error: error.message,
+        ...error.details,
+      });
+    }
+
     console.error("Unified invoice creation error:", error);
     res.status(500).json({
       error: "Failed to create invoice",
@@ -160,6 +131,7 @@ router.post("/create", optionalApiKey, async (req, res) => {
 
 /**
  * Check unified invoice payment status
+ * Invoices of every payment method are checked here
  * POST /api/invoice/unified/check
  */
 router.post("/check", optionalApiKey, async (req, res) => {
@@ -170,11 +142,7 @@ router.post("/check", optionalApiKey, async (req, res) => {
   }
 
   try {
-    // Get unified invoice
-    const invResult = await pool.query("SELECT * FROM unified_invoices WHERE id = $1", [
-      invoice_id,
-    ]);
-    const invoice = invResult.rows[0];
+    const invoice = await findInvoice(invoice_id, lookupOptions(invoice_id));
 
     if (!invoice) {
       return res.status(404).json({ error: "Invoice not found" });
@@ -195,69 +163,63 @@ router.post("/check", optionalApiKey, async (req, res) => {
       });
     }
 
-    // Check for payments based on address type
-    const paymentResult = await checkPaymentByAddressType(
-      invoice.payment_address, 
-      invoice.address_type,
-      parseFloat(invoice.amount_zec)
-    );
-
-    if (paymentResult.paid) {
-      // Payment detected - update unified invoice and create legacy invoice for balance tracking
-      const updateResult = await pool.query(
-        `UPDATE unified_invoices 
-         SET status='paid', 
-             paid_amount_zec=$1, 
-             paid_txid=$2, 
-             paid_at=NOW(),
-             expires_at = CASE 
-               WHEN type='subscription' THEN NOW() + INTERVAL '30 days' 
-               ELSE NULL 
-             END
-         WHERE id=$3 
-         RETURNING *`,
-        [paymentResult.amount, paymentResult.txid, invoice_id]
-      );
-
-      // Create legacy invoice record for balance tracking
-      await pool.query(
-        `INSERT INTO invoices (
-          user_id, type, amount_zec, z_address, item_id, status,
-          paid_amount_zec, paid_txid, paid_at, expires_at, created_at
-        ) VALUES ($1, $2, $3, $4, $5, 'paid', $6, $7, NOW(), $8, $9)`,
-        [
-          invoice.user_id, invoice.type, invoice.amount_zec, invoice.payment_address,
-          invoice.item_id, paymentResult.amount, paymentResult.txid,
-          updateResult.rows[0].expires_at, invoice.created_at
-        ]
-      );
+    // Refunded invoices are not matched again
+    if (invoice.status === "refunded") {
+      return res.json({
+        paid: false,
+        refunded: true,
+        invoice: {
+          id: invoice.id,
+          status: invoice.status,
+          paid_amount_zec: parseFloat(invoice.paid_amount_zec),
+          paid_txid: invoice.paid_txid,
+          refunded_amount_zec: parseFloat(invoice.refunded_amount_zec),
+          refunded_at: invoice.refunded_at,
+        },
+      });
+    }
 
-      const updatedInvoice = updateResult.rows[0];
+    // Match real outputs, apply the confirmation policy and notify the merchant
+    const { invoice: current, payment } = await checkInvoice(invoice);
 
+    if (current.status === "paid") {
       return res.json({
         paid: true,
         invoice: {
-          id: updatedInvoice.id,
-          status: updatedInvoice.status,
-          paid_amount_zec: parseFloat(updatedInvoice.paid_amount_zec),
-          paid_txid: updatedInvoice.paid_txid,
-          paid_at: updatedInvoice.paid_at,
-          expires_at: updatedInvoice.expires_at,
+          id: current.id,
+          status: current.status,
+          paid_amount_zec: parseFloat(current.paid_amount_zec),
+          paid_txid: current.paid_txid,
+          paid_at: current.paid_at,
+          expires_at: current.expires_at,
+          ...formatQuote(current),
+          overpaid_zec: payment.overpaid_zec,
+          underpaid_zec: payment.underpaid_zec,
+          confirmations: payment.confirmations,
         },
+        payments: payment.payments,
       });
     }
 
-    // Payment not yet received
+    // Payment not yet received, or not yet confirmed
     res.json({
       paid: false,
       invoice: {
-        id: invoice.id,
-        status: invoice.status,
-        amount_zec: parseFloat(invoice.amount_zec),
-        payment_address: invoice.payment_address,
-        payment_method: invoice.payment_method,
-        received_amount: paymentResult.received || 0,
+        id: current.id,
+        status: current.status,
+        amount_zec: parseFloat(current.amount_zec),
+        payment_address: current.payment_address,
+        payment_method: current.payment_method,
+        received_amount: payment.received || 0,
+        underpaid_zec: payment.underpaid_zec || 0,
+        remaining_zec: payment.remaining_zec ?? parseFloat(current.amount_zec),
+        tolerance_zec: payment.tolerance_zec || 0,
+        confirmations: payment.confirmations || 0,
+        required_confirmations: payment.required_confirmations,
+        ...formatQuote(current),
       },
+      payments: payment.payments || [],
+      ...(payment.note && { note: payment.note }),
     });
 
   } catch (error) {
@@ -271,52 +233,30 @@ router.post("/check", optionalApiKey, async (req, res) => {
 
 /**
  * Get unified invoice details
+ * Invoices of every payment method are returned here
  * GET /api/invoice/unified/:id
  */
 router.get("/:id", optionalApiKey, async (req, res) => {
   const { id } = req.params;
 
   try {
-    const result = await pool.query(
-      `SELECT ui.*, u.email, u.name,
-              ww.name as webzjs_wallet_name,
-              dw.name as devtool_wallet_name,
-              sw.name as shielded_wallet_name
-       FROM unified_invoices ui 
-       JOIN users u ON ui.user_id = u.id 
-       LEFT JOIN webzjs_wallets ww ON ui.webzjs_wallet_id = ww.id
-       LEFT JOIN devtool_wallets dw ON ui.devtool_wallet_id = dw.id
-       LEFT JOIN shielded_wallets sw ON ui.shielded_wallet_id = sw.id
-       WHERE ui.id = $1`,
-      [id]
-    );
-
-    if (result.rows.length === 0) {
+    const invoice = await findInvoice(id, lookupOptions(id, { details: true }));
+
+    if (!invoice) {
       return res.status(404).json({ error: "Invoice not found" });
     }
 
-    const invoice = result.rows[0];
+    const formatted = formatInvoice(invoice);
 
-    // Generate QR code for unpaid invoices
+    // Payment URI and QR code for unpaid invoices
     let qrCodeDataUrl = null;
     let paymentUri = null;
 
-    if (invoice.status === "pending") {
-      paymentUri = generatePaymentUri(
-        invoice.payment_address,
-        parseFloat(invoice.amount_zec),
-        invoice.description || `Payment for ${invoice.type}${
-          invoice.item_id ? ` - ${invoice.item_id}` : ""
-        }`
-      );
+    if (invoice.status === "pending" && formatted.payment_uri) {
+      paymentUri = formatted.payment_uri;
 
       qrCodeDataUrl = await generatePaymentQR(
-        {
-          z_address: invoice.payment_address,
-          amount_zec: invoice.amount_zec,
-          type: invoice.type,
-          item_id: invoice.item_id
-        },
+        { ...invoice, payment_uri: paymentUri },
         "dataurl",
         QR_PRESETS.web
       );
@@ -325,26 +265,9 @@ router.get("/:id", optionalApiKey, async (req, res) => {
     res.json({
       success: true,
       invoice: {
-        id: invoice.id,
-        user_id: invoice.user_id,
+        ...formatted,
         user_email: invoice.email,
         user_name: invoice.name,
-        type: invoice.type,
-        amount_zec: parseFloat(invoice.amount_zec),
-        payment_method: invoice.payment_method,
-        payment_address: invoice.payment_address,
-        address_type: invoice.address_type,
-        network: invoice.network,
-        item_id: invoice.item_id,
-        description: invoice.description,
-        status: invoice.status,
-        paid_amount_zec: invoice.paid_amount_zec
-          ? parseFloat(invoice.paid_amount_zec)
-          : null,
-        paid_txid: invoice.paid_txid,
-        paid_at: invoice.paid_at,
-        expires_at: invoice.expires_at,
-        created_at: invoice.created_at,
         payment_uri: paymentUri,
         qr_code: qrCodeDataUrl,
         linked_wallets: {
@@ -372,236 +295,32 @@ router.get("/:id", optionalApiKey, async (req, res) => {
   }
 });
 
-// Helper Functions
-
-async function resolveUserId(user_id, email) {
-  if (user_id) {
-    // Check if user exists by ID
-    const userCheck = await pool.query("SELECT id FROM users WHERE id = $1", [user_id]);
-    
-    if (userCheck.rows.length === 0) {
-      if (!email) {
-        throw new Error("User not found and no email provided for auto-registration");
-      }
-      // Create new user with provided email
-      const newUserResult = await pool.query(
-        "INSERT INTO users (email) VALUES ($1) RETURNING *",
-        [email]
-      );
-      return newUserResult.rows[0].id;
-    }
-    return user_id;
-  } else if (email) {
-    // Find or create user by email
-    let userByEmail = await pool.query("SELECT id FROM users WHERE email = $1", [email]);
-    
-    if (userByEmail.rows.length === 0) {
-      const newUserResult = await pool.query(
-        "INSERT INTO users (email) VALUES ($1) RETURNING *",
-        [email]
-      );
-      return newUserResult.rows[0].id;
-    } else {
-      return userByEmail.rows[0].id;
-    }
-  }
-  
-  throw new Error("Must provide either user_id or email");
-}
+/**
+ * Validate a ZIP-321 payment request submitted by a client
+ * POST /api/invoice/unified/payment-request/parse
+ */
+router.post("/payment-request/parse", optionalApiKey, async (req, res) => {
+  const { uri } = req.body;
 
-async function generatePaymentAddress(method, network, options = {}) {
-  switch (method) {
-    case "transparent":
-      return {
-        address: await generateAddress('transparent'),
-        type: 'transparent',
-        metadata: { method: 'rpc_generated' }
-      };
-      
-    case "shielded":
-      if (options.shielded_wallet_id) {
-        const walletResult = await pool.query(
-          "SELECT address FROM shielded_wallets WHERE id = $1 AND user_id = $2",
-          [options.shielded_wallet_id, options.user_id]
-        );
-        if (walletResult.rows.length > 0) {
-          return {
-            address: walletResult.rows[0].address,
-            type: 'shielded',
-            metadata: { wallet_id: options.shielded_wallet_id }
-          };
-        }
-      }
-      // Fallback to generating new shielded address
-      return {
-        address: await generateAddress('sapling'),
-        type: 'shielded',
-        metadata: { method: 'rpc_generated' }
-      };
-      
-    case "unified":
-      const receivers = generateMockReceivers(false, true, true); // Orchard + Sapling
-      const unifiedData = createUnifiedAddress(receivers, network);
-      return {
-        address: unifiedData.address,
-        type: 'unified',
-        metadata: { 
-          diversifier: unifiedData.diversifier,
-          pools: ['orchard', 'sapling']
-        }
-      };
-      
-    case "webzjs":
-      // For WebZjs, we create a placeholder that will be replaced by browser-generated address
-      return {
-        address: "webzjs_placeholder_" + Date.now(),
-        type: 'webzjs_placeholder',
-        metadata: { 
-          wallet_id: options.webzjs_wallet_id,
-          network: network,
-          note: "Address will be generated by WebZjs in browser"
-        }
-      };
-      
-    case "devtool":
-      // For devtool, we create a placeholder for CLI-generated address
-      return {
-        address: "devtool_placeholder_" + Date.now(),
-        type: 'devtool_placeholder',
-        metadata: { 
-          wallet_id: options.devtool_wallet_id,
-          network: network,
-          note: "Address will be generated by zcash-devtool CLI"
-        }
-      };
-      
-    case "auto":
-    default:
-      // Auto mode: prefer unified, fallback to transparent
-      try {
-        const receivers = generateMockReceivers(false, true, true);
-        const unifiedData = createUnifiedAddress(receivers, network);
-        return {
-          address: unifiedData.address,
-          type: 'unified',
-          metadata: { 
-            method: 'auto_unified',
-            diversifier: unifiedData.diversifier,
-            pools: ['orchard', 'sapling']
-          }
-        };
-      } catch (error) {
-        return {
-          address: await generateAddress('transparent'),
-          type: 'transparent',
-          metadata: { method: 'auto_fallback' }
-        };
-      }
+  if (!uri || typeof uri !== "string") {
+    return res.status(400).json({ error: "uri is required" });
   }
-}
 
-async function checkPaymentByAddressType(address, addressType, expectedAmount) {
   try {
-    switch (addressType) {
-      case 'transparent':
-        const transparentPaid = await checkTransparentPayment(address, expectedAmount, 0);
-        return {
-          paid: transparentPaid,
-          amount: transparentPaid ? expectedAmount : 0,
-          txid: transparentPaid ? 'mock_txid_' + Date.now() : null,
-          received: transparentPaid ? expectedAmount : 0
-        };
-        
-      case 'shielded':
-      case 'unified':
-        const received = await getReceivedByAddress(address, 0);
-        const totalReceived = received.reduce((sum, tx) => sum + tx.amount, 0);
-        const paid = totalReceived >= expectedAmount;
-        return {
-          paid: paid,
-          amount: totalReceived,
-          txid: received[0]?.txid || null,
-          received: totalReceived
-        };
-        
-      case 'webzjs_placeholder':
-      case 'devtool_placeholder':
-        // These require manual confirmation or external checking
-        return {
-          paid: false,
-          amount: 0,
-          txid: null,
-          received: 0,
-          note: "Manual verification required for placeholder addresses"
-        };
-        
-      default:
-        return {
-          paid: false,
-          amount: 0,
-          txid: null,
-          received: 0
-        };
-    }
+    const request = parsePaymentRequest(uri);
+    res.json({
+      success: true,
+      valid: true,
+      payments: request.payments,
+      total_amount_zec: parseFloat(formatAmount(BigInt(request.total_zat))),
+    });
   } catch (error) {
-    console.warn('Payment check error:', error.message);
-    return {
-      paid: false,
-      amount: 0,
-      txid: null,
-      received: 0,
-      error: error.message
-    };
-  }
-}
-
-function getPaymentInstructions(method, addressInfo) {
-  switch (method) {
-    case "transparent":
-      return [
-        "Send ZEC to the transparent address above",
-        "Payment will be detected automatically",
-        "Confirmations required: 1"
-      ];
-      
-    case "shielded":
-      return [
-        "Send ZEC to the shielded address above",
-        "Payment will be detected automatically", 
-        "Supports memo field for additional information"
-      ];
-      
-    case "unified":
-      return [
-        "Send ZEC to the unified address above",
-        "Your wallet will automatically choose the best pool",
-        "Supports both Orchard and Sapling pools"
-      ];
-      
-    case "webzjs":
-      return [
-        "Use WebZjs in your browser to generate receiving address",
-        "Initialize WebZjs wallet and sync with network",
-        "Generate address using wallet.getAddress()",
-        "Update invoice with actual address before payment"
-      ];
-      
-    case "devtool":
-      return [
-        "Use zcash-devtool CLI to generate receiving address",
-        "Run: cargo run --release -- wallet -w <path> new-address",
-        "Update invoice with generated address",
-        "Sync wallet periodically to detect payment"
-      ];
-      
-    case "auto":
-    default:
-      return [
-        "Send ZEC to the address above",
-        "Payment method was automatically selected",
-        "Payment will be detected automatically"
-      ];
+    res.status(400).json({
+      success: false,
+      valid: false,
+      error: error.message,
+    });
   }
-}
+});
 
-export default router;
\ No newline at end of file
+export default router;
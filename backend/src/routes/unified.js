@@ -1,13 +1,10 @@
 import express from "express";
 import { pool } from "../config/appConfig.js";
 import { optionalApiKey } from "../middleware/auth.js";
+import { InvoiceError, createInvoice, invoicePaymentUri } from "../invoices/index.js";
 import {
-  createUnifiedAddress,
-  generateMockReceivers,
   validateUnifiedAddress,
   extractReceivers,
-  create2025StandardUA,
-  createFullUA,
   checkWalletCompatibility,
   getReceiverTypeName,
   TYPE_P2PKH,
@@ -16,6 +13,14 @@ import {
   MAINNET_HRP,
   TESTNET_HRP
 } from "../utils/zip316.js";
+import {
+  parseMerchantViewingKey,
+  registerViewingKey,
+  listViewingKeys,
+  findViewingKey,
+  deriveNextAddress,
+  formatViewingKey,
+} from "../services/viewingKeys.js";
 
 const router = express.Router();
 
@@ -67,10 +72,10 @@ router.get("/config", optionalApiKey, async (req, res) => {
       },
       
       creation_process: [
-        "Generate individual receivers (Orchard + Sapling + optional transparent)",
+        "Derive receivers from the merchant's viewing key at the next diversifier index (Orchard + Sapling + optional transparent)",
         "Sort receivers by type ID in ascending order",
         "Concatenate: [type][length][receiver_bytes] for each",
-        "Create F4JSh orthogonal diversifier (32 bytes)",
+        "Append the 16-byte padded HRP and apply F4Jumble",
         "Bech32m-encode with network prefix"
       ],
 
@@ -113,29 +118,18 @@ router.post("/address/create-standard", optionalApiKey, async (req, res) => {
       return res.status(404).json({ error: "User not found" });
     }
 
-    // Create 2025 standard UA (Orchard + Sapling, no transparent)
-    const unifiedAddressData = create2025StandardUA(network);
-    const receivers = generateMockReceivers(false, true, true);
-
-    // Store in database
-    const result = await pool.query(
-      `INSERT INTO unified_addresses (
-        user_id, name, unified_address, network, diversifier,
-        include_transparent, include_sapling, include_orchard,
-        receivers_data, created_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW()) RETURNING *`,
-      [
-        user_id,
-        name || '2025 Standard UA',
-        unifiedAddressData.address,
-        network,
-        unifiedAddressData.diversifier,
-        false, true, true,
-        JSON.stringify(receivers)
-      ]
-    );
+    const viewingKey = await findViewingKey(user_id, { network });
+    if (!viewingKey) {
+      return res.status(400).json({
+        error: `No ${network} viewing key registered, import one via POST /api/unified/viewing-keys/import`
+      });
+    }
 
-    const unifiedAddress = result.rows[0];
+    // Shielded-only UA at the next diversifier index of the merchant's key
+    const { address: unifiedAddress } = await deriveNextAddress(viewingKey.id, {
+      name: name || '2025 Standard UA',
+      includeTransparent: false
+    });
 
     res.status(201).json({
       success: true,
@@ -145,12 +139,13 @@ router.post("/address/create-standard", optionalApiKey, async (req, res) => {
         name: unifiedAddress.name,
         address: unifiedAddress.unified_address,
         network: unifiedAddress.network,
-        diversifier: unifiedAddress.diversifier,
-        standard: "2025 (Orchard + Sapling)",
+        diversifier_index: unifiedAddress.diversifier,
+        viewing_key_id: unifiedAddress.viewing_key_id,
+        standard: "2025 (shielded only)",
         pools_included: {
-          transparent: false,
-          sapling: true,
-          orchard: true
+          transparent: unifiedAddress.include_transparent,
+          sapling: unifiedAddress.include_sapling,
+          orchard: unifiedAddress.include_orchard
         },
         created_at: unifiedAddress.created_at
       },
@@ -184,7 +179,8 @@ router.post("/address/create", optionalApiKey, async (req, res) => {
     include_sapling = true, 
     include_orchard = true,
     webzjs_wallet_id = null,
-    devtool_wallet_id = null
+    devtool_wallet_id = null,
+    viewing_key_id = null
   } = req.body;
 
   if (!user_id) {
@@ -235,33 +231,38 @@ router.post("/address/create", optionalApiKey, async (req, res) => {
       }
     }
 
-    // Generate receivers using production-grade method
-    const receivers = generateMockReceivers(include_transparent, include_sapling, include_orchard);
-    
-    // Create unified address using REAL ZIP-316 implementation
-    // This generates the same UAs as Nighthawk, YWallet, Zingo!, etc.
-    const unifiedAddressData = createUnifiedAddress(receivers, network);
+    const viewingKey = await findViewingKey(user_id, { viewingKeyId: viewing_key_id, network });
+    if (!viewingKey) {
+      return res.status(400).json({
+        error: viewing_key_id
+          ? "Viewing key not found or inactive"
+          : `No ${network} viewing key registered, import one via POST /api/unified/viewing-keys/import`
+      });
+    }
+    if (viewingKey.network !== network) {
+      return res.status(400).json({
+        error: `Viewing key is for ${viewingKey.network}, not ${network}`
+      });
+    }
+    if (!(include_sapling && viewingKey.has_sapling) && !(include_orchard && viewingKey.has_orchard)) {
+      return res.status(400).json({
+        error: "Viewing key has none of the requested shielded pools"
+      });
+    }
+
+    // Derive the next diversified UA from the merchant's viewing key
+    const { address: derivedAddress, derived } = await deriveNextAddress(viewingKey.id, {
+      name,
+      includeTransparent: include_transparent,
+      includeSapling: include_sapling,
+      includeOrchard: include_orchard
+    });
 
-    // Store unified address in database
+    // Link wallets to the derived address
     const result = await pool.query(
-      `INSERT INTO unified_addresses (
-        user_id, name, unified_address, network, diversifier,
-        include_transparent, include_sapling, include_orchard,
-        webzjs_wallet_id, devtool_wallet_id, receivers_data, created_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW()) RETURNING *`,
-      [
-        user_id, 
-        name || 'Unified Address', 
-        unifiedAddressData.address,
-        network,
-        unifiedAddressData.diversifier,
-        include_transparent, 
-        include_sapling, 
-        include_orchard,
-        webzjs_wallet_id,
-        devtool_wallet_id,
-        JSON.stringify(receivers)
-      ]
+      `UPDATE unified_addresses SET webzjs_wallet_id = $1, devtool_wallet_id = $2
+       WHERE id = $3 RETURNING *`,
+      [webzjs_wallet_id, devtool_wallet_id, derivedAddress.id]
     );
 
     const unifiedAddress = result.rows[0];
@@ -274,16 +275,17 @@ router.post("/address/create", optionalApiKey, async (req, res) => {
         name: unifiedAddress.name,
         address: unifiedAddress.unified_address,
         network: unifiedAddress.network,
-        diversifier: unifiedAddress.diversifier,
+        diversifier_index: unifiedAddress.diversifier,
+        viewing_key_id: unifiedAddress.viewing_key_id,
         receivers: {
-          transparent: include_transparent ? `t1${receivers.find(r => r.type === TYPE_P2PKH)?.data.toString('hex').substring(0, 30)}` : null,
-          sapling: include_sapling ? `zs1${receivers.find(r => r.type === TYPE_SAPLING)?.data.toString('hex').substring(0, 60)}` : null,
-          orchard: include_orchard ? `orchard_${receivers.find(r => r.type === TYPE_ORCHARD)?.data.toString('hex').substring(0, 60)}` : null
+          transparent: derived.receivers.transparent,
+          sapling: derived.receivers.sapling,
+          orchard: derived.receivers.orchard
         },
         pools_included: {
-          transparent: include_transparent,
-          sapling: include_sapling,
-          orchard: include_orchard
+          transparent: unifiedAddress.include_transparent,
+          sapling: unifiedAddress.include_sapling,
+          orchard: unifiedAddress.include_orchard
         },
         linked_wallets: {
           webzjs_wallet_id,
@@ -293,7 +295,7 @@ router.post("/address/create", optionalApiKey, async (req, res) => {
       },
       zip316_info: {
         specification: "https://zip316.z.cash/",
-        receiver_count: receivers.length,
+        receiver_count: Object.values(derived.receivers).filter(Boolean).length,
         encoding: "Production Bech32m with network prefix",
         implementation: "Real production code (not mock)",
         compatible_with: ["WebZjs", "zcash-devtool", "Zebra", "Zaino", "Nighthawk", "YWallet", "Zingo!", "Unstoppable", "Edge"],
@@ -310,6 +312,134 @@ router.post("/address/create", optionalApiKey, async (req, res) => {
   }
 });
 
+/**
+ * Import a unified full or incoming viewing key
+ * POST /api/unified/viewing-keys/import
+ */
+router.post("/viewing-keys/import", optionalApiKey, async (req, res) => {
+  const { user_id, viewing_key, name, incoming_only = false, birthday_height } = req.body;
+
+  if (!user_id || !viewing_key) {
+    return res.status(400).json({
+      error: "Missing required fields: user_id, viewing_key"
+    });
+  }
+
+  if (birthday_height !== undefined && (!Number.isInteger(birthday_height) || birthday_height < 0)) {
+    return res.status(400).json({
+      error: "birthday_height must be a non-negative integer"
+    });
+  }
+
+  let key;
+  try {
+    key = parseMerchantViewingKey(viewing_key, { incomingOnly: incoming_only });
+  } catch (error) {
+    return res.status(400).json({
+      error: "Invalid unified viewing key",
+      details: error.message
+    });
+  }
+
+  try {
+    const userCheck = await pool.query("SELECT id FROM users WHERE id = $1", [user_id]);
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const viewingKey = await registerViewingKey(user_id, key, {
+      name: name || null,
+      birthdayHeight: birthday_height ?? null
+    });
+
+    res.status(201).json({
+      success: true,
+      viewing_key: formatViewingKey(viewingKey)
+    });
+
+  } catch (error) {
+    console.error("Viewing key import error:", error);
+    res.status(500).json({
+      error: "Failed to import viewing key",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Get user's viewing keys (keys are masked)
+ * GET /api/unified/viewing-keys/user/:user_id
+ */
+router.get("/viewing-keys/user/:user_id", optionalApiKey, async (req, res) => {
+  const { user_id } = req.params;
+
+  try {
+    const viewingKeys = await listViewingKeys(user_id);
+
+    res.json({
+      success: true,
+      viewing_keys: viewingKeys.map(formatViewingKey),
+      total_count: viewingKeys.length
+    });
+
+  } catch (error) {
+    console.error("Get viewing keys error:", error);
+    res.status(500).json({
+      error: "Failed to get viewing keys",
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Derive the next diversified unified address from a viewing key
+ * POST /api/unified/viewing-keys/:id/address
+ */
+router.post("/viewing-keys/:id/address", optionalApiKey, async (req, res) => {
+  const { id } = req.params;
+  const { user_id, name, include_transparent = false } = req.body;
+
+  if (!user_id) {
+    return res.status(400).json({
+      error: "Missing required field: user_id"
+    });
+  }
+
+  try {
+    const viewingKey = await findViewingKey(user_id, { viewingKeyId: id });
+    if (!viewingKey) {
+      return res.status(404).json({ error: "Viewing key not found or inactive" });
+    }
+
+    const { address, derived } = await deriveNextAddress(viewingKey.id, {
+      name,
+      includeTransparent: include_transparent
+    });
+
+    res.status(201).json({
+      success: true,
+      unified_address: {
+        id: address.id,
+        user_id: address.user_id,
+        name: address.name,
+        address: address.unified_address,
+        network: address.network,
+        diversifier_index: address.diversifier,
+        viewing_key_id: address.viewing_key_id,
+        receivers: derived.receivers,
+        created_at: address.created_at
+      }
+    });
+
+  } catch (error) {
+    console.error("Viewing key address derivation error:", error);
+    res.status(500).json({
+      error: "Failed to derive unified address",
+      details: error.message
+    });
+  }
+});
+
 /**
  * Validate unified address
  * POST /api/unified/address/validate
@@ -348,10 +478,11 @@ router.post("/address/validate", optionalApiKey, async (req, res) => {
       type: validation.type,
       network: validation.network,
       zip316_compliant: validation.zip316_compliant,
-      receivers: receivers.estimated_receivers,
+      receivers: receivers.pools,
+      receiver_items: receivers.receivers,
+      metadata: receivers.metadata,
       wallet_compatibility: compatibility,
-      production_validation: true,
-      note: receivers.note
+      production_validation: true
     });
 
   } catch (error) {
@@ -390,6 +521,7 @@ router.get("/address/user/:user_id", optionalApiKey, async (req, res) => {
       address: addr.unified_address,
       network: addr.network,
       diversifier: addr.diversifier,
+      viewing_key_id: addr.viewing_key_id,
       pools_included: {
         transparent: addr.include_transparent,
         sapling: addr.include_sapling,
@@ -452,6 +584,10 @@ router.get("/address/:address_id/details", optionalApiKey, async (req, res) => {
 
     const addr = result.rows[0];
     const receiversData = Array.isArray(addr.receivers_data) ? addr.receivers_data : [];
+    // Addresses derived from a viewing key store encoded receivers by pool
+    const derivedReceivers = addr.viewing_key_id && addr.receivers_data && !Array.isArray(addr.receivers_data)
+      ? addr.receivers_data
+      : null;
 
     res.json({
       success: true,
@@ -467,6 +603,8 @@ router.get("/address/:address_id/details", optionalApiKey, async (req, res) => {
           sapling: addr.include_sapling,
           orchard: addr.include_orchard
         },
+        viewing_key_id: addr.viewing_key_id,
+        derived_receivers: derivedReceivers,
         individual_receivers: receiversData.map(r => ({
           type: getReceiverTypeName(r.type),
           type_id: r.type,
@@ -514,7 +652,8 @@ router.post("/invoice/create", optionalApiKey, async (req, res) => {
     user_id, 
     unified_address_id, 
     amount_zec, 
-    description
+    description,
+    expires_at
   } = req.body;
 
   if (!user_id || !unified_address_id || !amount_zec) {
@@ -524,54 +663,38 @@ router.post("/invoice/create", optionalApiKey, async (req, res) => {
   }
 
   try {
-    // Get unified address
-    const addrResult = await pool.query(
-      "SELECT * FROM unified_addresses WHERE id = $1 AND user_id = $2",
-      [unified_address_id, user_id]
-    );
-
-    if (addrResult.rows.length === 0) {
-      return res.status(404).json({ error: "Unified address not found" });
-    }
-
-    const unifiedAddr = addrResult.rows[0];
-
-    // Get available pools
-    const poolAvailable = {
-      orchard: unifiedAddr.include_orchard,
-      sapling: unifiedAddr.include_sapling,
-      transparent: unifiedAddr.include_transparent
-    };
-
-    // Create unified invoice
-    const result = await pool.query(
-      `INSERT INTO unified_invoices (
-        user_id, unified_address_id, amount_zec, description, 
-        status, created_at
-      ) VALUES ($1, $2, $3, $4, 'pending', NOW()) RETURNING *`,
-      [user_id, unified_address_id, amount_zec, description]
-    );
-
-    const invoice = result.rows[0];
+    // Paid to one of the user's stored unified addresses, told apart by the memo reference
+    const { invoice, allocation } = await createInvoice({
+      source: "unified",
+      paymentMethod: "unified",
+      userId: user_id,
+      type: "one_time",
+      amountZec: Number(amount_zec),
+      description,
+      unifiedAddressId: unified_address_id,
+      expiresAt: expires_at
+    });
+    const unifiedAddr = allocation.unifiedAddress;
 
     res.status(201).json({
       success: true,
       invoice: {
         id: invoice.id,
         user_id: invoice.user_id,
-        unified_address_id: invoice.unified_address_id,
-        unified_address: unifiedAddr.unified_address,
+        unified_address_id: unifiedAddr.id,
+        unified_address: invoice.payment_address,
         amount_zec: parseFloat(invoice.amount_zec),
         description: invoice.description,
-
+        payment_reference: invoice.payment_reference,
+        payment_uri: invoicePaymentUri(invoice),
         status: invoice.status,
         created_at: invoice.created_at
       },
       payment_info: {
-        address: unifiedAddr.unified_address,
+        address: invoice.payment_address,
         amount: parseFloat(invoice.amount_zec),
-        network: unifiedAddr.network,
-        pools_available: Object.keys(poolAvailable).filter(pool => poolAvailable[pool]),
+        network: invoice.network,
+        pools_available: allocation.metadata.pools,
         sender_instructions: [
           "Send ZEC to the unified address above",
           "Multiple pools available for payment",
@@ -587,6 +710,13 @@ router.post("/invoice/create", optionalApiKey, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof InvoiceError) {
+      return res.status(error.status).json({
+        error: error.message,
+        ...error.details
+      });
+    }
+
     console.error("Unified invoice creation error:", error);
     res.status(500).json({
       error: "Failed to create unified invoice",
@@ -636,8 +766,8 @@ router.get("/guide", optionalApiKey, async (req, res) => {
         step1: "Generate individual receivers you want to include",
         step2: "Sort receivers in ascending order of type ID",
         step3: "Concatenate: [type byte][length byte][raw receiver bytes]",
-        step4: "Create F4JSh orthogonal diversifier (32 bytes)",
-        step5: "Bech32m-encode with network prefix ('u' mainnet, 'ut' testnet)"
+        step4: "Append the 16-byte padded HRP and apply F4Jumble",
+        step5: "Bech32m-encode with network prefix ('u' mainnet, 'utest' testnet)"
       },
 
       code_examples: {
@@ -694,9 +824,9 @@ cargo run --release -- wallet -w ./wallet unified-address --new
           example: "u1lmp9x44a04xd0vn3a8x0m9w0x2v3e0j5q8v4d8x9y0z2v5c7..."
         },
         testnet: {
-          prefix: "ut", 
+          prefix: "utest",
           faucet: "https://faucet.testnet.z.cash/",
-          example: "ut1q2w3e4r5t6y7u8i9o0p1l2k3j4h5g6f7d8s9a0p..."
+          example: "utest1q2w3e4r5t6y7u8i9o0p1l2k3j4h5g6f7d8s9a0p..."
         }
       },
 
@@ -1,6 +1,8 @@
 import express from 'express';
 import { pool } from '../config/appConfig.js';
 import { optionalApiKey, authenticateApiKey, requirePermission } from '../middleware/auth.js';
+import { getPaymentSettings, updatePaymentSettings } from '../services/paymentSettings.js';
+import { validatePaymentSettings } from '../utils/paymentTolerance.js';
 
 const router = express.Router();
 
@@ -202,6 +204,74 @@ router.put('/:id', optionalApiKey, async (req, res) => {
   }
 });
 
+/**
+ * Get a merchant's payment tolerance and overpayment policy
+ * GET /api/users/:id/payment-settings
+ */
+router.get('/:id/payment-settings', optionalApiKey, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const userCheck = await pool.query('SELECT id FROM users WHERE id = $1', [id]);
+    if (userCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      user_id: id,
+      payment_settings: await getPaymentSettings(id)
+    });
+
+  } catch (error) {
+    console.error('Get payment settings error:', error);
+    res.status(500).json({
+      error: 'Failed to get payment settings',
+      details: error.message
+    });
+  }
+});
+
+/**
+ * Change a merchant's payment tolerance and overpayment policy (null restores the default)
+ * PUT /api/users/:id/payment-settings
+ */
+router.put('/:id/payment-settings', authenticateApiKey, async (req, res) => {
+  const { id } = req.params;
+  const { tolerance_percent, tolerance_zec, overpayment_policy } = req.body;
+
+  // Merchant keys can only change their own settings
+  const isAdmin = (req.apiKey.permissions || []).includes('admin');
+  if (!isAdmin && req.apiKey.user_id !== id) {
+    return res.status(403).json({ error: 'API key does not belong to this user' });
+  }
+
+  const validationError = validatePaymentSettings({ tolerance_percent, tolerance_zec, overpayment_policy });
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    const settings = await updatePaymentSettings(id, { tolerance_percent, tolerance_zec, overpayment_policy });
+    if (!settings) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      user_id: id,
+      payment_settings: settings
+    });
+
+  } catch (error) {
+    console.error('Update payment settings error:', error);
+    res.status(500).json({
+      error: 'Failed to update payment settings',
+      details: error.message
+    });
+  }
+});
+
 /**
  * Get user balance and activity
  * GET /api/users/:id/balance
@@ -210,9 +280,9 @@ router.get('/:id/balance', optionalApiKey, async (req, res) => {
   const { id } = req.params;
 
   try {
-    // Get user balance from view
+    // Get user balance from the ledger
     const balanceResult = await pool.query(
-      'SELECT * FROM user_balances WHERE id = $1',
+      'SELECT * FROM merchant_balances WHERE id = $1',
       [id]
     );
 
@@ -230,6 +300,8 @@ router.get('/:id/balance', optionalApiKey, async (req, res) => {
         name: balance.name,
         total_received_zec: parseFloat(balance.total_received_zec),
         total_withdrawn_zec: parseFloat(balance.total_withdrawn_zec),
+        total_adjustments_zec: parseFloat(balance.total_adjustments_zec),
+        total_refunded_zec: parseFloat(balance.total_refunded_zec),
         available_balance_zec: parseFloat(balance.available_balance_zec),
         total_invoices: parseInt(balance.total_invoices),
         total_withdrawals: parseInt(balance.total_withdrawals)
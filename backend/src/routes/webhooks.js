@@ -0,0 +1,215 @@
+/**
+ * Webhook endpoint management routes
+ * Endpoints belong to the API key used to register them
+ */
+
+import express from "express";
+import { pool } from "../config/appConfig.js";
+import { authenticateApiKey } from "../middleware/auth.js";
+import {
+  WEBHOOK_EVENTS,
+  checkWebhookTarget,
+  formatDelivery,
+  generateWebhookSecret,
+  isValidEventList,
+} from "../services/webhooks.js";
+
+const router = express.Router();
+
+/**
+ * Register webhook endpoint for the calling API key
+ * POST /api/webhooks/create
+ */
+router.post("/create", authenticateApiKey, async (req, res) => {
+  const { url, events = ["*"], description } = req.body;
+
+  if (!url) {
+    return res.status(400).json({
+      error: "Missing required field: url",
+    });
+  }
+
+  const targetError = await checkWebhookTarget(url);
+  if (targetError) {
+    return res.status(400).json({ error: targetError });
+  }
+  const parsedUrl = new URL(url);
+
+  if (!isValidEventList(events)) {
+    return res.status(400).json({
+      error: "Invalid events",
+      valid_events: ["*", ...WEBHOOK_EVENTS],
+    });
+  }
+
+  try {
+    const secret = generateWebhookSecret();
+
+    const result = await pool.query(
+      `INSERT INTO webhook_endpoints (api_key_id, user_id, url, secret, events, description)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [
+        req.apiKey.id,
+        req.apiKey.user_id,
+        parsedUrl.toString(),
+        secret,
+        JSON.stringify(events),
+        description || null,
+      ]
+    );
+
+    const endpoint = result.rows[0];
+
+    res.status(201).json({
+      success: true,
+      secret, // Only returned once!
+      webhook: formatEndpoint(endpoint),
+      warning: "Store this signing secret securely. It will not be shown again.",
+    });
+  } catch (error) {
+    console.error("Webhook creation error:", error);
+    res.status(500).json({
+      error: "Failed to create webhook",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * List webhook endpoints for the calling API key
+ * GET /api/webhooks
+ */
+router.get("/", authenticateApiKey, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM webhook_endpoints
+       WHERE api_key_id = $1
+       ORDER BY created_at DESC`,
+      [req.apiKey.id]
+    );
+
+    res.json({
+      success: true,
+      webhooks: result.rows.map(formatEndpoint),
+      total: result.rows.length,
+    });
+  } catch (error) {
+    console.error("Webhook list error:", error);
+    res.status(500).json({
+      error: "Failed to list webhooks",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * List recent deliveries for a webhook endpoint
+ * GET /api/webhooks/:id/deliveries
+ */
+router.get("/:id/deliveries", authenticateApiKey, async (req, res) => {
+  const { id } = req.params;
+  const { status, limit = 50, offset = 0 } = req.query;
+
+  try {
+    const endpoint = await findOwnedEndpoint(id, req.apiKey);
+    if (!endpoint) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    let query = "SELECT * FROM webhook_deliveries WHERE endpoint_id = $1";
+    const params = [id];
+    let paramCount = 1;
+
+    if (status) {
+      query += ` AND status = $${++paramCount}`;
+      params.push(status);
+    }
+
+    query += ` ORDER BY created_at DESC LIMIT $${++paramCount} OFFSET $${++paramCount}`;
+    params.push(parseInt(limit), parseInt(offset));
+
+    const result = await pool.query(query, params);
+
+    res.json({
+      success: true,
+      deliveries: result.rows.map(formatDelivery),
+      pagination: {
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        total: result.rows.length,
+      },
+    });
+  } catch (error) {
+    console.error("Webhook deliveries error:", error);
+    res.status(500).json({
+      error: "Failed to list webhook deliveries",
+      details: error.message,
+    });
+  }
+});
+
+/**
+ * Disable webhook endpoint
+ * DELETE /api/webhooks/:id
+ */
+router.delete("/:id", authenticateApiKey, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const endpoint = await findOwnedEndpoint(id, req.apiKey);
+    if (!endpoint) {
+      return res.status(404).json({ error: "Webhook not found" });
+    }
+
+    await pool.query(
+      "UPDATE webhook_endpoints SET is_active = false WHERE id = $1",
+      [id]
+    );
+
+    res.json({
+      success: true,
+      message: "Webhook disabled successfully",
+    });
+  } catch (error) {
+    console.error("Webhook deletion error:", error);
+    res.status(500).json({
+      error: "Failed to delete webhook",
+      details: error.message,
+    });
+  }
+});
+
+// Helper Functions
+
+async function findOwnedEndpoint(id, apiKey) {
+  const result = await pool.query(
+    "SELECT * FROM webhook_endpoints WHERE id = $1",
+    [id]
+  );
+  const endpoint = result.rows[0];
+
+  if (!endpoint) {
+    return null;
+  }
+
+  // Admin keys can manage every endpoint, others only their own
+  if (endpoint.api_key_id !== apiKey.id && !apiKey.permissions.includes("admin")) {
+    return null;
+  }
+
+  return endpoint;
+}
+
+function formatEndpoint(endpoint) {
+  return {
+    id: endpoint.id,
+    api_key_id: endpoint.api_key_id,
+    url: endpoint.url,
+    events: endpoint.events,
+    description: endpoint.description,
+    is_active: endpoint.is_active,
+    created_at: endpoint.created_at,
+  };
+}
+
+export default router;
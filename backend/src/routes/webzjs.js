@@ -1,6 +1,7 @@
 import express from "express";
 import { pool } from "../config/appConfig.js";
 import { optionalApiKey } from "../middleware/auth.js";
+import { InvoiceError, createInvoice } from "../invoices/index.js";
 
 const router = express.Router();
 
@@ -309,7 +310,7 @@ console.log("Current Balance:", balance, "ZEC");
  * POST /api/webzjs/invoice/create
  */
 router.post("/invoice/create", optionalApiKey, async (req, res) => {
-  const { user_id, wallet_id, amount_zec, item_id, description } = req.body;
+  const { user_id, wallet_id, amount_zec, item_id, description, payment_address, expires_at } = req.body;
 
   if (!user_id || !amount_zec) {
     return res.status(400).json({
@@ -318,30 +319,20 @@ router.post("/invoice/create", optionalApiKey, async (req, res) => {
   }
 
   try {
-    let walletInfo = null;
-
-    if (wallet_id) {
-      // Get wallet info
-      const walletResult = await pool.query(
-        "SELECT * FROM webzjs_wallets WHERE id = $1 AND user_id = $2",
-        [wallet_id, user_id]
-      );
-
-      if (walletResult.rows.length === 0) {
-        return res.status(404).json({ error: "WebZjs wallet not found" });
-      }
-
-      walletInfo = walletResult.rows[0];
-    }
-
-    // Create WebZjs invoice
-    const result = await pool.query(
-      `INSERT INTO webzjs_invoices (user_id, wallet_id, amount_zec, item_id, description, status)
-       VALUES ($1, $2, $3, $4, $5, 'pending') RETURNING *`,
-      [user_id, wallet_id || null, amount_zec, item_id || null, description || null]
-    );
-
-    const invoice = result.rows[0];
+    // The browser wallet generates the receiving address
+    const { invoice, allocation } = await createInvoice({
+      source: "webzjs",
+      paymentMethod: "webzjs",
+      userId: user_id,
+      type: "one_time",
+      amountZec: Number(amount_zec),
+      itemId: item_id,
+      description,
+      webzjsWalletId: wallet_id,
+      paymentAddress: payment_address,
+      expiresAt: expires_at
+    });
+    const walletInfo = allocation.wallet;
 
     const proxyUrl = walletInfo?.network === 'mainnet' 
       ? 'https://zcash-mainnet.chainsafe.dev'
@@ -352,10 +343,11 @@ router.post("/invoice/create", optionalApiKey, async (req, res) => {
       invoice: {
         id: invoice.id,
         user_id: invoice.user_id,
-        wallet_id: invoice.wallet_id,
+        wallet_id: invoice.webzjs_wallet_id,
         amount_zec: parseFloat(invoice.amount_zec),
         item_id: invoice.item_id,
         description: invoice.description,
+        payment_address: invoice.payment_address,
         status: invoice.status,
         created_at: invoice.created_at
       },
@@ -384,6 +376,13 @@ console.log("Send", paymentAmount, "ZEC to:", receivingAddress);
     });
 
   } catch (error) {
+    if (error instanceof InvoiceError) {
+      return res.status(error.status).json({
+        error: error.message,
+        ...error.details
+      });
+    }
+
     console.error("WebZjs invoice creation error:", error);
     res.status(500).json({
       error: "Failed to create WebZjs invoice",
@@ -1,9 +1,16 @@
 import express from 'express';
 import { pool } from '../config/appConfig.js';
-import { sendMany, waitForOperation, validateAddress } from '../config/zcash.js';
+import { validateAddress, CAPABILITIES } from '../config/zcash.js';
+import { requireChainCapability } from '../middleware/chain.js';
 import { calculateFee } from '../config/fees.js';
-import { config } from '../config/appConfig.js';
 import { optionalApiKey, authenticateApiKey, requirePermission } from '../middleware/auth.js';
+import {
+  processWithdrawalBatches,
+  resolveWithdrawalBatch,
+  getWithdrawalBatch,
+  listWithdrawalBatches,
+  WithdrawalBatchError,
+} from '../services/withdrawalBatches.js';
 
 const router = express.Router();
 
@@ -43,9 +50,9 @@ router.post('/create', optionalApiKey, async (req, res) => {
     // Calculate fees
     const feeCalculation = calculateFee(amount_zec);
 
-    // Check user balance
+    // Check user balance (from the ledger)
     const balanceResult = await pool.query(
-      'SELECT available_balance_zec FROM user_balances WHERE id = $1',
+      'SELECT available_balance_zec FROM merchant_balances WHERE id = $1',
       [user_id]
     );
 
@@ -93,108 +100,52 @@ router.post('/create', optionalApiKey, async (req, res) => {
 
 /**
  * Process withdrawal (admin endpoint)
+ * Sent as a batch of one
  * POST /api/withdraw/process/:id
  */
-router.post('/process/:id', authenticateApiKey, requirePermission('admin'), async (req, res) => {
+router.post('/process/:id', authenticateApiKey, requirePermission('admin'), requireChainCapability(CAPABILITIES.WALLET), async (req, res) => {
   const { id } = req.params;
 
   try {
-    // Get and lock withdrawal
-    const client = await pool.connect();
-    
-    try {
-      await client.query('BEGIN');
-      
-      const wResult = await client.query(
-        'SELECT * FROM withdrawals WHERE id = $1 AND status = $2 FOR UPDATE',
-        [id, 'pending']
-      );
-
-      const withdrawal = wResult.rows[0];
-      if (!withdrawal) {
-        await client.query('ROLLBACK');
-        return res.status(400).json({ 
-          error: 'Withdrawal not found or already processed' 
-        });
-      }
+    const { batches } = await processWithdrawalBatches({
+      withdrawalIds: [id],
+      createdBy: `api_key:${req.apiKey.id}`,
+    });
 
-      // Mark as processing
-      await client.query(
-        "UPDATE withdrawals SET status='processing' WHERE id=$1",
-        [id]
-      );
-
-      await client.query('COMMIT');
-    } catch (error) {
-      await client.query('ROLLBACK');
-      throw error;
-    } finally {
-      client.release();
+    const batch = batches.find(b => b.withdrawal_ids.includes(id));
+    if (!batch) {
+      return res.status(400).json({ 
+        error: 'Withdrawal not found or already processed' 
+      });
     }
-
-    // Build recipients array
-    const recipients = [
-      {
-        address: withdrawal.to_address,
-        amount: parseFloat(withdrawal.net_zec),
-      }
-    ];
-
-    // Add platform treasury fee if configured
-    if (config.platformTreasuryAddress) {
-      recipients.push({
-        address: config.platformTreasuryAddress,
-        amount: parseFloat(withdrawal.fee_zec),
-        memo: withdrawal.to_address.startsWith('z') 
-          ? Buffer.from(`Fee from withdrawal ${withdrawal.id} | User ${withdrawal.user_id}`, 'utf8').toString('hex')
-          : undefined,
+    const withdrawal = batch.withdrawals.find(w => w.withdrawal_id === id);
+
+    if (batch.status !== 'sent') {
+      return res.status(500).json({
+        error: batch.status === 'failed' ? 'Transaction failed' : 'Failed to process withdrawal',
+        details: batch.error,
+        batch_id: batch.id,
+        batch_status: batch.status,
+        withdrawal_status: withdrawal.status
       });
     }
 
-    // Send transaction
-    const opid = await sendMany(recipients, 1, 0.0001);
-
-    // Wait for completion
-    const status = await waitForOperation(opid);
-
-    if (status.status === 'success') {
-      const txid = status.result?.txid || status.txid;
-      
-      await pool.query(
-        `UPDATE withdrawals 
-         SET status='sent', txid=$1, processed_at=NOW() 
-         WHERE id=$2`,
-        [txid, id]
-      );
-
-      console.log(`Withdrawal ${id} completed: ${withdrawal.net_zec} ZEC sent to ${withdrawal.to_address}`);
-      if (config.platformTreasuryAddress) {
-        console.log(`Fee ${withdrawal.fee_zec} ZEC sent to treasury: ${config.platformTreasuryAddress}`);
-      }
-
-      res.json({
-        success: true,
-        txid,
-        user_received: parseFloat(withdrawal.net_zec),
-        platform_fee: parseFloat(withdrawal.fee_zec),
-        treasury_address: config.platformTreasuryAddress
-      });
+    res.json({
+      success: true,
+      txid: batch.txid,
+      batch_id: batch.id,
+      user_received: withdrawal.net_zec,
+      platform_fee: withdrawal.fee_zec,
+      network_fee: batch.fee_zec,
+      treasury_address: batch.treasury_address
+    });
 
-    } else {
-      await pool.query("UPDATE withdrawals SET status='failed' WHERE id=$1", [id]);
-      
-      res.status(500).json({ 
-        error: 'Transaction failed', 
-        details: status.error || 'Unknown error'
-      });
+  } catch (error) {
+    if (error instanceof WithdrawalBatchError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
     }
 
-  } catch (error) {
     console.error('Withdrawal processing error:', error);
-    
-    // Mark as failed
-    await pool.query("UPDATE withdrawals SET status='failed' WHERE id=$1", [id]);
-    
     res.status(500).json({ 
       error: 'Failed to process withdrawal',
       details: error.message 
@@ -202,6 +153,107 @@ router.post('/process/:id', authenticateApiKey, requirePermission('admin'), asyn
   }
 });
 
+/**
+ * Send pending withdrawals in multi-recipient batches (admin endpoint)
+ * POST /api/withdraw/process-batch
+ */
+router.post('/process-batch', authenticateApiKey, requirePermission('admin'), requireChainCapability(CAPABILITIES.WALLET), async (req, res) => {
+  const { withdrawal_ids, limit, dry_run = false } = req.body || {};
+
+  try {
+    const result = await processWithdrawalBatches({
+      withdrawalIds: withdrawal_ids ?? null,
+      limit: limit ?? 500,
+      dryRun: dry_run === true,
+      createdBy: `api_key:${req.apiKey.id}`,
+    });
+
+    res.json({ success: true, ...result });
+
+  } catch (error) {
+    if (error instanceof WithdrawalBatchError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+
+    console.error('Withdrawal batch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to process withdrawal batch',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * List withdrawal batches (admin endpoint)
+ * GET /api/withdraw/batches
+ */
+router.get('/batches', authenticateApiKey, requirePermission('admin'), async (req, res) => {
+  const { status, limit = 50, offset = 0 } = req.query;
+
+  try {
+    const batches = await listWithdrawalBatches({
+      status,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+    });
+
+    res.json({ success: true, batches });
+
+  } catch (error) {
+    console.error('List withdrawal batches error:', error);
+    res.status(500).json({ 
+      error: 'Failed to list withdrawal batches',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * Get a withdrawal batch with its withdrawals (admin endpoint)
+ * GET /api/withdraw/batches/:id
+ */
+router.get('/batches/:id', authenticateApiKey, requirePermission('admin'), async (req, res) => {
+  try {
+    const batch = await getWithdrawalBatch(req.params.id);
+    if (!batch) {
+      return res.status(404).json({ error: 'Withdrawal batch not found' });
+    }
+
+    res.json({ success: true, batch });
+
+  } catch (error) {
+    console.error('Get withdrawal batch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to get withdrawal batch',
+      details: error.message 
+    });
+  }
+});
+
+/**
+ * Settle a batch whose outcome is unknown after checking the wallet (admin endpoint)
+ * POST /api/withdraw/batches/:id/resolve
+ */
+router.post('/batches/:id/resolve', authenticateApiKey, requirePermission('admin'), async (req, res) => {
+  const { sent, txid } = req.body || {};
+
+  try {
+    const batch = await resolveWithdrawalBatch(req.params.id, { sent, txid });
+    res.json({ success: true, batch });
+
+  } catch (error) {
+    if (error instanceof WithdrawalBatchError) {
+      return res.status(error.status).json({ error: error.message, ...error.details });
+    }
+
+    console.error('Resolve withdrawal batch error:', error);
+    res.status(500).json({ 
+      error: 'Failed to resolve withdrawal batch',
+      details: error.message 
+    });
+  }
+});
+
 /**
  * Get withdrawal details
  * GET /api/withdraw/:id
@@ -236,6 +288,8 @@ router.get('/:id', optionalApiKey, async (req, res) => {
         to_address: withdrawal.to_address,
         status: withdrawal.status,
         txid: withdrawal.txid,
+        batch_id: withdrawal.batch_id,
+        error: withdrawal.error,
         requested_at: withdrawal.requested_at,
         processed_at: withdrawal.processed_at
       }
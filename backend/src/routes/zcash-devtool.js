@@ -1,6 +1,7 @@
 import express from "express";
 import { pool } from "../config/appConfig.js";
 import { optionalApiKey } from "../middleware/auth.js";
+import { InvoiceError, createInvoice } from "../invoices/index.js";
 
 const router = express.Router();
 
@@ -316,7 +317,7 @@ router.get("/wallet/:wallet_id/commands", optionalApiKey, async (req, res) => {
  * POST /api/zcash-devtool/invoice/create
  */
 router.post("/invoice/create", optionalApiKey, async (req, res) => {
-  const { user_id, wallet_id, amount_zec, item_id, description } = req.body;
+  const { user_id, wallet_id, amount_zec, item_id, description, payment_address, expires_at } = req.body;
 
   if (!user_id || !amount_zec) {
     return res.status(400).json({
@@ -325,30 +326,20 @@ router.post("/invoice/create", optionalApiKey, async (req, res) => {
   }
 
   try {
-    let walletInfo = null;
-
-    if (wallet_id) {
-      // Get wallet info
-      const walletResult = await pool.query(
-        "SELECT * FROM devtool_wallets WHERE id = $1 AND user_id = $2",
-        [wallet_id, user_id]
-      );
-
-      if (walletResult.rows.length === 0) {
-        return res.status(404).json({ error: "zcash-devtool wallet not found" });
-      }
-
-      walletInfo = walletResult.rows[0];
-    }
-
-    // Create devtool invoice
-    const result = await pool.query(
-      `INSERT INTO devtool_invoices (user_id, wallet_id, amount_zec, item_id, description, status)
-       VALUES ($1, $2, $3, $4, $5, 'pending') RETURNING *`,
-      [user_id, wallet_id || null, amount_zec, item_id || null, description || null]
-    );
-
-    const invoice = result.rows[0];
+    // The zcash-devtool wallet generates the receiving address
+    const { invoice, allocation } = await createInvoice({
+      source: "devtool",
+      paymentMethod: "devtool",
+      userId: user_id,
+      type: "one_time",
+      amountZec: Number(amount_zec),
+      itemId: item_id,
+      description,
+      devtoolWalletId: wallet_id,
+      paymentAddress: payment_address,
+      expiresAt: expires_at
+    });
+    const walletInfo = allocation.wallet;
 
     const serverUrl = walletInfo?.network === 'mainnet' ? 'zec.rocks' : 'zec-testnet.rocks';
 
@@ -357,10 +348,11 @@ router.post("/invoice/create", optionalApiKey, async (req, res) => {
       invoice: {
         id: invoice.id,
         user_id: invoice.user_id,
-        wallet_id: invoice.wallet_id,
+        wallet_id: invoice.devtool_wallet_id,
         amount_zec: parseFloat(invoice.amount_zec),
         item_id: invoice.item_id,
         description: invoice.description,
+        payment_address: invoice.payment_address,
         status: invoice.status,
         created_at: invoice.created_at
       },
@@ -386,6 +378,13 @@ router.post("/invoice/create", optionalApiKey, async (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof InvoiceError) {
+      return res.status(error.status).json({
+        error: error.message,
+        ...error.details
+      });
+    }
+
     console.error("zcash-devtool invoice creation error:", error);
     res.status(500).json({
       error: "Failed to create zcash-devtool invoice",
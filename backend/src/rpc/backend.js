@@ -0,0 +1,254 @@
+/**
+ * Chain backend interface
+ * Every node the API can talk to is a ChainBackend that declares what it can
+ * do. Callers check a capability before using it instead of calling the node
+ * and catching the failure.
+ */
+
+import { createJsonRpcClient } from './jsonRpc.js';
+
+export const CAPABILITIES = Object.freeze({
+  // Node wallet: new addresses, received notes, z_sendmany
+  WALLET: 'wallet',
+  // Transparent address index: getaddresstxids, getaddressbalance
+  ADDRESS_INDEX: 'address_index',
+  // Decoded blocks and transactions: getblock verbosity 2, verbose getrawtransaction
+  FULL_BLOCKS: 'full_blocks',
+  // lightwalletd CompactBlocks (CompactTxStreamer.GetBlockRange)
+  COMPACT_BLOCKS: 'compact_blocks',
+});
+
+/**
+ * Thrown when a backend is asked for something it does not declare
+ */
+export class UnsupportedCapabilityError extends Error {
+  constructor(backend, capability) {
+    super(`The ${backend} chain backend does not support ${capability}`);
+    this.name = 'UnsupportedCapabilityError';
+    this.backend = backend;
+    this.capability = capability;
+  }
+}
+
+// Format check used by backends that cannot ask a node
+function formatValidation(address) {
+  return {
+    isvalid: /^(t1|t3|zs1|zc)[a-zA-Z0-9]{30,}$/.test(address),
+    address,
+    scriptPubKey: '',
+    ismine: false,
+    iswatchonly: false,
+    isscript: false,
+  };
+}
+
+/**
+ * Base class for chain backends
+ * Methods of a capability a driver does not declare throw UnsupportedCapabilityError
+ */
+export class ChainBackend {
+  /**
+   * @param {string} name - Driver name (zcashd, zebra, zaino, lightwalletd)
+   * @param {Array<string>} capabilities - CAPABILITIES values
+   */
+  constructor(name, capabilities = []) {
+    this.name = name;
+    this.capabilities = new Set(capabilities);
+  }
+
+  /**
+   * @param {string} capability - CAPABILITIES value
+   * @returns {boolean} Whether the backend supports it
+   */
+  has(capability) {
+    return this.capabilities.has(capability);
+  }
+
+  /**
+   * @param {string} capability - CAPABILITIES value
+   * @throws {UnsupportedCapabilityError} When the backend does not support it
+   */
+  require(capability) {
+    if (!this.has(capability)) {
+      throw new UnsupportedCapabilityError(this.name, capability);
+    }
+  }
+
+  /**
+   * @returns {Object} { backend, capabilities }
+   */
+  describe() {
+    return { backend: this.name, capabilities: [...this.capabilities] };
+  }
+
+  notImplemented(capability, method) {
+    this.require(capability);
+    throw new Error(`${this.name} backend declares ${capability} but does not implement ${method}`);
+  }
+
+  // Chain state, every backend
+
+  async getBlockchainInfo() {
+    throw new Error(`${this.name} backend does not implement getBlockchainInfo`);
+  }
+
+  async getBlockCount() {
+    return (await this.getBlockchainInfo()).blocks;
+  }
+
+  async validateAddress(address) {
+    return formatValidation(address);
+  }
+
+  // FULL_BLOCKS
+
+  async getBlockHash(height) {
+    return this.notImplemented(CAPABILITIES.FULL_BLOCKS, 'getBlockHash');
+  }
+
+  async getBlock(hashOrHeight, verbosity = 2) {
+    return this.notImplemented(CAPABILITIES.FULL_BLOCKS, 'getBlock');
+  }
+
+  async getRawTransaction(txid) {
+    return this.notImplemented(CAPABILITIES.FULL_BLOCKS, 'getRawTransaction');
+  }
+
+  // ADDRESS_INDEX
+
+  async getAddressTxids(addresses) {
+    return this.notImplemented(CAPABILITIES.ADDRESS_INDEX, 'getAddressTxids');
+  }
+
+  async getAddressBalance(addresses) {
+    return this.notImplemented(CAPABILITIES.ADDRESS_INDEX, 'getAddressBalance');
+  }
+
+  // WALLET
+
+  async getNewAddress(type) {
+    return this.notImplemented(CAPABILITIES.WALLET, 'getNewAddress');
+  }
+
+  async getBalance(address, minconf) {
+    return this.notImplemented(CAPABILITIES.WALLET, 'getBalance');
+  }
+
+  async listReceivedByAddress(address, minconf) {
+    return this.notImplemented(CAPABILITIES.WALLET, 'listReceivedByAddress');
+  }
+
+  async getReceivedByAddress(address, minconf) {
+    return this.notImplemented(CAPABILITIES.WALLET, 'getReceivedByAddress');
+  }
+
+  async sendMany(fromAddress, recipients, minconf, fee) {
+    return this.notImplemented(CAPABILITIES.WALLET, 'sendMany');
+  }
+
+  async getOperationStatus(opids) {
+    return this.notImplemented(CAPABILITIES.WALLET, 'getOperationStatus');
+  }
+
+  // COMPACT_BLOCKS
+
+  async getCompactBlocks(startHeight, endHeight) {
+    return this.notImplemented(CAPABILITIES.COMPACT_BLOCKS, 'getCompactBlocks');
+  }
+
+  // Raw JSON-RPC, only on JSON-RPC backends
+
+  async call(method, params) {
+    throw new Error(`${this.name} backend does not speak JSON-RPC`);
+  }
+}
+
+/**
+ * Backend reached over zcashd-style JSON-RPC
+ * Drivers choose the capabilities, auth and protocol version
+ */
+export class JsonRpcBackend extends ChainBackend {
+  /**
+   * @param {string} name - Driver name
+   * @param {Array<string>} capabilities - CAPABILITIES values
+   * @param {Object} options - createJsonRpcClient options (url, auth, version, timeout, retries)
+   */
+  constructor(name, capabilities, options) {
+    super(name, capabilities);
+    this.url = options.url;
+    this.rpc = createJsonRpcClient({ name, ...options });
+  }
+
+  async call(method, params = []) {
+    return await this.rpc(method, params);
+  }
+
+  async getBlockchainInfo() {
+    return await this.call('getblockchaininfo');
+  }
+
+  async getBlockCount() {
+    return await this.call('getblockcount');
+  }
+
+  async validateAddress(address) {
+    // validateaddress only knows transparent addresses
+    const method = /^(zs|zc|u1|ztestsapling|utest)/.test(address) ? 'z_validateaddress' : 'validateaddress';
+    return await this.call(method, [address]);
+  }
+
+  async getBlockHash(height) {
+    this.require(CAPABILITIES.FULL_BLOCKS);
+    return await this.call('getblockhash', [height]);
+  }
+
+  async getBlock(hashOrHeight, verbosity = 2) {
+    this.require(CAPABILITIES.FULL_BLOCKS);
+    return await this.call('getblock', [String(hashOrHeight), verbosity]);
+  }
+
+  async getRawTransaction(txid) {
+    this.require(CAPABILITIES.FULL_BLOCKS);
+    return await this.call('getrawtransaction', [txid, 1]);
+  }
+
+  async getAddressTxids(addresses) {
+    this.require(CAPABILITIES.ADDRESS_INDEX);
+    return await this.call('getaddresstxids', [{ addresses }]);
+  }
+
+  async getAddressBalance(addresses) {
+    this.require(CAPABILITIES.ADDRESS_INDEX);
+    return await this.call('getaddressbalance', [{ addresses }]);
+  }
+
+  async getNewAddress(type) {
+    this.require(CAPABILITIES.WALLET);
+    return await this.call('z_getnewaddress', [type]);
+  }
+
+  async getBalance(address, minconf = 1) {
+    this.require(CAPABILITIES.WALLET);
+    return await this.call('z_getbalance', [address, minconf]);
+  }
+
+  async listReceivedByAddress(address, minconf = 1) {
+    this.require(CAPABILITIES.WALLET);
+    return await this.call('z_listreceivedbyaddress', [address, minconf]);
+  }
+
+  async getReceivedByAddress(address, minconf = 1) {
+    this.require(CAPABILITIES.WALLET);
+    return await this.call('getreceivedbyaddress', [address, minconf]);
+  }
+
+  async sendMany(fromAddress, recipients, minconf = 1, fee = null) {
+    this.require(CAPABILITIES.WALLET);
+    return await this.call('z_sendmany', [fromAddress, recipients, minconf, fee]);
+  }
+
+  async getOperationStatus(opids) {
+    this.require(CAPABILITIES.WALLET);
+    return await this.call('z_getoperationstatus', [opids]);
+  }
+}
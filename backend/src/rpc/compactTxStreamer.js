@@ -0,0 +1,89 @@
+/**
+ * lightwalletd CompactTxStreamer definition
+ * Subset of walletrpc/service.proto and compact_formats.proto as a protobufjs
+ * JSON descriptor, loaded with @grpc/proto-loader's fromJSON. Field ids must
+ * stay in sync with upstream.
+ */
+
+const bytes = id => ({ type: 'bytes', id });
+const uint32 = id => ({ type: 'uint32', id });
+const uint64 = id => ({ type: 'uint64', id });
+const string = id => ({ type: 'string', id });
+
+const messages = {
+  ChainMetadata: {
+    fields: { saplingCommitmentTreeSize: uint32(1), orchardCommitmentTreeSize: uint32(2) },
+  },
+  CompactBlock: {
+    fields: {
+      protoVersion: uint32(1),
+      height: uint64(2),
+      hash: bytes(3),
+      prevHash: bytes(4),
+      time: uint32(5),
+      header: bytes(6),
+      vtx: { rule: 'repeated', type: 'CompactTx', id: 7 },
+      chainMetadata: { type: 'ChainMetadata', id: 8 },
+    },
+  },
+  CompactTx: {
+    fields: {
+      index: uint64(1),
+      hash: bytes(2),
+      fee: uint32(3),
+      spends: { rule: 'repeated', type: 'CompactSaplingSpend', id: 4 },
+      outputs: { rule: 'repeated', type: 'CompactSaplingOutput', id: 5 },
+      actions: { rule: 'repeated', type: 'CompactOrchardAction', id: 6 },
+    },
+  },
+  CompactSaplingSpend: {
+    fields: { nf: bytes(1) },
+  },
+  CompactSaplingOutput: {
+    fields: { cmu: bytes(1), ephemeralKey: bytes(2), ciphertext: bytes(3) },
+  },
+  CompactOrchardAction: {
+    fields: { nullifier: bytes(1), cmx: bytes(2), ephemeralKey: bytes(3), ciphertext: bytes(4) },
+  },
+  BlockID: {
+    fields: { height: uint64(1), hash: bytes(2) },
+  },
+  BlockRange: {
+    fields: { start: { type: 'BlockID', id: 1 }, end: { type: 'BlockID', id: 2 } },
+  },
+  ChainSpec: { fields: {} },
+  Empty: { fields: {} },
+  LightdInfo: {
+    fields: {
+      version: string(1),
+      vendor: string(2),
+      taddrSupport: { type: 'bool', id: 3 },
+      chainName: string(4),
+      saplingActivationHeight: uint64(5),
+      consensusBranchId: string(6),
+      blockHeight: uint64(7),
+      gitCommit: string(8),
+      branch: string(9),
+      buildDate: string(10),
+      buildUser: string(11),
+      estimatedHeight: uint64(12),
+      zcashdBuild: string(13),
+      zcashdSubversion: string(14),
+    },
+  },
+  CompactTxStreamer: {
+    methods: {
+      GetLatestBlock: { requestType: 'ChainSpec', responseType: 'BlockID' },
+      GetBlock: { requestType: 'BlockID', responseType: 'CompactBlock' },
+      GetBlockRange: { requestType: 'BlockRange', responseType: 'CompactBlock', responseStream: true },
+      GetLightdInfo: { requestType: 'Empty', responseType: 'LightdInfo' },
+    },
+  },
+};
+
+export const PACKAGE = 'cash.z.wallet.sdk.rpc';
+
+export const DESCRIPTOR = PACKAGE.split('.').reduceRight(
+  (nested, name) => ({ nested: { [name]: nested } }),
+  { nested: messages }
+);
@@ -0,0 +1,50 @@
+/**
+ * Chain backends
+ * Picks the driver named by CHAIN_BACKEND; config/zcash.js pools one per
+ * configured endpoint into the instance the API uses
+ */
+
+import { ZcashdBackend } from './zcashd.js';
+import { ZebraBackend } from './zebra.js';
+import { ZainoBackend } from './zaino.js';
+import { LightwalletdBackend } from './lightwalletd.js';
+
+export {
+  CAPABILITIES,
+  ChainBackend,
+  JsonRpcBackend,
+  UnsupportedCapabilityError,
+} from './backend.js';
+export { RpcError } from './jsonRpc.js';
+export { ChainBackendPool, scoreEndpoint } from './pool.js';
+
+const DRIVERS = {
+  zcashd: options => new ZcashdBackend(options),
+  zebra: options => new ZebraBackend(options),
+  zaino: options => new ZainoBackend(options),
+  lightwalletd: options => new LightwalletdBackend({
+    url: options.grpcUrl,
+    tls: options.grpcTls,
+    timeout: options.timeout,
+  }),
+};
+
+export const CHAIN_BACKENDS = Object.keys(DRIVERS);
+
+/**
+ * Create a chain backend
+ * @param {string} name - zcashd, zebra, zaino or lightwalletd
+ * @param {Object} options - { url, user, pass, cookieFile, addressIndex, grpcUrl, grpcTls, timeout, retries }
+ * @returns {ChainBackend} Backend
+ * @throws {Error} For an unknown driver or a missing endpoint
+ */
+export function createChainBackend(name, options = {}) {
+  const driver = DRIVERS[name];
+  if (!driver) {
+    throw new Error(`Unknown chain backend "${name}" (expected one of: ${CHAIN_BACKENDS.join(', ')})`);
+  }
+  if (name === 'lightwalletd' ? !options.grpcUrl : !options.url) {
+    throw new Error(`The ${name} chain backend needs ${name === 'lightwalletd' ? 'LIGHTWALLETD_URL' : 'ZCASH_RPC_URL'}`);
+  }
+  return driver(options);
+}
@@ -0,0 +1,124 @@
+/**
+ * JSON-RPC client
+ * Shared by the zcashd, Zebra and Zaino drivers: one place for auth, timeouts,
+ * error messages and retrying requests that never reached the node
+ */
+
+import axios from 'axios';
+import fs from 'fs';
+
+// Errors where the request may not have been processed
+const RETRYABLE_ERRORS = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ECONNABORTED', 'EPIPE', 'EAI_AGAIN']);
+
+// Methods that must not be resent unless the connection was refused outright,
+// a timed out z_sendmany may still have been submitted
+const UNSAFE_TO_RETRY = new Set([
+  'z_sendmany',
+  'sendtoaddress',
+  'sendrawtransaction',
+  'z_shieldcoinbase',
+  'z_mergetoaddress',
+  'z_getnewaddress',
+  'getnewaddress',
+]);
+
+/**
+ * Error answered by the node itself (as opposed to a connection or HTTP failure),
+ * so asking another node would not help
+ */
+export class RpcError extends Error {
+  constructor(name, error) {
+    super(`${name} RPC Error: ${error.message}`);
+    this.name = 'RpcError';
+    this.code = error.code;
+  }
+}
+
+/**
+ * Read `user:password` from a node's RPC cookie file
+ * @param {string} cookiePath - Cookie file
+ * @returns {Object|null} { username, password }, null when the file can't be read
+ */
+export function readCookieAuth(cookiePath) {
+  try {
+    const [username, password] = fs.readFileSync(cookiePath, 'utf8').trim().split(':');
+    return { username, password };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Pick RPC credentials: a readable cookie file first, then user and password
+ * @param {Object} options - { user, pass, cookieFile }
+ * @returns {Object|null} { username, password }, null for no auth
+ */
+export function resolveAuth({ user, pass, cookieFile }) {
+  const cookie = cookieFile ? readCookieAuth(cookieFile) : null;
+  if (cookie) {
+    return cookie;
+  }
+  return user || pass ? { username: user || '', password: pass || '' } : null;
+}
+
+/**
+ * Create a JSON-RPC caller
+ * @param {Object} options - { name, url, auth: { username, password }, version: '1.0' or '2.0', timeout, retries, retryDelay }
+ * @returns {Function} call(method, params) resolving to the result
+ */
+export function createJsonRpcClient({
+  name,
+  url,
+  auth = null,
+  version = '1.0',
+  timeout = 30000,
+  retries = 2,
+  retryDelay = 1000,
+}) {
+  const headers = { 'Content-Type': version === '2.0' ? 'application/json' : 'text/plain' };
+
+  return async function call(method, params = []) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await axios.post(url, {
+          jsonrpc: version,
+          id: Date.now(),
+          method,
+          params,
+        }, {
+          auth: auth || undefined,
+          headers,
+          timeout,
+        });
+
+        if (response.data.error) {
+          throw new RpcError(name, response.data.error);
+        }
+
+        return response.data.result;
+      } catch (error) {
+        if (error instanceof RpcError) {
+          throw error;
+        }
+
+        // zcashd answers failed calls with HTTP 500 and the error in the body
+        if (error.response?.data?.error) {
+          throw new RpcError(name, error.response.data.error);
+        }
+        if (error.response) {
+          throw new Error(`${name} RPC HTTP Error: ${error.response.status} - ${error.response.statusText}`);
+        }
+
+        const retryable = UNSAFE_TO_RETRY.has(method)
+          ? error.code === 'ECONNREFUSED'
+          : RETRYABLE_ERRORS.has(error.code);
+        if (retryable && attempt < retries) {
+          await new Promise(resolve => setTimeout(resolve, retryDelay * (attempt + 1)));
+          continue;
+        }
+
+        throw new Error(`${name} RPC Connection Error: ${error.message}`);
+      }
+    }
+  };
+}
@@ -0,0 +1,127 @@
+/**
+ * lightwalletd driver
+ * gRPC CompactTxStreamer (lightwalletd or Zaino's gRPC port): chain tip and
+ * compact blocks only, no decoded transactions, address index or wallet.
+ * Needs @grpc/grpc-js and @grpc/proto-loader, loaded on first use so the other
+ * drivers don't depend on them.
+ */
+
+import { ChainBackend, CAPABILITIES } from './backend.js';
+import { RpcError } from './jsonRpc.js';
+import { DESCRIPTOR } from './compactTxStreamer.js';
+
+// gRPC status codes that mean the server was not reached or did not answer in time
+const TRANSPORT_CODES = new Set([1, 4, 14]); // CANCELLED, DEADLINE_EXCEEDED, UNAVAILABLE
+
+function grpcError(method, error) {
+  const message = `${method}: ${error.details || error.message}`;
+  return TRANSPORT_CODES.has(error.code) || error.code === undefined
+    ? new Error(`lightwalletd gRPC Connection Error: ${message}`)
+    : new RpcError('lightwalletd', { message, code: error.code });
+}
+
+/**
+ * Compact block in the shape the shielded scanner reads: display-order
+ * hashes, numeric height and time, transactions left as returned
+ * @param {Object} block - CompactBlock message
+ * @returns {Object} { height, hash, previousblockhash, time, vtx }
+ */
+function formatCompactBlock(block) {
+  return {
+    height: Number(block.height),
+    hash: Buffer.from(block.hash).reverse().toString('hex'),
+    previousblockhash: Buffer.from(block.prevHash).reverse().toString('hex'),
+    time: block.time,
+    vtx: block.vtx,
+  };
+}
+
+export class LightwalletdBackend extends ChainBackend {
+  /**
+   * @param {Object} options - { url: host:port, tls, timeout }
+   */
+  constructor({ url, tls = false, timeout = 30000 }) {
+    super('lightwalletd', [CAPABILITIES.COMPACT_BLOCKS]);
+    this.url = url;
+    this.tls = tls;
+    this.timeout = timeout;
+    this.client = null;
+  }
+
+  async connect() {
+    if (this.client) {
+      return this.client;
+    }
+
+    let grpc;
+    let protoLoader;
+    try {
+      grpc = (await import('@grpc/grpc-js')).default;
+      protoLoader = (await import('@grpc/proto-loader')).default;
+    } catch (error) {
+      throw new Error('The lightwalletd backend needs @grpc/grpc-js and @grpc/proto-loader (npm install @grpc/grpc-js @grpc/proto-loader)');
+    }
+
+    const definition = protoLoader.fromJSON(DESCRIPTOR, { keepCase: true, longs: Number, defaults: true });
+    const { CompactTxStreamer } = grpc.loadPackageDefinition(definition).cash.z.wallet.sdk.rpc;
+    const credentials = this.tls ? grpc.credentials.createSsl() : grpc.credentials.createInsecure();
+
+    this.client = new CompactTxStreamer(this.url, credentials);
+    return this.client;
+  }
+
+  async unary(method, request) {
+    const client = await this.connect();
+    return await new Promise((resolve, reject) => {
+      client[method](request, { deadline: Date.now() + this.timeout }, (error, response) => {
+        if (error) {
+          reject(grpcError(method, error));
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }
+
+  async getBlockchainInfo() {
+    const info = await this.unary('GetLightdInfo', {});
+    return {
+      chain: info.chainName,
+      blocks: Number(info.blockHeight),
+      headers: Number(info.blockHeight),
+      estimatedheight: Number(info.estimatedHeight),
+      consensus: { chaintip: info.consensusBranchId },
+      vendor: info.vendor,
+      version: info.version,
+      subversion: info.zcashdSubversion,
+    };
+  }
+
+  async getBlockCount() {
+    const tip = await this.unary('GetLatestBlock', {});
+    return Number(tip.height);
+  }
+
+  /**
+   * @param {number} startHeight - First height (inclusive)
+   * @param {number} endHeight - Last height (inclusive)
+   * @returns {Promise<Array>} Compact blocks in height order
+   */
+  async getCompactBlocks(startHeight, endHeight) {
+    const client = await this.connect();
+    const stream = client.GetBlockRange(
+      { start: { height: startHeight }, end: { height: endHeight } },
+      { deadline: Date.now() + this.timeout }
+    );
+
+    const blocks = [];
+    try {
+      for await (const block of stream) {
+        blocks.push(formatCompactBlock(block));
+      }
+    } catch (error) {
+      throw grpcError('GetBlockRange', error);
+    }
+    return blocks;
+  }
+}
@@ -0,0 +1,332 @@
+/**
+ * Chain backend pool
+ * Several endpoints of one driver behind the ChainBackend interface. Reads go
+ * to the best scoring endpoint, fail over to the next one and are hedged to a
+ * second endpoint when the first is slow. Wallet calls and raw RPC stick to
+ * the primary endpoint (the first configured): its wallet holds the
+ * addresses and operations they refer to, so they must never fail over.
+ */
+
+import { ChainBackend, UnsupportedCapabilityError } from './backend.js';
+import { RpcError } from './jsonRpc.js';
+
+// Weight of the newest probe in the latency average
+const LATENCY_SMOOTHING = 0.3;
+
+/**
+ * Score an endpoint from 0 (down) to 100
+ * Loses up to 50 points for latency (1 per 20ms) and up to 50 for height lag
+ * (10 per block behind the highest endpoint)
+ * @param {Object} endpoint - { healthy, latency_ms, height }
+ * @param {number|null} bestHeight - Highest height any endpoint reported
+ * @returns {number} Score
+ */
+export function scoreEndpoint({ healthy, latency_ms, height }, bestHeight) {
+  if (!healthy) {
+    return 0;
+  }
+
+  const latencyPenalty = latency_ms === null ? 0 : Math.min(latency_ms / 20, 50);
+  const lag = bestHeight !== null && height !== null ? Math.max(bestHeight - height, 0) : 0;
+  const lagPenalty = Math.min(lag * 10, 50);
+
+  return Math.max(Math.round(100 - latencyPenalty - lagPenalty), 1);
+}
+
+export class ChainBackendPool extends ChainBackend {
+  /**
+   * @param {Array<Object>} endpoints - [{ label, backend }], same driver, primary first
+   * @param {Object} options - { hedgeDelay: ms before a read is also sent to the next endpoint (0 disables), maxFailures: consecutive request failures before an endpoint is marked down }
+   */
+  constructor(endpoints, { hedgeDelay = 750, maxFailures = 2 } = {}) {
+    if (endpoints.length === 0) {
+      throw new Error('A chain backend pool needs at least one endpoint');
+    }
+
+    super(endpoints[0].backend.name, endpoints[0].backend.capabilities);
+    this.hedgeDelay = hedgeDelay;
+    this.maxFailures = maxFailures;
+    this.probeTimer = null;
+    this.probing = null;
+
+    // Endpoints are trusted until the first probe or failure says otherwise
+    this.endpoints = endpoints.map(({ label, backend }, index) => ({
+      label,
+      backend,
+      primary: index === 0,
+      healthy: true,
+      latency_ms: null,
+      height: null,
+      failures: 0,
+      last_error: null,
+      last_probe_at: null,
+      last_success_at: null,
+    }));
+  }
+
+  bestHeight() {
+    const heights = this.endpoints.map(endpoint => endpoint.height).filter(height => height !== null);
+    return heights.length > 0 ? Math.max(...heights) : null;
+  }
+
+  /**
+   * Endpoints in the order reads try them: healthy ones by score, then the
+   * ones marked down, most recently working first
+   * @returns {Array<Object>} Endpoints
+   */
+  ranked() {
+    const bestHeight = this.bestHeight();
+    const scored = this.endpoints.map(endpoint => ({ endpoint, score: scoreEndpoint(endpoint, bestHeight) }));
+
+    return scored
+      .sort((a, b) =>
+        b.score - a.score ||
+        (b.endpoint.last_success_at?.getTime() ?? 0) - (a.endpoint.last_success_at?.getTime() ?? 0))
+      .map(({ endpoint }) => endpoint);
+  }
+
+  recordSuccess(endpoint) {
+    endpoint.healthy = true;
+    endpoint.failures = 0;
+    endpoint.last_success_at = new Date();
+  }
+
+  recordFailure(endpoint, error) {
+    endpoint.failures++;
+    endpoint.last_error = error.message;
+    if (endpoint.failures >= this.maxFailures) {
+      endpoint.healthy = false;
+    }
+  }
+
+  /**
+   * Call one endpoint and track its health
+   * The node answering with an error still counts as the node being up
+   */
+  async callEndpoint(endpoint, method, args) {
+    try {
+      const result = await endpoint.backend[method](...args);
+      this.recordSuccess(endpoint);
+      return result;
+    } catch (error) {
+      if (error instanceof RpcError) {
+        this.recordSuccess(endpoint);
+      } else if (!(error instanceof UnsupportedCapabilityError)) {
+        this.recordFailure(endpoint, error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read from the best endpoint, failing over on connection errors and
+   * hedging to the next healthy endpoint after `hedgeDelay`; first answer wins
+   * @param {string} method - ChainBackend method
+   * @param {Array} args - Arguments
+   * @returns {Promise<any>} Result
+   */
+  read(method, args = []) {
+    const ranked = this.ranked();
+
+    return new Promise((resolve, reject) => {
+      let next = 0;
+      let inFlight = 0;
+      let done = false;
+      let lastError = null;
+      let hedgeTimer = null;
+
+      const finish = (error, result) => {
+        if (done) return;
+        done = true;
+        clearTimeout(hedgeTimer);
+        if (error) {
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+
+      const launch = () => {
+        if (done || next >= ranked.length) {
+          return false;
+        }
+
+        const endpoint = ranked[next++];
+        inFlight++;
+        this.callEndpoint(endpoint, method, args).then(
+          result => finish(null, result),
+          error => {
+            inFlight--;
+            // Another node would give the same answer
+            if (error instanceof RpcError || error instanceof UnsupportedCapabilityError) {
+              return finish(error);
+            }
+            lastError = error;
+            if (!launch() && inFlight === 0) {
+              finish(lastError);
+            }
+          }
+        );
+        return true;
+      };
+
+      launch();
+
+      if (this.hedgeDelay > 0 && ranked.length > 1) {
+        hedgeTimer = setTimeout(() => {
+          if (ranked[next]?.healthy) {
+            launch();
+          }
+        }, this.hedgeDelay);
+      }
+    });
+  }
+
+  /**
+   * Send to the primary endpoint only, never retried elsewhere
+   * @param {string} method - ChainBackend method
+   * @param {Array} args - Arguments
+   * @returns {Promise<any>} Result
+   */
+  async write(method, args = []) {
+    return await this.callEndpoint(this.endpoints[0], method, args);
+  }
+
+  /**
+   * Ask every endpoint for its height, measuring latency
+   * Concurrent callers share one round of probes
+   */
+  async probe() {
+    if (!this.probing) {
+      this.probing = Promise.all(this.endpoints.map(async (endpoint) => {
+        const started = Date.now();
+        try {
+          endpoint.height = await endpoint.backend.getBlockCount();
+          const latency = Date.now() - started;
+          endpoint.latency_ms = endpoint.latency_ms === null
+            ? latency
+            : endpoint.latency_ms * (1 - LATENCY_SMOOTHING) + latency * LATENCY_SMOOTHING;
+          this.recordSuccess(endpoint);
+        } catch (error) {
+          endpoint.healthy = false;
+          endpoint.failures = Math.max(endpoint.failures, this.maxFailures);
+          endpoint.last_error = error.message;
+        } finally {
+          endpoint.last_probe_at = new Date();
+        }
+      })).finally(() => {
+        this.probing = null;
+      });
+    }
+    return this.probing;
+  }
+
+  /**
+   * Probe now and then every `interval` ms
+   * @param {number} interval - Milliseconds between probes
+   */
+  startProbes(interval) {
+    if (this.probeTimer) {
+      return;
+    }
+    this.probe();
+    this.probeTimer = setInterval(() => this.probe(), interval);
+    this.probeTimer.unref();
+  }
+
+  stopProbes() {
+    if (this.probeTimer) {
+      clearInterval(this.probeTimer);
+      this.probeTimer = null;
+    }
+  }
+
+  /**
+   * Health of every endpoint, primary first
+   * @returns {Array<Object>} [{ url, primary, healthy, score, latency_ms, height, lag_blocks, failures, last_error, last_probe_at, last_success_at }]
+   */
+  status() {
+    const bestHeight = this.bestHeight();
+    return this.endpoints.map(endpoint => ({
+      url: endpoint.label,
+      primary: endpoint.primary,
+      healthy: endpoint.healthy,
+      score: scoreEndpoint(endpoint, bestHeight),
+      latency_ms: endpoint.latency_ms === null ? null : Math.round(endpoint.latency_ms),
+      height: endpoint.height,
+      lag_blocks: bestHeight !== null && endpoint.height !== null ? bestHeight - endpoint.height : null,
+      failures: endpoint.failures,
+      last_error: endpoint.last_error,
+      last_probe_at: endpoint.last_probe_at,
+      last_success_at: endpoint.last_success_at,
+    }));
+  }
+
+  // Reads
+
+  async getBlockchainInfo() {
+    return await this.read('getBlockchainInfo');
+  }
+
+  async getBlockCount() {
+    return await this.read('getBlockCount');
+  }
+
+  async validateAddress(address) {
+    return await this.read('validateAddress', [address]);
+  }
+
+  async getBlockHash(height) {
+    return await this.read('getBlockHash', [height]);
+  }
+
+  async getBlock(hashOrHeight, verbosity) {
+    return await this.read('getBlock', [hashOrHeight, verbosity]);
+  }
+
+  async getRawTransaction(txid) {
+    return await this.read('getRawTransaction', [txid]);
+  }
+
+  async getAddressTxids(addresses) {
+    return await this.read('getAddressTxids', [addresses]);
+  }
+
+  async getAddressBalance(addresses) {
+    return await this.read('getAddressBalance', [addresses]);
+  }
+
+  async getCompactBlocks(startHeight, endHeight) {
+    return await this.read('getCompactBlocks', [startHeight, endHeight]);
+  }
+
+  // Wallet and raw RPC, primary only
+
+  async getNewAddress(type) {
+    return await this.write('getNewAddress', [type]);
+  }
+
+  async getBalance(address, minconf) {
+    return await this.write('getBalance', [address, minconf]);
+  }
+
+  async listReceivedByAddress(address, minconf) {
+    return await this.write('listReceivedByAddress', [address, minconf]);
+  }
+
+  async getReceivedByAddress(address, minconf) {
+    return await this.write('getReceivedByAddress', [address, minconf]);
+  }
+
+  async sendMany(fromAddress, recipients, minconf, fee) {
+    return await this.write('sendMany', [fromAddress, recipients, minconf, fee]);
+  }
+
+  async getOperationStatus(opids) {
+    return await this.write('getOperationStatus', [opids]);
+  }
+
+  async call(method, params) {
+    return await this.write('call', [method, params]);
+  }
+}
@@ -0,0 +1,38 @@
+/**
+ * Zaino driver
+ * Indexer in front of Zebra: zcashd-compatible JSON-RPC for blocks and the
+ * transparent address index, no wallet. Its gRPC port speaks lightwalletd's
+ * CompactTxStreamer, so compact blocks are available when LIGHTWALLETD_URL
+ * points at it.
+ */
+
+import { JsonRpcBackend, CAPABILITIES } from './backend.js';
+import { resolveAuth } from './jsonRpc.js';
+import { LightwalletdBackend } from './lightwalletd.js';
+
+export class ZainoBackend extends JsonRpcBackend {
+  /**
+   * @param {Object} options - { url, user, pass, cookieFile, grpcUrl, grpcTls, timeout, retries }
+   */
+  constructor({ url, user, pass, cookieFile, grpcUrl, grpcTls = false, timeout, retries }) {
+    const capabilities = [CAPABILITIES.FULL_BLOCKS, CAPABILITIES.ADDRESS_INDEX];
+    if (grpcUrl) {
+      capabilities.push(CAPABILITIES.COMPACT_BLOCKS);
+    }
+
+    super('zaino', capabilities, {
+      url,
+      auth: resolveAuth({ user, pass, cookieFile }),
+      version: '2.0',
+      timeout,
+      retries,
+    });
+
+    this.grpc = grpcUrl ? new LightwalletdBackend({ url: grpcUrl, tls: grpcTls, timeout }) : null;
+  }
+
+  async getCompactBlocks(startHeight, endHeight) {
+    this.require(CAPABILITIES.COMPACT_BLOCKS);
+    return await this.grpc.getCompactBlocks(startHeight, endHeight);
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * zcashd driver
+ * Full node with the built-in wallet. The transparent address index needs
+ * zcashd started with -insightexplorer (ZCASH_ADDRESS_INDEX=true).
+ */
+
+import { JsonRpcBackend, CAPABILITIES } from './backend.js';
+import { resolveAuth } from './jsonRpc.js';
+
+export class ZcashdBackend extends JsonRpcBackend {
+  /**
+   * @param {Object} options - { url, user, pass, cookieFile, addressIndex, timeout, retries }
+   */
+  constructor({ url, user, pass, cookieFile, addressIndex = false, timeout, retries }) {
+    const capabilities = [CAPABILITIES.WALLET, CAPABILITIES.FULL_BLOCKS];
+    if (addressIndex) {
+      capabilities.push(CAPABILITIES.ADDRESS_INDEX);
+    }
+
+    super('zcashd', capabilities, {
+      url,
+      auth: resolveAuth({ user, pass, cookieFile }),
+      timeout,
+      retries,
+    });
+  }
+}
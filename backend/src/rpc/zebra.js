@@ -0,0 +1,26 @@
+/**
+ * Zebra driver
+ * Full node without a wallet. Serves decoded blocks and the transparent
+ * address index; authenticates with its RPC cookie (~/.cache/zebra/.cookie).
+ */
+
+import path from 'path';
+import os from 'os';
+import { JsonRpcBackend, CAPABILITIES } from './backend.js';
+import { resolveAuth } from './jsonRpc.js';
+
+export const ZEBRA_COOKIE_PATH = path.join(os.homedir(), '.cache', 'zebra', '.cookie');
+
+export class ZebraBackend extends JsonRpcBackend {
+  /**
+   * @param {Object} options - { url, user, pass, cookieFile, timeout, retries }
+   */
+  constructor({ url, user, pass, cookieFile = ZEBRA_COOKIE_PATH, timeout, retries }) {
+    super('zebra', [CAPABILITIES.FULL_BLOCKS, CAPABILITIES.ADDRESS_INDEX], {
+      url,
+      auth: resolveAuth({ user, pass, cookieFile }),
+      timeout,
+      retries,
+    });
+  }
+}
@@ -46,18 +46,143 @@ export class AdminAPI {
   }
 
   /**
-   * Get active subscriptions
+   * Get live subscriptions, soonest to end first
    */
-  async getActiveSubscriptions() {
-    const response = await this.client.get('/api/admin/subscriptions');
+  async getActiveSubscriptions(options = {}) {
+    const response = await this.client.get('/api/admin/subscriptions', {
+      params: {
+        status: options.status,
+        limit: options.limit || 50,
+        offset: options.offset || 0
+      }
+    });
     return response.data;
   }
 
   /**
-   * Get Zcash node status
+   * Run the subscription renewal scheduler once
+   */
+  async runSubscriptionScheduler() {
+    const response = await this.client.post('/api/admin/subscriptions/run');
+    return response.data;
+  }
+
+  /**
+   * Get Zcash node status and the health score of every RPC endpoint
    */
   async getNodeStatus() {
     const response = await this.client.get('/api/admin/node-status');
     return response.data;
   }
+
+  /**
+   * Get webhook deliveries across all endpoints
+   */
+  async getWebhookDeliveries(options = {}) {
+    const response = await this.client.get('/api/admin/webhooks/deliveries', {
+      params: {
+        status: options.status,
+        event_type: options.event_type,
+        limit: options.limit || 50,
+        offset: options.offset || 0
+      }
+    });
+    return response.data;
+  }
+
+  /**
+   * Replay a webhook delivery
+   */
+  async replayWebhookDelivery(deliveryId) {
+    const response = await this.client.post(`/api/admin/webhooks/deliveries/${deliveryId}/replay`);
+    return response.data;
+  }
+
+  /**
+   * Get addresses derived from the account xpub
+   */
+  async getDerivedAddresses(options = {}) {
+    const response = await this.client.get('/api/admin/addresses/derived', {
+      params: {
+        limit: options.limit || 50,
+        offset: options.offset || 0
+      }
+    });
+    return response.data;
+  }
+
+  /**
+   * Scan derived addresses up to the gap limit
+   */
+  async scanDerivedAddresses(options = {}) {
+    const response = await this.client.post('/api/admin/addresses/scan', {
+      gap_limit: options.gap_limit
+    });
+    return response.data;
+  }
+
+  /**
+   * Get payments whose memo matched no invoice
+   */
+  async getMemoReviews(options = {}) {
+    const response = await this.client.get('/api/admin/memos/review', {
+      params: {
+        status: options.status,
+        reference: options.reference,
+        limit: options.limit || 50,
+        offset: options.offset || 0
+      }
+    });
+    return response.data;
+  }
+
+  /**
+   * Assign a queued payment to an invoice
+   */
+  async assignMemoReview(reviewId, data) {
+    const response = await this.client.post(`/api/admin/memos/review/${reviewId}/assign`, data);
+    return response.data;
+  }
+
+  /**
+   * Dismiss a queued payment
+   */
+  async dismissMemoReview(reviewId, note) {
+    const response = await this.client.post(`/api/admin/memos/review/${reviewId}/dismiss`, { note });
+    return response.data;
+  }
+  /**
+   * Get ledger journal entries
+   */
+  async getLedgerEntries(options = {}) {
+    const response = await this.client.get('/api/admin/ledger/entries', {
+      params: {
+        user_id: options.user_id,
+        type: options.type,
+        limit: options.limit || 50,
+        offset: options.offset || 0
+      }
+    });
+    return response.data;
+  }
+
+  /**
+   * Credit (positive amount) or debit (negative) a merchant balance
+   */
+  async createLedgerAdjustment(data) {
+    const response = await this.client.post('/api/admin/ledger/adjustments', data);
+    return response.data;
+  }
+
+  /**
+   * Compare ledger balances with the user_balances view
+   */
+  async getLedgerReconciliation(options = {}) {
+    const response = await this.client.get('/api/admin/ledger/reconciliation', {
+      params: {
+        all: options.all
+      }
+    });
+    return response.data.reconciliation;
+  }
 }
\ No newline at end of file
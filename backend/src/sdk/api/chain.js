@@ -0,0 +1,67 @@
+/**
+ * Chain API Module
+ * Indexed blocks, transactions and address history
+ */
+
+export class ChainAPI {
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * Indexed tip and sync lag behind the node
+   */
+  async getStatus() {
+    const response = await this.client.get('/api/indexer/status');
+    return response.data;
+  }
+
+  /**
+   * Get a block by height or hash
+   */
+  async getBlock(heightOrHash) {
+    const response = await this.client.get(`/api/indexer/blocks/${heightOrHash}`);
+    return response.data;
+  }
+
+  /**
+   * Get a transaction with decoded inputs and outputs
+   */
+  async getTransaction(txid, options = {}) {
+    const response = await this.client.get(`/api/indexer/tx/${txid}`, {
+      params: { raw: options.raw ? 'true' : undefined }
+    });
+    return response.data;
+  }
+
+  /**
+   * Get an address balance and activity totals
+   */
+  async getAddressBalance(address) {
+    const response = await this.client.get(`/api/indexer/address/${address}/balance`);
+    return response.data;
+  }
+
+  /**
+   * Get one page of address history; pass pagination.next_cursor back as cursor
+   */
+  async getAddressTransactions(address, options = {}) {
+    const response = await this.client.get(`/api/indexer/address/${address}/transactions`, {
+      params: {
+        limit: options.limit || 25,
+        cursor: options.cursor
+      }
+    });
+    return response.data;
+  }
+
+  /**
+   * Daily shielded pool flows (from/to as YYYY-MM-DD, default the last 30 days)
+   */
+  async getShieldedPoolDaily(options = {}) {
+    const response = await this.client.get('/api/indexer/shielded-pool/daily', {
+      params: { from: options.from, to: options.to }
+    });
+    return response.data;
+  }
+}
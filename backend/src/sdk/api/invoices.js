@@ -8,15 +8,18 @@ export class InvoicesAPI {
   }
 
   /**
-   * Create a new invoice
+   * Create a new invoice, priced in ZEC or in fiat (amount_fiat and currency)
    */
-  async create({ user_id, type, amount_zec, item_id, email }) {
+  async create({ user_id, type, amount_zec, amount_fiat, currency, item_id, email, expires_at }) {
     const response = await this.client.post('/api/invoice/create', {
       user_id,
       type,
       amount_zec,
+      amount_fiat,
+      currency,
       item_id,
-      email
+      email,
+      expires_at
     });
     return response.data.invoice;
   }
@@ -88,4 +91,47 @@ export class InvoicesAPI {
     });
     return response.data;
   }
+
+  /**
+   * Refund a paid invoice (the whole refundable amount unless amount_zec is given)
+   */
+  async refund(invoiceId, { to_address, amount_zec, reason, invoice_type } = {}) {
+    const response = await this.client.post(`/api/invoice/${invoiceId}/refund`, {
+      to_address,
+      amount_zec,
+      reason,
+      invoice_type
+    });
+    return response.data;
+  }
+
+  /**
+   * List refunds of an invoice
+   */
+  async listRefunds(invoiceId, options = {}) {
+    const response = await this.client.get(`/api/invoice/${invoiceId}/refunds`, {
+      params: {
+        invoice_type: options.invoice_type
+      }
+    });
+    return response.data.refunds;
+  }
+
+  /**
+   * List overpayment refunds waiting for a refund address
+   */
+  async listQueuedRefunds() {
+    const response = await this.client.get('/api/invoice/refunds/queued');
+    return response.data.refunds;
+  }
+
+  /**
+   * Send a queued refund
+   */
+  async sendQueuedRefund(refundId, { to_address }) {
+    const response = await this.client.post(`/api/invoice/refunds/${refundId}/send`, {
+      to_address
+    });
+    return response.data;
+  }
 }
\ No newline at end of file
@@ -0,0 +1,100 @@
+/**
+ * Subscriptions API Module
+ */
+
+export class SubscriptionsAPI {
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * List subscription plans
+   */
+  async listPlans(options = {}) {
+    const response = await this.client.get('/api/subscriptions/plans', {
+      params: {
+        item_id: options.item_id,
+        include_inactive: options.include_inactive
+      }
+    });
+    return response.data.plans;
+  }
+
+  /**
+   * Create a subscription plan (admin)
+   */
+  async createPlan({ name, item_id, amount_zec, interval_unit, interval_count, trial_days, grace_days }) {
+    const response = await this.client.post('/api/subscriptions/plans', {
+      name,
+      item_id,
+      amount_zec,
+      interval_unit,
+      interval_count,
+      trial_days,
+      grace_days
+    });
+    return response.data.plan;
+  }
+
+  /**
+   * Stop a plan taking new subscribers (admin)
+   */
+  async deactivatePlan(planId) {
+    const response = await this.client.delete(`/api/subscriptions/plans/${planId}`);
+    return response.data.plan;
+  }
+
+  /**
+   * Subscribe a user to a plan (returns the first invoice unless the plan has a trial)
+   */
+  async create({ user_id, plan_id }) {
+    const response = await this.client.post('/api/subscriptions/create', {
+      user_id,
+      plan_id
+    });
+    return response.data;
+  }
+
+  /**
+   * Get subscription with its invoices
+   */
+  async getById(subscriptionId) {
+    const response = await this.client.get(`/api/subscriptions/${subscriptionId}`);
+    return response.data;
+  }
+
+  /**
+   * List subscriptions for a user
+   */
+  async listByUser(userId, options = {}) {
+    const response = await this.client.get(`/api/subscriptions/user/${userId}`, {
+      params: {
+        status: options.status
+      }
+    });
+    return response.data.subscriptions;
+  }
+
+  /**
+   * Cancel a subscription (at the end of the paid period unless atPeriodEnd is false)
+   */
+  async cancel(subscriptionId, { atPeriodEnd = true } = {}) {
+    const response = await this.client.post(`/api/subscriptions/${subscriptionId}/cancel`, {
+      at_period_end: atPeriodEnd
+    });
+    return response.data.subscription;
+  }
+
+  /**
+   * Check whether a user has access to an item
+   */
+  async checkEntitlement(userId, itemId) {
+    const response = await this.client.get('/api/subscriptions/entitlement', {
+      params: {
+        user_id: userId,
+        item_id: itemId
+      }
+    });
+    return response.data;
+  }
+}
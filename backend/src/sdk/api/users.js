@@ -71,4 +71,24 @@ export class UsersAPI {
     });
     return response.data;
   }
+
+  /**
+   * Get payment tolerance and overpayment policy
+   */
+  async getPaymentSettings(userId) {
+    const response = await this.client.get(`/api/users/${userId}/payment-settings`);
+    return response.data.payment_settings;
+  }
+
+  /**
+   * Update payment tolerance and overpayment policy (null restores the default)
+   */
+  async updatePaymentSettings(userId, { tolerance_percent, tolerance_zec, overpayment_policy }) {
+    const response = await this.client.put(`/api/users/${userId}/payment-settings`, {
+      tolerance_percent,
+      tolerance_zec,
+      overpayment_policy
+    });
+    return response.data.payment_settings;
+  }
 }
\ No newline at end of file
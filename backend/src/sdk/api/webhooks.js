@@ -0,0 +1,51 @@
+/**
+ * Webhooks API Module
+ */
+
+export class WebhooksAPI {
+  constructor(client) {
+    this.client = client;
+  }
+
+  /**
+   * Register a webhook endpoint (signing secret is only returned here)
+   */
+  async create({ url, events, description }) {
+    const response = await this.client.post('/api/webhooks/create', {
+      url,
+      events,
+      description
+    });
+    return response.data;
+  }
+
+  /**
+   * List webhook endpoints for the current API key
+   */
+  async list() {
+    const response = await this.client.get('/api/webhooks');
+    return response.data;
+  }
+
+  /**
+   * List deliveries for a webhook endpoint
+   */
+  async listDeliveries(webhookId, options = {}) {
+    const response = await this.client.get(`/api/webhooks/${webhookId}/deliveries`, {
+      params: {
+        status: options.status,
+        limit: options.limit || 50,
+        offset: options.offset || 0
+      }
+    });
+    return response.data;
+  }
+
+  /**
+   * Disable a webhook endpoint
+   */
+  async delete(webhookId) {
+    const response = await this.client.delete(`/api/webhooks/${webhookId}`);
+    return response.data;
+  }
+}
@@ -28,19 +28,49 @@ export class WithdrawalsAPI {
   }
 
   /**
-   * Process multiple withdrawals at once
+   * Send pending withdrawals in multi-recipient batches (admin function)
+   * Without IDs every pending withdrawal is batched
    */
-  async processBatch(withdrawalIds) {
-    const results = [];
-    for (const id of withdrawalIds) {
-      try {
-        const result = await this.process(id);
-        results.push({ id, success: true, ...result });
-      } catch (error) {
-        results.push({ id, success: false, error: error.message });
+  async processBatch(withdrawalIds = null, options = {}) {
+    const response = await this.client.post('/api/withdraw/process-batch', {
+      withdrawal_ids: withdrawalIds || undefined,
+      limit: options.limit,
+      dry_run: options.dryRun
+    });
+    return response.data;
+  }
+
+  /**
+   * List withdrawal batches (admin function)
+   */
+  async listBatches(options = {}) {
+    const response = await this.client.get('/api/withdraw/batches', {
+      params: {
+        status: options.status,
+        limit: options.limit || 50,
+        offset: options.offset || 0
       }
-    }
-    return results;
+    });
+    return response.data.batches;
+  }
+
+  /**
+   * Get a withdrawal batch with its withdrawals (admin function)
+   */
+  async getBatch(batchId) {
+    const response = await this.client.get(`/api/withdraw/batches/${batchId}`);
+    return response.data.batch;
+  }
+
+  /**
+   * Settle a batch whose outcome is unknown (admin function)
+   */
+  async resolveBatch(batchId, { sent, txid }) {
+    const response = await this.client.post(`/api/withdraw/batches/${batchId}/resolve`, {
+      sent,
+      txid
+    });
+    return response.data.batch;
   }
 
   /**
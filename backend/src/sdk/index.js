@@ -9,6 +9,9 @@ import { InvoicesAPI } from './api/invoices.js';
 import { WithdrawalsAPI } from './api/withdrawals.js';
 import { AdminAPI } from './api/admin.js';
 import { ApiKeysAPI } from './api/apiKeys.js';
+import { WebhooksAPI } from './api/webhooks.js';
+import { ChainAPI } from './api/chain.js';
+import { SubscriptionsAPI } from './api/subscriptions.js';
 import { resolveConfig, getPreset } from './config.js';
 
 export class ZcashPaywall {
@@ -67,6 +70,9 @@ export class ZcashPaywall {
     this.withdrawals = new WithdrawalsAPI(this.client);
     this.admin = new AdminAPI(this.client);
     this.apiKeys = new ApiKeysAPI(this.client);
+    this.webhooks = new WebhooksAPI(this.client);
+    this.chain = new ChainAPI(this.client);
+    this.subscriptions = new SubscriptionsAPI(this.client);
   }
 
   /**
@@ -179,6 +185,7 @@ export class ZcashPaywall {
 
 // Export utility functions
 export { retryWithBackoff } from './utils/retry.js';
+export { verifyWebhookSignature } from './utils/webhooks.js';
 export { resolveConfig, getPreset } from './config.js';
 
 // Export for CommonJS compatibility
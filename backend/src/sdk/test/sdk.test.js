@@ -4,6 +4,8 @@
 
 import { ZcashPaywall } from '../index.js';
 import { MockZcashPaywall } from '../testing/index.js';
+import { verifyWebhookSignature } from '../utils/webhooks.js';
+import crypto from 'crypto';
 
 describe('ZcashPaywall SDK', () => {
   test('should create SDK instance', () => {
@@ -72,4 +74,32 @@ describe('ZcashPaywall SDK', () => {
     expect(typeof paywall.apiKeys.listByUser).toBe('function');
     expect(typeof paywall.apiKeys.regenerate).toBe('function');
   });
+
+  test('should have webhooks module', () => {
+    const paywall = new ZcashPaywall();
+    
+    expect(paywall.webhooks).toBeDefined();
+    expect(typeof paywall.webhooks.create).toBe('function');
+    expect(typeof paywall.webhooks.listDeliveries).toBe('function');
+    expect(typeof paywall.admin.replayWebhookDelivery).toBe('function');
+  });
+
+  test('should verify webhook signatures', () => {
+    const secret = 'whsec_test';
+    const body = JSON.stringify({ id: 'evt_1', type: 'invoice.paid', data: {} });
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    const header = `t=${timestamp},v1=${signature}`;
+    
+    expect(verifyWebhookSignature(body, header, secret)).toBe(true);
+    expect(verifyWebhookSignature(Buffer.from(body), header, secret)).toBe(true);
+    expect(verifyWebhookSignature(body + ' ', header, secret)).toBe(false);
+    expect(verifyWebhookSignature(body, header, 'whsec_other')).toBe(false);
+    expect(verifyWebhookSignature(body, undefined, secret)).toBe(false);
+    
+    // Stale timestamps are rejected
+    const old = timestamp - 3600;
+    const oldSignature = crypto.createHmac('sha256', secret).update(`${old}.${body}`).digest('hex');
+    expect(verifyWebhookSignature(body, `t=${old},v1=${oldSignature}`, secret)).toBe(false);
+  });
 });
\ No newline at end of file
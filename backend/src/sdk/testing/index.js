@@ -22,6 +22,19 @@ export function createMockZcashRPC() {
   };
 }
 
+/**
+ * Bring a test database up to the current schema
+ * An empty database gets schema.sql; one created earlier gets the migrations it misses
+ * @param {Object} pool - pg Pool or connected Client for the test database
+ * @param {Object} options - Options for runMigrations (root, to, dryRun, log)
+ * @returns {Promise<Object>} { target, baseline, applied, pending, dryRun }
+ */
+export async function migrateTestDatabase(pool, options = {}) {
+  // Loaded on use, the mocks don't need fs
+  const { runMigrations } = await import('../../db/migrator.js');
+  return runMigrations(pool, { ...options, target: 'app' });
+}
+
 export class MockZcashPaywall {
   constructor(options = {}) {
     this.testing = true;
@@ -18,25 +18,68 @@ export interface User {
 export interface UserBalance {
   total_received_zec: number;
   total_withdrawn_zec: number;
+  total_adjustments_zec?: number;
+  total_refunded_zec?: number;
   available_balance_zec: number;
 }
 
+export type FiatCurrency = 'USD' | 'EUR';
+
+/**
+ * locked: payable at the rate quoted on creation; requoted: paid after the
+ * quote expired, amount_zec follows the rate at payment; late: paid after the
+ * quote expired and flagged for review
+ */
+export type QuoteStatus = 'locked' | 'requoted' | 'late';
+
+/**
+ * API that created an invoice, reported as invoice_type in webhooks
+ */
+export type InvoiceSource = 'legacy' | 'shielded' | 'webzjs' | 'devtool' | 'unified';
+
 export interface Invoice {
   id: string;
+  source?: InvoiceSource;
   user_id: string;
   type: 'subscription' | 'one_time';
   amount_zec: number;
   item_id?: string;
+  payment_method?: 'auto' | 'transparent' | 'shielded' | 'unified' | 'webzjs' | 'devtool';
+  payment_address?: string;
+  // payment_address, as returned by the legacy and shielded routes
   z_address: string;
   qr_code: string;
   payment_uri: string;
-  status: 'pending' | 'paid' | 'expired' | 'cancelled';
+  status: 'pending' | 'partially_paid' | 'detected' | 'confirming' | 'paid' | 'expired' | 'cancelled' | 'refunded';
   paid_txid?: string;
   paid_amount_zec?: number;
+  // Received above the amount, or short of it within the merchant's tolerance
+  overpaid_zec?: number;
+  underpaid_zec?: number;
+  refunded_amount_zec?: number;
+  refunded_at?: string;
   created_at: string;
+  /** Payment deadline while unpaid; end of the paid period for a paid subscription invoice */
   expires_at?: string;
+  // Fiat-priced invoices only
+  amount_fiat?: number;
+  currency?: FiatCurrency;
+  exchange_rate?: number;
+  rate_source?: string;
+  quoted_at?: string;
+  quote_expires_at?: string;
+  quote_status?: QuoteStatus;
+  // Old integer ID of invoices moved into the invoices table by migration 021
+  legacy_id?: string;
 }
 
+/**
+ * Price an invoice in ZEC, or in fiat converted at a rate locked until quote_expires_at
+ */
+export type InvoicePrice =
+  | { amount_zec: number; amount_fiat?: never; currency?: never }
+  | { amount_fiat: number; currency: FiatCurrency; amount_zec?: never };
+
 export interface Withdrawal {
   id: string;
   user_id: string;
@@ -46,13 +89,124 @@ export interface Withdrawal {
   net_amount_zec: number;
   status: 'pending' | 'processing' | 'sent' | 'failed';
   txid?: string;
+  batch_id?: string | null;
+  error?: string | null;
   requested_at: string;
   processed_at?: string;
 }
 
+export type WithdrawalBatchStatus = 'sending' | 'submitted' | 'sent' | 'failed' | 'unknown';
+
+export interface BatchedWithdrawal {
+  withdrawal_id: string;
+  amount_zec: number;
+  fee_zec: number;
+  net_zec: number;
+  to_address: string;
+  status: Withdrawal['status'];
+  txid: string | null;
+  batch_id: string | null;
+  attempts: number;
+  error: string | null;
+  requested_at: string;
+  processed_at: string | null;
+}
+
+export interface WithdrawalBatchRecipient {
+  address: string;
+  amount: number;
+  memo?: string;
+}
+
+export interface WithdrawalBatch {
+  id: string;
+  status: WithdrawalBatchStatus;
+  withdrawal_ids: string[];
+  recipients: WithdrawalBatchRecipient[];
+  total_zec: number;
+  fee_zec: number;
+  action_count: number;
+  treasury_address: string | null;
+  opid: string | null;
+  txid: string | null;
+  error: string | null;
+  created_by: string | null;
+  created_at: string;
+  submitted_at: string | null;
+  completed_at: string | null;
+  withdrawals?: BatchedWithdrawal[];
+}
+
+export interface PlannedWithdrawalBatch {
+  withdrawal_ids: string[];
+  recipients: WithdrawalBatchRecipient[];
+  action_count: number;
+  fee_zec: number;
+  total_zec: number;
+}
+
+export type WithdrawalBatchRun =
+  | { success: boolean; batches: WithdrawalBatch[]; skipped: string[]; dry_run: false }
+  | { success: boolean; batches: PlannedWithdrawalBatch[]; skipped: string[]; dry_run: true };
+
+export type RefundInvoiceType = 'legacy' | 'shielded' | 'unified';
+
+export interface Refund {
+  id: string;
+  invoice_table: 'invoices';
+  invoice_id: string;
+  user_id: string;
+  amount_zec: number;
+  // null while an overpayment refund is queued
+  to_address: string | null;
+  reason?: string;
+  status: 'queued' | 'processing' | 'sent' | 'failed' | 'canceled';
+  txid?: string;
+  error?: string;
+  requested_at: string;
+  processed_at?: string;
+}
+
+export interface RefundResult {
+  success: boolean;
+  refund: Refund;
+  invoice: {
+    id: string;
+    status: Invoice['status'];
+    paid_amount_zec: number;
+    overpaid_zec?: number;
+    refunded_amount_zec: number;
+    refunded_at: string;
+  };
+}
+
+export interface InvoicePayment {
+  txid: string;
+  output_index: number;
+  amount_zec: number;
+  block_height?: number;
+  confirmations: number;
+  matched_by: 'address' | 'memo' | 'amount' | 'reference' | 'manual';
+  detected_at: string;
+  // Block time, or when the payment was first seen unmined
+  seen_at: string;
+  // Set once the invoice is paid: the part counted towards it and the excess
+  applied_zec?: number;
+  excess_zec?: number;
+}
+
 export interface PaymentStatus {
   paid: boolean;
-  invoice: Invoice;
+  invoice: Invoice & {
+    received_amount?: number;
+    overpaid_zec?: number;
+    underpaid_zec?: number;
+    remaining_zec?: number;
+    tolerance_zec?: number;
+    confirmations?: number;
+    required_confirmations?: number;
+  };
+  payments?: InvoicePayment[];
 }
 
 export interface QRCodeOptions {
@@ -67,7 +221,7 @@ export interface ListOptions {
 }
 
 export interface InvoiceListOptions extends ListOptions {
-  status?: 'pending' | 'paid' | 'expired' | 'cancelled';
+  status?: 'pending' | 'partially_paid' | 'detected' | 'confirming' | 'paid' | 'expired' | 'cancelled';
   type?: 'subscription' | 'one_time';
 }
 
@@ -85,13 +239,146 @@ export interface FeeEstimate {
   };
 }
 
+export type WebhookEventType =
+  | 'invoice.partially_paid'
+  | 'invoice.detected'
+  | 'invoice.confirming'
+  | 'invoice.paid'
+  | 'invoice.expired'
+  | 'invoice.reorged'
+  | 'invoice.refunded'
+  | 'withdrawal.sent'
+  | 'withdrawal.failed'
+  | 'subscription.renewal_invoiced'
+  | 'subscription.past_due'
+  | 'subscription.canceled'
+  | 'subscription.expired';
+
+export interface WebhookEndpoint {
+  id: string;
+  api_key_id: string;
+  url: string;
+  events: Array<WebhookEventType | '*'>;
+  description?: string;
+  is_active: boolean;
+  created_at: string;
+}
+
+export interface WebhookDelivery {
+  id: string;
+  endpoint_id: string;
+  event_id: string;
+  event_type: WebhookEventType;
+  status: 'pending' | 'delivered' | 'failed';
+  attempts: number;
+  next_attempt_at?: string;
+  last_response_status?: number;
+  last_error?: string;
+  delivered_at?: string;
+  created_at: string;
+}
+
+export interface WebhookEvent<T = unknown> {
+  id: string;
+  type: WebhookEventType;
+  created_at: string;
+  data: T;
+}
+
 export interface HealthStatus {
-  status: 'OK' | 'ERROR';
+  status: 'OK' | 'DEGRADED' | 'ERROR';
   timestamp: string;
   services: {
     database: 'connected' | 'disconnected';
     zcash_rpc: 'connected' | 'disconnected';
+    rpc_endpoints: string;
+    node_blocks?: number;
+    node_chain?: string;
+  };
+  errors?: string[];
+}
+
+export interface NodeEndpoint {
+  url: string;
+  primary: boolean;
+  healthy: boolean;
+  score: number;
+  latency_ms: number | null;
+  height: number | null;
+  lag_blocks: number | null;
+  failures: number;
+  last_error: string | null;
+  last_probe_at: string | null;
+  last_success_at: string | null;
+}
+
+export interface NodeStatus {
+  success: boolean;
+  node_status: {
+    chain: string;
+    blocks: number;
+    headers: number;
+    verification_progress?: number;
+    size_on_disk?: number;
+    pruned?: boolean;
+    difficulty?: number;
   };
+  endpoints: NodeEndpoint[];
+}
+
+export type LedgerEntryType =
+  | 'opening_balance'
+  | 'invoice_payment'
+  | 'payment_reversal'
+  | 'withdrawal'
+  | 'withdrawal_fee'
+  | 'network_fee'
+  | 'refund'
+  | 'adjustment';
+
+export interface LedgerPosting {
+  account: string;
+  account_type: 'asset' | 'liability' | 'revenue' | 'expense' | 'equity';
+  user_id: string | null;
+  amount_zec: number; // debit positive, credit negative
+}
+
+export interface LedgerEntry {
+  id: number;
+  type: LedgerEntryType;
+  reference_table: string | null;
+  reference_id: string | null;
+  description: string | null;
+  created_by: string | null;
+  created_at: string;
+  postings: LedgerPosting[];
+}
+
+export interface LedgerReconciliation {
+  checked_at: string;
+  balanced: boolean;
+  entries: number;
+  unbalanced_entries: number[];
+  platform_accounts: Array<{ account: string; account_type: LedgerPosting['account_type']; balance_zec: number }>;
+  merchants_checked: number;
+  mismatched: number;
+  totals: { ledger_zec: number; view_zec: number; difference_zec: number };
+  merchants: Array<{
+    user_id: string;
+    email: string;
+    ledger_balance_zec: number;
+    view_balance_zec: number;
+    difference_zec: number;
+    matches: boolean;
+  }>;
+}
+
+export type OverpaymentPolicy = 'credit' | 'refund';
+
+export interface PaymentSettings {
+  tolerance_percent: number;
+  tolerance_zec: number;
+  overpayment_policy: OverpaymentPolicy;
 }
 
 export declare class UsersAPI {
@@ -101,6 +388,12 @@ export declare class UsersAPI {
   update(userId: string, data: { email?: string; name?: string }): Promise<User>;
   getBalance(userId: string, options?: { cache?: boolean; cacheTTL?: number }): Promise<UserBalance>;
   list(options?: ListOptions & { search?: string }): Promise<{ users: User[]; total: number }>;
+  getPaymentSettings(userId: string): Promise<PaymentSettings>;
+  updatePaymentSettings(userId: string, settings: {
+    tolerance_percent?: number | null;
+    tolerance_zec?: number | null;
+    overpayment_policy?: OverpaymentPolicy | null;
+  }): Promise<PaymentSettings>;
 }
 
 export declare class InvoicesAPI {
@@ -108,14 +401,24 @@ export declare class InvoicesAPI {
     user_id?: string;
     email?: string;
     type: 'subscription' | 'one_time';
-    amount_zec: number;
     item_id?: string;
-  }): Promise<Invoice>;
+    /** ISO 8601; an unpaid invoice expires then (default INVOICE_TTL_MINUTES from creation) */
+    expires_at?: string;
+  } & InvoicePrice): Promise<Invoice>;
   checkPayment(invoiceId: string, options?: { verbose?: boolean }): Promise<PaymentStatus>;
   getById(invoiceId: string): Promise<Invoice>;
   getQRCode(invoiceId: string, options?: QRCodeOptions): Promise<string | Buffer>;
   getPaymentURI(invoiceId: string): Promise<string>;
   listByUser(userId: string, options?: InvoiceListOptions): Promise<{ invoices: Invoice[]; total: number }>;
+  refund(invoiceId: string, data: {
+    to_address: string;
+    amount_zec?: number;
+    reason?: string;
+    invoice_type?: RefundInvoiceType;
+  }): Promise<RefundResult>;
+  listRefunds(invoiceId: string, options?: { invoice_type?: RefundInvoiceType }): Promise<Refund[]>;
+  listQueuedRefunds(): Promise<Refund[]>;
+  sendQueuedRefund(refundId: string, data: { to_address: string }): Promise<RefundResult>;
 }
 
 export declare class WithdrawalsAPI {
@@ -124,20 +427,286 @@ export declare class WithdrawalsAPI {
     to_address: string;
     amount_zec: number;
   }): Promise<Withdrawal>;
-  process(withdrawalId: string): Promise<{ success: boolean; txid: string; user_received: number; platform_fee: number }>;
-  processBatch(withdrawalIds: string[]): Promise<Array<{ id: string; success: boolean; txid?: string; error?: string }>>;
+  process(withdrawalId: string): Promise<{
+    success: boolean;
+    txid: string;
+    batch_id: string;
+    user_received: number;
+    platform_fee: number;
+    network_fee: number;
+    treasury_address: string | null;
+  }>;
+  processBatch(withdrawalIds?: string[] | null, options?: { limit?: number; dryRun?: boolean }): Promise<WithdrawalBatchRun>;
+  listBatches(options?: ListOptions & { status?: WithdrawalBatchStatus }): Promise<WithdrawalBatch[]>;
+  getBatch(batchId: string): Promise<WithdrawalBatch>;
+  resolveBatch(batchId: string, resolution: { sent: true; txid: string } | { sent: false }): Promise<WithdrawalBatch>;
   getFeeEstimate(amount_zec: number): Promise<FeeEstimate>;
   getById(withdrawalId: string): Promise<Withdrawal>;
   listByUser(userId: string, options?: WithdrawalListOptions): Promise<{ withdrawals: Withdrawal[]; total: number }>;
 }
 
+export interface DerivedAddress {
+  index: number;
+  path: string;
+  address: string;
+  invoice_table: string | null;
+  invoice_id: string | null;
+  received_zec: number;
+  tx_count: number;
+  last_scanned_at: string | null;
+  created_at: string;
+}
+
+export interface DerivedAddressScan {
+  xpub_fingerprint: string;
+  network: 'mainnet' | 'testnet';
+  gap_limit: number;
+  scanned: number;
+  next_index: number;
+  last_used_index: number | null;
+  gap_exceeded: boolean;
+  used: Array<Pick<DerivedAddress, 'index' | 'path' | 'address' | 'invoice_table' | 'invoice_id' | 'received_zec' | 'tx_count'>>;
+}
+
+export interface MemoReview {
+  id: string;
+  address: string;
+  txid: string;
+  output_index: number;
+  amount_zec: number;
+  block_height: number | null;
+  memo: string;
+  reference: string | null;
+  source: 'indexer' | 'node' | 'wallet' | 'scanner';
+  status: 'open' | 'assigned' | 'dismissed';
+  invoice_table: string | null;
+  invoice_id: string | null;
+  resolution_note: string | null;
+  resolved_at: string | null;
+  created_at: string;
+}
+
 export declare class AdminAPI {
   getStats(): Promise<any>;
   getPendingWithdrawals(): Promise<Withdrawal[]>;
   getUserBalances(options?: ListOptions & { min_balance?: number }): Promise<{ balances: UserBalance[]; total: number }>;
   getRevenue(): Promise<any>;
-  getActiveSubscriptions(): Promise<any>;
-  getNodeStatus(): Promise<any>;
+  getActiveSubscriptions(options?: ListOptions & { status?: SubscriptionStatus }): Promise<{ active_subscriptions: Array<Subscription & { email: string; expires_at: string }> }>;
+  runSubscriptionScheduler(): Promise<{ success: boolean; stats: SubscriptionCycleStats }>;
+  getNodeStatus(): Promise<NodeStatus>;
+  getWebhookDeliveries(options?: ListOptions & { status?: WebhookDelivery['status']; event_type?: WebhookEventType }): Promise<{ deliveries: WebhookDelivery[] }>;
+  replayWebhookDelivery(deliveryId: string): Promise<{ success: boolean; delivery: WebhookDelivery }>;
+  getDerivedAddresses(options?: ListOptions): Promise<{ addresses: DerivedAddress[] }>;
+  scanDerivedAddresses(options?: { gap_limit?: number }): Promise<{ success: boolean; scan: DerivedAddressScan }>;
+  getMemoReviews(options?: ListOptions & { status?: MemoReview['status'] | 'all'; reference?: string }): Promise<{ reviews: MemoReview[] }>;
+  assignMemoReview(reviewId: string, data: { invoice_id: string | number; invoice_type?: InvoiceSource; note?: string }): Promise<{ success: boolean; review: MemoReview; invoice_id: string; invoice_status: string }>;
+  dismissMemoReview(reviewId: string, note?: string): Promise<{ success: boolean; review: MemoReview }>;
+  getLedgerEntries(options?: ListOptions & { user_id?: string; type?: LedgerEntryType }): Promise<{ entries: LedgerEntry[] }>;
+  createLedgerAdjustment(data: { user_id: string; amount_zec: number; reason: string }): Promise<{ success: boolean; entry: LedgerEntry; available_balance_zec: number }>;
+  getLedgerReconciliation(options?: { all?: boolean }): Promise<LedgerReconciliation>;
+}
+
+export declare class WebhooksAPI {
+  create(data: {
+    url: string;
+    events?: Array<WebhookEventType | '*'>;
+    description?: string;
+  }): Promise<{ success: boolean; secret: string; webhook: WebhookEndpoint }>;
+  list(): Promise<{ webhooks: WebhookEndpoint[]; total: number }>;
+  listDeliveries(webhookId: string, options?: ListOptions & { status?: WebhookDelivery['status'] }): Promise<{ deliveries: WebhookDelivery[] }>;
+  delete(webhookId: string): Promise<{ success: boolean; message: string }>;
+}
+
+export interface IndexerStatus {
+  tip_height: number | null;
+  tip_hash: string | null;
+  tip_time: string | null;
+  node_height: number | null;
+  lag_blocks: number | null;
+  lag_seconds: number | null;
+  synced: boolean;
+}
+
+export interface ChainTransactionSummary {
+  txid: string;
+  type: 'reward' | 'shielded' | 'transfer';
+  is_shielded: boolean;
+  flow_type: 'transparent' | 'shielding' | 'deshielding' | 'fully_shielded' | null;
+  fee_zec: number | null;
+}
+
+export interface ChainBlock {
+  height: number;
+  hash: string;
+  timestamp: string;
+  confirmations: number;
+  tx_count: number;
+  transactions: ChainTransactionSummary[];
+}
+
+export interface ChainTransaction extends ChainTransactionSummary {
+  block_height: number;
+  block_hash: string | null;
+  timestamp: string;
+  confirmations: number;
+  version: number;
+  locktime: number;
+  pool_flows: {
+    sprout_value_balance_zec: number;
+    sapling_value_balance_zec: number;
+    orchard_value_balance_zec: number;
+    transparent_in_zec: number;
+    transparent_out_zec: number;
+    joinsplits: number;
+    sapling_spends: number;
+    sapling_outputs: number;
+    orchard_actions: number;
+  };
+  inputs: Array<{
+    index: number | null;
+    coinbase: boolean;
+    prev_txid: string | null;
+    prev_vout: number | null;
+    address: string | null;
+    value_zec: number;
+  }>;
+  outputs: Array<{
+    index: number;
+    address: string | null;
+    value_zec: number;
+    spent: boolean;
+    spent_by_txid: string | null;
+    spent_by_vin: number | null;
+    spent_height: number | null;
+  }>;
+  raw?: unknown;
+}
+
+export interface AddressBalance {
+  address: string;
+  balance_zec: number;
+  received_zec: number;
+  sent_zec: number;
+  tx_count: number;
+  first_seen_height: number | null;
+  last_seen_height: number | null;
+  indexed_height: number | null;
+}
+
+export interface AddressTransaction extends ChainTransactionSummary {
+  block_height: number;
+  timestamp: string;
+  confirmations: number;
+  received_zec: number;
+  sent_zec: number;
+  net_zec: number;
+}
+
+export interface PoolFlow {
+  in_zec: number;
+  out_zec: number;
+  net_zec: number;
+}
+
+export interface ShieldedPoolDay {
+  day: string;
+  tx_count: number;
+  flows: { transparent: number; shielding: number; deshielding: number; fully_shielded: number };
+  pools: { sprout: PoolFlow; sapling: PoolFlow; orchard: PoolFlow };
+}
+
+export declare class ChainAPI {
+  getStatus(): Promise<{ success: boolean } & IndexerStatus>;
+  getBlock(heightOrHash: number | string): Promise<{ success: boolean; block: ChainBlock }>;
+  getTransaction(txid: string, options?: { raw?: boolean }): Promise<{ success: boolean; transaction: ChainTransaction }>;
+  getAddressBalance(address: string): Promise<{ success: boolean } & AddressBalance>;
+  getAddressTransactions(address: string, options?: { limit?: number; cursor?: string }): Promise<{
+    success: boolean;
+    address: string;
+    transactions: AddressTransaction[];
+    pagination: { limit: number; next_cursor: string | null };
+  }>;
+  getShieldedPoolDaily(options?: { from?: string; to?: string }): Promise<{ success: boolean; from: string; to: string; days: ShieldedPoolDay[] }>;
+}
+
+export type SubscriptionStatus = 'pending' | 'trialing' | 'active' | 'past_due' | 'canceled' | 'expired';
+
+export interface SubscriptionPlan {
+  id: string;
+  name: string;
+  item_id: string;
+  amount_zec: number;
+  interval_unit: 'day' | 'week' | 'month' | 'year';
+  interval_count: number;
+  trial_days: number;
+  grace_days: number;
+  active: boolean;
+  created_at: string;
+}
+
+export interface Subscription {
+  id: string;
+  user_id: string;
+  plan_id: string;
+  plan?: Pick<SubscriptionPlan, 'name' | 'item_id' | 'amount_zec' | 'interval_unit' | 'interval_count'>;
+  status: SubscriptionStatus;
+  current_period_start?: string;
+  current_period_end?: string;
+  access_until?: string;
+  trial_ends_at?: string;
+  cancel_at_period_end: boolean;
+  canceled_at?: string;
+  ended_at?: string;
+  created_at: string;
+}
+
+export interface SubscriptionInvoice {
+  id: string;
+  amount_zec: number;
+  z_address?: string;
+  status: Invoice['status'];
+  paid_txid?: string;
+  paid_at?: string;
+  expires_at?: string;
+  created_at: string;
+}
+
+export interface Entitlement {
+  success: boolean;
+  user_id: string;
+  item_id: string;
+  entitled: boolean;
+  source: 'subscription' | 'purchase' | null;
+  access_until: string | null;
+  subscription: Subscription | null;
+  invoice_id: string | null;
+}
+
+export interface SubscriptionCycleStats {
+  checked: number;
+  renewal_invoices: number;
+  past_due: number;
+  canceled: number;
+  expired: number;
+}
+
+export declare class SubscriptionsAPI {
+  listPlans(options?: { item_id?: string; include_inactive?: boolean }): Promise<SubscriptionPlan[]>;
+  createPlan(data: {
+    name: string;
+    item_id: string;
+    amount_zec: number;
+    interval_unit?: SubscriptionPlan['interval_unit'];
+    interval_count?: number;
+    trial_days?: number;
+    grace_days?: number;
+  }): Promise<SubscriptionPlan>;
+  deactivatePlan(planId: string): Promise<SubscriptionPlan>;
+  create(data: { user_id: string; plan_id: string }): Promise<{ success: boolean; subscription: Subscription; invoice: SubscriptionInvoice | null }>;
+  getById(subscriptionId: string): Promise<{ success: boolean; subscription: Subscription; invoices: SubscriptionInvoice[] }>;
+  listByUser(userId: string, options?: { status?: SubscriptionStatus }): Promise<Subscription[]>;
+  cancel(subscriptionId: string, options?: { atPeriodEnd?: boolean }): Promise<Subscription>;
+  checkEntitlement(userId: string, itemId: string): Promise<Entitlement>;
 }
 
 export declare class ZcashPaywall {
@@ -145,6 +714,9 @@ export declare class ZcashPaywall {
   invoices: InvoicesAPI;
   withdrawals: WithdrawalsAPI;
   admin: AdminAPI;
+  webhooks: WebhooksAPI;
+  chain: ChainAPI;
+  subscriptions: SubscriptionsAPI;
 
   constructor(options?: ZcashPaywallOptions);
   initialize(): Promise<boolean>;
@@ -161,4 +733,11 @@ export declare function retryWithBackoff<T>(
   baseDelay?: number
 ): Promise<T>;
 
+export declare function verifyWebhookSignature(
+  payload: string | Buffer,
+  header: string,
+  secret: string,
+  tolerance?: number
+): boolean;
+
 export default ZcashPaywall;
\ No newline at end of file
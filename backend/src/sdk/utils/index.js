@@ -2,4 +2,5 @@
  * SDK Utilities Export
  */
 
-export { retryWithBackoff } from './retry.js';
\ No newline at end of file
+export { retryWithBackoff } from './retry.js';
+export { verifyWebhookSignature } from './webhooks.js';
\ No newline at end of file
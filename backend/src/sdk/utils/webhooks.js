@@ -0,0 +1,47 @@
+/**
+ * Webhook signature verification
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Verify the X-Zcash-Paywall-Signature header of a webhook request
+ * @param {string|Buffer} payload - Raw request body, exactly as received
+ * @param {string} header - Signature header ("t=<timestamp>,v1=<hex>")
+ * @param {string} secret - Endpoint signing secret
+ * @param {number} tolerance - Maximum age of the timestamp in seconds
+ * @returns {boolean} True if the signature is valid and fresh
+ */
+export function verifyWebhookSignature(payload, header, secret, tolerance = 300) {
+  if (!header || !secret) {
+    return false;
+  }
+
+  const parts = {};
+  for (const part of String(header).split(',')) {
+    const [key, value] = part.split('=');
+    if (key && value) {
+      parts[key.trim()] = value.trim();
+    }
+  }
+
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || !parts.v1) {
+    return false;
+  }
+
+  if (tolerance > 0 && Math.abs(Math.floor(Date.now() / 1000) - timestamp) > tolerance) {
+    return false;
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${Buffer.isBuffer(payload) ? payload.toString('utf8') : payload}`)
+    .digest('hex');
+
+  const expectedBuf = Buffer.from(expected, 'hex');
+  const actualBuf = Buffer.from(parts.v1, 'hex');
+
+  return expectedBuf.length === actualBuf.length &&
+    crypto.timingSafeEqual(expectedBuf, actualBuf);
+}
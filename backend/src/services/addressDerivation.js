@@ -0,0 +1,257 @@
+/**
+ * Per-invoice transparent addresses
+ * Derives a fresh address for every invoice from the configured account xpub
+ * and scans derived addresses up to the gap limit
+ */
+
+import { pool, indexerPool, config } from '../config/appConfig.js';
+import {
+  generateAddress,
+  getAddressTxids,
+  getAddressBalance,
+} from '../config/zcash.js';
+import {
+  parseExtendedPublicKey,
+  getFingerprint,
+  deriveTransparentAddress,
+} from '../utils/hdKeys.js';
+import { fromZatoshi } from '../utils/paymentAttribution.js';
+import { INVOICE_TABLE } from '../invoices/sources.js';
+
+let accountKey = null;
+
+/**
+ * Check whether an account xpub is configured
+ * @returns {boolean}
+ */
+export function isAddressDerivationEnabled() {
+  return Boolean(config.addressDerivation.xpub);
+}
+
+/**
+ * Parse the configured account xpub once
+ * @returns {Object} Parsed key plus its fingerprint
+ */
+export function getAccountKey() {
+  if (!accountKey) {
+    if (!isAddressDerivationEnabled()) {
+      throw new Error('ZCASH_ACCOUNT_XPUB not configured in environment');
+    }
+    const key = parseExtendedPublicKey(config.addressDerivation.xpub);
+    accountKey = { ...key, fingerprint: getFingerprint(key.publicKey) };
+  }
+  return accountKey;
+}
+
+/**
+ * Reserve the next derivation index and record its address
+ * @param {Object} options - { network: only derive when the xpub is for this network }
+ * @returns {Promise<Object|null>} { address, index, path } or null if derivation is unavailable
+ */
+export async function allocateAddress({ network } = {}) {
+  if (!isAddressDerivationEnabled()) {
+    return null;
+  }
+
+  const key = getAccountKey();
+  if (network && network !== key.network) {
+    return null;
+  }
+
+  // BIP32 skips the rare index that yields an invalid key, so retry a few times
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const result = await pool.query(
+      `INSERT INTO address_derivation_state (xpub_fingerprint, next_index)
+       VALUES ($1, 1)
+       ON CONFLICT (xpub_fingerprint) DO UPDATE
+       SET next_index = address_derivation_state.next_index + 1, updated_at = NOW()
+       RETURNING next_index - 1 AS index`,
+      [key.fingerprint]
+    );
+    const index = result.rows[0].index;
+
+    let derived;
+    try {
+      derived = deriveTransparentAddress(key, index);
+    } catch (error) {
+      console.warn(`Skipping derivation index ${index}:`, error.message);
+      continue;
+    }
+
+    await pool.query(
+      `INSERT INTO derived_addresses (xpub_fingerprint, derivation_index, derivation_path, address)
+       VALUES ($1, $2, $3, $4)`,
+      [key.fingerprint, index, derived.path, derived.address]
+    );
+
+    return { address: derived.address, index, path: derived.path };
+  }
+
+  throw new Error('Failed to derive a valid address');
+}
+
+/**
+ * Get a payment address for a new invoice
+ * Transparent invoices get a derived address when an xpub is configured,
+ * everything else falls back to generateAddress
+ * @param {string} type - Address type ('transparent' or 'shielded')
+ * @param {Object} options - { network }
+ * @returns {Promise<Object>} { address, address_index, derivation_path }
+ */
+export async function getInvoiceAddress(type = 'transparent', options = {}) {
+  if (type === 'transparent') {
+    const derived = await allocateAddress(options);
+    if (derived) {
+      return { address: derived.address, address_index: derived.index, derivation_path: derived.path };
+    }
+  }
+
+  return { address: await generateAddress(type), address_index: null, derivation_path: null };
+}
+
+/**
+ * Record which invoice a derived address was issued for
+ * @param {string} address - Derived address
+ * @param {string} invoiceId - Invoice ID
+ * @param {Object} db - Pool or the client inside the transaction creating the invoice
+ */
+export async function linkDerivedAddress(address, invoiceId, db = pool) {
+  await db.query(
+    `UPDATE derived_addresses SET invoice_table = $1, invoice_id = $2
+     WHERE address = $3`,
+    [INVOICE_TABLE, invoiceId, address]
+  );
+}
+
+/**
+ * Look up received amounts and transaction counts for addresses
+ * @param {Array<string>} addresses - Transparent addresses
+ * @returns {Promise<Map>} address -> { received_zec, tx_count }
+ */
+async function fetchAddressActivity(addresses) {
+  const activity = new Map();
+
+  if (indexerPool) {
+    const result = await indexerPool.query(
+      `SELECT address, COUNT(DISTINCT txid) AS tx_count, SUM(value) AS received
+       FROM outputs
+       WHERE address = ANY($1)
+       GROUP BY address`,
+      [addresses]
+    );
+    for (const row of result.rows) {
+      activity.set(row.address, {
+        received_zec: parseFloat(row.received),
+        tx_count: parseInt(row.tx_count),
+      });
+    }
+    return activity;
+  }
+
+  for (const address of addresses) {
+    const txids = await getAddressTxids(address);
+    if (txids.length === 0) continue;
+
+    const balance = await getAddressBalance([address]);
+    activity.set(address, {
+      received_zec: fromZatoshi(balance.received ?? balance.balance ?? 0),
+      tx_count: txids.length,
+    });
+  }
+  return activity;
+}
+
+/**
+ * Scan derived addresses from index 0 until `gapLimit` consecutive unused
+ * addresses follow the last used one (and every issued address is covered)
+ *
+ * Updates received totals on derived_addresses and moves next_index past any
+ * used address the server did not issue, so it is never handed out again.
+ *
+ * @param {Object} options - { gapLimit }
+ * @returns {Promise<Object>} Scan report
+ */
+export async function scanDerivedAddresses({ gapLimit = config.addressDerivation.gapLimit } = {}) {
+  const key = getAccountKey();
+
+  const stateResult = await pool.query(
+    'SELECT next_index FROM address_derivation_state WHERE xpub_fingerprint = $1',
+    [key.fingerprint]
+  );
+  const nextIndex = stateResult.rows[0]?.next_index ?? 0;
+
+  const used = [];
+  let lastUsedIndex = -1;
+  let index = 0;
+
+  while (index - lastUsedIndex <= gapLimit || index < nextIndex) {
+    const batch = [];
+    for (let i = 0; i < gapLimit; i++) {
+      try {
+        batch.push(deriveTransparentAddress(key, index + i));
+      } catch (error) {
+        // Invalid index, never issued
+      }
+    }
+    index += gapLimit;
+
+    const activity = await fetchAddressActivity(batch.map(derived => derived.address));
+
+    for (const derived of batch) {
+      const found = activity.get(derived.address);
+
+      if (derived.index < nextIndex) {
+        await pool.query(
+          `UPDATE derived_addresses
+           SET received_zec = $1, tx_count = $2, last_scanned_at = NOW()
+           WHERE xpub_fingerprint = $3 AND derivation_index = $4`,
+          [found?.received_zec || 0, found?.tx_count || 0, key.fingerprint, derived.index]
+        );
+      }
+
+      if (found && found.tx_count > 0) {
+        lastUsedIndex = derived.index;
+        used.push({
+          index: derived.index,
+          address: derived.address,
+          path: derived.path,
+          received_zec: found.received_zec,
+          tx_count: found.tx_count,
+        });
+      }
+    }
+  }
+
+  if (lastUsedIndex >= nextIndex) {
+    await pool.query(
+      `INSERT INTO address_derivation_state (xpub_fingerprint, next_index)
+       VALUES ($1, $2)
+       ON CONFLICT (xpub_fingerprint) DO UPDATE
+       SET next_index = GREATEST(address_derivation_state.next_index, $2), updated_at = NOW()`,
+      [key.fingerprint, lastUsedIndex + 1]
+    );
+  }
+
+  const linked = await pool.query(
+    `SELECT derivation_index, invoice_table, invoice_id FROM derived_addresses
+     WHERE xpub_fingerprint = $1 AND derivation_index = ANY($2)`,
+    [key.fingerprint, used.map(entry => entry.index)]
+  );
+  const invoices = new Map(linked.rows.map(row => [row.derivation_index, row]));
+
+  return {
+    xpub_fingerprint: key.fingerprint,
+    network: key.network,
+    gap_limit: gapLimit,
+    scanned: index,
+    next_index: Math.max(nextIndex, lastUsedIndex + 1),
+    last_used_index: lastUsedIndex >= 0 ? lastUsedIndex : null,
+    // Wallets restoring from the seed stop after gapLimit unused addresses
+    gap_exceeded: nextIndex - 1 - lastUsedIndex > gapLimit,
+    used: used.map(entry => ({
+      ...entry,
+      invoice_table: invoices.get(entry.index)?.invoice_table || null,
+      invoice_id: invoices.get(entry.index)?.invoice_id || null,
+    })),
+  };
+}
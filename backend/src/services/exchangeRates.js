@@ -0,0 +1,173 @@
+/**
+ * Exchange rates
+ * ZEC prices for fiat-denominated invoices. EXCHANGE_RATE_PROVIDER picks the
+ * source: `static` rates from the environment or a `file` (both work offline),
+ * or `coingecko` over HTTP. Rates are cached for EXCHANGE_RATE_CACHE_SECONDS.
+ */
+
+import fs from 'fs';
+import axios from 'axios';
+import { config } from '../config/appConfig.js';
+import {
+  parseRates,
+  normalizeCurrency,
+  fiatToZec,
+  quoteExpiry,
+} from '../utils/fiatQuote.js';
+
+/**
+ * No rate available for a currency (unknown, or the provider is down)
+ */
+export class ExchangeRateError extends Error {
+  constructor(message, status = 503, details = {}) {
+    super(message);
+    this.name = 'ExchangeRateError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Fixed rates, e.g. EXCHANGE_RATES_STATIC="USD:35.20,EUR:32.85"
+ */
+class StaticRateProvider {
+  constructor({ rates }) {
+    this.name = 'static';
+    this.rates = parseRates(rates);
+  }
+
+  async getRate(currency) {
+    return this.rates[currency] ?? null;
+  }
+}
+
+/**
+ * Rates read from a JSON file such as { "USD": 35.2, "EUR": 32.85 }, kept up
+ * to date by a cron job or edited by hand
+ */
+class FileRateProvider {
+  constructor({ file }) {
+    if (!file) {
+      throw new Error('The file exchange rate provider needs EXCHANGE_RATES_FILE');
+    }
+    this.name = 'file';
+    this.file = file;
+  }
+
+  async getRate(currency) {
+    const rates = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+    const rate = parseFloat(rates[currency]);
+    return rate > 0 ? rate : null;
+  }
+}
+
+/**
+ * CoinGecko simple price API
+ */
+class CoinGeckoRateProvider {
+  constructor({ url, timeout = 5000 }) {
+    this.name = 'coingecko';
+    this.url = url;
+    this.timeout = timeout;
+  }
+
+  async getRate(currency) {
+    const response = await axios.get(this.url, {
+      params: { ids: 'zcash', vs_currencies: currency.toLowerCase() },
+      timeout: this.timeout,
+    });
+    const rate = parseFloat(response.data?.zcash?.[currency.toLowerCase()]);
+    return rate > 0 ? rate : null;
+  }
+}
+
+const PROVIDERS = {
+  static: options => new StaticRateProvider({ rates: options.staticRates }),
+  file: options => new FileRateProvider(options),
+  coingecko: options => new CoinGeckoRateProvider(options),
+};
+
+export const RATE_PROVIDERS = Object.keys(PROVIDERS);
+
+/**
+ * Create a rate provider
+ * @param {string} name - static, file or coingecko
+ * @param {Object} options - { staticRates, file, url, timeout }
+ * @returns {Object} Provider with getRate(currency) resolving to fiat per ZEC, or null
+ * @throws {Error} For an unknown provider or missing settings
+ */
+export function createRateProvider(name, options = {}) {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown exchange rate provider "${name}" (expected one of: ${RATE_PROVIDERS.join(', ')})`);
+  }
+  return provider(options);
+}
+
+let activeProvider = null;
+const cache = new Map();
+
+function getProvider() {
+  if (!activeProvider) {
+    activeProvider = createRateProvider(config.exchangeRates.provider, config.exchangeRates);
+  }
+  return activeProvider;
+}
+
+/**
+ * Current ZEC price in a fiat currency
+ * @param {string} currency - USD or EUR
+ * @returns {Promise<Object>} { currency, rate: fiat per ZEC, source, fetched_at }
+ * @throws {ExchangeRateError} When no rate is available
+ */
+export async function getExchangeRate(currency) {
+  const code = normalizeCurrency(currency);
+  if (!code) {
+    throw new ExchangeRateError(`Unsupported currency: ${currency}`, 400);
+  }
+
+  const cached = cache.get(code);
+  if (cached && Date.now() - cached.fetched_at.getTime() < config.exchangeRates.cacheSeconds * 1000) {
+    return cached;
+  }
+
+  const provider = getProvider();
+  let rate;
+  try {
+    rate = await provider.getRate(code);
+  } catch (error) {
+    throw new ExchangeRateError(`Exchange rate provider ${provider.name} failed: ${error.message}`);
+  }
+  if (!rate) {
+    throw new ExchangeRateError(`No ${code} rate from exchange rate provider ${provider.name}`);
+  }
+
+  const quote = { currency: code, rate, source: provider.name, fetched_at: new Date() };
+  cache.set(code, quote);
+  return quote;
+}
+
+/**
+ * Price a fiat amount in ZEC and lock the rate for QUOTE_TTL_MINUTES, or
+ * until the invoice expires if that is sooner
+ * @param {number} amountFiat
+ * @param {string} currency - USD or EUR
+ * @param {Object} options - { expiresAt: invoice expiry }
+ * @returns {Promise<Object>} Invoice quote columns: { amount_zec, amount_fiat, fiat_currency,
+ *   exchange_rate, rate_source, quoted_at, quote_expires_at }
+ * @throws {ExchangeRateError} When no rate is available
+ */
+export async function quoteFiatAmount(amountFiat, currency, { expiresAt = null } = {}) {
+  const { currency: code, rate, source } = await getExchangeRate(currency);
+  const quotedAt = new Date();
+
+  return {
+    amount_zec: fiatToZec(parseFloat(amountFiat), rate),
+    amount_fiat: parseFloat(amountFiat),
+    fiat_currency: code,
+    exchange_rate: rate,
+    rate_source: source,
+    quoted_at: quotedAt,
+    quote_expires_at: quoteExpiry(quotedAt, config.exchangeRates.quoteTtlMinutes, expiresAt),
+  };
+}
@@ -0,0 +1,295 @@
+/**
+ * Indexer read queries
+ * Blocks, transactions and address history from the indexer database
+ * (INDEXER_DB_URL), as served by /api/indexer
+ */
+
+import { indexerPool } from '../config/appConfig.js';
+import { getBlockCount } from '../config/zcash.js';
+import { paginate } from '../utils/pagination.js';
+
+/**
+ * Whether the indexer database is configured
+ * @returns {boolean}
+ */
+export function isIndexerAvailable() {
+  return indexerPool !== null;
+}
+
+/**
+ * Indexed tip and how far it trails the node
+ * @returns {Promise<Object>} { tip_height, tip_hash, tip_time, node_height, lag_blocks, lag_seconds, synced }
+ */
+export async function getSyncStatus() {
+  const tipResult = await indexerPool.query(
+    'SELECT height, hash, timestamp FROM blocks ORDER BY height DESC LIMIT 1'
+  );
+  const tip = tipResult.rows[0] || null;
+
+  let nodeHeight = null;
+  try {
+    nodeHeight = await getBlockCount();
+  } catch (error) {
+    console.error('Indexer status: node height unavailable:', error.message);
+  }
+
+  const lagBlocks = nodeHeight !== null && tip ? Math.max(nodeHeight - tip.height, 0) : null;
+
+  return {
+    tip_height: tip ? tip.height : null,
+    tip_hash: tip ? tip.hash : null,
+    tip_time: tip ? tip.timestamp : null,
+    node_height: nodeHeight,
+    lag_blocks: lagBlocks,
+    lag_seconds: tip ? Math.max(Math.round((Date.now() - new Date(tip.timestamp).getTime()) / 1000), 0) : null,
+    synced: lagBlocks === 0,
+  };
+}
+
+async function getTipHeight() {
+  const result = await indexerPool.query('SELECT MAX(height) AS tip FROM blocks');
+  return result.rows[0].tip;
+}
+
+function confirmations(height, tip) {
+  return height === null || tip === null ? 0 : Math.max(tip - height + 1, 0);
+}
+
+/**
+ * Block by height or hash, with its transactions
+ * @param {number|string} id - Height or 64-character block hash
+ * @returns {Promise<Object|null>} Block, null if not indexed
+ */
+export async function getBlock(id) {
+  const byHeight = typeof id === 'number';
+  const blockResult = await indexerPool.query(
+    `SELECT height, hash, timestamp FROM blocks WHERE ${byHeight ? 'height' : 'hash'} = $1`,
+    [id]
+  );
+  const block = blockResult.rows[0];
+  if (!block) {
+    return null;
+  }
+
+  const [txResult, tip] = await Promise.all([
+    indexerPool.query(
+      `SELECT txid, fee, tx_type, is_shielded, flow_type FROM transactions WHERE block_height = $1 ORDER BY txid`,
+      [block.height]
+    ),
+    getTipHeight(),
+  ]);
+
+  return {
+    height: block.height,
+    hash: block.hash,
+    timestamp: block.timestamp,
+    confirmations: confirmations(block.height, tip),
+    tx_count: txResult.rows.length,
+    transactions: txResult.rows.map(formatTransactionSummary),
+  };
+}
+
+/**
+ * Transaction with its inputs (resolved to the outputs they spend) and outputs
+ * @param {string} txid - Transaction ID
+ * @param {Object} options - { includeRaw: add the node's decoded transaction }
+ * @returns {Promise<Object|null>} Transaction, null if not indexed
+ */
+export async function getTransaction(txid, { includeRaw = false } = {}) {
+  const txResult = await indexerPool.query(
+    `SELECT t.*, b.hash AS block_hash
+     FROM transactions t
+     LEFT JOIN blocks b ON b.height = t.block_height
+     WHERE t.txid = $1`,
+    [txid]
+  );
+  const tx = txResult.rows[0];
+  if (!tx) {
+    return null;
+  }
+
+  const [inputs, outputs, tip] = await Promise.all([
+    indexerPool.query(
+      `SELECT vin_index, prev_txid, prev_vout, address, value
+       FROM inputs WHERE txid = $1
+       ORDER BY vin_index NULLS LAST, prev_txid, prev_vout`,
+      [txid]
+    ),
+    indexerPool.query(
+      `SELECT vout_index, address, value, spent_by_txid, spent_by_vin, spent_height
+       FROM outputs WHERE txid = $1
+       ORDER BY vout_index`,
+      [txid]
+    ),
+    getTipHeight(),
+  ]);
+
+  return {
+    ...formatTransactionSummary(tx),
+    block_height: tx.block_height,
+    block_hash: tx.block_hash,
+    timestamp: tx.timestamp,
+    confirmations: confirmations(tx.block_height, tip),
+    version: tx.version,
+    locktime: tx.locktime,
+    pool_flows: {
+      sprout_value_balance_zec: parseFloat(tx.sprout_value_balance),
+      sapling_value_balance_zec: parseFloat(tx.sapling_value_balance),
+      orchard_value_balance_zec: parseFloat(tx.orchard_value_balance),
+      transparent_in_zec: parseFloat(tx.transparent_in),
+      transparent_out_zec: parseFloat(tx.transparent_out),
+      joinsplits: tx.joinsplit_count,
+      sapling_spends: tx.sapling_spend_count,
+      sapling_outputs: tx.sapling_output_count,
+      orchard_actions: tx.orchard_action_count,
+    },
+    inputs: inputs.rows.map(input => ({
+      index: input.vin_index,
+      coinbase: input.prev_txid === null,
+      prev_txid: input.prev_txid,
+      prev_vout: input.prev_vout,
+      address: input.address,
+      value_zec: parseFloat(input.value),
+    })),
+    outputs: outputs.rows.map(output => ({
+      index: output.vout_index,
+      address: output.address,
+      value_zec: parseFloat(output.value),
+      spent: output.spent_by_txid !== null,
+      spent_by_txid: output.spent_by_txid,
+      spent_by_vin: output.spent_by_vin,
+      spent_height: output.spent_height,
+    })),
+    ...(includeRaw ? { raw: tx.raw } : {}),
+  };
+}
+
+function formatTransactionSummary(tx) {
+  return {
+    txid: tx.txid,
+    type: tx.tx_type,
+    is_shielded: tx.is_shielded,
+    flow_type: tx.flow_type,
+    fee_zec: tx.fee === null ? null : parseFloat(tx.fee),
+  };
+}
+
+/**
+ * Address totals maintained by the indexer
+ * @param {string} address - Transparent address
+ * @returns {Promise<Object|null>} Balance, null if the address never appeared on chain
+ */
+export async function getAddressBalance(address) {
+  const [result, tip] = await Promise.all([
+    indexerPool.query('SELECT * FROM addresses WHERE address = $1', [address]),
+    getTipHeight(),
+  ]);
+  const row = result.rows[0];
+  if (!row) {
+    return null;
+  }
+
+  return {
+    address: row.address,
+    balance_zec: parseFloat(row.balance),
+    received_zec: parseFloat(row.received),
+    sent_zec: parseFloat(row.sent),
+    tx_count: row.tx_count,
+    first_seen_height: row.first_seen_height,
+    last_seen_height: row.last_seen_height,
+    indexed_height: tip,
+  };
+}
+
+/**
+ * Transactions touching an address, newest first
+ * @param {string} address - Transparent address
+ * @param {Object} options - { limit, after: cursor key { height, txid } from the previous page }
+ * @returns {Promise<Object>} { items, next_cursor }
+ */
+export async function getAddressTransactions(address, { limit, after = null }) {
+  const params = [address, limit + 1];
+  let cursorClause = '';
+  if (after) {
+    params.push(after.height, after.txid);
+    cursorClause = 'AND (atx.height, atx.txid) < ($3, $4)';
+  }
+
+  const [result, tip] = await Promise.all([
+    indexerPool.query(
+      `SELECT atx.txid, atx.height, t.timestamp, t.tx_type, t.is_shielded, t.flow_type, t.fee,
+              (SELECT COALESCE(SUM(o.value), 0) FROM outputs o
+               WHERE o.txid = atx.txid AND o.address = atx.address) AS received,
+              (SELECT COALESCE(SUM(o.value), 0) FROM outputs o
+               WHERE o.spent_by_txid = atx.txid AND o.address = atx.address) AS sent
+       FROM address_transactions atx
+       JOIN transactions t ON t.txid = atx.txid
+       WHERE atx.address = $1 ${cursorClause}
+       ORDER BY atx.height DESC, atx.txid DESC
+       LIMIT $2`,
+      params
+    ),
+    getTipHeight(),
+  ]);
+
+  const page = paginate(result.rows, limit, row => ({ height: row.height, txid: row.txid }));
+
+  return {
+    items: page.items.map(row => {
+      const received = parseFloat(row.received);
+      const sent = parseFloat(row.sent);
+      return {
+        ...formatTransactionSummary(row),
+        block_height: row.height,
+        timestamp: row.timestamp,
+        confirmations: confirmations(row.height, tip),
+        received_zec: received,
+        sent_zec: sent,
+        net_zec: parseFloat((received - sent).toFixed(8)),
+      };
+    }),
+    next_cursor: page.next_cursor,
+  };
+}
+
+/**
+ * Daily shielded pool totals, oldest first
+ * `*_in` is value entering a pool, `*_out` value leaving it
+ * @param {Object} range - { from, to } as YYYY-MM-DD, both inclusive
+ * @returns {Promise<Array>} Days
+ */
+export async function getShieldedPoolDaily({ from, to }) {
+  const result = await indexerPool.query(
+    `SELECT day::text AS day, tx_count, transparent_count, shielding_count, deshielding_count,
+            fully_shielded_count, sprout_in, sprout_out, sapling_in, sapling_out, orchard_in, orchard_out
+     FROM shielded_pool_daily
+     WHERE day BETWEEN $1 AND $2
+     ORDER BY day`,
+    [from, to]
+  );
+
+  return result.rows.map(row => {
+    const pools = {};
+    for (const name of ['sprout', 'sapling', 'orchard']) {
+      const valueIn = parseFloat(row[`${name}_in`]);
+      const valueOut = parseFloat(row[`${name}_out`]);
+      pools[name] = {
+        in_zec: valueIn,
+        out_zec: valueOut,
+        net_zec: parseFloat((valueIn - valueOut).toFixed(8)),
+      };
+    }
+
+    return {
+      day: row.day,
+      tx_count: row.tx_count,
+      flows: {
+        transparent: row.transparent_count,
+        shielding: row.shielding_count,
+        deshielding: row.deshielding_count,
+        fully_shielded: row.fully_shielded_count,
+      },
+      pools,
+    };
+  });
+}
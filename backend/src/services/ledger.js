@@ -0,0 +1,270 @@
+/**
+ * Ledger
+ * Append-only double-entry journal. Every money movement posts its entries on
+ * the database client of the transaction that moves the money, so the ledger
+ * and the invoice/withdrawal rows can't disagree. Merchant balances are read
+ * from the merchant_balances view over the postings.
+ */
+
+import { pool } from '../config/appConfig.js';
+import {
+  assertBalanced,
+  invoicePaymentEntry,
+  withdrawalEntries,
+  refundEntries,
+  adjustmentEntry,
+  reversalEntry,
+  compareBalances,
+} from '../utils/ledgerEntries.js';
+import { INVOICE_TABLE, countsTowardsBalance } from '../invoices/sources.js';
+
+async function accountId(client, { code, type, userId = null }) {
+  const result = await client.query(
+    `INSERT INTO ledger_accounts (code, account_type, user_id)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (code) DO UPDATE SET code = EXCLUDED.code
+     RETURNING id`,
+    [code, type, userId]
+  );
+  return result.rows[0].id;
+}
+
+/**
+ * Post one journal entry
+ * @param {Object} client - Database client inside the transaction moving the money
+ * @param {Object} entry - { type, referenceTable, referenceId, description, postings: [{ account, amount_zec }] }
+ * @param {string} createdBy - Who posted it (manual adjustments)
+ * @returns {Promise<Object>} Entry row
+ * @throws {Error} If the postings don't balance
+ */
+export async function postEntry(client, entry, createdBy = null) {
+  assertBalanced(entry.postings);
+
+  const entryResult = await client.query(
+    `INSERT INTO ledger_entries (entry_type, reference_table, reference_id, description, created_by)
+     VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+    [entry.type, entry.referenceTable || null, entry.referenceId || null, entry.description || null, createdBy]
+  );
+  const row = entryResult.rows[0];
+
+  for (const posting of entry.postings) {
+    await client.query(
+      'INSERT INTO ledger_postings (entry_id, account_id, amount_zec) VALUES ($1, $2, $3)',
+      [row.id, await accountId(client, posting.account), posting.amount_zec]
+    );
+  }
+
+  return row;
+}
+
+/**
+ * Post a paid invoice
+ * @param {Object} client - Database client inside the transaction marking it paid
+ * @param {Object} invoice - Paid invoice row
+ * @returns {Promise<Object|null>} Entry row, or null for sources outside the balance
+ */
+export async function postInvoicePayment(client, invoice) {
+  if (!countsTowardsBalance(invoice)) {
+    return null;
+  }
+  return await postEntry(client, invoicePaymentEntry(INVOICE_TABLE, invoice));
+}
+
+/**
+ * Reverse whatever is still posted for a paid invoice (reorged payment)
+ * @param {Object} client - Database client inside the transaction reverting it
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<Object|null>} Entry row, or null when nothing was posted
+ */
+export async function reverseInvoicePayment(client, invoiceId) {
+  const reference = { referenceTable: INVOICE_TABLE, referenceId: String(invoiceId) };
+  const balances = await client.query(
+    `SELECT a.code, a.account_type, a.user_id, SUM(p.amount_zec) AS amount_zec
+     FROM ledger_entries e
+     JOIN ledger_postings p ON p.entry_id = e.id
+     JOIN ledger_accounts a ON a.id = p.account_id
+     WHERE e.reference_table = $1 AND e.reference_id = $2
+       AND e.entry_type IN ('invoice_payment', 'payment_reversal')
+     GROUP BY a.code, a.account_type, a.user_id`,
+    [reference.referenceTable, reference.referenceId]
+  );
+
+  const entry = reversalEntry('payment_reversal', reference, balances.rows);
+  return entry ? await postEntry(client, entry) : null;
+}
+
+/**
+ * Post a sent withdrawal, its platform fee and the transaction fee
+ * @param {Object} client - Database client inside the transaction marking it sent
+ * @param {Object} withdrawal - Withdrawal row
+ * @param {Object} options - { treasury, networkFee }, see withdrawalEntries
+ * @returns {Promise<Array>} Entry rows
+ */
+export async function postWithdrawal(client, withdrawal, options) {
+  const rows = [];
+  for (const entry of withdrawalEntries(withdrawal, options)) {
+    rows.push(await postEntry(client, entry));
+  }
+  return rows;
+}
+
+/**
+ * Post a sent refund and its transaction fee
+ * @param {Object} client - Database client inside the transaction marking it sent
+ * @param {Object} refund - Refund row
+ * @param {Object} options - { networkFee }
+ * @returns {Promise<Array>} Entry rows
+ */
+export async function postRefund(client, refund, options) {
+  const rows = [];
+  for (const entry of refundEntries(refund, options)) {
+    rows.push(await postEntry(client, entry));
+  }
+  return rows;
+}
+
+/**
+ * Credit (positive amount) or debit (negative) a merchant balance by hand
+ * @param {Object} adjustment - { userId, amount, reason, createdBy }
+ * @returns {Promise<Object>} Entry with its postings
+ */
+export async function postAdjustment({ userId, amount, reason, createdBy = null }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const entry = await postEntry(client, adjustmentEntry(userId, amount, reason), createdBy);
+    await client.query('COMMIT');
+    return await getEntry(entry.id);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+const ENTRY_SELECT = `
+  SELECT e.*,
+    json_agg(json_build_object(
+      'account', a.code,
+      'account_type', a.account_type,
+      'user_id', a.user_id,
+      'amount_zec', p.amount_zec
+    ) ORDER BY p.id) AS postings
+  FROM ledger_entries e
+  JOIN ledger_postings p ON p.entry_id = e.id
+  JOIN ledger_accounts a ON a.id = p.account_id`;
+
+async function getEntry(entryId) {
+  const result = await pool.query(`${ENTRY_SELECT} WHERE e.id = $1 GROUP BY e.id`, [entryId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * Journal entries, newest first
+ * @param {Object} filters - { userId: entries touching the merchant's account, type, limit, offset }
+ * @returns {Promise<Array>} Entries with postings
+ */
+export async function listEntries({ userId, type, limit = 50, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (userId) {
+    params.push(userId);
+    conditions.push(`e.id IN (
+      SELECT p2.entry_id FROM ledger_postings p2
+      JOIN ledger_accounts a2 ON a2.id = p2.account_id
+      WHERE a2.user_id = $${params.length})`);
+  }
+  if (type) {
+    params.push(type);
+    conditions.push(`e.entry_type = $${params.length}`);
+  }
+
+  params.push(limit, offset);
+  const result = await pool.query(
+    `${ENTRY_SELECT}
+     ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+     GROUP BY e.id
+     ORDER BY e.id DESC
+     LIMIT $${params.length - 1} OFFSET $${params.length}`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Format an entry for the API
+ * @param {Object} entry - Entry row with postings
+ * @returns {Object} Entry
+ */
+export function formatEntry(entry) {
+  return {
+    id: Number(entry.id),
+    type: entry.entry_type,
+    reference_table: entry.reference_table,
+    reference_id: entry.reference_id,
+    description: entry.description,
+    created_by: entry.created_by,
+    created_at: entry.created_at,
+    postings: entry.postings.map(posting => ({
+      account: posting.account,
+      account_type: posting.account_type,
+      user_id: posting.user_id,
+      amount_zec: parseFloat(posting.amount_zec),
+    })),
+  };
+}
+
+/**
+ * Compare the ledger with the user_balances view and check that it balances
+ * @param {Object} options - { includeMatching: list merchants whose balances agree too }
+ * @returns {Promise<Object>} Reconciliation report
+ */
+export async function reconcileBalances({ includeMatching = false } = {}) {
+  const balances = await pool.query(
+    `SELECT m.id, m.email,
+       m.available_balance_zec AS ledger_balance_zec,
+       b.available_balance_zec AS view_balance_zec
+     FROM merchant_balances m
+     LEFT JOIN user_balances b ON b.id = m.id
+     ORDER BY m.id`
+  );
+  const comparison = compareBalances(balances.rows);
+
+  const accounts = await pool.query(
+    `SELECT a.code, a.account_type, COALESCE(SUM(p.amount_zec), 0) AS balance_zec
+     FROM ledger_accounts a
+     LEFT JOIN ledger_postings p ON p.account_id = a.id
+     WHERE a.user_id IS NULL
+     GROUP BY a.code, a.account_type
+     ORDER BY a.code`
+  );
+  const totals = await pool.query(
+    `SELECT
+       COALESCE(SUM(amount_zec), 0) AS total_zec,
+       COUNT(DISTINCT entry_id) AS entries
+     FROM ledger_postings`
+  );
+  const unbalanced = await pool.query(
+    `SELECT entry_id FROM ledger_postings GROUP BY entry_id HAVING SUM(amount_zec) <> 0`
+  );
+
+  return {
+    checked_at: new Date().toISOString(),
+    balanced: parseFloat(totals.rows[0].total_zec) === 0 && unbalanced.rows.length === 0,
+    entries: parseInt(totals.rows[0].entries),
+    unbalanced_entries: unbalanced.rows.map(row => Number(row.entry_id)),
+    platform_accounts: accounts.rows.map(account => ({
+      account: account.code,
+      account_type: account.account_type,
+      balance_zec: parseFloat(account.balance_zec),
+    })),
+    merchants_checked: comparison.merchants.length,
+    mismatched: comparison.mismatched,
+    totals: comparison.totals,
+    merchants: includeMatching
+      ? comparison.merchants
+      : comparison.merchants.filter(merchant => !merchant.matches),
+  };
+}
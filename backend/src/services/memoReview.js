@@ -0,0 +1,109 @@
+/**
+ * Memo review queue
+ * Payments whose memo matched no pending invoice wait here until an admin
+ * assigns them to an invoice or dismisses them
+ */
+
+import { pool } from '../config/appConfig.js';
+import { INVOICE_TABLE } from '../invoices/sources.js';
+
+/**
+ * Assign a queued payment to an invoice
+ * The payment is recorded in invoice_payments (matched_by = 'manual'); a pending
+ * invoice is then settled by the next /check or payment watcher pass
+ * @param {string} reviewId - memo_review_queue ID
+ * @param {Object} target - { invoiceId, note }
+ * @returns {Promise<Object|null>} { review, payment }, or null if the entry is not open.
+ *   `payment` is null when the output was already attributed elsewhere.
+ */
+export async function assignMemoReview(reviewId, { invoiceId, note = null }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const reviewResult = await client.query(
+      `SELECT * FROM memo_review_queue WHERE id = $1 AND status = 'open' FOR UPDATE`,
+      [reviewId]
+    );
+    const review = reviewResult.rows[0];
+    if (!review) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const paymentResult = await client.query(
+      `INSERT INTO invoice_payments (
+        invoice_table, invoice_id, address, txid, output_index,
+        amount_zec, block_height, matched_by, source, seen_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, 'manual', $8, $9)
+      ON CONFLICT (txid, output_index, address) DO NOTHING
+      RETURNING *`,
+      [
+        INVOICE_TABLE, invoiceId, review.address, review.txid, review.output_index,
+        review.amount_zec, review.block_height, review.source, review.created_at,
+      ]
+    );
+    const payment = paymentResult.rows[0] || null;
+    if (!payment) {
+      await client.query('ROLLBACK');
+      return { review, payment: null };
+    }
+
+    const updated = await client.query(
+      `UPDATE memo_review_queue
+       SET status = 'assigned', invoice_table = $1, invoice_id = $2,
+           resolution_note = $3, resolved_at = NOW()
+       WHERE id = $4 RETURNING *`,
+      [INVOICE_TABLE, invoiceId, note, reviewId]
+    );
+
+    await client.query('COMMIT');
+    return { review: updated.rows[0], payment };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Dismiss a queued payment (refunded off-platform, spam, ...)
+ * @param {string} reviewId - memo_review_queue ID
+ * @param {string} note - Why it was dismissed
+ * @returns {Promise<Object|null>} Updated row, or null if the entry is not open
+ */
+export async function dismissMemoReview(reviewId, note = null) {
+  const result = await pool.query(
+    `UPDATE memo_review_queue
+     SET status = 'dismissed', resolution_note = $1, resolved_at = NOW()
+     WHERE id = $2 AND status = 'open' RETURNING *`,
+    [note, reviewId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Format a review queue row for API responses
+ * @param {Object} review - memo_review_queue row
+ * @returns {Object} Public review fields
+ */
+export function formatMemoReview(review) {
+  return {
+    id: review.id,
+    address: review.address,
+    txid: review.txid,
+    output_index: review.output_index,
+    amount_zec: parseFloat(review.amount_zec),
+    block_height: review.block_height,
+    memo: review.memo,
+    reference: review.reference,
+    source: review.source,
+    status: review.status,
+    invoice_table: review.invoice_table,
+    invoice_id: review.invoice_id,
+    resolution_note: review.resolution_note,
+    resolved_at: review.resolved_at,
+    created_at: review.created_at,
+  };
+}
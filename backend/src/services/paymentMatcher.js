@@ -0,0 +1,446 @@
+/**
+ * Payment matching
+ * Finds the real outputs paying an invoice address and records which
+ * invoice each one belongs to in invoice_payments
+ */
+
+import { pool, indexerPool, config } from '../config/appConfig.js';
+import {
+  getReceivedByAddress,
+  getAddressTxids,
+  getRawTransaction,
+  getBlockCount,
+} from '../config/zcash.js';
+import {
+  attributeOutputs,
+  decodeMemo,
+  fromZatoshi,
+} from '../utils/paymentAttribution.js';
+import { findReferences } from '../utils/memoReference.js';
+import {
+  OPEN_STATUSES,
+  requiredConfirmations,
+  evaluateSettlement,
+  confirmationsAt,
+} from '../utils/confirmationPolicy.js';
+import { toleranceFor } from '../utils/paymentTolerance.js';
+import { getNotesForAddress } from './shieldedScanner.js';
+import { getPaymentSettings } from './paymentSettings.js';
+import { INVOICE_TABLE } from '../invoices/sources.js';
+
+/**
+ * Classify an address by how its payments are looked up
+ * @param {string} address - Payment address
+ * @returns {string|null} 'transparent', 'shielded', or null if it can't be watched
+ */
+export function getWatchType(address) {
+  if (!address || typeof address !== 'string') {
+    return null;
+  }
+  if (/^t[13m2]/.test(address)) {
+    return 'transparent';
+  }
+  if (/^(zs1|ztestsapling1|u1|utest1|zc)/.test(address)) {
+    return 'shielded';
+  }
+  // Placeholders (webzjs_placeholder, devtool_placeholder, ...)
+  return null;
+}
+
+/**
+ * Fetch outputs paying a transparent address
+ * Uses the indexer database when INDEXER_DB_URL is set, node RPC otherwise
+ * @param {string} address - Transparent address
+ * @param {number} minconf - Minimum confirmations
+ * @param {Set<string>} knownTxids - Mined transactions already recorded (skipped on RPC)
+ * @returns {Promise<Array>} Outputs
+ */
+async function fetchTransparentOutputs(address, minconf, knownTxids) {
+  if (indexerPool) {
+    const result = await indexerPool.query(
+      `SELECT o.txid, o.vout_index, o.value, t.block_height, t.timestamp, b.hash AS block_hash,
+              (SELECT MAX(height) FROM blocks) - t.block_height + 1 AS confirmations
+       FROM outputs o
+       JOIN transactions t ON t.txid = o.txid
+       LEFT JOIN blocks b ON b.height = t.block_height
+       WHERE o.address = $1`,
+      [address]
+    );
+
+    return result.rows
+      .filter(row => parseInt(row.confirmations) >= minconf)
+      .map(row => ({
+        txid: row.txid,
+        vout: row.vout_index,
+        amount: parseFloat(row.value),
+        block_height: row.block_height,
+        block_hash: row.block_hash,
+        timestamp: row.timestamp,
+        memo: null,
+        source: 'indexer',
+      }));
+  }
+
+  const txids = await getAddressTxids(address);
+  const tip = await getBlockCount();
+  const outputs = [];
+
+  for (const txid of txids) {
+    if (knownTxids.has(txid)) continue;
+
+    const tx = await getRawTransaction(txid);
+    const confirmations = tx.confirmations ?? (tx.height ? tip - tx.height + 1 : 0);
+    if (confirmations < minconf) continue;
+
+    for (const [index, vout] of (tx.vout || []).entries()) {
+      const addresses = vout.scriptPubKey?.addresses || [];
+      if (!addresses.includes(address)) continue;
+
+      outputs.push({
+        txid,
+        vout: vout.n ?? index,
+        amount: vout.valueZat !== undefined ? fromZatoshi(vout.valueZat) : vout.value,
+        block_height: tx.height ?? (confirmations > 0 ? tip - confirmations + 1 : null),
+        block_hash: tx.blockhash || null,
+        timestamp: tx.blocktime || tx.time ? new Date((tx.blocktime || tx.time) * 1000) : null,
+        memo: null,
+        source: 'node',
+      });
+    }
+  }
+
+  return outputs;
+}
+
+/**
+ * Fetch notes received by a shielded or unified address
+ * Uses notes found by the shielded scanner when it is enabled, the node wallet otherwise
+ * @param {string} address - Shielded or unified address
+ * @param {number} minconf - Minimum confirmations
+ * @returns {Promise<Array>} Outputs
+ */
+async function fetchShieldedOutputs(address, minconf) {
+  if (config.shieldedScanner.enabled) {
+    const scanned = await getNotesForAddress(address, minconf);
+    return scanned.map(note => ({
+      txid: note.txid,
+      vout: note.output_index,
+      amount: fromZatoshi(Number(note.value_zat)),
+      block_height: note.block_height,
+      timestamp: note.block_time,
+      memo: decodeMemo(note.memo),
+      source: 'scanner',
+    }));
+  }
+
+  const notes = await getReceivedByAddress(address, minconf);
+
+  return notes
+    .filter(note => !note.change)
+    .map(note => ({
+      txid: note.txid,
+      vout: note.outindex ?? note.jsoutindex ?? note.outputIndex ?? 0,
+      amount: note.amountZat !== undefined ? fromZatoshi(note.amountZat) : note.amount,
+      block_height: note.blockheight ?? null,
+      timestamp: note.blocktime ? new Date(note.blocktime * 1000) : null,
+      memo: decodeMemo(note.memo),
+      source: 'wallet',
+    }));
+}
+
+/**
+ * Look up the indexed block hash of outputs whose source doesn't report one,
+ * so reorgs can be detected later (needs INDEXER_DB_URL)
+ * @param {Array} outputs - Outputs with block_height
+ */
+async function attachBlockHashes(outputs) {
+  const heights = [...new Set(
+    outputs
+      .filter(output => output.block_height !== null && output.block_height !== undefined && !output.block_hash)
+      .map(output => output.block_height)
+  )];
+  if (!indexerPool || heights.length === 0) {
+    return;
+  }
+
+  const result = await indexerPool.query(
+    'SELECT height, hash FROM blocks WHERE height = ANY($1)',
+    [heights]
+  );
+  const hashes = new Map(result.rows.map(row => [row.height, row.hash]));
+  for (const output of outputs) {
+    if (!output.block_hash && hashes.has(output.block_height)) {
+      output.block_hash = hashes.get(output.block_height);
+    }
+  }
+}
+
+/**
+ * Record the block of payments that were first seen unmined; seen_at keeps
+ * the earlier of the block time and when the payment was first seen
+ * @param {string} address - Payment address
+ * @param {Array} outputs - Outputs already in invoice_payments
+ * @param {Map<string, Object>} claimed - Recorded rows by "txid:output_index"
+ */
+async function refreshPaymentBlocks(address, outputs, claimed) {
+  for (const output of outputs) {
+    const row = claimed.get(`${output.txid}:${output.vout}`);
+    if (output.block_height === null || output.block_height === undefined) continue;
+    if (row.block_height === output.block_height && (row.block_hash || !output.block_hash)) continue;
+
+    await pool.query(
+      `UPDATE invoice_payments
+       SET block_height = $1, block_hash = COALESCE($2, block_hash), seen_at = LEAST(seen_at, COALESCE($3, seen_at))
+       WHERE txid = $4 AND output_index = $5 AND address = $6`,
+      [output.block_height, output.block_hash || null, output.timestamp || null, output.txid, output.vout, address]
+    );
+  }
+}
+
+/**
+ * Forget unmined payments the node no longer reports (double-spent or evicted
+ * from the mempool), so their invoice can fall back to pending
+ * @param {string} address - Payment address
+ * @param {Array} rows - Recorded invoice_payments rows for the address
+ * @param {Array} outputs - Outputs currently reported, unmined ones included
+ */
+async function dropVanishedPayments(address, rows, outputs) {
+  const reported = new Set(outputs.map(output => `${output.txid}:${output.vout}`));
+  for (const row of rows) {
+    if (row.block_height !== null || reported.has(`${row.txid}:${row.output_index}`)) continue;
+
+    await pool.query(
+      `DELETE FROM invoice_payments
+       WHERE txid = $1 AND output_index = $2 AND address = $3 AND block_height IS NULL`,
+      [row.txid, row.output_index, address]
+    );
+    console.warn(`Unmined payment ${row.txid}:${row.output_index} to ${address} disappeared, dropped it`);
+  }
+}
+
+/**
+ * Load every open invoice (pending, detected or confirming) paying to an address
+ * An address is unique to its invoice when no other invoice ever used it and
+ * it isn't the platform treasury, which also receives withdrawal fees
+ * @param {string} address - Payment address
+ * @returns {Promise<Array>} Invoices with `key` and `unique_address`
+ */
+async function getPendingInvoicesForAddress(address) {
+  // require_memo only binds invoices that have a code to put in the memo
+  const result = await pool.query(
+    `SELECT i.id, i.amount_zec, i.created_at, i.payment_reference AS reference,
+            COALESCE(p.require_memo, FALSE) AND i.payment_reference IS NOT NULL AS require_memo,
+            i.payment_address IS DISTINCT FROM $3
+              AND NOT EXISTS (
+                SELECT 1 FROM invoices o WHERE o.payment_address = i.payment_address AND o.id <> i.id
+              ) AS unique_address
+     FROM invoices i
+     LEFT JOIN user_payment_preferences p ON p.user_id = i.user_id
+     WHERE i.payment_address = $1 AND i.status = ANY($2)`,
+    [address, OPEN_STATUSES, config.platformTreasuryAddress || null]
+  );
+
+  return result.rows.map(row => ({ ...row, key: row.id }));
+}
+
+/**
+ * Transactions the platform sent itself: withdrawals, withdrawal batches and
+ * refunds. Their fee and change outputs can land on a watched address.
+ * @param {Array<string>} txids - Candidate txids
+ * @returns {Promise<Set<string>>} The platform's own txids among them
+ */
+async function findOwnTxids(txids) {
+  const result = await pool.query(
+    `SELECT txid FROM withdrawals WHERE txid = ANY($1)
+     UNION SELECT txid FROM withdrawal_batches WHERE txid = ANY($1)
+     UNION SELECT txid FROM refunds WHERE txid = ANY($1)`,
+    [txids]
+  );
+  return new Set(result.rows.map(row => row.txid));
+}
+
+/**
+ * Put unattributed outputs that carry a memo in the review queue
+ * @param {string} address - Payment address
+ * @param {Array} outputs - Unattributed outputs
+ */
+async function queueMemoReview(address, outputs) {
+  for (const output of outputs.filter(o => o.memo)) {
+    await pool.query(
+      `INSERT INTO memo_review_queue (
+        address, txid, output_index, amount_zec, block_height, memo, reference, source
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (txid, output_index, address) DO NOTHING`,
+      [
+        address, output.txid, output.vout, output.amount, output.block_height,
+        output.memo, findReferences(output.memo)[0] || null, output.source,
+      ]
+    );
+  }
+}
+
+/**
+ * Attribute new outputs on an address to its open invoices
+ * Outputs already recorded are never attributed again, but their block is
+ * updated once they are mined
+ * @param {string} address - Payment address
+ * @param {Object} options - { minconf }
+ * @returns {Promise<Object>} { recorded, unattributed }
+ */
+export async function matchAddressPayments(address, { minconf = 0 } = {}) {
+  const watchType = getWatchType(address);
+  if (!watchType) {
+    return { recorded: 0, unattributed: [] };
+  }
+
+  const invoices = await getPendingInvoicesForAddress(address);
+  if (invoices.length === 0) {
+    return { recorded: 0, unattributed: [] };
+  }
+
+  const claimedResult = await pool.query(
+    'SELECT txid, output_index, block_height, block_hash FROM invoice_payments WHERE address = $1',
+    [address]
+  );
+  const claimed = new Map(claimedResult.rows.map(row => [`${row.txid}:${row.output_index}`, row]));
+  const knownTxids = new Set(
+    claimedResult.rows.filter(row => row.block_height !== null).map(row => row.txid)
+  );
+
+  const outputs = watchType === 'transparent'
+    ? await fetchTransparentOutputs(address, minconf, knownTxids)
+    : await fetchShieldedOutputs(address, minconf);
+  await attachBlockHashes(outputs);
+
+  const isClaimed = output => claimed.has(`${output.txid}:${output.vout}`);
+  await refreshPaymentBlocks(address, outputs.filter(isClaimed), claimed);
+  if (minconf === 0) {
+    await dropVanishedPayments(address, claimedResult.rows, outputs);
+  }
+
+  const unclaimed = outputs.filter(output => !isClaimed(output));
+  if (unclaimed.length === 0) {
+    return { recorded: 0, unattributed: [] };
+  }
+
+  const ownTxids = await findOwnTxids([...new Set(unclaimed.map(output => output.txid))]);
+  const { assignments, unattributed } = attributeOutputs(invoices, unclaimed, { ownTxids });
+  let recorded = 0;
+
+  for (const invoice of invoices) {
+    for (const output of assignments.get(invoice.key) || []) {
+      // UNIQUE (txid, output_index, address) keeps concurrent checks from double-claiming
+      const result = await pool.query(
+        `INSERT INTO invoice_payments (
+          invoice_table, invoice_id, address, txid, output_index,
+          amount_zec, block_height, block_hash, matched_by, source, seen_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, NOW()))
+        ON CONFLICT (txid, output_index, address) DO NOTHING`,
+        [
+          INVOICE_TABLE, invoice.id, address, output.txid, output.vout,
+          output.amount, output.block_height, output.block_hash || null,
+          output.matched_by, output.source, output.timestamp || null,
+        ]
+      );
+      recorded += result.rowCount;
+    }
+  }
+
+  if (unattributed.length > 0) {
+    console.warn(`${unattributed.length} payment(s) to ${address} could not be attributed to an invoice`);
+    await queueMemoReview(address, unattributed);
+  }
+
+  return { recorded, unattributed };
+}
+
+/**
+ * Get payments recorded for an invoice
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<Array>} invoice_payments rows, oldest first
+ */
+export async function getInvoicePayments(invoiceId) {
+  const result = await pool.query(
+    `SELECT * FROM invoice_payments
+     WHERE invoice_table = $1 AND invoice_id = $2
+     ORDER BY block_height ASC NULLS LAST, created_at ASC`,
+    [INVOICE_TABLE, String(invoiceId)]
+  );
+  return result.rows;
+}
+
+/**
+ * Current chain height, from the indexer when it is configured
+ * @returns {Promise<number|null>} Tip height
+ */
+export async function getChainTip() {
+  if (indexerPool) {
+    const result = await indexerPool.query('SELECT MAX(height) AS tip FROM blocks');
+    return result.rows[0].tip;
+  }
+  return await getBlockCount();
+}
+
+/**
+ * Evaluate an invoice's recorded payments against the confirmation policy
+ * @param {Object} invoice - Invoice row
+ * @param {Object} options - { tip: chain height, looked up when omitted }
+ * @returns {Promise<Object>} evaluateSettlement result plus { payments }
+ */
+export async function evaluateInvoicePayments(invoice, { tip } = {}) {
+  const payments = await getInvoicePayments(invoice.id);
+  const required = requiredConfirmations(config.confirmations, {
+    invoiceType: invoice.source,
+    amountZec: invoice.amount_zec,
+  });
+  const chainTip = tip !== undefined ? tip : payments.length > 0 ? await getChainTip() : null;
+  const tolerance = payments.length > 0
+    ? toleranceFor(invoice.amount_zec, await getPaymentSettings(invoice.user_id))
+    : 0;
+
+  return {
+    ...evaluateSettlement(invoice.amount_zec, payments, { required, tip: chainTip, tolerance }),
+    payments: payments.map(payment => formatPayment(payment, chainTip)),
+  };
+}
+
+/**
+ * Match new payments for an invoice's address and evaluate what it received
+ * Unmined payments are recorded too; `status` says whether the invoice is
+ * detected, confirming or paid under the confirmation policy
+ * @param {Object} invoice - Invoice row
+ * @param {Object} options - { minconf }
+ * @returns {Promise<Object>} { status, paid, received, txid, confirmations, required_confirmations,
+ *   overpaid_zec, underpaid_zec, remaining_zec, tolerance_zec, payments }
+ */
+export async function checkInvoicePayment(invoice, { minconf = 0 } = {}) {
+  if (OPEN_STATUSES.includes(invoice.status)) {
+    await matchAddressPayments(invoice.payment_address, { minconf });
+  }
+
+  return await evaluateInvoicePayments(invoice);
+}
+
+/**
+ * Format a payment row for API responses
+ * @param {Object} payment - invoice_payments row
+ * @param {number|null} tip - Chain height, for the confirmation count
+ * @returns {Object} Public payment fields
+ */
+export function formatPayment(payment, tip = null) {
+  return {
+    txid: payment.txid,
+    output_index: payment.output_index,
+    amount_zec: parseFloat(payment.amount_zec),
+    block_height: payment.block_height,
+    confirmations: confirmationsAt(payment.block_height, tip),
+    matched_by: payment.matched_by,
+    detected_at: payment.created_at,
+    seen_at: payment.seen_at,
+    // How the payment counted towards the invoice, set once it is paid
+    ...(payment.applied_zec !== null && payment.applied_zec !== undefined && {
+      applied_zec: parseFloat(payment.applied_zec),
+      excess_zec: parseFloat(payment.excess_zec),
+    }),
+  };
+}
@@ -0,0 +1,61 @@
+/**
+ * Merchant payment settings
+ * Underpayment tolerance and overpayment policy per merchant, falling back to
+ * the platform defaults in config.paymentSettings
+ */
+
+import { pool, config } from '../config/appConfig.js';
+import { resolvePaymentSettings } from '../utils/paymentTolerance.js';
+
+const SETTING_COLUMNS = {
+  tolerance_percent: 'payment_tolerance_percent',
+  tolerance_zec: 'payment_tolerance_zec',
+  overpayment_policy: 'overpayment_policy',
+};
+
+/**
+ * Effective payment settings of a merchant
+ * @param {string} userId - User ID
+ * @param {Object} db - Pool or client
+ * @returns {Promise<Object>} { tolerance_percent, tolerance_zec, overpayment_policy }
+ */
+export async function getPaymentSettings(userId, db = pool) {
+  const result = await db.query(
+    `SELECT payment_tolerance_percent, payment_tolerance_zec, overpayment_policy
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+  return resolvePaymentSettings(result.rows[0] || null, config.paymentSettings);
+}
+
+/**
+ * Change a merchant's settings; settings passed as null go back to the default
+ * @param {string} userId - User ID
+ * @param {Object} settings - Any of { tolerance_percent, tolerance_zec, overpayment_policy }
+ * @returns {Promise<Object|null>} Effective settings, or null when the user doesn't exist
+ */
+export async function updatePaymentSettings(userId, settings) {
+  const assignments = [];
+  const params = [];
+  for (const [field, column] of Object.entries(SETTING_COLUMNS)) {
+    if (settings[field] !== undefined) {
+      params.push(settings[field]);
+      assignments.push(`${column} = $${params.length}`);
+    }
+  }
+
+  params.push(userId);
+  const result = await pool.query(
+    assignments.length > 0
+      ? `UPDATE users SET ${assignments.join(', ')} WHERE id = $${params.length}
+         RETURNING payment_tolerance_percent, payment_tolerance_zec, overpayment_policy`
+      : `SELECT payment_tolerance_percent, payment_tolerance_zec, overpayment_policy
+         FROM users WHERE id = $1`,
+    params
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+  return resolvePaymentSettings(result.rows[0], config.paymentSettings);
+}
@@ -0,0 +1,385 @@
+/**
+ * Background payment watcher
+ * Settles pending invoices from every payment system without client polling
+ */
+
+import { EventEmitter } from 'events';
+import { pool, indexerPool, config } from '../config/appConfig.js';
+import {
+  getWatchType,
+  matchAddressPayments,
+  evaluateInvoicePayments,
+  getChainTip,
+} from './paymentMatcher.js';
+import { OPEN_STATUSES, UNPAID_STATUSES } from '../utils/confirmationPolicy.js';
+import { formatQuote } from '../utils/fiatQuote.js';
+import { applySettlement, detectReorgs, expireInvoice } from './settlement.js';
+import { dispatchWebhookEvent } from './webhooks.js';
+import { scanShieldedBlocks } from './shieldedScanner.js';
+
+let activeWatcher = null;
+
+/**
+ * Watches open invoices and moves them through detected, confirming and
+ * paid, expires unpaid ones and reverts invoices whose payment was reorged out
+ *
+ * Events:
+ * - `invoice.partially_paid` { source, invoice } (something received, short of the amount)
+ * - `invoice.detected`   { source, invoice } (enough received, not all mined)
+ * - `invoice.confirming` { source, invoice } (mined, waiting for confirmations)
+ * - `invoice.paid`       { source, invoice }
+ * - `invoice.expired`    { source, invoice } (received_amount and remaining_zec when partially paid)
+ * - `invoice.reorged`    { source, invoice } (back to pending, invoice.previous_status)
+ * - `chain.reorg`     { id, fork_height, old_tip_height, old_tip_hash, ... } (indexer rolled back, a scan follows)
+ * - `payment.unattributed` { address, outputs }
+ * - `shielded.scan`   { from_height, to_height, blocks, notes, ... } (shielded scanner enabled)
+ * - `scan`            { checked, partially_paid, detected, confirming, paid, expired, reorged, skipped, duration_ms }
+ * - `error`           Error (only emitted when a listener is attached)
+ */
+export class PaymentWatcher extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.db = options.db || pool;
+    this.interval = options.interval || config.paymentWatcher.interval;
+    this.invoiceTtlMinutes = options.invoiceTtlMinutes || config.paymentWatcher.invoiceTtlMinutes;
+    this.partialPaymentGraceMinutes = options.partialPaymentGraceMinutes || config.paymentWatcher.partialPaymentGraceMinutes;
+    this.batchSize = options.batchSize || config.paymentWatcher.batchSize;
+    this.timer = null;
+    this.scanning = false;
+    this.reorgListener = null;
+  }
+
+  /**
+   * Start scanning on an interval
+   * @param {Object} options - { keepAlive: keep the process running (standalone mode) }
+   */
+  start({ keepAlive = false } = {}) {
+    if (this.timer) {
+      return;
+    }
+
+    const tick = async () => {
+      // Skip the tick if the previous scan is still running
+      if (this.scanning) return;
+      try {
+        await this.scanOnce();
+      } catch (error) {
+        this.reportError(error);
+      }
+    };
+
+    this.timer = setInterval(tick, this.interval);
+    if (!keepAlive) {
+      this.timer.unref();
+    }
+
+    tick();
+    this.listenForReorgs(tick);
+  }
+
+  /**
+   * Stop scanning
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.reorgListener) {
+      this.reorgListener.release();
+      this.reorgListener = null;
+    }
+  }
+
+  /**
+   * Scan as soon as the indexer reports a rollback instead of waiting for the next tick
+   * @param {Function} tick - Scan callback
+   */
+  async listenForReorgs(tick) {
+    if (!indexerPool) {
+      return;
+    }
+
+    try {
+      const client = await indexerPool.connect();
+      if (!this.timer) {
+        // Stopped while connecting
+        client.release();
+        return;
+      }
+
+      client.on('notification', message => {
+        let event = {};
+        try {
+          event = JSON.parse(message.payload);
+        } catch {
+          // Payload is informational, the scan re-checks the chain itself
+        }
+        this.emit('chain.reorg', event);
+        tick();
+      });
+      client.on('error', error => {
+        this.reportError(new Error(`Reorg listener failed: ${error.message}`));
+      });
+
+      await client.query('LISTEN indexer_reorg');
+      this.reorgListener = client;
+    } catch (error) {
+      this.reportError(new Error(`Reorg listener failed: ${error.message}`));
+    }
+  }
+
+  /**
+   * Run a single pass over every open invoice
+   * @returns {Promise<Object>} Scan statistics
+   */
+  async scanOnce() {
+    this.scanning = true;
+    const startedAt = Date.now();
+    const stats = {
+      checked: 0, partially_paid: 0, detected: 0, confirming: 0, paid: 0, expired: 0, reorged: 0, skipped: 0,
+    };
+
+    try {
+      // Undo payments whose block the indexer no longer has before settling anything
+      try {
+        const { reverted } = await detectReorgs();
+        for (const invoice of reverted) {
+          stats.reorged++;
+          this.emit('invoice.reorged', { source: invoice.source, invoice });
+        }
+      } catch (error) {
+        this.reportError(new Error(`Reorg check failed: ${error.message}`));
+      }
+
+      // Decrypt newly indexed blocks first so shielded invoices see their notes
+      if (config.shieldedScanner.enabled) {
+        try {
+          this.emit('shielded.scan', await scanShieldedBlocks());
+        } catch (error) {
+          this.reportError(new Error(`Shielded scan failed: ${error.message}`));
+        }
+      }
+
+      // Page through every open invoice so a backlog of old ones can't crowd out new ones
+      const matched = new Set();
+      let tip;
+      let cursor = null;
+
+      do {
+        const page = await this.getPendingInvoices(cursor);
+        cursor = page.length === this.batchSize ? page[page.length - 1] : null;
+
+        // Match new outputs once per address per scan, shared addresses included
+        const addresses = new Set(
+          page
+            .map(invoice => invoice.payment_address)
+            .filter(address => getWatchType(address) && !matched.has(address))
+        );
+
+        for (const address of addresses) {
+          matched.add(address);
+          try {
+            stats.checked++;
+            const { unattributed } = await matchAddressPayments(address);
+            if (unattributed.length > 0) {
+              this.emit('payment.unattributed', { address, outputs: unattributed });
+            }
+          } catch (error) {
+            matched.delete(address);
+            this.reportError(new Error(`Failed to match payments for ${address}: ${error.message}`));
+          }
+        }
+
+        if (tip === undefined && page.length > 0) {
+          tip = await getChainTip();
+        }
+
+        for (const invoice of page) {
+          await this.checkPendingInvoice(invoice, { matched, tip, stats });
+        }
+      } while (cursor);
+    } finally {
+      this.scanning = false;
+    }
+
+    stats.duration_ms = Date.now() - startedAt;
+    this.emit('scan', stats);
+    return stats;
+  }
+
+  /**
+   * Settle one open invoice and expire it if it is still unpaid past its expiry
+   * @param {Object} invoice - Row from getPendingInvoices
+   * @param {Object} scan - { matched: addresses matched this scan, tip, stats }
+   */
+  async checkPendingInvoice(invoice, { matched, tip, stats }) {
+    try {
+      let current = invoice;
+      let payment = null;
+
+      if (matched.has(invoice.payment_address)) {
+        payment = await evaluateInvoicePayments(invoice, { tip });
+        const { invoice: updated, transition } = await applySettlement(invoice, payment);
+
+        if (transition && transition !== 'pending') {
+          stats[transition]++;
+          this.emit(`invoice.${transition}`, {
+            source: invoice.source,
+            invoice: { ...updated, ...formatPaymentProgress(transition, payment) },
+          });
+        }
+        current = updated;
+      } else {
+        stats.skipped++;
+      }
+
+      // Detected and confirming invoices wait for their payment instead
+      if (invoice.is_stale && UNPAID_STATUSES.includes(current.status)) {
+        const expired = await this.markExpired(current);
+        if (expired) {
+          stats.expired++;
+          this.emit('invoice.expired', {
+            source: invoice.source,
+            invoice: { ...expired, ...formatPaymentProgress('expired', payment) },
+          });
+        }
+      }
+    } catch (error) {
+      this.reportError(new Error(`Failed to check invoice ${invoice.id}: ${error.message}`));
+    }
+  }
+
+  /**
+   * Load a page of open (pending, partially_paid, detected, confirming)
+   * invoices, oldest first
+   * Invoices expire at their expires_at; rows created without one fall back
+   * to INVOICE_TTL_MINUTES after creation, and partially paid ones get
+   * PARTIAL_PAYMENT_GRACE_MINUTES more
+   * @param {Object|null} after - Last row of the previous page
+   * @returns {Promise<Array>} Invoice rows with is_stale
+   */
+  async getPendingInvoices(after = null) {
+    const params = [this.invoiceTtlMinutes, this.partialPaymentGraceMinutes, OPEN_STATUSES, this.batchSize];
+    let cursor = '';
+    if (after) {
+      params.push(after.created_at, after.id);
+      cursor = 'AND (created_at, id) > ($5, $6)';
+    }
+
+    const result = await this.db.query(
+      `SELECT *,
+              COALESCE(expires_at, created_at + make_interval(mins => $1))
+                + CASE WHEN status = 'partially_paid' THEN make_interval(mins => $2) ELSE INTERVAL '0' END
+                <= NOW() AS is_stale
+       FROM invoices
+       WHERE status = ANY($3) ${cursor}
+       ORDER BY created_at ASC, id ASC
+       LIMIT $4`,
+      params
+    );
+    return result.rows;
+  }
+
+  /**
+   * Mark an invoice expired (no-op if it was paid or expired in the meantime)
+   * @returns {Promise<Object|null>} Updated invoice row
+   */
+  async markExpired(invoice) {
+    return await expireInvoice(invoice, this.db);
+  }
+
+  reportError(error) {
+    if (this.listenerCount('error') > 0) {
+      this.emit('error', error);
+    } else {
+      console.error('Payment watcher error:', error.message);
+    }
+  }
+}
+
+/**
+ * Build webhook event data for an invoice from any source
+ * @param {string} source - Source name (see invoices/sources.js)
+ * @param {Object} invoice - Invoice row
+ * @returns {Object} Event data
+ */
+export function formatInvoiceEvent(source, invoice) {
+  return {
+    invoice_id: invoice.id,
+    invoice_type: source,
+    type: invoice.type || 'one_time',
+    item_id: invoice.item_id,
+    ...(invoice.payment_method && { payment_method: invoice.payment_method }),
+    amount_zec: parseFloat(invoice.amount_zec),
+    paid_amount_zec: invoice.paid_amount_zec ? parseFloat(invoice.paid_amount_zec) : null,
+    paid_txid: invoice.paid_txid,
+    paid_at: invoice.paid_at,
+    expires_at: invoice.expires_at || null,
+    status: invoice.status,
+    ...(parseFloat(invoice.overpaid_zec) > 0 && { overpaid_zec: parseFloat(invoice.overpaid_zec) }),
+    ...(parseFloat(invoice.underpaid_zec) > 0 && { underpaid_zec: parseFloat(invoice.underpaid_zec) }),
+    ...formatQuote(invoice),
+    ...(invoice.subscription_id && { subscription_id: invoice.subscription_id }),
+    ...(invoice.previous_status && { previous_status: invoice.previous_status }),
+    ...(invoice.remaining_zec !== undefined && {
+      received_amount: invoice.received_amount,
+      remaining_zec: invoice.remaining_zec,
+    }),
+  };
+}
+
+/**
+ * Payment amounts for an invoice event: what is still due after a partial
+ * payment or when a partially paid invoice expires, what was over or short once paid
+ * @param {string} transition - New invoice status
+ * @param {Object} payment - evaluateInvoicePayments result
+ * @returns {Object} Empty for other transitions
+ */
+export function formatPaymentProgress(transition, payment) {
+  if (transition === 'partially_paid' || (transition === 'expired' && payment?.received > 0)) {
+    return { received_amount: payment.received, remaining_zec: payment.remaining_zec };
+  }
+  if (transition === 'paid') {
+    return { overpaid_zec: payment.overpaid_zec, underpaid_zec: payment.underpaid_zec };
+  }
+  return {};
+}
+
+/**
+ * Forward watcher events to merchant webhooks
+ * @param {PaymentWatcher} watcher - Watcher instance
+ */
+export function attachWebhookDispatch(watcher) {
+  for (const type of ['invoice.partially_paid', 'invoice.detected', 'invoice.confirming', 'invoice.paid', 'invoice.expired', 'invoice.reorged']) {
+    watcher.on(type, ({ source, invoice }) => {
+      dispatchWebhookEvent(type, invoice.user_id, formatInvoiceEvent(source, invoice));
+    });
+  }
+}
+
+/**
+ * Start the shared in-process watcher with webhook dispatch attached
+ * @param {Object} options - PaymentWatcher options plus { keepAlive }
+ * @returns {PaymentWatcher} Running watcher
+ */
+export function startPaymentWatcher(options = {}) {
+  if (activeWatcher) {
+    return activeWatcher;
+  }
+
+  activeWatcher = new PaymentWatcher(options);
+  attachWebhookDispatch(activeWatcher);
+  activeWatcher.start({ keepAlive: options.keepAlive });
+  return activeWatcher;
+}
+
+/**
+ * Stop the shared in-process watcher
+ */
+export function stopPaymentWatcher() {
+  if (activeWatcher) {
+    activeWatcher.stop();
+    activeWatcher = null;
+  }
+}
@@ -0,0 +1,50 @@
+/**
+ * Payouts
+ * Sends ZEC from the node wallet for withdrawals and refunds and waits for
+ * the z_sendmany operation to finish
+ */
+
+import { sendMany, waitForOperation, UnsupportedCapabilityError } from '../config/zcash.js';
+import { RpcError } from '../rpc/index.js';
+
+// Transaction fee passed to z_sendmany and posted to the ledger
+export const NETWORK_FEE_ZEC = 0.0001;
+
+/**
+ * Send a payout and wait for its operation
+ * @param {Array} recipients - [{ address, amount, memo? }]
+ * @returns {Promise<Object>} { success: true, txid, opid } or { success: false, error, opid }
+ * @throws {Error} If the node could not be reached or the operation timed out
+ */
+export async function sendPayout(recipients) {
+  const opid = await sendMany(recipients, 1, NETWORK_FEE_ZEC);
+  const status = await waitForOperation(opid);
+
+  return { ...operationOutcome(status), opid };
+}
+
+/**
+ * Outcome of a z_sendmany operation
+ * @param {Object} operation - z_getoperationstatus entry
+ * @returns {Object|null} { success: true, txid } or { success: false, error }; null while it is queued or executing
+ */
+export function operationOutcome(operation) {
+  if (operation.status === 'success') {
+    return { success: true, txid: operation.result?.txid || operation.txid };
+  }
+  if (operation.status === 'queued' || operation.status === 'executing') {
+    return null;
+  }
+  return { success: false, error: operation.error || 'Unknown error' };
+}
+
+/**
+ * Whether a failed z_sendmany call certainly sent nothing: the node answered
+ * with an error or the backend has no wallet. After a connection error or
+ * timeout the operation may still have been submitted.
+ * @param {Error} error - Error thrown by sendMany
+ * @returns {boolean}
+ */
+export function payoutRejected(error) {
+  return error instanceof RpcError || error instanceof UnsupportedCapabilityError;
+}
@@ -0,0 +1,292 @@
+/**
+ * Refunds
+ * Pays a buyer back from the node wallet for a paid invoice, full or partial,
+ * out of the merchant's ledger balance. An invoice becomes `refunded` once its
+ * refunds cover the paid amount. Overpayments of merchants with the `refund`
+ * policy are queued without an address until the merchant sends them.
+ */
+
+import { pool } from '../config/appConfig.js';
+import { postRefund } from './ledger.js';
+import { sendPayout, NETWORK_FEE_ZEC } from './payouts.js';
+import { toZatoshi, fromZatoshi } from '../utils/paymentAttribution.js';
+import { INVOICE_TABLE, isRefundable } from '../invoices/sources.js';
+
+/**
+ * Refund rejected before anything was sent
+ */
+export class RefundError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'RefundError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Lock the invoice, check what can still be refunded and record the refund
+ * as `processing` so concurrent requests count it
+ */
+async function reserveRefund({ invoiceId, amount, toAddress, reason, userId, requestedBy }) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const invoiceResult = await client.query(
+      'SELECT * FROM invoices WHERE id = $1 FOR UPDATE',
+      [invoiceId]
+    );
+    const invoice = invoiceResult.rows[0];
+    if (!invoice || (userId && invoice.user_id !== userId)) {
+      throw new RefundError('Invoice not found', 404);
+    }
+    if (!isRefundable(invoice)) {
+      throw new RefundError(`${invoice.source} invoices can't be refunded`);
+    }
+    if (invoice.status !== 'paid') {
+      throw new RefundError('Only paid invoices can be refunded', 409, { status: invoice.status });
+    }
+
+    const inFlightResult = await client.query(
+      `SELECT
+         COALESCE(SUM(amount_zec) FILTER (WHERE invoice_table = $1 AND invoice_id = $2), 0) AS invoice_zec,
+         COALESCE(SUM(amount_zec), 0) AS merchant_zec
+       FROM refunds
+       WHERE user_id = $3 AND status IN ('processing', 'queued')`,
+      [INVOICE_TABLE, invoice.id, invoice.user_id]
+    );
+    const inFlight = inFlightResult.rows[0];
+
+    const refundable = toZatoshi(invoice.paid_amount_zec) -
+      toZatoshi(invoice.refunded_amount_zec) -
+      toZatoshi(inFlight.invoice_zec);
+    if (refundable <= 0) {
+      throw new RefundError('Nothing left to refund on this invoice', 409, { refundable_zec: 0 });
+    }
+
+    const requested = amount === undefined ? refundable : toZatoshi(amount);
+    if (requested > refundable) {
+      throw new RefundError('Refund exceeds the refundable amount', 400, {
+        refundable_zec: fromZatoshi(refundable),
+      });
+    }
+
+    const balanceResult = await client.query(
+      'SELECT available_balance_zec FROM merchant_balances WHERE id = $1',
+      [invoice.user_id]
+    );
+    const available = toZatoshi(balanceResult.rows[0]?.available_balance_zec ?? 0) -
+      toZatoshi(inFlight.merchant_zec);
+    if (available < requested) {
+      throw new RefundError('Insufficient balance', 400, {
+        available_balance: fromZatoshi(Math.max(available, 0)),
+        requested_amount: fromZatoshi(requested),
+      });
+    }
+
+    const refundResult = await client.query(
+      `INSERT INTO refunds (invoice_table, invoice_id, user_id, amount_zec, to_address, reason, requested_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+      [INVOICE_TABLE, invoice.id, invoice.user_id, fromZatoshi(requested), toAddress, reason || null, requestedBy || null]
+    );
+
+    await client.query('COMMIT');
+    return refundResult.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Mark the refund sent, add it to the invoice and post it to the ledger
+ */
+async function recordRefund(refund, txid) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const sentResult = await client.query(
+      `UPDATE refunds SET status = 'sent', txid = $1, processed_at = NOW()
+       WHERE id = $2 RETURNING *`,
+      [txid, refund.id]
+    );
+    const sent = sentResult.rows[0];
+
+    const invoiceResult = await client.query(
+      `UPDATE invoices
+       SET refunded_amount_zec = refunded_amount_zec + $1,
+           refunded_at = NOW(),
+           status = CASE WHEN refunded_amount_zec + $1 >= paid_amount_zec THEN 'refunded' ELSE status END
+       WHERE id = $2
+       RETURNING *`,
+      [sent.amount_zec, sent.invoice_id]
+    );
+
+    await postRefund(client, sent, { networkFee: NETWORK_FEE_ZEC });
+
+    await client.query('COMMIT');
+    return { refund: sent, invoice: invoiceResult.rows[0] };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Refund a paid invoice
+ * @param {Object} request - { invoiceId, amount: ZEC (default: everything refundable), toAddress, reason, userId: only refund this merchant's invoices, requestedBy }
+ * @returns {Promise<Object>} { refund, invoice } once sent; { refund, error } when the operation failed
+ * @throws {RefundError} When the refund is rejected before sending
+ */
+export async function refundInvoice(request) {
+  const refund = await reserveRefund(request);
+  return await sendRefund(refund);
+}
+
+/**
+ * Send a reserved (processing) refund and record it
+ */
+async function sendRefund(refund) {
+  let payout;
+  try {
+    payout = await sendPayout([{ address: refund.to_address, amount: parseFloat(refund.amount_zec) }]);
+  } catch (error) {
+    // The node may have sent it (lost connection, operation timed out): keep
+    // the refund processing, still holding its amount, for an admin to check
+    await pool.query('UPDATE refunds SET error = $1 WHERE id = $2', [error.message, refund.id]);
+    throw error;
+  }
+
+  if (!payout.success) {
+    const failedResult = await pool.query(
+      `UPDATE refunds SET status = 'failed', error = $1, processed_at = NOW()
+       WHERE id = $2 RETURNING *`,
+      [typeof payout.error === 'string' ? payout.error : payout.error?.message || JSON.stringify(payout.error), refund.id]
+    );
+    return { refund: failedResult.rows[0], error: payout.error };
+  }
+
+  try {
+    return await recordRefund(refund, payout.txid);
+  } catch (error) {
+    // The ZEC is gone; leave the refund processing with its txid for an admin
+    await pool.query('UPDATE refunds SET txid = $1 WHERE id = $2', [payout.txid, refund.id]);
+    console.error(`Refund ${refund.id} sent in ${payout.txid} but could not be recorded:`, error);
+    throw error;
+  }
+}
+
+/**
+ * Queue the excess of an overpayment to be refunded once the merchant gives
+ * the buyer's address; it holds its amount against the merchant balance
+ * @param {Object} client - Database client inside the transaction marking the invoice paid
+ * @param {Object} invoice - Paid invoice row
+ * @param {number} amount - Excess in ZEC
+ * @returns {Promise<Object>} Refund row
+ */
+export async function queueRefund(client, invoice, amount) {
+  const result = await client.query(
+    `INSERT INTO refunds (invoice_table, invoice_id, user_id, amount_zec, reason, status, requested_by)
+     VALUES ($1, $2, $3, $4, 'Overpayment', 'queued', 'overpayment_policy') RETURNING *`,
+    [INVOICE_TABLE, invoice.id, invoice.user_id, amount]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Cancel the queued refunds of an invoice whose payment was reorged out
+ * @param {Object} client - Database client inside the transaction reverting it
+ * @returns {Promise<number>} Refunds canceled
+ */
+export async function cancelQueuedRefunds(client, invoiceId) {
+  const result = await client.query(
+    `UPDATE refunds SET status = 'canceled', processed_at = NOW()
+     WHERE invoice_table = $1 AND invoice_id = $2 AND status = 'queued'`,
+    [INVOICE_TABLE, invoiceId]
+  );
+  return result.rowCount;
+}
+
+/**
+ * Send a queued refund to the buyer's address
+ * @param {string} refundId - Refund ID
+ * @param {Object} options - { toAddress, userId: only send this merchant's refunds }
+ * @returns {Promise<Object>} { refund, invoice } once sent; { refund, error } when the operation failed
+ * @throws {RefundError} When the refund is not queued
+ */
+export async function sendQueuedRefund(refundId, { toAddress, userId }) {
+  const result = await pool.query(
+    `UPDATE refunds SET status = 'processing', to_address = $1
+     WHERE id = $2 AND status = 'queued' AND ($3::uuid IS NULL OR user_id = $3)
+     RETURNING *`,
+    [toAddress, refundId, userId || null]
+  );
+  const refund = result.rows[0];
+
+  if (!refund) {
+    const existing = await pool.query('SELECT status, user_id FROM refunds WHERE id = $1', [refundId]);
+    const found = existing.rows[0];
+    if (!found || (userId && found.user_id !== userId)) {
+      throw new RefundError('Refund not found', 404);
+    }
+    throw new RefundError('Only queued refunds can be sent', 409, { status: found.status });
+  }
+
+  return await sendRefund(refund);
+}
+
+/**
+ * Queued refunds, oldest first
+ * @param {Object} options - { userId: one merchant's only }
+ * @returns {Promise<Array>} Refund rows
+ */
+export async function listQueuedRefunds({ userId } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM refunds
+     WHERE status = 'queued' AND ($1::uuid IS NULL OR user_id = $1)
+     ORDER BY requested_at ASC`,
+    [userId || null]
+  );
+  return result.rows;
+}
+
+/**
+ * Refunds of an invoice, newest first
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Promise<Array>} Refund rows
+ */
+export async function listRefunds(invoiceId) {
+  const result = await pool.query(
+    `SELECT * FROM refunds WHERE invoice_table = $1 AND invoice_id = $2 ORDER BY requested_at DESC`,
+    [INVOICE_TABLE, invoiceId]
+  );
+  return result.rows;
+}
+
+/**
+ * Format a refund for the API
+ * @param {Object} refund - Refund row
+ * @returns {Object} Refund
+ */
+export function formatRefund(refund) {
+  return {
+    id: refund.id,
+    invoice_table: refund.invoice_table,
+    invoice_id: refund.invoice_id,
+    user_id: refund.user_id,
+    amount_zec: parseFloat(refund.amount_zec),
+    to_address: refund.to_address,
+    reason: refund.reason,
+    status: refund.status,
+    txid: refund.txid,
+    error: refund.error,
+    requested_at: refund.requested_at,
+    processed_at: refund.processed_at,
+  };
+}
@@ -0,0 +1,342 @@
+/**
+ * Invoice settlement
+ * Moves open invoices through detected -> confirming -> paid as their payments
+ * gain confirmations, and back to pending when a reorg orphans a payment
+ */
+
+import { pool, indexerPool, config } from '../config/appConfig.js';
+import { OPEN_STATUSES, UNPAID_STATUSES, findOrphanedPayments } from '../utils/confirmationPolicy.js';
+import { latePaymentAction } from '../utils/fiatQuote.js';
+import { allocatePayments } from '../utils/paymentTolerance.js';
+import { toZatoshi } from '../utils/paymentAttribution.js';
+import {
+  checkInvoicePayment,
+  evaluateInvoicePayments,
+  getChainTip,
+} from './paymentMatcher.js';
+import { postInvoicePayment, reverseInvoicePayment } from './ledger.js';
+import { applySubscriptionPayment, revertSubscriptionPayment } from './subscriptions.js';
+import { quoteFiatAmount } from './exchangeRates.js';
+import { getPaymentSettings } from './paymentSettings.js';
+import { queueRefund, cancelQueuedRefunds } from './refunds.js';
+import { INVOICE_TABLE, isRefundable } from '../invoices/sources.js';
+
+/**
+ * Move an open invoice to the status its payments call for
+ * @param {Object} invoice - Invoice row
+ * @param {Object} settlement - Result of checkInvoicePayment / evaluateInvoicePayments
+ * @returns {Promise<Object>} { invoice: current row, transition: new status or null }
+ */
+export async function applySettlement(invoice, settlement) {
+  // A fiat invoice covered after its quote expired is re-priced or flagged first
+  if (UNPAID_STATUSES.includes(invoice.status) && !UNPAID_STATUSES.includes(settlement.status)) {
+    ({ invoice, settlement } = await applyLatePaymentPolicy(invoice, settlement));
+  }
+
+  if (!OPEN_STATUSES.includes(invoice.status) || invoice.status === settlement.status) {
+    return { invoice, transition: null };
+  }
+
+  const updated = settlement.status === 'paid'
+    ? await markPaid(invoice, settlement)
+    : await markOpenStatus(invoice, settlement.status);
+
+  if (!updated) {
+    // Moved on by a concurrent check or the payment watcher
+    const current = await pool.query('SELECT * FROM invoices WHERE id = $1', [invoice.id]);
+    return { invoice: current.rows[0] || invoice, transition: null };
+  }
+
+  return { invoice: updated, transition: settlement.status };
+}
+
+/**
+ * Match new payments for an invoice and apply the resulting status
+ * @param {Object} invoice - Invoice row
+ * @returns {Promise<Object>} { invoice, transition, payment }
+ */
+export async function settleInvoice(invoice) {
+  const payment = await checkInvoicePayment(invoice);
+  const result = await applySettlement(invoice, payment);
+  return { ...result, payment };
+}
+
+/**
+ * Mark an unpaid invoice expired once its expires_at has passed (invoices
+ * without one expire INVOICE_TTL_MINUTES after creation). A partially paid
+ * invoice gets PARTIAL_PAYMENT_GRACE_MINUTES more for the buyer to top up;
+ * what it received stays recorded on invoice_payments
+ * @param {Object} invoice - Invoice row
+ * @param {Object} db - Pool or client
+ * @returns {Promise<Object|null>} Expired invoice row, null when it isn't due or no longer unpaid
+ */
+export async function expireInvoice(invoice, db = pool) {
+  const result = await db.query(
+    `UPDATE invoices SET status='expired'
+     WHERE id=$1 AND status = ANY($4)
+       AND COALESCE(expires_at, created_at + make_interval(mins => $2))
+         + CASE WHEN status = 'partially_paid' THEN make_interval(mins => $3) ELSE INTERVAL '0' END <= NOW()
+     RETURNING *`,
+    [
+      invoice.id,
+      config.paymentWatcher.invoiceTtlMinutes,
+      config.paymentWatcher.partialPaymentGraceMinutes,
+      UNPAID_STATUSES,
+    ]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Re-price a fiat invoice at the current rate, or flag it, when its payments
+ * covered it only after the quote expired
+ * A re-priced invoice is evaluated against its new amount: a payment that
+ * falls short leaves it pending, with a fresh quote, for the payer to top up
+ * @returns {Promise<Object>} { invoice, settlement }
+ */
+async function applyLatePaymentPolicy(invoice, settlement) {
+  const action = latePaymentAction(
+    invoice,
+    settlement.payments,
+    config.exchangeRates.latePayments,
+    settlement.tolerance_zec
+  );
+
+  if (action === 'flag') {
+    const result = await pool.query(
+      `UPDATE invoices SET quote_status = 'late' WHERE id = $1 RETURNING *`,
+      [invoice.id]
+    );
+    return { invoice: result.rows[0] || invoice, settlement };
+  }
+
+  if (action === 'requote') {
+    const quote = await quoteFiatAmount(invoice.amount_fiat, invoice.fiat_currency);
+    const result = await pool.query(
+      `UPDATE invoices
+       SET amount_zec = $1, exchange_rate = $2, rate_source = $3, quoted_at = $4,
+           quote_expires_at = $5, quote_status = 'requoted'
+       WHERE id = $6 AND status = ANY($7)
+       RETURNING *`,
+      [
+        quote.amount_zec, quote.exchange_rate, quote.rate_source, quote.quoted_at,
+        quote.quote_expires_at, invoice.id, UNPAID_STATUSES,
+      ]
+    );
+    const requoted = result.rows[0];
+    if (!requoted) {
+      return { invoice, settlement };
+    }
+
+    console.log(
+      `Re-quoted invoice ${invoice.id}: ${invoice.amount_zec} -> ${quote.amount_zec} ZEC for ${quote.amount_fiat} ${quote.fiat_currency}`
+    );
+    return { invoice: requoted, settlement: await evaluateInvoicePayments(requoted) };
+  }
+
+  return { invoice, settlement };
+}
+
+async function markOpenStatus(invoice, status) {
+  const result = await pool.query(
+    `UPDATE invoices SET status = $1
+     WHERE id = $2 AND status = ANY($3) AND status <> $1
+     RETURNING *`,
+    [status, invoice.id, OPEN_STATUSES]
+  );
+  return result.rows[0] || null;
+}
+
+async function markPaid(invoice, payment) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE invoices
+       SET status='paid', paid_amount_zec=$1, paid_txid=$2, paid_at=NOW(),
+           overpaid_zec=$3, underpaid_zec=$4,
+           expires_at = CASE WHEN type='subscription' THEN NOW() + INTERVAL '30 days' ELSE NULL END
+       WHERE id=$5 AND status = ANY($6)
+       RETURNING *`,
+      [payment.received, payment.txid, payment.overpaid_zec, payment.underpaid_zec, invoice.id, OPEN_STATUSES]
+    );
+
+    let paid = result.rows[0];
+    if (!paid) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    await recordPaymentBreakdown(client, paid);
+
+    // The excess of an overpayment is credited with the rest, or queued to go back
+    if (toZatoshi(payment.overpaid_zec) > 0 && isRefundable(paid)) {
+      const settings = await getPaymentSettings(paid.user_id, client);
+      if (settings.overpayment_policy === 'refund') {
+        await queueRefund(client, paid, payment.overpaid_zec);
+      }
+    }
+
+    // Renewal invoices extend their subscription and expire with the new period
+    if (paid.subscription_id) {
+      paid = await applySubscriptionPayment(client, paid);
+    }
+
+    await postInvoicePayment(client, paid);
+
+    await client.query('COMMIT');
+    return paid;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Store how much of each payment went to the invoice and how much was excess
+ * @param {Object} client - Database client inside the transaction marking it paid
+ */
+async function recordPaymentBreakdown(client, invoice) {
+  const payments = await client.query(
+    'SELECT * FROM invoice_payments WHERE invoice_table = $1 AND invoice_id = $2',
+    [INVOICE_TABLE, invoice.id]
+  );
+
+  for (const payment of allocatePayments(invoice.amount_zec, payments.rows)) {
+    await client.query(
+      'UPDATE invoice_payments SET applied_zec = $1, excess_zec = $2 WHERE id = $3',
+      [payment.applied_zec, payment.excess_zec, payment.id]
+    );
+  }
+}
+
+/**
+ * Put an invoice whose payment was orphaned back to pending
+ * A paid invoice's ledger entry is reversed in the same transaction
+ * @param {Object} client - Database client inside a transaction
+ * @returns {Promise<Object|null>} Reverted row, or null if it was not detected/confirming/paid
+ */
+async function revertInvoice(client, invoiceId) {
+  const previous = await client.query(
+    'SELECT status FROM invoices WHERE id = $1 FOR UPDATE',
+    [invoiceId]
+  );
+  const result = await client.query(
+    `UPDATE invoices
+     SET status='pending', paid_amount_zec=NULL, paid_txid=NULL, paid_at=NULL,
+         overpaid_zec=0, underpaid_zec=0,
+         expires_at = NOW() + make_interval(mins => $2) -- a fresh window for the payment to be mined again
+     WHERE id = $1 AND status IN ('partially_paid', 'detected', 'confirming', 'paid')
+     RETURNING *`,
+    [invoiceId, config.paymentWatcher.invoiceTtlMinutes]
+  );
+  const reverted = result.rows[0];
+  if (!reverted) {
+    return null;
+  }
+
+  const { status } = previous.rows[0];
+  if (status === 'paid') {
+    await reverseInvoicePayment(client, invoiceId);
+    await cancelQueuedRefunds(client, invoiceId);
+    await client.query(
+      `UPDATE invoice_payments SET applied_zec = NULL, excess_zec = NULL
+       WHERE invoice_table = $1 AND invoice_id = $2`,
+      [INVOICE_TABLE, invoiceId]
+    );
+
+    if (reverted.subscription_id) {
+      await revertSubscriptionPayment(client, reverted.subscription_id);
+    }
+  }
+
+  return { ...reverted, previous_status: status };
+}
+
+/**
+ * Check recorded payments near the tip against the indexer's blocks table
+ * Payments whose block was replaced are deleted (the next match records them
+ * again if the transaction made it into the new chain), their invoices go back
+ * to pending and the shielded scanner rescans from the fork
+ * @returns {Promise<Object>} { checked, orphaned: [payment rows], reverted: [invoice rows] }
+ */
+export async function detectReorgs() {
+  if (!indexerPool) {
+    return { checked: 0, orphaned: [], reverted: [] };
+  }
+
+  const tip = await getChainTip();
+  if (tip === null) {
+    return { checked: 0, orphaned: [], reverted: [] };
+  }
+
+  const paymentsResult = await pool.query(
+    `SELECT * FROM invoice_payments WHERE block_height IS NOT NULL AND block_height > $1`,
+    [tip - config.confirmations.reorgWindow]
+  );
+  const payments = paymentsResult.rows;
+  if (payments.length === 0) {
+    return { checked: 0, orphaned: [], reverted: [] };
+  }
+
+  const heights = [...new Set(payments.map(payment => payment.block_height))];
+  const blocksResult = await indexerPool.query(
+    'SELECT height, hash FROM blocks WHERE height = ANY($1)',
+    [heights]
+  );
+  const chainHashes = new Map(blocksResult.rows.map(row => [row.height, row.hash]));
+
+  // Payments recorded before their block was indexed get the hash now
+  for (const payment of payments.filter(p => !p.block_hash && chainHashes.has(p.block_height))) {
+    await pool.query(
+      'UPDATE invoice_payments SET block_hash = $1 WHERE id = $2 AND block_hash IS NULL',
+      [chainHashes.get(payment.block_height), payment.id]
+    );
+  }
+
+  const orphaned = findOrphanedPayments(payments, chainHashes, tip);
+  if (orphaned.length === 0) {
+    return { checked: payments.length, orphaned: [], reverted: [] };
+  }
+
+  const forkHeight = Math.min(...orphaned.map(payment => payment.block_height));
+  const reverted = [];
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      'DELETE FROM invoice_payments WHERE id = ANY($1)',
+      [orphaned.map(payment => payment.id)]
+    );
+
+    for (const invoiceId of new Set(orphaned.map(payment => payment.invoice_id))) {
+      const invoice = await revertInvoice(client, invoiceId);
+      if (invoice) {
+        reverted.push(invoice);
+      }
+    }
+
+    // Notes decrypted from orphaned blocks are stale, rescan from the fork
+    await client.query('DELETE FROM shielded_notes WHERE block_height >= $1', [forkHeight]);
+    await client.query(
+      'UPDATE unified_viewing_keys SET scanned_height = $1 WHERE scanned_height >= $2',
+      [forkHeight - 1, forkHeight]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  console.warn(
+    `Reorg below height ${forkHeight}: ${orphaned.length} payment(s) orphaned, ${reverted.length} invoice(s) back to pending`
+  );
+  return { checked: payments.length, fork_height: forkHeight, orphaned, reverted };
+}
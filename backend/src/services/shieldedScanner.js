@@ -0,0 +1,250 @@
+/**
+ * Shielded payment scanner
+ * Trial-decrypts the Sapling outputs and Orchard actions of indexed blocks (or compact blocks from
+ * the chain backend when there is no indexer) with every registered viewing
+ * key and stores the notes found in shielded_notes
+ */
+
+import { pool, indexerPool, config } from '../config/appConfig.js';
+import { getChainBackend, CAPABILITIES } from '../config/zcash.js';
+import { parseUnifiedViewingKey, getSaplingIvk } from '../utils/unifiedKeys.js';
+import { getOrchardIncomingViewingKey } from '../utils/orchard.js';
+import { scanBlock, saplingReceiverOf, orchardReceiverOf } from '../utils/shieldedScan.js';
+
+// Only one scan runs at a time, concurrent callers share it
+let activeScan = null;
+
+/**
+ * Load the incoming viewing keys to scan with
+ * @returns {Promise<Array>} [{ id, network, saplingIvk, orchardIvk, start }]
+ */
+async function loadScanKeys() {
+  const result = await pool.query(
+    `SELECT id, network, viewing_key, birthday_height, scanned_height
+     FROM unified_viewing_keys
+     WHERE is_active = TRUE AND (has_sapling = TRUE OR has_orchard = TRUE)`
+  );
+
+  return result.rows.map(row => {
+    const key = parseUnifiedViewingKey(row.viewing_key);
+    let start = null;
+    if (row.scanned_height !== null) {
+      start = row.scanned_height + 1;
+    } else if (row.birthday_height !== null) {
+      start = row.birthday_height;
+    } else if (config.shieldedScanner.startHeight) {
+      start = config.shieldedScanner.startHeight;
+    }
+
+    return {
+      id: row.id,
+      network: row.network,
+      saplingIvk: key.sapling ? getSaplingIvk(key.sapling) : null,
+      orchardIvk: key.orchard ? getOrchardIncomingViewingKey(key.orchard).ivk : null,
+      start,
+    };
+  });
+}
+
+/**
+ * Chain tip the scan runs up to: the indexed tip, or the backend's without an indexer
+ * @returns {Promise<number|null>} Tip height
+ */
+async function getTipHeight() {
+  if (indexerPool) {
+    return (await indexerPool.query('SELECT MAX(height) AS height FROM blocks')).rows[0].height;
+  }
+  return await getChainBackend().getBlockCount();
+}
+
+/**
+ * Load indexed blocks with their full transactions, or compact blocks from
+ * the chain backend without an indexer
+ * @param {number} fromHeight - First height (inclusive)
+ * @param {number} toHeight - Last height (inclusive)
+ * @returns {Promise<Array>} [{ height, hash, time, tx: [...] }] or compact blocks, in height order
+ */
+async function loadBlocks(fromHeight, toHeight) {
+  if (!indexerPool) {
+    return await getChainBackend().getCompactBlocks(fromHeight, toHeight);
+  }
+
+  const blocks = await indexerPool.query(
+    `SELECT height, hash, timestamp FROM blocks
+     WHERE height BETWEEN $1 AND $2
+     ORDER BY height ASC`,
+    [fromHeight, toHeight]
+  );
+  const transactions = await indexerPool.query(
+    `SELECT block_height, raw FROM transactions
+     WHERE block_height BETWEEN $1 AND $2 AND is_shielded = TRUE`,
+    [fromHeight, toHeight]
+  );
+
+  const byHeight = new Map();
+  for (const row of transactions.rows) {
+    if (!byHeight.has(row.block_height)) byHeight.set(row.block_height, []);
+    byHeight.get(row.block_height).push(row.raw);
+  }
+
+  return blocks.rows.map(row => ({
+    height: row.height,
+    hash: row.hash,
+    time: row.timestamp,
+    tx: byHeight.get(row.height) || [],
+  }));
+}
+
+async function saveNotes(notes) {
+  let saved = 0;
+  for (const note of notes) {
+    const result = await pool.query(
+      `INSERT INTO shielded_notes (
+        viewing_key_id, pool, txid, output_index, block_height, block_time,
+        receiver, diversifier, value_zat, memo
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (viewing_key_id, txid, pool, output_index) DO NOTHING`,
+      [
+        note.viewing_key_id, note.pool, note.txid, note.output_index, note.block_height,
+        note.block_time, note.receiver, note.diversifier, note.value_zat.toString(), note.memo,
+      ]
+    );
+    saved += result.rowCount;
+  }
+  return saved;
+}
+
+async function runScan() {
+  const stats = { from_height: null, to_height: null, blocks: 0, outputs: 0, orchard_actions: 0, notes: 0, keys: 0 };
+
+  const keys = await loadScanKeys();
+  stats.keys = keys.length;
+  if (keys.length === 0) {
+    return stats;
+  }
+
+  let min;
+  let max;
+  if (indexerPool) {
+    const bounds = await indexerPool.query('SELECT MIN(height) AS min, MAX(height) AS max FROM blocks');
+    ({ min, max } = bounds.rows[0]);
+  } else {
+    // Compact blocks reach back to Sapling activation, keys with no birthday only watch new blocks
+    max = await getTipHeight();
+    min = 0;
+  }
+  if (max === null) {
+    return stats;
+  }
+
+  // Keys with no birthday start from the oldest indexed block
+  for (const key of keys) {
+    key.start = Math.max(key.start ?? (indexerPool ? min : max), min);
+  }
+
+  const fromHeight = Math.min(...keys.map(key => key.start));
+  if (fromHeight > max) {
+    return stats;
+  }
+  stats.from_height = fromHeight;
+
+  const batchSize = config.shieldedScanner.batchSize;
+  for (let start = fromHeight; start <= max; start += batchSize) {
+    const end = Math.min(start + batchSize - 1, max);
+
+    for (const block of await loadBlocks(start, end)) {
+      const active = keys.filter(key => key.start <= block.height);
+      const scanned = scanBlock(block, active);
+      stats.blocks++;
+      stats.outputs += scanned.outputs;
+      stats.orchard_actions += scanned.orchard_actions;
+      stats.notes += await saveNotes(scanned.notes);
+    }
+
+    // Progress is saved per batch so a restart resumes where it stopped
+    await pool.query(
+      `UPDATE unified_viewing_keys
+       SET scanned_height = GREATEST(COALESCE(scanned_height, 0), $1)
+       WHERE id = ANY($2::int[])`,
+      [end, keys.filter(key => key.start <= end).map(key => key.id)]
+    );
+    stats.to_height = end;
+  }
+
+  return stats;
+}
+
+/**
+ * Scan blocks that have not been scanned yet with every active viewing key
+ * Requires INDEXER_DB_URL (the indexer must store full transactions) or a
+ * chain backend with compact blocks
+ * @returns {Promise<Object>} { from_height, to_height, blocks, outputs, orchard_actions, notes, keys }
+ */
+export async function scanShieldedBlocks() {
+  if (!indexerPool && !getChainBackend().has(CAPABILITIES.COMPACT_BLOCKS)) {
+    throw new Error('Shielded scanning needs the indexer database (INDEXER_DB_URL) or a chain backend with compact blocks');
+  }
+
+  if (!activeScan) {
+    activeScan = runScan().finally(() => {
+      activeScan = null;
+    });
+  }
+  return activeScan;
+}
+
+/**
+ * Get the notes received by an address
+ * Unified addresses match on their Sapling and Orchard receivers
+ * @param {string} address - zs1... or unified address
+ * @param {number} minconf - Minimum confirmations
+ * @returns {Promise<Array>} shielded_notes rows with `confirmations`
+ */
+export async function getNotesForAddress(address, minconf = 1) {
+  const receivers = [saplingReceiverOf(address), orchardReceiverOf(address)].filter(Boolean);
+  if (receivers.length === 0) {
+    return [];
+  }
+
+  const tip = indexerPool || getChainBackend().has(CAPABILITIES.COMPACT_BLOCKS)
+    ? await getTipHeight()
+    : null;
+
+  const result = await pool.query(
+    `SELECT * FROM shielded_notes WHERE receiver = ANY($1::text[])
+     ORDER BY block_height ASC, output_index ASC`,
+    [receivers]
+  );
+
+  return result.rows
+    .map(row => ({ ...row, confirmations: tip === null ? 0 : tip - row.block_height + 1 }))
+    .filter(row => row.confirmations >= minconf);
+}
+
+/**
+ * Scanner progress for each viewing key
+ * @returns {Promise<Object>} { tip, keys: [{ id, network, birthday_height, scanned_height, notes }] }
+ */
+export async function getScanStatus() {
+  const tip = indexerPool || getChainBackend().has(CAPABILITIES.COMPACT_BLOCKS)
+    ? await getTipHeight()
+    : null;
+
+  const result = await pool.query(
+    `SELECT k.id, k.network, k.birthday_height, k.scanned_height, COUNT(n.id) AS notes
+     FROM unified_viewing_keys k
+     LEFT JOIN shielded_notes n ON n.viewing_key_id = k.id
+     WHERE k.is_active = TRUE
+     GROUP BY k.id
+     ORDER BY k.id`
+  );
+
+  return {
+    tip,
+    keys: result.rows.map(row => ({
+      ...row,
+      notes: parseInt(row.notes),
+      lag: tip !== null && row.scanned_height !== null ? tip - row.scanned_height : null,
+    })),
+  };
+}
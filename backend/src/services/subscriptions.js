@@ -0,0 +1,528 @@
+/**
+ * Subscriptions
+ * Subscribes users to plans, issues renewal invoices ahead of each period end,
+ * extends access when they are paid and moves unpaid subscriptions through
+ * past_due to expired. Renewal invoices are legacy invoices with a
+ * subscription_id, settled by the payment watcher like any other.
+ */
+
+import { pool, config } from '../config/appConfig.js';
+import { OPEN_STATUSES } from '../utils/confirmationPolicy.js';
+import {
+  RENEWABLE_STATUSES,
+  ENTITLED_STATUSES,
+  planInterval,
+  accessUntil,
+  isEntitled,
+  isRenewalDue,
+  nextSubscriptionStatus,
+} from '../utils/subscriptionPolicy.js';
+import { dispatchWebhookEvent } from './webhooks.js';
+import { createInvoice } from '../invoices/service.js';
+
+let schedulerTimer = null;
+let schedulerRunning = false;
+
+const SUBSCRIPTION_COLUMNS = `
+  s.*, p.name AS plan_name, p.item_id, p.amount_zec, p.interval_unit,
+  p.interval_count, p.trial_days, p.grace_days`;
+
+const SUBSCRIPTION_SELECT = `
+  SELECT ${SUBSCRIPTION_COLUMNS}
+  FROM subscriptions s
+  JOIN subscription_plans p ON p.id = s.plan_id`;
+
+/**
+ * Subscription request rejected
+ */
+export class SubscriptionError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'SubscriptionError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Load a subscription with its plan
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<Object|null>} Subscription row joined with plan columns
+ */
+export async function getSubscription(subscriptionId) {
+  const result = await pool.query(`${SUBSCRIPTION_SELECT} WHERE s.id = $1`, [subscriptionId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * A user's subscriptions with their plans, newest first
+ * @param {string} userId - User ID
+ * @param {Object} filters - { status }
+ * @returns {Promise<Array>} Subscription rows
+ */
+export async function listUserSubscriptions(userId, { status } = {}) {
+  const params = [userId];
+  if (status) {
+    params.push(status);
+  }
+
+  const result = await pool.query(
+    `${SUBSCRIPTION_SELECT}
+     WHERE s.user_id = $1 ${status ? 'AND s.status = $2' : ''}
+     ORDER BY s.created_at DESC`,
+    params
+  );
+  return result.rows;
+}
+
+/**
+ * Issue the invoice for a subscription's next period
+ * @param {Object} subscription - Subscription row joined with its plan
+ * @param {Object} db - Pool or client inside a transaction
+ * @returns {Promise<Object|null>} Invoice row, or null if one is already open
+ */
+export async function issueRenewalInvoice(subscription, db = pool) {
+  try {
+    const { invoice } = await createInvoice({
+      source: 'legacy',
+      paymentMethod: 'transparent',
+      userId: subscription.user_id,
+      type: 'subscription',
+      amountZec: parseFloat(subscription.amount_zec),
+      itemId: subscription.item_id,
+      subscriptionId: subscription.id,
+    }, { db });
+    return invoice;
+  } catch (error) {
+    // idx_invoices_open_subscription: another process issued it first
+    if (error.code === '23505' && db === pool) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Subscribe a user to a plan
+ * Plans with a trial start trialing; others wait for the first invoice
+ * @param {Object} request - { userId, planId }
+ * @returns {Promise<Object>} { subscription, invoice: first invoice or null }
+ * @throws {SubscriptionError} Unknown or inactive plan, or already subscribed
+ */
+export async function subscribe({ userId, planId }) {
+  const planResult = await pool.query('SELECT * FROM subscription_plans WHERE id = $1', [planId]);
+  const plan = planResult.rows[0];
+  if (!plan) {
+    throw new SubscriptionError('Plan not found', 404);
+  }
+  if (!plan.active) {
+    throw new SubscriptionError('Plan is not accepting new subscriptions', 409);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const trial = plan.trial_days > 0;
+    const subscriptionResult = await client.query(
+      `INSERT INTO subscriptions (user_id, plan_id, status, current_period_start, current_period_end, trial_ends_at)
+       VALUES (
+         $1, $2, $3,
+         CASE WHEN $4 THEN NOW() END,
+         CASE WHEN $4 THEN NOW() + make_interval(days => $5) END,
+         CASE WHEN $4 THEN NOW() + make_interval(days => $5) END
+       ) RETURNING id`,
+      [userId, plan.id, trial ? 'trialing' : 'pending', trial, plan.trial_days]
+    );
+    const subscriptionId = subscriptionResult.rows[0].id;
+
+    const subscription = (await client.query(`${SUBSCRIPTION_SELECT} WHERE s.id = $1`, [subscriptionId])).rows[0];
+    const invoice = trial ? null : await issueRenewalInvoice(subscription, client);
+
+    await client.query('COMMIT');
+    return { subscription, invoice };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    if (error.code === '23505') {
+      throw new SubscriptionError('User already has a live subscription to this plan', 409);
+    }
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Extend a subscription by one period for its paid invoice
+ * Called in the transaction marking the invoice paid. Renewals continue from
+ * the current period end (past-due subscriptions pay for their grace period);
+ * first payments and late payments of ended subscriptions start now.
+ * @param {Object} client - Database client inside the transaction
+ * @param {Object} invoice - Paid invoice row with subscription_id
+ * @returns {Promise<Object>} Invoice row with expires_at set to the new period end
+ */
+export async function applySubscriptionPayment(client, invoice) {
+  const current = await client.query(
+    `SELECT s.*, p.interval_unit, p.interval_count
+     FROM subscriptions s JOIN subscription_plans p ON p.id = s.plan_id
+     WHERE s.id = $1 FOR UPDATE OF s`,
+    [invoice.subscription_id]
+  );
+  const subscription = current.rows[0];
+  if (!subscription) {
+    return invoice;
+  }
+
+  // An ended subscription is only revived if the user has not subscribed again
+  const result = await client.query(
+    `UPDATE subscriptions s
+     SET current_period_start = CASE WHEN s.status = ANY($2) THEN COALESCE(s.current_period_end, NOW()) ELSE NOW() END,
+         current_period_end = CASE WHEN s.status = ANY($2) THEN COALESCE(s.current_period_end, NOW()) ELSE NOW() END + $3::interval,
+         status = 'active',
+         ended_at = NULL
+     WHERE s.id = $1
+       AND (s.status = ANY($2) OR s.status = 'pending' OR NOT EXISTS (
+         SELECT 1 FROM subscriptions other
+         WHERE other.user_id = s.user_id AND other.plan_id = s.plan_id AND other.id <> s.id
+           AND other.status IN ('pending', 'trialing', 'active', 'past_due')
+       ))
+     RETURNING *`,
+    [subscription.id, RENEWABLE_STATUSES, planInterval(subscription)]
+  );
+  const renewed = result.rows[0];
+  if (!renewed) {
+    return invoice;
+  }
+
+  const invoiceResult = await client.query(
+    'UPDATE invoices SET expires_at = $1 WHERE id = $2 RETURNING *',
+    [renewed.current_period_end, invoice.id]
+  );
+  return invoiceResult.rows[0];
+}
+
+/**
+ * Take back the period a reorged payment paid for
+ * The period end falls back to the latest still-paid invoice or the trial end
+ * @param {Object} client - Database client inside the transaction reverting it
+ * @param {string} subscriptionId - Subscription ID
+ * @returns {Promise<Object|null>} Updated subscription row
+ */
+export async function revertSubscriptionPayment(client, subscriptionId) {
+  const current = await client.query(
+    'SELECT * FROM subscriptions WHERE id = $1 FOR UPDATE',
+    [subscriptionId]
+  );
+  const subscription = current.rows[0];
+  if (!subscription || !RENEWABLE_STATUSES.includes(subscription.status)) {
+    return null;
+  }
+
+  const paid = await client.query(
+    `SELECT MAX(expires_at) AS period_end FROM invoices WHERE subscription_id = $1 AND status = 'paid'`,
+    [subscriptionId]
+  );
+  const paidEnd = paid.rows[0].period_end;
+  const trialEnd = subscription.trial_ends_at;
+
+  let status = 'active';
+  let periodEnd = paidEnd;
+  if (!paidEnd || (trialEnd && trialEnd >= paidEnd)) {
+    periodEnd = trialEnd;
+    status = trialEnd ? 'trialing' : 'pending';
+  }
+
+  // The scheduler moves it on to past_due or expired if the period has ended
+  const result = await client.query(
+    `UPDATE subscriptions SET status = $1, current_period_end = $2 WHERE id = $3 RETURNING *`,
+    [status, periodEnd, subscriptionId]
+  );
+  return result.rows[0];
+}
+
+async function endSubscription(subscription, status, db = pool) {
+  const result = await db.query(
+    `UPDATE subscriptions
+     SET status = $1, ended_at = NOW(),
+         canceled_at = CASE WHEN $1 = 'canceled' THEN COALESCE(canceled_at, NOW()) ELSE canceled_at END
+     WHERE id = $2 AND status = $3
+     RETURNING *`,
+    [status, subscription.id, subscription.status]
+  );
+  const ended = result.rows[0];
+  if (ended) {
+    // Nothing was received on these yet, don't let them renew it later
+    await db.query(
+      `UPDATE invoices SET status = 'cancelled' WHERE subscription_id = $1 AND status = 'pending'`,
+      [subscription.id]
+    );
+  }
+  return ended || null;
+}
+
+/**
+ * Cancel a subscription now or at the end of the paid period
+ * @param {string} subscriptionId - Subscription ID
+ * @param {Object} options - { atPeriodEnd: keep access until current_period_end (default), userId: only this user's subscription }
+ * @returns {Promise<Object>} Subscription row joined with its plan
+ * @throws {SubscriptionError} Not found or already ended
+ */
+export async function cancelSubscription(subscriptionId, { atPeriodEnd = true, userId = null } = {}) {
+  const subscription = await getSubscription(subscriptionId);
+  if (!subscription || (userId && subscription.user_id !== userId)) {
+    throw new SubscriptionError('Subscription not found', 404);
+  }
+  if (!['pending', ...RENEWABLE_STATUSES].includes(subscription.status)) {
+    throw new SubscriptionError('Subscription has already ended', 409, { status: subscription.status });
+  }
+
+  // Nothing paid to run out: pending and past-due subscriptions end now
+  if (!atPeriodEnd || ['pending', 'past_due'].includes(subscription.status)) {
+    const ended = await endSubscription(subscription, 'canceled');
+    if (!ended) {
+      throw new SubscriptionError('Subscription changed, try again', 409);
+    }
+  } else {
+    await pool.query(
+      `UPDATE subscriptions SET cancel_at_period_end = true, canceled_at = NOW() WHERE id = $1`,
+      [subscription.id]
+    );
+    await pool.query(
+      `UPDATE invoices SET status = 'cancelled' WHERE subscription_id = $1 AND status = 'pending'`,
+      [subscription.id]
+    );
+  }
+
+  return await getSubscription(subscription.id);
+}
+
+/**
+ * Check whether a user has access to an item
+ * Access comes from a live subscription to a plan for the item, a paid
+ * one-time invoice for it, or a paid subscription invoice that has not
+ * expired (invoices created without a plan)
+ * @param {string} userId - User ID
+ * @param {string} itemId - Item ID
+ * @returns {Promise<Object>} { entitled, source, access_until, subscription, invoice_id }
+ */
+export async function checkEntitlement(userId, itemId) {
+  const now = new Date();
+
+  const subscriptions = await pool.query(
+    `${SUBSCRIPTION_SELECT}
+     WHERE s.user_id = $1 AND p.item_id = $2 AND s.status = ANY($3)
+     ORDER BY s.current_period_end DESC NULLS LAST`,
+    [userId, itemId, ENTITLED_STATUSES]
+  );
+  const subscription = subscriptions.rows.find(row => isEntitled(row, now));
+  if (subscription) {
+    return {
+      entitled: true,
+      source: 'subscription',
+      access_until: accessUntil(subscription),
+      subscription: formatSubscription(subscription),
+      invoice_id: null,
+    };
+  }
+
+  // Paid unified invoices are mirrored into invoices
+  const purchases = await pool.query(
+    `SELECT id, type, expires_at FROM invoices
+     WHERE user_id = $1 AND item_id = $2 AND status = 'paid'
+       AND (type = 'one_time' OR expires_at > NOW())
+     ORDER BY (type = 'one_time') DESC, expires_at DESC NULLS LAST
+     LIMIT 1`,
+    [userId, itemId]
+  );
+  const purchase = purchases.rows[0];
+
+  return {
+    entitled: Boolean(purchase),
+    source: purchase ? 'purchase' : null,
+    access_until: purchase?.type === 'subscription' ? purchase.expires_at : null,
+    subscription: subscriptions.rows[0] ? formatSubscription(subscriptions.rows[0]) : null,
+    invoice_id: purchase?.id || null,
+  };
+}
+
+/**
+ * One scheduler pass: expire pending subscriptions whose invoice lapsed, move
+ * subscriptions whose period ended and issue due renewal invoices
+ * @param {Object} options - { leadHours }
+ * @returns {Promise<Object>} { checked, renewal_invoices, past_due, canceled, expired }
+ */
+export async function runSubscriptionCycle({ leadHours = config.subscriptions.renewalLeadHours } = {}) {
+  const stats = { checked: 0, renewal_invoices: 0, past_due: 0, canceled: 0, expired: 0 };
+  const now = new Date();
+
+  const lapsed = await pool.query(
+    `${SUBSCRIPTION_SELECT}
+     WHERE s.status = 'pending'
+       AND NOT EXISTS (SELECT 1 FROM invoices i WHERE i.subscription_id = s.id AND i.status = ANY($1))`,
+    [OPEN_STATUSES]
+  );
+  for (const subscription of lapsed.rows) {
+    const ended = await endSubscription(subscription, 'expired');
+    if (ended) {
+      stats.expired++;
+      await notify('subscription.expired', { ...subscription, ...ended });
+    }
+  }
+
+  const result = await pool.query(
+    `SELECT ${SUBSCRIPTION_COLUMNS},
+       EXISTS (SELECT 1 FROM invoices i WHERE i.subscription_id = s.id AND i.status = ANY($2)) AS has_open_invoice
+     FROM subscriptions s
+     JOIN subscription_plans p ON p.id = s.plan_id
+     WHERE s.status = ANY($1)
+     ORDER BY s.current_period_end ASC`,
+    [RENEWABLE_STATUSES, OPEN_STATUSES]
+  );
+
+  for (const subscription of result.rows) {
+    stats.checked++;
+    try {
+      let current = subscription;
+
+      const status = nextSubscriptionStatus(subscription, now);
+      if (status === 'past_due') {
+        const updated = await pool.query(
+          `UPDATE subscriptions SET status = 'past_due' WHERE id = $1 AND status = $2 RETURNING *`,
+          [subscription.id, subscription.status]
+        );
+        if (updated.rows[0]) {
+          current = { ...subscription, ...updated.rows[0] };
+          stats.past_due++;
+          await notify('subscription.past_due', current);
+        }
+      } else if (status) {
+        const ended = await endSubscription(subscription, status);
+        if (ended) {
+          stats[status]++;
+          await notify(`subscription.${status}`, { ...subscription, ...ended });
+        }
+        continue;
+      }
+
+      if (!subscription.has_open_invoice && isRenewalDue(current, now, leadHours)) {
+        const invoice = await issueRenewalInvoice(current);
+        if (invoice) {
+          stats.renewal_invoices++;
+          await notify('subscription.renewal_invoiced', current, {
+            invoice_id: invoice.id,
+            amount_zec: parseFloat(invoice.amount_zec),
+            z_address: invoice.payment_address,
+          });
+        }
+      }
+    } catch (error) {
+      console.error(`Subscription ${subscription.id} renewal error:`, error.message);
+    }
+  }
+
+  return stats;
+}
+
+async function notify(type, subscription, extra = {}) {
+  await dispatchWebhookEvent(type, subscription.user_id, {
+    subscription: formatSubscription(subscription),
+    ...extra,
+  });
+}
+
+/**
+ * Start the renewal scheduler
+ * @param {number} interval - Polling interval in ms
+ */
+export function startSubscriptionScheduler(interval = config.subscriptions.interval) {
+  if (schedulerTimer) {
+    return;
+  }
+
+  const tick = async () => {
+    // Skip the tick if the previous pass is still running
+    if (schedulerRunning) return;
+    schedulerRunning = true;
+
+    try {
+      const stats = await runSubscriptionCycle();
+      if (stats.renewal_invoices || stats.past_due || stats.canceled || stats.expired) {
+        console.log(
+          `Subscriptions: ${stats.renewal_invoices} renewal invoice(s), ${stats.past_due} past due, ` +
+          `${stats.canceled} canceled, ${stats.expired} expired`
+        );
+      }
+    } catch (error) {
+      console.error('Subscription scheduler error:', error.message);
+    } finally {
+      schedulerRunning = false;
+    }
+  };
+
+  schedulerTimer = setInterval(tick, interval);
+
+  // Don't keep the process alive just for renewals
+  schedulerTimer.unref();
+  tick();
+}
+
+/**
+ * Stop the renewal scheduler
+ */
+export function stopSubscriptionScheduler() {
+  if (schedulerTimer) {
+    clearInterval(schedulerTimer);
+    schedulerTimer = null;
+  }
+}
+
+/**
+ * Format a plan for the API
+ * @param {Object} plan - Plan row
+ * @returns {Object} Plan
+ */
+export function formatPlan(plan) {
+  return {
+    id: plan.id,
+    name: plan.name,
+    item_id: plan.item_id,
+    amount_zec: parseFloat(plan.amount_zec),
+    interval_unit: plan.interval_unit,
+    interval_count: plan.interval_count,
+    trial_days: plan.trial_days,
+    grace_days: plan.grace_days,
+    active: plan.active,
+    created_at: plan.created_at,
+  };
+}
+
+/**
+ * Format a subscription (joined with its plan) for the API
+ * @param {Object} subscription - Subscription row
+ * @returns {Object} Subscription
+ */
+export function formatSubscription(subscription) {
+  return {
+    id: subscription.id,
+    user_id: subscription.user_id,
+    plan_id: subscription.plan_id,
+    ...(subscription.plan_name && {
+      plan: {
+        name: subscription.plan_name,
+        item_id: subscription.item_id,
+        amount_zec: parseFloat(subscription.amount_zec),
+        interval_unit: subscription.interval_unit,
+        interval_count: subscription.interval_count,
+      },
+    }),
+    status: subscription.status,
+    current_period_start: subscription.current_period_start,
+    current_period_end: subscription.current_period_end,
+    access_until: accessUntil(subscription),
+    trial_ends_at: subscription.trial_ends_at,
+    cancel_at_period_end: subscription.cancel_at_period_end,
+    canceled_at: subscription.canceled_at,
+    ended_at: subscription.ended_at,
+    created_at: subscription.created_at,
+  };
+}
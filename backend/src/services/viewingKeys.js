@@ -0,0 +1,207 @@
+/**
+ * Merchant unified viewing keys
+ * Stores UFVKs/UIVKs and hands out a fresh diversified unified address per request
+ */
+
+import crypto from 'crypto';
+import { pool } from '../config/appConfig.js';
+import {
+  parseUnifiedViewingKey,
+  toIncomingViewingKey,
+  deriveUnifiedAddress,
+} from '../utils/unifiedKeys.js';
+
+const KEY_TYPES = {
+  fvk: 'ufvk',
+  ivk: 'uivk',
+};
+
+/**
+ * Parse and check a viewing key before it is stored
+ * Throws with a message suitable for a 400 response
+ * @param {string} viewingKey - Encoded UFVK/UIVK
+ * @param {Object} options - { incomingOnly: keep only the incoming viewing key }
+ * @returns {Object} Parsed key (re-parsed from the UIVK when incomingOnly is set)
+ */
+export function parseMerchantViewingKey(viewingKey, { incomingOnly = false } = {}) {
+  let key = parseUnifiedViewingKey(viewingKey);
+
+  if (!['mainnet', 'testnet'].includes(key.network)) {
+    throw new Error(`Unsupported network: ${key.network}`);
+  }
+  if (!key.sapling && !key.orchard) {
+    throw new Error('Viewing key has no shielded component');
+  }
+
+  if (incomingOnly && key.kind === 'fvk') {
+    key = parseUnifiedViewingKey(toIncomingViewingKey(key));
+  }
+
+  return key;
+}
+
+/**
+ * Stable identifier for a viewing key that does not reveal it
+ * @param {string} encoded - Encoded key
+ * @returns {string} 32 hex characters
+ */
+export function getViewingKeyFingerprint(encoded) {
+  return crypto.createHash('sha256').update(encoded).digest('hex').substring(0, 32);
+}
+
+/**
+ * Store a viewing key for a user (re-importing the same key reactivates it)
+ * @param {string} userId - User ID
+ * @param {Object} key - Parsed key from parseMerchantViewingKey
+ * @param {Object} options - { name: optional label, birthdayHeight: first block the shielded scanner needs }
+ * @returns {Promise<Object>} unified_viewing_keys row
+ */
+export async function registerViewingKey(userId, key, { name = null, birthdayHeight = null } = {}) {
+  const result = await pool.query(
+    `INSERT INTO unified_viewing_keys (
+      user_id, name, network, key_type, viewing_key, key_fingerprint,
+      has_transparent, has_sapling, has_orchard, birthday_height
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    ON CONFLICT (user_id, key_fingerprint) DO UPDATE
+    SET name = COALESCE(EXCLUDED.name, unified_viewing_keys.name),
+        birthday_height = COALESCE(EXCLUDED.birthday_height, unified_viewing_keys.birthday_height),
+        is_active = TRUE
+    RETURNING *`,
+    [
+      userId, name, key.network, KEY_TYPES[key.kind], key.encoded,
+      getViewingKeyFingerprint(key.encoded),
+      Boolean(key.transparent), Boolean(key.sapling), Boolean(key.orchard),
+      birthdayHeight,
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * List a user's viewing keys, newest first
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} unified_viewing_keys rows
+ */
+export async function listViewingKeys(userId) {
+  const result = await pool.query(
+    'SELECT * FROM unified_viewing_keys WHERE user_id = $1 ORDER BY created_at DESC',
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Find the viewing key to derive from
+ * @param {string} userId - User ID
+ * @param {Object} options - { viewingKeyId, network }
+ * @returns {Promise<Object|null>} Active key (the newest one for the network if no ID is given)
+ */
+export async function findViewingKey(userId, { viewingKeyId = null, network = null } = {}) {
+  const result = viewingKeyId
+    ? await pool.query(
+      `SELECT * FROM unified_viewing_keys
+       WHERE id = $1 AND user_id = $2 AND is_active = TRUE`,
+      [viewingKeyId, userId]
+    )
+    : await pool.query(
+      `SELECT * FROM unified_viewing_keys
+       WHERE user_id = $1 AND network = $2 AND is_active = TRUE
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [userId, network]
+    );
+  return result.rows[0] || null;
+}
+
+/**
+ * Derive the next unified address from a viewing key and store it
+ * The key row is locked so concurrent requests never share a diversifier index
+ * @param {number} viewingKeyId - unified_viewing_keys ID
+ * @param {Object} options - { name, includeTransparent, includeSapling, includeOrchard }
+ * @returns {Promise<Object>} { address: unified_addresses row, derived: deriveUnifiedAddress result }
+ */
+export async function deriveNextAddress(
+  viewingKeyId,
+  { name = null, includeTransparent = false, includeSapling = true, includeOrchard = true } = {}
+) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const keyResult = await client.query(
+      'SELECT * FROM unified_viewing_keys WHERE id = $1 FOR UPDATE',
+      [viewingKeyId]
+    );
+    const viewingKey = keyResult.rows[0];
+    if (!viewingKey) {
+      throw new Error(`Viewing key ${viewingKeyId} not found`);
+    }
+
+    const derived = deriveUnifiedAddress(
+      viewingKey.viewing_key,
+      BigInt(viewingKey.next_diversifier_index),
+      { includeTransparent, includeSapling, includeOrchard }
+    );
+
+    await client.query(
+      `UPDATE unified_viewing_keys SET next_diversifier_index = $1
+       WHERE id = $2`,
+      [(BigInt(derived.diversifier_index) + 1n).toString(), viewingKeyId]
+    );
+
+    const result = await client.query(
+      `INSERT INTO unified_addresses (
+        user_id, name, unified_address, network, diversifier,
+        include_transparent, include_sapling, include_orchard,
+        viewing_key_id, receivers_data, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW()) RETURNING *`,
+      [
+        viewingKey.user_id,
+        name || 'Unified Address',
+        derived.address,
+        viewingKey.network,
+        derived.diversifier_index,
+        Boolean(derived.receivers.transparent),
+        Boolean(derived.receivers.sapling),
+        Boolean(derived.receivers.orchard),
+        viewingKeyId,
+        JSON.stringify(derived.receivers),
+      ]
+    );
+
+    await client.query('COMMIT');
+    return { address: result.rows[0], derived };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Format a viewing key row for API responses (the key itself is masked)
+ * @param {Object} row - unified_viewing_keys row
+ * @returns {Object} Public view of the key
+ */
+export function formatViewingKey(row) {
+  return {
+    id: row.id,
+    user_id: row.user_id,
+    name: row.name,
+    network: row.network,
+    key_type: row.key_type,
+    fingerprint: row.key_fingerprint,
+    viewing_key_preview: `${row.viewing_key.substring(0, 12)}...${row.viewing_key.slice(-6)}`,
+    pools: {
+      transparent: row.has_transparent,
+      sapling: row.has_sapling,
+      orchard: row.has_orchard,
+    },
+    next_diversifier_index: String(row.next_diversifier_index),
+    birthday_height: row.birthday_height,
+    scanned_height: row.scanned_height,
+    is_active: row.is_active,
+    created_at: row.created_at,
+  };
+}
@@ -0,0 +1,371 @@
+/**
+ * Outbound webhook delivery
+ * Signs, stores and retries merchant callbacks for lifecycle events
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import { pool, config } from '../config/appConfig.js';
+import { checkWebhookUrl, isPublicAddress, publicLookup } from '../utils/webhookTargets.js';
+
+/**
+ * Event types merchants can subscribe to
+ */
+export const WEBHOOK_EVENTS = [
+  'invoice.partially_paid',
+  'invoice.detected',
+  'invoice.confirming',
+  'invoice.paid',
+  'invoice.expired',
+  'invoice.reorged',
+  'invoice.refunded',
+  'withdrawal.sent',
+  'withdrawal.failed',
+  'subscription.renewal_invoiced',
+  'subscription.past_due',
+  'subscription.canceled',
+  'subscription.expired',
+];
+
+// Delay before retry N (seconds), capped at the last entry
+const RETRY_SCHEDULE = [30, 60, 300, 900, 1800, 3600, 7200, 14400];
+
+// Deliveries resolve hosts through publicLookup, so a host can't be repointed at the private network
+const lookup = config.webhooks.allowPrivateTargets ? undefined : publicLookup;
+const httpAgent = new http.Agent({ lookup });
+const httpsAgent = new https.Agent({ lookup });
+
+let workerTimer = null;
+let workerRunning = false;
+
+/**
+ * Generate a new webhook signing secret
+ * @returns {string} Secret prefixed with "whsec_"
+ */
+export function generateWebhookSecret() {
+  return 'whsec_' + crypto.randomBytes(24).toString('hex');
+}
+
+/**
+ * Compute the HMAC signature for a delivery
+ * @param {string} secret - Endpoint signing secret
+ * @param {number} timestamp - Unix timestamp (seconds) sent with the request
+ * @param {string} body - Raw JSON request body
+ * @returns {string} Hex encoded HMAC-SHA256 of "timestamp.body"
+ */
+export function signWebhookPayload(secret, timestamp, body) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+}
+
+/**
+ * Get retry delay for the given attempt number
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in seconds
+ */
+export function getRetryDelay(attempts) {
+  return RETRY_SCHEDULE[Math.min(Math.max(attempts - 1, 0), RETRY_SCHEDULE.length - 1)];
+}
+
+/**
+ * Validate a list of requested event types
+ * @param {Array<string>} events - Event types ("*" subscribes to all)
+ * @returns {boolean} True if every entry is known
+ */
+export function isValidEventList(events) {
+  return Array.isArray(events) &&
+    events.length > 0 &&
+    events.every(event => event === '*' || WEBHOOK_EVENTS.includes(event));
+}
+
+/**
+ * Format a delivery row for API responses (payload omitted)
+ * @param {Object} delivery - Delivery row
+ * @returns {Object} Public delivery fields
+ */
+export function formatDelivery(delivery) {
+  return {
+    id: delivery.id,
+    endpoint_id: delivery.endpoint_id,
+    event_id: delivery.event_id,
+    event_type: delivery.event_type,
+    status: delivery.status,
+    attempts: delivery.attempts,
+    next_attempt_at: delivery.status === 'pending' ? delivery.next_attempt_at : null,
+    last_response_status: delivery.last_response_status,
+    last_error: delivery.last_error,
+    delivered_at: delivery.delivered_at,
+    created_at: delivery.created_at,
+  };
+}
+
+/**
+ * Queue an event for every subscribed endpoint of a user
+ * Never throws - a failing webhook must not break the payment flow
+ * @param {string} type - Event type (see WEBHOOK_EVENTS)
+ * @param {string} userId - Owner of the invoice or withdrawal
+ * @param {Object} data - Event data (invoice or withdrawal snapshot)
+ * @returns {Promise<number>} Number of deliveries queued
+ */
+export async function dispatchWebhookEvent(type, userId, data) {
+  try {
+    if (!WEBHOOK_EVENTS.includes(type)) {
+      throw new Error(`Unknown webhook event type: ${type}`);
+    }
+
+    const endpoints = await pool.query(
+      `SELECT id FROM webhook_endpoints
+       WHERE user_id = $1 AND is_active = true
+         AND (events ? '*' OR events ? $2)`,
+      [userId, type]
+    );
+
+    if (endpoints.rows.length === 0) {
+      return 0;
+    }
+
+    const eventId = crypto.randomUUID();
+    const payload = {
+      id: eventId,
+      type,
+      created_at: new Date().toISOString(),
+      data,
+    };
+
+    for (const endpoint of endpoints.rows) {
+      await pool.query(
+        `INSERT INTO webhook_deliveries (endpoint_id, event_id, event_type, payload)
+         VALUES ($1, $2, $3, $4)`,
+        [endpoint.id, eventId, type, JSON.stringify(payload)]
+      );
+    }
+
+    // Attempt first delivery right away instead of waiting for the worker
+    setImmediate(() => {
+      processDueDeliveries().catch(error => {
+        console.error('Webhook delivery error:', error.message);
+      });
+    });
+
+    return endpoints.rows.length;
+  } catch (error) {
+    console.error(`Failed to queue webhook event ${type}:`, error.message);
+    return 0;
+  }
+}
+
+/**
+ * Check a webhook URL before registering it: scheme, and every address its
+ * host resolves to must be public
+ * @param {string} url - Webhook URL
+ * @returns {Promise<string|null>} Why the URL is refused, null when it is acceptable
+ */
+export async function checkWebhookTarget(url) {
+  const options = {
+    requireHttps: config.webhooks.requireHttps,
+    allowPrivate: config.webhooks.allowPrivateTargets,
+  };
+  const urlError = checkWebhookUrl(url, options);
+  if (urlError || options.allowPrivate) {
+    return urlError;
+  }
+
+  const { hostname } = new URL(url);
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname.replace(/^\[|\]$/g, ''), { all: true });
+  } catch {
+    return 'Webhook host could not be resolved';
+  }
+  if (addresses.some(entry => !isPublicAddress(entry.address))) {
+    return 'Webhook url must not point to a private or loopback address';
+  }
+  return null;
+}
+
+/**
+ * Send a single delivery and record the outcome
+ * @param {Object} delivery - Delivery row joined with endpoint url and secret
+ * @returns {Promise<Object>} Updated delivery row
+ */
+export async function deliverWebhook(delivery) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const signature = signWebhookPayload(delivery.secret, timestamp, body);
+  const attempts = delivery.attempts + 1;
+
+  let responseStatus = null;
+  let errorMessage = null;
+
+  // Checked again on every attempt; the agents check the resolved addresses
+  const targetError = checkWebhookUrl(delivery.url, {
+    requireHttps: config.webhooks.requireHttps,
+    allowPrivate: config.webhooks.allowPrivateTargets,
+  });
+
+  try {
+    if (targetError) {
+      throw new Error(targetError);
+    }
+    const response = await axios.post(delivery.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Zcash-Paywall-Webhooks/1.0',
+        'X-Zcash-Paywall-Event': delivery.event_type,
+        'X-Zcash-Paywall-Delivery': delivery.id,
+        'X-Zcash-Paywall-Signature': `t=${timestamp},v1=${signature}`,
+      },
+      timeout: config.webhooks.timeout,
+      maxRedirects: 0,
+      httpAgent,
+      httpsAgent,
+      validateStatus: () => true,
+    });
+
+    responseStatus = response.status;
+    if (response.status < 200 || response.status >= 300) {
+      errorMessage = `Endpoint responded with HTTP ${response.status}`;
+    }
+  } catch (error) {
+    errorMessage = error.message;
+  }
+
+  if (!errorMessage) {
+    const result = await pool.query(
+      `UPDATE webhook_deliveries
+       SET status = 'delivered', attempts = $1, last_response_status = $2,
+           last_error = NULL, delivered_at = NOW()
+       WHERE id = $3 RETURNING *`,
+      [attempts, responseStatus, delivery.id]
+    );
+    return result.rows[0];
+  }
+
+  const exhausted = attempts >= config.webhooks.maxAttempts;
+  const result = await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = $1, attempts = $2, last_response_status = $3, last_error = $4,
+         next_attempt_at = NOW() + make_interval(secs => $5)
+     WHERE id = $6 RETURNING *`,
+    [
+      exhausted ? 'failed' : 'pending',
+      attempts,
+      responseStatus,
+      errorMessage,
+      getRetryDelay(attempts),
+      delivery.id,
+    ]
+  );
+
+  console.warn(`Webhook delivery ${delivery.id} attempt ${attempts} failed: ${errorMessage}`);
+  return result.rows[0];
+}
+
+/**
+ * Deliver every pending delivery whose retry time has come
+ * Rows are leased by pushing next_attempt_at forward, so concurrent
+ * workers (or server instances) never send the same delivery twice
+ * @param {number} limit - Maximum deliveries to process in this pass
+ * @returns {Promise<number>} Number of deliveries attempted
+ */
+export async function processDueDeliveries(limit = 50) {
+  const leased = await pool.query(
+    `UPDATE webhook_deliveries d
+     SET next_attempt_at = NOW() + INTERVAL '5 minutes'
+     FROM webhook_endpoints e
+     WHERE d.endpoint_id = e.id
+       AND d.id IN (
+         SELECT id FROM webhook_deliveries
+         WHERE status = 'pending' AND next_attempt_at <= NOW()
+         ORDER BY next_attempt_at ASC
+         LIMIT $1
+         FOR UPDATE SKIP LOCKED
+       )
+     RETURNING d.*, e.url, e.secret, e.is_active`,
+    [limit]
+  );
+
+  for (const delivery of leased.rows) {
+    if (!delivery.is_active) {
+      await pool.query(
+        `UPDATE webhook_deliveries SET status = 'failed', last_error = 'Endpoint disabled'
+         WHERE id = $1`,
+        [delivery.id]
+      );
+      continue;
+    }
+
+    await deliverWebhook(delivery);
+  }
+
+  return leased.rows.length;
+}
+
+/**
+ * Reset a delivery so the worker sends it again
+ * @param {string} deliveryId - Delivery ID
+ * @returns {Promise<Object|null>} Reset delivery row, or null if not found
+ */
+export async function replayDelivery(deliveryId) {
+  const result = await pool.query(
+    `UPDATE webhook_deliveries
+     SET status = 'pending', attempts = 0, next_attempt_at = NOW(),
+         last_error = NULL, delivered_at = NULL
+     WHERE id = $1 RETURNING *`,
+    [deliveryId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  setImmediate(() => {
+    processDueDeliveries().catch(error => {
+      console.error('Webhook replay error:', error.message);
+    });
+  });
+
+  return result.rows[0];
+}
+
+/**
+ * Start the background retry worker
+ * @param {number} interval - Polling interval in ms
+ */
+export function startWebhookWorker(interval = config.webhooks.workerInterval) {
+  if (workerTimer) {
+    return;
+  }
+
+  workerTimer = setInterval(async () => {
+    // Skip the tick if the previous pass is still sending
+    if (workerRunning) return;
+    workerRunning = true;
+
+    try {
+      await processDueDeliveries();
+    } catch (error) {
+      console.error('Webhook worker error:', error.message);
+    } finally {
+      workerRunning = false;
+    }
+  }, interval);
+
+  // Don't keep the process alive just for webhooks
+  workerTimer.unref();
+}
+
+/**
+ * Stop the background retry worker
+ */
+export function stopWebhookWorker() {
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
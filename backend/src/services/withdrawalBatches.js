@@ -0,0 +1,581 @@
+/**
+ * Withdrawal batches
+ * Sends pending withdrawals together in multi-recipient z_sendmany calls.
+ * Each batch is recorded before it is sent and keeps its operation ID, so a
+ * run that is interrupted, times out or loses the node can be finished
+ * later without paying anyone twice:
+ * - `sending`: claimed, z_sendmany is being called
+ * - `submitted`: the node accepted the operation (opid), waiting for its result
+ * - `sent`: withdrawals marked sent with the txid and posted to the ledger
+ * - `failed`: nothing was sent; withdrawals go back to pending for another
+ *   batch, or fail once they've been tried `maxAttempts` times
+ * - `unknown`: the outcome couldn't be established; withdrawals stay
+ *   processing until an admin resolves the batch
+ */
+
+import crypto from 'crypto';
+import { pool, config } from '../config/appConfig.js';
+import { sendMany, getOperationStatus, waitForOperation, getChainBackend, CAPABILITIES } from '../config/zcash.js';
+import { postWithdrawal } from './ledger.js';
+import { dispatchWebhookEvent } from './webhooks.js';
+import { operationOutcome, payoutRejected } from './payouts.js';
+import { planWithdrawalBatches, batchRecipients, splitNetworkFee } from '../utils/withdrawalBatches.js';
+import { transactionActions, conventionalFee } from '../utils/zip317.js';
+import { fromZatoshi } from '../utils/paymentAttribution.js';
+
+// Batches whose outcome isn't settled yet and must never be sent again
+const OPEN_STATUSES = ['sending', 'submitted', 'unknown'];
+
+// A batch still `sending` after this long was interrupted before it got an opid
+const STALE_SENDING_MINUTES = 10;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+let batcherTimer = null;
+let batcherRunning = false;
+
+/**
+ * Request rejected before anything was sent
+ */
+export class WithdrawalBatchError extends Error {
+  constructor(message, status = 400, details = {}) {
+    super(message);
+    this.name = 'WithdrawalBatchError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function errorMessage(error) {
+  return typeof error === 'string' ? error : error?.message || JSON.stringify(error);
+}
+
+/**
+ * Claim pending withdrawals and record them in batches
+ */
+async function claimBatches({ withdrawalIds, limit, dryRun, createdBy }) {
+  const { maxActions, inputActions } = config.withdrawalBatches;
+  const treasuryAddress = config.platformTreasuryAddress || null;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const pending = await client.query(
+      `SELECT * FROM withdrawals
+       WHERE status = 'pending' AND ($1::uuid[] IS NULL OR id = ANY($1))
+       ORDER BY requested_at
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED`,
+      [withdrawalIds, limit]
+    );
+    const plan = planWithdrawalBatches(pending.rows, { treasuryAddress, maxActions, inputActions });
+
+    if (dryRun) {
+      await client.query('ROLLBACK');
+      return { plan, claimed: pending.rows };
+    }
+
+    const batches = [];
+    for (const planned of plan) {
+      const id = crypto.randomUUID();
+      const ids = planned.withdrawals.map(withdrawal => withdrawal.id);
+      const recipients = batchRecipients(planned.withdrawals, {
+        treasuryAddress,
+        treasuryMemo: `Withdrawal fees, batch ${id}`,
+      });
+
+      const batchResult = await client.query(
+        `INSERT INTO withdrawal_batches (
+          id, recipients, withdrawal_ids, total_zec, fee_zec, action_count, treasury_address, created_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *`,
+        [
+          id, JSON.stringify(recipients), ids, planned.total_zec, planned.fee_zec,
+          planned.action_count, treasuryAddress, createdBy || null,
+        ]
+      );
+      await client.query(
+        `UPDATE withdrawals SET status = 'processing', batch_id = $1, attempts = attempts + 1
+         WHERE id = ANY($2)`,
+        [id, ids]
+      );
+      batches.push(batchResult.rows[0]);
+    }
+
+    await client.query('COMMIT');
+    return { batches, claimed: pending.rows };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * The fee the node paid for a batch: the ZIP-317 fee of the transaction it
+ * built, which depends on the notes it chose to spend. The planned estimate
+ * is kept when the transaction can't be read.
+ * @returns {Promise<Object>} { fee_zec, action_count }
+ */
+async function paidFee(batch, txid) {
+  const backend = getChainBackend();
+  if (backend.has(CAPABILITIES.FULL_BLOCKS)) {
+    try {
+      const actions = transactionActions(await backend.getRawTransaction(txid));
+      return { fee_zec: fromZatoshi(conventionalFee(actions)), action_count: actions };
+    } catch (error) {
+      console.warn(`Withdrawal batch ${batch.id}: could not read ${txid}, keeping the estimated fee:`, error.message);
+    }
+  }
+  return { fee_zec: batch.fee_zec, action_count: batch.action_count };
+}
+
+/**
+ * Mark the batch and its withdrawals sent and post them to the ledger
+ * Only an open batch is recorded, so a batch settled concurrently is left alone
+ */
+async function recordBatch(batch, txid) {
+  const fee = await paidFee(batch, txid);
+  const client = await pool.connect();
+  let sent;
+  let withdrawals;
+  try {
+    await client.query('BEGIN');
+
+    const batchResult = await client.query(
+      `UPDATE withdrawal_batches
+       SET status = 'sent', txid = $1, fee_zec = $2, action_count = $3, error = NULL, completed_at = NOW()
+       WHERE id = $4 AND status = ANY($5)
+       RETURNING *`,
+      [txid, fee.fee_zec, fee.action_count, batch.id, OPEN_STATUSES]
+    );
+    sent = batchResult.rows[0];
+    if (!sent) {
+      await client.query('ROLLBACK');
+      return await getBatchRow(batch.id);
+    }
+
+    const withdrawalResult = await client.query(
+      `UPDATE withdrawals SET status = 'sent', txid = $1, error = NULL, processed_at = NOW()
+       WHERE id = ANY($2) AND batch_id = $3 AND status = 'processing'
+       RETURNING *`,
+      [txid, sent.withdrawal_ids, sent.id]
+    );
+    withdrawals = withdrawalResult.rows;
+
+    // One transaction fee for the batch, shared by its withdrawals
+    const shares = splitNetworkFee(sent.fee_zec, withdrawals.length);
+    for (const [index, withdrawal] of withdrawals.entries()) {
+      await postWithdrawal(client, withdrawal, {
+        treasury: Boolean(sent.treasury_address),
+        networkFee: shares[index],
+      });
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    // The ZEC is gone; keep the txid on the open batch so the next run records it
+    await pool.query(
+      'UPDATE withdrawal_batches SET txid = $1, error = $2 WHERE id = $3 AND status = ANY($4)',
+      [txid, error.message, batch.id, OPEN_STATUSES]
+    );
+    console.error(`Withdrawal batch ${batch.id} sent in ${txid} but could not be recorded:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  for (const withdrawal of withdrawals) {
+    await dispatchWebhookEvent('withdrawal.sent', withdrawal.user_id, formatWithdrawalEvent(withdrawal));
+  }
+  console.log(`Withdrawal batch ${sent.id} sent in ${txid}: ${withdrawals.length} withdrawal(s), ${sent.total_zec} ZEC`);
+  return sent;
+}
+
+/**
+ * Mark a batch failed (nothing was sent) and release its withdrawals: back to
+ * pending, or failed once they've used up their attempts
+ */
+async function releaseBatch(batch, message) {
+  const client = await pool.connect();
+  let failed;
+  let withdrawals;
+  try {
+    await client.query('BEGIN');
+
+    const batchResult = await client.query(
+      `UPDATE withdrawal_batches SET status = 'failed', error = $1, completed_at = NOW()
+       WHERE id = $2 AND status = ANY($3)
+       RETURNING *`,
+      [message, batch.id, OPEN_STATUSES]
+    );
+    failed = batchResult.rows[0];
+    if (!failed) {
+      await client.query('ROLLBACK');
+      return await getBatchRow(batch.id);
+    }
+
+    const withdrawalResult = await client.query(
+      `UPDATE withdrawals
+       SET status = CASE WHEN attempts >= $1 THEN 'failed' ELSE 'pending' END,
+           processed_at = CASE WHEN attempts >= $1 THEN NOW() ELSE processed_at END,
+           error = $2
+       WHERE id = ANY($3) AND batch_id = $4 AND status = 'processing'
+       RETURNING *`,
+      [config.withdrawalBatches.maxAttempts, message, failed.withdrawal_ids, failed.id]
+    );
+    withdrawals = withdrawalResult.rows;
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  for (const withdrawal of withdrawals.filter(w => w.status === 'failed')) {
+    await dispatchWebhookEvent('withdrawal.failed', withdrawal.user_id, {
+      ...formatWithdrawalEvent(withdrawal),
+      error: message,
+    });
+  }
+  console.error(`Withdrawal batch ${failed.id} failed: ${message}`);
+  return failed;
+}
+
+/**
+ * Leave the batch for an admin: it may or may not have been sent
+ */
+async function markUnknown(batch, message) {
+  const result = await pool.query(
+    `UPDATE withdrawal_batches SET status = 'unknown', error = $1
+     WHERE id = $2 AND status IN ('sending', 'submitted')
+     RETURNING *`,
+    [message, batch.id]
+  );
+  console.error(`Withdrawal batch ${batch.id} needs checking: ${message}`);
+  return result.rows[0] || await getBatchRow(batch.id);
+}
+
+/**
+ * Apply a finished operation to its batch; a running one is left submitted
+ */
+async function settleOperation(batch, operation) {
+  if (!operation) {
+    return await markUnknown(batch, `The node no longer knows operation ${batch.opid}`);
+  }
+  const outcome = operationOutcome(operation);
+  if (!outcome) {
+    return batch;
+  }
+  return outcome.success
+    ? await recordBatch(batch, outcome.txid)
+    : await releaseBatch(batch, errorMessage(outcome.error));
+}
+
+/**
+ * Send a recorded batch and wait for its operation
+ */
+async function sendBatch(batch) {
+  let opid;
+  try {
+    // No fee: the node computes the ZIP-317 fee for the notes it selects, recordBatch reads it back
+    opid = await sendMany(batch.recipients, 1, null);
+  } catch (error) {
+    // Refused by the node: nothing went out. Otherwise it may have.
+    return payoutRejected(error)
+      ? await releaseBatch(batch, error.message)
+      : await markUnknown(batch, error.message);
+  }
+
+  const submittedResult = await pool.query(
+    `UPDATE withdrawal_batches SET status = 'submitted', opid = $1, submitted_at = NOW()
+     WHERE id = $2
+     RETURNING *`,
+    [opid, batch.id]
+  );
+  const submitted = submittedResult.rows[0];
+
+  let operation;
+  try {
+    operation = await waitForOperation(opid);
+  } catch (error) {
+    // Still running or the node is unreachable: the next run checks the opid again
+    await pool.query('UPDATE withdrawal_batches SET error = $1 WHERE id = $2', [error.message, batch.id]);
+    return { ...submitted, error: error.message };
+  }
+  return await settleOperation(submitted, operation);
+}
+
+/**
+ * Finish batches left open by an earlier run
+ * - submitted: check the operation and record or release the batch
+ * - submitted with a txid: sent, but recording it failed; record it again
+ * - sending for more than STALE_SENDING_MINUTES: interrupted, marked unknown
+ * @returns {Promise<Object>} { checked, sent, failed, unknown }
+ */
+export async function reconcileWithdrawalBatches() {
+  const result = await pool.query(
+    `SELECT * FROM withdrawal_batches
+     WHERE status = 'submitted'
+        OR (status = 'sending' AND created_at < NOW() - make_interval(mins => $1))
+     ORDER BY created_at`,
+    [STALE_SENDING_MINUTES]
+  );
+
+  const stats = { checked: result.rows.length, sent: 0, failed: 0, unknown: 0 };
+  for (const batch of result.rows) {
+    let settled;
+    try {
+      if (batch.status === 'sending') {
+        settled = await markUnknown(batch, 'Interrupted before the node returned an operation ID');
+      } else if (batch.txid) {
+        settled = await recordBatch(batch, batch.txid);
+      } else {
+        settled = await settleOperation(batch, await getOperationStatus(batch.opid));
+      }
+    } catch (error) {
+      console.error(`Withdrawal batch ${batch.id} could not be checked:`, error.message);
+      continue;
+    }
+    if (settled && stats[settled.status] !== undefined) {
+      stats[settled.status]++;
+    }
+  }
+  return stats;
+}
+
+/**
+ * Batch and send pending withdrawals
+ * Open batches from earlier runs are finished first. Batches are sent one
+ * after another, each in a single z_sendmany.
+ * @param {Object} options - {
+ *   withdrawalIds: only these (default: every pending withdrawal), limit: most withdrawals per run,
+ *   dryRun: return the batches without sending, createdBy }
+ * @returns {Promise<Object>} { batches: formatted batches with their withdrawals, skipped: requested IDs that weren't pending, dry_run }
+ * @throws {WithdrawalBatchError} For invalid options, or a chain backend without a wallet
+ */
+export async function processWithdrawalBatches({ withdrawalIds = null, limit = 500, dryRun = false, createdBy = null } = {}) {
+  if (withdrawalIds !== null &&
+      (!Array.isArray(withdrawalIds) || withdrawalIds.length === 0 || !withdrawalIds.every(id => UUID_PATTERN.test(id)))) {
+    throw new WithdrawalBatchError('withdrawal_ids must be a non-empty array of withdrawal IDs');
+  }
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new WithdrawalBatchError('limit must be a positive integer');
+  }
+
+  if (!dryRun) {
+    // Without a wallet every batch would fail and use up the withdrawals' attempts
+    const backend = getChainBackend();
+    if (!backend.has(CAPABILITIES.WALLET)) {
+      throw new WithdrawalBatchError(`Not supported by the configured chain backend (${backend.name})`, 501, {
+        capability: CAPABILITIES.WALLET,
+        backend: backend.name,
+      });
+    }
+    await reconcileWithdrawalBatches();
+  }
+
+  const { plan, batches, claimed } = await claimBatches({ withdrawalIds, limit, dryRun, createdBy });
+  const claimedIds = new Set(claimed.map(withdrawal => withdrawal.id));
+  const skipped = withdrawalIds ? withdrawalIds.filter(id => !claimedIds.has(id)) : [];
+
+  if (dryRun) {
+    return {
+      batches: plan.map(planned => ({
+        withdrawal_ids: planned.withdrawals.map(withdrawal => withdrawal.id),
+        recipients: planned.recipients,
+        action_count: planned.action_count,
+        fee_zec: planned.fee_zec,
+        total_zec: planned.total_zec,
+      })),
+      skipped,
+      dry_run: true,
+    };
+  }
+
+  const results = [];
+  for (const batch of batches) {
+    let settled;
+    try {
+      settled = await sendBatch(batch);
+    } catch (error) {
+      // Recording failed; the batch stays open for the next run
+      settled = { ...(await getBatchRow(batch.id)), error: error.message };
+    }
+    results.push(await getWithdrawalBatch(settled.id, settled));
+  }
+
+  return { batches: results, skipped, dry_run: false };
+}
+
+/**
+ * Settle an unknown (or stuck) batch by hand after checking the wallet
+ * @param {string} batchId - Batch ID
+ * @param {Object} resolution - { sent: true, txid } when it went out, { sent: false } when it didn't
+ * @returns {Promise<Object>} Formatted batch with its withdrawals
+ * @throws {WithdrawalBatchError} When the batch isn't open or the txid is missing
+ */
+export async function resolveWithdrawalBatch(batchId, { sent, txid } = {}) {
+  const batch = await getBatchRow(batchId);
+  if (!batch) {
+    throw new WithdrawalBatchError('Withdrawal batch not found', 404);
+  }
+  if (!OPEN_STATUSES.includes(batch.status)) {
+    throw new WithdrawalBatchError('Only sending, submitted or unknown batches can be resolved', 409, {
+      status: batch.status,
+    });
+  }
+  if (typeof sent !== 'boolean') {
+    throw new WithdrawalBatchError('sent must be true or false');
+  }
+  if (sent && !/^[0-9a-f]{64}$/i.test(txid || '')) {
+    throw new WithdrawalBatchError('txid is required when the batch was sent');
+  }
+
+  const settled = sent
+    ? await recordBatch(batch, txid.toLowerCase())
+    : await releaseBatch(batch, 'Resolved as not sent');
+  return await getWithdrawalBatch(settled.id, settled);
+}
+
+async function getBatchRow(batchId) {
+  if (!UUID_PATTERN.test(batchId)) {
+    return null;
+  }
+  const result = await pool.query('SELECT * FROM withdrawal_batches WHERE id = $1', [batchId]);
+  return result.rows[0] || null;
+}
+
+/**
+ * A batch with its withdrawals
+ * @param {string} batchId - Batch ID
+ * @param {Object} row - Batch row when already loaded
+ * @returns {Promise<Object|null>} Formatted batch, null when not found
+ */
+export async function getWithdrawalBatch(batchId, row = null) {
+  const batch = row || await getBatchRow(batchId);
+  if (!batch) {
+    return null;
+  }
+  const withdrawals = await pool.query(
+    'SELECT * FROM withdrawals WHERE id = ANY($1) ORDER BY requested_at',
+    [batch.withdrawal_ids]
+  );
+  return formatWithdrawalBatch(batch, withdrawals.rows);
+}
+
+/**
+ * Batches, newest first
+ * @param {Object} filters - { status, limit, offset }
+ * @returns {Promise<Array>} Formatted batches
+ */
+export async function listWithdrawalBatches({ status, limit = 50, offset = 0 } = {}) {
+  const result = await pool.query(
+    `SELECT * FROM withdrawal_batches
+     WHERE ($1::text IS NULL OR status = $1)
+     ORDER BY created_at DESC
+     LIMIT $2 OFFSET $3`,
+    [status || null, limit, offset]
+  );
+  return result.rows.map(batch => formatWithdrawalBatch(batch));
+}
+
+/**
+ * Format a batch for the API
+ * @param {Object} batch - Batch row
+ * @param {Array} withdrawals - Its withdrawal rows, when loaded
+ * @returns {Object} Batch
+ */
+export function formatWithdrawalBatch(batch, withdrawals = null) {
+  return {
+    id: batch.id,
+    status: batch.status,
+    withdrawal_ids: batch.withdrawal_ids,
+    recipients: batch.recipients,
+    total_zec: parseFloat(batch.total_zec),
+    fee_zec: parseFloat(batch.fee_zec),
+    action_count: batch.action_count,
+    treasury_address: batch.treasury_address,
+    opid: batch.opid,
+    txid: batch.txid,
+    error: batch.error,
+    created_by: batch.created_by,
+    created_at: batch.created_at,
+    submitted_at: batch.submitted_at,
+    completed_at: batch.completed_at,
+    ...(withdrawals && { withdrawals: withdrawals.map(formatWithdrawalEvent) }),
+  };
+}
+
+/**
+ * Format a withdrawal for webhooks and batch results
+ * @param {Object} withdrawal - Withdrawal row
+ * @returns {Object} Withdrawal
+ */
+export function formatWithdrawalEvent(withdrawal) {
+  return {
+    withdrawal_id: withdrawal.id,
+    amount_zec: parseFloat(withdrawal.amount_zec),
+    fee_zec: parseFloat(withdrawal.fee_zec),
+    net_zec: parseFloat(withdrawal.net_zec),
+    to_address: withdrawal.to_address,
+    status: withdrawal.status,
+    txid: withdrawal.txid,
+    batch_id: withdrawal.batch_id,
+    attempts: withdrawal.attempts,
+    error: withdrawal.error,
+    requested_at: withdrawal.requested_at,
+    processed_at: withdrawal.processed_at
+  };
+}
+
+/**
+ * Start sending pending withdrawals on an interval
+ * @param {number} interval - Interval in ms
+ */
+export function startWithdrawalBatcher(interval = config.withdrawalBatches.interval) {
+  if (batcherTimer) {
+    return;
+  }
+
+  const tick = async () => {
+    // Skip the tick if the previous run is still sending
+    if (batcherRunning) return;
+    batcherRunning = true;
+
+    try {
+      const { batches } = await processWithdrawalBatches({ createdBy: 'scheduler' });
+      if (batches.length > 0) {
+        const count = (status) => batches.filter(batch => batch.status === status).length;
+        console.log(
+          `Withdrawal batches: ${count('sent')} sent, ${count('failed')} failed, ` +
+          `${count('submitted') + count('unknown')} open`
+        );
+      }
+    } catch (error) {
+      console.error('Withdrawal batcher error:', error.message);
+    } finally {
+      batcherRunning = false;
+    }
+  };
+
+  batcherTimer = setInterval(tick, interval);
+
+  // Don't keep the process alive just for withdrawals
+  batcherTimer.unref();
+  tick();
+}
+
+/**
+ * Stop sending pending withdrawals
+ */
+export function stopWithdrawalBatcher() {
+  if (batcherTimer) {
+    clearInterval(batcherTimer);
+    batcherTimer = null;
+  }
+}
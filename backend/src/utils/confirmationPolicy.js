@@ -0,0 +1,153 @@
+/**
+ * Confirmation policy
+ * Decides how deep an invoice's payments must be buried before it counts as
+ * paid, and which recorded payments a chain reorganization has orphaned
+ */
+
+import { summarizePayments, toZatoshi, fromZatoshi } from './paymentAttribution.js';
+
+/**
+ * Invoice states before `paid`:
+ * - `pending`        nothing received yet
+ * - `partially_paid` something received, but short of the amount (less the merchant's tolerance)
+ * - `detected`       enough received, but part of it is still unmined
+ * - `confirming`     enough mined, but not yet buried under the required confirmations
+ */
+export const OPEN_STATUSES = ['pending', 'partially_paid', 'detected', 'confirming'];
+
+// Open states that still wait for money (the quote and expiry checks apply to these)
+export const UNPAID_STATUSES = ['pending', 'partially_paid'];
+
+/**
+ * Parse a threshold list from the environment
+ * @param {string} spec - e.g. "shielded:2,unified:3" or "10:6,100:12"
+ * @returns {Array<Array>} [[key, confirmations], ...]
+ */
+export function parseThresholds(spec) {
+  if (!spec) {
+    return [];
+  }
+  return spec.split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const [key, value] = entry.split(':').map(part => part.trim());
+      const confirmations = parseInt(value);
+      if (!key || !Number.isInteger(confirmations) || confirmations < 0) {
+        throw new Error(`Invalid confirmation threshold: ${entry}`);
+      }
+      return [key, confirmations];
+    });
+}
+
+/**
+ * Confirmations an invoice needs before it is paid
+ * The highest of the default, the invoice type threshold and the amount band
+ * @param {Object} policy - { default, byType: { [invoiceType]: n }, amountBands: [{ min_zec, confirmations }] }
+ * @param {Object} invoice - { invoiceType, amountZec }
+ * @returns {number} Required confirmations
+ */
+export function requiredConfirmations(policy, { invoiceType, amountZec }) {
+  let required = policy.byType?.[invoiceType] ?? policy.default ?? 1;
+
+  const amount = toZatoshi(amountZec);
+  for (const band of policy.amountBands || []) {
+    if (amount >= toZatoshi(band.min_zec)) {
+      required = Math.max(required, band.confirmations);
+    }
+  }
+
+  return required;
+}
+
+/**
+ * Confirmations of a payment at a chain tip
+ * @param {number|null} blockHeight - Block the payment was mined in, null while unmined
+ * @param {number|null} tip - Current chain height
+ * @returns {number} 0 while unmined
+ */
+export function confirmationsAt(blockHeight, tip) {
+  if (blockHeight === null || blockHeight === undefined || tip === null || tip === undefined) {
+    return 0;
+  }
+  return Math.max(tip - blockHeight + 1, 0);
+}
+
+/**
+ * Decide where an invoice stands given its recorded payments
+ * @param {number|string} expectedAmount - Invoice amount in ZEC
+ * @param {Array} payments - invoice_payments rows: { txid, amount_zec, block_height }
+ * @param {Object} options - { required: confirmations for paid, tip: chain height,
+ *   tolerance: ZEC an underpayment may fall short by and still settle }
+ * @returns {Object} summarizePayments fields plus { status, confirmations, required_confirmations, confirmed_zec,
+ *   remaining_zec, tolerance_zec }
+ *   `confirmations` is the depth of the shallowest payment needed to cover the amount,
+ *   `remaining_zec` what is still to be sent (0 once covered within the tolerance)
+ */
+export function evaluateSettlement(expectedAmount, payments, { required, tip, tolerance = 0 }) {
+  const summary = summarizePayments(expectedAmount, payments);
+  // Underpayments within the merchant's tolerance still settle the invoice
+  const due = Math.max(toZatoshi(expectedAmount) - toZatoshi(tolerance), 0);
+  const received = toZatoshi(summary.received);
+  const covered = payments.length > 0 && received >= due;
+
+  // Deepest payments first, so `confirmations` is the depth at which the amount is covered
+  const byDepth = payments
+    .map(payment => ({ payment, depth: confirmationsAt(payment.block_height, tip) }))
+    .sort((a, b) => b.depth - a.depth);
+
+  let counted = 0;
+  let confirmations = 0;
+  for (const { payment, depth } of byDepth) {
+    counted += toZatoshi(payment.amount_zec);
+    confirmations = depth;
+    if (counted >= due) break;
+  }
+
+  const confirmed = byDepth
+    .filter(({ depth }) => depth >= required)
+    .reduce((sum, { payment }) => sum + toZatoshi(payment.amount_zec), 0);
+
+  let status = received > 0 ? 'partially_paid' : 'pending';
+  if (covered) {
+    if (confirmed >= due) {
+      status = 'paid';
+    } else if (confirmations > 0) {
+      status = 'confirming';
+    } else {
+      status = 'detected';
+    }
+  }
+
+  return {
+    ...summary,
+    status,
+    paid: status === 'paid',
+    confirmations: payments.length > 0 ? confirmations : 0,
+    required_confirmations: required,
+    confirmed_zec: fromZatoshi(confirmed),
+    remaining_zec: covered ? 0 : summary.underpaid_zec,
+    tolerance_zec: fromZatoshi(toZatoshi(tolerance)),
+  };
+}
+
+/**
+ * Find recorded payments whose block is no longer on the indexed chain
+ * A height the indexer has not reached yet is not evidence either way
+ * @param {Array} payments - Rows with { block_height, block_hash }
+ * @param {Map<number, string>} chainHashes - Indexed block hash by height
+ * @param {number} indexedTip - Highest indexed block
+ * @returns {Array} Orphaned payments
+ */
+export function findOrphanedPayments(payments, chainHashes, indexedTip) {
+  return payments.filter(payment => {
+    if (payment.block_height === null || payment.block_height === undefined || !payment.block_hash) {
+      return false;
+    }
+    const hash = chainHashes.get(payment.block_height);
+    if (hash === undefined) {
+      return payment.block_height <= indexedTip;
+    }
+    return hash !== payment.block_hash;
+  });
+}
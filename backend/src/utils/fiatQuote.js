@@ -0,0 +1,160 @@
+/**
+ * Fiat quotes
+ * Converting fiat prices to ZEC at a locked rate, and deciding what happens
+ * when the payment lands after the quote expired
+ */
+
+import { toZatoshi, fromZatoshi } from './paymentAttribution.js';
+
+export const FIAT_CURRENCIES = ['USD', 'EUR'];
+
+/**
+ * Quote states:
+ * - `locked`    paid (or still payable) at the rate quoted on creation
+ * - `requoted`  the payment came after expiry, amount_zec follows a new rate
+ * - `late`      the payment came after expiry and was accepted, flagged for review
+ */
+export const QUOTE_STATUSES = ['locked', 'requoted', 'late'];
+
+// What to do with a payment that arrives after the quote expired
+export const LATE_PAYMENT_POLICIES = ['requote', 'flag'];
+
+/**
+ * Parse static rates, e.g. "USD:35.20,EUR:32.85" (fiat per ZEC)
+ * @param {string} spec
+ * @returns {Object} Rate by currency code
+ */
+export function parseRates(spec) {
+  const rates = {};
+  for (const entry of (spec || '').split(',').map(item => item.trim()).filter(Boolean)) {
+    const [currency, value] = entry.split(':').map(part => part.trim());
+    const rate = parseFloat(value);
+    if (!normalizeCurrency(currency) || !(rate > 0)) {
+      throw new Error(`Invalid exchange rate "${entry}" (expected CURRENCY:rate)`);
+    }
+    rates[currency.toUpperCase()] = rate;
+  }
+  return rates;
+}
+
+/**
+ * Uppercase a supported currency code
+ * @param {string} currency
+ * @returns {string|null} Currency code, or null when not supported
+ */
+export function normalizeCurrency(currency) {
+  const code = typeof currency === 'string' ? currency.trim().toUpperCase() : null;
+  return FIAT_CURRENCIES.includes(code) ? code : null;
+}
+
+/**
+ * Check a fiat price
+ * @param {number} amountFiat
+ * @param {string} currency
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validateFiatAmount(amountFiat, currency) {
+  if (typeof amountFiat !== 'number' || !(amountFiat > 0)) {
+    return 'amount_fiat must be a positive number';
+  }
+  if (Math.round(amountFiat * 100) / 100 !== amountFiat) {
+    return 'amount_fiat has more than 2 decimal places';
+  }
+  if (!normalizeCurrency(currency)) {
+    return `currency must be one of ${FIAT_CURRENCIES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * ZEC owed for a fiat amount, rounded up to the zatoshi so the merchant is
+ * never short
+ * @param {number} amountFiat
+ * @param {number} rate - Fiat per ZEC
+ * @returns {number} ZEC
+ */
+export function fiatToZec(amountFiat, rate) {
+  if (!(rate > 0)) {
+    throw new Error('Exchange rate must be positive');
+  }
+  // Round away float noise before rounding up, 10 / 0.5 must stay 20
+  const zatoshi = Math.ceil(Number(((amountFiat / rate) * 1e8).toFixed(4)));
+  return fromZatoshi(zatoshi);
+}
+
+/**
+ * When a quote made now stops being honoured; never after the invoice itself expires
+ * @param {Date} quotedAt
+ * @param {number} ttlMinutes
+ * @param {Date|null} invoiceExpiresAt - Invoice expiry, caps the quote
+ * @returns {Date}
+ */
+export function quoteExpiry(quotedAt, ttlMinutes, invoiceExpiresAt = null) {
+  const expiry = new Date(quotedAt.getTime() + ttlMinutes * 60 * 1000);
+  return invoiceExpiresAt && invoiceExpiresAt < expiry ? new Date(invoiceExpiresAt) : expiry;
+}
+
+/**
+ * When the payments first covered the expected amount, in the order they
+ * reached the chain (block time, or when first seen unmined), not when they
+ * happened to be recorded
+ * @param {number|string} expectedAmount - ZEC
+ * @param {Array} payments - [{ amount_zec, seen_at }]
+ * @returns {Date|null} null while the amount is not covered
+ */
+export function quoteCoveredAt(expectedAmount, payments) {
+  const expected = toZatoshi(expectedAmount);
+  const byArrival = [...payments].sort(
+    (a, b) => new Date(a.seen_at).getTime() - new Date(b.seen_at).getTime()
+  );
+
+  let covered = 0;
+  for (const payment of byArrival) {
+    covered += toZatoshi(payment.amount_zec);
+    if (covered >= expected) {
+      return new Date(payment.seen_at);
+    }
+  }
+  return null;
+}
+
+/**
+ * What to do with a fiat invoice whose payments now cover it
+ * @param {Object} invoice - Invoice row with quote_expires_at
+ * @param {Array} payments - [{ amount_zec, seen_at }]
+ * @param {string} policy - requote or flag
+ * @param {number} tolerance - ZEC the invoice may be short by (see paymentTolerance.js)
+ * @returns {string|null} 'requote', 'flag', or null when paid within the quote
+ */
+export function latePaymentAction(invoice, payments, policy = 'requote', tolerance = 0) {
+  if (!invoice.quote_expires_at) {
+    return null;
+  }
+
+  const due = fromZatoshi(Math.max(toZatoshi(invoice.amount_zec) - toZatoshi(tolerance), 0));
+  const coveredAt = quoteCoveredAt(due, payments);
+  if (!coveredAt || coveredAt <= new Date(invoice.quote_expires_at)) {
+    return null;
+  }
+  return policy;
+}
+
+/**
+ * Quote fields of an invoice for API responses and webhooks
+ * @param {Object} invoice - Invoice row
+ * @returns {Object} Empty for ZEC-priced invoices
+ */
+export function formatQuote(invoice) {
+  if (!invoice.fiat_currency) {
+    return {};
+  }
+  return {
+    amount_fiat: parseFloat(invoice.amount_fiat),
+    currency: invoice.fiat_currency,
+    exchange_rate: parseFloat(invoice.exchange_rate),
+    rate_source: invoice.rate_source,
+    quoted_at: invoice.quoted_at,
+    quote_expires_at: invoice.quote_expires_at,
+    quote_status: invoice.quote_status,
+  };
+}
@@ -0,0 +1,167 @@
+/**
+ * BIP32 public key derivation for transparent addresses
+ * Only extended public keys are handled, so no spending key ever reaches the server
+ */
+
+import { secp256k1 } from '@noble/curves/secp256k1.js';
+import { hmac } from '@noble/hashes/hmac.js';
+import { sha256, sha512 } from '@noble/hashes/sha2.js';
+import { ripemd160 } from '@noble/hashes/legacy.js';
+import { createBase58check } from '@scure/base';
+
+const base58check = createBase58check(sha256);
+
+// Extended public key version bytes (BIP32)
+const XPUB_VERSIONS = {
+  0x0488b21e: 'mainnet', // xpub
+  0x043587cf: 'testnet', // tpub
+};
+
+// P2PKH address prefixes (t1..., tm...)
+const P2PKH_PREFIXES = {
+  mainnet: [0x1c, 0xb8],
+  testnet: [0x1d, 0x25],
+};
+
+// BIP44 coin types
+export const ZCASH_COIN_TYPE = {
+  mainnet: 133,
+  testnet: 1,
+};
+
+const HARDENED_OFFSET = 0x80000000;
+
+/**
+ * Parse a base58 extended public key
+ * @param {string} xpub - xpub... (mainnet) or tpub... (testnet)
+ * @returns {Object} { network, depth, parentFingerprint, childNumber, chainCode, publicKey }
+ */
+export function parseExtendedPublicKey(xpub) {
+  let bytes;
+  try {
+    bytes = base58check.decode(xpub);
+  } catch (error) {
+    throw new Error(`Invalid extended public key: ${error.message}`);
+  }
+
+  if (bytes.length !== 78) {
+    throw new Error('Invalid extended public key: wrong length');
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const network = XPUB_VERSIONS[view.getUint32(0)];
+  if (!network) {
+    throw new Error('Invalid extended public key: expected an xpub or tpub (private keys are not accepted)');
+  }
+
+  const publicKey = bytes.slice(45, 78);
+  // Throws on points that are not on the curve
+  secp256k1.ProjectivePoint.fromHex(publicKey);
+
+  return {
+    network,
+    depth: bytes[4],
+    parentFingerprint: view.getUint32(5),
+    childNumber: view.getUint32(9),
+    chainCode: bytes.slice(13, 45),
+    publicKey,
+  };
+}
+
+/**
+ * Fingerprint of a public key (first 4 bytes of HASH160)
+ * @param {Uint8Array} publicKey - Compressed public key
+ * @returns {string} 8 hex characters
+ */
+export function getFingerprint(publicKey) {
+  return Buffer.from(hash160(publicKey).slice(0, 4)).toString('hex');
+}
+
+/**
+ * Derive a non-hardened child public key (CKDpub)
+ * @param {Object} node - { chainCode, publicKey }
+ * @param {number} index - Child index (0 .. 2^31-1)
+ * @returns {Object} Child node { chainCode, publicKey }
+ */
+export function deriveChild(node, index) {
+  if (!Number.isInteger(index) || index < 0 || index >= HARDENED_OFFSET) {
+    throw new Error(`Cannot derive child ${index} from a public key (hardened or out of range)`);
+  }
+
+  const data = new Uint8Array(37);
+  data.set(node.publicKey, 0);
+  new DataView(data.buffer).setUint32(33, index);
+
+  const I = hmac(sha512, node.chainCode, data);
+  const tweak = BigInt('0x' + Buffer.from(I.slice(0, 32)).toString('hex'));
+
+  // Invalid for ~1 in 2^127 indexes, BIP32 says to skip to the next one
+  if (tweak === 0n || tweak >= secp256k1.CURVE.n) {
+    throw new Error(`Derived key at index ${index} is invalid`);
+  }
+
+  const point = secp256k1.ProjectivePoint.fromHex(node.publicKey)
+    .add(secp256k1.ProjectivePoint.BASE.multiply(tweak));
+
+  if (point.equals(secp256k1.ProjectivePoint.ZERO)) {
+    throw new Error(`Derived key at index ${index} is invalid`);
+  }
+
+  return {
+    chainCode: I.slice(32),
+    publicKey: point.toRawBytes(true),
+  };
+}
+
+/**
+ * HASH160 (RIPEMD-160 of SHA-256), the P2PKH public key hash
+ * @param {Uint8Array} data - Input bytes
+ * @returns {Uint8Array} 20-byte hash
+ */
+export function hash160(data) {
+  return ripemd160(sha256(data));
+}
+
+/**
+ * Encode a compressed public key as a P2PKH transparent address
+ * @param {Uint8Array} publicKey - Compressed public key
+ * @param {string} network - 'mainnet' or 'testnet'
+ * @returns {string} t1... or tm... address
+ */
+export function publicKeyToTAddress(publicKey, network = 'mainnet') {
+  const prefix = P2PKH_PREFIXES[network];
+  if (!prefix) {
+    throw new Error(`Unknown network: ${network}`);
+  }
+
+  const payload = new Uint8Array(22);
+  payload.set(prefix, 0);
+  payload.set(hash160(publicKey), 2);
+  return base58check.encode(payload);
+}
+
+/**
+ * Derive the receive address at an index from a BIP44 account xpub
+ * The xpub is m/44'/133'/account', the address is m/44'/133'/account'/0/index
+ * @param {string|Object} xpub - Account xpub or a parsed key
+ * @param {number} index - Address index
+ * @param {Object} options - { change: 0 for receive, 1 for change }
+ * @returns {Object} { address, index, path, network }
+ */
+export function deriveTransparentAddress(xpub, index, { change = 0 } = {}) {
+  const account = typeof xpub === 'string' ? parseExtendedPublicKey(xpub) : xpub;
+  const node = deriveChild(deriveChild(account, change), index);
+
+  const accountIndex = account.depth === 3 && account.childNumber >= HARDENED_OFFSET
+    ? `${account.childNumber - HARDENED_OFFSET}'`
+    : null;
+
+  return {
+    address: publicKeyToTAddress(node.publicKey, account.network),
+    index,
+    path: accountIndex !== null
+      ? `m/44'/${ZCASH_COIN_TYPE[account.network]}'/${accountIndex}/${change}/${index}`
+      : `xpub/${change}/${index}`,
+    network: account.network,
+  };
+}
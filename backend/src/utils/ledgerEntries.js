@@ -0,0 +1,250 @@
+/**
+ * Ledger entries
+ * Builds the double-entry postings for each kind of money movement. Posting
+ * amounts are signed (debit positive, credit negative) and every entry sums
+ * to zero.
+ */
+
+import { toZatoshi, fromZatoshi } from './paymentAttribution.js';
+
+/**
+ * Platform accounts
+ * The wallet holds what merchants are owed (their liability accounts) plus
+ * fees that were not swept to the treasury
+ */
+export const ACCOUNTS = {
+  WALLET: { code: 'platform:wallet', type: 'asset' },
+  TREASURY: { code: 'platform:treasury', type: 'asset' }, // PLATFORM_TREASURY_ADDRESS
+  FEE_REVENUE: { code: 'platform:fee_revenue', type: 'revenue' },
+  NETWORK_FEES: { code: 'platform:network_fees', type: 'expense' },
+  ADJUSTMENTS: { code: 'platform:adjustments', type: 'equity' },
+};
+
+export const ENTRY_TYPES = [
+  'opening_balance',
+  'invoice_payment',
+  'payment_reversal',
+  'withdrawal',
+  'withdrawal_fee',
+  'network_fee',
+  'refund',
+  'adjustment',
+];
+
+/**
+ * A merchant's balance account (what the platform owes them)
+ * @param {string} userId - User ID
+ * @returns {Object} { code, type, userId }
+ */
+export function merchantAccount(userId) {
+  return { code: `merchant:${userId}`, type: 'liability', userId };
+}
+
+/**
+ * Check that an entry's postings balance
+ * @param {Array} postings - [{ account, amount_zec }]
+ * @throws {Error} With fewer than two postings, a zero posting or a non-zero sum
+ */
+export function assertBalanced(postings) {
+  if (postings.length < 2) {
+    throw new Error('A ledger entry needs at least two postings');
+  }
+  if (postings.some(posting => toZatoshi(posting.amount_zec) === 0)) {
+    throw new Error('Ledger postings must not be zero');
+  }
+
+  const total = postings.reduce((sum, posting) => sum + toZatoshi(posting.amount_zec), 0);
+  if (total !== 0) {
+    throw new Error(`Ledger entry does not balance (off by ${(total / 1e8).toFixed(8)} ZEC)`);
+  }
+}
+
+/**
+ * Entry for a paid invoice: the wallet received the payment, the merchant is owed it
+ * @param {string} table - Invoice table
+ * @param {Object} invoice - Paid invoice row
+ * @returns {Object} Entry
+ */
+export function invoicePaymentEntry(table, invoice) {
+  const amount = fromZatoshi(toZatoshi(invoice.paid_amount_zec));
+  return {
+    type: 'invoice_payment',
+    referenceTable: table,
+    referenceId: String(invoice.id),
+    description: `Payment ${invoice.paid_txid || ''}`.trim(),
+    postings: [
+      { account: ACCOUNTS.WALLET, amount_zec: amount },
+      { account: merchantAccount(invoice.user_id), amount_zec: -amount },
+    ],
+  };
+}
+
+/**
+ * Entries for a sent withdrawal
+ * - `withdrawal`: the net amount leaves the wallet
+ * - `withdrawal_fee`: the platform fee moves from the merchant to fee revenue,
+ *   and out of the wallet to the treasury when one is configured
+ * - `network_fee`: the transaction fee the wallet paid
+ * @param {Object} withdrawal - Withdrawal row
+ * @param {Object} options - { treasury: fee was sent to the treasury address, networkFee: ZEC }
+ * @returns {Array} Entries, without the zero-amount ones
+ */
+export function withdrawalEntries(withdrawal, { treasury = false, networkFee = 0 } = {}) {
+  const merchant = merchantAccount(withdrawal.user_id);
+  const net = fromZatoshi(toZatoshi(withdrawal.net_zec));
+  const fee = fromZatoshi(toZatoshi(withdrawal.fee_zec));
+  const transactionFee = fromZatoshi(toZatoshi(networkFee));
+  const reference = { referenceTable: 'withdrawals', referenceId: String(withdrawal.id) };
+
+  const entries = [{
+    type: 'withdrawal',
+    ...reference,
+    description: `Withdrawal to ${withdrawal.to_address}`,
+    postings: [
+      { account: merchant, amount_zec: net },
+      { account: ACCOUNTS.WALLET, amount_zec: -net },
+    ],
+  }];
+
+  if (fee > 0) {
+    const postings = [
+      { account: merchant, amount_zec: fee },
+      { account: ACCOUNTS.FEE_REVENUE, amount_zec: -fee },
+    ];
+    if (treasury) {
+      postings.push(
+        { account: ACCOUNTS.TREASURY, amount_zec: fee },
+        { account: ACCOUNTS.WALLET, amount_zec: -fee }
+      );
+    }
+    entries.push({ type: 'withdrawal_fee', ...reference, description: 'Platform withdrawal fee', postings });
+  }
+
+  if (transactionFee > 0) {
+    entries.push({
+      type: 'network_fee',
+      ...reference,
+      description: 'Transaction fee',
+      postings: [
+        { account: ACCOUNTS.NETWORK_FEES, amount_zec: transactionFee },
+        { account: ACCOUNTS.WALLET, amount_zec: -transactionFee },
+      ],
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Entries for a sent refund: the merchant pays the buyer back out of their
+ * balance, the platform pays the transaction fee
+ * @param {Object} refund - Refund row
+ * @param {Object} options - { networkFee: ZEC }
+ * @returns {Array} Entries, without the zero-amount ones
+ */
+export function refundEntries(refund, { networkFee = 0 } = {}) {
+  const amount = fromZatoshi(toZatoshi(refund.amount_zec));
+  const transactionFee = fromZatoshi(toZatoshi(networkFee));
+  const reference = { referenceTable: 'refunds', referenceId: String(refund.id) };
+
+  const entries = [{
+    type: 'refund',
+    ...reference,
+    description: `Refund of ${refund.invoice_table} ${refund.invoice_id} to ${refund.to_address}`,
+    postings: [
+      { account: merchantAccount(refund.user_id), amount_zec: amount },
+      { account: ACCOUNTS.WALLET, amount_zec: -amount },
+    ],
+  }];
+
+  if (transactionFee > 0) {
+    entries.push({
+      type: 'network_fee',
+      ...reference,
+      description: 'Transaction fee',
+      postings: [
+        { account: ACCOUNTS.NETWORK_FEES, amount_zec: transactionFee },
+        { account: ACCOUNTS.WALLET, amount_zec: -transactionFee },
+      ],
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Manual adjustment of a merchant balance
+ * @param {string} userId - User ID
+ * @param {number} amount - ZEC, positive credits the merchant, negative debits
+ * @param {string} reason - Why, kept as the entry description
+ * @returns {Object} Entry
+ */
+export function adjustmentEntry(userId, amount, reason) {
+  return {
+    type: 'adjustment',
+    referenceTable: 'users',
+    referenceId: String(userId),
+    description: reason,
+    postings: [
+      { account: ACCOUNTS.ADJUSTMENTS, amount_zec: amount },
+      { account: merchantAccount(userId), amount_zec: -amount },
+    ],
+  };
+}
+
+/**
+ * Entry undoing what is still posted for a reference
+ * @param {string} type - Entry type of the reversal
+ * @param {Object} reference - { referenceTable, referenceId }
+ * @param {Array} balances - Net amount per account: [{ code, account_type, user_id, amount_zec }]
+ * @returns {Object|null} Entry, or null when nothing is left to reverse
+ */
+export function reversalEntry(type, { referenceTable, referenceId }, balances) {
+  const postings = balances
+    .filter(balance => toZatoshi(balance.amount_zec) !== 0)
+    .map(balance => ({
+      account: { code: balance.code, type: balance.account_type, userId: balance.user_id },
+      amount_zec: fromZatoshi(-toZatoshi(balance.amount_zec)),
+    }));
+
+  if (postings.length === 0) {
+    return null;
+  }
+  return { type, referenceTable, referenceId, description: 'Reversal', postings };
+}
+
+/**
+ * Compare ledger balances with the user_balances view
+ * @param {Array} rows - [{ id, email, ledger_balance_zec, view_balance_zec }]
+ * @returns {Object} { merchants: [rows with difference_zec and matches], mismatched, totals }
+ */
+export function compareBalances(rows) {
+  let ledgerTotal = 0;
+  let viewTotal = 0;
+
+  const merchants = rows.map(row => {
+    const ledger = toZatoshi(row.ledger_balance_zec ?? 0);
+    const view = toZatoshi(row.view_balance_zec ?? 0);
+    ledgerTotal += ledger;
+    viewTotal += view;
+
+    return {
+      user_id: row.id,
+      email: row.email,
+      ledger_balance_zec: fromZatoshi(ledger),
+      view_balance_zec: fromZatoshi(view),
+      difference_zec: fromZatoshi(ledger - view),
+      matches: ledger === view,
+    };
+  });
+
+  return {
+    merchants,
+    mismatched: merchants.filter(merchant => !merchant.matches).length,
+    totals: {
+      ledger_zec: fromZatoshi(ledgerTotal),
+      view_zec: fromZatoshi(viewTotal),
+      difference_zec: fromZatoshi(ledgerTotal - viewTotal),
+    },
+  };
+}
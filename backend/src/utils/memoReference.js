@@ -0,0 +1,81 @@
+/**
+ * Invoice reference codes carried in shielded memos
+ * Format: ZB-XXXXXXXX-CC, eight random Crockford base32 symbols and a
+ * two-symbol checksum, so a mistyped or truncated code never matches an invoice
+ */
+
+import crypto from 'crypto';
+
+// Crockford base32: no I, L, O or U
+const ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+const PREFIX = 'ZB';
+const BODY_LENGTH = 8;
+
+// Lenient on case, separators and the letters Crockford maps to digits
+const REFERENCE_PATTERN = /ZB[-\s]?([0-9A-Z]{8})[-\s]?([0-9A-Z]{2})(?![0-9A-Z])/gi;
+
+function checksum(body) {
+  const digest = crypto.createHash('sha256').update(`${PREFIX}-${body}`).digest();
+  // First 10 bits of the digest as two symbols
+  const value = (digest[0] << 2) | (digest[1] >> 6);
+  return ALPHABET[value >> 5] + ALPHABET[value & 31];
+}
+
+function normalizeSymbols(symbols) {
+  return symbols.toUpperCase().replace(/O/g, '0').replace(/[IL]/g, '1');
+}
+
+/**
+ * Generate a random reference code
+ * @returns {string} e.g. ZB-4T9KQ2XM-7F
+ */
+export function generateReference() {
+  const bytes = crypto.randomBytes(BODY_LENGTH);
+  const body = Array.from(bytes, byte => ALPHABET[byte & 31]).join('');
+  return `${PREFIX}-${body}-${checksum(body)}`;
+}
+
+/**
+ * Check a reference code and return its canonical form
+ * @param {string} reference - Code as typed or found in a memo
+ * @returns {string|null} Canonical code, or null if malformed or the checksum fails
+ */
+export function normalizeReference(reference) {
+  if (!reference || typeof reference !== 'string') {
+    return null;
+  }
+  const [match] = [...reference.trim().matchAll(REFERENCE_PATTERN)];
+  if (!match || match[0].length !== reference.trim().length) {
+    return null;
+  }
+  return canonical(match);
+}
+
+function canonical(match) {
+  const body = normalizeSymbols(match[1]);
+  const check = normalizeSymbols(match[2]);
+  if (![...body, ...check].every(symbol => ALPHABET.includes(symbol))) {
+    return null;
+  }
+  return checksum(body) === check ? `${PREFIX}-${body}-${check}` : null;
+}
+
+/**
+ * Find the reference codes in a memo
+ * Candidates with a bad checksum are ignored
+ * @param {string} memo - Decoded memo text
+ * @returns {Array<string>} Valid codes in canonical form, in order of appearance
+ */
+export function findReferences(memo) {
+  if (!memo || typeof memo !== 'string') {
+    return [];
+  }
+  const references = [];
+  for (const match of memo.matchAll(REFERENCE_PATTERN)) {
+    const reference = canonical(match);
+    if (reference && !references.includes(reference)) {
+      references.push(reference);
+    }
+  }
+  return references;
+}
@@ -0,0 +1,380 @@
+/**
+ * Sapling and Orchard note trial decryption (Zcash protocol spec §4.20, ZIP-212)
+ * Decrypts outputs with an incoming viewing key and checks the note commitment,
+ * so a sender cannot claim a value the note does not commit to
+ */
+
+import crypto from 'crypto';
+import { blake2b } from '@noble/hashes/blake2b.js';
+import { jubjub, groupHash } from '@noble/curves/jubjub.js';
+import { pallas } from '@noble/curves/misc.js';
+import {
+  sinsemillaCommit,
+  prfExpand,
+  encodePoint as encodePallasPoint,
+  decodePoint as decodePallasPoint,
+  diversifyHash as orchardDiversifyHash,
+  toBitsLE,
+} from './orchard.js';
+
+// Ciphertext sizes: full note plaintext + AEAD tag, and the compact prefix
+export const SAPLING_ENC_CIPHERTEXT_SIZE = 580;
+export const COMPACT_NOTE_SIZE = 52;
+const MEMO_SIZE = 512;
+
+const R_J = jubjub.CURVE.n;
+const P_PALLAS = pallas.CURVE.Fp.ORDER;
+const Q_PALLAS = pallas.CURVE.n;
+const PERSONALIZATION_KDF = Buffer.from('Zcash_SaplingKDF');
+const PERSONALIZATION_ORCHARD_KDF = Buffer.from('Zcash_OrchardKDF');
+const PERSONALIZATION_EXPAND = Buffer.from('Zcash_ExpandSeed');
+const PERSONALIZATION_PEDERSEN = Buffer.from('Zcash_PH');
+
+// Pedersen hash generators are expensive to find, derive each one once
+const pedersenGenerators = [];
+let commitmentRandomnessBase = null;
+
+function bytesToBigIntLE(bytes) {
+  return BigInt('0x' + (Buffer.from(bytes).reverse().toString('hex') || '0'));
+}
+
+function bigIntToBytesLE(value, length) {
+  const bytes = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) {
+    bytes[i] = Number(value & 0xffn);
+    value >>= 8n;
+  }
+  return bytes;
+}
+
+function multiply(point, scalar) {
+  const n = ((scalar % R_J) + R_J) % R_J;
+  return n === 0n ? jubjub.Point.ZERO : point.multiply(n);
+}
+
+/**
+ * PRF^expand(rseed, t) reduced to a Jubjub scalar (ToScalar)
+ */
+function expandSeedToScalar(rseed, domain) {
+  const digest = blake2b(Buffer.concat([rseed, Buffer.from([domain])]), {
+    dkLen: 64,
+    personalization: PERSONALIZATION_EXPAND,
+  });
+  return bytesToBigIntLE(digest) % R_J;
+}
+
+/**
+ * Decode a canonical Jubjub point
+ * @returns {Object|null} Point, or null for invalid encodings
+ */
+function decodePoint(bytes) {
+  try {
+    return jubjub.Point.fromBytes(Uint8Array.from(bytes), false);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Sapling key agreement: [8 * ivk] epk, with small-order epk rejected
+ * @param {Buffer} ivk - 32-byte incoming viewing key
+ * @param {Buffer} epk - 32-byte ephemeral public key
+ * @returns {Buffer|null} 32-byte shared secret
+ */
+export function saplingKeyAgreement(ivk, epk) {
+  const point = decodePoint(epk);
+  if (!point) {
+    return null;
+  }
+  const cleared = point.clearCofactor();
+  if (cleared.is0()) {
+    return null;
+  }
+  return Buffer.from(multiply(cleared, bytesToBigIntLE(ivk)).toBytes());
+}
+
+/**
+ * KDF^Sapling(sharedSecret, epk)
+ * @returns {Buffer} 32-byte symmetric key
+ */
+function saplingKdf(sharedSecret, epk) {
+  return Buffer.from(blake2b(Buffer.concat([sharedSecret, epk]), {
+    dkLen: 32,
+    personalization: PERSONALIZATION_KDF,
+  }));
+}
+
+/**
+ * FindGroupHash^J*: the first valid GroupHash(m || i) for i = 0, 1, ...
+ */
+function findGroupHash(m, personalization) {
+  for (let i = 0; i < 256; i++) {
+    try {
+      return groupHash(Buffer.concat([m, Buffer.from([i])]), personalization);
+    } catch (error) {
+      // Not a valid point, try the next counter
+    }
+  }
+  throw new Error('FindGroupHash found no valid point');
+}
+
+function pedersenGenerator(index) {
+  if (!pedersenGenerators[index]) {
+    const tag = Buffer.alloc(4);
+    tag.writeUInt32LE(index);
+    pedersenGenerators[index] = findGroupHash(tag, PERSONALIZATION_PEDERSEN);
+  }
+  return pedersenGenerators[index];
+}
+
+/**
+ * PedersenHashToPoint("Zcash_PH", bits) from the spec (§5.4.1.7)
+ * @param {Array<number>} bits - Message bits
+ * @returns {Object} Jubjub point
+ */
+function pedersenHashToPoint(bits) {
+  const padded = [...bits];
+  while (padded.length % 3 !== 0) padded.push(0);
+
+  let result = jubjub.Point.ZERO;
+  const segmentBits = 3 * 63;
+
+  for (let segment = 0; segment * segmentBits < padded.length; segment++) {
+    const chunks = padded.slice(segment * segmentBits, (segment + 1) * segmentBits);
+    let sum = 0n;
+    for (let j = 0; j < chunks.length / 3; j++) {
+      const [s0, s1, s2] = chunks.slice(j * 3, j * 3 + 3);
+      const magnitude = BigInt(1 + s0 + 2 * s1);
+      sum += (s2 ? -magnitude : magnitude) << BigInt(4 * j);
+    }
+    result = result.add(multiply(pedersenGenerator(segment), sum));
+  }
+
+  return result;
+}
+
+function bytesToBitsLE(bytes) {
+  const bits = [];
+  for (const byte of bytes) {
+    for (let i = 0; i < 8; i++) bits.push((byte >> i) & 1);
+  }
+  return bits;
+}
+
+/**
+ * Sapling note commitment u-coordinate (cmu)
+ * NoteCommit_rcm(g_d, pk_d, v) = PedersenHashToPoint([1]^6 || v || g_d || pk_d) + [rcm] R
+ * @param {Buffer} gd - 32-byte diversified base
+ * @param {Buffer} pkd - 32-byte diversified transmission key
+ * @param {bigint} value - Note value in zatoshi
+ * @param {bigint} rcm - Commitment randomness
+ * @returns {Buffer} 32-byte cmu
+ */
+export function saplingNoteCommitment(gd, pkd, value, rcm) {
+  if (!commitmentRandomnessBase) {
+    commitmentRandomnessBase = findGroupHash(Buffer.from('r'), PERSONALIZATION_PEDERSEN);
+  }
+
+  const bits = [
+    1, 1, 1, 1, 1, 1,
+    ...bytesToBitsLE(bigIntToBytesLE(value, 8)),
+    ...bytesToBitsLE(gd),
+    ...bytesToBitsLE(pkd),
+  ];
+
+  const point = pedersenHashToPoint(bits).add(multiply(commitmentRandomnessBase, rcm));
+  return bigIntToBytesLE(point.toAffine().x, 32);
+}
+
+function decryptFull(key, ciphertext) {
+  const decipher = crypto.createDecipheriv('chacha20-poly1305', key, Buffer.alloc(12), {
+    authTagLength: 16,
+  });
+  decipher.setAuthTag(ciphertext.subarray(SAPLING_ENC_CIPHERTEXT_SIZE - 16));
+  try {
+    return Buffer.concat([
+      decipher.update(ciphertext.subarray(0, SAPLING_ENC_CIPHERTEXT_SIZE - 16)),
+      decipher.final(),
+    ]);
+  } catch (error) {
+    // Authentication failed, not ours
+    return null;
+  }
+}
+
+function decryptCompact(key, ciphertext) {
+  // ChaCha20 keystream from block 1, block 0 is the Poly1305 key in the full AEAD
+  const iv = Buffer.alloc(16);
+  iv.writeUInt32LE(1, 0);
+  const decipher = crypto.createDecipheriv('chacha20', key, iv);
+  return Buffer.concat([decipher.update(ciphertext.subarray(0, COMPACT_NOTE_SIZE)), decipher.final()]);
+}
+
+/**
+ * Trial-decrypt a Sapling output with an incoming viewing key
+ * A 580-byte ciphertext yields the memo, a 52-byte compact ciphertext does not
+ * @param {Buffer} ivk - 32-byte incoming viewing key
+ * @param {Object} output - { cmu, epk, ciphertext } as Buffers (protocol byte order)
+ * @returns {Object|null} { diversifier, pk_d, value, memo, lead_byte } or null if not for this key
+ */
+export function trySaplingOutput(ivk, output) {
+  const { cmu, epk, ciphertext } = output;
+  if (ciphertext.length !== SAPLING_ENC_CIPHERTEXT_SIZE && ciphertext.length !== COMPACT_NOTE_SIZE) {
+    return null;
+  }
+
+  const sharedSecret = saplingKeyAgreement(ivk, epk);
+  if (!sharedSecret) {
+    return null;
+  }
+  const key = saplingKdf(sharedSecret, epk);
+
+  const plaintext = ciphertext.length === COMPACT_NOTE_SIZE
+    ? decryptCompact(key, ciphertext)
+    : decryptFull(key, ciphertext);
+  if (!plaintext) {
+    return null;
+  }
+
+  const leadByte = plaintext[0];
+  if (leadByte !== 0x01 && leadByte !== 0x02) {
+    return null;
+  }
+
+  const diversifier = plaintext.subarray(1, 12);
+  const value = plaintext.readBigUInt64LE(12);
+  const rseed = plaintext.subarray(20, 52);
+
+  let gd;
+  try {
+    gd = groupHash(diversifier, Buffer.from('Zcash_gd'));
+  } catch (error) {
+    return null;
+  }
+  const pkd = multiply(gd, bytesToBigIntLE(ivk));
+
+  let rcm;
+  if (leadByte === 0x02) {
+    // ZIP-212: epk must be re-derivable from rseed
+    const esk = expandSeedToScalar(rseed, 0x05);
+    if (!Buffer.from(multiply(gd, esk).toBytes()).equals(Buffer.from(epk))) {
+      return null;
+    }
+    rcm = expandSeedToScalar(rseed, 0x04);
+  } else {
+    rcm = bytesToBigIntLE(rseed);
+    if (rcm >= R_J) {
+      return null;
+    }
+  }
+
+  const pkdBytes = Buffer.from(pkd.toBytes());
+  const expectedCmu = saplingNoteCommitment(Buffer.from(gd.toBytes()), pkdBytes, value, rcm);
+  if (!expectedCmu.equals(Buffer.from(cmu))) {
+    return null;
+  }
+
+  return {
+    diversifier: Buffer.from(diversifier),
+    pk_d: pkdBytes,
+    value,
+    memo: plaintext.length > COMPACT_NOTE_SIZE ? plaintext.subarray(COMPACT_NOTE_SIZE, COMPACT_NOTE_SIZE + MEMO_SIZE) : null,
+    lead_byte: leadByte,
+  };
+}
+
+function multiplyPallas(point, scalar) {
+  const n = ((scalar % Q_PALLAS) + Q_PALLAS) % Q_PALLAS;
+  return n === 0n ? pallas.Point.ZERO : point.multiply(n);
+}
+
+/**
+ * Orchard note commitment x-coordinate (cmx)
+ * NoteCommit_rcm(g_d, pk_d, v, rho, psi) = SinsemillaCommit_rcm("z.cash:Orchard-NoteCommit",
+ * repr(g_d) || repr(pk_d) || v || rho || psi)
+ * @param {Buffer} gd - 32-byte diversified base
+ * @param {Buffer} pkd - 32-byte diversified transmission key
+ * @param {bigint} value - Note value in zatoshi
+ * @param {bigint} rho - Nullifier of the note spent in the same action
+ * @param {bigint} psi - Nullifier randomness
+ * @param {bigint} rcm - Commitment randomness
+ * @returns {Buffer} 32-byte cmx
+ */
+export function orchardNoteCommitment(gd, pkd, value, rho, psi, rcm) {
+  const bits = [
+    ...bytesToBitsLE(gd),
+    ...bytesToBitsLE(pkd),
+    ...toBitsLE(value, 64),
+    ...toBitsLE(rho, 255),
+    ...toBitsLE(psi, 255),
+  ];
+  const point = sinsemillaCommit('z.cash:Orchard-NoteCommit', bits, rcm);
+  return bigIntToBytesLE(point.is0() ? 0n : point.toAffine().x, 32);
+}
+
+/**
+ * Trial-decrypt an Orchard action with an incoming viewing key
+ * A 580-byte ciphertext yields the memo, a 52-byte compact ciphertext does not
+ * @param {Buffer} ivk - 32-byte little-endian Orchard incoming viewing key
+ * @param {Object} action - { nullifier, cmx, epk, ciphertext } as Buffers (protocol byte order)
+ * @returns {Object|null} { diversifier, pk_d, value, memo, lead_byte } or null if not for this key
+ */
+export function tryOrchardAction(ivk, action) {
+  const { nullifier, cmx, epk, ciphertext } = action;
+  // Orchard ciphertexts have the same sizes as Sapling ones
+  if (ciphertext.length !== SAPLING_ENC_CIPHERTEXT_SIZE && ciphertext.length !== COMPACT_NOTE_SIZE) {
+    return null;
+  }
+
+  const epkPoint = decodePallasPoint(epk);
+  if (!epkPoint || epkPoint.is0()) {
+    return null;
+  }
+  const ivkScalar = bytesToBigIntLE(ivk);
+  const sharedSecret = encodePallasPoint(multiplyPallas(epkPoint, ivkScalar));
+  const key = Buffer.from(blake2b(Buffer.concat([sharedSecret, epk]), {
+    dkLen: 32,
+    personalization: PERSONALIZATION_ORCHARD_KDF,
+  }));
+
+  const plaintext = ciphertext.length === COMPACT_NOTE_SIZE
+    ? decryptCompact(key, ciphertext)
+    : decryptFull(key, ciphertext);
+  // Orchard notes always use ZIP-212 plaintexts
+  if (!plaintext || plaintext[0] !== 0x02) {
+    return null;
+  }
+
+  const diversifier = plaintext.subarray(1, 12);
+  const value = plaintext.readBigUInt64LE(12);
+  const rseed = plaintext.subarray(20, 52);
+
+  // rho is the nullifier of the action's spend, the note's randomness is derived from both
+  const rho = bytesToBigIntLE(nullifier);
+  if (rho >= P_PALLAS) {
+    return null;
+  }
+  const expand = (domain) => bytesToBigIntLE(prfExpand(rseed, Buffer.concat([Buffer.from([domain]), nullifier])));
+
+  const gd = orchardDiversifyHash(diversifier);
+  const esk = expand(0x04) % Q_PALLAS;
+  if (!encodePallasPoint(multiplyPallas(gd, esk)).equals(Buffer.from(epk))) {
+    return null;
+  }
+
+  const pkd = encodePallasPoint(multiplyPallas(gd, ivkScalar));
+  const rcm = expand(0x05) % Q_PALLAS;
+  const psi = expand(0x09) % P_PALLAS;
+  const expectedCmx = orchardNoteCommitment(encodePallasPoint(gd), pkd, value, rho, psi, rcm);
+  if (!expectedCmx.equals(Buffer.from(cmx))) {
+    return null;
+  }
+
+  return {
+    diversifier: Buffer.from(diversifier),
+    pk_d: pkd,
+    value,
+    memo: plaintext.length > COMPACT_NOTE_SIZE ? plaintext.subarray(COMPACT_NOTE_SIZE, COMPACT_NOTE_SIZE + MEMO_SIZE) : null,
+    lead_byte: plaintext[0],
+  };
+}
@@ -0,0 +1,279 @@
+/**
+ * Orchard key components over the Pallas curve (Zcash protocol spec §4.2.3, §5.4.1.9, §5.4.9.8)
+ * GroupHash (hash-to-curve with simplified SWU on iso-Pallas), Sinsemilla and the
+ * incoming viewing key, so Orchard receivers can be derived from a viewing key
+ *
+ * Checked against librustzcash: the Sinsemilla S table and the empty Orchard note
+ * commitment tree root, and the Orchard items of the UFVKs in tests/fixtures.
+ */
+
+import { blake2b } from '@noble/hashes/blake2b.js';
+import { pallas } from '@noble/curves/misc.js';
+import { mapToCurveSimpleSWU } from '@noble/curves/abstract/weierstrass.js';
+
+const Fp = pallas.CURVE.Fp;
+const P = Fp.ORDER;
+const Q = pallas.CURVE.n;
+
+const PERSONALIZATION_EXPAND = Buffer.from('Zcash_ExpandSeed');
+
+// iso-Pallas, the curve simplified SWU maps to before the 3-isogeny (RFC 9380 §6.6.3)
+const ISO_A = 0x18354a2eb0ea8c9c49be2d7258370742b74134581a27a59f92bb4b0b657a014bn;
+const ISO_B = 1265n;
+const SWU_Z = Fp.neg(13n);
+
+// 3-isogeny from iso-Pallas to Pallas: x numerator, x denominator, y numerator, y denominator
+const ISOGENY = [
+  0x0e38e38e38e38e38e38e38e38e38e38e4081775473d8375b775f6034aaaaaaabn,
+  0x3509afd51872d88e267c7ffa51cf412a0f93b82ee4b994958cf863b02814fb76n,
+  0x17329b9ec525375398c7d7ac3d98fd13380af066cfeb6d690eb64faef37ea4f7n,
+  0x1c71c71c71c71c71c71c71c71c71c71c8102eea8e7b06eb6eebec06955555580n,
+  0x1d572e7ddc099cff5a607fcce0494a799c434ac1c96b6980c47f2ab668bcd71fn,
+  0x325669becaecd5d11d13bf2a7f22b105b4abf9fb9a1fc81c2aa3af1eae5b6604n,
+  0x1a12f684bda12f684bda12f684bda12f7642b01ad461bad25ad985b5e38e38e4n,
+  0x1a84d7ea8c396c47133e3ffd28e7a09507c9dc17725cca4ac67c31d8140a7dbbn,
+  0x3fb98ff0d2ddcadd303216cce1db9ff11765e924f745937802e2be87d225b234n,
+  0x025ed097b425ed097b425ed097b425ed0ac03e8e134eb3e493e53ab371c71c4fn,
+  0x0c02c5bcca0e6b7f0790bfb3506defb65941a3a4a97aa1b35a28279b1d1b42aen,
+  0x17033d3c60c68173573b3d7f7d681310d976bbfabbc5661d4d90ab820b12320an,
+  P - 540n,
+];
+
+const mapToIsoPallas = mapToCurveSimpleSWU(Fp, { A: ISO_A, B: ISO_B, Z: SWU_Z });
+
+// Sinsemilla consumes 10-bit chunks, each selecting one of 1024 generators
+const SINSEMILLA_K = 10;
+const SINSEMILLA_MAX_CHUNKS = 253;
+
+// Generators are hashed to the curve on first use and kept
+const sinsemillaGenerators = new Map();
+
+function bytesToBigIntLE(bytes) {
+  return BigInt('0x' + (Buffer.from(bytes).reverse().toString('hex') || '0'));
+}
+
+function bigIntToBytesLE(value, length) {
+  const bytes = Buffer.alloc(length);
+  for (let i = 0; i < length; i++) {
+    bytes[i] = Number(value & 0xffn);
+    value >>= 8n;
+  }
+  return bytes;
+}
+
+/**
+ * Little-endian bit sequence of an integer (I2LEBSP)
+ * @param {bigint} value - Non-negative integer
+ * @param {number} length - Number of bits
+ * @returns {number[]} Bits, least significant first
+ */
+export function toBitsLE(value, length) {
+  return Array.from({ length }, (_, i) => Number((BigInt(value) >> BigInt(i)) & 1n));
+}
+
+function multiply(point, scalar) {
+  const n = ((scalar % Q) + Q) % Q;
+  return n === 0n ? pallas.Point.ZERO : point.multiply(n);
+}
+
+function isoMap({ x, y }) {
+  const [k0, k1, k2, k3, k4, k5, k6, k7, k8, k9, k10, k11, k12] = ISOGENY;
+  const x2 = Fp.sqr(x);
+  const x3 = Fp.mul(x2, x);
+
+  const xNum = Fp.add(Fp.add(Fp.mul(k0, x3), Fp.mul(k1, x2)), Fp.add(Fp.mul(k2, x), k3));
+  const xDen = Fp.add(Fp.add(x2, Fp.mul(k4, x)), k5);
+  const yNum = Fp.add(Fp.add(Fp.mul(k6, x3), Fp.mul(k7, x2)), Fp.add(Fp.mul(k8, x), k9));
+  const yDen = Fp.add(Fp.add(x3, Fp.mul(k10, x2)), Fp.add(Fp.mul(k11, x), k12));
+
+  // The denominators vanish only at the isogeny's kernel, which maps to the identity
+  if (Fp.is0(xDen) || Fp.is0(yDen)) {
+    return pallas.Point.ZERO;
+  }
+  return pallas.Point.fromAffine({ x: Fp.div(xNum, xDen), y: Fp.mul(y, Fp.div(yNum, yDen)) });
+}
+
+/**
+ * hash_to_field with expand_message_xmd over BLAKE2b-512 (RFC 9380 §5.3.1)
+ * @returns {bigint[]} Two base field elements
+ */
+function hashToField(domain, message) {
+  const dst = Buffer.concat([Buffer.from(domain), Buffer.from('-pallas_XMD:BLAKE2b_SSWU_RO_')]);
+  const dstPrime = Buffer.concat([dst, Buffer.from([dst.length])]);
+  const hash = (data) => blake2b(data, { dkLen: 64, personalization: new Uint8Array(16) });
+
+  const b0 = hash(Buffer.concat([Buffer.alloc(128), Buffer.from(message), Buffer.from([0, 128, 0]), dstPrime]));
+  const b1 = hash(Buffer.concat([b0, Buffer.from([1]), dstPrime]));
+  const b2 = hash(Buffer.concat([Buffer.from(b0.map((byte, i) => byte ^ b1[i])), Buffer.from([2]), dstPrime]));
+
+  const toField = (bytes) => Fp.create(BigInt('0x' + Buffer.from(bytes).toString('hex')));
+  return [toField(b1), toField(b2)];
+}
+
+/**
+ * GroupHash^P: hash a message to a Pallas point under a domain
+ * @param {string} domain - Domain separator, e.g. 'z.cash:Orchard-gd'
+ * @param {Uint8Array|string} message - Message bytes
+ * @returns {Object} Pallas point
+ */
+export function groupHash(domain, message) {
+  const [u0, u1] = hashToField(domain, message);
+  return isoMap(mapToIsoPallas(u0)).add(isoMap(mapToIsoPallas(u1)));
+}
+
+function sinsemillaGenerator(chunk) {
+  if (!sinsemillaGenerators.has(chunk)) {
+    sinsemillaGenerators.set(chunk, groupHash('z.cash:SinsemillaS', bigIntToBytesLE(BigInt(chunk), 4)));
+  }
+  return sinsemillaGenerators.get(chunk);
+}
+
+/**
+ * SinsemillaHashToPoint(D, M)
+ * @param {string} domain - Personalization D
+ * @param {number[]} bits - Message bits, padded with zeros to a multiple of 10
+ * @returns {Object} Pallas point
+ */
+export function sinsemillaHashToPoint(domain, bits) {
+  const chunks = Math.ceil(bits.length / SINSEMILLA_K);
+  if (chunks > SINSEMILLA_MAX_CHUNKS) {
+    throw new Error(`Sinsemilla message too long: ${bits.length} bits`);
+  }
+
+  let acc = groupHash('z.cash:SinsemillaQ', domain);
+  for (let i = 0; i < chunks; i++) {
+    let chunk = 0;
+    for (let k = 0; k < SINSEMILLA_K; k++) {
+      chunk |= (bits[i * SINSEMILLA_K + k] || 0) << k;
+    }
+    acc = acc.add(sinsemillaGenerator(chunk)).add(acc);
+  }
+  return acc;
+}
+
+/**
+ * SinsemillaCommit_r(D, M) = SinsemillaHashToPoint(D-M, M) + [r] GroupHash(D-r, "")
+ * @param {string} domain - Personalization D
+ * @param {number[]} bits - Message bits
+ * @param {bigint} r - Commitment randomness (scalar)
+ * @returns {Object} Pallas point
+ */
+export function sinsemillaCommit(domain, bits, r) {
+  const hash = sinsemillaHashToPoint(`${domain}-M`, bits);
+  return hash.add(multiply(groupHash(`${domain}-r`, ''), r));
+}
+
+/**
+ * SinsemillaShortCommit: the x-coordinate of SinsemillaCommit
+ * @returns {bigint|null} Base field element, or null if the commitment is the identity
+ */
+export function sinsemillaShortCommit(domain, bits, r) {
+  const point = sinsemillaCommit(domain, bits, r);
+  return point.is0() ? null : point.toAffine().x;
+}
+
+/**
+ * PRF^expand_sk(t) = BLAKE2b-512("Zcash_ExpandSeed", sk || t)
+ * @param {Uint8Array} key - 32-byte key
+ * @param {Uint8Array} t - Domain-separated input
+ * @returns {Buffer} 64 bytes
+ */
+export function prfExpand(key, t) {
+  return Buffer.from(blake2b(Buffer.concat([Buffer.from(key), Buffer.from(t)]), {
+    dkLen: 64,
+    personalization: PERSONALIZATION_EXPAND,
+  }));
+}
+
+/**
+ * repr_P: x-coordinate little-endian, with the parity of y in bit 255
+ * @param {Object} point - Pallas point
+ * @returns {Buffer} 32 bytes (all zero for the identity)
+ */
+export function encodePoint(point) {
+  if (point.is0()) {
+    return Buffer.alloc(32);
+  }
+  const { x, y } = point.toAffine();
+  const bytes = bigIntToBytesLE(x, 32);
+  bytes[31] |= Number(y & 1n) << 7;
+  return bytes;
+}
+
+/**
+ * Decode a canonical repr_P encoding
+ * @param {Uint8Array} bytes - 32 bytes
+ * @returns {Object|null} Pallas point, or null for invalid encodings
+ */
+export function decodePoint(bytes) {
+  if (!bytes || bytes.length !== 32) {
+    return null;
+  }
+  const sign = BigInt(bytes[31] >> 7);
+  const masked = Buffer.from(bytes);
+  masked[31] &= 0x7f;
+  const x = bytesToBigIntLE(masked);
+  if (x >= P) {
+    return null;
+  }
+  if (x === 0n) {
+    // Only the identity encodes as zero, (0, ±sqrt(5)) is not allowed
+    return sign === 0n ? pallas.Point.ZERO : null;
+  }
+
+  let y;
+  try {
+    y = Fp.sqrt(Fp.add(Fp.mul(Fp.sqr(x), x), pallas.CURVE.b));
+  } catch (error) {
+    return null;
+  }
+  if ((y & 1n) !== sign) {
+    y = Fp.neg(y);
+  }
+  return pallas.Point.fromAffine({ x, y });
+}
+
+/**
+ * Orchard incoming viewing key from a full viewing key (spec §4.2.3)
+ * dk || ovk = PRF^expand_rivk([0x82] || ak || nk), ivk = Commit^ivk_rivk(ak, nk)
+ * @param {Object} orchard - { ak, nk, rivk } or { dk, ivk }
+ * @returns {Object} { dk: 32-byte Buffer, ivk: 32-byte little-endian Buffer }
+ */
+export function getOrchardIncomingViewingKey(orchard) {
+  if (orchard.ivk) {
+    return { dk: Buffer.from(orchard.dk), ivk: Buffer.from(orchard.ivk) };
+  }
+
+  const ak = bytesToBigIntLE(orchard.ak);
+  const nk = bytesToBigIntLE(orchard.nk);
+  const rivk = bytesToBigIntLE(orchard.rivk);
+
+  const expanded = prfExpand(orchard.rivk, Buffer.concat([Buffer.from([0x82]), orchard.ak, orchard.nk]));
+  const ivk = sinsemillaShortCommit('z.cash:Orchard-CommitIvk', [...toBitsLE(ak, 255), ...toBitsLE(nk, 255)], rivk);
+  if (!ivk) {
+    throw new Error('Invalid Orchard full viewing key');
+  }
+
+  return { dk: expanded.subarray(0, 32), ivk: bigIntToBytesLE(ivk, 32) };
+}
+
+/**
+ * DiversifyHash^Orchard(d), which never fails: the identity falls back to hashing ""
+ * @param {Uint8Array} d - 11-byte diversifier
+ * @returns {Object} Pallas point g_d
+ */
+export function diversifyHash(d) {
+  const point = groupHash('z.cash:Orchard-gd', d);
+  return point.is0() ? groupHash('z.cash:Orchard-gd', '') : point;
+}
+
+/**
+ * Orchard receiver for a diversifier: d || repr_P([ivk] g_d)
+ * @param {Uint8Array} ivk - 32-byte little-endian incoming viewing key
+ * @param {Uint8Array} d - 11-byte diversifier
+ * @returns {Buffer} 43-byte raw receiver
+ */
+export function orchardReceiver(ivk, d) {
+  const pkd = multiply(diversifyHash(d), bytesToBigIntLE(ivk));
+  return Buffer.concat([Buffer.from(d), encodePoint(pkd)]);
+}
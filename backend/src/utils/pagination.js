@@ -0,0 +1,74 @@
+/**
+ * Cursor pagination
+ * Cursors are opaque base64url strings wrapping the sort key of the last row
+ * returned, so pages stay stable while new rows are added at the top
+ */
+
+/**
+ * Encode the sort key of the last row on a page
+ * @param {Object} key - e.g. { height, txid }
+ * @returns {string} Cursor
+ */
+export function encodeCursor(key) {
+  return Buffer.from(JSON.stringify(key)).toString('base64url');
+}
+
+/**
+ * Decode a cursor from a query string
+ * @param {string} cursor - Cursor from a previous page
+ * @param {Array<string>} fields - Keys the cursor must contain
+ * @returns {Object|null} Sort key, null when no cursor was given
+ * @throws {Error} When the cursor is malformed
+ */
+export function decodeCursor(cursor, fields) {
+  if (cursor === undefined || cursor === null || cursor === '') {
+    return null;
+  }
+
+  let key;
+  try {
+    key = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    throw new Error('Invalid cursor');
+  }
+
+  if (!key || typeof key !== 'object' || fields.some(field => key[field] === undefined)) {
+    throw new Error('Invalid cursor');
+  }
+  return key;
+}
+
+/**
+ * Parse a page size from a query string
+ * @param {string|number} value - Requested limit
+ * @param {Object} options - { defaultLimit, maxLimit }
+ * @returns {number} Limit between 1 and maxLimit
+ * @throws {Error} When the value is not a positive integer
+ */
+export function parseLimit(value, { defaultLimit = 25, maxLimit = 100 } = {}) {
+  if (value === undefined || value === null || value === '') {
+    return defaultLimit;
+  }
+
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new Error('limit must be a positive integer');
+  }
+  return Math.min(limit, maxLimit);
+}
+
+/**
+ * Cut a page fetched with one extra row and build the next cursor
+ * @param {Array} rows - Up to limit + 1 rows
+ * @param {number} limit - Page size
+ * @param {Function} keyOf - Row to cursor key
+ * @returns {Object} { items, next_cursor }
+ */
+export function paginate(rows, limit, keyOf) {
+  const items = rows.slice(0, limit);
+  const hasMore = rows.length > limit;
+  return {
+    items,
+    next_cursor: hasMore ? encodeCursor(keyOf(items[items.length - 1])) : null,
+  };
+}
@@ -0,0 +1,181 @@
+/**
+ * Payment attribution
+ * Decides which invoice each on-chain output pays for
+ */
+
+import { findReferences } from './memoReference.js';
+
+// Allowed clock difference between the node and this server
+const CLOCK_SKEW_MS = 10 * 60 * 1000;
+
+/**
+ * Convert a ZEC amount to zatoshis so amounts compare exactly
+ * @param {number|string} amount - Amount in ZEC
+ * @returns {number} Amount in zatoshis
+ */
+export function toZatoshi(amount) {
+  return Math.round(Number(amount) * 1e8);
+}
+
+/**
+ * Convert zatoshis back to ZEC
+ * @param {number} zatoshi - Amount in zatoshis
+ * @returns {number} Amount in ZEC
+ */
+export function fromZatoshi(zatoshi) {
+  return Number((zatoshi / 1e8).toFixed(8));
+}
+
+/**
+ * Decode a hex memo from z_listreceivedbyaddress into text
+ * @param {string} memoHex - 512-byte memo as hex
+ * @returns {string|null} Memo text, or null for empty/non-text memos
+ */
+export function decodeMemo(memoHex) {
+  if (!memoHex || typeof memoHex !== 'string') {
+    return null;
+  }
+
+  // 0xF6 marks "no memo", anything above 0xF4 is not UTF-8 text (ZIP-302)
+  if (memoHex.length < 2 || parseInt(memoHex.slice(0, 2), 16) > 0xf4) {
+    return null;
+  }
+
+  const text = Buffer.from(memoHex, 'hex').toString('utf8').replace(/\0+$/, '');
+  return text.length > 0 ? text : null;
+}
+
+function toTime(value) {
+  if (!value) return null;
+  const time = value instanceof Date ? value.getTime() : new Date(value).getTime();
+  return Number.isNaN(time) ? null : time;
+}
+
+/**
+ * Attribute outputs paid to one address among the pending invoices using it
+ *
+ * - Outputs of the platform's own transactions (withdrawals, refunds and
+ *   their change or fee outputs) are never payments and are ignored
+ * - A memo carrying an invoice's reference code pays that invoice; a valid
+ *   code for no pending invoice on the address leaves the output unattributed
+ * - An invoice whose address is unique to it (`unique_address`, e.g. a
+ *   derived address) receives every output sent there after it was created,
+ *   over- and underpayments included
+ * - On any other address (the treasury fallback or one shared by several
+ *   invoices) an output is attributed by memo (invoice UUID), otherwise by
+ *   exact amount to the oldest invoice created before it; anything else
+ *   stays unattributed
+ * - Invoices with `require_memo` are only paid through their reference code
+ *
+ * @param {Array} invoices - Pending invoices: { key, id, amount_zec, created_at, reference?, require_memo?, unique_address? }
+ * @param {Array} outputs - Unclaimed outputs: { txid, vout, amount, timestamp?, memo? }
+ * @param {Object} options - { ownTxids: Set of txids sent by the platform }
+ * @returns {Object} { assignments: Map<key, Array<output>>, unattributed: Array<output>, ignored: Array<output> }
+ */
+export function attributeOutputs(invoices, outputs, { ownTxids = new Set() } = {}) {
+  const assignments = new Map();
+  const unattributed = [];
+  const ignored = [];
+  const now = Date.now();
+
+  const ordered = [...outputs].sort(
+    (a, b) => (toTime(a.timestamp) ?? now) - (toTime(b.timestamp) ?? now)
+  );
+
+  const assign = (invoice, output, matchedBy) => {
+    if (!assignments.has(invoice.key)) {
+      assignments.set(invoice.key, []);
+    }
+    assignments.get(invoice.key).push({ ...output, matched_by: matchedBy });
+  };
+
+  // Outputs older than the invoice belong to an earlier use of the address
+  const createdBefore = (invoice, output) => {
+    const createdAt = toTime(invoice.created_at);
+    const outputTime = toTime(output.timestamp) ?? now;
+    return createdAt === null || createdAt - CLOCK_SKEW_MS <= outputTime;
+  };
+
+  const byAge = [...invoices].sort(
+    (a, b) => (toTime(a.created_at) ?? 0) - (toTime(b.created_at) ?? 0)
+  );
+  const fallback = byAge.filter(invoice => !invoice.require_memo);
+  const settled = new Set();
+
+  for (const output of ordered) {
+    if (ownTxids.has(output.txid)) {
+      ignored.push(output);
+      continue;
+    }
+
+    const memo = output.memo ? String(output.memo) : null;
+
+    const references = findReferences(memo);
+    if (references.length > 0) {
+      const byReference = byAge.find(invoice => invoice.reference && references.includes(invoice.reference));
+      if (byReference) {
+        settled.add(byReference.key);
+        assign(byReference, output, 'reference');
+      } else {
+        // Meant for another invoice, a person has to look at it
+        unattributed.push(output);
+      }
+      continue;
+    }
+
+    if (invoices.length === 1 && invoices[0].unique_address) {
+      const [invoice] = fallback;
+      if (invoice && createdBefore(invoice, output)) {
+        assign(invoice, output, 'address');
+      } else {
+        unattributed.push(output);
+      }
+      continue;
+    }
+
+    // Serial IDs are too short to search for inside free text, only UUIDs qualify
+    const byMemo = memo && fallback.find(invoice =>
+      String(invoice.id).length === 36 && memo.includes(String(invoice.id))
+    );
+    if (byMemo) {
+      settled.add(byMemo.key);
+      assign(byMemo, output, 'memo');
+      continue;
+    }
+
+    const amount = toZatoshi(output.amount);
+    const byAmount = fallback.find(invoice =>
+      !settled.has(invoice.key) &&
+      toZatoshi(invoice.amount_zec) === amount &&
+      createdBefore(invoice, output)
+    );
+    if (byAmount) {
+      settled.add(byAmount.key);
+      assign(byAmount, output, 'amount');
+      continue;
+    }
+
+    unattributed.push(output);
+  }
+
+  return { assignments, unattributed, ignored };
+}
+
+/**
+ * Summarize recorded payments against the invoice amount
+ * @param {number|string} expectedAmount - Invoice amount in ZEC
+ * @param {Array} payments - Payment rows: { txid, amount_zec }
+ * @returns {Object} { paid, received, txid, overpaid_zec, underpaid_zec }
+ */
+export function summarizePayments(expectedAmount, payments) {
+  const expected = toZatoshi(expectedAmount);
+  const received = payments.reduce((sum, payment) => sum + toZatoshi(payment.amount_zec), 0);
+
+  return {
+    paid: payments.length > 0 && received >= expected,
+    received: fromZatoshi(received),
+    txid: payments[0]?.txid || null,
+    overpaid_zec: fromZatoshi(Math.max(received - expected, 0)),
+    underpaid_zec: payments.length > 0 ? fromZatoshi(Math.max(expected - received, 0)) : 0,
+  };
+}
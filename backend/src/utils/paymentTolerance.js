@@ -0,0 +1,85 @@
+/**
+ * Payment tolerance
+ * How far short a payment may fall and still settle an invoice, what happens
+ * to the excess of an overpayment, and how each payment contributed
+ */
+
+import { toZatoshi, fromZatoshi } from './paymentAttribution.js';
+
+/**
+ * Overpayment policies:
+ * - `credit`  the excess stays in the merchant's balance
+ * - `refund`  the excess is queued as a refund for the merchant to send back
+ */
+export const OVERPAYMENT_POLICIES = ['credit', 'refund'];
+
+/**
+ * Merchant settings with platform defaults for the ones not set
+ * @param {Object|null} merchant - users row with payment_tolerance_percent, payment_tolerance_zec, overpayment_policy
+ * @param {Object} defaults - { tolerancePercent, toleranceZec, overpaymentPolicy }
+ * @returns {Object} { tolerance_percent, tolerance_zec, overpayment_policy }
+ */
+export function resolvePaymentSettings(merchant, defaults) {
+  const pick = (value, fallback) => (value === null || value === undefined ? fallback : value);
+  return {
+    tolerance_percent: parseFloat(pick(merchant?.payment_tolerance_percent, defaults.tolerancePercent)),
+    tolerance_zec: parseFloat(pick(merchant?.payment_tolerance_zec, defaults.toleranceZec)),
+    overpayment_policy: pick(merchant?.overpayment_policy, defaults.overpaymentPolicy),
+  };
+}
+
+/**
+ * Check merchant payment settings; null clears a setting back to the default
+ * @param {Object} settings - { tolerance_percent, tolerance_zec, overpayment_policy }
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validatePaymentSettings({ tolerance_percent, tolerance_zec, overpayment_policy }) {
+  if (tolerance_percent !== undefined && tolerance_percent !== null &&
+      (typeof tolerance_percent !== 'number' || tolerance_percent < 0 || tolerance_percent > 10)) {
+    return 'tolerance_percent must be a number from 0 to 10';
+  }
+  if (tolerance_zec !== undefined && tolerance_zec !== null &&
+      (typeof tolerance_zec !== 'number' || tolerance_zec < 0)) {
+    return 'tolerance_zec must be a non-negative number';
+  }
+  if (overpayment_policy !== undefined && overpayment_policy !== null &&
+      !OVERPAYMENT_POLICIES.includes(overpayment_policy)) {
+    return `overpayment_policy must be one of ${OVERPAYMENT_POLICIES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Shortfall an invoice accepts, the larger of the fixed and percentage tolerance
+ * @param {number|string} amountZec - Invoice amount
+ * @param {Object} settings - { tolerance_percent, tolerance_zec }
+ * @returns {number} ZEC, rounded down to the zatoshi
+ */
+export function toleranceFor(amountZec, { tolerance_percent = 0, tolerance_zec = 0 }) {
+  const percent = Math.floor(toZatoshi(amountZec) * (tolerance_percent || 0) / 100);
+  return fromZatoshi(Math.max(percent, toZatoshi(tolerance_zec || 0)));
+}
+
+/**
+ * Split each payment into the part applied to the invoice and the excess,
+ * filling the amount in the order the payments were detected
+ * @param {number|string} expectedAmount - Invoice amount in ZEC
+ * @param {Array} payments - invoice_payments rows: { amount_zec, created_at }
+ * @returns {Array} Payments in arrival order with { applied_zec, excess_zec }
+ */
+export function allocatePayments(expectedAmount, payments) {
+  let remaining = toZatoshi(expectedAmount);
+
+  return [...payments]
+    .sort((a, b) => new Date(a.created_at).getTime() - new Date(b.created_at).getTime())
+    .map(payment => {
+      const amount = toZatoshi(payment.amount_zec);
+      const applied = Math.min(amount, remaining);
+      remaining -= applied;
+      return {
+        ...payment,
+        applied_zec: fromZatoshi(applied),
+        excess_zec: fromZatoshi(amount - applied),
+      };
+    });
+}
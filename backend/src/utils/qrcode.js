@@ -1,32 +1,29 @@
 import QRCode from 'qrcode';
+import { buildPaymentRequest } from './zip321.js';
 
 /**
  * QR Code generation utilities for Zcash payments
  */
 
 /**
- * Generate Zcash payment URI
+ * Generate Zcash payment URI (single recipient, see zip321.js for split payments)
+ * The address is not validated so placeholder addresses still get a URI
  * @param {string} address - Zcash address (z-address or t-address)
- * @param {number} amount - Amount in ZEC
+ * @param {number|string} amount - Amount in ZEC
  * @param {string} message - Optional message/memo
+ * @param {string} memo - Optional memo text for the payer's wallet (shielded addresses only, ZIP-321)
  * @returns {string} Zcash payment URI
  */
-export function generatePaymentUri(address, amount, message = '') {
-  let uri = `zcash:${address}`;
-  
-  const params = [];
-  if (amount) {
-    params.push(`amount=${amount}`);
-  }
-  if (message) {
-    params.push(`message=${encodeURIComponent(message)}`);
-  }
-  
-  if (params.length > 0) {
-    uri += `?${params.join('&')}`;
-  }
-  
-  return uri;
+export function generatePaymentUri(address, amount, message = '', memo = null) {
+  return buildPaymentRequest(
+    [{
+      address,
+      amount: amount ? amount : null,
+      memo: /^t/.test(address) ? null : memo,
+      message,
+    }],
+    { validateAddresses: false }
+  );
 }
 
 /**
@@ -109,7 +106,8 @@ export async function generateQRSvg(data, options = {}) {
  */
 export async function generatePaymentQR(invoice, format = 'dataurl', options = {}) {
   const message = `Payment for ${invoice.type}${invoice.item_id ? ` - ${invoice.item_id}` : ''}`;
-  const paymentUri = generatePaymentUri(invoice.z_address, invoice.amount_zec, message);
+  const paymentUri = invoice.payment_uri ||
+    generatePaymentUri(invoice.payment_address, invoice.amount_zec, message, invoice.payment_reference);
   
   switch (format.toLowerCase()) {
     case 'buffer':
@@ -0,0 +1,225 @@
+/**
+ * Shielded block scanning
+ * Pulls Sapling outputs and Orchard actions out of full (getblock verbosity 2) or
+ * compact blocks and trial-decrypts them with incoming viewing keys
+ */
+
+import { trySaplingOutput, tryOrchardAction } from './noteDecryption.js';
+import { encodeSaplingAddress } from './unifiedKeys.js';
+import {
+  decodeUnified,
+  encodeUnified,
+  UNIFIED_HRPS,
+  TYPE_SAPLING,
+  TYPE_ORCHARD,
+} from './zip316.js';
+
+function toBuffer(value) {
+  if (!value) return null;
+  if (Buffer.isBuffer(value) || value instanceof Uint8Array) return Buffer.from(value);
+  return /^[0-9a-f]*$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+}
+
+// Memos are zero-padded to 512 bytes, keep only the meaningful prefix
+function trimMemo(memo) {
+  let end = memo.length;
+  while (end > 1 && memo[end - 1] === 0) end--;
+  return memo.subarray(0, end).toString('hex');
+}
+
+// zcashd/Zebra print uint256 fields (cmu, ephemeralKey) in reversed display order
+function fromDisplayOrder(hex) {
+  return Buffer.from(hex, 'hex').reverse();
+}
+
+/**
+ * List the shielded outputs of a block
+ *
+ * Full blocks: `tx[].vShieldedOutput[]` with `cmu`, `ephemeralKey` (display order)
+ * and `encCiphertext`, plus `tx[].orchard.actions[]` with `nullifier`, `cmx`,
+ * `ephemeralKey` and `encCiphertext` (protocol order, as zcashd prints them).
+ * Compact blocks (lightwalletd CompactBlock as JSON): `vtx[].outputs[]` with
+ * `cmu`, `ephemeralKey`, `ciphertext` and `vtx[].actions[]` with `nullifier`,
+ * `cmx`, `ephemeralKey`, `ciphertext`, bytes as hex or base64.
+ *
+ * @param {Object} block - Full or compact block
+ * @returns {Object} { height, hash, time, sapling: [{ txid, index, cmu, epk, ciphertext }],
+ *   orchard: [{ txid, index, nullifier, cmx, epk, ciphertext }] }
+ */
+export function extractShieldedOutputs(block) {
+  const sapling = [];
+  const orchard = [];
+
+  if (Array.isArray(block.vtx)) {
+    for (const tx of block.vtx) {
+      // CompactTx.hash is the txid in protocol byte order
+      const txid = toBuffer(tx.hash).reverse().toString('hex');
+      for (const [index, output] of (tx.outputs || []).entries()) {
+        sapling.push({
+          txid,
+          index,
+          cmu: toBuffer(output.cmu),
+          epk: toBuffer(output.ephemeralKey ?? output.epk),
+          ciphertext: toBuffer(output.ciphertext),
+        });
+      }
+      for (const [index, action] of (tx.actions || []).entries()) {
+        orchard.push({
+          txid,
+          index,
+          nullifier: toBuffer(action.nullifier),
+          cmx: toBuffer(action.cmx),
+          epk: toBuffer(action.ephemeralKey),
+          ciphertext: toBuffer(action.ciphertext),
+        });
+      }
+    }
+  } else {
+    for (const tx of block.tx || []) {
+      if (typeof tx !== 'object') continue;
+      for (const [index, output] of (tx.vShieldedOutput || []).entries()) {
+        sapling.push({
+          txid: tx.txid,
+          index,
+          cmu: fromDisplayOrder(output.cmu),
+          epk: fromDisplayOrder(output.ephemeralKey),
+          ciphertext: Buffer.from(output.encCiphertext, 'hex'),
+        });
+      }
+      for (const [index, action] of (tx.orchard?.actions || []).entries()) {
+        orchard.push({
+          txid: tx.txid,
+          index,
+          nullifier: Buffer.from(action.nullifier, 'hex'),
+          cmx: Buffer.from(action.cmx, 'hex'),
+          epk: Buffer.from(action.ephemeralKey, 'hex'),
+          ciphertext: Buffer.from(action.encCiphertext, 'hex'),
+        });
+      }
+    }
+  }
+
+  return {
+    height: block.height,
+    hash: block.hash,
+    // Unix seconds in RPC and compact blocks, a Date when loaded from the indexer
+    time: block.time instanceof Date ? block.time : block.time ? new Date(block.time * 1000) : null,
+    sapling,
+    orchard,
+  };
+}
+
+/**
+ * Encode an Orchard receiver as a unified address with no other receiver
+ * Orchard has no standalone encoding, notes are stored under this one
+ * @param {Buffer} receiver - 43 bytes
+ * @param {string} network - Network name
+ * @returns {string} u1... address
+ */
+export function encodeOrchardAddress(receiver, network = 'mainnet') {
+  return encodeUnified(UNIFIED_HRPS.address[network], [{ typecode: TYPE_ORCHARD, data: receiver }]);
+}
+
+/**
+ * Trial-decrypt every Sapling output and Orchard action of a block with each key
+ * @param {Object} block - Full or compact block
+ * @param {Array<Object>} keys - [{ id, network, saplingIvk, orchardIvk }]
+ * @returns {Object} { height, hash, outputs, orchard_actions, notes: [...] }
+ */
+export function scanBlock(block, keys) {
+  const { height, hash, time, sapling, orchard } = extractShieldedOutputs(block);
+  const notes = [];
+
+  for (const output of sapling) {
+    for (const key of keys) {
+      if (!key.saplingIvk) continue;
+
+      const note = trySaplingOutput(key.saplingIvk, output);
+      if (!note) continue;
+
+      notes.push({
+        viewing_key_id: key.id,
+        pool: 'sapling',
+        txid: output.txid,
+        output_index: output.index,
+        block_height: height,
+        block_time: time,
+        receiver: encodeSaplingAddress(Buffer.concat([note.diversifier, note.pk_d]), key.network),
+        diversifier: note.diversifier.toString('hex'),
+        value_zat: note.value,
+        memo: note.memo ? trimMemo(note.memo) : null,
+      });
+      // An output decrypts under at most one key
+      break;
+    }
+  }
+
+  for (const action of orchard) {
+    for (const key of keys) {
+      if (!key.orchardIvk) continue;
+
+      const note = tryOrchardAction(key.orchardIvk, action);
+      if (!note) continue;
+
+      notes.push({
+        viewing_key_id: key.id,
+        pool: 'orchard',
+        txid: action.txid,
+        output_index: action.index,
+        block_height: height,
+        block_time: time,
+        receiver: encodeOrchardAddress(Buffer.concat([note.diversifier, note.pk_d]), key.network),
+        diversifier: note.diversifier.toString('hex'),
+        value_zat: note.value,
+        memo: note.memo ? trimMemo(note.memo) : null,
+      });
+      break;
+    }
+  }
+
+  return { height, hash, outputs: sapling.length, orchard_actions: orchard.length, notes };
+}
+
+/**
+ * The Sapling address that notes for an address are stored under
+ * @param {string} address - zs1... / ztestsapling1... or unified address
+ * @returns {string|null} Sapling address, or null if there is no Sapling receiver
+ */
+export function saplingReceiverOf(address) {
+  if (/^(zs1|ztestsapling1|zregtestsapling1)/.test(address)) {
+    return address;
+  }
+
+  let decoded;
+  try {
+    decoded = decodeUnified(address);
+  } catch (error) {
+    return null;
+  }
+  if (decoded.kind !== 'address') {
+    return null;
+  }
+
+  const item = decoded.items.find(({ typecode }) => typecode === TYPE_SAPLING);
+  return item ? encodeSaplingAddress(Buffer.from(item.data), decoded.network) : null;
+}
+
+/**
+ * The Orchard-only unified address that notes for an address are stored under
+ * @param {string} address - Unified address
+ * @returns {string|null} Orchard-only unified address, or null if there is no Orchard receiver
+ */
+export function orchardReceiverOf(address) {
+  let decoded;
+  try {
+    decoded = decodeUnified(address);
+  } catch (error) {
+    return null;
+  }
+  if (decoded.kind !== 'address') {
+    return null;
+  }
+
+  const item = decoded.items.find(({ typecode }) => typecode === TYPE_ORCHARD);
+  return item ? encodeOrchardAddress(Buffer.from(item.data), decoded.network) : null;
+}
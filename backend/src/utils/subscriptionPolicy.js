@@ -0,0 +1,127 @@
+/**
+ * Subscription policy
+ * Billing periods, renewal timing and the status a subscription should be in
+ * at a given moment. A subscription is billed against the end of its paid (or
+ * trial) period.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const PLAN_INTERVALS = ['day', 'week', 'month', 'year'];
+
+/**
+ * Subscription states:
+ * - `pending`   waiting for the first payment (expires with its invoice)
+ * - `trialing`  in the plan's free trial
+ * - `active`    paid up to current_period_end
+ * - `past_due`  period ended unpaid, access kept for the plan's grace period
+ * - `canceled`  canceled by the subscriber or merchant
+ * - `expired`   not paid within the grace period
+ */
+export const SUBSCRIPTION_STATUSES = ['pending', 'trialing', 'active', 'past_due', 'canceled', 'expired'];
+
+// Statuses that get renewal invoices and move with time
+export const RENEWABLE_STATUSES = ['trialing', 'active', 'past_due'];
+
+// Statuses that grant access (within the grace period)
+export const ENTITLED_STATUSES = ['trialing', 'active', 'past_due'];
+
+/**
+ * Check a plan definition
+ * @param {Object} plan - { name, item_id, amount_zec, interval_unit, interval_count, trial_days, grace_days }
+ * @returns {string|null} Error message, or null when valid
+ */
+export function validatePlan({ name, item_id, amount_zec, interval_unit = 'month', interval_count = 1, trial_days = 0, grace_days = 3 }) {
+  if (!name || !item_id) {
+    return 'Missing required fields: name, item_id';
+  }
+  if (typeof amount_zec !== 'number' || !(amount_zec > 0)) {
+    return 'amount_zec must be a positive number';
+  }
+  if (!PLAN_INTERVALS.includes(interval_unit)) {
+    return `interval_unit must be one of ${PLAN_INTERVALS.join(', ')}`;
+  }
+  if (!Number.isInteger(interval_count) || interval_count < 1) {
+    return 'interval_count must be a positive integer';
+  }
+  if (!Number.isInteger(trial_days) || trial_days < 0) {
+    return 'trial_days must be a non-negative integer';
+  }
+  if (!Number.isInteger(grace_days) || grace_days < 0) {
+    return 'grace_days must be a non-negative integer';
+  }
+  return null;
+}
+
+/**
+ * Billing interval of a plan as a PostgreSQL interval
+ * @param {Object} plan - { interval_unit, interval_count }
+ * @returns {string} e.g. '1 month', '2 weeks'
+ */
+export function planInterval({ interval_unit: unit, interval_count: count = 1 }) {
+  return `${count} ${unit}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * When access ends if the subscription is not renewed
+ * @param {Object} subscription - Subscription row joined with its plan's grace_days
+ * @returns {Date|null} null before the first payment or trial
+ */
+export function accessUntil(subscription) {
+  if (!subscription.current_period_end) {
+    return null;
+  }
+  return new Date(new Date(subscription.current_period_end).getTime() + (subscription.grace_days || 0) * DAY_MS);
+}
+
+/**
+ * Whether the subscription grants access now
+ * @param {Object} subscription - Subscription row joined with grace_days
+ * @param {Date} now
+ * @returns {boolean}
+ */
+export function isEntitled(subscription, now = new Date()) {
+  const until = accessUntil(subscription);
+  return ENTITLED_STATUSES.includes(subscription.status) && until !== null && now < until;
+}
+
+/**
+ * Whether a renewal invoice should be issued now
+ * @param {Object} subscription - Subscription row
+ * @param {Date} now
+ * @param {number} leadHours - How long before the period ends renewals are issued
+ * @returns {boolean}
+ */
+export function isRenewalDue(subscription, now = new Date(), leadHours = 24) {
+  if (!RENEWABLE_STATUSES.includes(subscription.status) || subscription.cancel_at_period_end) {
+    return false;
+  }
+  return new Date(subscription.current_period_end).getTime() - leadHours * 60 * 60 * 1000 <= now.getTime();
+}
+
+/**
+ * Status the subscription should move to as time passes
+ * @param {Object} subscription - Subscription row joined with grace_days
+ * @param {Date} now
+ * @returns {string|null} New status, or null to stay
+ */
+export function nextSubscriptionStatus(subscription, now = new Date()) {
+  const { status } = subscription;
+  if (!RENEWABLE_STATUSES.includes(status)) {
+    return null;
+  }
+
+  const periodEnd = new Date(subscription.current_period_end).getTime();
+  const time = now.getTime();
+
+  if (subscription.cancel_at_period_end && time >= periodEnd) {
+    return 'canceled';
+  }
+  if (time >= accessUntil(subscription).getTime()) {
+    return 'expired';
+  }
+  if (time >= periodEnd && (status === 'trialing' || status === 'active')) {
+    return 'past_due';
+  }
+  return null;
+}
@@ -0,0 +1,311 @@
+/**
+ * Unified viewing keys (ZIP-316) and diversified address derivation
+ * Derives per-invoice receivers from a merchant's UFVK/UIVK; spending keys never reach the server
+ *
+ * Supported receivers: transparent P2PKH (BIP44 external chain), Sapling and Orchard
+ */
+
+import crypto from 'crypto';
+import { bech32 } from '@scure/base';
+import { blake2s } from '@noble/hashes/blake2s.js';
+import { jubjub, groupHash } from '@noble/curves/jubjub.js';
+import {
+  decodeUnified,
+  encodeUnified,
+  UNIFIED_HRPS,
+  TYPE_P2PKH,
+  TYPE_SAPLING,
+  TYPE_ORCHARD,
+} from './zip316.js';
+import { getOrchardIncomingViewingKey, orchardReceiver } from './orchard.js';
+import { deriveChild, hash160, publicKeyToTAddress } from './hdKeys.js';
+
+// Sapling payment address HRPs (ZIP-173)
+const SAPLING_HRPS = {
+  mainnet: 'zs',
+  testnet: 'ztestsapling',
+  regtest: 'zregtestsapling',
+};
+
+// Diversifier indexes are 88 bits; transparent children stop at 2^31
+export const MAX_DIVERSIFIER_INDEX = (1n << 88n) - 1n;
+const MAX_TRANSPARENT_INDEX = 0x7fffffff;
+
+// Give up after this many invalid Sapling diversifiers in a row (each is invalid with probability ~1/2)
+const MAX_DIVERSIFIER_ATTEMPTS = 256;
+
+/**
+ * Parse a unified full or incoming viewing key
+ * @param {string} encoded - uview1... / uivk1... (or testnet/regtest)
+ * @returns {Object} { kind, network, encoded, transparent, sapling, orchard, unknown }
+ */
+export function parseUnifiedViewingKey(encoded) {
+  const decoded = decodeUnified(encoded.trim());
+  if (decoded.kind === 'address') {
+    throw new Error('Expected a unified viewing key, got a unified address');
+  }
+
+  const key = {
+    kind: decoded.kind,
+    network: decoded.network,
+    encoded: encoded.trim(),
+    transparent: null,
+    sapling: null,
+    orchard: null,
+    unknown: [],
+  };
+
+  for (const { typecode, data } of decoded.items) {
+    const bytes = Buffer.from(data);
+    if (typecode === TYPE_P2PKH) {
+      key.transparent = { chainCode: bytes.subarray(0, 32), publicKey: bytes.subarray(32, 65) };
+    } else if (typecode === TYPE_SAPLING) {
+      key.sapling = decoded.kind === 'fvk'
+        ? { ak: bytes.subarray(0, 32), nk: bytes.subarray(32, 64), ovk: bytes.subarray(64, 96), dk: bytes.subarray(96, 128) }
+        : { dk: bytes.subarray(0, 32), ivk: bytes.subarray(32, 64) };
+    } else if (typecode === TYPE_ORCHARD) {
+      key.orchard = decoded.kind === 'fvk'
+        ? { ak: bytes.subarray(0, 32), nk: bytes.subarray(32, 64), rivk: bytes.subarray(64, 96) }
+        : { dk: bytes.subarray(0, 32), ivk: bytes.subarray(32, 64) };
+    } else {
+      key.unknown.push(typecode);
+    }
+  }
+
+  return key;
+}
+
+/**
+ * Re-encode a viewing key as the incoming viewing key it implies
+ * A UIVK can derive addresses and detect payments but not see outgoing spends
+ * @param {Object} key - Parsed key from parseUnifiedViewingKey
+ * @returns {string} uivk1... encoding
+ */
+export function toIncomingViewingKey(key) {
+  if (key.kind === 'ivk') {
+    return key.encoded;
+  }
+
+  const items = [];
+  if (key.transparent) {
+    items.push({ typecode: TYPE_P2PKH, data: Buffer.concat([key.transparent.chainCode, key.transparent.publicKey]) });
+  }
+  if (key.sapling) {
+    items.push({ typecode: TYPE_SAPLING, data: Buffer.concat([key.sapling.dk, getSaplingIvk(key.sapling)]) });
+  }
+  if (key.orchard) {
+    const { dk, ivk } = getOrchardIncomingViewingKey(key.orchard);
+    items.push({ typecode: TYPE_ORCHARD, data: Buffer.concat([dk, ivk]) });
+  }
+  return encodeUnified(UNIFIED_HRPS.ivk[key.network], items);
+}
+
+/**
+ * Sapling incoming viewing key: CRH^ivk(ak, nk), BLAKE2s truncated to 251 bits
+ * @param {Object} sapling - { ak, nk } or { ivk }
+ * @returns {Buffer} 32-byte little-endian ivk
+ */
+export function getSaplingIvk(sapling) {
+  if (sapling.ivk) {
+    return Buffer.from(sapling.ivk);
+  }
+  const ivk = Buffer.from(blake2s(Buffer.concat([sapling.ak, sapling.nk]), {
+    dkLen: 32,
+    personalization: Buffer.from('Zcashivk'),
+  }));
+  ivk[31] &= 0x07;
+  return ivk;
+}
+
+function bytesToBigIntLE(bytes) {
+  return BigInt('0x' + (Buffer.from(bytes).reverse().toString('hex') || '0'));
+}
+
+function diversifierIndexBytes(index) {
+  const bytes = Buffer.alloc(11);
+  let value = BigInt(index);
+  for (let i = 0; i < 11; i++) {
+    bytes[i] = Number(value & 0xffn);
+    value >>= 8n;
+  }
+  return bytes;
+}
+
+function aesBlock(key, block) {
+  const cipher = crypto.createCipheriv('aes-256-ecb', key, null);
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(block), cipher.final()]);
+}
+
+/**
+ * FF1-AES256 over an 88-bit binary string with an empty tweak (NIST SP 800-38G)
+ * Bits are taken least significant first within each byte, as in librustzcash
+ * @param {Buffer} key - 32-byte diversifier key dk
+ * @param {Buffer} input - 11 bytes
+ * @returns {Buffer} 11 encrypted bytes
+ */
+function ff1Encrypt88(key, input) {
+  const n = 88;
+  const u = 44;
+  const b = 6;
+
+  const bits = [];
+  for (const byte of input) {
+    for (let i = 0; i < 8; i++) bits.push((byte >> i) & 1);
+  }
+  const num = (numerals) => numerals.reduce((acc, bit) => (acc << 1n) | BigInt(bit), 0n);
+  const str = (value, length) => {
+    const out = new Array(length);
+    for (let i = length - 1; i >= 0; i--) {
+      out[i] = Number(value & 1n);
+      value >>= 1n;
+    }
+    return out;
+  };
+
+  let A = bits.slice(0, u);
+  let B = bits.slice(u);
+
+  const P = Buffer.from([1, 2, 1, 0, 0, 2, 10, u, 0, 0, 0, n, 0, 0, 0, 0]);
+  const encryptedP = aesBlock(key, P);
+
+  for (let i = 0; i < 10; i++) {
+    const Q = Buffer.alloc(16);
+    Q[9] = i;
+    const numB = num(B);
+    for (let j = 0; j < b; j++) {
+      Q[15 - j] = Number((numB >> BigInt(8 * j)) & 0xffn);
+    }
+
+    const R = aesBlock(key, Buffer.from(encryptedP.map((byte, k) => byte ^ Q[k])));
+    const y = BigInt('0x' + R.subarray(0, 12).toString('hex'));
+    const c = (num(A) + y) % (1n << BigInt(u));
+
+    A = B;
+    B = str(c, u);
+  }
+
+  const out = Buffer.alloc(11);
+  [...A, ...B].forEach((bit, i) => {
+    out[i >> 3] |= bit << (i & 7);
+  });
+  return out;
+}
+
+/**
+ * Derive the Sapling receiver at a diversifier index
+ * @param {Object} sapling - Sapling item from parseUnifiedViewingKey
+ * @param {number|bigint} index - Diversifier index
+ * @returns {Buffer|null} 43-byte receiver (d || pk_d), or null if the diversifier is invalid
+ */
+export function deriveSaplingReceiver(sapling, index) {
+  const d = ff1Encrypt88(Buffer.from(sapling.dk), diversifierIndexBytes(index));
+
+  let gd;
+  try {
+    gd = groupHash(d, Buffer.from('Zcash_gd'));
+  } catch (error) {
+    // DiversifyHash returned ⊥, no address at this index
+    return null;
+  }
+
+  const ivk = bytesToBigIntLE(getSaplingIvk(sapling));
+  const pkd = gd.multiply(ivk % jubjub.CURVE.n);
+  return Buffer.concat([d, Buffer.from(pkd.toRawBytes())]);
+}
+
+/**
+ * Derive the Orchard receiver at a diversifier index
+ * Every Orchard diversifier is valid, so no index is skipped
+ * @param {Object} orchard - Orchard item from parseUnifiedViewingKey
+ * @param {number|bigint} index - Diversifier index
+ * @returns {Buffer} 43-byte receiver (d || pk_d)
+ */
+export function deriveOrchardReceiver(orchard, index) {
+  const { dk, ivk } = getOrchardIncomingViewingKey(orchard);
+  return orchardReceiver(ivk, ff1Encrypt88(dk, diversifierIndexBytes(index)));
+}
+
+/**
+ * Derive the transparent P2PKH receiver at an index of the external chain
+ * @param {Object} transparent - { chainCode, publicKey } account key
+ * @param {number} index - Address index
+ * @returns {Uint8Array} Compressed public key
+ */
+function deriveTransparentPublicKey(transparent, index) {
+  const external = deriveChild(transparent, 0);
+  return deriveChild(external, index).publicKey;
+}
+
+/**
+ * Encode a Sapling receiver as a standalone zs1... address
+ * @param {Buffer} receiver - 43 bytes
+ * @param {string} network - Network name
+ * @returns {string} Sapling address
+ */
+export function encodeSaplingAddress(receiver, network = 'mainnet') {
+  return bech32.encode(SAPLING_HRPS[network], bech32.toWords(receiver), false);
+}
+
+/**
+ * Derive the first unified address at or after a diversifier index
+ * Sapling skips indexes whose diversifier is invalid, Orchard and the transparent
+ * receiver use the same index (transparent is omitted past 2^31 - 1)
+ * @param {string|Object} viewingKey - Encoded or parsed UFVK/UIVK
+ * @param {number|bigint} startIndex - First diversifier index to try
+ * @param {Object} options - { includeTransparent: add the P2PKH receiver (default true),
+ *   includeSapling, includeOrchard: add the key's shielded receivers (default true) }
+ * @returns {Object} { address, diversifier_index, receivers: { transparent, sapling, orchard } }
+ */
+export function deriveUnifiedAddress(
+  viewingKey,
+  startIndex = 0,
+  { includeTransparent = true, includeSapling = true, includeOrchard = true } = {}
+) {
+  const key = typeof viewingKey === 'string' ? parseUnifiedViewingKey(viewingKey) : viewingKey;
+  const sapling = includeSapling ? key.sapling : null;
+  const orchard = includeOrchard ? key.orchard : null;
+
+  if (!sapling && !orchard) {
+    throw new Error('Viewing key has no shielded component');
+  }
+
+  let index = BigInt(startIndex);
+  for (let attempt = 0; attempt < MAX_DIVERSIFIER_ATTEMPTS; attempt++, index++) {
+    if (index > MAX_DIVERSIFIER_INDEX) {
+      break;
+    }
+
+    const items = [];
+    const receivers = { transparent: null, sapling: null, orchard: null };
+
+    if (sapling) {
+      const receiver = deriveSaplingReceiver(sapling, index);
+      if (!receiver) continue;
+      items.push({ typecode: TYPE_SAPLING, data: receiver });
+      receivers.sapling = encodeSaplingAddress(receiver, key.network);
+    }
+
+    if (orchard) {
+      const receiver = deriveOrchardReceiver(orchard, index);
+      items.push({ typecode: TYPE_ORCHARD, data: receiver });
+      // Orchard has no standalone encoding, keep the raw receiver
+      receivers.orchard = receiver.toString('hex');
+    }
+
+    if (includeTransparent && key.transparent && index <= BigInt(MAX_TRANSPARENT_INDEX)) {
+      const publicKey = deriveTransparentPublicKey(key.transparent, Number(index));
+      items.push({ typecode: TYPE_P2PKH, data: hash160(publicKey) });
+      // Regtest shares the testnet transparent prefixes
+      receivers.transparent = publicKeyToTAddress(publicKey, key.network === 'mainnet' ? 'mainnet' : 'testnet');
+    }
+
+    return {
+      address: encodeUnified(UNIFIED_HRPS.address[key.network], items),
+      diversifier_index: index.toString(),
+      receivers,
+    };
+  }
+
+  throw new Error(`No valid diversifier found from index ${startIndex}`);
+}
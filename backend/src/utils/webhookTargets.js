@@ -0,0 +1,120 @@
+/**
+ * Webhook targets
+ * Keeps merchant webhook URLs from reaching the platform's own network:
+ * loopback, private, link-local (cloud metadata) and other non-public
+ * addresses are refused when a URL is registered and again when it is called
+ */
+
+import dns from 'dns';
+import net from 'net';
+
+const BLOCKED = new net.BlockList();
+
+for (const [network, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16], // link-local, cloud metadata
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved and broadcast
+]) {
+  BLOCKED.addSubnet(network, prefix, 'ipv4');
+}
+
+// IPv4-mapped addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges by BlockList
+for (const [network, prefix] of [
+  ['::', 127], // unspecified and loopback
+  ['64:ff9b::', 96], // NAT64
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['2002::', 16], // 6to4
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+]) {
+  BLOCKED.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Whether an IP address is publicly routable
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} false for private, loopback and reserved addresses and for non-IPs
+ */
+export function isPublicAddress(address) {
+  const version = net.isIP(address);
+  if (version === 0) {
+    return false;
+  }
+  return !BLOCKED.check(address, version === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Check a webhook URL without resolving its host
+ * @param {string} url - Webhook URL
+ * @param {Object} options - { requireHttps, allowPrivate: skip the address checks (local development) }
+ * @returns {string|null} Why the URL is refused, null when it is acceptable
+ */
+export function checkWebhookUrl(url, { requireHttps = false, allowPrivate = false } = {}) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'Invalid webhook url';
+  }
+
+  if (!['https:', 'http:'].includes(parsed.protocol)) {
+    return 'Webhook url must use http or https';
+  }
+  if (requireHttps && parsed.protocol !== 'https:') {
+    return 'Webhook url must use https';
+  }
+  if (allowPrivate) {
+    return null;
+  }
+
+  const host = parsed.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return 'Webhook url must not point to a private or loopback address';
+  }
+  if (net.isIP(host) && !isPublicAddress(host)) {
+    return 'Webhook url must not point to a private or loopback address';
+  }
+  return null;
+}
+
+/**
+ * dns.lookup replacement for HTTP agents that refuses hosts resolving to a
+ * non-public address, so a DNS change after registration can't redirect
+ * deliveries into the private network
+ * @param {string} hostname - Host to resolve
+ * @param {Object|Function} options - dns.lookup options
+ * @param {Function} callback - dns.lookup callback
+ */
+export function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked || addresses.length === 0) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a non-public address`));
+    }
+    if (options.all) {
+      return callback(null, addresses);
+    }
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
@@ -0,0 +1,164 @@
+/**
+ * Withdrawal batching
+ * Groups pending withdrawals into multi-recipient z_sendmany calls that stay
+ * within a ZIP-317 logical action limit, and splits each batch's network fee
+ * between its withdrawals
+ */
+
+import { classifyAddress } from './zip321.js';
+import { toZatoshi, fromZatoshi } from './paymentAttribution.js';
+import { logicalActions, conventionalFee } from './zip317.js';
+
+// Consensus limit on a transaction's size since Sapling (MAX_TX_SIZE_AFTER_SAPLING)
+export const MAX_TX_SIZE = 100000;
+
+// The largest logical action is an Orchard action: its description (820 bytes),
+// its share of the bundle proof (2272) and its spend authorization signature (64)
+const MAX_ACTION_SIZE = 3156;
+
+// Header, the Orchard bundle's fixed fields, base proof (2720) and binding signature
+const TX_OVERHEAD_SIZE = 3000;
+
+/**
+ * Most logical actions a batch may have (30): sized as Orchard actions, any
+ * mix of pools stays under MAX_TX_SIZE
+ */
+export const MAX_BATCH_ACTIONS = Math.floor((MAX_TX_SIZE - TX_OVERHEAD_SIZE) / MAX_ACTION_SIZE);
+
+/**
+ * Pool an output to this address is created in; unified addresses are
+ * counted as Orchard, the receiver wallets prefer
+ * @param {string} address - Recipient address
+ * @returns {string} transparent, sapling or orchard
+ */
+export function outputPool(address) {
+  const type = classifyAddress(address)?.type;
+  if (type === 'transparent' || type === 'tex') {
+    return 'transparent';
+  }
+  return type === 'sapling' ? 'sapling' : 'orchard';
+}
+
+/**
+ * z_sendmany recipients for a batch
+ * Withdrawals to the same address share one output (z_sendmany rejects
+ * duplicate addresses) and the platform fees go to the treasury in one output
+ * @param {Array} withdrawals - Withdrawal rows
+ * @param {Object} options - { treasuryAddress, treasuryMemo: text for a shielded treasury output }
+ * @returns {Array} [{ address, amount, memo? }], amount in ZEC
+ */
+export function batchRecipients(withdrawals, { treasuryAddress = null, treasuryMemo = null } = {}) {
+  const amounts = new Map();
+  const add = (address, zatoshi) => {
+    if (zatoshi > 0) {
+      amounts.set(address, (amounts.get(address) || 0) + zatoshi);
+    }
+  };
+
+  for (const withdrawal of withdrawals) {
+    add(withdrawal.to_address, toZatoshi(withdrawal.net_zec));
+  }
+  if (treasuryAddress) {
+    add(treasuryAddress, withdrawals.reduce((sum, withdrawal) => sum + toZatoshi(withdrawal.fee_zec), 0));
+  }
+
+  return [...amounts].map(([address, zatoshi]) => ({
+    address,
+    amount: fromZatoshi(zatoshi),
+    ...(address === treasuryAddress && treasuryMemo && outputPool(address) !== 'transparent' && {
+      memo: Buffer.from(treasuryMemo, 'utf8').toString('hex'),
+    }),
+  }));
+}
+
+/**
+ * Estimate the logical actions of a z_sendmany to these recipients
+ * Orchard recipients are Orchard actions and Sapling recipients Sapling
+ * outputs. The change output goes to Orchard when any recipient is Orchard
+ * (Sapling otherwise), together with the notes the wallet spends, which are
+ * assumed to be at least `inputActions`.
+ * @param {Array} recipients - [{ address }]
+ * @param {Object} options - { inputActions }
+ * @returns {number} Logical actions
+ */
+export function estimateBatchActions(recipients, { inputActions = 2 } = {}) {
+  const count = pool => recipients.filter(recipient => outputPool(recipient.address) === pool).length;
+  const transparentOutputs = count('transparent');
+  const saplingOutputs = count('sapling');
+  const orchardOutputs = count('orchard');
+
+  if (orchardOutputs > 0) {
+    return logicalActions({
+      transparentOutputs,
+      saplingOutputs,
+      orchardActions: Math.max(inputActions, orchardOutputs + 1),
+    });
+  }
+  return logicalActions({
+    transparentOutputs,
+    saplingSpends: inputActions,
+    saplingOutputs: saplingOutputs + 1,
+  });
+}
+
+/**
+ * Group withdrawals into batches
+ * Withdrawals are taken in order and added to the current batch while its
+ * estimate stays within `maxActions` (never more than MAX_BATCH_ACTIONS). A
+ * withdrawal that was already in a failed batch is sent on its own, so one
+ * bad withdrawal can't hold up others. fee_zec is the ZIP-317 fee of the
+ * estimate; the node computes the real one when it builds the transaction.
+ * @param {Array} withdrawals - Pending withdrawal rows, oldest first
+ * @param {Object} options - { treasuryAddress, maxActions, inputActions }
+ * @returns {Array} [{ withdrawals, recipients, action_count, fee_zec, total_zec }]
+ */
+export function planWithdrawalBatches(withdrawals, { treasuryAddress = null, maxActions = MAX_BATCH_ACTIONS, inputActions = 2 } = {}) {
+  const limit = Math.min(maxActions, MAX_BATCH_ACTIONS);
+  const batches = [];
+  let current = null;
+
+  const build = (members) => {
+    const recipients = batchRecipients(members, { treasuryAddress });
+    const actions = estimateBatchActions(recipients, { inputActions });
+    return {
+      withdrawals: members,
+      recipients,
+      action_count: actions,
+      fee_zec: fromZatoshi(conventionalFee(actions)),
+      total_zec: fromZatoshi(recipients.reduce((sum, recipient) => sum + toZatoshi(recipient.amount), 0)),
+    };
+  };
+
+  for (const withdrawal of withdrawals) {
+    if (withdrawal.attempts > 0) {
+      batches.push(build([withdrawal]));
+      continue;
+    }
+
+    const candidate = current ? build([...current.withdrawals, withdrawal]) : null;
+    if (candidate && candidate.action_count <= limit) {
+      batches[batches.indexOf(current)] = candidate;
+      current = candidate;
+    } else {
+      current = build([withdrawal]);
+      batches.push(current);
+    }
+  }
+
+  return batches;
+}
+
+/**
+ * Split a batch's network fee between its withdrawals, in zatoshis; the
+ * first withdrawals take the remainder
+ * @param {number|string} feeZec - Batch fee
+ * @param {number} count - Withdrawals in the batch
+ * @returns {Array<number>} Share of each withdrawal in ZEC
+ */
+export function splitNetworkFee(feeZec, count) {
+  const fee = toZatoshi(feeZec);
+  const share = Math.floor(fee / count);
+  const remainder = fee - share * count;
+
+  return Array.from({ length: count }, (_, index) => fromZatoshi(share + (index < remainder ? 1 : 0)));
+}
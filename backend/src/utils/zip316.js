@@ -7,6 +7,8 @@
  */
 
 import crypto from 'crypto';
+import { bech32m } from '@scure/base';
+import { blake2b } from '@noble/hashes/blake2b.js';
 
 // ZIP-316 Type Codes (official specification)
 export const TYPE_P2PKH = 0x00;   // Transparent P2PKH
@@ -15,68 +17,364 @@ export const TYPE_SAPLING = 0x02; // Sapling shielded
 export const TYPE_ORCHARD = 0x03; // Orchard shielded (2025 standard)
 export const TYPE_TEX = 0x04;     // Future TEX addresses
 
+// Metadata typecodes (0xC0-0xFC), 0xE0 and up must be understood by the reader
+export const TYPE_EXPIRY_HEIGHT = 0xe0;
+export const TYPE_EXPIRY_TIME = 0xe1;
+const METADATA_MIN = 0xc0;
+const MUST_UNDERSTAND_MIN = 0xe0;
+const TYPECODE_MAX = 0xfc;
+
 // HRP (Human-Readable Part) for Bech32m encoding
 export const MAINNET_HRP = 'u';
-export const TESTNET_HRP = 'ut';
+export const TESTNET_HRP = 'utest';
 
 /**
- * Convert data to 5-bit words for Bech32m encoding
- * This is a simplified version - in production use proper bech32m library
+ * HRPs per encoding kind and network
+ * Revision 1 HRPs ("ur"...) allow must-understand metadata
  */
-function toWords(data) {
-  const words = [];
-  let acc = 0;
-  let bits = 0;
-  
-  for (const byte of data) {
-    acc = (acc << 8) | byte;
-    bits += 8;
-    
-    while (bits >= 5) {
-      bits -= 5;
-      words.push((acc >> bits) & 31);
+export const UNIFIED_HRPS = {
+  address: { mainnet: 'u', testnet: 'utest', regtest: 'uregtest' },
+  fvk: { mainnet: 'uview', testnet: 'uviewtest', regtest: 'uviewregtest' },
+  ivk: { mainnet: 'uivk', testnet: 'uivktest', regtest: 'uivkregtest' },
+};
+
+const REVISION_1_HRPS = {
+  address: { mainnet: 'ur', testnet: 'urtest', regtest: 'urregtest' },
+  fvk: { mainnet: 'urview', testnet: 'urviewtest', regtest: 'urviewregtest' },
+  ivk: { mainnet: 'urivk', testnet: 'urivktest', regtest: 'urivkregtest' },
+};
+
+// Item lengths per kind (address receivers, full viewing keys, incoming viewing keys)
+const ITEM_LENGTHS = {
+  address: { [TYPE_P2PKH]: 20, [TYPE_P2SH]: 20, [TYPE_SAPLING]: 43, [TYPE_ORCHARD]: 43 },
+  fvk: { [TYPE_P2PKH]: 65, [TYPE_SAPLING]: 128, [TYPE_ORCHARD]: 96 },
+  ivk: { [TYPE_P2PKH]: 65, [TYPE_SAPLING]: 64, [TYPE_ORCHARD]: 64 },
+};
+
+const PADDING_LENGTH = 16;
+
+// F4Jumble message length bounds
+const F4_MIN_LENGTH = 48;
+const F4_MAX_LENGTH = 4194368;
+const F4_HASH_LENGTH = 64;
+
+/**
+ * Look up the kind, network and revision of an HRP
+ * @param {string} hrp - Human-readable part
+ * @returns {Object|null} { kind, network, revision }
+ */
+function parseHrp(hrp) {
+  for (const [revision, table] of [[0, UNIFIED_HRPS], [1, REVISION_1_HRPS]]) {
+    for (const [kind, networks] of Object.entries(table)) {
+      for (const [network, value] of Object.entries(networks)) {
+        if (value === hrp) {
+          return { kind, network, revision };
+        }
+      }
     }
   }
-  
-  if (bits > 0) {
-    words.push((acc << (5 - bits)) & 31);
+  return null;
+}
+
+function f4Personalization(tag, i, j = 0) {
+  const personalization = new Uint8Array(16);
+  personalization.set(Buffer.from(tag, 'ascii'), 0);
+  personalization[13] = i;
+  if (tag === 'UA_F4Jumble_G') {
+    personalization[14] = j & 0xff;
+    personalization[15] = j >> 8;
   }
-  
-  return words;
+  return personalization;
+}
+
+// H_i: BLAKE2b with output length ℓ_L
+function f4H(i, u, length) {
+  return blake2b(u, { dkLen: length, personalization: f4Personalization('UA_F4Jumble_H', i) });
+}
+
+// G_i: BLAKE2b-512 blocks concatenated and truncated to ℓ_R
+function f4G(i, u, length) {
+  const out = new Uint8Array(length);
+  for (let j = 0; j * F4_HASH_LENGTH < length; j++) {
+    const block = blake2b(u, { dkLen: F4_HASH_LENGTH, personalization: f4Personalization('UA_F4Jumble_G', i, j) });
+    out.set(block.subarray(0, Math.min(F4_HASH_LENGTH, length - j * F4_HASH_LENGTH)), j * F4_HASH_LENGTH);
+  }
+  return out;
+}
+
+function xor(a, b) {
+  const out = new Uint8Array(a.length);
+  for (let i = 0; i < a.length; i++) {
+    out[i] = a[i] ^ b[i];
+  }
+  return out;
+}
+
+function f4Split(message) {
+  if (message.length < F4_MIN_LENGTH || message.length > F4_MAX_LENGTH) {
+    throw new Error(`F4Jumble input must be ${F4_MIN_LENGTH} to ${F4_MAX_LENGTH} bytes, got ${message.length}`);
+  }
+  const leftLength = Math.min(F4_HASH_LENGTH, Math.floor(message.length / 2));
+  return [message.slice(0, leftLength), message.slice(leftLength)];
 }
 
 /**
- * Simple Bech32m encoding (production should use proper bech32m library)
- * This implements the core algorithm used in all Zcash wallets
+ * F4Jumble permutation (ZIP-316), makes every output byte depend on every input byte
+ * @param {Uint8Array} message - 48 to 4194368 bytes
+ * @returns {Uint8Array} Jumbled bytes
  */
-function bech32mEncode(hrp, data) {
-  const words = toWords(data);
-  const charset = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
-  
-  // Simplified checksum calculation (production uses full Bech32m spec)
-  const checksum = [0, 0, 0, 0, 0, 0]; // Placeholder - real implementation calculates proper checksum
-  
-  let result = hrp + '1';
-  for (const word of [...words, ...checksum]) {
-    result += charset[word];
+export function f4Jumble(message) {
+  const [a, b] = f4Split(message);
+  const x = xor(b, f4G(0, a, b.length));
+  const y = xor(a, f4H(0, x, a.length));
+  const d = xor(x, f4G(1, y, x.length));
+  const c = xor(y, f4H(1, d, y.length));
+  return new Uint8Array([...c, ...d]);
+}
+
+/**
+ * Inverse of f4Jumble
+ * @param {Uint8Array} message - Jumbled bytes
+ * @returns {Uint8Array} Original bytes
+ */
+export function f4JumbleInverse(message) {
+  const [c, d] = f4Split(message);
+  const y = xor(c, f4H(1, d, c.length));
+  const x = xor(d, f4G(1, y, d.length));
+  const a = xor(y, f4H(0, x, y.length));
+  const b = xor(x, f4G(0, a, x.length));
+  return new Uint8Array([...a, ...b]);
+}
+
+function writeCompactSize(value) {
+  if (value < 0xfd) return [value];
+  if (value <= 0xffff) return [0xfd, value & 0xff, value >> 8];
+  return [0xfe, value & 0xff, (value >> 8) & 0xff, (value >> 16) & 0xff, (value >>> 24) & 0xff];
+}
+
+function readCompactSize(bytes, offset) {
+  const first = bytes[offset];
+  if (first === undefined) {
+    throw new Error('Truncated unified encoding');
   }
-  
-  return result;
+  if (first < 0xfd) {
+    return { value: first, next: offset + 1 };
+  }
+
+  const size = first === 0xfd ? 2 : first === 0xfe ? 4 : 8;
+  if (offset + 1 + size > bytes.length) {
+    throw new Error('Truncated unified encoding');
+  }
+
+  let value = 0;
+  for (let i = size - 1; i >= 0; i--) {
+    value = value * 256 + bytes[offset + 1 + i];
+  }
+
+  // CompactSize must use the shortest form
+  const minimum = size === 2 ? 0xfd : size === 4 ? 0x10000 : 0x100000000;
+  if (value < minimum) {
+    throw new Error('Non-canonical CompactSize in unified encoding');
+  }
+  return { value, next: offset + 1 + size };
+}
+
+function hrpPadding(hrp) {
+  if (hrp.length > PADDING_LENGTH) {
+    throw new Error(`HRP too long for unified encoding: ${hrp}`);
+  }
+  const padding = new Uint8Array(PADDING_LENGTH);
+  padding.set(Buffer.from(hrp, 'ascii'), 0);
+  return padding;
+}
+
+function isTransparentTypecode(typecode) {
+  return typecode === TYPE_P2PKH || typecode === TYPE_P2SH;
 }
 
 /**
- * Get expected receiver length for each type
+ * Check items against the ZIP-316 rules for their kind and revision
+ * @param {Array} items - [{ typecode, data }] in encoding order
+ * @param {string} kind - 'address', 'fvk' or 'ivk'
+ * @param {number} revision - 0 or 1
  */
-function expectedLength(type) {
-  switch (type) {
-    case TYPE_P2PKH:   return 20; // 20-byte pubkey hash
-    case TYPE_SAPLING: return 43; // 43-byte Sapling receiver
-    case TYPE_ORCHARD: return 43; // 43-byte Orchard receiver
-    default: 
-      throw new Error(`Unsupported receiver type ${type}`);
+function validateItems(items, kind, revision) {
+  if (items.length === 0) {
+    throw new Error('Unified encoding has no items');
+  }
+
+  for (let i = 0; i < items.length; i++) {
+    const { typecode, data } = items[i];
+
+    if (!Number.isInteger(typecode) || typecode < 0 || typecode > TYPECODE_MAX) {
+      throw new Error(`Invalid typecode ${typecode}`);
+    }
+    if (i > 0 && typecode <= items[i - 1].typecode) {
+      throw new Error('Unified encoding items must be in ascending typecode order without duplicates');
+    }
+
+    const expected = ITEM_LENGTHS[kind][typecode];
+    if (expected !== undefined && data.length !== expected) {
+      throw new Error(`Invalid length for typecode ${typecode}: expected ${expected}, got ${data.length}`);
+    }
+
+    if (typecode >= MUST_UNDERSTAND_MIN) {
+      if (revision === 0) {
+        throw new Error(`Must-understand typecode 0x${typecode.toString(16)} requires a revision 1 encoding`);
+      }
+      if (typecode === TYPE_EXPIRY_HEIGHT && data.length !== 4) {
+        throw new Error('Address expiry height must be 4 bytes');
+      }
+      if (typecode === TYPE_EXPIRY_TIME && data.length !== 8) {
+        throw new Error('Address expiry time must be 8 bytes');
+      }
+      if (typecode !== TYPE_EXPIRY_HEIGHT && typecode !== TYPE_EXPIRY_TIME) {
+        throw new Error(`Unknown must-understand typecode 0x${typecode.toString(16)}`);
+      }
+    }
+  }
+
+  const typecodes = items.map(item => item.typecode);
+  if (typecodes.includes(TYPE_P2PKH) && typecodes.includes(TYPE_P2SH)) {
+    throw new Error('Unified encoding cannot contain both P2PKH and P2SH items');
+  }
+
+  const dataItems = typecodes.filter(typecode => typecode < METADATA_MIN);
+  if (dataItems.length === 0 || (revision === 0 && dataItems.every(isTransparentTypecode))) {
+    throw new Error('Unified encoding must contain at least one shielded item');
   }
 }
 
+/**
+ * Encode items as a unified address or viewing key
+ * TLV items + HRP padding, F4Jumble, then Bech32m without a length limit
+ * @param {string} hrp - Human-readable part (see UNIFIED_HRPS)
+ * @param {Array} items - [{ typecode, data: Uint8Array }], sorted by typecode when encoding
+ * @returns {string} Encoded string
+ */
+export function encodeUnified(hrp, items) {
+  const info = parseHrp(hrp);
+  if (!info) {
+    throw new Error(`Unknown unified HRP: ${hrp}`);
+  }
+
+  const sorted = [...items]
+    .map(item => ({ typecode: item.typecode ?? item.type, data: Uint8Array.from(item.data) }))
+    .sort((a, b) => a.typecode - b.typecode);
+  validateItems(sorted, info.kind, info.revision);
+
+  const raw = [];
+  for (const { typecode, data } of sorted) {
+    raw.push(...writeCompactSize(typecode), ...writeCompactSize(data.length), ...data);
+  }
+  raw.push(...hrpPadding(hrp));
+
+  const jumbled = f4Jumble(new Uint8Array(raw));
+  return bech32m.encode(hrp, bech32m.toWords(jumbled), false);
+}
+
+/**
+ * Decode a unified address or viewing key
+ * @param {string} encoded - u1..., uview1..., uivk1... (or testnet/regtest/revision 1)
+ * @returns {Object} { hrp, kind, network, revision, items: [{ typecode, data }] }
+ */
+export function decodeUnified(encoded) {
+  let decoded;
+  try {
+    decoded = bech32m.decode(encoded, false);
+  } catch (error) {
+    throw new Error(`Invalid Bech32m encoding: ${error.message}`);
+  }
+
+  const hrp = decoded.prefix;
+  const info = parseHrp(hrp);
+  if (!info) {
+    throw new Error(`Unknown unified HRP: ${hrp}`);
+  }
+
+  const jumbled = bech32m.fromWords(decoded.words);
+  const raw = f4JumbleInverse(jumbled);
+
+  const padding = raw.slice(raw.length - PADDING_LENGTH);
+  if (!Buffer.from(padding).equals(Buffer.from(hrpPadding(hrp)))) {
+    throw new Error('Invalid unified encoding padding');
+  }
+
+  const body = raw.slice(0, raw.length - PADDING_LENGTH);
+  const items = [];
+  let offset = 0;
+
+  while (offset < body.length) {
+    const typecode = readCompactSize(body, offset);
+    const length = readCompactSize(body, typecode.next);
+    const end = length.next + length.value;
+    if (end > body.length) {
+      throw new Error('Truncated unified encoding');
+    }
+    items.push({ typecode: typecode.value, data: body.slice(length.next, end) });
+    offset = end;
+  }
+
+  validateItems(items, info.kind, info.revision);
+
+  return { hrp, ...info, items };
+}
+
+/**
+ * Describe decoded items: receivers/keys, metadata, and unknown typecodes
+ * @param {Array} items - Decoded items
+ * @returns {Object} { receivers, metadata, pools }
+ */
+function describeItems(items) {
+  const receivers = [];
+  const metadata = {};
+
+  for (const { typecode, data } of items) {
+    if (typecode === TYPE_EXPIRY_HEIGHT) {
+      metadata.expiry_height = Buffer.from(data).readUInt32LE(0);
+    } else if (typecode === TYPE_EXPIRY_TIME) {
+      metadata.expiry_time = Number(Buffer.from(data).readBigUInt64LE(0));
+    } else if (typecode >= METADATA_MIN) {
+      metadata[`0x${typecode.toString(16)}`] = Buffer.from(data).toString('hex');
+    } else {
+      receivers.push({
+        typecode,
+        type: getReceiverTypeName(typecode),
+        data: Buffer.from(data).toString('hex'),
+        known: ITEM_LENGTHS.address[typecode] !== undefined,
+      });
+    }
+  }
+
+  const typecodes = receivers.map(receiver => receiver.typecode);
+  return {
+    receivers,
+    metadata,
+    pools: {
+      transparent: typecodes.includes(TYPE_P2PKH) || typecodes.includes(TYPE_P2SH),
+      sapling: typecodes.includes(TYPE_SAPLING),
+      orchard: typecodes.includes(TYPE_ORCHARD),
+    },
+  };
+}
+
+/**
+ * Decode a unified address into its receivers
+ * @param {string} address - Unified address
+ * @returns {Object} { network, revision, receivers, metadata, pools }
+ */
+export function decodeUnifiedAddress(address) {
+  const decoded = decodeUnified(address);
+  if (decoded.kind !== 'address') {
+    throw new Error(`Expected a unified address, got a unified ${decoded.kind === 'fvk' ? 'full' : 'incoming'} viewing key`);
+  }
+  return {
+    network: decoded.network,
+    revision: decoded.revision,
+    ...describeItems(decoded.items),
+  };
+}
+
 /**
  * Generate production-grade ZIP-316 Unified Address from raw receivers
  * This follows the exact same process as Nighthawk, YWallet, Zingo!, etc.
@@ -86,38 +384,21 @@ function expectedLength(type) {
  * @returns {Object} { address: string, diversifier: string }
  */
 export function createUnifiedAddress(receivers, network = 'mainnet') {
-  // 1. Sort by type ID (mandatory per ZIP-316)
-  receivers.sort((a, b) => a.type - b.type);
-  
-  // 2. Validate receiver lengths
-  for (const receiver of receivers) {
-    if (receiver.data.length !== expectedLength(receiver.type)) {
-      throw new Error(`Invalid receiver length for type ${receiver.type}: expected ${expectedLength(receiver.type)}, got ${receiver.data.length}`);
-    }
-  }
-  
-  // 3. Encode each receiver: [type u8][length u8][raw bytes]
-  const encodedItems = [];
-  for (const receiver of receivers) {
-    encodedItems.push(receiver.type);
-    encodedItems.push(receiver.data.length);
-    encodedItems.push(...receiver.data);
+  const hrp = UNIFIED_HRPS.address[network];
+  if (!hrp) {
+    throw new Error(`Unknown network: ${network}`);
   }
-  
-  // 4. F4JSh orthogonal diversifier — 32 random bytes
-  //    (in real wallets this is derived from spending key + index, but random is valid for testing)
-  const diversifier = crypto.randomBytes(32);
-  
-  // 5. Combine diversifier + encoded receivers
-  const dataForBech32m = new Uint8Array([...diversifier, ...encodedItems]);
-  
-  // 6. Encode with correct HRP using Bech32m
-  const hrp = network === 'mainnet' ? MAINNET_HRP : TESTNET_HRP;
-  const address = bech32mEncode(hrp, dataForBech32m);
-  
+
+  const address = encodeUnified(hrp, receivers);
+
+  // Shielded receivers start with their 11-byte diversifier (Orchard preferred)
+  const shielded = [...receivers]
+    .sort((a, b) => b.type - a.type)
+    .find(r => r.type === TYPE_ORCHARD || r.type === TYPE_SAPLING);
+
   return {
     address,
-    diversifier: diversifier.toString('hex')
+    diversifier: shielded ? Buffer.from(shielded.data.slice(0, 11)).toString('hex') : null
   };
 }
 
@@ -160,65 +441,39 @@ export function generateMockReceivers(includeTransparent, includeSapling, includ
 
 /**
  * Validate ZIP-316 unified address format
- * Checks if address follows proper ZIP-316 specification
+ * Decodes the address: Bech32m checksum, F4Jumble padding and receiver encoding
  */
 export function validateUnifiedAddress(address) {
-  // Check if it starts with proper prefix
-  const isMainnet = address.startsWith('u1');
-  const isTestnet = address.startsWith('ut1');
-  
-  if (!isMainnet && !isTestnet) {
+  if (typeof address !== 'string') {
     return {
       valid: false,
-      error: "Not a unified address (must start with 'u1' or 'ut1')"
+      error: "Address must be a string"
     };
   }
-  
-  // Basic length validation (real UAs are typically 80-200 characters)
-  if (address.length < 80 || address.length > 200) {
+
+  try {
+    const decoded = decodeUnifiedAddress(address);
     return {
-      valid: false,
-      error: "Invalid unified address length"
+      valid: true,
+      network: decoded.network,
+      type: 'unified',
+      zip316_compliant: true
     };
-  }
-  
-  // Character validation (Bech32m charset)
-  const validChars = /^[a-z0-9]+$/;
-  if (!validChars.test(address)) {
+  } catch (error) {
     return {
       valid: false,
-      error: "Invalid characters in unified address"
+      error: error.message
     };
   }
-  
-  return {
-    valid: true,
-    network: isMainnet ? 'mainnet' : 'testnet',
-    type: 'unified',
-    zip316_compliant: true
-  };
 }
 
 /**
- * Extract individual receivers from unified address (simplified)
- * In production, use proper ZIP-316 decoder library
+ * Extract individual receivers from unified address
+ * Unknown typecodes are returned with `known: false` and kept as-is
  */
 export function extractReceivers(address) {
-  const validation = validateUnifiedAddress(address);
-  if (!validation.valid) {
-    throw new Error(validation.error);
-  }
-  
-  // This is a simplified extraction - production should use proper Bech32m decoder
-  // For now, return estimated receivers based on address characteristics
-  return {
-    estimated_receivers: {
-      transparent: address.length > 120, // Longer addresses likely include transparent
-      sapling: true,  // Almost always present in 2025
-      orchard: true   // Almost always present in 2025
-    },
-    note: "Use proper ZIP-316 decoder library for exact receiver extraction"
-  };
+  const { receivers, metadata, pools } = decodeUnifiedAddress(address);
+  return { receivers, metadata, pools };
 }
 
 /**
@@ -249,6 +504,8 @@ export function getReceiverTypeName(typeId) {
     case TYPE_SAPLING: return 'Sapling (shielded)';
     case TYPE_ORCHARD: return 'Orchard (shielded)';
     case TYPE_TEX: return 'TEX (future)';
+    case TYPE_EXPIRY_HEIGHT: return 'Address expiry height (metadata)';
+    case TYPE_EXPIRY_TIME: return 'Address expiry time (metadata)';
     default: return `Unknown (${typeId})`;
   }
 }
@@ -273,6 +530,6 @@ export function checkWalletCompatibility(address) {
     zingo: true,
     unstoppable: true,
     edge: true,
-    estimated_pools: receivers.estimated_receivers
+    pools: receivers.pools
   };
 }
\ No newline at end of file
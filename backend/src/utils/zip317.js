@@ -0,0 +1,51 @@
+/**
+ * ZIP-317 proportional transfer fees
+ * The conventional fee is 5000 zatoshis per logical action, with at least two
+ * (the grace actions) charged per transaction
+ */
+
+export const MARGINAL_FEE = 5000; // zatoshis per logical action
+export const GRACE_ACTIONS = 2;
+
+/**
+ * Logical actions of a transaction (ZIP-317)
+ * @param {Object} counts - { transparentInputs, transparentOutputs, saplingSpends, saplingOutputs, orchardActions },
+ *   transparent counts as standard P2PKH inputs and outputs
+ * @returns {number} Logical actions
+ */
+export function logicalActions({
+  transparentInputs = 0,
+  transparentOutputs = 0,
+  saplingSpends = 0,
+  saplingOutputs = 0,
+  orchardActions = 0,
+} = {}) {
+  // Transparent sizes are counted in standard P2PKH inputs (150 bytes) and outputs (34 bytes)
+  return Math.max(transparentInputs, transparentOutputs) + Math.max(saplingSpends, saplingOutputs) + orchardActions;
+}
+
+/**
+ * Conventional fee for a number of logical actions
+ * @param {number} actions - Logical actions
+ * @returns {number} Fee in zatoshis
+ */
+export function conventionalFee(actions) {
+  return MARGINAL_FEE * Math.max(GRACE_ACTIONS, actions);
+}
+
+/**
+ * Logical actions of a transaction from verbose getrawtransaction, which
+ * are what the node's ZIP-317 fee for it was computed from
+ * @param {Object} tx - { vin, vout, vjoinsplit, vShieldedSpend, vShieldedOutput, orchard: { actions } }
+ * @returns {number} Logical actions
+ */
+export function transactionActions(tx) {
+  // Each Sprout JoinSplit counts as two actions
+  return 2 * (tx.vjoinsplit || []).length + logicalActions({
+    transparentInputs: (tx.vin || []).filter(input => !input.coinbase).length,
+    transparentOutputs: (tx.vout || []).length,
+    saplingSpends: (tx.vShieldedSpend || []).length,
+    saplingOutputs: (tx.vShieldedOutput || []).length,
+    orchardActions: (tx.orchard?.actions || []).length,
+  });
+}
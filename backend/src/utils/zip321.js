@@ -0,0 +1,339 @@
+/**
+ * ZIP-321 payment requests
+ * Builds and parses `zcash:` URIs with one or more payments (indexed parameters),
+ * base64url memos, labels, messages and exact amount formatting
+ */
+
+import { bech32, bech32m, createBase58check } from '@scure/base';
+import { sha256 } from '@noble/hashes/sha2.js';
+import { decodeUnified } from './zip316.js';
+import { decodeMemo } from './paymentAttribution.js';
+
+const base58check = createBase58check(sha256);
+
+const SCHEME = 'zcash:';
+const MAX_MEMO_BYTES = 512;
+const MAX_PAYMENTS = 10000; // indexes 0 and 1..9999
+
+// 21 million ZEC in zatoshis
+export const MAX_MONEY = 2100000000000000n;
+
+// Two-byte transparent prefixes (P2PKH, P2SH)
+const TRANSPARENT_PREFIXES = {
+  '1cb8': { network: 'mainnet' }, '1cbd': { network: 'mainnet' },
+  '1d25': { network: 'testnet' }, '1cba': { network: 'testnet' },
+};
+const SAPLING_HRPS = { zs: 'mainnet', ztestsapling: 'testnet', zregtestsapling: 'regtest' };
+const TEX_HRPS = { tex: 'mainnet', textest: 'testnet', texregtest: 'regtest' };
+
+const AMOUNT_PATTERN = /^(\d+)(?:\.(\d{1,8}))?$/;
+const PARAM_PATTERN = /^([A-Za-z][A-Za-z0-9+-]*?)(?:\.([1-9]\d{0,3}))?$/;
+// qchar from RFC 3986 minus "&" and "=", plus percent-encoded octets
+const QCHAR_PATTERN = /^(?:[A-Za-z0-9\-._~!$'()*+,;:@/?]|%[0-9A-Fa-f]{2})*$/;
+const BASE64URL_PATTERN = /^[A-Za-z0-9_-]*$/;
+
+/**
+ * Identify a Zcash address and check its encoding
+ * @param {string} address - Address
+ * @returns {Object|null} { type: 'transparent'|'sapling'|'unified'|'tex', network }, or null if invalid
+ */
+export function classifyAddress(address) {
+  if (!address || typeof address !== 'string' || !/^[A-Za-z0-9]+$/.test(address)) {
+    return null;
+  }
+
+  if (/^t/.test(address)) {
+    try {
+      const payload = base58check.decode(address);
+      const prefix = TRANSPARENT_PREFIXES[Buffer.from(payload.subarray(0, 2)).toString('hex')];
+      return payload.length === 22 && prefix ? { type: 'transparent', network: prefix.network } : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  try {
+    const { prefix, words } = bech32.decode(address, 90);
+    if (SAPLING_HRPS[prefix] && bech32.fromWords(words).length === 43) {
+      return { type: 'sapling', network: SAPLING_HRPS[prefix] };
+    }
+  } catch (error) {
+    // Not Bech32, try Bech32m below
+  }
+
+  try {
+    const { prefix, words } = bech32m.decode(address, 90);
+    if (TEX_HRPS[prefix] && bech32m.fromWords(words).length === 20) {
+      return { type: 'tex', network: TEX_HRPS[prefix] };
+    }
+  } catch (error) {
+    // Unified addresses are longer than 90 characters
+  }
+
+  try {
+    const decoded = decodeUnified(address);
+    return decoded.kind === 'address' ? { type: 'unified', network: decoded.network } : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function canReceiveMemo(address) {
+  const info = classifyAddress(address);
+  return Boolean(info) && (info.type === 'sapling' || info.type === 'unified');
+}
+
+/**
+ * Parse a ZEC amount in ZIP-321 syntax
+ * @param {string} value - e.g. "1", "0.5", "123.45678901" (at most 8 decimals)
+ * @returns {bigint} Zatoshis
+ */
+export function parseAmount(value) {
+  const match = AMOUNT_PATTERN.exec(value);
+  if (!match) {
+    throw new Error(`Invalid amount: ${value}`);
+  }
+  const zatoshis = BigInt(match[1]) * 100000000n + BigInt((match[2] || '').padEnd(8, '0'));
+  if (zatoshis > MAX_MONEY) {
+    throw new Error(`Amount exceeds 21000000 ZEC: ${value}`);
+  }
+  return zatoshis;
+}
+
+/**
+ * Format an amount for a payment URI: no exponent, no trailing zeros, at most 8 decimals
+ * @param {number|string|bigint} amount - ZEC as number or decimal string, or zatoshis as bigint
+ * @returns {string} e.g. "0.00000001"
+ */
+export function formatAmount(amount) {
+  let zatoshis;
+  if (typeof amount === 'bigint') {
+    zatoshis = amount;
+  } else if (typeof amount === 'string') {
+    zatoshis = parseAmount(amount);
+  } else {
+    if (typeof amount !== 'number' || !Number.isFinite(amount) || amount < 0) {
+      throw new Error(`Invalid amount: ${amount}`);
+    }
+    const scaled = amount * 1e8;
+    if (Math.abs(scaled - Math.round(scaled)) > 1e-4) {
+      throw new Error(`Amount has more than 8 decimals: ${amount}`);
+    }
+    zatoshis = BigInt(Math.round(scaled));
+  }
+
+  if (zatoshis < 0n || zatoshis > MAX_MONEY) {
+    throw new Error(`Amount out of range: ${amount}`);
+  }
+
+  const whole = zatoshis / 100000000n;
+  const fraction = (zatoshis % 100000000n).toString().padStart(8, '0').replace(/0+$/, '');
+  return fraction ? `${whole}.${fraction}` : `${whole}`;
+}
+
+function encodeText(value) {
+  // encodeURIComponent leaves only unreserved characters and escapes everything else
+  return encodeURIComponent(value);
+}
+
+function memoBytes(memo) {
+  const bytes = Buffer.isBuffer(memo) || memo instanceof Uint8Array
+    ? Buffer.from(memo)
+    : Buffer.from(String(memo), 'utf8');
+  if (bytes.length > MAX_MEMO_BYTES) {
+    throw new Error(`Memo is ${bytes.length} bytes, the maximum is ${MAX_MEMO_BYTES}`);
+  }
+  return bytes;
+}
+
+/**
+ * Build a ZIP-321 payment request
+ * The first payment goes in the URI path when it is the only one, otherwise every
+ * payment uses indexed parameters (address, address.1, ...)
+ * @param {Array<Object>} payments - [{ address, amount?, memo?, memo_hex?, label?, message? }]
+ *   amount in ZEC (number or decimal string), memo as text or bytes (memo_hex for raw bytes)
+ * @param {Object} options - { validateAddresses: reject addresses that don't decode (default true) }
+ * @returns {string} zcash: URI
+ */
+export function buildPaymentRequest(payments, { validateAddresses = true } = {}) {
+  if (!Array.isArray(payments) || payments.length === 0) {
+    throw new Error('A payment request needs at least one payment');
+  }
+  if (payments.length > MAX_PAYMENTS) {
+    throw new Error(`A payment request holds at most ${MAX_PAYMENTS} payments`);
+  }
+
+  const params = [];
+  let path = '';
+
+  payments.forEach((payment, index) => {
+    const suffix = index === 0 ? '' : `.${index}`;
+    if (!payment.address || (validateAddresses && !classifyAddress(payment.address))) {
+      throw new Error(`Invalid Zcash address in payment ${index}: ${payment.address}`);
+    }
+
+    if (index === 0 && payments.length === 1) {
+      path = payment.address;
+    } else {
+      params.push(`address${suffix}=${payment.address}`);
+    }
+
+    if (payment.amount !== undefined && payment.amount !== null) {
+      params.push(`amount${suffix}=${formatAmount(payment.amount)}`);
+    }
+    const memo = payment.memo_hex ? Buffer.from(payment.memo_hex, 'hex') : payment.memo;
+    if (memo !== undefined && memo !== null && memo !== '') {
+      const transparent = validateAddresses ? !canReceiveMemo(payment.address) : /^t/.test(payment.address);
+      if (transparent) {
+        throw new Error(`Payment ${index} pays a transparent address, which cannot receive a memo`);
+      }
+      params.push(`memo${suffix}=${memoBytes(memo).toString('base64url')}`);
+    }
+    if (payment.label) {
+      params.push(`label${suffix}=${encodeText(payment.label)}`);
+    }
+    if (payment.message) {
+      params.push(`message${suffix}=${encodeText(payment.message)}`);
+    }
+  });
+
+  return `${SCHEME}${path}${params.length > 0 ? `?${params.join('&')}` : ''}`;
+}
+
+function decodeText(value, name) {
+  if (!QCHAR_PATTERN.test(value)) {
+    throw new Error(`Invalid characters in ${name}`);
+  }
+  try {
+    return decodeURIComponent(value);
+  } catch (error) {
+    throw new Error(`Invalid percent-encoding in ${name}`);
+  }
+}
+
+/**
+ * Parse and validate a ZIP-321 payment request
+ * @param {string} uri - zcash: URI
+ * @returns {Object} { payments: [{ index, address, address_type, network, amount, amount_zat,
+ *   memo, memo_hex, label, message, other_params }], total_zat } (zatoshis as numbers, exact below 2^53)
+ */
+export function parsePaymentRequest(uri) {
+  if (typeof uri !== 'string' || uri.slice(0, SCHEME.length).toLowerCase() !== SCHEME) {
+    throw new Error('Payment request must start with zcash:');
+  }
+
+  const rest = uri.slice(SCHEME.length);
+  const queryStart = rest.indexOf('?');
+  const path = queryStart === -1 ? rest : rest.slice(0, queryStart);
+  const query = queryStart === -1 ? '' : rest.slice(queryStart + 1);
+
+  const byIndex = new Map();
+  const paymentAt = (index) => {
+    if (!byIndex.has(index)) {
+      byIndex.set(index, { other_params: {} });
+    }
+    return byIndex.get(index);
+  };
+  const setOnce = (payment, field, value, name) => {
+    if (payment[field] !== undefined) {
+      throw new Error(`Duplicate parameter: ${name}`);
+    }
+    payment[field] = value;
+  };
+
+  if (path) {
+    paymentAt(0).address = path;
+  }
+
+  for (const pair of query ? query.split('&') : []) {
+    const separator = pair.indexOf('=');
+    const key = separator === -1 ? pair : pair.slice(0, separator);
+    const value = separator === -1 ? null : pair.slice(separator + 1);
+
+    const match = PARAM_PATTERN.exec(key);
+    if (!match) {
+      throw new Error(`Invalid parameter name: ${key}`);
+    }
+    const name = match[1];
+    const index = match[2] ? parseInt(match[2], 10) : 0;
+    const payment = paymentAt(index);
+
+    switch (name) {
+      case 'address':
+        setOnce(payment, 'address', value ?? '', key);
+        break;
+      case 'amount':
+        setOnce(payment, 'amount_zat', parseAmount(value ?? ''), key);
+        break;
+      case 'memo':
+        if (!BASE64URL_PATTERN.test(value ?? '')) {
+          throw new Error(`Memo is not base64url: ${key}`);
+        }
+        setOnce(payment, 'memo_bytes', memoBytes(Buffer.from(value, 'base64url')), key);
+        break;
+      case 'label':
+        setOnce(payment, 'label', decodeText(value ?? '', key), key);
+        break;
+      case 'message':
+        setOnce(payment, 'message', decodeText(value ?? '', key), key);
+        break;
+      default:
+        // Required parameters this parser does not know make the request invalid
+        if (name.startsWith('req-')) {
+          throw new Error(`Unsupported required parameter: ${name}`);
+        }
+        if (payment.other_params[name] !== undefined) {
+          throw new Error(`Duplicate parameter: ${key}`);
+        }
+        payment.other_params[name] = value === null ? null : decodeText(value, key);
+    }
+  }
+
+  if (byIndex.size === 0) {
+    throw new Error('Payment request has no payments');
+  }
+
+  const payments = [];
+  let total = 0n;
+
+  for (const index of [...byIndex.keys()].sort((a, b) => a - b)) {
+    const payment = byIndex.get(index);
+    const info = classifyAddress(payment.address);
+    if (!payment.address) {
+      throw new Error(`Payment ${index} has no address`);
+    }
+    if (!info) {
+      throw new Error(`Invalid Zcash address in payment ${index}: ${payment.address}`);
+    }
+    if (payment.memo_bytes && !['sapling', 'unified'].includes(info.type)) {
+      throw new Error(`Payment ${index} has a memo but pays a ${info.type} address`);
+    }
+
+    total += payment.amount_zat ?? 0n;
+    if (total > MAX_MONEY) {
+      throw new Error('Total amount exceeds 21000000 ZEC');
+    }
+
+    const memoHex = payment.memo_bytes ? payment.memo_bytes.toString('hex') : null;
+    payments.push({
+      index,
+      address: payment.address,
+      address_type: info.type,
+      network: info.network,
+      amount: payment.amount_zat !== undefined ? formatAmount(payment.amount_zat) : null,
+      amount_zat: payment.amount_zat !== undefined ? Number(payment.amount_zat) : null,
+      memo: decodeMemo(memoHex),
+      memo_hex: memoHex,
+      label: payment.label ?? null,
+      message: payment.message ?? null,
+      other_params: payment.other_params,
+    });
+  }
+
+  const networks = new Set(payments.map(payment => payment.network));
+  if (networks.size > 1) {
+    throw new Error('All payments must be on the same network');
+  }
+
+  return { payments, total_zat: Number(total) };
+}
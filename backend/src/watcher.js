@@ -0,0 +1,63 @@
+/**
+ * Standalone payment watcher
+ * Run with `npm run watcher` when the watcher should not live inside the API process
+ */
+
+import { pool, config } from './config/appConfig.js';
+import { startPaymentWatcher, stopPaymentWatcher } from './services/paymentWatcher.js';
+import { startWebhookWorker, stopWebhookWorker } from './services/webhooks.js';
+import { startNodeProbes, stopNodeProbes } from './config/zcash.js';
+import { startSubscriptionScheduler, stopSubscriptionScheduler } from './services/subscriptions.js';
+import { startWithdrawalBatcher, stopWithdrawalBatcher } from './services/withdrawalBatches.js';
+
+const watcher = startPaymentWatcher({ keepAlive: true });
+
+watcher.on('invoice.paid', ({ source, invoice }) => {
+  console.log(`✔ ${source} invoice ${invoice.id} paid: ${invoice.paid_amount_zec} ZEC`);
+});
+
+watcher.on('invoice.expired', ({ source, invoice }) => {
+  console.log(`⌛ ${source} invoice ${invoice.id} expired`);
+});
+
+watcher.on('scan', (stats) => {
+  if (stats.paid || stats.expired) {
+    console.log(`Scan finished: ${stats.paid} paid, ${stats.expired} expired, ${stats.checked} checked (${stats.duration_ms}ms)`);
+  }
+});
+
+watcher.on('error', (error) => {
+  console.error('Payment watcher error:', error.message);
+});
+
+// Deliver the webhooks this process queues
+startWebhookWorker();
+
+// Score RPC endpoints for failover
+startNodeProbes();
+
+// Issue subscription renewals and move ended periods
+startSubscriptionScheduler();
+
+// Send pending withdrawals in batches, only when enabled
+if (config.withdrawalBatches.schedulerEnabled) {
+  startWithdrawalBatcher();
+  console.log(`💸 Withdrawal batches every ${config.withdrawalBatches.interval}ms`);
+}
+
+console.log(`🚀 Payment watcher running every ${config.paymentWatcher.interval}ms`);
+console.log(`⌛ Unpaid invoices expire after ${config.paymentWatcher.invoiceTtlMinutes} minutes unless created with expires_at`);
+
+async function shutdown(signal) {
+  console.log(`${signal} received, stopping payment watcher`);
+  stopPaymentWatcher();
+  stopWebhookWorker();
+  stopNodeProbes();
+  stopSubscriptionScheduler();
+  stopWithdrawalBatcher();
+  await pool.end();
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
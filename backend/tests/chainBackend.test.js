@@ -0,0 +1,65 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createChainBackend, CAPABILITIES, UnsupportedCapabilityError } from '../src/rpc/index.js';
+import { resolveAuth } from '../src/rpc/jsonRpc.js';
+
+const URL = 'http://127.0.0.1:1';
+
+describe('Chain Backends', () => {
+  test('should declare capabilities per driver', () => {
+    expect(createChainBackend('zcashd', { url: URL }).describe()).toEqual({
+      backend: 'zcashd',
+      capabilities: [CAPABILITIES.WALLET, CAPABILITIES.FULL_BLOCKS],
+    });
+    expect(createChainBackend('zcashd', { url: URL, addressIndex: true }).has(CAPABILITIES.ADDRESS_INDEX)).toBe(true);
+
+    const zebra = createChainBackend('zebra', { url: URL, cookieFile: '/nonexistent' });
+    expect(zebra.has(CAPABILITIES.WALLET)).toBe(false);
+    expect(zebra.has(CAPABILITIES.ADDRESS_INDEX)).toBe(true);
+
+    expect(createChainBackend('zaino', { url: URL }).has(CAPABILITIES.COMPACT_BLOCKS)).toBe(false);
+    expect(createChainBackend('zaino', { url: URL, grpcUrl: '127.0.0.1:9067' }).has(CAPABILITIES.COMPACT_BLOCKS)).toBe(true);
+
+    expect(createChainBackend('lightwalletd', { grpcUrl: '127.0.0.1:9067' }).describe()).toEqual({
+      backend: 'lightwalletd',
+      capabilities: [CAPABILITIES.COMPACT_BLOCKS],
+    });
+  });
+
+  test('should refuse unsupported calls before reaching the node', async () => {
+    const zebra = createChainBackend('zebra', { url: URL, cookieFile: '/nonexistent' });
+    expect(() => zebra.require(CAPABILITIES.WALLET)).toThrow(UnsupportedCapabilityError);
+    await expect(zebra.sendMany('', [{ address: 't1abc', amount: 1 }])).rejects.toThrow(UnsupportedCapabilityError);
+    await expect(zebra.getCompactBlocks(1, 2)).rejects.toThrow('does not support compact_blocks');
+
+    const lightwalletd = createChainBackend('lightwalletd', { grpcUrl: '127.0.0.1:9067' });
+    await expect(lightwalletd.getRawTransaction('ab'.repeat(32))).rejects.toThrow(UnsupportedCapabilityError);
+    await expect(lightwalletd.call('getblockcount')).rejects.toThrow('does not speak JSON-RPC');
+  });
+
+  test('should check addresses by format without a JSON-RPC node', async () => {
+    const lightwalletd = createChainBackend('lightwalletd', { grpcUrl: '127.0.0.1:9067' });
+    expect((await lightwalletd.validateAddress('t1' + 'a'.repeat(33))).isvalid).toBe(true);
+    expect((await lightwalletd.validateAddress('nope')).isvalid).toBe(false);
+  });
+
+  test('should reject unknown drivers and missing endpoints', () => {
+    expect(() => createChainBackend('bitcoind', { url: URL })).toThrow('Unknown chain backend');
+    expect(() => createChainBackend('zebra', {})).toThrow('ZCASH_RPC_URL');
+    expect(() => createChainBackend('lightwalletd', { url: URL })).toThrow('LIGHTWALLETD_URL');
+  });
+
+  test('should prefer a readable cookie file over user and password', () => {
+    const cookieFile = path.join(os.tmpdir(), `chain-backend-${process.pid}.cookie`);
+    fs.writeFileSync(cookieFile, '__cookie__:secret\n');
+    try {
+      expect(resolveAuth({ user: 'rpc', pass: 'pw', cookieFile })).toEqual({ username: '__cookie__', password: 'secret' });
+    } finally {
+      fs.unlinkSync(cookieFile);
+    }
+
+    expect(resolveAuth({ user: 'rpc', pass: 'pw', cookieFile: '/nonexistent' })).toEqual({ username: 'rpc', password: 'pw' });
+    expect(resolveAuth({})).toBeNull();
+  });
+});
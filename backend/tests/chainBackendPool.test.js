@@ -0,0 +1,105 @@
+import { ChainBackend, ChainBackendPool, CAPABILITIES, RpcError, scoreEndpoint } from '../src/rpc/index.js';
+
+// Answers getBlockCount with `height` after `delay` ms, or fails like an unreachable node
+class FakeBackend extends ChainBackend {
+  constructor({ height = 100, delay = 0, down = false } = {}) {
+    super('zcashd', [CAPABILITIES.WALLET, CAPABILITIES.FULL_BLOCKS]);
+    Object.assign(this, { height, delay, down, calls: [] });
+  }
+
+  async answer(method, value) {
+    this.calls.push(method);
+    await new Promise(resolve => setTimeout(resolve, this.delay));
+    if (this.down) {
+      throw new Error('zcashd RPC Connection Error: connect ECONNREFUSED');
+    }
+    return value;
+  }
+
+  getBlockCount() {
+    return this.answer('getBlockCount', this.height);
+  }
+
+  getRawTransaction(txid) {
+    return this.answer('getRawTransaction', null).then(() => {
+      throw new RpcError('zcashd', { message: 'No such mempool or blockchain transaction', code: -5 });
+    });
+  }
+
+  sendMany() {
+    return this.answer('sendMany', 'opid-1');
+  }
+}
+
+function createPool(backends, options) {
+  return new ChainBackendPool(
+    backends.map((backend, index) => ({ label: `http://node${index}:8232`, backend })),
+    options
+  );
+}
+
+describe('Chain Backend Pool', () => {
+  test('should score endpoints by health, latency and height lag', () => {
+    expect(scoreEndpoint({ healthy: false, latency_ms: 5, height: 100 }, 100)).toBe(0);
+    expect(scoreEndpoint({ healthy: true, latency_ms: null, height: null }, null)).toBe(100);
+    expect(scoreEndpoint({ healthy: true, latency_ms: 200, height: 100 }, 100)).toBe(90);
+    expect(scoreEndpoint({ healthy: true, latency_ms: 0, height: 97 }, 100)).toBe(70);
+    expect(scoreEndpoint({ healthy: true, latency_ms: 10000, height: 0 }, 100)).toBe(1);
+  });
+
+  test('should fail over reads to the next endpoint', async () => {
+    const down = new FakeBackend({ down: true });
+    const up = new FakeBackend({ height: 120 });
+    const pool = createPool([down, up], { hedgeDelay: 0, maxFailures: 1 });
+
+    await expect(pool.getBlockCount()).resolves.toBe(120);
+    expect(down.calls).toEqual(['getBlockCount']);
+
+    // The failed endpoint is now ranked last
+    await pool.getBlockCount();
+    expect(up.calls).toHaveLength(2);
+    expect(pool.status()[0]).toMatchObject({ url: 'http://node0:8232', primary: true, healthy: false, score: 0 });
+  });
+
+  test('should hedge slow reads and take the first answer', async () => {
+    const slow = new FakeBackend({ height: 100, delay: 200 });
+    const fast = new FakeBackend({ height: 101 });
+    const pool = createPool([slow, fast], { hedgeDelay: 20 });
+
+    await expect(pool.getBlockCount()).resolves.toBe(101);
+    expect(slow.calls).toEqual(['getBlockCount']);
+    expect(fast.calls).toEqual(['getBlockCount']);
+  });
+
+  test('should not retry node errors on other endpoints', async () => {
+    const first = new FakeBackend();
+    const second = new FakeBackend();
+    const pool = createPool([first, second], { hedgeDelay: 0 });
+
+    await expect(pool.getRawTransaction('ab'.repeat(32))).rejects.toThrow(RpcError);
+    expect(second.calls).toEqual([]);
+    expect(pool.status()[0].healthy).toBe(true);
+  });
+
+  test('should keep writes on the primary endpoint', async () => {
+    const primary = new FakeBackend({ down: true });
+    const standby = new FakeBackend();
+    const pool = createPool([primary, standby], { hedgeDelay: 0 });
+
+    await expect(pool.sendMany('', [])).rejects.toThrow('ECONNREFUSED');
+    expect(standby.calls).toEqual([]);
+  });
+
+  test('should probe heights and report lag', async () => {
+    const pool = createPool([new FakeBackend({ height: 200 }), new FakeBackend({ height: 198 }), new FakeBackend({ down: true })]);
+
+    await pool.probe();
+    const [primary, lagging, down] = pool.status();
+
+    expect(primary).toMatchObject({ healthy: true, height: 200, lag_blocks: 0 });
+    expect(lagging).toMatchObject({ healthy: true, height: 198, lag_blocks: 2 });
+    expect(lagging.score).toBeLessThan(primary.score);
+    expect(down).toMatchObject({ healthy: false, score: 0, last_error: expect.stringContaining('ECONNREFUSED') });
+    expect(pool.ranked()[0].label).toBe('http://node0:8232');
+  });
+});
@@ -0,0 +1,101 @@
+import {
+  parseThresholds,
+  requiredConfirmations,
+  confirmationsAt,
+  evaluateSettlement,
+  findOrphanedPayments,
+} from '../src/utils/confirmationPolicy.js';
+
+const policy = {
+  default: 1,
+  byType: { shielded: 2, unified: 0 },
+  amountBands: [
+    { min_zec: 10, confirmations: 6 },
+    { min_zec: 100, confirmations: 24 },
+  ],
+};
+
+describe('Confirmation Policy', () => {
+  test('should parse thresholds from the environment', () => {
+    expect(parseThresholds('shielded:2, unified:3')).toEqual([['shielded', 2], ['unified', 3]]);
+    expect(parseThresholds('')).toEqual([]);
+    expect(parseThresholds(undefined)).toEqual([]);
+    expect(() => parseThresholds('shielded')).toThrow();
+    expect(() => parseThresholds('10:-1')).toThrow();
+  });
+
+  test('should take the highest of default, type and amount band', () => {
+    expect(requiredConfirmations(policy, { invoiceType: 'legacy', amountZec: '0.5' })).toBe(1);
+    expect(requiredConfirmations(policy, { invoiceType: 'shielded', amountZec: 1 })).toBe(2);
+    expect(requiredConfirmations(policy, { invoiceType: 'unified', amountZec: 1 })).toBe(0);
+    expect(requiredConfirmations(policy, { invoiceType: 'unified', amountZec: '10.00000000' })).toBe(6);
+    expect(requiredConfirmations(policy, { invoiceType: 'shielded', amountZec: 9.99999999 })).toBe(2);
+    expect(requiredConfirmations(policy, { invoiceType: 'legacy', amountZec: 250 })).toBe(24);
+  });
+
+  test('should count confirmations from the tip', () => {
+    expect(confirmationsAt(100, 100)).toBe(1);
+    expect(confirmationsAt(95, 100)).toBe(6);
+    expect(confirmationsAt(null, 100)).toBe(0);
+    expect(confirmationsAt(101, 100)).toBe(0);
+  });
+
+  test('should move from pending through detected and confirming to paid', () => {
+    const evaluate = (payments, tip) => evaluateSettlement('1.0', payments, { required: 3, tip });
+
+    expect(evaluate([], 100).status).toBe('pending');
+    expect(evaluate([{ txid: 'a', amount_zec: '0.4', block_height: 90 }], 100))
+      .toMatchObject({ status: 'partially_paid', paid: false, remaining_zec: 0.6 });
+
+    const unmined = [{ txid: 'a', amount_zec: '1.0', block_height: null }];
+    expect(evaluate(unmined, 100)).toMatchObject({ status: 'detected', paid: false, confirmations: 0 });
+
+    const mined = [{ txid: 'a', amount_zec: '1.0', block_height: 100 }];
+    expect(evaluate(mined, 100)).toMatchObject({ status: 'confirming', confirmations: 1, required_confirmations: 3 });
+    expect(evaluate(mined, 102)).toMatchObject({ status: 'paid', paid: true, confirmations: 3, received: 1 });
+  });
+
+  test('should only count payments deep enough toward paid', () => {
+    const payments = [
+      { txid: 'a', amount_zec: '0.6', block_height: 90 },
+      { txid: 'b', amount_zec: '0.6', block_height: 100 },
+    ];
+
+    const confirming = evaluateSettlement('1.0', payments, { required: 3, tip: 100 });
+    expect(confirming).toMatchObject({ status: 'confirming', confirmations: 1, confirmed_zec: 0.6 });
+
+    const split = evaluateSettlement('1.0', [...payments, { txid: 'c', amount_zec: '0.5', block_height: null }], { required: 3, tip: 100 });
+    expect(split.status).toBe('confirming');
+
+    const zeroConf = evaluateSettlement('1.0', [{ txid: 'a', amount_zec: '1.0', block_height: null }], { required: 0, tip: 100 });
+    expect(zeroConf.status).toBe('paid');
+  });
+
+  test('should settle payments short by at most the tolerance', () => {
+    const payments = [{ txid: 'a', amount_zec: '0.995', block_height: 90 }];
+
+    const strict = evaluateSettlement('1.0', payments, { required: 1, tip: 100 });
+    expect(strict).toMatchObject({ status: 'partially_paid', remaining_zec: 0.005, tolerance_zec: 0 });
+
+    const tolerant = evaluateSettlement('1.0', payments, { required: 1, tip: 100, tolerance: 0.01 });
+    expect(tolerant).toMatchObject({ status: 'paid', paid: true, remaining_zec: 0, tolerance_zec: 0.01, underpaid_zec: 0.005 });
+
+    const tooShort = evaluateSettlement('1.0', payments, { required: 1, tip: 100, tolerance: 0.001 });
+    expect(tooShort.status).toBe('partially_paid');
+  });
+
+  test('should find payments whose block was replaced', () => {
+    const payments = [
+      { id: 1, block_height: 100, block_hash: 'aa' },
+      { id: 2, block_height: 101, block_hash: 'bb' },
+      { id: 3, block_height: 102, block_hash: 'cc' }, // rolled back, not re-indexed yet
+      { id: 4, block_height: 105, block_hash: 'dd' }, // above the indexed tip
+      { id: 5, block_height: null, block_hash: null },
+      { id: 6, block_height: 100, block_hash: null }, // hash not known yet
+    ];
+    const chain = new Map([[100, 'aa'], [101, 'b2']]);
+
+    expect(findOrphanedPayments(payments, chain, 102).map(p => p.id)).toEqual([2, 3]);
+    expect(findOrphanedPayments(payments, chain, 101).map(p => p.id)).toEqual([2]);
+  });
+});
@@ -0,0 +1,107 @@
+import {
+  parseRates,
+  normalizeCurrency,
+  validateFiatAmount,
+  fiatToZec,
+  quoteExpiry,
+  quoteCoveredAt,
+  latePaymentAction,
+  formatQuote,
+} from '../src/utils/fiatQuote.js';
+
+const quote = {
+  amount_zec: '1.00000000',
+  amount_fiat: '35.00',
+  fiat_currency: 'USD',
+  exchange_rate: '35.00000000',
+  rate_source: 'static',
+  quoted_at: '2025-03-01T12:00:00.000Z',
+  quote_expires_at: '2025-03-01T12:15:00.000Z',
+  quote_status: 'locked',
+};
+
+describe('Fiat Quotes', () => {
+  test('should parse static rates', () => {
+    expect(parseRates('USD:35.20, eur:32.85')).toEqual({ USD: 35.2, EUR: 32.85 });
+    expect(parseRates('')).toEqual({});
+    expect(() => parseRates('USD:0')).toThrow('Invalid exchange rate');
+    expect(() => parseRates('GBP:30')).toThrow('Invalid exchange rate');
+  });
+
+  test('should validate fiat prices', () => {
+    expect(normalizeCurrency(' eur ')).toBe('EUR');
+    expect(normalizeCurrency('JPY')).toBeNull();
+
+    expect(validateFiatAmount(19.99, 'usd')).toBeNull();
+    expect(validateFiatAmount(0, 'USD')).toContain('amount_fiat');
+    expect(validateFiatAmount('19.99', 'USD')).toContain('amount_fiat');
+    expect(validateFiatAmount(19.999, 'USD')).toContain('decimal places');
+    expect(validateFiatAmount(19.99, 'GBP')).toContain('currency');
+  });
+
+  test('should round ZEC amounts up to the zatoshi', () => {
+    expect(fiatToZec(19.99, 35)).toBe(0.57114286);
+    expect(fiatToZec(10, 0.5)).toBe(20);
+    expect(fiatToZec(0.3, 0.1)).toBe(3);
+    expect(() => fiatToZec(10, 0)).toThrow('positive');
+
+    expect(quoteExpiry(new Date('2025-03-01T12:00:00.000Z'), 15))
+      .toEqual(new Date('2025-03-01T12:15:00.000Z'));
+  });
+
+  test('should not lock a quote past the invoice expiry', () => {
+    const quotedAt = new Date('2025-03-01T12:00:00.000Z');
+
+    expect(quoteExpiry(quotedAt, 15, new Date('2025-03-01T12:10:00.000Z')))
+      .toEqual(new Date('2025-03-01T12:10:00.000Z'));
+    expect(quoteExpiry(quotedAt, 15, new Date('2025-03-02T12:00:00.000Z')))
+      .toEqual(new Date('2025-03-01T12:15:00.000Z'));
+  });
+
+  test('should find when payments covered the quote', () => {
+    const payments = [
+      { amount_zec: 0.4, seen_at: '2025-03-01T12:20:00.000Z' },
+      { amount_zec: 0.6, seen_at: '2025-03-01T12:10:00.000Z' },
+    ];
+
+    expect(quoteCoveredAt(1, payments)).toEqual(new Date('2025-03-01T12:20:00.000Z'));
+    expect(quoteCoveredAt(0.5, payments)).toEqual(new Date('2025-03-01T12:10:00.000Z'));
+    expect(quoteCoveredAt(1.5, payments)).toBeNull();
+  });
+
+  test('should requote or flag payments after the quote expired', () => {
+    const onTime = [{ amount_zec: 1, seen_at: '2025-03-01T12:14:59.000Z' }];
+    const late = [
+      { amount_zec: 0.5, seen_at: '2025-03-01T12:05:00.000Z' },
+      { amount_zec: 0.5, seen_at: '2025-03-01T12:16:00.000Z' },
+    ];
+
+    expect(latePaymentAction(quote, onTime, 'requote')).toBeNull();
+    // Mined in time but only recorded after the quote expired
+    const recordedLate = [{ amount_zec: 1, seen_at: '2025-03-01T12:14:00.000Z', detected_at: '2025-03-01T13:00:00.000Z' }];
+    expect(latePaymentAction(quote, recordedLate, 'requote')).toBeNull();
+    expect(latePaymentAction(quote, late, 'requote')).toBe('requote');
+    expect(latePaymentAction(quote, late, 'flag')).toBe('flag');
+    expect(latePaymentAction({ amount_zec: '1.0', quote_expires_at: null }, late)).toBeNull();
+  });
+
+  test('should judge late payments against the amount less the tolerance', () => {
+    const payments = [
+      { amount_zec: 0.99, seen_at: '2025-03-01T12:10:00.000Z' },
+      { amount_zec: 0.01, seen_at: '2025-03-01T12:30:00.000Z' },
+    ];
+
+    expect(latePaymentAction(quote, payments, 'requote')).toBe('requote');
+    expect(latePaymentAction(quote, payments, 'requote', 0.01)).toBeNull();
+  });
+
+  test('should format quotes for ZEC and fiat invoices', () => {
+    expect(formatQuote({ amount_zec: '1.0', fiat_currency: null })).toEqual({});
+    expect(formatQuote(quote)).toMatchObject({
+      amount_fiat: 35,
+      currency: 'USD',
+      exchange_rate: 35,
+      quote_status: 'locked',
+    });
+  });
+});
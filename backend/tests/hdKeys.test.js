@@ -0,0 +1,48 @@
+import {
+  parseExtendedPublicKey,
+  deriveTransparentAddress,
+  deriveChild,
+  getFingerprint,
+} from '../src/utils/hdKeys.js';
+
+// m/44'/133'/0' and m/44'/1'/0' from BIP32 test vector 1 seed (000102...0f)
+const MAINNET_XPUB = 'xpub6DNtmKfWXa1FtvY67pYw3nQ9yCYJbwwb6FfM2kVMvTfdacexmh8FJLWgeHDeyUF1NMKR16eFeBK3x1JJ8dPJc7bagBj65jDSHJ2B97uMK3L';
+const TESTNET_TPUB = 'tpubDDW4jVEAkwNoHumzePCtQ5FcxXVc8RG8ACszXP1HD1WThkZ19sAoyaNeiXswjTtAKM14zjo8rdhxadti7zuNSfJBMuG68oxQ3Bi1wgo88fD';
+
+describe('HD Key Derivation', () => {
+  test('should parse an account xpub', () => {
+    const key = parseExtendedPublicKey(MAINNET_XPUB);
+    expect(key.network).toBe('mainnet');
+    expect(key.depth).toBe(3);
+    expect(key.childNumber).toBe(0x80000000);
+    expect(key.publicKey).toHaveLength(33);
+    expect(getFingerprint(key.publicKey)).toMatch(/^[0-9a-f]{8}$/);
+  });
+
+  test('should derive mainnet receive addresses', () => {
+    expect(deriveTransparentAddress(MAINNET_XPUB, 0)).toEqual({
+      address: 't1P5BPNYQrVFNQrUn2GnaN2Udp4MhYLvgTW',
+      index: 0,
+      path: "m/44'/133'/0'/0/0",
+      network: 'mainnet',
+    });
+    expect(deriveTransparentAddress(MAINNET_XPUB, 1).address).toBe('t1ZVg8SwPuPcmomMUkwkPoKGNuKxNBBn3iR');
+    expect(deriveTransparentAddress(MAINNET_XPUB, 7).address).toBe('t1JEyAqtDKCaya9xGsJ4iAPTmARss1dUEBr');
+  });
+
+  test('should derive change and testnet addresses', () => {
+    expect(deriveTransparentAddress(MAINNET_XPUB, 0, { change: 1 }).address).toBe('t1NVAMA5awGQGErXurXpb1AqUhRy3d6TwSB');
+
+    const testnet = deriveTransparentAddress(TESTNET_TPUB, 1);
+    expect(testnet.address).toBe('tmXnSgiibdnAv8ApMCsZWHPrBBrXejysQ13');
+    expect(testnet.path).toBe("m/44'/1'/0'/0/1");
+  });
+
+  test('should reject hardened indexes and malformed keys', () => {
+    const key = parseExtendedPublicKey(MAINNET_XPUB);
+    expect(() => deriveChild(key, 0x80000000)).toThrow('hardened');
+    expect(() => deriveChild(key, -1)).toThrow();
+    expect(() => parseExtendedPublicKey(MAINNET_XPUB.slice(0, -1) + 'M')).toThrow('Invalid extended public key');
+    expect(() => parseExtendedPublicKey('t1P5BPNYQrVFNQrUn2GnaN2Udp4MhYLvgTW')).toThrow('wrong length');
+  });
+});
@@ -0,0 +1,138 @@
+import {
+  INVOICE_SOURCES,
+  REFUNDABLE_SOURCES,
+  getInvoiceSource,
+  sourceForLegacyTable,
+  countsTowardsBalance,
+  isRefundable,
+  parseInvoiceId,
+} from '../src/invoices/sources.js';
+import {
+  validateInvoiceRequest,
+  invoiceExpiry,
+  normalizeRecipients,
+  invoiceTotal,
+  invoiceMessage,
+  invoicePaymentUri,
+} from '../src/invoices/request.js';
+
+const SAPLING = 'ztestsapling10yy2ex5dcqkclhc7z7yrnjq2z6feyjad56ptwlfgmy77dmaqqrl9gyhprdx59qgmsnyfska2kez';
+const TRANSPARENT = 'tmEZhbWHTpdKMw5it8YDspUXSMGQyFwovpU';
+const MAINNET_TRANSPARENT = 't1Hsc1LR8yKnbbe3twRp88p6vFfC5t7DLbs';
+const UUID = '5d0c6a1e-8f3b-4c2d-9e7a-1b2c3d4e5f60';
+
+describe('Invoice Sources', () => {
+  test('should map every source to the table it lived in before migration 021', () => {
+    expect(INVOICE_SOURCES.map(source => source.name))
+      .toEqual(['legacy', 'shielded', 'webzjs', 'devtool', 'unified']);
+    expect(getInvoiceSource('unified').legacyTable).toBe('unified_invoices');
+    expect(getInvoiceSource('invoices')).toBeNull();
+    expect(sourceForLegacyTable('invoices').name).toBe('legacy');
+    expect(sourceForLegacyTable('devtool_invoices').name).toBe('devtool');
+    expect(sourceForLegacyTable('archived_devtool_invoices')).toBeNull();
+  });
+
+  test('should only count platform wallet invoices towards the balance', () => {
+    expect(countsTowardsBalance({ source: 'legacy' })).toBe(true);
+    expect(countsTowardsBalance({ source: 'unified' })).toBe(true);
+    expect(countsTowardsBalance({ source: 'shielded' })).toBe(false);
+    expect(countsTowardsBalance({ source: 'webzjs' })).toBe(false);
+    expect(countsTowardsBalance({})).toBe(false);
+  });
+
+  test('should refund legacy, shielded and unified invoices only', () => {
+    expect(REFUNDABLE_SOURCES).toEqual(['legacy', 'shielded', 'unified']);
+    expect(isRefundable({ source: 'shielded' })).toBe(true);
+    expect(isRefundable({ source: 'devtool' })).toBe(false);
+  });
+
+  test('should tell UUIDs from old integer IDs', () => {
+    expect(parseInvoiceId(UUID.toUpperCase())).toEqual({ id: UUID });
+    expect(parseInvoiceId(42)).toEqual({ legacyId: '42' });
+    expect(parseInvoiceId(' 42 ')).toEqual({ legacyId: '42' });
+    expect(parseInvoiceId('042')).toBeNull();
+    expect(parseInvoiceId('0')).toBeNull();
+    expect(parseInvoiceId('42; DROP TABLE invoices')).toBeNull();
+    expect(parseInvoiceId(undefined)).toBeNull();
+  });
+});
+
+describe('Invoice Requests', () => {
+  test('should validate the type and price', () => {
+    expect(validateInvoiceRequest({ type: 'one_time', amountZec: 0.5 })).toBeNull();
+    expect(validateInvoiceRequest({ type: 'subscription', amountFiat: 19.99, currency: 'USD' })).toBeNull();
+    expect(validateInvoiceRequest({ type: 'gift', amountZec: 0.5 })).toContain('Invalid type');
+    expect(validateInvoiceRequest({ type: 'one_time', amountZec: '0.5' })).toContain('amount_zec');
+    expect(validateInvoiceRequest({ type: 'one_time', amountZec: 0 })).toContain('amount_zec');
+    expect(validateInvoiceRequest({ type: 'one_time', amountZec: 0.5, amountFiat: 10, currency: 'USD' }))
+      .toContain('not both');
+    expect(validateInvoiceRequest({ type: 'one_time', amountFiat: 10, currency: 'GBP' })).toContain('currency');
+  });
+
+  test('should expire invoices at the requested time or after the TTL', () => {
+    const now = new Date('2025-03-01T12:00:00.000Z');
+    const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+    expect(validateInvoiceRequest({ type: 'one_time', amountZec: 0.5, expiresAt: future })).toBeNull();
+    expect(validateInvoiceRequest({ type: 'one_time', amountZec: 0.5, expiresAt: '2020-01-01T00:00:00Z' }))
+      .toContain('expires_at');
+    expect(validateInvoiceRequest({ type: 'one_time', amountZec: 0.5, expiresAt: 'tomorrow' })).toContain('expires_at');
+    expect(validateInvoiceRequest({ type: 'one_time', amountZec: 0.5, expiresAt: 1741000000 })).toContain('expires_at');
+
+    expect(invoiceExpiry(null, 1440, now)).toEqual(new Date('2025-03-02T12:00:00.000Z'));
+    expect(invoiceExpiry('2025-03-01T13:30:00Z', 1440, now)).toEqual(new Date('2025-03-01T13:30:00.000Z'));
+  });
+
+  test('should normalize split payment recipients', () => {
+    const recipients = normalizeRecipients(
+      [{ address: SAPLING, amount_zec: 0.2, memo: 'Thanks' }],
+      0.005,
+      { network: 'testnet', treasuryAddress: TRANSPARENT }
+    );
+
+    expect(recipients).toEqual([
+      { address: SAPLING, amount_zec: 0.2, label: null, memo: 'Thanks' },
+      { address: TRANSPARENT, amount_zec: 0.005, label: 'Platform fee', memo: null },
+    ]);
+    expect(normalizeRecipients(undefined, undefined)).toEqual([]);
+  });
+
+  test('should reject invalid recipients', () => {
+    expect(() => normalizeRecipients('nope')).toThrow('must be an array');
+    expect(() => normalizeRecipients([{ address: 'nope', amount_zec: 1 }])).toThrow('Recipient 0: invalid');
+    expect(() => normalizeRecipients([{ address: MAINNET_TRANSPARENT, amount_zec: 1 }], undefined, { network: 'testnet' }))
+      .toThrow('not testnet');
+    expect(() => normalizeRecipients([{ address: TRANSPARENT, amount_zec: 1, memo: 'hi' }]))
+      .toThrow('cannot receive a memo');
+    expect(() => normalizeRecipients([], 0.01)).toThrow('no treasury address');
+  });
+
+  test('should add the recipients to the invoice total', () => {
+    expect(invoiceTotal({
+      amount_zec: '1.00000000',
+      payment_recipients: [{ amount_zec: 0.05 }, { amount_zec: '0.01' }],
+    })).toBe(1.06);
+    expect(invoiceTotal({ amount_zec: '0.1', payment_recipients: [] })).toBe(0.1);
+  });
+
+  test('should build the payment URI from the invoice address', () => {
+    const invoice = {
+      type: 'one_time',
+      item_id: 'course-42',
+      amount_zec: '0.5',
+      payment_address: SAPLING,
+      payment_reference: 'ZB-4T9KQ2XM-B0',
+      payment_recipients: [],
+    };
+
+    expect(invoiceMessage(invoice)).toBe('Payment for one_time - course-42');
+    expect(invoicePaymentUri(invoice)).toBe(
+      `zcash:${SAPLING}?amount=0.5&memo=WkItNFQ5S1EyWE0tQjA&message=Payment%20for%20one_time%20-%20course-42`
+    );
+    expect(invoicePaymentUri({
+      ...invoice,
+      payment_recipients: [{ address: TRANSPARENT, amount_zec: 0.005, label: 'Platform fee' }],
+    })).toContain(`&address.1=${TRANSPARENT}&amount.1=0.005&label.1=Platform%20fee`);
+    expect(invoicePaymentUri({ ...invoice, payment_address: null })).toBeNull();
+  });
+});
@@ -0,0 +1,123 @@
+import {
+  ACCOUNTS,
+  assertBalanced,
+  invoicePaymentEntry,
+  withdrawalEntries,
+  refundEntries,
+  adjustmentEntry,
+  reversalEntry,
+  compareBalances,
+} from '../src/utils/ledgerEntries.js';
+
+const userId = '5b1f0c9e-8d2a-4c5e-9f43-2a7d6e1b0c11';
+
+const sumOf = postings => postings.reduce((sum, posting) => sum + Math.round(posting.amount_zec * 1e8), 0);
+const codes = entry => entry.postings.map(posting => [posting.account.code, posting.amount_zec]);
+
+describe('Ledger Entries', () => {
+  test('should reject entries that do not balance', () => {
+    expect(() => assertBalanced([{ account: ACCOUNTS.WALLET, amount_zec: 1 }])).toThrow('at least two postings');
+    expect(() => assertBalanced([
+      { account: ACCOUNTS.WALLET, amount_zec: 0.1 },
+      { account: ACCOUNTS.FEE_REVENUE, amount_zec: 0 },
+    ])).toThrow('must not be zero');
+    expect(() => assertBalanced([
+      { account: ACCOUNTS.WALLET, amount_zec: 0.3 },
+      { account: ACCOUNTS.FEE_REVENUE, amount_zec: -0.29999999 },
+    ])).toThrow('off by 0.00000001 ZEC');
+
+    // 0.1 + 0.2 - 0.3 is not exactly 0 in floating point
+    expect(() => assertBalanced([
+      { account: ACCOUNTS.WALLET, amount_zec: 0.1 },
+      { account: ACCOUNTS.TREASURY, amount_zec: 0.2 },
+      { account: ACCOUNTS.FEE_REVENUE, amount_zec: -0.3 },
+    ])).not.toThrow();
+  });
+
+  test('should credit the merchant for a paid invoice', () => {
+    const entry = invoicePaymentEntry('unified_invoices', {
+      id: 42, user_id: userId, paid_amount_zec: '1.50000000', paid_txid: 'ab'.repeat(32),
+    });
+
+    expect(entry).toMatchObject({ type: 'invoice_payment', referenceTable: 'unified_invoices', referenceId: '42' });
+    expect(codes(entry)).toEqual([
+      ['platform:wallet', 1.5],
+      [`merchant:${userId}`, -1.5],
+    ]);
+  });
+
+  test('should split a withdrawal into payout, platform fee and network fee', () => {
+    const withdrawal = {
+      id: 'w1', user_id: userId, amount_zec: '1.00000000', fee_zec: '0.02050000', net_zec: '0.97950000', to_address: 't1abc',
+    };
+
+    const [payout, fee, network] = withdrawalEntries(withdrawal, { treasury: true, networkFee: 0.0001 });
+
+    expect(codes(payout)).toEqual([[`merchant:${userId}`, 0.9795], ['platform:wallet', -0.9795]]);
+    expect(codes(fee)).toEqual([
+      [`merchant:${userId}`, 0.0205],
+      ['platform:fee_revenue', -0.0205],
+      ['platform:treasury', 0.0205],
+      ['platform:wallet', -0.0205],
+    ]);
+    expect(codes(network)).toEqual([['platform:network_fees', 0.0001], ['platform:wallet', -0.0001]]);
+    for (const entry of [payout, fee, network]) {
+      expect(sumOf(entry.postings)).toBe(0);
+      expect(entry.referenceId).toBe('w1');
+    }
+
+    // Without a treasury the fee stays in the wallet; zero fees post nothing
+    const kept = withdrawalEntries({ ...withdrawal, fee_zec: '0' }, { treasury: false });
+    expect(kept.map(entry => entry.type)).toEqual(['withdrawal']);
+    expect(withdrawalEntries(withdrawal)[1].postings).toHaveLength(2);
+  });
+
+  test('should debit the merchant for a refund', () => {
+    const refund = {
+      id: 'r1', user_id: userId, invoice_table: 'invoices', invoice_id: '7', amount_zec: '0.40000000', to_address: 't1buyer',
+    };
+
+    const [payback, network] = refundEntries(refund, { networkFee: 0.0001 });
+
+    expect(payback).toMatchObject({ type: 'refund', referenceTable: 'refunds', referenceId: 'r1' });
+    expect(codes(payback)).toEqual([[`merchant:${userId}`, 0.4], ['platform:wallet', -0.4]]);
+    expect(codes(network)).toEqual([['platform:network_fees', 0.0001], ['platform:wallet', -0.0001]]);
+    expect(refundEntries(refund)).toHaveLength(1);
+  });
+
+  test('should post adjustments against the adjustments account', () => {
+    expect(codes(adjustmentEntry(userId, -0.25, 'Chargeback'))).toEqual([
+      ['platform:adjustments', -0.25],
+      [`merchant:${userId}`, 0.25],
+    ]);
+  });
+
+  test('should reverse what is still posted', () => {
+    const reference = { referenceTable: 'invoices', referenceId: '7' };
+    const entry = reversalEntry('payment_reversal', reference, [
+      { code: 'platform:wallet', account_type: 'asset', user_id: null, amount_zec: '2.00000000' },
+      { code: `merchant:${userId}`, account_type: 'liability', user_id: userId, amount_zec: '-2.00000000' },
+    ]);
+
+    expect(entry).toMatchObject({ type: 'payment_reversal', ...reference });
+    expect(codes(entry)).toEqual([['platform:wallet', -2], [`merchant:${userId}`, 2]]);
+    expect(entry.postings[1].account).toEqual({ code: `merchant:${userId}`, type: 'liability', userId });
+
+    // Already reversed
+    expect(reversalEntry('payment_reversal', reference, [
+      { code: 'platform:wallet', account_type: 'asset', user_id: null, amount_zec: '0.00000000' },
+    ])).toBeNull();
+  });
+
+  test('should compare ledger and view balances', () => {
+    const report = compareBalances([
+      { id: 'a', email: 'a@example.com', ledger_balance_zec: '1.20000000', view_balance_zec: '1.20000000' },
+      { id: 'b', email: 'b@example.com', ledger_balance_zec: '0.50000000', view_balance_zec: '1.00000000' },
+      { id: 'c', email: 'c@example.com', ledger_balance_zec: '0', view_balance_zec: null },
+    ]);
+
+    expect(report.mismatched).toBe(1);
+    expect(report.merchants[1]).toMatchObject({ user_id: 'b', difference_zec: -0.5, matches: false });
+    expect(report.totals).toEqual({ ledger_zec: 1.7, view_zec: 2.2, difference_zec: -0.5 });
+  });
+});
@@ -0,0 +1,42 @@
+import { generateReference, normalizeReference, findReferences } from '../src/utils/memoReference.js';
+
+describe('Memo References', () => {
+  test('should generate unique codes that pass their own checksum', () => {
+    const codes = new Set();
+    for (let i = 0; i < 200; i++) {
+      const code = generateReference();
+      expect(code).toMatch(/^ZB-[0-9A-HJKMNP-TV-Z]{8}-[0-9A-HJKMNP-TV-Z]{2}$/);
+      expect(normalizeReference(code)).toBe(code);
+      codes.add(code);
+    }
+    expect(codes.size).toBe(200);
+  });
+
+  test('should reject codes with a typo', () => {
+    const code = 'ZB-4T9KQ2XM-B0';
+    expect(normalizeReference(code)).toBe(code);
+
+    expect(normalizeReference('ZB-T49KQ2XM-B0')).toBeNull(); // transposed
+    expect(normalizeReference('ZB-4T9KR2XM-B0')).toBeNull(); // one symbol off
+    expect(normalizeReference('ZB-4T9KQ2XM-B1')).toBeNull(); // bad check symbol
+    expect(normalizeReference('ZB-4T9KQ2XM-B')).toBeNull(); // truncated
+    expect(normalizeReference('ZB-4T9KQ2XU-B0')).toBeNull(); // U is not a symbol
+  });
+
+  test('should accept lowercase and ambiguous symbols', () => {
+    const code = generateReference();
+    const typed = code.toLowerCase().replace(/-/g, ' ').replace(/0/g, 'o').replace(/1/g, 'l');
+
+    expect(normalizeReference(typed)).toBe(code);
+  });
+
+  test('should find valid codes inside memo text', () => {
+    const first = generateReference();
+    const second = generateReference();
+    const memo = `Thanks! Order ${first.toLowerCase()}, also ${second} and ${first} and ZB-00000000-00`;
+
+    expect(findReferences(memo)).toEqual([first, second]);
+    expect(findReferences('no code here')).toEqual([]);
+    expect(findReferences(null)).toEqual([]);
+  });
+});
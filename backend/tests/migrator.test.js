@@ -0,0 +1,196 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  MIGRATION_TARGETS,
+  findBackendDir,
+  parseMigrationFile,
+  migrationChecksum,
+  transactionBody,
+  loadMigrations,
+  planMigrations,
+  planRollback,
+  runMigrations,
+} from '../src/db/migrator.js';
+
+const APP_MIGRATIONS = path.join(findBackendDir(__dirname), MIGRATION_TARGETS.app.dir);
+
+function migration(name, extra = {}) {
+  return { ...parseMigrationFile(`${name}.sql`), checksum: `sum-${name}`, ...extra };
+}
+
+function applied(name, checksum = `sum-${name}`) {
+  return { name, checksum };
+}
+
+// Answers the runner's queries for a database with the given history
+function fakeClient({ history = null, hasUsers = false } = {}) {
+  const queries = [];
+  return {
+    queries,
+    async query(sql, params) {
+      queries.push(sql.trim());
+      if (sql.includes("to_regclass('schema_migrations')")) {
+        return { rows: [{ exists: history !== null }] };
+      }
+      if (sql.includes('to_regclass($1)')) {
+        return { rows: [{ exists: hasUsers }] };
+      }
+      if (sql.includes('pg_try_advisory_lock')) {
+        return { rows: [{ locked: true }] };
+      }
+      if (sql.startsWith('SELECT name, checksum')) {
+        return { rows: history || [] };
+      }
+      return { rows: [] };
+    },
+  };
+}
+
+describe('Migration Files', () => {
+  test('should parse up and down script names', () => {
+    expect(parseMigrationFile('021_canonical_invoices.sql'))
+      .toEqual({ name: '021_canonical_invoices', number: 21, down: false });
+    expect(parseMigrationFile('022_withdrawal_batches.down.sql'))
+      .toEqual({ name: '022_withdrawal_batches', number: 22, down: true });
+    expect(parseMigrationFile('README.md')).toBeNull();
+    expect(parseMigrationFile('canonical_invoices.sql')).toBeNull();
+  });
+
+  test('should checksum LF and CRLF checkouts the same', () => {
+    expect(migrationChecksum('SELECT 1;\r\nSELECT 2;\r\n')).toBe(migrationChecksum('SELECT 1;\nSELECT 2;\n'));
+    expect(migrationChecksum('SELECT 1;')).toHaveLength(64);
+  });
+
+  test('should drop a script\'s own BEGIN/COMMIT and leave PL/pgSQL blocks alone', () => {
+    expect(transactionBody('-- Migration 021\r\nBEGIN;\r\nALTER TABLE invoices ADD x INT;\r\nCOMMIT;\r\n'))
+      .toBe('-- Migration 021\r\n\r\nALTER TABLE invoices ADD x INT;\r\n\r\n');
+    const trigger = 'CREATE FUNCTION f() RETURNS trigger AS $$\nBEGIN\n  RETURN NEW;\nEND;\n$$ LANGUAGE plpgsql;';
+    expect(transactionBody(trigger)).toBe(trigger);
+  });
+
+  test('should refuse scripts that manage transactions any other way', () => {
+    expect(() => transactionBody('BEGIN;\nSELECT 1;\nCOMMIT;\nBEGIN;\nSELECT 2;\nCOMMIT;'))
+      .toThrow('runner\'s transaction');
+    expect(() => transactionBody('BEGIN;\nSELECT 1;')).toThrow('runner\'s transaction');
+    expect(() => transactionBody('SELECT 1;\nROLLBACK;')).toThrow('runner\'s transaction');
+  });
+
+  test('should load the repo migrations in order', () => {
+    const names = loadMigrations(APP_MIGRATIONS).map(m => m.name);
+
+    expect(names.slice(0, 3)).toEqual([
+      '002_remove_address_unique_constraint',
+      '003_shielded_tables',
+      '004_alternative_wallets',
+    ]);
+    expect(names).toContain('021_canonical_invoices');
+    expect(loadMigrations(path.join(os.tmpdir(), 'no-such-migrations'))).toEqual([]);
+  });
+
+  test('should refuse two migrations with the same number', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    try {
+      fs.writeFileSync(path.join(dir, '001_init.sql'), 'SELECT 1;');
+      fs.writeFileSync(path.join(dir, '001_wallets.sql'), 'SELECT 1;');
+      expect(() => loadMigrations(dir)).toThrow('Migrations share a number');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should load the indexer baseline', () => {
+    const indexer = path.join(findBackendDir(__dirname), MIGRATION_TARGETS.indexer.dir);
+
+    expect(loadMigrations(indexer).map(m => m.name)).toEqual(['001_baseline']);
+  });
+
+  test('should refuse a down script without its migration', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    try {
+      fs.writeFileSync(path.join(dir, '001_init.sql'), 'SELECT 1;');
+      fs.writeFileSync(path.join(dir, '002_gone.down.sql'), 'SELECT 1;');
+      expect(() => loadMigrations(dir)).toThrow('Down scripts without a migration');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('Migration Plans', () => {
+  const migrations = ['001_init', '002_wallets', '003_refunds'].map(name => migration(name));
+
+  test('should list pending, edited and missing migrations', () => {
+    const plan = planMigrations(migrations, [
+      applied('001_init'),
+      applied('002_wallets', 'edited'),
+      applied('000_removed'),
+    ]);
+
+    expect(plan.pending.map(m => m.name)).toEqual(['003_refunds']);
+    expect(plan.changed).toEqual(['002_wallets']);
+    expect(plan.missing).toEqual(['000_removed']);
+    expect(plan.outOfOrder).toEqual([]);
+  });
+
+  test('should flag pending migrations older than the last applied one', () => {
+    const plan = planMigrations(migrations, [applied('001_init'), applied('003_refunds')]);
+
+    expect(plan.outOfOrder).toEqual(['002_wallets']);
+  });
+
+  test('should roll back newest first and require down scripts', () => {
+    const reversible = migrations.map(m => ({ ...m, downSql: `-- undo ${m.name}` }));
+    const history = reversible.map(m => applied(m.name));
+
+    expect(planRollback(reversible, history).map(m => m.name)).toEqual(['003_refunds']);
+    expect(planRollback(reversible, history, { to: '001_init' }).map(m => m.name))
+      .toEqual(['003_refunds', '002_wallets']);
+    expect(() => planRollback(migrations, history)).toThrow('003_refunds has no down script');
+    expect(() => planRollback(reversible, history, { steps: 0 })).toThrow('positive integer');
+  });
+});
+
+describe('Migration Runs', () => {
+  test('should plan a schema.sql baseline for a new database without writing anything', async () => {
+    const client = fakeClient();
+    const result = await runMigrations(client, { dryRun: true });
+
+    expect(result.baseline).toBe(true);
+    expect(result.pending).toContain('021_canonical_invoices');
+    expect(client.queries.some(sql => /^(CREATE|INSERT|BEGIN)/.test(sql))).toBe(false);
+    // Under the lock, so it doesn't read a history another run is writing
+    expect(client.queries[0]).toMatch(/pg_try_advisory_lock/);
+    expect(client.queries).toContain('SELECT pg_advisory_unlock($1)');
+  });
+
+  test('should run a self-transactional migration and its record in one transaction', async () => {
+    const history = loadMigrations(APP_MIGRATIONS)
+      .filter(m => m.name !== '021_canonical_invoices' && m.number < 22)
+      .map(m => applied(m.name, m.checksum));
+    const client = fakeClient({ history });
+
+    await runMigrations(client, { to: '021_canonical_invoices' });
+
+    const start = client.queries.indexOf('BEGIN');
+    const script = client.queries.findIndex(sql => sql.includes('Migration 021'));
+    expect(script).toBe(start + 1);
+    expect(client.queries[script]).not.toMatch(/^\s*(BEGIN|COMMIT);/m);
+    expect(client.queries[script + 1]).toMatch(/^INSERT INTO schema_migrations/);
+    expect(client.queries[script + 2]).toBe('COMMIT');
+  });
+
+  test('should refuse a database with tables but no history', async () => {
+    await expect(runMigrations(fakeClient({ hasUsers: true }), { dryRun: true }))
+      .rejects.toThrow('npm run migrate -- baseline');
+  });
+
+  test('should refuse to run when an applied migration was edited', async () => {
+    const history = loadMigrations(APP_MIGRATIONS).map(m => applied(m.name, m.checksum));
+    history[0].checksum = 'edited';
+    const client = fakeClient({ history });
+
+    await expect(runMigrations(client)).rejects.toThrow('Applied migrations were edited');
+    expect(client.queries).toContain('SELECT pg_advisory_unlock($1)');
+  });
+});
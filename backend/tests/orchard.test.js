@@ -0,0 +1,48 @@
+import { pallas } from '@noble/curves/misc.js';
+import {
+  groupHash,
+  sinsemillaHashToPoint,
+  encodePoint,
+  decodePoint,
+  toBitsLE,
+} from '../src/utils/orchard.js';
+import vectors from './fixtures/orchard-vectors.json';
+
+const toHexLE = (value) => Buffer.from(value.toString(16).padStart(64, '0'), 'hex').reverse().toString('hex');
+
+describe('Orchard Primitives', () => {
+  test('should hash to the Sinsemilla generators librustzcash uses', () => {
+    for (const { j, x, y } of vectors.sinsemilla_s) {
+      const message = Buffer.alloc(4);
+      message.writeUInt32LE(j);
+      const point = groupHash('z.cash:SinsemillaS', message).toAffine();
+      expect(toHexLE(point.x)).toBe(x);
+      expect(toHexLE(point.y)).toBe(y);
+    }
+  });
+
+  test('should compute the empty note commitment tree root', () => {
+    // MerkleCRH(layer, left, right) = SinsemillaHash("z.cash:Orchard-MerkleCRH", layer || left || right)
+    let node = 2n;
+    for (let layer = 0; layer < 32; layer++) {
+      const bits = [...toBitsLE(layer, 10), ...toBitsLE(node, 255), ...toBitsLE(node, 255)];
+      node = sinsemillaHashToPoint('z.cash:Orchard-MerkleCRH', bits).toAffine().x;
+    }
+    expect(toHexLE(node)).toBe(vectors.empty_orchard_root);
+  });
+
+  test('should round-trip point encodings and reject invalid ones', () => {
+    const point = groupHash('z.cash:Orchard-gd', Buffer.alloc(11, 1));
+    const encoded = encodePoint(point);
+    expect(decodePoint(encoded).equals(point)).toBe(true);
+
+    const flipped = Buffer.from(encoded);
+    flipped[31] ^= 0x80;
+    expect(decodePoint(flipped).equals(point.negate())).toBe(true);
+
+    expect(decodePoint(Buffer.alloc(32)).equals(pallas.Point.ZERO)).toBe(true);
+    expect(decodePoint(Buffer.from([...Buffer.alloc(31), 0x80]))).toBeNull();
+    expect(decodePoint(Buffer.alloc(32, 0xff))).toBeNull();
+    expect(decodePoint(Buffer.alloc(31))).toBeNull();
+  });
+});
@@ -0,0 +1,39 @@
+import { encodeCursor, decodeCursor, parseLimit, paginate } from '../src/utils/pagination.js';
+
+describe('Cursor Pagination', () => {
+  test('should round-trip cursor keys', () => {
+    const cursor = encodeCursor({ height: 2800000, txid: 'ab'.repeat(32) });
+    expect(cursor).toMatch(/^[A-Za-z0-9_-]+$/);
+    expect(decodeCursor(cursor, ['height', 'txid'])).toEqual({ height: 2800000, txid: 'ab'.repeat(32) });
+  });
+
+  test('should reject malformed cursors', () => {
+    expect(decodeCursor(undefined, ['height'])).toBeNull();
+    expect(decodeCursor('', ['height'])).toBeNull();
+    expect(() => decodeCursor('not-a-cursor', ['height'])).toThrow('Invalid cursor');
+    expect(() => decodeCursor(encodeCursor({ height: 1 }), ['height', 'txid'])).toThrow('Invalid cursor');
+    expect(() => decodeCursor(encodeCursor(5), ['height'])).toThrow('Invalid cursor');
+  });
+
+  test('should parse and cap limits', () => {
+    expect(parseLimit(undefined)).toBe(25);
+    expect(parseLimit('10')).toBe(10);
+    expect(parseLimit('500')).toBe(100);
+    expect(parseLimit(5, { defaultLimit: 10, maxLimit: 3 })).toBe(3);
+    expect(() => parseLimit('0')).toThrow();
+    expect(() => parseLimit('abc')).toThrow();
+    expect(() => parseLimit('1.5')).toThrow();
+  });
+
+  test('should cut pages and point at the last row', () => {
+    const rows = [{ id: 3 }, { id: 2 }, { id: 1 }];
+
+    const first = paginate(rows, 2, row => ({ id: row.id }));
+    expect(first.items).toEqual([{ id: 3 }, { id: 2 }]);
+    expect(decodeCursor(first.next_cursor, ['id'])).toEqual({ id: 2 });
+
+    const last = paginate(rows.slice(2), 2, row => ({ id: row.id }));
+    expect(last.items).toEqual([{ id: 1 }]);
+    expect(last.next_cursor).toBeNull();
+  });
+});
@@ -0,0 +1,195 @@
+import {
+  attributeOutputs,
+  summarizePayments,
+  decodeMemo,
+  toZatoshi,
+} from '../src/utils/paymentAttribution.js';
+import { generateReference } from '../src/utils/memoReference.js';
+
+const created = (minutesAgo) => new Date(Date.now() - minutesAgo * 60 * 1000);
+
+describe('Payment Attribution', () => {
+  test('should convert amounts to zatoshis exactly', () => {
+    expect(toZatoshi(0.1)).toBe(10000000);
+    expect(toZatoshi('0.00000001')).toBe(1);
+    expect(toZatoshi(0.1 + 0.2)).toBe(30000000);
+  });
+
+  test('should give every later output to the invoice its address is unique to', () => {
+    const invoices = [{ key: 'invoices:a', id: 'a', amount_zec: '1.0', created_at: created(60), unique_address: true }];
+    const outputs = [
+      { txid: 'old', vout: 0, amount: 1, timestamp: created(120) },
+      { txid: 'tx1', vout: 0, amount: 0.4, timestamp: created(30) },
+      { txid: 'tx2', vout: 1, amount: 0.7, timestamp: created(10) },
+    ];
+
+    const { assignments, unattributed } = attributeOutputs(invoices, outputs);
+
+    expect(assignments.get('invoices:a').map(o => o.txid)).toEqual(['tx1', 'tx2']);
+    expect(assignments.get('invoices:a')[0].matched_by).toBe('address');
+    expect(unattributed.map(o => o.txid)).toEqual(['old']);
+  });
+
+  test('should not credit treasury inflows to the only open invoice on the treasury', () => {
+    const invoices = [{ key: 'invoices:a', id: 'a', amount_zec: '0.5', created_at: created(60), unique_address: false }];
+    const outputs = [
+      // Platform fees of a withdrawal batch sent to the treasury
+      { txid: 'batch', vout: 2, amount: 0.0355, timestamp: created(30), memo: 'Withdrawal fees, batch 5f0d' },
+      { txid: 'other', vout: 0, amount: 0.2, timestamp: created(20) },
+      { txid: 'tx1', vout: 0, amount: 0.5, timestamp: created(10) },
+    ];
+
+    const { assignments, unattributed, ignored } = attributeOutputs(invoices, outputs, {
+      ownTxids: new Set(['batch']),
+    });
+
+    expect(assignments.get('invoices:a')).toEqual([
+      expect.objectContaining({ txid: 'tx1', matched_by: 'amount' }),
+    ]);
+    expect(unattributed.map(o => o.txid)).toEqual(['other']);
+    expect(ignored.map(o => o.txid)).toEqual(['batch']);
+  });
+
+  test('should ignore the platform\'s own transactions even when the amount matches', () => {
+    const invoices = [{ key: 'invoices:a', id: 'a', amount_zec: '0.01', created_at: created(60), unique_address: true }];
+    const outputs = [{ txid: 'withdrawal', vout: 1, amount: 0.01, timestamp: created(10) }];
+
+    const { assignments, ignored } = attributeOutputs(invoices, outputs, { ownTxids: new Set(['withdrawal']) });
+
+    expect(assignments.has('invoices:a')).toBe(false);
+    expect(ignored).toHaveLength(1);
+  });
+
+  test('should match shared-address payments by exact amount, one output per invoice', () => {
+    const invoices = [
+      { key: 'invoices:b', id: 'b', amount_zec: '0.5', created_at: created(20) },
+      { key: 'invoices:a', id: 'a', amount_zec: '0.5', created_at: created(40) },
+      { key: 'invoices:c', id: 'c', amount_zec: '0.25', created_at: created(30) },
+    ];
+    const outputs = [
+      { txid: 'tx1', vout: 0, amount: 0.5, timestamp: created(35) },
+      { txid: 'tx2', vout: 0, amount: 0.5, timestamp: created(5) },
+      { txid: 'tx3', vout: 0, amount: 0.5, timestamp: created(4) },
+      { txid: 'tx4', vout: 0, amount: 0.3, timestamp: created(3) },
+    ];
+
+    const { assignments, unattributed } = attributeOutputs(invoices, outputs);
+
+    // tx1 predates invoice b, so it can only belong to the older invoice a
+    expect(assignments.get('invoices:a').map(o => o.txid)).toEqual(['tx1']);
+    expect(assignments.get('invoices:b').map(o => o.txid)).toEqual(['tx2']);
+    expect(assignments.get('invoices:b')[0].matched_by).toBe('amount');
+    expect(assignments.has('invoices:c')).toBe(false);
+    expect(unattributed.map(o => o.txid)).toEqual(['tx3', 'tx4']);
+  });
+
+  test('should match shared-address payments by memo before amount', () => {
+    const id = '5f0c6a1e-8d1b-4c1e-9a57-3e2b0f9d4c21';
+    const invoices = [
+      { key: 'invoices:x', id: '0b5e3d9a-1111-4c1e-9a57-3e2b0f9d4c21', amount_zec: '0.5', created_at: created(40) },
+      { key: `invoices:${id}`, id, amount_zec: '0.5', created_at: created(20) },
+    ];
+    const outputs = [
+      { txid: 'tx1', vout: 0, amount: 0.2, timestamp: created(10), memo: `Invoice ${id}` },
+      { txid: 'tx2', vout: 0, amount: 0.5, timestamp: created(5) },
+    ];
+
+    const { assignments } = attributeOutputs(invoices, outputs);
+
+    expect(assignments.get(`invoices:${id}`)).toEqual([
+      expect.objectContaining({ txid: 'tx1', matched_by: 'memo' }),
+    ]);
+    expect(assignments.get('invoices:x')[0].txid).toBe('tx2');
+  });
+
+  test('should not match serial IDs inside memo text', () => {
+    const invoices = [
+      { key: 'webzjs_invoices:3', id: 3, amount_zec: '1', created_at: created(20) },
+      { key: 'webzjs_invoices:4', id: 4, amount_zec: '2', created_at: created(20) },
+    ];
+    const outputs = [{ txid: 'tx1', vout: 0, amount: 0.5, timestamp: created(5), memo: 'order 13' }];
+
+    const { unattributed } = attributeOutputs(invoices, outputs);
+
+    expect(unattributed).toHaveLength(1);
+  });
+
+  test('should match reference codes on shared addresses regardless of amount', () => {
+    const reference = generateReference();
+    const invoices = [
+      { key: 'shielded_invoices:a', id: 'a', amount_zec: '0.5', created_at: created(40), reference: generateReference() },
+      { key: 'shielded_invoices:b', id: 'b', amount_zec: '0.5', created_at: created(20), reference },
+    ];
+    const outputs = [
+      { txid: 'tx1', vout: 0, amount: 0.5, timestamp: created(10), memo: `pay ${reference.toLowerCase()}` },
+    ];
+
+    const { assignments } = attributeOutputs(invoices, outputs);
+
+    // Without the code, tx1 would go to the older invoice a by amount
+    expect(assignments.get('shielded_invoices:b')).toEqual([
+      expect.objectContaining({ txid: 'tx1', matched_by: 'reference' }),
+    ]);
+    expect(assignments.has('shielded_invoices:a')).toBe(false);
+  });
+
+  test('should leave codes for other invoices unattributed', () => {
+    const invoices = [
+      {
+        key: 'unified_invoices:1', id: 1, amount_zec: '0.5', created_at: created(40),
+        reference: generateReference(), unique_address: true,
+      },
+    ];
+    const outputs = [
+      { txid: 'tx1', vout: 0, amount: 0.5, timestamp: created(10), memo: generateReference() },
+      { txid: 'tx2', vout: 0, amount: 0.5, timestamp: created(5), memo: 'hello' },
+    ];
+
+    const { assignments, unattributed } = attributeOutputs(invoices, outputs);
+
+    expect(unattributed.map(o => o.txid)).toEqual(['tx1']);
+    expect(assignments.get('unified_invoices:1')[0]).toEqual(
+      expect.objectContaining({ txid: 'tx2', matched_by: 'address' })
+    );
+  });
+
+  test('should only pay require_memo invoices by reference', () => {
+    const reference = generateReference();
+    const invoices = [
+      { key: 'shielded_invoices:a', id: 'a', amount_zec: '0.5', created_at: created(40), reference, require_memo: true },
+    ];
+    const outputs = [
+      { txid: 'tx1', vout: 0, amount: 0.5, timestamp: created(10) },
+      { txid: 'tx2', vout: 0, amount: 0.5, timestamp: created(5), memo: reference },
+    ];
+
+    const { assignments, unattributed } = attributeOutputs(invoices, outputs);
+
+    expect(assignments.get('shielded_invoices:a').map(o => o.txid)).toEqual(['tx2']);
+    expect(unattributed.map(o => o.txid)).toEqual(['tx1']);
+  });
+
+  test('should summarize overpayments and underpayments', () => {
+    expect(summarizePayments('1.0', [])).toEqual({
+      paid: false, received: 0, txid: null, overpaid_zec: 0, underpaid_zec: 0,
+    });
+
+    expect(summarizePayments('1.0', [{ txid: 'tx1', amount_zec: '0.6' }])).toEqual({
+      paid: false, received: 0.6, txid: 'tx1', overpaid_zec: 0, underpaid_zec: 0.4,
+    });
+
+    expect(summarizePayments('1.0', [
+      { txid: 'tx1', amount_zec: '0.6' },
+      { txid: 'tx2', amount_zec: '0.5' },
+    ])).toEqual({
+      paid: true, received: 1.1, txid: 'tx1', overpaid_zec: 0.1, underpaid_zec: 0,
+    });
+  });
+
+  test('should decode text memos only', () => {
+    const hex = Buffer.concat([Buffer.from('Invoice 42'), Buffer.alloc(502)]).toString('hex');
+    expect(decodeMemo(hex)).toBe('Invoice 42');
+    expect(decodeMemo('f6' + '00'.repeat(511))).toBe(null);
+    expect(decodeMemo(null)).toBe(null);
+  });
+});
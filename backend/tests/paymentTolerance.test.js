@@ -0,0 +1,52 @@
+import {
+  resolvePaymentSettings,
+  validatePaymentSettings,
+  toleranceFor,
+  allocatePayments,
+} from '../src/utils/paymentTolerance.js';
+
+const defaults = { tolerancePercent: 0.5, toleranceZec: 0, overpaymentPolicy: 'credit' };
+
+describe('Payment Tolerance', () => {
+  test('should fall back to platform defaults for settings not set', () => {
+    expect(resolvePaymentSettings(null, defaults)).toEqual({
+      tolerance_percent: 0.5,
+      tolerance_zec: 0,
+      overpayment_policy: 'credit',
+    });
+
+    const merchant = { payment_tolerance_percent: null, payment_tolerance_zec: '0.001', overpayment_policy: 'refund' };
+    expect(resolvePaymentSettings(merchant, defaults)).toEqual({
+      tolerance_percent: 0.5,
+      tolerance_zec: 0.001,
+      overpayment_policy: 'refund',
+    });
+  });
+
+  test('should validate merchant settings', () => {
+    expect(validatePaymentSettings({ tolerance_percent: 1, tolerance_zec: 0.01, overpayment_policy: 'refund' })).toBeNull();
+    expect(validatePaymentSettings({ tolerance_percent: null, overpayment_policy: null })).toBeNull();
+    expect(validatePaymentSettings({ tolerance_percent: 11 })).toMatch(/tolerance_percent/);
+    expect(validatePaymentSettings({ tolerance_percent: '1' })).toMatch(/tolerance_percent/);
+    expect(validatePaymentSettings({ tolerance_zec: -0.1 })).toMatch(/tolerance_zec/);
+    expect(validatePaymentSettings({ overpayment_policy: 'keep' })).toMatch(/overpayment_policy/);
+  });
+
+  test('should take the larger of the percentage and fixed tolerance', () => {
+    expect(toleranceFor('2.0', { tolerance_percent: 0.5, tolerance_zec: 0.001 })).toBe(0.01);
+    expect(toleranceFor('0.1', { tolerance_percent: 0.5, tolerance_zec: 0.001 })).toBe(0.001);
+    expect(toleranceFor('0.00000003', { tolerance_percent: 10 })).toBe(0);
+    expect(toleranceFor('1.0', {})).toBe(0);
+  });
+
+  test('should apply payments in arrival order and keep the excess', () => {
+    const payments = [
+      { txid: 'b', amount_zec: '0.7', created_at: '2025-03-01T12:10:00.000Z' },
+      { txid: 'a', amount_zec: '0.4', created_at: '2025-03-01T12:00:00.000Z' },
+      { txid: 'c', amount_zec: '0.2', created_at: '2025-03-01T12:20:00.000Z' },
+    ];
+
+    expect(allocatePayments('1.0', payments).map(({ txid, applied_zec, excess_zec }) => [txid, applied_zec, excess_zec]))
+      .toEqual([['a', 0.4, 0], ['b', 0.6, 0.1], ['c', 0, 0.2]]);
+  });
+});
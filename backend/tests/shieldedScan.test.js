@@ -0,0 +1,122 @@
+import {
+  scanBlock,
+  extractShieldedOutputs,
+  saplingReceiverOf,
+  orchardReceiverOf,
+  encodeOrchardAddress,
+} from '../src/utils/shieldedScan.js';
+import { trySaplingOutput, tryOrchardAction } from '../src/utils/noteDecryption.js';
+import {
+  parseUnifiedViewingKey,
+  getSaplingIvk,
+  deriveUnifiedAddress,
+} from '../src/utils/unifiedKeys.js';
+import { getOrchardIncomingViewingKey } from '../src/utils/orchard.js';
+import { decodeMemo } from '../src/utils/paymentAttribution.js';
+import vectors from './fixtures/zip316-vectors.json';
+import blocks from './fixtures/shielded-blocks.json';
+
+const keys = blocks.ufvks.map(index => {
+  const ufvk = vectors.ufvk[index];
+  const key = parseUnifiedViewingKey(ufvk.encoding);
+  return {
+    id: index,
+    network: ufvk.network,
+    saplingIvk: getSaplingIvk(key.sapling),
+    orchardIvk: getOrchardIncomingViewingKey(key.orchard).ivk,
+  };
+});
+
+function expectedReceiver(note) {
+  const ufvk = vectors.ufvk[note.ufvk];
+  const { receivers } = deriveUnifiedAddress(ufvk.encoding, note.diversifier_index);
+  return note.pool === 'orchard'
+    ? encodeOrchardAddress(Buffer.from(receivers.orchard, 'hex'), ufvk.network)
+    : receivers.sapling;
+}
+
+describe('Shielded Scanner', () => {
+  test('should find the notes for each key in a full block', () => {
+    const scan = scanBlock(blocks.full_block, keys);
+
+    expect(scan.height).toBe(blocks.full_block.height);
+    expect(scan.notes).toHaveLength(blocks.expected_notes.length);
+
+    blocks.expected_notes.forEach((expected, i) => {
+      const note = scan.notes[i];
+      expect(note.pool).toBe(expected.pool);
+      expect(note.viewing_key_id).toBe(expected.ufvk);
+      expect(note.txid).toBe(expected.txid);
+      expect(note.output_index).toBe(expected.output_index);
+      expect(note.value_zat).toBe(BigInt(expected.value_zat));
+      expect(note.receiver).toBe(expectedReceiver(expected));
+      expect(note.block_time).toEqual(new Date(blocks.full_block.time * 1000));
+      expect(decodeMemo(note.memo)).toBe(expected.memo_text);
+    });
+  });
+
+  test('should find the same notes in a compact block, without memos', () => {
+    const full = scanBlock(blocks.full_block, keys);
+    const compact = scanBlock(blocks.compact_block, keys);
+
+    expect(compact.outputs).toBe(full.outputs);
+    expect(compact.notes.map(({ memo, ...note }) => note))
+      .toEqual(full.notes.map(({ memo, ...note }) => note));
+    compact.notes.forEach(note => expect(note.memo).toBeNull());
+  });
+
+  test('should reject a note whose value does not match its commitment', () => {
+    const { sapling, orchard } = extractShieldedOutputs(blocks.full_block);
+    const forgedTxid = blocks.full_block.tx[2].txid;
+    const forged = sapling.filter(output => output.txid === forgedTxid);
+    const forgedActions = orchard.filter(action => action.txid === forgedTxid);
+
+    expect(forged.length).toBeGreaterThan(0);
+    expect(forgedActions.length).toBeGreaterThan(0);
+    for (const key of keys) {
+      for (const output of forged) {
+        expect(trySaplingOutput(key.saplingIvk, output)).toBeNull();
+      }
+      for (const action of forgedActions) {
+        expect(tryOrchardAction(key.orchardIvk, action)).toBeNull();
+      }
+    }
+  });
+
+  test('should ignore outputs for keys that are not registered', () => {
+    const scan = scanBlock(blocks.full_block, keys.slice(1));
+
+    expect(scan.notes).toHaveLength(1);
+    expect(scan.notes[0].viewing_key_id).toBe(1);
+  });
+
+  test('should decrypt Orchard actions in full and compact blocks', () => {
+    const full = scanBlock(blocks.full_block, keys);
+    const compact = scanBlock(blocks.compact_block, keys);
+
+    expect(full.orchard_actions).toBe(3);
+    expect(compact.orchard_actions).toBe(full.orchard_actions);
+    expect(full.notes.filter(note => note.pool === 'orchard')).toHaveLength(1);
+
+    // The action for an unregistered key decrypts under that key only
+    const other = parseUnifiedViewingKey(vectors.ufvk[2].encoding);
+    const { orchard } = extractShieldedOutputs(blocks.full_block);
+    const note = tryOrchardAction(getOrchardIncomingViewingKey(other.orchard).ivk, orchard[1]);
+    expect(note.value).toBe(700000n);
+    expect(keys.every(key => tryOrchardAction(key.orchardIvk, orchard[1]) === null)).toBe(true);
+  });
+
+  test('should match unified addresses on their Sapling and Orchard receivers', () => {
+    const derived = deriveUnifiedAddress(vectors.ufvk[0].encoding, 0);
+    const orchard = encodeOrchardAddress(Buffer.from(derived.receivers.orchard, 'hex'), 'mainnet');
+
+    expect(saplingReceiverOf(derived.address)).toBe(derived.receivers.sapling);
+    expect(saplingReceiverOf(derived.receivers.sapling)).toBe(derived.receivers.sapling);
+    expect(saplingReceiverOf(derived.receivers.transparent)).toBeNull();
+
+    expect(orchard.startsWith('u1')).toBe(true);
+    expect(orchardReceiverOf(derived.address)).toBe(orchard);
+    expect(orchardReceiverOf(orchard)).toBe(orchard);
+    expect(orchardReceiverOf(derived.receivers.sapling)).toBeNull();
+  });
+});
@@ -0,0 +1,60 @@
+import {
+  validatePlan,
+  planInterval,
+  accessUntil,
+  isEntitled,
+  isRenewalDue,
+  nextSubscriptionStatus,
+} from '../src/utils/subscriptionPolicy.js';
+
+const periodEnd = '2025-03-31T00:00:00.000Z';
+const at = iso => new Date(iso);
+const active = { status: 'active', current_period_end: periodEnd, grace_days: 3, cancel_at_period_end: false };
+
+describe('Subscription Policy', () => {
+  test('should validate plans', () => {
+    const plan = { name: 'Pro', item_id: 'course-42', amount_zec: 0.5 };
+
+    expect(validatePlan(plan)).toBeNull();
+    expect(validatePlan({ ...plan, item_id: undefined })).toContain('item_id');
+    expect(validatePlan({ ...plan, amount_zec: 0 })).toContain('amount_zec');
+    expect(validatePlan({ ...plan, interval_unit: 'fortnight' })).toContain('interval_unit');
+    expect(validatePlan({ ...plan, interval_count: 1.5 })).toContain('interval_count');
+    expect(validatePlan({ ...plan, grace_days: -1 })).toContain('grace_days');
+  });
+
+  test('should express billing intervals for PostgreSQL', () => {
+    expect(planInterval({ interval_unit: 'month', interval_count: 1 })).toBe('1 month');
+    expect(planInterval({ interval_unit: 'week', interval_count: 2 })).toBe('2 weeks');
+  });
+
+  test('should keep access through the grace period', () => {
+    expect(accessUntil(active)).toEqual(at('2025-04-03T00:00:00.000Z'));
+    expect(accessUntil({ status: 'pending', current_period_end: null })).toBeNull();
+
+    expect(isEntitled(active, at('2025-04-02T23:59:59.000Z'))).toBe(true);
+    expect(isEntitled({ ...active, status: 'past_due' }, at('2025-04-02T00:00:00.000Z'))).toBe(true);
+    expect(isEntitled(active, at('2025-04-03T00:00:00.000Z'))).toBe(false);
+    expect(isEntitled({ ...active, status: 'canceled' }, at('2025-03-01T00:00:00.000Z'))).toBe(false);
+  });
+
+  test('should issue renewals ahead of the period end', () => {
+    expect(isRenewalDue(active, at('2025-03-29T23:00:00.000Z'), 24)).toBe(false);
+    expect(isRenewalDue(active, at('2025-03-30T00:00:00.000Z'), 24)).toBe(true);
+    expect(isRenewalDue({ ...active, cancel_at_period_end: true }, at('2025-04-01T00:00:00.000Z'), 24)).toBe(false);
+    expect(isRenewalDue({ ...active, status: 'pending' }, at('2025-04-01T00:00:00.000Z'), 24)).toBe(false);
+  });
+
+  test('should move subscriptions through past_due, canceled and expired', () => {
+    expect(nextSubscriptionStatus(active, at('2025-03-30T00:00:00.000Z'))).toBeNull();
+    expect(nextSubscriptionStatus(active, at('2025-03-31T00:00:00.000Z'))).toBe('past_due');
+    expect(nextSubscriptionStatus({ ...active, status: 'trialing' }, at('2025-04-01T00:00:00.000Z'))).toBe('past_due');
+    expect(nextSubscriptionStatus({ ...active, status: 'past_due' }, at('2025-04-01T00:00:00.000Z'))).toBeNull();
+    expect(nextSubscriptionStatus({ ...active, status: 'past_due' }, at('2025-04-03T00:00:00.000Z'))).toBe('expired');
+    expect(nextSubscriptionStatus({ ...active, cancel_at_period_end: true }, at('2025-03-31T00:00:00.000Z'))).toBe('canceled');
+
+    // Pending subscriptions end with their invoice; ended ones stay ended
+    expect(nextSubscriptionStatus({ status: 'pending', current_period_end: null }, at('2025-04-10T00:00:00.000Z'))).toBeNull();
+    expect(nextSubscriptionStatus({ ...active, status: 'expired' }, at('2025-05-01T00:00:00.000Z'))).toBeNull();
+  });
+});
@@ -229,7 +229,7 @@ async function testWebZjsRoutes() {
 
     // Verify invoice in database
     const dbInvoice = await pool.query(
-      'SELECT * FROM webzjs_invoices WHERE id = $1',
+      'SELECT * FROM invoices WHERE id = $1',
       [invoice.invoice.id]
     );
     console.log('✅ WebZjs invoice verified in database');
@@ -317,7 +317,7 @@ async function testDevtoolRoutes() {
 
     // Verify invoice in database
     const dbInvoice = await pool.query(
-      'SELECT * FROM devtool_invoices WHERE id = $1',
+      'SELECT * FROM invoices WHERE id = $1',
       [invoice.invoice.id]
     );
     console.log('✅ zcash-devtool invoice verified in database');
@@ -425,7 +425,7 @@ async function testUnifiedAddressCreation() {
 
     // Verify unified invoice in database
     const dbInvoice = await pool.query(
-      'SELECT * FROM unified_invoices WHERE id = $1',
+      'SELECT * FROM invoices WHERE id = $1',
       [invoice.invoice.id]
     );
     console.log('✅ Unified invoice verified in database');
@@ -546,8 +546,8 @@ async function testDatabaseIntegrity() {
     
     const invoiceCheck = await pool.query(`
       SELECT wi.*, w.name as wallet_name, u.email 
-      FROM webzjs_invoices wi 
-      JOIN webzjs_wallets w ON wi.wallet_id = w.id 
+      FROM invoices wi 
+      JOIN webzjs_wallets w ON wi.webzjs_wallet_id = w.id 
       JOIN users u ON wi.user_id = u.id 
       WHERE wi.user_id = $1
     `, [testUser.id]);
@@ -562,8 +562,8 @@ async function testDatabaseIntegrity() {
       SELECT 
         (SELECT COUNT(*) FROM webzjs_wallets WHERE user_id = $1) as webzjs_wallets,
         (SELECT COUNT(*) FROM devtool_wallets WHERE user_id = $1) as devtool_wallets,
-        (SELECT COUNT(*) FROM webzjs_invoices WHERE user_id = $1) as webzjs_invoices,
-        (SELECT COUNT(*) FROM devtool_invoices WHERE user_id = $1) as devtool_invoices
+        (SELECT COUNT(*) FROM invoices WHERE user_id = $1 AND source = 'webzjs') as webzjs_invoices,
+        (SELECT COUNT(*) FROM invoices WHERE user_id = $1 AND source = 'devtool') as devtool_invoices
     `, [testUser.id]);
     
     console.log('✅ Cascade relationships verified');
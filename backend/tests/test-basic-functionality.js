@@ -173,8 +173,8 @@ class BasicFunctionalityTester {
         this.log('⚠️ Invoice creation failed due to RPC unavailability - this is expected', 'warning');
         // Create a mock invoice in database for testing
         const mockResult = await pool.query(
-          `INSERT INTO invoices (user_id, type, amount_zec, z_address, status)
-           VALUES ($1, $2, $3, $4, 'pending') RETURNING *`,
+          `INSERT INTO invoices (source, payment_method, user_id, type, amount_zec, payment_address, status)
+           VALUES ('legacy', 'transparent', $1, $2, $3, $4, 'pending') RETURNING *, payment_address AS z_address`,
           [this.testUser.id, 'one_time', 0.001, 'zs1mock...address']
         );
         this.testInvoice = mockResult.rows[0];
@@ -238,8 +238,8 @@ class BasicFunctionalityTester {
 
     // First, add some balance to the user
     await pool.query(
-      `INSERT INTO invoices (user_id, type, amount_zec, z_address, status, paid_amount_zec, paid_at)
-       VALUES ($1, 'one_time', 0.01, 'zs1test...', 'paid', 0.01, NOW())`,
+      `INSERT INTO invoices (source, payment_method, user_id, type, amount_zec, payment_address, status, paid_amount_zec, paid_at)
+       VALUES ('legacy', 'transparent', $1, 'one_time', 0.01, 'zs1test...', 'paid', 0.01, NOW())`,
       [this.testUser.id]
     );
 
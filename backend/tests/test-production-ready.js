@@ -201,7 +201,7 @@ class ProductionAPITester {
     
     // Manually add balance to user (simulate payment)
     await pool.query(
-      'INSERT INTO invoices (user_id, type, amount_zec, z_address, status, paid_amount_zec, paid_at) VALUES ($1, $2, $3, $4, $5, $6, NOW())',
+      `INSERT INTO invoices (source, payment_method, user_id, type, amount_zec, payment_address, status, paid_amount_zec, paid_at) VALUES ('legacy', 'transparent', $1, $2, $3, $4, $5, $6, NOW())`,
       [user.id, 'one_time', 0.01, 'ztest123...', 'paid', 0.01]
     );
 
@@ -0,0 +1,91 @@
+import {
+  parseUnifiedViewingKey,
+  toIncomingViewingKey,
+  deriveSaplingReceiver,
+  deriveOrchardReceiver,
+  deriveUnifiedAddress,
+} from '../src/utils/unifiedKeys.js';
+import { decodeUnifiedAddress, encodeUnified, TYPE_SAPLING, TYPE_ORCHARD } from '../src/utils/zip316.js';
+import vectors from './fixtures/zip316-vectors.json';
+
+describe('Unified Viewing Keys', () => {
+  test('should derive librustzcash receivers at each diversifier index', () => {
+    for (const vector of vectors.diversified) {
+      const ufvk = vectors.ufvk[vector.ufvk];
+      const derived = deriveUnifiedAddress(ufvk.encoding, vector.start_index);
+
+      expect(derived.diversifier_index).toBe(vector.diversifier_index);
+
+      const decoded = decodeUnifiedAddress(derived.address);
+      expect(decoded.network).toBe(ufvk.network);
+      const sapling = decoded.receivers.find(receiver => receiver.typecode === TYPE_SAPLING);
+      expect(sapling.data).toBe(vector.sapling);
+
+      if (vector.transparent) {
+        expect(derived.receivers.transparent).toBe(vector.transparent);
+      }
+    }
+  });
+
+  test('should skip indexes without a valid Sapling diversifier', () => {
+    const key = parseUnifiedViewingKey(vectors.ufvk[0].encoding);
+    expect(deriveSaplingReceiver(key.sapling, 1)).toBeNull();
+    expect(deriveSaplingReceiver(key.sapling, 2)).toBeNull();
+    expect(deriveSaplingReceiver(key.sapling, 3).toString('hex')).toBe(vectors.diversified[1].sapling);
+  });
+
+  test('should derive the same addresses from the incoming viewing key', () => {
+    const ufvk = parseUnifiedViewingKey(vectors.ufvk[0].encoding);
+    const uivk = toIncomingViewingKey(ufvk);
+    expect(uivk.startsWith('uivk1')).toBe(true);
+
+    const parsed = parseUnifiedViewingKey(uivk);
+    expect(parsed.kind).toBe('ivk');
+    expect(deriveUnifiedAddress(parsed, 5).address).toBe(deriveUnifiedAddress(ufvk, 5).address);
+  });
+
+  test('should only add the transparent receiver when asked', () => {
+    const { encoding } = vectors.ufvk[0];
+    const shielded = deriveUnifiedAddress(encoding, 0, { includeTransparent: false });
+    expect(shielded.receivers.transparent).toBeNull();
+    expect(decodeUnifiedAddress(shielded.address).pools).toEqual({ transparent: false, sapling: true, orchard: true });
+  });
+
+  test('should derive Orchard receivers from Orchard-only keys', () => {
+    const full = deriveUnifiedAddress(vectors.ufvk[0].encoding, 3);
+    const orchard = vectors.ufvk[0].items.find(item => item.typecode === TYPE_ORCHARD);
+    const orchardOnly = encodeUnified('uview', [{ typecode: TYPE_ORCHARD, data: Buffer.from(orchard.data, 'hex') }]);
+
+    const derived = deriveUnifiedAddress(orchardOnly, 3);
+    expect(derived.receivers).toEqual({ transparent: null, sapling: null, orchard: full.receivers.orchard });
+    expect(decodeUnifiedAddress(derived.address).pools).toEqual({ transparent: false, sapling: false, orchard: true });
+
+    // Every Orchard diversifier is valid, index 1 is not skipped as it is for Sapling
+    expect(deriveUnifiedAddress(orchardOnly, 1).diversifier_index).toBe('1');
+    expect(deriveOrchardReceiver(parseUnifiedViewingKey(orchardOnly).orchard, 3).toString('hex')).toBe(full.receivers.orchard);
+
+    // Receivers are d || pk_d with d from FF1, so each index gets its own
+    expect(deriveUnifiedAddress(orchardOnly, 4).receivers.orchard).not.toBe(full.receivers.orchard);
+
+    const incoming = toIncomingViewingKey(parseUnifiedViewingKey(orchardOnly));
+    expect(deriveUnifiedAddress(incoming, 3).address).toBe(derived.address);
+  });
+
+  test('should leave out pools that are not requested', () => {
+    const { encoding } = vectors.ufvk[0];
+    const sapling = deriveUnifiedAddress(encoding, 0, { includeTransparent: false, includeOrchard: false });
+    expect(decodeUnifiedAddress(sapling.address).pools).toEqual({ transparent: false, sapling: true, orchard: false });
+
+    const orchard = deriveUnifiedAddress(encoding, 1, { includeTransparent: false, includeSapling: false });
+    expect(orchard.diversifier_index).toBe('1');
+    expect(orchard.receivers.sapling).toBeNull();
+
+    expect(() => deriveUnifiedAddress(encoding, 0, { includeSapling: false, includeOrchard: false }))
+      .toThrow('no shielded component');
+  });
+
+  test('should reject unified addresses as keys', () => {
+    const derived = deriveUnifiedAddress(vectors.ufvk[0].encoding, 0);
+    expect(() => parseUnifiedViewingKey(derived.address)).toThrow('got a unified address');
+  });
+});
@@ -0,0 +1,39 @@
+import { isPublicAddress, checkWebhookUrl, publicLookup } from '../src/utils/webhookTargets.js';
+
+describe('Webhook Targets', () => {
+  test('should refuse loopback, private, link-local and mapped addresses', () => {
+    for (const address of [
+      '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254',
+      '100.64.0.1', '0.0.0.0', '::1', '::', 'fd00::1', 'fe80::1', '::ffff:7f00:1',
+    ]) {
+      expect(isPublicAddress(address)).toBe(false);
+    }
+    expect(isPublicAddress('not-an-ip')).toBe(false);
+  });
+
+  test('should accept public addresses', () => {
+    expect(isPublicAddress('93.184.216.34')).toBe(true);
+    expect(isPublicAddress('172.32.0.1')).toBe(true);
+    expect(isPublicAddress('2606:4700::1111')).toBe(true);
+  });
+
+  test('should check the url scheme and literal hosts', () => {
+    expect(checkWebhookUrl('https://merchant.example.com/hook')).toBeNull();
+    expect(checkWebhookUrl('ftp://merchant.example.com')).toBe('Webhook url must use http or https');
+    expect(checkWebhookUrl('not a url')).toBe('Invalid webhook url');
+    expect(checkWebhookUrl('http://merchant.example.com', { requireHttps: true })).toBe('Webhook url must use https');
+    expect(checkWebhookUrl('http://localhost:3000/hook')).toMatch(/private or loopback/);
+    expect(checkWebhookUrl('http://api.localhost/hook')).toMatch(/private or loopback/);
+    expect(checkWebhookUrl('http://169.254.169.254/latest/meta-data')).toMatch(/private or loopback/);
+    expect(checkWebhookUrl('http://[::1]:8080/')).toMatch(/private or loopback/);
+    expect(checkWebhookUrl('http://2130706433/')).toMatch(/private or loopback/);
+    expect(checkWebhookUrl('http://localhost:3000/hook', { allowPrivate: true })).toBeNull();
+  });
+
+  test('should refuse hosts that resolve to a private address on connect', (done) => {
+    publicLookup('localhost', {}, (error) => {
+      expect(error.message).toMatch(/non-public address/);
+      done();
+    });
+  });
+});
@@ -0,0 +1,156 @@
+import { bech32 } from '@scure/base';
+import {
+  outputPool,
+  batchRecipients,
+  estimateBatchActions,
+  planWithdrawalBatches,
+  splitNetworkFee,
+  MAX_BATCH_ACTIONS,
+} from '../src/utils/withdrawalBatches.js';
+import { logicalActions, conventionalFee, transactionActions } from '../src/utils/zip317.js';
+import { toZatoshi } from '../src/utils/paymentAttribution.js';
+import { createUnifiedAddress, TYPE_ORCHARD, TYPE_SAPLING } from '../src/utils/zip316.js';
+
+const TRANSPARENT = 'tmEZhbWHTpdKMw5it8YDspUXSMGQyFwovpU';
+const sapling = (n) => bech32.encode('ztestsapling', bech32.toWords(new Uint8Array(43).fill(n)), 90);
+const unified = (n) => createUnifiedAddress([
+  { type: TYPE_SAPLING, data: new Uint8Array(43).fill(n) },
+  { type: TYPE_ORCHARD, data: new Uint8Array(43).fill(n + 1) },
+], 'testnet').address;
+
+const withdrawal = (id, to_address, net_zec, fee_zec = '0.01', attempts = 0) => ({
+  id, to_address, net_zec, fee_zec, attempts,
+});
+
+describe('ZIP-317 Fees', () => {
+  test('should count logical actions per pool', () => {
+    expect(logicalActions({
+      transparentInputs: 1,
+      transparentOutputs: 3,
+      saplingSpends: 2,
+      saplingOutputs: 1,
+      orchardActions: 2,
+    })).toBe(7);
+    expect(logicalActions({})).toBe(0);
+  });
+
+  test('should charge the marginal fee with a grace of two actions', () => {
+    expect(conventionalFee(0)).toBe(10000);
+    expect(conventionalFee(1)).toBe(10000);
+    expect(conventionalFee(4)).toBe(20000);
+  });
+
+  test('should count the actions of a transaction the node built', () => {
+    const tx = {
+      vin: [],
+      vout: [{}],
+      vShieldedSpend: [{}, {}, {}, {}, {}],
+      vShieldedOutput: [{}, {}, {}],
+      orchard: { actions: [{}, {}] },
+    };
+
+    expect(transactionActions(tx)).toBe(8);
+    expect(transactionActions({ vin: [{ coinbase: '03' }], vout: [{}] })).toBe(1);
+  });
+});
+
+describe('Withdrawal Batches', () => {
+  test('should place outputs in the pool of their address', () => {
+    expect(outputPool(TRANSPARENT)).toBe('transparent');
+    expect(outputPool(sapling(1))).toBe('sapling');
+  });
+
+  test('should merge outputs to the same address and pay the fees to the treasury', () => {
+    const recipients = batchRecipients([
+      withdrawal('a', sapling(1), '0.4'),
+      withdrawal('b', sapling(1), '0.35'),
+      withdrawal('c', TRANSPARENT, '1.2', '0.025'),
+    ], { treasuryAddress: sapling(9), treasuryMemo: 'Withdrawal fees' });
+
+    expect(recipients).toEqual([
+      { address: sapling(1), amount: 0.75 },
+      { address: TRANSPARENT, amount: 1.2 },
+      { address: sapling(9), amount: 0.045, memo: Buffer.from('Withdrawal fees').toString('hex') },
+    ]);
+  });
+
+  test('should not add a memo to a transparent treasury output', () => {
+    const recipients = batchRecipients(
+      [withdrawal('a', sapling(1), '0.4')],
+      { treasuryAddress: TRANSPARENT, treasuryMemo: 'Withdrawal fees' }
+    );
+
+    expect(recipients[1]).toEqual({ address: TRANSPARENT, amount: 0.01 });
+  });
+
+  test('should estimate actions from transparent and shielded outputs', () => {
+    const recipients = [{ address: sapling(1) }, { address: sapling(2) }, { address: TRANSPARENT }];
+
+    // 1 transparent output + max(2 spends, 2 outputs + change)
+    expect(estimateBatchActions(recipients)).toBe(4);
+    expect(estimateBatchActions(recipients, { inputActions: 5 })).toBe(6);
+  });
+
+  test('should count unified recipients as Orchard actions', () => {
+    const recipients = [{ address: unified(1) }, { address: unified(3) }, { address: sapling(5) }];
+
+    // max(2 spends, 2 Orchard outputs + change) + 1 Sapling output
+    expect(estimateBatchActions(recipients)).toBe(4);
+    expect(estimateBatchActions(recipients, { inputActions: 5 })).toBe(6);
+  });
+
+  test('should fill batches up to the action limit', () => {
+    const pending = [1, 2, 3, 4, 5, 6].map(n => withdrawal(`w${n}`, sapling(n), '0.1'));
+
+    const batches = planWithdrawalBatches(pending, { maxActions: 5 });
+
+    expect(batches.map(batch => batch.withdrawals.map(w => w.id))).toEqual([
+      ['w1', 'w2', 'w3', 'w4'],
+      ['w5', 'w6'],
+    ]);
+    expect(batches[0].action_count).toBe(5);
+    expect(batches[0].fee_zec).toBe(0.00025);
+    expect(batches[0].total_zec).toBe(0.4);
+    expect(batches[1].action_count).toBe(3);
+    expect(batches[1].fee_zec).toBe(0.00015);
+  });
+
+  test('should keep batches under the transaction size limit', () => {
+    const pending = Array.from({ length: 60 }, (_, n) => withdrawal(`w${n}`, sapling(n + 1), '0.1'));
+
+    const batches = planWithdrawalBatches(pending, { maxActions: 100 });
+
+    expect(MAX_BATCH_ACTIONS).toBe(30);
+    expect(batches.every(batch => batch.action_count <= MAX_BATCH_ACTIONS)).toBe(true);
+    expect(batches[0].withdrawals).toHaveLength(29);
+  });
+
+  test('should count the treasury output against the limit', () => {
+    const pending = [1, 2, 3, 4].map(n => withdrawal(`w${n}`, sapling(n), '0.1'));
+
+    const batches = planWithdrawalBatches(pending, { treasuryAddress: sapling(9), maxActions: 5 });
+
+    expect(batches.map(batch => batch.withdrawals.length)).toEqual([3, 1]);
+    expect(batches[0].recipients).toHaveLength(4);
+    expect(batches[0].total_zec).toBe(0.33);
+  });
+
+  test('should send retried withdrawals on their own', () => {
+    const pending = [
+      withdrawal('a', sapling(1), '0.1'),
+      withdrawal('b', sapling(2), '0.1', '0.01', 1),
+      withdrawal('c', sapling(3), '0.1'),
+    ];
+
+    const batches = planWithdrawalBatches(pending);
+
+    expect(batches.map(batch => batch.withdrawals.map(w => w.id))).toEqual([['a', 'c'], ['b']]);
+  });
+
+  test('should split the network fee to the zatoshi', () => {
+    const shares = splitNetworkFee('0.00010001', 3);
+
+    expect(shares).toEqual([0.00003334, 0.00003334, 0.00003333]);
+    expect(shares.reduce((sum, share) => sum + toZatoshi(share), 0)).toBe(10001);
+  });
+});
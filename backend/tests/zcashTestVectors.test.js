@@ -0,0 +1,142 @@
+import fs from 'fs';
+import path from 'path';
+import {
+  f4Jumble,
+  f4JumbleInverse,
+  encodeUnified,
+  decodeUnified,
+  TYPE_P2PKH,
+  TYPE_P2SH,
+  TYPE_SAPLING,
+  TYPE_ORCHARD,
+} from '../src/utils/zip316.js';
+import { deriveOrchardReceiver } from '../src/utils/unifiedKeys.js';
+import {
+  getOrchardIncomingViewingKey,
+  orchardReceiver,
+  diversifyHash,
+  encodePoint,
+  prfExpand,
+} from '../src/utils/orchard.js';
+import { orchardNoteCommitment, tryOrchardAction } from '../src/utils/noteDecryption.js';
+import { pallas } from '@noble/curves/misc.js';
+
+// Fetched by scripts/fetch-test-vectors.sh from github.com/zcash/zcash-test-vectors
+const VECTORS_DIR = path.join(__dirname, 'fixtures', 'zcash-test-vectors');
+
+/**
+ * Load an official vector file: a source line, a line of field names, then one row per vector
+ * @returns {Array<Object>|null} Rows keyed by field name, or null if the file was not fetched
+ */
+function loadVectors(name) {
+  const file = path.join(VECTORS_DIR, `${name}.json`);
+  if (!fs.existsSync(file)) {
+    return null;
+  }
+  const [, [fields], ...rows] = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const names = fields.split(',').map(field => field.trim());
+  return rows.map(row => Object.fromEntries(names.map((field, i) => [field, row[i]])));
+}
+
+const describeVectors = (vectors) => (vectors ? describe : describe.skip);
+const hex = (value) => Buffer.from(value, 'hex');
+const bytesToBigIntLE = (bytes) => BigInt('0x' + (Buffer.from(bytes).reverse().toString('hex') || '0'));
+
+// Strings are written as hex of their bytes by some generator versions
+const text = (value) => (/^([0-9a-f]{2})+$/.test(value) ? hex(value).toString() : value);
+
+const f4jumble = loadVectors('f4jumble');
+const unifiedAddresses = loadVectors('unified_address');
+const orchardKeys = loadVectors('orchard_key_components');
+const orchardNotes = loadVectors('orchard_note_encryption');
+
+describeVectors(f4jumble)('zcash-test-vectors: F4Jumble', () => {
+  test('should jumble and unjumble every vector exactly', () => {
+    for (const vector of f4jumble) {
+      expect(Buffer.from(f4Jumble(hex(vector.normal))).toString('hex')).toBe(vector.jumbled);
+      expect(Buffer.from(f4JumbleInverse(hex(vector.jumbled))).toString('hex')).toBe(vector.normal);
+    }
+  });
+});
+
+describeVectors(unifiedAddresses)('zcash-test-vectors: Unified Addresses', () => {
+  test('should decode and re-encode every vector exactly', () => {
+    for (const vector of unifiedAddresses) {
+      const address = text(vector.unified_addr);
+      const expected = [
+        [TYPE_P2PKH, vector.p2pkh_bytes],
+        [TYPE_P2SH, vector.p2sh_bytes],
+        [TYPE_SAPLING, vector.sapling_raw_addr],
+        [TYPE_ORCHARD, vector.orchard_raw_addr],
+        [vector.unknown_typecode, vector.unknown_bytes],
+      ]
+        .filter(([typecode, data]) => typecode !== null && data !== null && data !== undefined)
+        .map(([typecode, data]) => ({ typecode, data }))
+        .sort((a, b) => a.typecode - b.typecode);
+
+      const decoded = decodeUnified(address);
+      expect(decoded.kind).toBe('address');
+      expect(decoded.items.map(item => ({
+        typecode: item.typecode,
+        data: Buffer.from(item.data).toString('hex'),
+      }))).toEqual(expected);
+
+      const items = expected.map(({ typecode, data }) => ({ typecode, data: hex(data) }));
+      expect(encodeUnified(decoded.hrp, items)).toBe(address);
+    }
+  });
+});
+
+describeVectors(orchardKeys)('zcash-test-vectors: Orchard Key Components', () => {
+  test('should derive the incoming viewing key and default address', () => {
+    for (const vector of orchardKeys) {
+      const orchard = { ak: hex(vector.ak), nk: hex(vector.nk), rivk: hex(vector.rivk) };
+      const { dk, ivk } = getOrchardIncomingViewingKey(orchard);
+
+      expect(dk.toString('hex')).toBe(vector.dk);
+      expect(ivk.toString('hex')).toBe(vector.ivk);
+      expect(orchardReceiver(ivk, hex(vector.default_d)).toString('hex')).toBe(vector.default_d + vector.default_pk_d);
+      // The default address is at diversifier index 0
+      expect(deriveOrchardReceiver(orchard, 0).toString('hex')).toBe(vector.default_d + vector.default_pk_d);
+    }
+  });
+
+  test('should compute the note commitment', () => {
+    for (const vector of orchardKeys) {
+      const rho = hex(vector.note_rho);
+      const expand = (domain) => bytesToBigIntLE(prfExpand(hex(vector.note_rseed), Buffer.concat([Buffer.from([domain]), rho])));
+      const rcm = expand(0x05) % pallas.CURVE.n;
+      const psi = expand(0x09) % pallas.CURVE.Fp.ORDER;
+      const gd = encodePoint(diversifyHash(hex(vector.default_d)));
+
+      const cmx = orchardNoteCommitment(gd, hex(vector.default_pk_d), BigInt(vector.note_v), bytesToBigIntLE(rho), psi, rcm);
+      expect(cmx.toString('hex')).toBe(vector.note_cmx);
+    }
+  });
+});
+
+describeVectors(orchardNotes)('zcash-test-vectors: Orchard Note Encryption', () => {
+  test('should decrypt every note with its incoming viewing key', () => {
+    for (const vector of orchardNotes) {
+      // IncomingViewingKey bytes are dk || ivk
+      const key = hex(vector.incoming_viewing_key);
+      const ivk = key.length === 64 ? key.subarray(32) : key;
+      const action = {
+        nullifier: hex(vector.rho),
+        cmx: hex(vector.cmx),
+        epk: hex(vector.ephemeral_key),
+        ciphertext: hex(vector.c_enc),
+      };
+
+      const note = tryOrchardAction(ivk, action);
+      expect(note).not.toBeNull();
+      expect(note.value).toBe(BigInt(vector.v));
+      expect(note.diversifier.toString('hex')).toBe(vector.default_d);
+      expect(note.pk_d.toString('hex')).toBe(vector.default_pk_d);
+      expect(note.memo.toString('hex')).toBe(vector.memo);
+
+      const compact = tryOrchardAction(ivk, { ...action, ciphertext: action.ciphertext.subarray(0, 52) });
+      expect(compact.value).toBe(note.value);
+    }
+  });
+});
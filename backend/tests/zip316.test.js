@@ -0,0 +1,112 @@
+import { bech32m } from '@scure/base';
+import {
+  f4Jumble,
+  f4JumbleInverse,
+  encodeUnified,
+  decodeUnified,
+  decodeUnifiedAddress,
+  createUnifiedAddress,
+  validateUnifiedAddress,
+  TYPE_P2PKH,
+  TYPE_SAPLING,
+  TYPE_ORCHARD,
+  TYPE_EXPIRY_HEIGHT,
+} from '../src/utils/zip316.js';
+import vectors from './fixtures/zip316-vectors.json';
+
+const bytes = (length, fill) => new Uint8Array(length).map((_, i) => (i * 7 + fill) & 0xff);
+
+describe('ZIP-316 Unified Encoding', () => {
+  test('should invert F4Jumble at every split size', () => {
+    for (const length of [48, 61, 127, 128, 129, 300, 1000]) {
+      const message = bytes(length, length);
+      const jumbled = f4Jumble(message);
+      expect(Buffer.from(jumbled).equals(Buffer.from(message))).toBe(false);
+      expect(Array.from(f4JumbleInverse(jumbled))).toEqual(Array.from(message));
+    }
+    expect(() => f4Jumble(bytes(47, 0))).toThrow('F4Jumble input');
+  });
+
+  test('should jumble exactly as librustzcash does', () => {
+    for (const vector of vectors.f4jumble) {
+      const normal = Buffer.from(vector.normal, 'hex');
+      const jumbled = Buffer.from(vector.jumbled, 'hex');
+      expect(Buffer.from(f4Jumble(normal)).toString('hex')).toBe(vector.jumbled);
+      expect(Buffer.from(f4JumbleInverse(jumbled)).toString('hex')).toBe(vector.normal);
+
+      // The message ends with the key's HRP padded to 16 bytes
+      const hrp = vector.source.includes('testnet') ? 'uviewtest' : 'uview';
+      expect(normal.subarray(-16).toString('hex')).toBe(Buffer.from(hrp.padEnd(16, '\0')).toString('hex'));
+    }
+  });
+
+  test('should decode and re-encode librustzcash viewing keys', () => {
+    for (const vector of vectors.ufvk) {
+      const decoded = decodeUnified(vector.encoding);
+      expect(decoded.kind).toBe('fvk');
+      expect(decoded.network).toBe(vector.network);
+      expect(decoded.items.map(item => ({
+        typecode: item.typecode,
+        data: Buffer.from(item.data).toString('hex'),
+      }))).toEqual(vector.items);
+      expect(encodeUnified(decoded.hrp, decoded.items)).toBe(vector.encoding);
+    }
+  });
+
+  test('should encode item subsets the way librustzcash accepts them', () => {
+    const [full] = vectors.ufvk;
+    const items = full.items.map(item => ({ typecode: item.typecode, data: Buffer.from(item.data, 'hex') }));
+
+    for (const subset of vectors.ufvk_subsets) {
+      const encoded = encodeUnified('uview', items.filter(item => subset.typecodes.includes(item.typecode)));
+      expect(encoded).toBe(subset.encoding);
+    }
+  });
+
+  test('should round-trip unified addresses with unknown typecodes', () => {
+    const receivers = [
+      { type: TYPE_ORCHARD, data: bytes(43, 3) },
+      { type: 0x05, data: bytes(10, 5) },
+      { type: TYPE_P2PKH, data: bytes(20, 1) },
+    ];
+    const { address, diversifier } = createUnifiedAddress(receivers, 'testnet');
+
+    expect(address.startsWith('utest1')).toBe(true);
+    expect(diversifier).toBe(Buffer.from(bytes(43, 3).slice(0, 11)).toString('hex'));
+
+    const decoded = decodeUnifiedAddress(address);
+    expect(decoded.network).toBe('testnet');
+    expect(decoded.receivers.map(r => [r.typecode, r.known])).toEqual([[0, true], [3, true], [5, false]]);
+    expect(decoded.receivers[2].data).toBe(Buffer.from(bytes(10, 5)).toString('hex'));
+    expect(decoded.pools).toEqual({ transparent: true, sapling: false, orchard: true });
+    expect(validateUnifiedAddress(address)).toMatchObject({ valid: true, network: 'testnet' });
+  });
+
+  test('should only accept must-understand metadata in revision 1', () => {
+    const expiry = new Uint8Array([0x40, 0x42, 0x0f, 0x00]);
+    const items = [
+      { typecode: TYPE_SAPLING, data: bytes(43, 2) },
+      { typecode: TYPE_EXPIRY_HEIGHT, data: expiry },
+    ];
+
+    expect(() => encodeUnified('u', items)).toThrow('revision 1');
+    const decoded = decodeUnifiedAddress(encodeUnified('ur', items));
+    expect(decoded.revision).toBe(1);
+    expect(decoded.metadata).toEqual({ expiry_height: 1000000 });
+  });
+
+  test('should reject malformed unified addresses', () => {
+    const address = createUnifiedAddress([{ type: TYPE_SAPLING, data: bytes(43, 9) }], 'mainnet').address;
+    const flipped = address.slice(0, -1) + (address.endsWith('q') ? 'p' : 'q');
+    expect(validateUnifiedAddress(flipped).error).toMatch('Bech32m');
+
+    // Valid checksum, but padded for a different HRP
+    const raw = new Uint8Array([TYPE_SAPLING, 43, ...bytes(43, 9), ...Buffer.from('utest'), ...new Uint8Array(11)]);
+    const wrongPadding = bech32m.encode('u', bech32m.toWords(f4Jumble(raw)), false);
+    expect(validateUnifiedAddress(wrongPadding).error).toBe('Invalid unified encoding padding');
+
+    expect(() => createUnifiedAddress([{ type: TYPE_P2PKH, data: bytes(20, 1) }])).toThrow('shielded');
+    expect(() => createUnifiedAddress([{ type: TYPE_SAPLING, data: bytes(42, 1) }])).toThrow('Invalid length');
+    expect(() => decodeUnifiedAddress(vectors.ufvk[0].encoding)).toThrow('viewing key');
+  });
+});
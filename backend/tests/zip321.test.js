@@ -0,0 +1,111 @@
+import {
+  buildPaymentRequest,
+  parsePaymentRequest,
+  classifyAddress,
+  parseAmount,
+  formatAmount,
+} from '../src/utils/zip321.js';
+import { generatePaymentUri } from '../src/utils/qrcode.js';
+
+const SAPLING = 'ztestsapling10yy2ex5dcqkclhc7z7yrnjq2z6feyjad56ptwlfgmy77dmaqqrl9gyhprdx59qgmsnyfska2kez';
+const TRANSPARENT = 'tmEZhbWHTpdKMw5it8YDspUXSMGQyFwovpU';
+const MAINNET_TRANSPARENT = 't1Hsc1LR8yKnbbe3twRp88p6vFfC5t7DLbs';
+
+// Examples from the ZIP-321 specification
+const SINGLE_URI = `zcash:${SAPLING}?amount=1&memo=VGhpcyBpcyBhIHNpbXBsZSBtZW1vLg&message=Thank%20you%20for%20your%20purchase`;
+const MULTI_URI = `zcash:?address=${TRANSPARENT}&amount=123.456&address.1=${SAPLING}&amount.1=0.789&memo.1=VGhpcyBpcyBhIHVuaWNvZGUgbWVtbyDinKjwn6aE8J-PhvCfjok`;
+
+describe('ZIP-321 Payment Requests', () => {
+  test('should parse and rebuild the specification examples', () => {
+    const single = parsePaymentRequest(SINGLE_URI);
+    expect(single.payments).toHaveLength(1);
+    expect(single.payments[0]).toMatchObject({
+      address: SAPLING,
+      address_type: 'sapling',
+      network: 'testnet',
+      amount: '1',
+      amount_zat: 100000000,
+      memo: 'This is a simple memo.',
+      message: 'Thank you for your purchase',
+    });
+    expect(buildPaymentRequest(single.payments)).toBe(SINGLE_URI);
+
+    const multi = parsePaymentRequest(MULTI_URI);
+    expect(multi.payments.map(payment => payment.amount)).toEqual(['123.456', '0.789']);
+    expect(multi.payments[1].memo).toBe('This is a unicode memo ✨🦄🏆🎉');
+    expect(multi.total_zat).toBe(12424500000);
+    expect(buildPaymentRequest(multi.payments)).toBe(MULTI_URI);
+  });
+
+  test('should round-trip a merchant payment with a platform fee', () => {
+    const uri = buildPaymentRequest([
+      { address: SAPLING, amount: 0.5, memo: 'ZB-4T9KQ2XM-B0', message: 'Order #12' },
+      { address: TRANSPARENT, amount: '0.005', label: 'Platform fee' },
+    ]);
+    expect(uri).toBe(
+      `zcash:?address=${SAPLING}&amount=0.5&memo=WkItNFQ5S1EyWE0tQjA&message=Order%20%2312` +
+      `&address.1=${TRANSPARENT}&amount.1=0.005&label.1=Platform%20fee`
+    );
+
+    const parsed = parsePaymentRequest(uri);
+    expect(parsed.payments[0].memo).toBe('ZB-4T9KQ2XM-B0');
+    expect(parsed.payments[1].label).toBe('Platform fee');
+    expect(parsed.total_zat).toBe(50500000);
+    expect(buildPaymentRequest(parsed.payments)).toBe(uri);
+  });
+
+  test('should reject malformed requests', () => {
+    const invalid = [
+      `zcash:?amount=1`, // no address
+      `zcash:${SAPLING}?amount=1&amount=2`, // duplicate parameter
+      `zcash:${SAPLING}?address=${SAPLING}`, // address in path and query
+      `zcash:?address.0=${SAPLING}`, // index 0 is not allowed
+      `zcash:?address=${SAPLING}&address.01=${SAPLING}`, // leading zero
+      `zcash:?address=${SAPLING}&amount.1=1`, // amount without an address
+      `zcash:${TRANSPARENT}?memo=VGhpcyBpcyBhIHNpbXBsZSBtZW1vLg`, // memo to a transparent address
+      `zcash:${SAPLING}?req-futurefeature=1`, // unknown required parameter
+      `zcash:${SAPLING}?amount=21000000.00000001`, // above the money supply
+      `zcash:${SAPLING}?amount=0.123456789`, // more than 8 decimals
+      `zcash:${SAPLING}?amount=1e3`, // exponent
+      `zcash:${TRANSPARENT.slice(0, -1)}x`, // bad checksum
+      `zcash:?address=${TRANSPARENT}&address.1=${MAINNET_TRANSPARENT}`, // mixed networks
+      `bitcoin:${SAPLING}`,
+    ];
+    for (const uri of invalid) {
+      expect(() => parsePaymentRequest(uri)).toThrow();
+    }
+  });
+
+  test('should keep unknown optional parameters', () => {
+    const parsed = parsePaymentRequest(`zcash:${SAPLING}?amount=1&invoice-id=42`);
+    expect(parsed.payments[0].other_params).toEqual({ 'invoice-id': '42' });
+  });
+
+  test('should format amounts strictly', () => {
+    expect(formatAmount(0.00000001)).toBe('0.00000001');
+    expect(formatAmount(1)).toBe('1');
+    expect(formatAmount(0.1 + 0.2)).toBe('0.3');
+    expect(formatAmount('0.50000000')).toBe('0.5');
+    expect(formatAmount(12345600000n)).toBe('123.456');
+    expect(parseAmount('21000000')).toBe(2100000000000000n);
+
+    expect(() => formatAmount(0.123456789)).toThrow();
+    expect(() => formatAmount(-1)).toThrow();
+    expect(() => formatAmount(21000001)).toThrow();
+    expect(() => parseAmount('.5')).toThrow();
+  });
+
+  test('should classify addresses by type and network', () => {
+    expect(classifyAddress(SAPLING)).toEqual({ type: 'sapling', network: 'testnet' });
+    expect(classifyAddress(TRANSPARENT)).toEqual({ type: 'transparent', network: 'testnet' });
+    expect(classifyAddress(MAINNET_TRANSPARENT)).toEqual({ type: 'transparent', network: 'mainnet' });
+    expect(classifyAddress('webzjs_placeholder_1')).toBeNull();
+  });
+
+  test('should keep generatePaymentUri working for single invoices', () => {
+    expect(generatePaymentUri(TRANSPARENT, 0.01, 'Payment for one_time', 'ZB-4T9KQ2XM-B0'))
+      .toBe(`zcash:${TRANSPARENT}?amount=0.01&message=Payment%20for%20one_time`);
+    expect(generatePaymentUri('webzjs_placeholder_1', 0.01))
+      .toBe('zcash:webzjs_placeholder_1?amount=0.01');
+  });
+});